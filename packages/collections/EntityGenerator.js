@@ -36,7 +36,7 @@ const { _ud = "undefined", $scope } = constants;
 
     const { ToolBocksModule, ModuleEvent, attempt, asyncAttempt, isReadOnly, sleep, lock, no_op, $ln } = moduleUtils;
 
-    const { isNull, isObject, isNonNullObject, isFunction, clamp = moduleUtils.clamp } = typeUtils;
+    const { isNull, isObject, isNonNullObject, isFunction, isArray, clamp = moduleUtils.clamp } = typeUtils;
 
     const { asInt } = stringUtils;
 
@@ -285,10 +285,24 @@ const { _ud = "undefined", $scope } = constants;
         }
 
         async* [Symbol.asyncIterator]()
+        {
+            yield* this._fetchEntities( this.ids );
+        }
+
+        /**
+         * Fetches the entity for each of the specified IDs in turn,
+         * subject to the throttling of this generator,
+         * retrying an ID whose entity could not be fetched.
+         *
+         * @param {Array<*>} pIds the IDs of the entities to fetch
+         *
+         * @returns {AsyncGenerator<Object>}
+         */
+        async* _fetchEntities( pIds )
         {
             const delay = asInt( this.calculateDelay() );
 
-            const arr = [...asArray( this.ids ?? [] )];
+            const arr = [...asArray( pIds ?? [] )];
 
             while ( $ln( arr ) > 0 )
             {
@@ -374,9 +388,106 @@ const { _ud = "undefined", $scope } = constants;
     }
 
 
-    class PaginatedEntityGenerator
+    /**
+     * Returns the items of a page, which is either an array or an object with an array of items
+     * (such as the pages of an HttpPaginator)
+     */
+    function itemsOf( pPage )
+    {
+        return isArray( pPage ) ? pPage : asArray( pPage?.items ?? [] );
+    }
+
+    /**
+     * An implementation of EntityGenerator whose entities arrive a page at a time,
+     * such as from an API that paginates its results.<br>
+     * <br>
+     * The pages are read from an async (or synchronous) iterable of pages,
+     * or from an object with a pages method that returns one, such as the HttpPaginator of the http package,
+     * and each page is read only when the entities of the page before it have been consumed.<br>
+     * A page is an array of items or an object with an items property.<br>
+     * <br>
+     * If a function to fetch each entity is specified, the items are treated as IDs,
+     * and each entity is fetched as it is consumed, exactly as an AsyncEntityGenerator fetches them.
+     * Otherwise, the items are the entities.
+     *
+     * @class
+     */
+    class PaginatedEntityGenerator extends AsyncEntityGenerator
     {
-        // TODO: see C:\Projects\BrysonApps\paginated_iterator_example.js
+        /**
+         * The source of the pages
+         * @type {AsyncIterable|Iterable|{pages: function():AsyncIterable}}
+         */
+        #pages;
+
+        /**
+         * The number of pages read so far
+         * @type {number}
+         */
+        #pagesRead = 0;
+
+        /**
+         * Whether the items are IDs of entities to fetch, rather than the entities themselves
+         * @type {boolean}
+         */
+        #fetchItems = false;
+
+        constructor( pPages, pFetchEntityFunction = null, pFetchesPer = { SECOND: 0, MINUTE: 0 } )
+        {
+            super( [], pFetchEntityFunction, pFetchesPer );
+
+            this.#pages = pPages;
+
+            this.#fetchItems = isFunction( pFetchEntityFunction );
+        }
+
+        get pagesRead()
+        {
+            return this.#pagesRead;
+        }
+
+        async* #readPages()
+        {
+            const source = isFunction( this.#pages?.pages ) ? this.#pages.pages() : this.#pages;
+
+            if ( isNull( source ) )
+            {
+                return;
+            }
+
+            for await ( const page of source )
+            {
+                yield page;
+            }
+        }
+
+        async* [Symbol.asyncIterator]()
+        {
+            for await ( const page of this.#readPages() )
+            {
+                const items = itemsOf( page );
+
+                this.#pagesRead++;
+
+                attempt( () => this.dispatchEvent( new ModuleEvent( "NextPage",
+                                                                    {
+                                                                        detail: this.#pagesRead,
+                                                                        items,
+                                                                        target: this
+                                                                    }, this.#pagesRead, items, this ) ) );
+
+                if ( this.#fetchItems )
+                {
+                    this._addIds( ...items );
+
+                    yield* this._fetchEntities( items );
+                }
+                else
+                {
+                    yield* items;
+                }
+            }
+        }
     }
 
     let mod =
@@ -44,3 +44,61 @@ describe( "AsyncEntityGenerator", () =>
 
 } );
 
+
+describe( "PaginatedEntityGenerator", () =>
+{
+    const pages = [[30001, 30002], { items: [30003] }, []];
+
+    test( "PaginatedEntityGenerator - reads the entities of each page in turn", async() =>
+    {
+        const read = [];
+
+        const source = async function* ()
+        {
+            for( const page of pages )
+            {
+                read.push( page );
+                yield page;
+            }
+        };
+
+        const generator = new PaginatedEntityGenerator( source() );
+
+        const entities = [];
+
+        for await ( const entity of generator )
+        {
+            entities.push( entity );
+
+            // the next page is not read until the entities of this one have been consumed
+            expect( read.length ).toEqual( entity === 30003 ? 2 : 1 );
+        }
+
+        expect( entities ).toEqual( [30001, 30002, 30003] );
+        expect( generator.pagesRead ).toEqual( 3 );
+    } );
+
+    test( "PaginatedEntityGenerator - fetches the entity for each ID from a paginator", async() =>
+    {
+        // an object with a pages method, such as the HttpPaginator of the http package
+        const paginator = { pages: async function* () { yield* pages.map( ( items, index ) => ({ number: index + 1, items: items.items || items }) ); } };
+
+        const generator = new PaginatedEntityGenerator( paginator, mockFetch );
+
+        const nextPage = jest.fn();
+
+        generator.addEventListener( "NextPage", nextPage );
+
+        const entities = [];
+
+        for await ( const entity of generator )
+        {
+            entities.push( entity );
+        }
+
+        expect( entities ).toEqual( [30001, 30002, 30003].map( id => ({ id, name: "entity_" + id }) ) );
+        expect( generator.ids ).toEqual( [30001, 30002, 30003] );
+        expect( nextPage ).toHaveBeenCalledTimes( 3 );
+    } );
+
+} );
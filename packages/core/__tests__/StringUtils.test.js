@@ -602,6 +602,19 @@ describe( "Numeric-related 'helpers'", () =>
           }
     );
 
+    test( "calculateDecimalSymbols calculates the symbols of each locale and currency once",
+          () =>
+          {
+              expect( stringUtils.calculateDecimalSymbols( "de" ) ).toBe( stringUtils.calculateDecimalSymbols( "de" ) );
+              expect( stringUtils.calculateDecimalSymbols( new Intl.Locale( "de" ) ) ).toBe( stringUtils.calculateDecimalSymbols( "de" ) );
+
+              expect( stringUtils.calculateDecimalSymbols( "en-US" ) ).not.toBe( stringUtils.calculateDecimalSymbols( "de" ) );
+              expect( stringUtils.calculateDecimalSymbols( "en-US" ).decimal_point ).toEqual( "." );
+
+              expect( Object.isFrozen( stringUtils.calculateDecimalSymbols( "de" ) ) ).toBe( true );
+          }
+    );
+
     test( "toCanonicalNumericFormat removes grouping separators",
           () =>
           {
@@ -1015,6 +1028,23 @@ describe( "asInt", () =>
               expect( n ).toEqual( 1 ) && expect( "number" === typeof n );
           } );
 
+    test( "asInt applies the options specified, and otherwise the symbols of the default locale, to every kind of value",
+          () =>
+          {
+              const german = stringUtils.calculateDecimalSymbols( "de" );
+
+              expect( asInt( "1234.56" ) ).toEqual( 1_234 );
+              expect( asInt( "1234.56", 0, stringUtils.calculateDecimalSymbols() ) ).toEqual( 1_234 );
+              expect( asInt( "1234.56", 0, { ...stringUtils.calculateDecimalSymbols() } ) ).toEqual( 1_234 );
+
+              expect( asInt( 42, 0, german ) ).toEqual( 42 );
+              expect( asInt( 42 ) ).toEqual( 42 );
+              expect( asInt( -0 ) ).toEqual( 0 );
+
+              expect( asInt( "not a number", 7 ) ).toEqual( 7 );
+              expect( asInt( Number.MAX_SAFE_INTEGER + 2, 3 ) ).toEqual( 3 );
+          } );
+
 } );
 
 describe( "asFloat", () =>
@@ -1047,6 +1047,22 @@ describe( "mergeOptions", () =>
     } );
 } );
 
+describe( "localCopy options", () =>
+{
+    test( "localCopy copies every level of an object, whether the copy options are specified, partial, or given as strings", () =>
+    {
+        const deep = { a: { b: { c: { d: { e: { f: 1 } } } } } };
+
+        for( const options of [undefined, {}, { maxStackSize: 8 }, { maxStackSize: "8", depth: "0" }, { maxDepth: 99 }] )
+        {
+            const copy = localCopy( deep, options );
+
+            expect( copy ).toEqual( deep );
+            expect( copy.a.b.c.d.e ).not.toBe( deep.a.b.c.d.e );
+        }
+    } );
+} );
+
 // ARGUMENTS
 // ENV
 
@@ -1861,8 +1861,22 @@ const { _ud = "undefined", $scope = moduleUtils.$scope } = constants;
         return s;
     };
 
+    /**
+     * Holds the symbols calculated for each combination of locale and currency,
+     * since they do not change and are costly to calculate (asInt and asFloat use them for every conversion)
+     * @type {Map<string, Object>}
+     */
+    const DECIMAL_SYMBOLS_BY_LOCALE = new Map();
+
     const calculateDecimalSymbols = function( pLocale = _defaultLocale, pCurrency = _defaultCurrency )
     {
+        const key = String( (pLocale instanceof Intl.Locale) ? pLocale.baseName : (pLocale ?? _mt) ) + "|" + String( pCurrency ?? _mt );
+
+        if ( DECIMAL_SYMBOLS_BY_LOCALE.has( key ) )
+        {
+            return DECIMAL_SYMBOLS_BY_LOCALE.get( key );
+        }
+
         let locale = NVL( pLocale, _defaultLocale, getRuntimeLocale(), getMessagesLocale() );
 
         locale = asString( (locale instanceof Intl.Locale) ? asString( (locale?.baseName || locale?.basename || _defaultLocaleString || "en-US"), true ) : (isNull( locale ) || (isString( locale ) && (_mt === String( locale ).trim()))) ? (String( runtimeLocaleString() ) || String( getMessagesLocaleString() ) || _defaultLocaleString) : String( locale ) );
@@ -1910,7 +1924,11 @@ const { _ud = "undefined", $scope = moduleUtils.$scope } = constants;
             // ignored
         }
 
-        return lock( { ...DEFAULT_NUMBER_SYMBOLS, ...(symbols || DEFAULT_NUMBER_SYMBOLS) } );
+        const calculated = lock( { ...DEFAULT_NUMBER_SYMBOLS, ...(symbols || DEFAULT_NUMBER_SYMBOLS) } );
+
+        DECIMAL_SYMBOLS_BY_LOCALE.set( key, calculated );
+
+        return calculated;
     };
 
     /**
@@ -2068,7 +2086,12 @@ const { _ud = "undefined", $scope = moduleUtils.$scope } = constants;
 
         const dflt = isNumber( pDefault ) || isString( pDefault ) ? pDefault : zero;
 
-        const options = populateOptions( { ...(pOptions || calculateDecimalSymbols()) }, (isObject( pDefault ) ? pDefault : pOptions), DEFAULT_NUMBER_SYMBOLS );
+        const symbols = calculateDecimalSymbols();
+
+        // the symbols of the default locale already include every default, so they are only copied and merged when other options are specified
+        const options = ((isNull( pOptions ) || symbols === pOptions) && !isNonNullObject( pDefault )) ?
+                        symbols :
+                        populateOptions( { ...(pOptions || symbols) }, (isObject( pDefault ) ? pDefault : pOptions), DEFAULT_NUMBER_SYMBOLS );
 
         let input = _resolveInput.call( (this ?? pValue), pValue );
 
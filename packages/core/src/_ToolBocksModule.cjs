@@ -1125,7 +1125,19 @@ const CMD_LINE_ARGS = [...(_ud !== typeof process ? process?.argv || [] : (_ud !
      */
     const isWorker = function()
     {
-        // @TODO
+        if ( isNodeJs() )
+        {
+            try
+            {
+                return !require( "node:worker_threads" ).isMainThread;
+            }
+            catch( ex )
+            {
+                return false;
+            }
+        }
+
+        return (_ud !== typeof WorkerGlobalScope) && (_ud !== typeof self) && (self instanceof WorkerGlobalScope);
     };
 
     /**
@@ -5835,6 +5847,11 @@ const CMD_LINE_ARGS = [...(_ud !== typeof process ? process?.argv || [] : (_ud !
             return !(this.isNode() || this.isDeno()) && isBrowser() && null != this.#window && null != this.#document && null != this.#navigator;
         }
 
+        isWorker()
+        {
+            return isWorker();
+        }
+
         get navigator()
         {
             return this.#navigator || (_ud !== typeof window ? window?.navigator : (_ud !== typeof navigator ? navigator : null));
@@ -6591,8 +6608,9 @@ const CMD_LINE_ARGS = [...(_ud !== typeof process ? process?.argv || [] : (_ud !
      */
     function _getNumericOption( pOptions, pProperty, pDefault )
     {
-        const options = resolveOptions( pOptions, DEFAULT_COPY_OPTIONS );
-        const option = options[pProperty] || pDefault || 0;
+        // only the one property is read, so the options are not merged with the defaults (which is costly for every object copied)
+        const value = isNonNullObj( pOptions ) ? pOptions[pProperty] : undefined;
+        const option = (_ud === typeof value ? DEFAULT_COPY_OPTIONS[pProperty] : value) || pDefault || 0;
         return Math.max( 0, parseInt( isNum( option ) ? option : ((/^[\d.]$/.test( option )) ? option : (isNum( pDefault ) ? pDefault : 0)) ) );
     }
 
@@ -6869,9 +6887,12 @@ const CMD_LINE_ARGS = [...(_ud !== typeof process ? process?.argv || [] : (_ud !
          */
         parseFrame( pFrame )
         {
-            let frame = isNum( pFrame ) ? this.frames[pFrame] : pFrame;
+            let frame = _asStr( isNum( pFrame ) ? this.frames[pFrame] : pFrame ).trim();
 
-            let rx = /((\w*)@)?([^:]+):(\d+):(\d+)/;
+            // the method name can contain dots and brackets (Object.<anonymous>)
+            // and the file name can contain colons (node:internal/..., http://host:8080/...),
+            // so we match the line and column numbers at the end of the frame first
+            let rx = /^(([^@]*)@)?(.+):(\d+):(\d+)$/;
 
             let matches = rx.exec( frame );
 
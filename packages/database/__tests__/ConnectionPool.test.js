@@ -0,0 +1,192 @@
+const connectionPool = require( "../src/ConnectionPool.js" );
+const databaseUtils = require( "../src/DatabaseUtils.js" );
+
+const { ConnectionPool, ConnectionPoolTimeoutError, resolvePoolOptions } = connectionPool;
+
+const { DatabaseFactory, DatabaseServer } = databaseUtils;
+
+/**
+ * Returns a factory that creates numbered connections and records those destroyed
+ */
+function createFactory()
+{
+    let created = 0;
+
+    const factory =
+        {
+            destroyed: [],
+            create: async() => ({ id: ++created, open: true }),
+            destroy: async( pConnection ) =>
+            {
+                pConnection.open = false;
+                factory.destroyed.push( pConnection.id );
+            },
+            validate: async( pConnection ) => pConnection.open
+        };
+
+    return factory;
+}
+
+const delay = ( pMillis ) => new Promise( resolve => setTimeout( resolve, pMillis ) );
+
+describe( "ConnectionPool", () =>
+{
+    test( "resolvePoolOptions applies defaults and keeps min within max", () =>
+    {
+        expect( resolvePoolOptions( { min: 5, max: 2 } ) ).toEqual( { min: 2, max: 2, idleTimeout: 30_000, acquireTimeout: 30_000 } );
+    } );
+
+    test( "connections are reused and the pool does not exceed its maximum size", async() =>
+    {
+        const pool = new ConnectionPool( createFactory(), { max: 2 } );
+
+        const [a, b] = await Promise.all( [pool.acquire(), pool.acquire()] );
+
+        expect( [a.id, b.id] ).toEqual( [1, 2] );
+
+        const waiting = pool.acquire();
+
+        expect( pool.pending ).toEqual( 1 );
+
+        await pool.release( a );
+
+        expect( (await waiting).id ).toEqual( 1 );
+
+        expect( pool.size ).toEqual( 2 );
+
+        await pool.close();
+    } );
+
+    test( "concurrent calls to acquire do not exceed the maximum while an idle connection is validated", async() =>
+    {
+        const factory = createFactory();
+
+        const validate = factory.validate;
+
+        factory.validate = async( pConnection ) =>
+        {
+            await delay( 10 );
+            return validate( pConnection );
+        };
+
+        const pool = new ConnectionPool( factory, { max: 1, acquireTimeout: 1_000 } );
+
+        await pool.release( await pool.acquire() );
+
+        const first = pool.acquire();
+        const second = pool.acquire();
+
+        const connection = await first;
+
+        expect( connection.id ).toEqual( 1 );
+        expect( pool.size ).toEqual( 1 );
+        expect( pool.pending ).toEqual( 1 );
+
+        await pool.release( connection );
+
+        expect( (await second).id ).toEqual( 1 );
+
+        await pool.close();
+    } );
+
+    test( "acquire fails after the acquireTimeout", async() =>
+    {
+        const pool = new ConnectionPool( createFactory(), { max: 1, acquireTimeout: 20 } );
+
+        await pool.acquire();
+
+        await expect( pool.acquire() ).rejects.toThrow( ConnectionPoolTimeoutError );
+
+        expect( pool.pending ).toEqual( 0 );
+
+        await pool.close();
+    } );
+
+    test( "start opens the minimum and evictIdle closes connections idle beyond the idleTimeout", async() =>
+    {
+        const factory = createFactory();
+
+        const pool = await new ConnectionPool( factory, { min: 1, max: 3, idleTimeout: 10 } ).start();
+
+        expect( pool.available ).toEqual( 1 );
+
+        const connections = [await pool.acquire(), await pool.acquire(), await pool.acquire()];
+
+        for( const connection of connections )
+        {
+            await pool.release( connection );
+        }
+
+        await delay( 20 );
+
+        await pool.evictIdle();
+
+        expect( pool.size ).toEqual( 1 );
+        expect( factory.destroyed.length ).toEqual( 2 );
+
+        await pool.close();
+    } );
+
+    test( "invalid connections are replaced and use releases the connection", async() =>
+    {
+        const factory = createFactory();
+
+        const pool = new ConnectionPool( factory, { max: 1 } );
+
+        const first = await pool.acquire();
+
+        first.open = false;
+
+        await pool.release( first );
+
+        expect( await pool.use( async( pConnection ) => pConnection.id ) ).toEqual( 2 );
+
+        expect( pool.borrowed ).toEqual( 0 );
+
+        await pool.close();
+
+        await expect( pool.acquire() ).rejects.toThrow( /closed/ );
+    } );
+
+    test( "DatabaseFactory passes its pool options to the servers it constructs", () =>
+    {
+        class PooledServer extends DatabaseServer
+        {
+        }
+
+        const factory = new DatabaseFactory( "TEST", null, "DB", {}, { pool: { max: 4 } } );
+
+        const server = factory.addChoice( "pooled", PooledServer );
+
+        expect( factory.poolOptions.max ).toEqual( 4 );
+        expect( server.pooled ).toBe( true );
+        expect( server.pool.max ).toEqual( 4 );
+
+        expect( new DatabaseFactory( "TEST", null, "DB", {}, {} ).poolOptions ).toBe( null );
+    } );
+
+    test( "a DatabaseServer starts its pool, opening the minimum number of connections", async() =>
+    {
+        let created = 0;
+
+        class PooledServer extends DatabaseServer
+        {
+            async createConnection()
+            {
+                return { id: ++created };
+            }
+        }
+
+        const server = new DatabaseFactory( "TEST", null, "DB", {}, { pool: { min: 2, max: 4 } } ).addChoice( "pooled", PooledServer );
+
+        const connection = await server.acquireConnection();
+
+        expect( created ).toEqual( 2 );
+        expect( server.pool.size ).toEqual( 2 );
+        expect( server.pool.available ).toEqual( 1 );
+
+        await server.releaseConnection( connection );
+
+        await server.closePool();
+    } );
+} );
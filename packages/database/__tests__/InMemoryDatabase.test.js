@@ -0,0 +1,343 @@
+const databaseUtils = require( "../src/DatabaseUtils.js" );
+const inMemoryDatabase = require( "../src/InMemoryDatabase.js" );
+
+const { DatabaseFactory, toRow, toRecord } = databaseUtils;
+
+const { InMemoryDatabaseServer, InMemoryDatabase } = inMemoryDatabase;
+
+const schema =
+    {
+        users:
+            {
+                primaryKey: "id",
+                columns:
+                    {
+                        id: { type: "number", autoIncrement: true },
+                        name: { type: "string", required: true },
+                        role: { type: "string", default: "user" }
+                    }
+            }
+    };
+
+class User
+{
+    constructor( pRow )
+    {
+        Object.assign( this, pRow );
+    }
+
+    get isAdmin()
+    {
+        return "admin" === this.role;
+    }
+}
+
+async function createDatabase( pName = "test" )
+{
+    const factory = new DatabaseFactory( "TEST", null, "DB", {}, {} );
+
+    const server = factory.getDatabaseServer( "memory" );
+
+    const db = await factory.getDatabase( "memory", server, pName );
+
+    await db.defineSchema( schema );
+
+    return db;
+}
+
+describe( "toRow and toRecord", () =>
+{
+    test( "toRow converts { columns, values } to an object literal", () =>
+    {
+        expect( toRow( { columns: ["a", "b"], values: [1, 2] } ) ).toEqual( { a: 1, b: 2 } );
+    } );
+
+    test( "toRecord converts an object literal to { columns, values }", () =>
+    {
+        expect( toRecord( { a: 1, b: 2 } ) ).toEqual( { columns: ["a", "b"], values: [1, 2] } );
+    } );
+} );
+
+describe( "DatabaseFactory", () =>
+{
+    test( "getDatabaseServer returns an InMemoryDatabaseServer for 'memory'", () =>
+    {
+        const factory = new DatabaseFactory( "TEST", null, "DB", {}, {} );
+
+        const server = factory.getDatabaseServer( "memory" );
+
+        expect( server instanceof InMemoryDatabaseServer ).toBe( true );
+        expect( factory.getDatabaseServer( "memory" ) ).toBe( server );
+    } );
+
+    test( "getDatabase returns an InMemoryDatabase with the specified name", async() =>
+    {
+        const db = await createDatabase( "accounts" );
+
+        expect( db instanceof InMemoryDatabase ).toBe( true );
+        expect( db.name ).toEqual( "accounts" );
+    } );
+} );
+
+describe( "InMemoryDatabase", () =>
+{
+    test( "insert applies the schema defaults and the auto-increment primary key", async() =>
+    {
+        const db = await createDatabase();
+
+        const row = await db.insert( "users", { columns: ["name"], values: ["Alice"] } );
+
+        expect( row ).toEqual( { id: 1, name: "Alice", role: "user" } );
+
+        expect( db.server.connected ).toBe( true );
+    } );
+
+    test( "insert rejects columns that are not defined in the schema", async() =>
+    {
+        const db = await createDatabase();
+
+        await expect( db.insert( "users", { name: "Bob", bogus: true } ) ).rejects.toThrow( /bogus/ );
+    } );
+
+    test( "insert rejects a row missing a required value", async() =>
+    {
+        const db = await createDatabase();
+
+        await expect( db.insert( "users", { role: "admin" } ) ).rejects.toThrow( /required/ );
+    } );
+
+    test( "insertBatch is all or nothing", async() =>
+    {
+        const db = await createDatabase();
+
+        await db.insert( "users", { name: "Alice" } );
+
+        await expect( db.insertBatch( "users", [{ name: "Bob" }, { name: 42 }] ) ).rejects.toThrow();
+
+        expect( (await db.find( "users" )).length ).toEqual( 1 );
+    } );
+
+    test( "find applies predicates expressed as object literals and functions", async() =>
+    {
+        const db = await createDatabase();
+
+        await db.insertBatch( "users", [{ name: "Alice", role: "admin" }, { name: "Bob" }, { name: "Carol" }] );
+
+        expect( (await db.find( { collection: "users", where: { role: "user" } } )).map( e => e.name ) ).toEqual( ["Bob", "Carol"] );
+
+        expect( (await db.find( { collection: "users", where: { name: /^[AB]/ } } )).length ).toEqual( 2 );
+
+        expect( (await db.find( { collection: "users", where: { id: [1, 3] } } )).map( e => e.name ) ).toEqual( ["Alice", "Carol"] );
+
+        expect( (await db.find( "users", { where: e => e.id > 1 } )).length ).toEqual( 2 );
+
+        expect( (await db.findFirst( { collection: "users", where: { role: "user" } } )).name ).toEqual( "Bob" );
+
+        expect( await db.findFirst( { collection: "users", where: { role: "nobody" } } ) ).toBe( null );
+    } );
+
+    test( "findSubset returns a page of the matching rows", async() =>
+    {
+        const db = await createDatabase();
+
+        await db.insertBatch( "users", ["A", "B", "C", "D", "E"].map( name => ({ name }) ) );
+
+        expect( (await db.findSubset( "users", 1, 3 )).map( e => e.name ) ).toEqual( ["B", "C"] );
+
+        expect( (await db.findSubset( "users", 3 )).map( e => e.name ) ).toEqual( ["D", "E"] );
+    } );
+
+    test( "find returns instances of the schema model", async() =>
+    {
+        const db = await createDatabase();
+
+        await db.addSchemaModel( "users", User );
+
+        await db.insert( "users", { name: "Alice", role: "admin" } );
+
+        const user = await db.findFirst( "users" );
+
+        expect( user instanceof User ).toBe( true );
+        expect( user.isAdmin ).toBe( true );
+    } );
+
+    test( "update uses the predicate or the primary key", async() =>
+    {
+        const db = await createDatabase();
+
+        await db.insertBatch( "users", [{ name: "Alice" }, { name: "Bob" }, { name: "Carol" }] );
+
+        expect( await db.update( "users", { columns: ["role"], values: ["admin"] }, { name: ["Alice", "Bob"] } ) ).toEqual( 2 );
+
+        expect( await db.update( "users", { id: 3, name: "Caroline" } ) ).toEqual( 1 );
+
+        expect( (await db.findFirst( { collection: "users", where: { id: 3 } } )).name ).toEqual( "Caroline" );
+
+        await expect( db.update( "users", { name: "Nobody" } ) ).rejects.toThrow( /predicate/ );
+    } );
+
+    test( "updateBatch applies each record to the row with the same primary key", async() =>
+    {
+        const db = await createDatabase();
+
+        await db.insertBatch( "users", [{ name: "Alice" }, { name: "Bob" }] );
+
+        expect( await db.updateBatch( "users", [{ id: 1, role: "admin" }, { id: 2, role: "guest" }] ) ).toEqual( 2 );
+
+        expect( (await db.find( "users" )).map( e => e.role ) ).toEqual( ["admin", "guest"] );
+    } );
+
+    test( "upsert inserts or updates by primary key", async() =>
+    {
+        const db = await createDatabase();
+
+        await db.upsert( "users", { id: 7, name: "Alice" } );
+        await db.upsert( "users", { id: 7, role: "admin" } );
+
+        const rows = await db.find( "users" );
+
+        expect( rows ).toEqual( [{ id: 7, name: "Alice", role: "admin" }] );
+
+        expect( (await db.insert( "users", { name: "Bob" } )).id ).toEqual( 8 );
+    } );
+
+    test( "delete and truncate remove rows", async() =>
+    {
+        const db = await createDatabase();
+
+        await db.insertBatch( "users", [{ name: "Alice" }, { name: "Bob" }, { name: "Carol" }] );
+
+        expect( await db.delete( "users", { name: "Bob" } ) ).toEqual( 1 );
+
+        await expect( db.delete( "users" ) ).rejects.toThrow( /truncate/ );
+
+        expect( await db.truncate( "users" ) ).toEqual( 2 );
+
+        expect( await db.find( "users" ) ).toEqual( [] );
+    } );
+
+    test( "executeDdl creates and drops collections", async() =>
+    {
+        const db = await createDatabase();
+
+        expect( await db.executeDdl( "CREATE TABLE IF NOT EXISTS orders (id INTEGER); CREATE TABLE items" ) ).toEqual( 2 );
+
+        expect( await db.getCollectionNames() ).toEqual( ["orders", "items"] );
+
+        await db.executeDdl( "DROP TABLE items" );
+
+        expect( await db.getCollectionNames() ).toEqual( ["orders"] );
+
+        await expect( db.executeDdl( "ALTER TABLE orders ADD COLUMN x" ) ).rejects.toThrow( /Unsupported/ );
+    } );
+
+    test( "withTransaction commits on success and rolls back when the function throws", async() =>
+    {
+        const db = await createDatabase();
+
+        await db.insert( "users", { name: "Alice" } );
+
+        await expect( db.withTransaction( async( pDb ) =>
+                                          {
+                                              await pDb.insertBatch( "users", [{ name: "Bob" }, { name: "Carol" }] );
+                                              await pDb.updateBatch( "users", [{ id: 1, role: "admin" }, { id: 2, role: 42 }] );
+                                          } ) ).rejects.toThrow( /role/ );
+
+        expect( await db.find( "users" ) ).toEqual( [{ id: 1, name: "Alice", role: "user" }] );
+
+        expect( db.inTransaction ).toBe( false );
+
+        expect( (await db.insert( "users", { name: "Bob" } )).id ).toEqual( 2 );
+
+        expect( await db.withTransaction( async( pDb ) => pDb.update( "users", { id: 2, role: "admin" } ) ) ).toEqual( 1 );
+
+        expect( (await db.findFirst( { collection: "users", where: { id: 2 } } )).role ).toEqual( "admin" );
+    } );
+
+    test( "beginTransaction, commit and rollback", async() =>
+    {
+        const db = await createDatabase();
+
+        await db.beginTransaction();
+
+        await expect( db.beginTransaction() ).rejects.toThrow( /already in progress/ );
+
+        await db.executeDdl( "CREATE TABLE orders" );
+        await db.insert( "users", { name: "Alice" } );
+
+        await db.rollback();
+
+        expect( await db.getCollectionNames() ).toEqual( [] );
+
+        await expect( db.commit() ).rejects.toThrow( /No transaction/ );
+    } );
+
+    test( "rollback undoes only the changes made via the instance in the transaction", async() =>
+    {
+        const db = await createDatabase();
+
+        const other = db.server.getDatabase( db.name );
+
+        await other.defineSchema( schema );
+
+        await db.insertBatch( "users", [{ name: "Alice" }, { name: "Bob" }, { name: "Carol" }] );
+
+        await db.beginTransaction();
+
+        await db.insert( "users", { name: "Dave" } );
+        await db.update( "users", { id: 1, role: "admin" } );
+        await db.upsert( "users", { id: 2, name: "Robert" } );
+        await db.delete( "users", { id: 3 } );
+        await db.executeDdl( ["CREATE TABLE orders", "DROP TABLE audit"] );
+
+        // written while the transaction is in progress, but not as part of it
+        await other.insert( "users", { name: "Erin" } );
+        await other.insert( "audit", { event: "login" } );
+
+        await db.rollback();
+
+        expect( await db.find( "users" ) ).toEqual( [{ id: 1, name: "Alice", role: "user" },
+                                                     { id: 2, name: "Bob", role: "user" },
+                                                     { id: 3, name: "Carol", role: "user" },
+                                                     { id: 5, name: "Erin", role: "user" }] );
+
+        expect( (await db.getCollectionNames()).sort() ).toEqual( ["audit", "users"] );
+
+        // the id the other instance was given is not given again
+        expect( (await db.insert( "users", { name: "Frank" } )).id ).toEqual( 6 );
+    } );
+
+    test( "a rollback or a failed batch returns the auto-increment sequence to where it was", async() =>
+    {
+        const db = await createDatabase();
+
+        await db.insert( "users", { name: "Alice" } );
+
+        await expect( db.insertBatch( "users", [{ name: "Bob" }, { name: "Carol" }, { name: 42 }] ) ).rejects.toThrow();
+
+        expect( (await db.insert( "users", { name: "Bob" } )).id ).toEqual( 2 );
+
+        await db.beginTransaction();
+
+        await db.insertBatch( "users", [{ name: "Carol" }, { name: "Dave" }] );
+
+        await db.rollback();
+
+        expect( (await db.insert( "users", { name: "Carol" } )).id ).toEqual( 3 );
+
+        expect( (await db.find( "users" )).map( e => e.id ) ).toEqual( [1, 2, 3] );
+    } );
+
+    test( "databases on the same server do not share collections", async() =>
+    {
+        const server = new InMemoryDatabaseServer();
+
+        const one = server.getDatabase( "one" );
+        const two = server.getDatabase( "two" );
+
+        await one.insert( "things", { name: "thing" } );
+
+        expect( (await one.find( "things" )).length ).toEqual( 1 );
+        expect( (await two.find( "things" )).length ).toEqual( 0 );
+    } );
+} );
@@ -0,0 +1,259 @@
+const os = require( "node:os" );
+const fs = require( "node:fs" );
+const path = require( "node:path" );
+
+const inMemoryDatabase = require( "../src/InMemoryDatabase.js" );
+const sqliteDatabase = require( "../src/SqliteDatabase.js" );
+const migrations = require( "../src/Migrations.js" );
+
+const { InMemoryDatabaseServer } = inMemoryDatabase;
+
+const { isSqliteAvailable, SqliteDatabaseServer } = sqliteDatabase;
+
+const { MIGRATION_EVENTS, compareVersions, parseSqlMigration, splitStatements, loadMigrations, Migration, MigrationRunner } = migrations;
+
+const FILES =
+    {
+        "001_create_users.sql": "-- migrate:up\nCREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT);\n\n-- migrate:down\nDROP TABLE users;\n",
+        "002_create_orders.up.sql": "CREATE TABLE orders (id INTEGER PRIMARY KEY, user_id INTEGER);",
+        "002_create_orders.down.sql": "DROP TABLE orders;",
+        "010_seed_users.js": "module.exports = { up: async( db ) => db.insert( \"users\", { id: 1, name: \"admin\" } ), down: async( db ) => db.delete( \"users\", { id: 1 } ) };",
+        "README.md": "not a migration"
+    };
+
+function createMigrationsDirectory()
+{
+    const dir = fs.mkdtempSync( path.join( os.tmpdir(), "toolbocks-migrations-" ) );
+
+    Object.entries( FILES ).forEach( ( [name, content] ) => fs.writeFileSync( path.join( dir, name ), content ) );
+
+    return dir;
+}
+
+describe( "Migration files", () =>
+{
+    test( "compareVersions compares numerically", () =>
+    {
+        expect( compareVersions( "002", "10" ) ).toBeLessThan( 0 );
+        expect( compareVersions( "010", "10" ) ).toEqual( 0 );
+        expect( compareVersions( "20240101", "3" ) ).toBeGreaterThan( 0 );
+    } );
+
+    test( "parseSqlMigration splits the up and down steps", () =>
+    {
+        expect( parseSqlMigration( FILES["001_create_users.sql"] ) ).toEqual( {
+                                                                               up: "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT);",
+                                                                               down: "DROP TABLE users;"
+                                                                           } );
+
+        expect( parseSqlMigration( "CREATE TABLE x (id INTEGER);" ).down ).toBe( null );
+    } );
+
+    test( "splitStatements only splits on the semicolons that end statements", () =>
+    {
+        const script = "-- users; and their roles\n" +
+                       "CREATE TABLE users (name TEXT DEFAULT 'O''Brien; Jr.', \"a;b\" TEXT, `c;d` TEXT, [e;f] TEXT); /* a comment; */\n" +
+                       "CREATE TRIGGER stamp AFTER INSERT ON users BEGIN\n" +
+                       "  UPDATE users SET name = CASE WHEN name IS NULL THEN 'x;' ELSE name END;\n" +
+                       "  INSERT INTO audit VALUES (1);\n" +
+                       "END;\n" +
+                       "CREATE FUNCTION f() RETURNS text AS $body$ SELECT 'a;b'; $body$ LANGUAGE sql;\n" +
+                       "DROP TABLE old -- the last statement has no semicolon";
+
+        expect( splitStatements( script ) ).toEqual( [
+                                                        "CREATE TABLE users (name TEXT DEFAULT 'O''Brien; Jr.', \"a;b\" TEXT, `c;d` TEXT, [e;f] TEXT)",
+                                                        "CREATE TRIGGER stamp AFTER INSERT ON users BEGIN\n" +
+                                                        "  UPDATE users SET name = CASE WHEN name IS NULL THEN 'x;' ELSE name END;\n" +
+                                                        "  INSERT INTO audit VALUES (1);\n" +
+                                                        "END",
+                                                        "CREATE FUNCTION f() RETURNS text AS $body$ SELECT 'a;b'; $body$ LANGUAGE sql",
+                                                        "DROP TABLE old"
+                                                    ] );
+
+        expect( splitStatements( "BEGIN; UPDATE t SET x = 1; COMMIT;" ) ).toEqual( ["BEGIN", "UPDATE t SET x = 1", "COMMIT"] );
+
+        expect( new Migration( 1, "quoted", "INSERT INTO t VALUES ('a;b'); INSERT INTO t VALUES ('c')" ).statementsFor( "up" ) ).toEqual( ["INSERT INTO t VALUES ('a;b')", "INSERT INTO t VALUES ('c')"] );
+    } );
+
+    test( "loadMigrations reads the migrations in a directory in order of version", async() =>
+    {
+        const dir = createMigrationsDirectory();
+
+        try
+        {
+            const loaded = await loadMigrations( dir );
+
+            expect( loaded.map( e => [e.version, e.name, e.reversible] ) ).toEqual( [["001", "create_users", true],
+                                                                                     ["002", "create_orders", true],
+                                                                                     ["010", "seed_users", true]] );
+
+            fs.writeFileSync( path.join( dir, "01_duplicate.sql" ), "CREATE TABLE dup (id INTEGER);" );
+
+            await expect( loadMigrations( dir ) ).rejects.toThrow( /More than one migration/ );
+        }
+        finally
+        {
+            fs.rmSync( dir, { recursive: true, force: true } );
+        }
+    } );
+} );
+
+describe( "MigrationRunner", () =>
+{
+    let dir;
+
+    beforeEach( () =>
+                {
+                    dir = createMigrationsDirectory();
+                } );
+
+    afterEach( () =>
+               {
+                   fs.rmSync( dir, { recursive: true, force: true } );
+               } );
+
+    test( "up applies the pending migrations, records them, and dispatches events", async() =>
+    {
+        const db = new InMemoryDatabaseServer().getDatabase( "test" );
+
+        const runner = new MigrationRunner( db, { directory: dir } );
+
+        const events = [];
+
+        Object.values( MIGRATION_EVENTS ).forEach( type => runner.addEventListener( type, e => events.push( [e.type, e.detail?.version] ) ) );
+
+        expect( (await runner.up( { to: "2" } )).map( e => e.version ) ).toEqual( ["001", "002"] );
+
+        expect( await db.getCollectionNames() ).toEqual( ["schema_migrations", "users", "orders"] );
+
+        expect( (await runner.up()).map( e => e.version ) ).toEqual( ["010"] );
+
+        expect( (await db.find( "users" )).map( e => e.name ) ).toEqual( ["admin"] );
+
+        expect( await runner.up() ).toEqual( [] );
+
+        expect( (await runner.status()).every( e => e.applied && !e.modified ) ).toBe( true );
+
+        expect( events.slice( 0, 5 ) ).toEqual( [[MIGRATION_EVENTS.STARTING, "001"],
+                                                 [MIGRATION_EVENTS.APPLIED, "001"],
+                                                 [MIGRATION_EVENTS.STARTING, "002"],
+                                                 [MIGRATION_EVENTS.APPLIED, "002"],
+                                                 [MIGRATION_EVENTS.COMPLETE, undefined]] );
+    } );
+
+    test( "down reverts the most recent migrations", async() =>
+    {
+        const db = new InMemoryDatabaseServer().getDatabase( "test" );
+
+        const runner = new MigrationRunner( db, { directory: dir } );
+
+        await runner.up();
+
+        expect( (await runner.down()).map( e => e.version ) ).toEqual( ["010"] );
+
+        expect( await db.find( "users" ) ).toEqual( [] );
+
+        expect( (await runner.migrate( "0" )).map( e => e.version ) ).toEqual( ["002", "001"] );
+
+        expect( await db.getCollectionNames() ).toEqual( ["schema_migrations"] );
+
+        expect( (await runner.pending()).length ).toEqual( 3 );
+    } );
+
+    test( "a dry run reports the steps without executing or recording them", async() =>
+    {
+        const db = new InMemoryDatabaseServer().getDatabase( "test" );
+
+        const runner = new MigrationRunner( db, { directory: dir } );
+
+        const results = await runner.up( { dryRun: true } );
+
+        expect( results.map( e => [e.version, e.dryRun] ) ).toEqual( [["001", true], ["002", true], ["010", true]] );
+
+        expect( results[0].statements ).toEqual( ["CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT)"] );
+
+        expect( (await runner.status()).every( e => !e.applied ) ).toBe( true );
+
+        expect( await db.getCollectionNames() ).toEqual( [] );
+    } );
+
+    test( "a step that fails is rolled back together with its record", async() =>
+    {
+        const db = new InMemoryDatabaseServer().getDatabase( "test" );
+
+        const create = new Migration( 1, "create", "CREATE TABLE things" );
+
+        const partial = new MigrationRunner( db, { migrations: [create, new Migration( 2, "partial", "CREATE TABLE parts; ALTER TABLE parts ADD COLUMN x" )] } );
+
+        await expect( partial.up() ).rejects.toThrow( /Migration 2 \(partial\) failed/ );
+
+        expect( await db.getCollectionNames() ).toEqual( ["schema_migrations", "things"] );
+
+        const seed = new MigrationRunner( db,
+                                          {
+                                              migrations: [create, new Migration( 3, "seed", async( pDb ) =>
+                                              {
+                                                  await pDb.insert( "things", { name: "thing" } );
+                                                  throw new Error( "seed failed" );
+                                              } )]
+                                          } );
+
+        await expect( seed.up() ).rejects.toThrow( /Migration 3 \(seed\) failed: seed failed/ );
+
+        expect( await db.find( "things" ) ).toEqual( [] );
+
+        expect( (await seed.getApplied()).map( e => e.version ) ).toEqual( ["1"] );
+    } );
+
+    test( "a failed step is not recorded and cannot be reverted without a down step", async() =>
+    {
+        const db = new InMemoryDatabaseServer().getDatabase( "test" );
+
+        const failures = [];
+
+        const runner = new MigrationRunner( db,
+                                            {
+                                                migrations: [new Migration( 1, "create", "CREATE TABLE things" ),
+                                                             new Migration( 2, "broken", "ALTER TABLE things ADD COLUMN x" )]
+                                            } );
+
+        runner.addEventListener( MIGRATION_EVENTS.FAILED, e => failures.push( e.detail.version ) );
+
+        await expect( runner.up() ).rejects.toThrow( /Migration 2 \(broken\) failed/ );
+
+        expect( failures ).toEqual( ["2"] );
+
+        expect( (await runner.getApplied()).map( e => e.version ) ).toEqual( ["1"] );
+
+        await expect( runner.down() ).rejects.toThrow( /cannot be reverted/ );
+    } );
+
+    const testIfSqlite = isSqliteAvailable() ? test : test.skip;
+
+    testIfSqlite( "migrations run against SQLite", async() =>
+    {
+        const server = new SqliteDatabaseServer( "sqlite", "admin", null, { filename: ":memory:" } );
+
+        const db = server.getDatabase( "main" );
+
+        const runner = new MigrationRunner( db, { directory: dir } );
+
+        await runner.up();
+
+        expect( (await db.getCollectionNames()).sort() ).toEqual( ["orders", "schema_migrations", "users"] );
+
+        await runner.down( { to: "001" } );
+
+        expect( (await db.getCollectionNames()).sort() ).toEqual( ["schema_migrations", "users"] );
+
+        const failing = new MigrationRunner( db, { migrations: [new Migration( 20, "partial", "CREATE TABLE parts (id INTEGER); INSERT INTO nowhere VALUES (1)" )] } );
+
+        await expect( failing.up() ).rejects.toThrow( /Migration 20 \(partial\) failed/ );
+
+        expect( (await db.getCollectionNames()).sort() ).toEqual( ["schema_migrations", "users"] );
+
+        expect( (await failing.getApplied()).map( e => e.version ) ).toEqual( ["001"] );
+
+        await db.disconnect();
+    } );
+} );
@@ -0,0 +1,261 @@
+const queryBuilder = require( "../src/QueryBuilder.js" );
+const inMemoryDatabase = require( "../src/InMemoryDatabase.js" );
+const sqliteDatabase = require( "../src/SqliteDatabase.js" );
+
+const { Predicate, Query, DIALECTS, where, and, or, not, from, select, likeToRegExp, likeToGlob } = queryBuilder;
+
+const { InMemoryDatabaseServer } = inMemoryDatabase;
+
+const { isSqliteAvailable, buildWhereClause, SqliteDatabaseServer } = sqliteDatabase;
+
+const rows =
+    [
+        { id: 1, name: "Alice", role: "admin", age: 41, joined: new Date( 2020, 0, 1 ) },
+        { id: 2, name: "Bob", role: "user", age: 25, joined: new Date( 2021, 5, 1 ) },
+        { id: 3, name: "carol", role: "user", age: null, joined: new Date( 2022, 3, 1 ) },
+        { id: 4, name: "Dave", role: "guest", age: 33, joined: new Date( 2023, 8, 1 ) }
+    ];
+
+const names = ( pRows ) => pRows.map( e => e.name );
+
+describe( "Predicate", () =>
+{
+    test( "comparison operators evaluate against plain objects", () =>
+    {
+        expect( names( rows.filter( e => where( "age" ).gt( 30 ).evaluate( e ) ) ) ).toEqual( ["Alice", "Dave"] );
+        expect( names( rows.filter( e => where( "age" ).lte( 33 ).evaluate( e ) ) ) ).toEqual( ["Bob", "Dave"] );
+        expect( names( rows.filter( e => where( "role" ).ne( "user" ).evaluate( e ) ) ) ).toEqual( ["Alice", "Dave"] );
+        expect( names( rows.filter( e => where( "joined" ).gte( new Date( 2022, 0, 1 ) ).evaluate( e ) ) ) ).toEqual( ["carol", "Dave"] );
+    } );
+
+    test( "in, like, null checks, and between evaluate against plain objects", () =>
+    {
+        expect( names( rows.filter( e => where( "id" ).in( [1, 3] ).evaluate( e ) ) ) ).toEqual( ["Alice", "carol"] );
+        expect( names( rows.filter( e => where( "id" ).notIn( 1, 3 ).evaluate( e ) ) ) ).toEqual( ["Bob", "Dave"] );
+        expect( names( rows.filter( e => where( "name" ).like( "_a%" ).evaluate( e ) ) ) ).toEqual( ["carol", "Dave"] );
+        expect( names( rows.filter( e => where( "name" ).ilike( "C%" ).evaluate( e ) ) ) ).toEqual( ["carol"] );
+        expect( names( rows.filter( e => where( "age" ).isNull().evaluate( e ) ) ) ).toEqual( ["carol"] );
+        expect( names( rows.filter( e => where( "age" ).eq( null ).not().evaluate( e ) ) ) ).toEqual( ["Alice", "Bob", "Dave"] );
+        expect( names( rows.filter( e => where( "age" ).between( 25, 33 ).evaluate( e ) ) ) ).toEqual( ["Bob", "Dave"] );
+    } );
+
+    test( "and, or, and not combine predicates", () =>
+    {
+        const predicate = or( and( where( "role" ).eq( "user" ), where( "age" ).isNotNull() ), not( where( "age" ).lt( 40 ) ) );
+
+        expect( names( rows.filter( e => predicate.evaluate( e ) ) ) ).toEqual( ["Alice", "Bob"] );
+    } );
+
+    test( "toSql renders parameterized SQL", () =>
+    {
+        const predicate = where( "role" ).in( "admin", "owner" ).and( where( "name" ).ilike( "a%" ), not( where( "age" ).isNull() ) );
+
+        expect( predicate.toSql() ).toEqual( {
+                                                 sql: "(\"role\" IN (?, ?) AND LOWER(\"name\") LIKE LOWER(?) AND NOT (\"age\" IS NULL))",
+                                                 params: ["admin", "owner", "a%"]
+                                             } );
+
+        expect( where( "age" ).between( 1, 9 ).or( where( "id" ).eq( 0 ) ).toSql( { placeholder: "$" } ) ).toEqual( {
+                                                                                                                         sql: "(\"age\" BETWEEN $1 AND $2 OR \"id\" = $3)",
+                                                                                                                         params: [1, 9, 0]
+                                                                                                                     } );
+    } );
+
+    test( "Predicate.from converts object literals and refuses to render functions as SQL", () =>
+    {
+        expect( Predicate.from( { role: "user", id: [2, 3], age: null } ).toSql().sql ).toEqual( "(\"role\" = ? AND \"id\" IN (?, ?) AND \"age\" IS NULL)" );
+
+        const predicate = Predicate.from( { name: /^[AB]/ } );
+
+        expect( predicate.sqlCompatible ).toBe( false );
+        expect( names( rows.filter( e => predicate.evaluate( e ) ) ) ).toEqual( ["Alice", "Bob"] );
+        expect( () => predicate.toSql() ).toThrow();
+    } );
+
+    test( "a comparison with null is unknown, and so is its negation", () =>
+    {
+        expect( names( rows.filter( e => not( where( "age" ).gt( 30 ) ).evaluate( e ) ) ) ).toEqual( ["Bob"] );
+        expect( names( rows.filter( e => not( where( "age" ).between( 30, 40 ) ).evaluate( e ) ) ) ).toEqual( ["Alice", "Bob"] );
+        expect( names( rows.filter( e => not( or( where( "age" ).gt( 30 ), where( "role" ).eq( "guest" ) ) ).evaluate( e ) ) ) ).toEqual( ["Bob"] );
+        expect( names( rows.filter( e => not( and( where( "age" ).gt( 30 ), where( "role" ).eq( "user" ) ) ).evaluate( e ) ) ) ).toEqual( ["Alice", "Bob", "Dave"] );
+
+        expect( where( "age" ).gt( 30 ).test( rows[2] ) ).toBe( null );
+        expect( where( "age" ).isNull().test( rows[2] ) ).toBe( true );
+    } );
+
+    test( "in and not in follow SQL when the list contains null", () =>
+    {
+        expect( names( rows.filter( e => where( "id" ).in( 1, null ).evaluate( e ) ) ) ).toEqual( ["Alice"] );
+        expect( names( rows.filter( e => where( "id" ).notIn( 1, null ).evaluate( e ) ) ) ).toEqual( [] );
+        expect( names( rows.filter( e => where( "age" ).notIn( 25 ).evaluate( e ) ) ) ).toEqual( ["Alice", "Dave"] );
+        expect( names( rows.filter( e => where( "id" ).notIn().evaluate( e ) ) ) ).toEqual( ["Alice", "Bob", "carol", "Dave"] );
+    } );
+
+    test( "like is case-sensitive and ilike is not", () =>
+    {
+        expect( names( rows.filter( e => where( "name" ).like( "c%" ).evaluate( e ) ) ) ).toEqual( ["carol"] );
+        expect( names( rows.filter( e => where( "name" ).like( "C%" ).evaluate( e ) ) ) ).toEqual( [] );
+        expect( names( rows.filter( e => where( "name" ).notLike( "C%" ).evaluate( e ) ) ) ).toEqual( ["Alice", "Bob", "carol", "Dave"] );
+        expect( names( rows.filter( e => where( "name" ).ilike( "a%" ).evaluate( e ) ) ) ).toEqual( ["Alice"] );
+    } );
+
+    test( "likeToGlob escapes glob characters", () =>
+    {
+        expect( likeToGlob( "a*b_%" ) ).toEqual( "a[*]b?*" );
+        expect( likeToGlob( "[x]?" ) ).toEqual( "[[]x][?]" );
+    } );
+
+    test( "likeToRegExp escapes regular expression characters", () =>
+    {
+        expect( likeToRegExp( "a.b%" ).test( "a.bc" ) ).toBe( true );
+        expect( likeToRegExp( "a.b%" ).test( "axbc" ) ).toBe( false );
+    } );
+} );
+
+describe( "Query", () =>
+{
+    test( "toSql renders a complete SELECT statement", () =>
+    {
+        const query = select( "id", "name AS n" ).from( "users" ).where( where( "age" ).gt( 21 ) ).orderBy( "-age" ).limit( 10 ).offset( 20 );
+
+        expect( query.toSql() ).toEqual( {
+                                             sql: "SELECT \"id\", \"name\" AS \"n\" FROM \"users\" WHERE \"age\" > ? ORDER BY \"age\" DESC LIMIT ? OFFSET ?",
+                                             params: [21, 10, 20]
+                                         } );
+    } );
+
+    test( "toSql renders an offset without a limit as the dialect requires", () =>
+    {
+        const query = from( "users" ).orderBy( "id" ).offset( 2 );
+
+        expect( query.toSql().sql ).toEqual( "SELECT * FROM \"users\" ORDER BY \"id\" ASC OFFSET ?" );
+        expect( query.toSql( { dialect: DIALECTS.POSTGRESQL } ).sql ).toEqual( "SELECT * FROM \"users\" ORDER BY \"id\" ASC OFFSET ?" );
+        expect( query.toSql( { dialect: DIALECTS.SQLITE } ).sql ).toEqual( "SELECT * FROM \"users\" ORDER BY \"id\" ASC LIMIT -1 OFFSET ?" );
+        expect( query.toSql( { dialect: DIALECTS.MYSQL } ).sql ).toEqual( "SELECT * FROM \"users\" ORDER BY \"id\" ASC LIMIT 18446744073709551615 OFFSET ?" );
+
+        expect( query.limit( 5 ).toSql( { dialect: DIALECTS.SQLITE } ) ).toEqual( {
+                                                                                      sql: "SELECT * FROM \"users\" ORDER BY \"id\" ASC LIMIT ? OFFSET ?",
+                                                                                      params: [5, 2]
+                                                                                  } );
+    } );
+
+    test( "toSql renders a case-sensitive like as GLOB for SQLite", () =>
+    {
+        expect( where( "name" ).like( "c_r%" ).toSql( { dialect: DIALECTS.SQLITE } ) ).toEqual( { sql: "\"name\" GLOB ?", params: ["c?r*"] } );
+        expect( where( "name" ).notLike( "c%" ).toSql( { dialect: DIALECTS.SQLITE } ) ).toEqual( { sql: "\"name\" NOT GLOB ?", params: ["c*"] } );
+        expect( where( "name" ).like( "c%" ).toSql() ).toEqual( { sql: "\"name\" LIKE ?", params: ["c%"] } );
+    } );
+
+    test( "apply filters, sorts, pages, and projects plain objects", () =>
+    {
+        const query = from( "users" ).where( { role: ["user", "guest"] } ).orderBy( "name DESC" ).select( "id", "name AS n" );
+
+        expect( query.apply( rows ) ).toEqual( [{ id: 3, n: "carol" }, { id: 4, n: "Dave" }, { id: 2, n: "Bob" }] );
+
+        expect( query.page( 1, 2 ).apply( rows ) ).toEqual( [{ id: 4, n: "Dave" }] );
+    } );
+} );
+
+describe( "Databases accept queries built with the QueryBuilder", () =>
+{
+    const data = rows.map( ( { joined, ...row } ) => row );
+
+    test( "InMemoryDatabase", async() =>
+    {
+        const db = new InMemoryDatabaseServer().getDatabase( "test" );
+
+        await db.insertBatch( "users", data );
+
+        expect( names( await db.find( from( "users" ).where( where( "age" ).gte( 30 ) ).orderBy( "age" ) ) ) ).toEqual( ["Dave", "Alice"] );
+
+        expect( (await db.findFirst( from( "users" ).orderBy( "-id" ) )).name ).toEqual( "Dave" );
+
+        expect( names( await db.findSubset( from( "users" ).orderBy( "name" ), 1, 3 ) ) ).toEqual( ["Bob", "Dave"] );
+
+        expect( await db.update( "users", { role: "admin" }, where( "name" ).like( "%a%" ).and( where( "role" ).ne( "admin" ) ) ) ).toEqual( 2 );
+
+        expect( await db.delete( "users", where( "role" ).eq( "admin" ).not() ) ).toEqual( 1 );
+    } );
+
+    test( "buildWhereClause sends what it can to SQL and filters the rest", () =>
+    {
+        const { sql, params, filter } = buildWhereClause( where( "role" ).eq( "user" ).and( { name: /^B/ }, where( "flag" ).eq( true ) ) );
+
+        expect( sql ).toEqual( " WHERE (\"role\" = ? AND \"flag\" = ?)" );
+        expect( params ).toEqual( ["user", 1] );
+        expect( filter( { name: "Bob" } ) ).toBe( true );
+    } );
+
+    const testIfSqlite = isSqliteAvailable() ? test : test.skip;
+
+    testIfSqlite( "SqliteDatabase", async() =>
+    {
+        const server = new SqliteDatabaseServer( "sqlite", "admin", null, { filename: ":memory:" } );
+
+        const db = server.getDatabase( "main" );
+
+        await db.executeDdl( "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, role TEXT, age INTEGER)" );
+
+        await db.insertBatch( "users", data );
+
+        expect( names( await db.find( from( "users" ).where( where( "age" ).gte( 30 ) ).orderBy( "age" ) ) ) ).toEqual( ["Dave", "Alice"] );
+
+        expect( await db.find( select( "name AS n" ).from( "users" ).where( where( "name" ).ilike( "C%" ) ) ) ).toEqual( [{ n: "carol" }] );
+
+        expect( names( await db.findSubset( from( "users" ).where( { name: /a/ } ).orderBy( "id" ), 1 ) ) ).toEqual( ["Dave"] );
+
+        expect( await db.update( "users", { role: "admin" }, where( "name" ).like( "%a%" ).and( where( "role" ).ne( "admin" ) ) ) ).toEqual( 2 );
+
+        expect( await db.delete( "users", where( "role" ).eq( "admin" ).not() ) ).toEqual( 1 );
+
+        await db.disconnect();
+    } );
+
+    // each predicate selects the same rows whether it is evaluated in memory or by SQLite
+    const predicates =
+        [
+            [not( where( "age" ).gt( 30 ) ), ["Bob"]],
+            [not( where( "age" ).between( 30, 40 ) ), ["Alice", "Bob"]],
+            [not( or( where( "age" ).gt( 30 ), where( "role" ).eq( "guest" ) ) ), ["Bob"]],
+            [where( "id" ).notIn( 1, null ), []],
+            [where( "age" ).notIn( 25 ), ["Alice", "Dave"]],
+            [where( "name" ).like( "c%" ), ["carol"]],
+            [where( "name" ).like( "C%" ), []],
+            [where( "name" ).notLike( "%a%" ), ["Alice", "Bob"]],
+            [where( "name" ).ilike( "%A%" ), ["Alice", "carol", "Dave"]]
+        ];
+
+    async function expectSameRows( pDb )
+    {
+        for( const [predicate, expected] of predicates )
+        {
+            expect( names( await pDb.find( from( "users" ).where( predicate ).orderBy( "id" ) ) ) ).toEqual( expected );
+        }
+
+        expect( names( await pDb.find( from( "users" ).orderBy( "id" ).offset( 2 ) ) ) ).toEqual( ["carol", "Dave"] );
+    }
+
+    test( "InMemoryDatabase evaluates predicates as SQL does", async() =>
+    {
+        const db = new InMemoryDatabaseServer().getDatabase( "test" );
+
+        await db.insertBatch( "users", data );
+
+        await expectSameRows( db );
+    } );
+
+    testIfSqlite( "SqliteDatabase evaluates predicates as SQL does", async() =>
+    {
+        const server = new SqliteDatabaseServer( "sqlite", "admin", null, { filename: ":memory:" } );
+
+        const db = server.getDatabase( "main" );
+
+        await db.executeDdl( "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, role TEXT, age INTEGER)" );
+
+        await db.insertBatch( "users", data );
+
+        await expectSameRows( db );
+
+        await db.disconnect();
+    } );
+} );
@@ -0,0 +1,399 @@
+const os = require( "node:os" );
+const fs = require( "node:fs" );
+const path = require( "node:path" );
+
+const secretsModule = require( "@toolbocks/secrets" );
+
+const databaseUtils = require( "../src/DatabaseUtils.js" );
+const sqliteDatabase = require( "../src/SqliteDatabase.js" );
+
+const { SecretsManager } = secretsModule;
+
+const { DatabaseFactory } = databaseUtils;
+
+const { DEFAULT_BUSY_TIMEOUT, isSqliteAvailable, parseConnectionString, SqliteDatabaseServer, SqliteDatabase } = sqliteDatabase;
+
+/**
+ * A SecretsManager that only knows the connection string
+ */
+class ConnectionStringSecretsManager extends SecretsManager
+{
+    #connectionString;
+
+    constructor( pConnectionString )
+    {
+        super( {} );
+        this.#connectionString = pConnectionString;
+    }
+
+    async getSecret( pKey )
+    {
+        return /CONNECTION/i.test( pKey ) ? this.#connectionString : null;
+    }
+}
+
+const DDL = `CREATE TABLE users
+             (
+                 id   INTEGER PRIMARY KEY AUTOINCREMENT,
+                 name TEXT NOT NULL UNIQUE,
+                 role TEXT DEFAULT 'user'
+             )`;
+
+async function createDatabase( pConnectionString = ":memory:" )
+{
+    const factory = new DatabaseFactory( "TEST", null, "DB", {}, {} );
+
+    const server = new SqliteDatabaseServer( "sqlite", "admin", new ConnectionStringSecretsManager( pConnectionString ) );
+
+    factory.addChoice( "sqlite", server );
+
+    const db = await factory.getDatabase( "sqlite", factory.getDatabaseServer( "sqlite" ), "main" );
+
+    await db.executeDdl( DDL );
+
+    return db;
+}
+
+describe( "parseConnectionString", () =>
+{
+    test( "parseConnectionString accepts a plain path", () =>
+    {
+        expect( parseConnectionString( "./data/dev.db" ) ).toEqual( { filename: "./data/dev.db", options: {} } );
+    } );
+
+    test( "parseConnectionString strips the protocol and reads the options", () =>
+    {
+        expect( parseConnectionString( "sqlite://./dev.db?readOnly=true&foreignKeys=false" ) ).toEqual( {
+                                                                                                            filename: "./dev.db",
+                                                                                                            options: {
+                                                                                                                readOnly: true,
+                                                                                                                enableForeignKeyConstraints: false
+                                                                                                            }
+                                                                                                        } );
+    } );
+
+    test( "parseConnectionString reads the busy timeout", () =>
+    {
+        expect( parseConnectionString( "sqlite://./dev.db?busyTimeout=250" ).options ).toEqual( { busyTimeout: 250 } );
+    } );
+
+    test( "parseConnectionString defaults to an in-memory database", () =>
+    {
+        expect( parseConnectionString( "" ).filename ).toEqual( ":memory:" );
+    } );
+} );
+
+const describeIfSqlite = isSqliteAvailable() ? describe : describe.skip;
+
+describeIfSqlite( "SqliteDatabase", () =>
+{
+    test( "the factory returns a SqliteDatabase connected through the SecretsManager", async() =>
+    {
+        const db = await createDatabase();
+
+        expect( db instanceof SqliteDatabase ).toBe( true );
+        expect( db.server.connected ).toBe( true );
+        expect( db.server.filename ).toEqual( ":memory:" );
+
+        expect( await db.getCollectionNames() ).toEqual( ["users"] );
+
+        await db.disconnect();
+
+        expect( db.server.connected ).toBe( false );
+    } );
+
+    test( "insert and insertBatch return the inserted rows", async() =>
+    {
+        const db = await createDatabase();
+
+        expect( await db.insert( "users", { columns: ["name"], values: ["Alice"] } ) ).toEqual( { id: 1, name: "Alice", role: "user" } );
+
+        const rows = await db.insertBatch( "users", [{ name: "Bob" }, { name: "Carol", role: "admin" }] );
+
+        expect( rows.map( e => e.id ) ).toEqual( [2, 3] );
+    } );
+
+    test( "insertBatch is all or nothing", async() =>
+    {
+        const db = await createDatabase();
+
+        await db.insert( "users", { name: "Alice" } );
+
+        await expect( db.insertBatch( "users", [{ name: "Bob" }, { name: "Alice" }] ) ).rejects.toThrow( /UNIQUE/ );
+
+        expect( (await db.find( "users" )).length ).toEqual( 1 );
+    } );
+
+    test( "find translates predicates to SQL and applies functions to the results", async() =>
+    {
+        const db = await createDatabase();
+
+        await db.insertBatch( "users", [{ name: "Alice", role: "admin" }, { name: "Bob" }, { name: "Carol" }] );
+
+        expect( (await db.find( { collection: "users", where: { role: "user" } } )).map( e => e.name ) ).toEqual( ["Bob", "Carol"] );
+
+        expect( (await db.find( { collection: "users", where: { id: [1, 3] } } )).map( e => e.name ) ).toEqual( ["Alice", "Carol"] );
+
+        expect( (await db.find( { collection: "users", where: { name: /^[AB]/ } } )).length ).toEqual( 2 );
+
+        expect( (await db.find( "SELECT name FROM users WHERE id > ?", { params: [2] } )) ).toEqual( [{ name: "Carol" }] );
+
+        expect( (await db.findFirst( { collection: "users", where: { role: "user" } } )).name ).toEqual( "Bob" );
+
+        expect( (await db.findSubset( "users", 1, 3 )).map( e => e.name ) ).toEqual( ["Bob", "Carol"] );
+    } );
+
+    test( "update, updateBatch and upsert", async() =>
+    {
+        const db = await createDatabase();
+
+        await db.insertBatch( "users", [{ name: "Alice" }, { name: "Bob" }, { name: "Carol" }] );
+
+        expect( await db.update( "users", { role: "admin" }, { name: ["Alice", "Bob"] } ) ).toEqual( 2 );
+
+        expect( await db.updateBatch( "users", [{ id: 1, role: "guest" }, { id: 3, role: "owner" }] ) ).toEqual( 2 );
+
+        expect( (await db.find( "users" )).map( e => e.role ) ).toEqual( ["guest", "admin", "owner"] );
+
+        expect( await db.upsert( "users", { id: 2, name: "Robert" } ) ).toEqual( { id: 2, name: "Robert", role: "admin" } );
+
+        expect( (await db.upsert( "users", { name: "Dave" }, { keys: ["name"] } )).id ).toEqual( 4 );
+    } );
+
+    test( "delete and truncate report the number of rows removed", async() =>
+    {
+        const db = await createDatabase();
+
+        await db.insertBatch( "users", [{ name: "Alice" }, { name: "Bob" }, { name: "Carol" }] );
+
+        expect( await db.delete( "users", { name: "Bob" } ) ).toEqual( 1 );
+
+        expect( await db.delete( "users", e => e.name.startsWith( "C" ) ) ).toEqual( 1 );
+
+        await expect( db.delete( "users" ) ).rejects.toThrow( /truncate/ );
+
+        expect( await db.truncate( "users" ) ).toEqual( 1 );
+    } );
+
+    test( "withTransaction rolls back every step when one fails", async() =>
+    {
+        const db = await createDatabase();
+
+        await db.insert( "users", { name: "Alice" } );
+
+        await expect( db.withTransaction( async( pDb ) =>
+                                          {
+                                              await pDb.insertBatch( "users", [{ name: "Bob" }, { name: "Carol" }] );
+                                              await pDb.updateBatch( "users", [{ id: 2, role: "admin" }, { id: 3, name: "Alice" }] );
+                                          } ) ).rejects.toThrow( /UNIQUE/ );
+
+        expect( (await db.find( "users" )).map( e => e.name ) ).toEqual( ["Alice"] );
+
+        await db.withTransaction( async( pDb ) => pDb.insert( "users", { name: "Bob" } ), { mode: "IMMEDIATE" } );
+
+        expect( (await db.find( "users" )).map( e => e.name ) ).toEqual( ["Alice", "Bob"] );
+    } );
+
+    test( "a transaction uses a pooled connection of its own when the server has a pool", async() =>
+    {
+        const dir = fs.mkdtempSync( path.join( os.tmpdir(), "toolbocks-sqlite-" ) );
+
+        try
+        {
+            const factory = new DatabaseFactory( "TEST", null, "DB", {}, { pool: { max: 2 }, filename: path.join( dir, "pooled.db" ) } );
+
+            const db = await factory.getDatabase( "sqlite", null, "main" );
+
+            await db.executeDdl( DDL );
+
+            await db.beginTransaction();
+
+            await db.insert( "users", { name: "Alice" } );
+
+            expect( db.server.pool.borrowed ).toEqual( 1 );
+
+            expect( db.server.handle.prepare( "SELECT COUNT(*) AS n FROM users" ).get().n ).toEqual( 0 );
+
+            await db.commit();
+
+            expect( db.server.pool.borrowed ).toEqual( 0 );
+
+            expect( db.server.handle.prepare( "SELECT COUNT(*) AS n FROM users" ).get().n ).toEqual( 1 );
+
+            await db.disconnect();
+        }
+        finally
+        {
+            fs.rmSync( dir, { recursive: true, force: true } );
+        }
+    } );
+
+    test( "writers in this process wait for each other without blocking the event loop", async() =>
+    {
+        const dir = fs.mkdtempSync( path.join( os.tmpdir(), "toolbocks-sqlite-" ) );
+
+        const busyTimeout = ( pHandle ) => Object.values( pHandle.prepare( "PRAGMA busy_timeout" ).get() )[0];
+
+        try
+        {
+            const factory = new DatabaseFactory( "TEST", null, "DB", {}, { pool: { max: 2 }, filename: path.join( dir, "busy.db" ), busyTimeout: 250 } );
+
+            const one = await factory.getDatabase( "sqlite", null, "main" );
+            const two = await factory.getDatabase( "sqlite", null, "main" );
+
+            await one.executeDdl( DDL );
+
+            expect( one.server.busyTimeout ).toEqual( 250 );
+
+            // SQLite must not wait for a lock, because waiting blocks the thread of the connection holding it
+            expect( busyTimeout( one.server.handle ) ).toEqual( 0 );
+
+            await one.beginTransaction();
+
+            await one.insert( "users", { name: "Alice" } );
+
+            const started = Date.now();
+
+            let written = false;
+
+            const insert = two.insert( "users", { name: "Bob" } ).then( e => written = e );
+
+            const transaction = two.withTransaction( async( pDb ) => pDb.insert( "users", { name: "Carol", role: "admin" } ) );
+
+            await new Promise( resolve => setTimeout( resolve, 400 ) );
+
+            // the writer waits longer than the busy timeout, but does not block the event loop or fail
+            expect( Date.now() - started ).toBeLessThan( 1_000 );
+            expect( written ).toBe( false );
+
+            await one.commit();
+
+            expect( (await insert).name ).toEqual( "Bob" );
+            expect( (await transaction).name ).toEqual( "Carol" );
+
+            expect( (await one.find( "users" )).map( e => e.name ).sort() ).toEqual( ["Alice", "Bob", "Carol"] );
+
+            await one.disconnect();
+        }
+        finally
+        {
+            fs.rmSync( dir, { recursive: true, force: true } );
+        }
+    } );
+
+    test( "a write is retried while another process holds a lock, for up to the busy timeout", async() =>
+    {
+        const dir = fs.mkdtempSync( path.join( os.tmpdir(), "toolbocks-sqlite-" ) );
+
+        const filename = path.join( dir, "locked.db" );
+
+        try
+        {
+            const db = await createDatabase( "sqlite://" + filename + "?busyTimeout=1000" );
+
+            // a connection this module does not manage stands in for another process
+            const { DatabaseSync } = require( "node:sqlite" );
+
+            const elsewhere = new DatabaseSync( filename );
+
+            elsewhere.exec( "BEGIN IMMEDIATE" );
+
+            let ticks = 0;
+
+            const timer = setInterval( () => ticks++, 10 );
+
+            setTimeout( () => elsewhere.exec( "COMMIT" ), 200 );
+
+            expect( (await db.insert( "users", { name: "Alice" } )).name ).toEqual( "Alice" );
+
+            clearInterval( timer );
+
+            // the event loop kept running while the write waited
+            expect( ticks ).toBeGreaterThan( 5 );
+
+            elsewhere.exec( "BEGIN IMMEDIATE" );
+
+            const impatient = new SqliteDatabaseServer( "sqlite", "admin", null, null, { filename, busyTimeout: 50 } ).getDatabase( "main" );
+
+            await expect( impatient.insert( "users", { name: "Bob" } ) ).rejects.toThrow( /locked/ );
+
+            await impatient.disconnect();
+
+            elsewhere.exec( "ROLLBACK" );
+            elsewhere.close();
+
+            await db.disconnect();
+        }
+        finally
+        {
+            fs.rmSync( dir, { recursive: true, force: true } );
+        }
+    } );
+
+    test( "without a pool, another instance's writes do not join a transaction", async() =>
+    {
+        const db = await createDatabase();
+
+        const other = db.server.getDatabase( "main" );
+
+        expect( db.server.busyTimeout ).toEqual( DEFAULT_BUSY_TIMEOUT );
+
+        await db.beginTransaction();
+
+        await db.insert( "users", { name: "Alice" } );
+
+        const insert = other.insert( "users", { name: "Bob" } );
+
+        // give the other instance's insert every chance to run before the transaction ends
+        await new Promise( resolve => setTimeout( resolve, 50 ) );
+
+        await db.rollback();
+
+        await insert;
+
+        expect( (await db.find( "users" )).map( e => e.name ) ).toEqual( ["Bob"] );
+
+        await db.disconnect();
+    } );
+
+    test( "an update applying criteria in JavaScript succeeds or fails as a whole", async() =>
+    {
+        const db = await createDatabase();
+
+        await db.executeDdl( "CREATE TABLE accounts (id INTEGER PRIMARY KEY, name TEXT, role TEXT CHECK (id = 1 OR role <> 'owner'))" );
+
+        await db.insertBatch( "accounts", [{ id: 1, name: "Alice", role: "user" }, { id: 2, name: "Bob", role: "user" }] );
+
+        await expect( db.update( "accounts", { role: "owner" }, { name: /^[AB]/ } ) ).rejects.toThrow( /CHECK/ );
+
+        expect( (await db.find( "accounts" )).map( e => e.role ) ).toEqual( ["user", "user"] );
+
+        await db.disconnect();
+    } );
+
+    test( "data written to a file survives reconnecting", async() =>
+    {
+        const dir = fs.mkdtempSync( path.join( os.tmpdir(), "toolbocks-sqlite-" ) );
+
+        const filename = path.join( dir, "test.db" );
+
+        try
+        {
+            const db = await createDatabase( "sqlite://" + filename );
+
+            await db.insert( "users", { name: "Alice" } );
+
+            await db.disconnect();
+
+            await db.connect();
+
+            expect( (await db.find( "users" )).map( e => e.name ) ).toEqual( ["Alice"] );
+
+            await db.disconnect();
+        }
+        finally
+        {
+            fs.rmSync( dir, { recursive: true, force: true } );
+        }
+    } );
+} );
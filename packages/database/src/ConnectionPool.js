@@ -0,0 +1,534 @@
+/**
+ * This module provides a generic pool of connections (or any other expensive, reusable resource).
+ * <br><br>
+ * A pool is constructed with an object that knows how to create, destroy, and (optionally) validate a connection,
+ * and with options that control its size and timeouts:
+ * <ul>
+ * <li>min - the number of connections to keep open, even when idle (default: 0)</li>
+ * <li>max - the maximum number of connections open at any one time (default: 10)</li>
+ * <li>idleTimeout - the number of milliseconds after which an idle connection (beyond the minimum) is closed (default: 30 seconds; 0 disables)</li>
+ * <li>acquireTimeout - the number of milliseconds to wait for a connection when the pool is exhausted (default: 30 seconds; 0 waits forever)</li>
+ * </ul>
+ * DatabaseServer creates (and starts) a pool from the 'pool' property of its options,
+ * which are usually supplied by a DatabaseFactory.
+ * A pool constructed directly opens its minimum number of connections when start is called.
+ * <br>
+ */
+
+const core = require( "@toolbocks/core" );
+
+const { constants } = core;
+
+const { _ud = "undefined" } = constants;
+
+const $scope = constants?.$scope || function()
+{
+    return (_ud === typeof self ? ((_ud === typeof global) ? ((_ud === typeof globalThis ? {} : globalThis)) : (global || {})) : (self || {}));
+};
+
+(function exposeModule()
+{
+    const INTERNAL_NAME = "__BOCK__DATABASE_CONNECTION_POOL__";
+
+    if ( $scope() && (null != $scope()[INTERNAL_NAME]) )
+    {
+        return $scope()[INTERNAL_NAME];
+    }
+
+    const moduleName = "ConnectionPool";
+
+    const { moduleUtils, typeUtils, stringUtils } = core;
+
+    const {
+        ToolBocksModule,
+        IllegalArgumentError,
+        IllegalStateError,
+        __Error,
+        asyncAttempt,
+        lock
+    } = moduleUtils;
+
+    const { isNull, isNonNullObject, isFunction } = typeUtils;
+
+    const { asInt } = stringUtils;
+
+    const toolBocksModule = new ToolBocksModule( moduleName, INTERNAL_NAME );
+
+    const DEFAULT_POOL_OPTIONS = lock( {
+                                           min: 0,
+                                           max: 10,
+                                           idleTimeout: 30_000,
+                                           acquireTimeout: 30_000
+                                       } );
+
+    /**
+     * The error thrown (or with which the returned Promise is rejected)
+     * when a connection cannot be acquired within the acquireTimeout
+     */
+    class ConnectionPoolTimeoutError extends __Error
+    {
+        constructor( pMsgOrErr, pOptions = {}, ...pArgs )
+        {
+            super( pMsgOrErr, (pOptions ?? {}), ...pArgs );
+        }
+    }
+
+    const toMillis = ( pValue, pDefault ) => isNull( pValue ) ? pDefault : Math.max( 0, asInt( pValue ) );
+
+    /**
+     * Returns the options of a pool, populated with the defaults and validated
+     */
+    function resolvePoolOptions( pOptions )
+    {
+        const options = { ...DEFAULT_POOL_OPTIONS, ...(isNonNullObject( pOptions ) ? pOptions : {}) };
+
+        const max = Math.max( 1, asInt( options.max, DEFAULT_POOL_OPTIONS.max ) );
+
+        const min = Math.min( max, Math.max( 0, asInt( options.min ) ) );
+
+        return {
+            min,
+            max,
+            idleTimeout: toMillis( options.idleTimeout ?? options.idleTimeoutMillis, DEFAULT_POOL_OPTIONS.idleTimeout ),
+            acquireTimeout: toMillis( options.acquireTimeout ?? options.acquireTimeoutMillis, DEFAULT_POOL_OPTIONS.acquireTimeout )
+        };
+    }
+
+    /**
+     * Maintains a set of connections that can be borrowed (see acquire) and returned (see release).
+     * <br><br>
+     * Connections are created on demand, up to the maximum size of the pool.
+     * When every connection is in use, callers wait (in order) for a connection to be released,
+     * failing with a ConnectionPoolTimeoutError if none becomes available within the acquireTimeout.
+     * <br><br>
+     * Idle connections are validated (if the factory defines validate) before they are lent again,
+     * and are closed once they have been idle longer than the idleTimeout, provided the pool keeps its minimum size.
+     * <br><br>
+     * A connection that is being created, validated, or closed is reserved,
+     * counting toward the size of the pool until it is lent or closed,
+     * so concurrent calls to acquire never open more than the maximum number of connections.
+     * <br>
+     *
+     * @class
+     */
+    class ConnectionPool
+    {
+        #factory;
+        #options;
+
+        #idle = [];
+        #borrowed = new Set();
+        #waiting = [];
+        #reserved = 0;
+
+        #evictionTimer = null;
+        #closed = false;
+
+        /**
+         * @param {{create: function():Promise<*>, destroy: function(*):Promise<void>, validate: (function(*):(boolean|Promise<boolean>)|undefined)}} pFactory
+         *        an object whose methods create, destroy, and optionally validate a connection
+         * @param {Object} [pOptions] the min, max, idleTimeout, and acquireTimeout of the pool
+         */
+        constructor( pFactory, pOptions = {} )
+        {
+            if ( !isNonNullObject( pFactory ) || !isFunction( pFactory.create ) )
+            {
+                throw new IllegalArgumentError( "A ConnectionPool requires an object with a create method", { factory: pFactory } );
+            }
+
+            this.#factory = pFactory;
+            this.#options = resolvePoolOptions( pOptions );
+        }
+
+        get options()
+        {
+            return { ...this.#options };
+        }
+
+        get min()
+        {
+            return this.#options.min;
+        }
+
+        get max()
+        {
+            return this.#options.max;
+        }
+
+        /**
+         * Returns the number of connections open (idle, borrowed, or reserved while being created, validated, or closed)
+         * @returns {number}
+         */
+        get size()
+        {
+            return this.#idle.length + this.#borrowed.size + this.#reserved;
+        }
+
+        get available()
+        {
+            return this.#idle.length;
+        }
+
+        get borrowed()
+        {
+            return this.#borrowed.size;
+        }
+
+        get pending()
+        {
+            return this.#waiting.length;
+        }
+
+        get closed()
+        {
+            return this.#closed;
+        }
+
+        /**
+         * Opens connections until the pool holds its minimum number of connections
+         * @returns {Promise<ConnectionPool>} this pool
+         */
+        async start()
+        {
+            while ( !this.#closed && this.size < this.min )
+            {
+                await this.#create( false );
+            }
+
+            this.#scheduleEviction();
+
+            return this;
+        }
+
+        /**
+         * Reserves a place in the pool while the specified function is awaited.
+         * <br>
+         * The function must add the connection it handles to the borrowed (or idle) connections, or close it,
+         * before it returns, so the connection is never counted out of the pool while it is still open.
+         */
+        async #reserve( pFunction )
+        {
+            this.#reserved++;
+
+            try
+            {
+                return await pFunction();
+            }
+            finally
+            {
+                this.#reserved--;
+            }
+        }
+
+        /**
+         * Creates a connection and adds it to the borrowed (or idle) connections
+         */
+        async #create( pBorrow = true )
+        {
+            return this.#reserve( async() =>
+                                  {
+                                      const connection = await this.#factory.create();
+
+                                      if ( pBorrow )
+                                      {
+                                          this.#borrowed.add( connection );
+                                      }
+                                      else if ( this.#closed )
+                                      {
+                                          // the pool was closed while the connection was being opened
+                                          await this.#close( connection );
+                                          return null;
+                                      }
+                                      else
+                                      {
+                                          this.#idle.push( { connection, since: Date.now() } );
+                                      }
+
+                                      return connection;
+                                  } );
+        }
+
+        async #isValid( pConnection )
+        {
+            if ( !isFunction( this.#factory.validate ) )
+            {
+                return true;
+            }
+
+            return !!(await asyncAttempt( async() => await this.#factory.validate( pConnection ) ));
+        }
+
+        async #close( pConnection )
+        {
+            if ( isFunction( this.#factory.destroy ) )
+            {
+                await asyncAttempt( async() => await this.#factory.destroy( pConnection ) );
+            }
+        }
+
+        #borrow( pConnection )
+        {
+            this.#borrowed.add( pConnection );
+            return pConnection;
+        }
+
+        /**
+         * Returns a connection from the pool, creating one if none is idle and the pool is not at its maximum size.
+         *
+         * @returns {Promise<*>} a connection, which must be returned to the pool via release (or destroy)
+         * @throws {ConnectionPoolTimeoutError} if no connection becomes available within the acquireTimeout
+         * @throws {IllegalStateError} if the pool has been closed
+         */
+        async acquire()
+        {
+            if ( this.#closed )
+            {
+                throw new IllegalStateError( "The connection pool has been closed" );
+            }
+
+            while ( this.#idle.length > 0 )
+            {
+                const { connection } = this.#idle.pop();
+
+                const borrowed = await this.#reserve( async() =>
+                                                      {
+                                                          if ( await this.#isValid( connection ) )
+                                                          {
+                                                              return this.#borrow( connection );
+                                                          }
+
+                                                          await this.#close( connection );
+
+                                                          return null;
+                                                      } );
+
+                if ( !isNull( borrowed ) )
+                {
+                    return borrowed;
+                }
+            }
+
+            if ( this.size < this.max )
+            {
+                return await this.#create();
+            }
+
+            return new Promise( ( resolve, reject ) =>
+                                {
+                                    const waiter = { resolve, reject, timer: null };
+
+                                    const timeout = this.#options.acquireTimeout;
+
+                                    if ( timeout > 0 )
+                                    {
+                                        waiter.timer = setTimeout( () =>
+                                                                   {
+                                                                       this.#waiting = this.#waiting.filter( e => e !== waiter );
+                                                                       reject( new ConnectionPoolTimeoutError( `Timed out after ${timeout}ms waiting for a connection`,
+                                                                                                               { max: this.max, borrowed: this.borrowed } ) );
+                                                                   }, timeout );
+                                    }
+
+                                    this.#waiting.push( waiter );
+                                } );
+        }
+
+        #nextWaiter()
+        {
+            const waiter = this.#waiting.shift();
+
+            if ( !isNull( waiter?.timer ) )
+            {
+                clearTimeout( waiter.timer );
+            }
+
+            return waiter;
+        }
+
+        /**
+         * Returns a connection to the pool, making it available to the next caller waiting for one
+         *
+         * @param {*} pConnection a connection obtained from acquire
+         * @returns {Promise<void>}
+         */
+        async release( pConnection )
+        {
+            if ( !this.#borrowed.has( pConnection ) )
+            {
+                throw new IllegalArgumentError( "The connection was not acquired from this pool" );
+            }
+
+            this.#borrowed.delete( pConnection );
+
+            if ( this.#closed )
+            {
+                return this.#close( pConnection );
+            }
+
+            const waiter = this.#nextWaiter();
+
+            if ( !isNull( waiter ) )
+            {
+                waiter.resolve( this.#borrow( pConnection ) );
+                return;
+            }
+
+            this.#idle.push( { connection: pConnection, since: Date.now() } );
+
+            this.#scheduleEviction();
+        }
+
+        /**
+         * Closes a connection (for example, one that has failed) instead of returning it to the pool
+         *
+         * @param {*} pConnection a connection obtained from acquire
+         * @returns {Promise<void>}
+         */
+        async destroy( pConnection )
+        {
+            await this.#reserve( async() =>
+                                 {
+                                     this.#borrowed.delete( pConnection );
+
+                                     await this.#close( pConnection );
+                                 } );
+
+            // a caller waiting for a connection can now have a new one
+            if ( !this.#closed && this.#waiting.length > 0 && this.size < this.max )
+            {
+                const waiter = this.#nextWaiter();
+
+                try
+                {
+                    waiter.resolve( await this.#create() );
+                }
+                catch( ex )
+                {
+                    waiter.reject( ex );
+                }
+            }
+        }
+
+        /**
+         * Acquires a connection, passes it to the specified function, and releases it when the function completes
+         *
+         * @param {function(*):*} pFunction a function (possibly async) that accepts a connection
+         * @returns {Promise<*>} the value returned by the function
+         */
+        async use( pFunction )
+        {
+            const connection = await this.acquire();
+
+            try
+            {
+                return await pFunction( connection );
+            }
+            finally
+            {
+                await this.release( connection );
+            }
+        }
+
+        /**
+         * Closes connections that have been idle longer than the idleTimeout,
+         * keeping at least the minimum number of connections open
+         *
+         * @returns {Promise<number>} the number of connections closed
+         */
+        async evictIdle()
+        {
+            const timeout = this.#options.idleTimeout;
+
+            const now = Date.now();
+
+            let evicted = 0;
+
+            // the oldest idle connections are at the front of the list
+            while ( timeout > 0 && this.#idle.length > 0 && this.size > this.min && (now - this.#idle[0].since) >= timeout )
+            {
+                const { connection } = this.#idle.shift();
+
+                await this.#reserve( async() => this.#close( connection ) );
+
+                evicted++;
+            }
+
+            return evicted;
+        }
+
+        #scheduleEviction()
+        {
+            const timeout = this.#options.idleTimeout;
+
+            if ( timeout <= 0 || !isNull( this.#evictionTimer ) || this.#closed )
+            {
+                return;
+            }
+
+            this.#evictionTimer = setInterval( () => this.evictIdle(), Math.max( 10, Math.min( timeout, 1_000 ) ) );
+
+            // an idle pool should not keep the process alive
+            if ( isFunction( this.#evictionTimer?.unref ) )
+            {
+                this.#evictionTimer.unref();
+            }
+        }
+
+        /**
+         * Closes the pool, closing idle connections immediately and borrowed connections as they are released.
+         * Callers waiting for a connection are rejected.
+         *
+         * @returns {Promise<void>}
+         */
+        async close()
+        {
+            this.#closed = true;
+
+            if ( !isNull( this.#evictionTimer ) )
+            {
+                clearInterval( this.#evictionTimer );
+                this.#evictionTimer = null;
+            }
+
+            let waiter = this.#nextWaiter();
+
+            while ( !isNull( waiter ) )
+            {
+                waiter.reject( new IllegalStateError( "The connection pool has been closed" ) );
+                waiter = this.#nextWaiter();
+            }
+
+            const idle = this.#idle.splice( 0, this.#idle.length );
+
+            for( const { connection } of idle )
+            {
+                await this.#close( connection );
+            }
+        }
+    }
+
+    let mod =
+        {
+            dependencies:
+                {
+                    core,
+                    moduleUtils,
+                    typeUtils,
+                    stringUtils
+                },
+            classes:
+                {
+                    ConnectionPoolTimeoutError,
+                    ConnectionPool
+                },
+            DEFAULT_POOL_OPTIONS,
+            resolvePoolOptions,
+            ConnectionPoolTimeoutError,
+            ConnectionPool
+        };
+
+    mod = toolBocksModule.extend( mod );
+
+    return mod.expose( mod, INTERNAL_NAME, (_ud !== typeof module ? module : mod) ) || mod;
+
+}());
@@ -9,6 +9,8 @@ const core = require( "@toolbocks/core" );
 
 const secretsModule = require( "@toolbocks/secrets" );
 
+const connectionPool = require( "./ConnectionPool.js" );
+
 const { constants } = core;
 
 const { _ud = "undefined" } = constants;
@@ -34,6 +36,8 @@ const $scope = constants?.$scope || function()
     const {
         ToolBocksModule,
         IllegalArgumentError,
+        IllegalStateError,
+        NotImplementedError,
         populateOptions,
         no_op,
         attempt,
@@ -68,13 +72,28 @@ const $scope = constants?.$scope || function()
     const { asArray } = arrayUtils;
 
     const {
-        SecretsManagerMode,
         SecretsManager,
         SecretsManagerFactory,
         SECRETS_KEYS,
         getSecretsManager
     } = secretsModule;
 
+    /**
+     * The secrets package calculates its strategy from the environment
+     * and does not always define a SecretsManagerMode,
+     * so we fall back to resolving the name of the corresponding ExecutionMode.
+     */
+    const SecretsManagerMode = secretsModule.SecretsManagerMode ||
+                               lock( {
+                                         resolveMode: function( pMode )
+                                         {
+                                             const name = ucase( asString( pMode?.name || pMode, true ) );
+                                             return (ExecutionMode.MODES[name] || ExecutionMode.CURRENT || ExecutionMode.DEFAULT)?.name;
+                                         }
+                                     } );
+
+    const { ConnectionPool, resolvePoolOptions } = connectionPool;
+
     const toolBocksModule = new ToolBocksModule( moduleName, INTERNAL_NAME );
 
     const mode = toolBocksModule.executionMode || ExecutionMode[process.env.MODE || process.argv[2] || "PROD"] || ExecutionMode.MODES.PROD;
@@ -89,6 +108,51 @@ const $scope = constants?.$scope || function()
             mode,
         };
 
+    /**
+     * Returns an object literal whose properties are the column names and values of the specified record.
+     * <br>
+     * Records can be expressed as { columns: [], values: [] }
+     * or as an object literal whose keys are column names.
+     *
+     * @param {Object} pRecord a record in the shape, { columns: [], values: [] }, or an object literal
+     * @returns {Object} an object literal whose properties are the columns of the record
+     */
+    function toRow( pRecord )
+    {
+        if ( isNonNullObject( pRecord ) && isArray( pRecord.columns ) && isArray( pRecord.values ) )
+        {
+            const row = {};
+
+            const columns = asArray( pRecord.columns );
+            const values = asArray( pRecord.values );
+
+            columns.forEach( ( column, i ) => row[asString( column, true )] = values[i] );
+
+            return row;
+        }
+
+        if ( isNonNullObject( pRecord ) )
+        {
+            return { ...pRecord };
+        }
+
+        throw new IllegalArgumentError( "A record must be expressed as { columns: [], values: [] } or as an object literal", { record: pRecord } );
+    }
+
+    /**
+     * Returns the record in the shape, { columns: [], values: [] },
+     * which is the shape expected by the methods of the Database class.
+     *
+     * @param {Object} pRecord a record in the shape, { columns: [], values: [] }, or an object literal
+     * @returns {{columns: Array<string>, values: Array<*>}}
+     */
+    function toRecord( pRecord )
+    {
+        const row = toRow( pRecord );
+
+        return { columns: Object.keys( row ), values: Object.values( row ) };
+    }
+
     /**
      * Represents a DatabaseServer with support for customizable connection parameters,
      * authentication management, and secure connection string generation.
@@ -122,6 +186,9 @@ const $scope = constants?.$scope || function()
 
         #connectionsMap = new Map();
 
+        #pool = null;
+        #poolStarted = null;
+
         constructor( pDbType, pAdminUserName, pSecretsManager, pConnectionStringKey, pOptions )
         {
             const options = populateOptions( pOptions || {}, DEFAULT_DATABASE_OPTIONS || {} );
@@ -162,6 +229,15 @@ const $scope = constants?.$scope || function()
             return this.#serverInstance;
         }
 
+        /**
+         * Returns the key under which the SecretsManager holds the connection string for this server
+         * @returns {string}
+         */
+        get connectionStringKey()
+        {
+            return asString( this.#connectionStringKey, true ) || SECRETS_KEYS.CONNECTION_STRING || "CONNECTION_STRING";
+        }
+
         /**
          * Sets the connection options used when initializing or connecting to a database or database server
          *
@@ -410,6 +486,8 @@ const $scope = constants?.$scope || function()
 
         async disconnect()
         {
+            await this.closePool();
+
             // This method is intended to be implemented by subclasses.
             await this.doDisconnect();
 
@@ -421,6 +499,115 @@ const $scope = constants?.$scope || function()
         {
             return new Database( this.dbType, asString( pName, true ), this, populateOptions( pOptions || {}, this.options ) );
         }
+
+        /**
+         * Returns the options of the connection pool (min, max, idleTimeout, and acquireTimeout)
+         * defined by the 'pool' property of this server's options,
+         * or null if this server does not use a pool.
+         *
+         * @returns {Object|null}
+         */
+        get poolOptions()
+        {
+            const options = this.options.pool || this.connectionOptions?.pool;
+
+            return isNonNullObject( options ) ? resolvePoolOptions( options ) : null;
+        }
+
+        get pooled()
+        {
+            return !isNull( this.poolOptions );
+        }
+
+        /**
+         * Returns the pool of connections for this server, creating it the first time it is requested,
+         * or null if no pool options are defined.
+         * <br>
+         * A new pool is started, opening its minimum number of connections in the background;
+         * acquireConnection waits for those connections to be opened.
+         *
+         * @returns {ConnectionPool|null}
+         */
+        get pool()
+        {
+            if ( isNull( this.#pool ) && this.pooled )
+            {
+                const me = this;
+
+                const pool = new ConnectionPool( {
+                                                     create: async() => await me.createConnection(),
+                                                     destroy: async( pConnection ) => await me.destroyConnection( pConnection ),
+                                                     validate: async( pConnection ) => await me.validateConnection( pConnection )
+                                                 }, this.poolOptions );
+
+                this.#pool = pool;
+
+                // a failure to open the minimum is reported, and connections are then opened as they are acquired
+                this.#poolStarted = asyncAttempt( async() => await pool.start() );
+            }
+
+            return this.#pool;
+        }
+
+        // This method is meant to be implemented by subclasses that support pooled connections.
+        async createConnection()
+        {
+            throw new NotImplementedError( `Pooled connections are not supported for ${this.dbType}` );
+        }
+
+        // This method is meant to be implemented by subclasses that support pooled connections.
+        async destroyConnection( pConnection )
+        {
+
+        }
+
+        // This method can be overridden by subclasses to test a connection before it is reused.
+        async validateConnection( pConnection )
+        {
+            return !isNull( pConnection );
+        }
+
+        /**
+         * Returns a connection from this server's pool.
+         * The connection must be returned via releaseConnection.
+         *
+         * @returns {Promise<*>} a connection
+         * @throws {IllegalStateError} if no pool is configured for this server
+         */
+        async acquireConnection()
+        {
+            const pool = this.pool;
+
+            if ( isNull( pool ) )
+            {
+                throw new IllegalStateError( `No connection pool is configured for ${this.dbType}`, { dbType: this.dbType } );
+            }
+
+            await this.#poolStarted;
+
+            return pool.acquire();
+        }
+
+        async releaseConnection( pConnection )
+        {
+            if ( !isNull( this.#pool ) )
+            {
+                await this.#pool.release( pConnection );
+            }
+        }
+
+        async closePool()
+        {
+            const pool = this.#pool;
+
+            this.#pool = null;
+            this.#poolStarted = null;
+
+            if ( !isNull( pool ) )
+            {
+                await pool.close();
+            }
+        }
     }
 
     /**
@@ -440,6 +627,8 @@ const $scope = constants?.$scope || function()
         #schemaDefinitions = new Map();
         #models = new Map();
 
+        #transaction = null;
+
         constructor( pType, pName, pDatabaseServer, pOptions )
         {
             super( pType, pDatabaseServer?.adminUserName || _mt, pDatabaseServer?.secretsManager );
@@ -640,6 +829,41 @@ const $scope = constants?.$scope || function()
             return this.getSchemaDefinition( pName );
         }
 
+        getSchemaFor( pCollection )
+        {
+            const name = asString( pCollection, true );
+            return this.schemaDefinitions.get( name ) || this.schemaDefinitions.get( ucase( name ) );
+        }
+
+        getModelFor( pCollection )
+        {
+            const name = asString( pCollection, true );
+            return this.models.get( name ) || this.models.get( ucase( name ) );
+        }
+
+        /**
+         * Returns a copy of the row, or an instance of the model defined for the collection
+         */
+        toResult( pCollection, pRow )
+        {
+            const row = { ...(pRow || {}) };
+
+            const model = this.getModelFor( pCollection );
+
+            if ( isClass( model ) )
+            {
+                return attempt( () => new model( row ) ) || row;
+            }
+
+            if ( isFunction( model ) )
+            {
+                return attempt( () => model( row ) ) || row;
+            }
+
+            return row;
+        }
+
+
         async find( pQuery, pOptions )
         {
 
@@ -724,6 +948,133 @@ const $scope = constants?.$scope || function()
 
         }
 
+        get inTransaction()
+        {
+            return !isNull( this.#transaction );
+        }
+
+        /**
+         * Starts a transaction.
+         * <br>
+         * Until the transaction is committed or rolled back,
+         * every operation performed via this instance is part of the transaction.
+         *
+         * @param {Object} [pOptions] options specific to the subclass, such as an isolation level or locking mode
+         * @returns {Promise<Object>} an object describing the transaction
+         * @throws {IllegalStateError} if a transaction is already in progress
+         */
+        async beginTransaction( pOptions )
+        {
+            if ( this.inTransaction )
+            {
+                throw new IllegalStateError( `A transaction is already in progress for ${this.name}`, { name: this.name } );
+            }
+
+            await this.ensureConnected();
+
+            this.#transaction = (await this.doBeginTransaction( pOptions )) || { startedAt: new Date() };
+
+            return this.#transaction;
+        }
+
+        #requireTransaction()
+        {
+            if ( !this.inTransaction )
+            {
+                throw new IllegalStateError( `No transaction is in progress for ${this.name}`, { name: this.name } );
+            }
+
+            return this.#transaction;
+        }
+
+        async commit()
+        {
+            const transaction = this.#requireTransaction();
+
+            try
+            {
+                await this.doCommit( transaction );
+            }
+            finally
+            {
+                this.#transaction = null;
+            }
+        }
+
+        async rollback()
+        {
+            const transaction = this.#requireTransaction();
+
+            try
+            {
+                await this.doRollback( transaction );
+            }
+            finally
+            {
+                this.#transaction = null;
+            }
+        }
+
+        /**
+         * Calls the specified function within a transaction,
+         * committing the transaction if the function returns
+         * and rolling it back if the function throws (in which case the error is rethrown).
+         * <br>
+         * If a transaction is already in progress, the function is simply called as part of that transaction.
+         *
+         * @param {function(Database):*} pFunction a function (usually async) that accepts this database
+         * @param {Object} [pOptions] options passed to beginTransaction
+         * @returns {Promise<*>} the value returned by the function
+         */
+        async withTransaction( pFunction, pOptions )
+        {
+            if ( !isFunction( pFunction ) )
+            {
+                throw new IllegalArgumentError( "withTransaction requires a function", { function: pFunction } );
+            }
+
+            if ( this.inTransaction )
+            {
+                return await pFunction( this );
+            }
+
+            await this.beginTransaction( pOptions );
+
+            let result;
+
+            try
+            {
+                result = await pFunction( this );
+            }
+            catch( ex )
+            {
+                await asyncAttempt( async() => await this.rollback() );
+                throw ex;
+            }
+
+            await this.commit();
+
+            return result;
+        }
+
+        // This method is meant to be implemented by subclasses.
+        async doBeginTransaction( pOptions )
+        {
+            throw new NotImplementedError( `Transactions are not supported for ${this.type}` );
+        }
+
+        // This method is meant to be implemented by subclasses.
+        async doCommit( pTransaction )
+        {
+
+        }
+
+        // This method is meant to be implemented by subclasses.
+        async doRollback( pTransaction )
+        {
+
+        }
+
         async connect()
         {
             return asyncAttempt( async() => await this.server.connect() || await super.connect() );
@@ -735,6 +1086,31 @@ const $scope = constants?.$scope || function()
         }
     }
 
+    /**
+     * Holds the subclasses of DatabaseServer that a DatabaseFactory
+     * can construct on demand when asked for a server by key.
+     */
+    const DATABASE_SERVER_CLASSES = {};
+
+    /**
+     * Adds a class to the DATABASE_SERVER_CLASSES object.
+     * Modules defining subclasses of DatabaseServer should call this function
+     * to make the class available to every DatabaseFactory.
+     *
+     * @param {string} pKey - the key (usually the dbType) under which the class will be found
+     * @param {Function} pClass - a subclass of DatabaseServer to be constructed when a factory is asked for the specified key
+     */
+    const registerDatabaseServerClass = function( pKey, pClass )
+    {
+        const key = asString( pKey, true );
+
+        if ( !isBlank( key ) && isClass( pClass ) )
+        {
+            DATABASE_SERVER_CLASSES[key] = pClass;
+            DATABASE_SERVER_CLASSES[ucase( key )] = pClass;
+        }
+    };
+
     class DatabaseFactory
     {
         #mode = "production";
@@ -796,6 +1172,18 @@ const $scope = constants?.$scope || function()
             return lock( this.#secretsManager || getSecretsManager( this.mode, "./.env", "DB", this.options ) );
         }
 
+        /**
+         * Returns the options of the connection pool used by the servers this factory constructs,
+         * as specified by the 'pool' property of the options passed to the constructor,
+         * or null if the servers should not use a pool.
+         *
+         * @returns {Object|null}
+         */
+        get poolOptions()
+        {
+            return isNonNullObject( this.#options.pool ) ? resolvePoolOptions( this.#options.pool ) : null;
+        }
+
         get adminUserName()
         {
             if ( this.secretsManager )
@@ -807,8 +1195,18 @@ const $scope = constants?.$scope || function()
 
         addChoice( pKey, pDatabaseServer, pOptions )
         {
-            let dbServer = (pDatabaseServer instanceof DatabaseServer ? pDatabaseServer : null) || new DatabaseServer( pDatabaseServer?.dbType, pDatabaseServer?.adminUserName, pDatabaseServer?.secretsManager, SECRETS_KEYS.CONNECTION_STRING, pOptions );
+            let dbServer = (pDatabaseServer instanceof DatabaseServer ? pDatabaseServer : null);
+
+            if ( isNull( dbServer ) && isClass( pDatabaseServer ) )
+            {
+                dbServer = new pDatabaseServer( pKey, this.adminUserName, this.secretsManager, SECRETS_KEYS.CONNECTION_STRING, populateOptions( pOptions || {}, this.options ) );
+            }
+
+            dbServer = dbServer || new DatabaseServer( pDatabaseServer?.dbType, pDatabaseServer?.adminUserName, pDatabaseServer?.secretsManager, SECRETS_KEYS.CONNECTION_STRING, pOptions );
+
             this.#choices.set( pKey, dbServer );
+
+            return dbServer;
         }
 
         getDatabaseServer( pKey, pAdminUserName, pSecretsManager, pConnectionStringKey, pOptions )
@@ -817,7 +1215,14 @@ const $scope = constants?.$scope || function()
 
             if ( !isNonNullObject( server ) )
             {
-                server = new DatabaseServer( pKey, pAdminUserName || this.adminUserName, pSecretsManager, pConnectionStringKey, pOptions );
+                const clazz = DATABASE_SERVER_CLASSES[asString( pKey, true )] || DATABASE_SERVER_CLASSES[ucase( asString( pKey, true ) )];
+
+                server = isClass( clazz ) ? this.addChoice( pKey, clazz, pOptions ) : server;
+            }
+
+            if ( !isNonNullObject( server ) )
+            {
+                server = new DatabaseServer( pKey, pAdminUserName || this.adminUserName, pSecretsManager, pConnectionStringKey, populateOptions( pOptions || {}, this.options ) );
             }
 
             server = (server instanceof DatabaseServer) ? server : new DatabaseServer( pKey, server.adminUserName || pAdminUserName, server.secretsManager || pSecretsManager, pConnectionStringKey, populateOptions( pOptions, server.options ) );
@@ -834,7 +1239,7 @@ const $scope = constants?.$scope || function()
                              pDatabaseServer || this.getDatabaseServer( pType, this.adminUserName, this.secretsManager, SECRETS_KEYS.CONNECTION_STRING, pOptions ) :
                              this.getDatabaseServer( pType, this.adminUserName, this.secretsManager, SECRETS_KEYS.CONNECTION_STRING, pOptions );
 
-            return !isNull( dbServer ) ? dbServer.getDatabase() || new Database( pType, pName, dbServer, pOptions ) : new Database( pType, pName, dbServer, pOptions );
+            return !isNull( dbServer ) ? dbServer.getDatabase( pName, pOptions ) || new Database( pType, pName, dbServer, pOptions ) : new Database( pType, pName, dbServer, pOptions );
         }
     }
 
@@ -850,7 +1255,11 @@ const $scope = constants?.$scope || function()
                 },
             DatabaseServer,
             Database,
-            DatabaseFactory
+            DatabaseFactory,
+            registerDatabaseServerClass,
+            toRow,
+            toRecord,
+            ConnectionPool
         };
 
     mod = toolBocksModule.extend( mod );
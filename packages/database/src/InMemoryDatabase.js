@@ -0,0 +1,1092 @@
+/**
+ * This module provides an implementation of DatabaseServer and Database
+ * that holds its collections (tables) in memory.
+ * <br><br>
+ * It is useful for unit tests of data-access code
+ * and for applications that need a short-lived, schema-aware data store
+ * without a running database server.
+ * <br>
+ */
+
+const core = require( "@toolbocks/core" );
+
+const databaseUtils = require( "./DatabaseUtils.js" );
+
+const queryBuilder = require( "./QueryBuilder.js" );
+
+const { constants } = core;
+
+const { _ud = "undefined" } = constants;
+
+const $scope = constants?.$scope || function()
+{
+    return (_ud === typeof self ? ((_ud === typeof global) ? ((_ud === typeof globalThis ? {} : globalThis)) : (global || {})) : (self || {}));
+};
+
+(function exposeModule()
+{
+    const INTERNAL_NAME = "__BOCK__IN_MEMORY_DATABASE__";
+
+    if ( $scope() && (null != $scope()[INTERNAL_NAME]) )
+    {
+        return $scope()[INTERNAL_NAME];
+    }
+
+    const moduleName = "InMemoryDatabase";
+
+    const { moduleUtils, constants, typeUtils, stringUtils, arrayUtils } = core;
+
+    const {
+        ToolBocksModule,
+        IllegalArgumentError,
+        IllegalStateError,
+        populateOptions,
+        objectEntries,
+        lock
+    } = moduleUtils;
+
+    const { _mt_str, _mt = _mt_str } = constants;
+
+    const {
+        isNull,
+        isNonNullObject,
+        isString,
+        isNumber,
+        isBoolean,
+        isFunction,
+        isArray,
+        isMap,
+        isDate
+    } = typeUtils;
+
+    const { asString, isBlank, asInt, ucase, lcase } = stringUtils;
+
+    const { asArray } = arrayUtils;
+
+    const { DatabaseServer, Database, registerDatabaseServerClass, toRow, toRecord } = databaseUtils;
+
+    const { Predicate, Query } = queryBuilder;
+
+    const toolBocksModule = new ToolBocksModule( moduleName, INTERNAL_NAME );
+
+    /**
+     * The dbType used to register the in-memory implementation with the DatabaseFactory
+     * @type {string}
+     */
+    const DB_TYPE = "memory";
+
+    /**
+     * Returns a key that can be used to store and retrieve collections and databases without regard to case
+     */
+    const toKey = ( pName ) => ucase( asString( pName, true ) );
+
+    function valuesEqual( pValue, pOther )
+    {
+        if ( isDate( pValue ) && isDate( pOther ) )
+        {
+            return pValue.getTime() === pOther.getTime();
+        }
+        return pValue === pOther;
+    }
+
+    /**
+     * Returns a function that accepts a row and returns true if the row satisfies the specified predicate.
+     * <br><br>
+     * The predicate can be a Predicate (see QueryBuilder)
+     * or any value that Predicate.from can convert to a Predicate.
+     * <br>
+     * If no predicate is specified, every row is matched.
+     *
+     * @param {Predicate|Function|Object} pPredicate the criteria to apply to each row
+     * @returns {function(Object):boolean} a function to filter rows
+     */
+    function resolvePredicate( pPredicate )
+    {
+        const predicate = Predicate.from( pPredicate );
+
+        return ( pRow ) => predicate.evaluate( pRow );
+    }
+
+    /**
+     * Returns an object describing the collection to search and the predicate to apply.
+     * <br><br>
+     * The query can be the name of a collection,
+     * a Query (see QueryBuilder),
+     * or an object with a collection (or table, or from) property
+     * and an optional where (or predicate, or filter) property.
+     * <br>
+     * The collection can also be specified by the collection property of the options.
+     *
+     * @param {string|Object} pQuery the query to resolve
+     * @param {Object} [pOptions] an object that may specify the collection to search
+     * @returns {{collection: string, predicate: function(Object):boolean}}
+     */
+    function resolveQuery( pQuery, pOptions )
+    {
+        const options = { ...(pOptions || {}) };
+
+        if ( pQuery instanceof Query )
+        {
+            return { collection: pQuery.collection || asString( options.collection || options.table, true ), predicate: resolvePredicate( pQuery.predicate ) };
+        }
+
+        if ( isString( pQuery ) )
+        {
+            return { collection: asString( pQuery, true ), predicate: resolvePredicate( options.where || options.predicate ) };
+        }
+
+        const query = isNonNullObject( pQuery ) ? pQuery : {};
+
+        const collection = asString( query.collection || query.table || query.from || options.collection || options.table, true );
+
+        if ( isBlank( collection ) )
+        {
+            throw new IllegalArgumentError( "A query must specify the collection to search", { query: pQuery } );
+        }
+
+        return { collection, predicate: resolvePredicate( query.where || query.predicate || query.filter || options.where || options.predicate ) };
+    }
+
+    /**
+     * Returns a Map of column specifications, keyed by column name,
+     * from a schema definition whose columns are expressed as
+     * an array of column names, an array of objects with a name property,
+     * or an object literal whose keys are the column names.
+     */
+    function resolveColumns( pSchema )
+    {
+        const columns = new Map();
+
+        const definitions = pSchema?.columns || pSchema?.fields;
+
+        if ( isArray( definitions ) )
+        {
+            asArray( definitions ).forEach( e =>
+                                            {
+                                                const spec = isString( e ) ? { name: e } : { ...(e || {}) };
+                                                if ( !isBlank( spec.name ) )
+                                                {
+                                                    columns.set( asString( spec.name, true ), spec );
+                                                }
+                                            } );
+        }
+        else if ( isNonNullObject( definitions ) )
+        {
+            objectEntries( definitions ).forEach( entry =>
+                                                  {
+                                                      const spec = isString( entry.value ) ? { type: entry.value } : { ...(entry.value || {}) };
+                                                      columns.set( asString( entry.key, true ), { ...spec, name: asString( entry.key, true ) } );
+                                                  } );
+        }
+
+        return columns;
+    }
+
+    function matchesType( pValue, pType )
+    {
+        const type = lcase( asString( pType, true ) );
+
+        switch ( type )
+        {
+            case "string":
+            case "text":
+                return isString( pValue );
+
+            case "number":
+            case "integer":
+            case "int":
+                return isNumber( pValue );
+
+            case "boolean":
+                return isBoolean( pValue );
+
+            case "date":
+                return isDate( pValue );
+
+            case "object":
+                return isNonNullObject( pValue );
+
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Represents a collection (table) of rows held in memory
+     * and the (optional) schema definition describing its columns.
+     */
+    class InMemoryCollection
+    {
+        #name;
+        #rows = [];
+        #sequence = 0;
+
+        constructor( pName )
+        {
+            this.#name = asString( pName, true );
+        }
+
+        get name()
+        {
+            return this.#name;
+        }
+
+        get rows()
+        {
+            return this.#rows;
+        }
+
+        get size()
+        {
+            return this.#rows.length;
+        }
+
+        get sequence()
+        {
+            return this.#sequence;
+        }
+
+        nextSequence()
+        {
+            return ++this.#sequence;
+        }
+
+        observe( pValue )
+        {
+            this.#sequence = Math.max( this.#sequence, asInt( pValue ) );
+        }
+
+        clear()
+        {
+            const count = this.#rows.length;
+            this.#rows.length = 0;
+            return count;
+        }
+
+        /**
+         * Returns the sequence to the value it had before an insert that is being undone,
+         * unless a later insert has since advanced it further,
+         * so that the values it has already produced are never produced again.
+         *
+         * @param {number} pPrevious the value of the sequence before the insert
+         * @param {number} pCurrent the value of the sequence after the insert
+         */
+        rewind( pPrevious, pCurrent )
+        {
+            if ( this.#sequence === asInt( pCurrent ) )
+            {
+                this.#sequence = asInt( pPrevious );
+            }
+        }
+    }
+
+    /**
+     * This subclass of DatabaseServer holds its databases in memory.
+     * <br><br>
+     * Data is retained for as long as the server instance is reachable,
+     * even if the server is disconnected and later reconnected.
+     * <br>
+     *
+     * @class
+     * @extends DatabaseServer
+     */
+    class InMemoryDatabaseServer extends DatabaseServer
+    {
+        #stores = new Map();
+
+        #connectionsByName = new Map();
+
+        #open = false;
+
+        constructor( pDbType, pAdminUserName, pSecretsManager, pConnectionStringKey, pOptions )
+        {
+            super( asString( pDbType, true ) || DB_TYPE, pAdminUserName, pSecretsManager, pConnectionStringKey, pOptions );
+        }
+
+        get connected()
+        {
+            return this.#open;
+        }
+
+        set connected( pConnected )
+        {
+            super.connected = pConnected;
+        }
+
+        /**
+         * Returns a connection descriptor for the named database, creating it if necessary.
+         *
+         * @param {string} pName the name of the database
+         * @returns {{name: string, id: string, url: string}}
+         */
+        attachDatabase( pName )
+        {
+            const name = asString( pName, true ) || this.defaultDatabase || DB_TYPE;
+
+            const key = toKey( name );
+
+            let connection = this.#connectionsByName.get( key );
+
+            if ( isNull( connection ) )
+            {
+                connection = lock( { name, id: name, url: DB_TYPE + "://" + name } );
+
+                this.#connectionsByName.set( key, connection );
+
+                this.addConnection( connection );
+            }
+
+            return connection;
+        }
+
+        /**
+         * Returns the Map of collections for the named database, creating it if necessary.
+         *
+         * @param {string} pName the name of the database
+         * @returns {Map<string, InMemoryCollection>}
+         */
+        getStore( pName )
+        {
+            const key = toKey( asString( pName, true ) || this.defaultDatabase || DB_TYPE );
+
+            let store = this.#stores.get( key );
+
+            if ( !isMap( store ) )
+            {
+                store = new Map();
+                this.#stores.set( key, store );
+            }
+
+            return store;
+        }
+
+        async doConnect()
+        {
+            const me = this;
+
+            this.#open = true;
+
+            return {
+                name: this.dbType,
+                get connections()
+                {
+                    return [...(me.#connectionsByName.values())];
+                }
+            };
+        }
+
+        async doDisconnect()
+        {
+            this.#open = false;
+        }
+
+        getDatabase( pName, pOptions )
+        {
+            return new InMemoryDatabase( this.dbType, asString( pName, true ) || this.defaultDatabase || DB_TYPE, this, populateOptions( pOptions || {}, this.options ) );
+        }
+    }
+
+    /**
+     * This subclass of Database stores its collections (tables) in memory.
+     * <br><br>
+     * Rows can be expressed as { columns: [], values: [] } or as object literals.
+     * <br><br>
+     * If a schema definition has been added (see defineSchema) for a collection,
+     * rows are validated against the columns defined in the schema,
+     * default values are applied,
+     * and the primary key (if defined) is used to match rows for upsert and for updates without a predicate.
+     * <br><br>
+     * If a model has been added (see addSchemaModel) for a collection,
+     * rows returned by the find methods are constructed (if the model is a class)
+     * or transformed (if the model is a function) by the model.
+     * <br>
+     *
+     * @class
+     * @extends Database
+     */
+    class InMemoryDatabase extends Database
+    {
+        // the functions that undo the changes of the transaction or batch in progress, in the order the changes were made
+        #journal = null;
+
+        constructor( pType, pName, pDatabaseServer, pOptions )
+        {
+            const server = (pDatabaseServer instanceof InMemoryDatabaseServer) ? pDatabaseServer : new InMemoryDatabaseServer( pType || DB_TYPE, _mt, pDatabaseServer?.secretsManager, null, pOptions );
+
+            server.attachDatabase( asString( pName, true ) || server.defaultDatabase || DB_TYPE );
+
+            super( pType || DB_TYPE, asString( pName, true ) || server.defaultDatabase || DB_TYPE, server, pOptions );
+        }
+
+        get store()
+        {
+            const server = this.server;
+
+            if ( !(server instanceof InMemoryDatabaseServer) )
+            {
+                throw new IllegalStateError( "An InMemoryDatabase requires an InMemoryDatabaseServer", { server } );
+            }
+
+            return server.getStore( this.name );
+        }
+
+        async ensureConnected()
+        {
+            if ( !this.server.connected )
+            {
+                await this.server.connect();
+            }
+
+            return super.ensureConnected();
+        }
+
+        /**
+         * Starts a journal of the changes made via this instance,
+         * so that rollback can undo them.
+         * <br>
+         * Changes made via other instances sharing the same store while the transaction is in progress
+         * are not undone by a rollback.
+         */
+        async doBeginTransaction( pOptions )
+        {
+            this.#journal = [];
+
+            return { journal: this.#journal, startedAt: new Date() };
+        }
+
+        async doCommit( pTransaction )
+        {
+            // changes are applied immediately, so there is nothing to do but discard the journal
+            this.#journal = null;
+        }
+
+        async doRollback( pTransaction )
+        {
+            this.#journal = null;
+
+            this.#undo( pTransaction?.journal );
+        }
+
+        #record( pUndo )
+        {
+            if ( isArray( this.#journal ) )
+            {
+                this.#journal.push( pUndo );
+            }
+        }
+
+        #undo( pJournal )
+        {
+            [...asArray( pJournal || [] )].reverse().forEach( undo => undo() );
+        }
+
+        /**
+         * Calls the specified (synchronous) function,
+         * undoing every change it made if it throws,
+         * so that an operation on more than one row is all or nothing.
+         */
+        #atomically( pFunction )
+        {
+            const outer = this.#journal;
+
+            const journal = [];
+
+            this.#journal = journal;
+
+            try
+            {
+                const result = pFunction();
+
+                if ( isArray( outer ) )
+                {
+                    outer.push( ...journal );
+                }
+
+                return result;
+            }
+            catch( ex )
+            {
+                this.#undo( journal );
+                throw ex;
+            }
+            finally
+            {
+                this.#journal = outer;
+            }
+        }
+
+        #replaceRow( pCollection, pIndex, pRow )
+        {
+            const rows = pCollection.rows;
+
+            const previous = rows[pIndex];
+
+            rows[pIndex] = pRow;
+
+            this.#record( () =>
+                          {
+                              const index = rows.indexOf( pRow );
+
+                              if ( index >= 0 )
+                              {
+                                  rows[index] = previous;
+                              }
+                          } );
+
+            return pRow;
+        }
+
+        #removeRows( pCollection, pPredicate )
+        {
+            const rows = pCollection.rows;
+
+            const removed = [];
+            const remaining = [];
+
+            rows.forEach( ( row, index ) => pPredicate( row ) ? removed.push( [index, row] ) : remaining.push( row ) );
+
+            rows.splice( 0, rows.length, ...remaining );
+
+            this.#record( () => removed.forEach( ( [index, row] ) => rows.splice( Math.min( index, rows.length ), 0, row ) ) );
+
+            return removed.length;
+        }
+
+        getCollection( pCollection, pCreate = true )
+        {
+            const name = asString( pCollection, true );
+
+            if ( isBlank( name ) )
+            {
+                throw new IllegalArgumentError( "The name of a collection is required", { collection: pCollection } );
+            }
+
+            const key = toKey( name );
+
+            let collection = this.store.get( key );
+
+            if ( isNull( collection ) && pCreate )
+            {
+                const store = this.store;
+
+                const created = new InMemoryCollection( name );
+
+                store.set( key, created );
+
+                this.#record( () =>
+                              {
+                                  if ( store.get( key ) === created && created.size <= 0 )
+                                  {
+                                      store.delete( key );
+                                  }
+                              } );
+
+                collection = created;
+            }
+
+            return collection;
+        }
+
+        /**
+         * Returns the names of the columns that comprise the primary key of the specified collection,
+         * or an empty array if no schema defines a primary key for the collection.
+         *
+         * @param {string} pCollection the name of the collection
+         * @returns {Array<string>} the names of the primary key columns
+         */
+        getPrimaryKey( pCollection )
+        {
+            const schema = this.getSchemaFor( pCollection );
+
+            if ( isNull( schema ) )
+            {
+                return [];
+            }
+
+            let keys = asArray( schema.primaryKey || schema.key || [] ).map( e => asString( e, true ) ).filter( e => !isBlank( e ) );
+
+            if ( keys.length <= 0 )
+            {
+                keys = [...(resolveColumns( schema ).values())].filter( e => !!e.primaryKey ).map( e => e.name );
+            }
+
+            return keys;
+        }
+
+        /**
+         * Returns a copy of the row, validated against the schema defined for the collection (if any),
+         * with default values applied.
+         *
+         * @throws {IllegalArgumentError} if the row includes columns that are not defined in the schema,
+         * is missing required values, or includes values of the wrong type
+         */
+        validateRow( pCollection, pRow, pApplyDefaults = true )
+        {
+            const row = { ...(pRow || {}) };
+
+            const schema = this.getSchemaFor( pCollection );
+
+            const columns = resolveColumns( schema );
+
+            if ( isNull( schema ) || columns.size <= 0 )
+            {
+                return row;
+            }
+
+            const unknown = Object.keys( row ).filter( e => !columns.has( e ) );
+
+            if ( unknown.length > 0 && !schema.allowUndefinedColumns )
+            {
+                throw new IllegalArgumentError( `The collection, ${pCollection}, does not define the column(s): ${unknown.join( ", " )}`, { collection: pCollection, columns: unknown } );
+            }
+
+            for( const spec of columns.values() )
+            {
+                const name = spec.name;
+
+                if ( pApplyDefaults && isNull( row[name] ) && !isNull( spec.default ) )
+                {
+                    row[name] = isFunction( spec.default ) ? spec.default( row ) : spec.default;
+                }
+
+                if ( !isNull( row[name] ) && spec.type && !matchesType( row[name], spec.type ) )
+                {
+                    throw new IllegalArgumentError( `The value of ${pCollection}.${name} must be of type, ${spec.type}`, { collection: pCollection, column: name, value: row[name] } );
+                }
+
+                if ( pApplyDefaults && isNull( row[name] ) && (spec.required || false === spec.nullable) && !spec.autoIncrement )
+                {
+                    throw new IllegalArgumentError( `A value is required for ${pCollection}.${name}`, { collection: pCollection, column: name } );
+                }
+            }
+
+            return row;
+        }
+
+        #findRows( pQuery, pOptions )
+        {
+            const { collection, predicate } = resolveQuery( pQuery, pOptions );
+
+            const rows = this.getCollection( collection, false )?.rows || [];
+
+            if ( pQuery instanceof Query )
+            {
+                return { collection, rows: pQuery.apply( rows ), projected: pQuery.projection.length > 0 };
+            }
+
+            return { collection, rows: rows.filter( predicate ), projected: false };
+        }
+
+        #toResults( pCollection, pRows, pProjected )
+        {
+            // a projection is returned as is, since it may not satisfy the model
+            return pRows.map( row => pProjected ? { ...row } : this.toResult( pCollection, row ) );
+        }
+
+        #keyPredicate( pCollection, pRow )
+        {
+            const keys = this.getPrimaryKey( pCollection );
+
+            if ( keys.length <= 0 || keys.some( k => isNull( pRow[k] ) ) )
+            {
+                return null;
+            }
+
+            return ( pCandidate ) => keys.every( k => valuesEqual( pCandidate[k], pRow[k] ) );
+        }
+
+        #insertRow( pCollection, pRecord )
+        {
+            const collection = this.getCollection( pCollection );
+
+            const row = this.validateRow( pCollection, toRow( pRecord ) );
+
+            const sequence = collection.sequence;
+
+            this.getPrimaryKey( pCollection ).forEach( key =>
+                                                       {
+                                                           const spec = resolveColumns( this.getSchemaFor( pCollection ) ).get( key );
+
+                                                           if ( isNull( row[key] ) && spec?.autoIncrement )
+                                                           {
+                                                               row[key] = collection.nextSequence();
+                                                           }
+                                                           else if ( isNumber( row[key] ) )
+                                                           {
+                                                               collection.observe( row[key] );
+                                                           }
+                                                       } );
+
+            const matchesKey = this.#keyPredicate( pCollection, row );
+
+            if ( !isNull( matchesKey ) && collection.rows.some( matchesKey ) )
+            {
+                throw new IllegalArgumentError( `A row with the same primary key already exists in ${pCollection}`, { collection: pCollection, row } );
+            }
+
+            collection.rows.push( row );
+
+            const advanced = collection.sequence;
+
+            this.#record( () =>
+                          {
+                              const index = collection.rows.indexOf( row );
+
+                              if ( index >= 0 )
+                              {
+                                  collection.rows.splice( index, 1 );
+                              }
+
+                              collection.rewind( sequence, advanced );
+                          } );
+
+            return row;
+        }
+
+        #updateRows( pCollection, pRecord, pPredicate )
+        {
+            const changes = toRow( pRecord );
+
+            const predicate = isNull( pPredicate ) ? this.#keyPredicate( pCollection, changes ) : resolvePredicate( pPredicate );
+
+            if ( isNull( predicate ) )
+            {
+                throw new IllegalArgumentError( `Updating ${pCollection} requires a predicate or a value for each primary key column`, { collection: pCollection, record: pRecord } );
+            }
+
+            const collection = this.getCollection( pCollection, false );
+
+            const rows = isNull( collection ) ? [] : collection.rows;
+
+            let count = 0;
+
+            for( let i = 0; i < rows.length; i++ )
+            {
+                if ( predicate( rows[i] ) )
+                {
+                    this.#replaceRow( collection, i, this.validateRow( pCollection, { ...rows[i], ...changes }, false ) );
+                    count++;
+                }
+            }
+
+            return count;
+        }
+
+        /**
+         * Executes a (very) limited subset of DDL against this database.
+         * <br><br>
+         * The following statements are supported:
+         * <ul>
+         * <li>CREATE TABLE [IF NOT EXISTS] name</li>
+         * <li>DROP TABLE [IF EXISTS] name</li>
+         * <li>TRUNCATE TABLE name</li>
+         * </ul>
+         * Column definitions are ignored; use defineSchema to describe the columns of a collection.
+         * <br>
+         *
+         * @param {string|Array<string>} pDdl one or more statements, which may also be separated by semicolons
+         * @returns {Promise<number>} the number of statements executed
+         */
+        async executeDdl( pDdl )
+        {
+            await this.ensureConnected();
+
+            const statements = asArray( pDdl ).map( e => asString( e, true ).split( ";" ) ).flat().map( e => asString( e, true ) ).filter( e => !isBlank( e ) );
+
+            let executed = 0;
+
+            for( const statement of statements )
+            {
+                const matches = /^(CREATE|DROP|TRUNCATE)\s+(?:TABLE|COLLECTION)\s+(?:IF\s+(?:NOT\s+)?EXISTS\s+)?["'`\[]?([\w.$-]+)["'`\]]?/i.exec( statement );
+
+                if ( isNull( matches ) )
+                {
+                    throw new IllegalArgumentError( `Unsupported DDL statement: ${statement}`, { ddl: statement } );
+                }
+
+                const name = matches[2];
+
+                switch ( ucase( matches[1] ) )
+                {
+                    case "CREATE":
+                        this.getCollection( name, true );
+                        break;
+
+                    case "DROP":
+                        this.#dropCollection( name );
+                        break;
+
+                    case "TRUNCATE":
+                        this.#removeRows( this.getCollection( name, true ), () => true );
+                        break;
+                }
+
+                executed++;
+            }
+
+            return executed;
+        }
+
+        #dropCollection( pName )
+        {
+            const store = this.store;
+
+            const key = toKey( pName );
+
+            const dropped = store.get( key );
+
+            if ( store.delete( key ) )
+            {
+                this.#record( () =>
+                              {
+                                  if ( !store.has( key ) )
+                                  {
+                                      store.set( key, dropped );
+                                  }
+                              } );
+            }
+        }
+
+        /**
+         * Returns the names of the collections defined in this database
+         * @returns {Promise<Array<string>>}
+         */
+        async getCollectionNames()
+        {
+            return [...(this.store.values())].map( e => e.name );
+        }
+
+        /**
+         * Returns the rows matching the specified query.
+         *
+         * @param {string|Query|Object} pQuery the name of a collection, a Query,
+         *                               or an object with a collection property and an optional where property
+         * @param {Object} [pOptions] an object that may specify the collection or predicate
+         * @returns {Promise<Array<Object>>} the matching rows
+         */
+        async find( pQuery, pOptions )
+        {
+            await this.ensureConnected();
+
+            const { collection, rows, projected } = this.#findRows( pQuery, pOptions );
+
+            return this.#toResults( collection, rows, projected );
+        }
+
+        async findFirst( pQuery, pOptions )
+        {
+            await this.ensureConnected();
+
+            if ( pQuery instanceof Query )
+            {
+                const results = await this.find( pQuery.page( 0, 1 ), pOptions );
+                return results.length > 0 ? results[0] : null;
+            }
+
+            const { collection, predicate } = resolveQuery( pQuery, pOptions );
+
+            const row = this.getCollection( collection, false )?.rows.find( predicate );
+
+            return isNull( row ) ? null : this.toResult( collection, row );
+        }
+
+        /**
+         * Returns the subset of the matching rows from the start index (inclusive) to the stop index (exclusive).
+         * <br>
+         * If the stop index is not specified, all matching rows from the start index are returned.
+         *
+         * @param {string|Object} pQuery the query (see find)
+         * @param {number} pStart the index of the first row to return
+         * @param {number} [pStop] the index after the last row to return
+         * @param {Object} [pOptions] an object that may specify the collection or predicate
+         * @returns {Promise<Array<Object>>} the requested page of matching rows
+         */
+        async findSubset( pQuery, pStart, pStop, pOptions )
+        {
+            await this.ensureConnected();
+
+            if ( pQuery instanceof Query )
+            {
+                return this.find( pQuery.page( pStart, pStop ), pOptions );
+            }
+
+            const { collection, rows } = this.#findRows( pQuery, pOptions );
+
+            const start = Math.max( 0, asInt( pStart ) );
+
+            const stop = isNull( pStop ) ? rows.length : Math.max( start, asInt( pStop ) );
+
+            return rows.slice( start, stop ).map( row => this.toResult( collection, row ) );
+        }
+
+        async insert( pCollection, pRecord, pOptions )
+        {
+            await super.insert( pCollection, toRecord( pRecord ), pOptions );
+
+            return this.toResult( pCollection, this.#insertRow( pCollection, pRecord ) );
+        }
+
+        async insertBatch( pCollection, pRecords, pOptions )
+        {
+            const records = asArray( pRecords ).filter( e => !isNull( e ) );
+
+            await super.insertBatch( pCollection, records.length > 0 ? records.map( toRecord ) : [toRecord( {} )], pOptions );
+
+            // a batch is all or nothing
+            return this.#atomically( () => records.map( record => this.toResult( pCollection, this.#insertRow( pCollection, record ) ) ) );
+        }
+
+        /**
+         * Updates the rows matching the predicate with the columns and values of the specified record.
+         * <br>
+         * If no predicate is specified, the row whose primary key matches the record is updated.
+         *
+         * @returns {Promise<number>} the number of rows updated
+         */
+        async update( pCollection, pRecord, pPredicate, pOptions )
+        {
+            await super.update( pCollection, toRecord( pRecord ), pPredicate, pOptions );
+
+            return this.#atomically( () => this.#updateRows( pCollection, pRecord, pPredicate ) );
+        }
+
+        /**
+         * Applies each of the specified records to the rows matching the predicate.
+         * <br>
+         * If no predicate is specified, each record is applied to the row with the same primary key.
+         * <br>
+         * If the predicate is a function, it is called with the record
+         * and can return a predicate specific to that record.
+         *
+         * @returns {Promise<number>} the number of rows updated
+         */
+        async updateBatch( pCollection, pRecords, pPredicate, pOptions )
+        {
+            const records = asArray( pRecords ).filter( e => !isNull( e ) );
+
+            await super.updateBatch( pCollection, records.length > 0 ? records.map( toRecord ) : [toRecord( {} )], pPredicate, pOptions );
+
+            return this.#atomically( () => records.reduce( ( count, record ) =>
+                                                           {
+                                                               let predicate = pPredicate;
+
+                                                               if ( isFunction( pPredicate ) && pPredicate.length <= 1 )
+                                                               {
+                                                                   const perRecord = pPredicate( toRow( record ) );
+                                                                   predicate = (isFunction( perRecord ) || isNonNullObject( perRecord )) ? perRecord : pPredicate;
+                                                               }
+
+                                                               return count + this.#updateRows( pCollection, record, predicate );
+                                                           }, 0 ) );
+        }
+
+        /**
+         * Updates the row whose primary key matches the record, or inserts the record if there is no such row.
+         * <br>
+         * The options can specify the columns to match (as an array of column names, via a 'keys' property)
+         * if no schema defines a primary key for the collection.
+         *
+         * @returns {Promise<Object>} the inserted or updated row
+         */
+        async upsert( pCollection, pRecord, pOptions )
+        {
+            await super.upsert( pCollection, toRecord( pRecord ), pOptions );
+
+            const row = toRow( pRecord );
+
+            const keys = asArray( pOptions?.keys || this.getPrimaryKey( pCollection ) ).map( e => asString( e, true ) ).filter( e => !isBlank( e ) );
+
+            const collection = this.getCollection( pCollection );
+
+            const index = (keys.length > 0 && !keys.some( k => isNull( row[k] ) )) ? collection.rows.findIndex( e => keys.every( k => valuesEqual( e[k], row[k] ) ) ) : -1;
+
+            if ( index >= 0 )
+            {
+                return this.toResult( pCollection, this.#replaceRow( collection, index, this.validateRow( pCollection, { ...collection.rows[index], ...row }, false ) ) );
+            }
+
+            return this.toResult( pCollection, this.#insertRow( pCollection, row ) );
+        }
+
+        /**
+         * Removes the rows matching the specified predicate.
+         * <br>
+         * A predicate is required; use truncate to remove every row.
+         *
+         * @returns {Promise<number>} the number of rows removed
+         */
+        async delete( pCollection, pPredicate, pOptions )
+        {
+            await super.delete( pCollection, pPredicate, pOptions );
+
+            if ( isNull( pPredicate ) )
+            {
+                throw new IllegalArgumentError( `Deleting from ${pCollection} requires a predicate; use truncate to remove every row`, { collection: pCollection } );
+            }
+
+            const collection = this.getCollection( pCollection, false );
+
+            if ( isNull( collection ) )
+            {
+                return 0;
+            }
+
+            return this.#removeRows( collection, resolvePredicate( pPredicate ) );
+        }
+
+        /**
+         * Removes every row from the specified collection
+         * @returns {Promise<number>} the number of rows removed
+         */
+        async truncate( pCollection, pOptions )
+        {
+            await super.truncate( pCollection, pOptions );
+
+            const collection = this.getCollection( pCollection, false );
+
+            return isNull( collection ) ? 0 : this.#removeRows( collection, () => true );
+        }
+
+        async connect()
+        {
+            return this.server.connect();
+        }
+
+        async disconnect()
+        {
+            return this.server.disconnect();
+        }
+    }
+
+    registerDatabaseServerClass( DB_TYPE, InMemoryDatabaseServer );
+
+    let mod =
+        {
+            dependencies:
+                {
+                    core,
+                    moduleUtils,
+                    typeUtils,
+                    stringUtils,
+                    arrayUtils,
+                    databaseUtils
+                },
+            classes:
+                {
+                    InMemoryCollection,
+                    InMemoryDatabaseServer,
+                    InMemoryDatabase
+                },
+            DB_TYPE,
+            resolvePredicate,
+            resolveQuery,
+            InMemoryCollection,
+            InMemoryDatabaseServer,
+            InMemoryDatabase
+        };
+
+    mod = toolBocksModule.extend( mod );
+
+    return mod.expose( mod, INTERNAL_NAME, (_ud !== typeof module ? module : mod) ) || mod;
+
+}());
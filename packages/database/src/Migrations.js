@@ -0,0 +1,887 @@
+/**
+ * This module provides a runner for schema migrations.
+ * <br><br>
+ * Migrations are read from a directory (using findFiles from the files package)
+ * and are applied in the order of the version number at the start of each file name,
+ * for example, 001_create_users.sql, 002_add_email_to_users.js, or 20240115093000_add_orders.sql.
+ * <br><br>
+ * A migration can be:
+ * <ul>
+ * <li>a .sql file, whose up and down steps are separated by '-- migrate:up' and '-- migrate:down' comments
+ * (a file without these markers is treated as an up step that cannot be reverted)</li>
+ * <li>a pair of .sql files named with .up.sql and .down.sql suffixes, such as 003_add_index.up.sql and 003_add_index.down.sql</li>
+ * <li>a .js (or .cjs) module exporting up and down, each either a string of DDL
+ * or a function (possibly async) that accepts the Database and a context object</li>
+ * </ul>
+ * The versions applied to a database are recorded in a bookkeeping table (schema_migrations, by default),
+ * so the runner can report which migrations are pending and which steps can be reverted.
+ * <br><br>
+ * The runner dispatches an event before and after each step (see MIGRATION_EVENTS),
+ * both from the runner itself and from this module.
+ * <br>
+ */
+
+const core = require( "@toolbocks/core" );
+
+const fileUtils = require( "@toolbocks/files" );
+
+const { constants } = core;
+
+const { _ud = "undefined" } = constants;
+
+const $scope = constants?.$scope || function()
+{
+    return (_ud === typeof self ? ((_ud === typeof global) ? ((_ud === typeof globalThis ? {} : globalThis)) : (global || {})) : (self || {}));
+};
+
+(function exposeModule()
+{
+    const INTERNAL_NAME = "__BOCK__DATABASE_MIGRATIONS__";
+
+    if ( $scope() && (null != $scope()[INTERNAL_NAME]) )
+    {
+        return $scope()[INTERNAL_NAME];
+    }
+
+    const moduleName = "Migrations";
+
+    const { moduleUtils, constants, typeUtils, stringUtils, arrayUtils } = core;
+
+    const {
+        ToolBocksModule,
+        ModuleEvent,
+        IllegalArgumentError,
+        IllegalStateError,
+        lock
+    } = moduleUtils;
+
+    const { _mt_str, _mt = _mt_str } = constants;
+
+    const {
+        isNull,
+        isString,
+        isFunction
+    } = typeUtils;
+
+    const { asString, isBlank, asInt, lcase } = stringUtils;
+
+    const { asArray } = arrayUtils;
+
+    const { findFiles, readTextFile, resolvePath, resolveDirectoryPath } = fileUtils;
+
+    const crypto = require( "node:crypto" );
+
+    const toolBocksModule = new ToolBocksModule( moduleName, INTERNAL_NAME );
+
+    /**
+     * The default name of the table used to record the versions that have been applied
+     * @type {string}
+     */
+    const DEFAULT_TABLE_NAME = "schema_migrations";
+
+    /**
+     * The types of the events dispatched by a MigrationRunner
+     */
+    const MIGRATION_EVENTS = lock( {
+                                       STARTING: "migrationStarting",
+                                       APPLIED: "migrationApplied",
+                                       REVERTED: "migrationReverted",
+                                       FAILED: "migrationFailed",
+                                       COMPLETE: "migrationsComplete"
+                                   } );
+
+    const DIRECTION = lock( { UP: "up", DOWN: "down" } );
+
+    /**
+     * Matches the file name of a migration, capturing the version, the description, the optional direction, and the extension
+     */
+    const FILE_NAME_PATTERN = /^(\d+)[_\-.]?(.*?)(?:\.(up|down))?\.(sql|js|cjs)$/i;
+
+    const UP_MARKER = /^\s*--\s*migrate:up\b.*$/im;
+    const DOWN_MARKER = /^\s*--\s*migrate:down\b.*$/im;
+
+    /**
+     * Compares two version strings numerically, without regard to leading zeroes
+     */
+    function compareVersions( pA, pB )
+    {
+        const a = asString( pA, true ).replace( /^0+(?=\d)/, _mt );
+        const b = asString( pB, true ).replace( /^0+(?=\d)/, _mt );
+
+        return (a.length - b.length) || (a < b ? -1 : (a > b ? 1 : 0));
+    }
+
+    const checksum = ( pContent ) => crypto.createHash( "sha256" ).update( asString( pContent ) ).digest( "hex" );
+
+    /**
+     * Maps each character that opens a quoted string or identifier to the character that closes it
+     */
+    const QUOTES = lock( { "'": "'", "\"": "\"", "`": "`", "[": "]" } );
+
+    /**
+     * Matches the start of a statement whose body is a BEGIN ... END block,
+     * within which semicolons do not end the statement
+     */
+    const BLOCK_STATEMENT = /^\s*CREATE\s+(?:OR\s+REPLACE\s+)?(?:TEMP(?:ORARY)?\s+)?(?:DEFINER\s*=\s*\S+\s+)?(?:TRIGGER|FUNCTION|PROCEDURE)\b/i;
+
+    /**
+     * Returns the index following the character that closes the quoted text starting at the specified index.
+     * A closing character that is doubled is part of the quoted text, as in 'O''Brien'.
+     */
+    function skipQuoted( pSql, pStart, pClose )
+    {
+        let index = pStart + 1;
+
+        while ( index < pSql.length )
+        {
+            const found = pSql.indexOf( pClose, index );
+
+            if ( found < 0 )
+            {
+                break;
+            }
+
+            if ( pClose !== pSql[found + 1] )
+            {
+                return found + 1;
+            }
+
+            index = found + 2;
+        }
+
+        return pSql.length;
+    }
+
+    /**
+     * Splits a SQL script into its statements, removing comments.
+     * <br><br>
+     * A semicolon only ends a statement if it is not within
+     * <ul>
+     * <li>a quoted string or identifier ('...', "...", `...`, or [...])</li>
+     * <li>a dollar-quoted string ($$...$$ or $tag$...$tag$), as used by PostgreSQL for the bodies of functions</li>
+     * <li>a comment (-- to the end of the line, or /* ... *&#47;)</li>
+     * <li>the BEGIN ... END block of a CREATE TRIGGER, FUNCTION, or PROCEDURE statement</li>
+     * </ul>
+     * Client commands that change the delimiter, such as MySQL's DELIMITER, are not supported.
+     * <br>
+     *
+     * @param {string} pSql the script to split
+     * @returns {Array<string>} the statements of the script, without their terminating semicolons
+     */
+    function splitStatements( pSql )
+    {
+        const sql = asString( pSql );
+
+        const statements = [];
+
+        let statement = _mt;
+        let depth = 0;
+        let index = 0;
+
+        const endStatement = () =>
+        {
+            const text = asString( statement, true );
+
+            if ( !isBlank( text ) )
+            {
+                statements.push( text );
+            }
+
+            statement = _mt;
+            depth = 0;
+        };
+
+        while ( index < sql.length )
+        {
+            const ch = sql[index];
+            const next = sql[index + 1];
+
+            if ( "-" === ch && "-" === next )
+            {
+                const end = sql.indexOf( "\n", index );
+                index = end < 0 ? sql.length : end;
+                continue;
+            }
+
+            if ( "/" === ch && "*" === next )
+            {
+                const end = sql.indexOf( "*/", index + 2 );
+                index = end < 0 ? sql.length : end + 2;
+                statement += " ";
+                continue;
+            }
+
+            let end = index;
+
+            if ( !isNull( QUOTES[ch] ) )
+            {
+                end = skipQuoted( sql, index, QUOTES[ch] );
+            }
+            else if ( "$" === ch && !/[\w$]/.test( sql[index - 1] || _mt ) )
+            {
+                const tag = /^\$(?:[A-Za-z_]\w*)?\$/.exec( sql.slice( index, index + 64 ) )?.[0];
+
+                if ( tag )
+                {
+                    const close = sql.indexOf( tag, index + tag.length );
+                    end = close < 0 ? sql.length : close + tag.length;
+                }
+            }
+            else if ( /[A-Za-z_]/.test( ch ) && !/[\w$]/.test( sql[index - 1] || _mt ) )
+            {
+                const word = /^[A-Za-z_]\w*/.exec( sql.slice( index, index + 128 ) )[0];
+
+                end = index + word.length;
+
+                if ( /^(BEGIN|CASE|END)$/i.test( word ) && BLOCK_STATEMENT.test( statement ) )
+                {
+                    // END IF, END LOOP, and so on close blocks that were not counted when opened
+                    const closesUncounted = /^\s+(IF|LOOP|WHILE|REPEAT)\b/i.test( sql.slice( end, end + 16 ) );
+
+                    depth += ("END" === word.toUpperCase()) ? (closesUncounted ? 0 : -1) : 1;
+                }
+            }
+            else if ( ";" === ch && depth <= 0 )
+            {
+                endStatement();
+                index++;
+                continue;
+            }
+
+            end = Math.max( end, index + 1 );
+
+            statement += sql.slice( index, end );
+
+            index = end;
+        }
+
+        endStatement();
+
+        return statements;
+    }
+
+    /**
+     * Splits the content of a .sql migration into its up and down scripts
+     */
+    function parseSqlMigration( pContent )
+    {
+        const content = asString( pContent );
+
+        const upMatch = UP_MARKER.exec( content );
+        const downMatch = DOWN_MARKER.exec( content );
+
+        if ( isNull( upMatch ) && isNull( downMatch ) )
+        {
+            return { up: content.trim(), down: null };
+        }
+
+        const upStart = isNull( upMatch ) ? 0 : upMatch.index + upMatch[0].length;
+        const downStart = isNull( downMatch ) ? -1 : downMatch.index + downMatch[0].length;
+
+        const up = (isNull( downMatch ) || downMatch.index < upStart) ? content.slice( upStart ) : content.slice( upStart, downMatch.index );
+        const down = isNull( downMatch ) ? null : ((isNull( upMatch ) || upMatch.index < downStart) ? content.slice( downStart ) : content.slice( downStart, upMatch.index ));
+
+        return { up: up.trim(), down: isNull( down ) ? null : down.trim() };
+    }
+
+    /**
+     * Represents a single, versioned change to a schema.
+     * <br><br>
+     * The up and down steps can be strings of DDL (executed via Database.executeDdl)
+     * or functions that accept the Database and a context object.
+     * A migration without a down step cannot be reverted.
+     * <br>
+     *
+     * @class
+     */
+    class Migration
+    {
+        #version;
+        #name;
+        #up;
+        #down;
+        #filePath;
+        #checksum;
+
+        constructor( pVersion, pName, pUp, pDown, pOptions = {} )
+        {
+            const options = { ...(pOptions || {}) };
+
+            this.#version = asString( pVersion, true );
+
+            if ( !/^\d+$/.test( this.#version ) )
+            {
+                throw new IllegalArgumentError( `A migration version must be a sequence of digits, not ${pVersion}`, { version: pVersion } );
+            }
+
+            if ( isNull( pUp ) )
+            {
+                throw new IllegalArgumentError( `Migration ${this.#version} does not define an up step`, { version: pVersion } );
+            }
+
+            this.#name = asString( pName, true ) || this.#version;
+            this.#up = pUp;
+            this.#down = pDown || null;
+            this.#filePath = asString( options.filePath, true );
+            this.#checksum = asString( options.checksum, true ) || checksum( [pUp, pDown].map( e => isNull( e ) ? _mt : String( e ) ).join( "\n" ) );
+        }
+
+        get version()
+        {
+            return this.#version;
+        }
+
+        get name()
+        {
+            return this.#name;
+        }
+
+        get filePath()
+        {
+            return this.#filePath;
+        }
+
+        get checksum()
+        {
+            return this.#checksum;
+        }
+
+        get reversible()
+        {
+            return !isNull( this.#down );
+        }
+
+        /**
+         * Returns the SQL statements of the specified step, or an empty array if the step is a function
+         * @param {string} pDirection up or down
+         * @returns {Array<string>}
+         */
+        statementsFor( pDirection )
+        {
+            const step = (DIRECTION.DOWN === pDirection) ? this.#down : this.#up;
+
+            return isString( step ) ? splitStatements( step ) : [];
+        }
+
+        /**
+         * Executes the up or down step of this migration against the specified database
+         *
+         * @param {Database} pDatabase the database to change
+         * @param {string} pDirection up or down
+         * @param {Object} [pContext] an object passed to steps defined as functions
+         * @returns {Promise<*>} the value returned by the step
+         */
+        async run( pDatabase, pDirection, pContext = {} )
+        {
+            const step = (DIRECTION.DOWN === pDirection) ? this.#down : this.#up;
+
+            if ( isNull( step ) )
+            {
+                throw new IllegalStateError( `Migration ${this.#version} (${this.#name}) cannot be reverted`, { version: this.#version } );
+            }
+
+            if ( isFunction( step ) )
+            {
+                return await step( pDatabase, { ...(pContext || {}), migration: this, direction: pDirection } );
+            }
+
+            const statements = this.statementsFor( pDirection );
+
+            return statements.length > 0 ? await pDatabase.executeDdl( statements ) : 0;
+        }
+    }
+
+    /**
+     * Returns the migrations defined by the files in the specified directory, ordered by version.
+     * <br><br>
+     * Files whose names do not start with a version number, or whose extension is not .sql, .js, or .cjs, are ignored.
+     * <br>
+     *
+     * @param {string} pDirectory the directory containing the migration files
+     * @param {Object} [pOptions] an object that may specify
+     *                            'recursive' (to include migrations in subdirectories)
+     *                            or an additional 'filter' (a function that accepts a file name)
+     * @returns {Promise<Array<Migration>>} the migrations found
+     * @throws {IllegalStateError} if two migrations have the same version
+     */
+    async function loadMigrations( pDirectory, pOptions = {} )
+    {
+        const options = { ...(pOptions || {}) };
+
+        const directory = resolvePath( resolveDirectoryPath( pDirectory ) );
+
+        const filter = isFunction( options.filter ) ? options.filter : () => true;
+
+        const isMigrationFile = ( pFile ) => FILE_NAME_PATTERN.test( asString( pFile?.filename ) ) &&
+                                             (!!options.recursive || resolvePath( pFile?.directory ) === directory) &&
+                                             filter( asString( pFile?.filename ) );
+
+        const files = asArray( await findFiles( directory, null, isMigrationFile, null ) || [] ).filter( isMigrationFile );
+
+        const definitions = new Map();
+
+        for( const file of files )
+        {
+            const [, version, description, direction, extension] = FILE_NAME_PATTERN.exec( file.filename );
+
+            const key = asString( version, true ).replace( /^0+(?=\d)/, _mt );
+
+            const definition = definitions.get( key ) || { version, name: description, files: [] };
+
+            definition.files.push( { filePath: file.filePath, direction: asString( direction ).toLowerCase(), extension: extension.toLowerCase() } );
+
+            definitions.set( key, definition );
+        }
+
+        const migrations = [];
+
+        for( const { version, name, files: sources } of definitions.values() )
+        {
+            const count = ( pDirection ) => sources.filter( e => pDirection === e.direction ).length;
+
+            if ( count( _mt ) > 1 || count( DIRECTION.UP ) > 1 || count( DIRECTION.DOWN ) > 1 || (count( _mt ) > 0 && sources.length > 1) )
+            {
+                throw new IllegalStateError( `More than one migration is defined for version ${version}`, { version, files: sources.map( e => e.filePath ) } );
+            }
+
+            let up = null;
+            let down = null;
+            let content = _mt;
+
+            for( const { filePath, direction, extension } of sources.sort( ( a, b ) => a.filePath.localeCompare( b.filePath ) ) )
+            {
+                const text = asString( await readTextFile( filePath ) );
+
+                content += text;
+
+                if ( "sql" !== extension )
+                {
+                    const exported = require( filePath );
+
+                    up = exported?.up || (isFunction( exported ) ? exported : up);
+                    down = exported?.down || down;
+                }
+                else if ( DIRECTION.UP === direction )
+                {
+                    up = text.trim();
+                }
+                else if ( DIRECTION.DOWN === direction )
+                {
+                    down = text.trim();
+                }
+                else
+                {
+                    ({ up, down } = parseSqlMigration( text ));
+                }
+            }
+
+            migrations.push( new Migration( version, name, up, down, { filePath: sources[0].filePath, checksum: checksum( content ) } ) );
+        }
+
+        return migrations.sort( ( a, b ) => compareVersions( a.version, b.version ) );
+    }
+
+    /**
+     * Applies and reverts migrations, recording the applied versions in a bookkeeping table.
+     * <br><br>
+     * Each step is reported by dispatching events (see MIGRATION_EVENTS);
+     * the detail of each event describes the migration, the direction, and whether the step is a dry run.
+     * <br><br>
+     * Each step is executed in a transaction together with the change to the bookkeeping table,
+     * so a step that fails leaves neither its changes nor a record of them.
+     * Databases that commit DDL implicitly, such as MySQL, cannot roll back DDL that was executed before the failure.
+     * Specify 'transactional: false' for databases without transactions
+     * or for steps that cannot be executed in a transaction.
+     * <br><br>
+     * In a dry run, no step is executed and nothing is recorded, nor is the bookkeeping table created;
+     * the results describe what would be done, including the SQL statements of steps expressed as SQL.
+     * <br>
+     *
+     * @class
+     * @extends EventTarget
+     */
+    class MigrationRunner extends EventTarget
+    {
+        #database;
+        #directory;
+        #migrations;
+        #tableName;
+        #dryRun;
+        #transactional;
+        #options;
+
+        /**
+         * @param {Database} pDatabase the database to migrate
+         * @param {Object} pOptions an object that specifies the 'directory' from which to load the migrations
+         *                          (or the 'migrations' themselves),
+         *                          and may specify the 'tableName' of the bookkeeping table,
+         *                          'dryRun' (to make dry runs the default),
+         *                          and 'transactional' (false to execute steps outside of transactions)
+         */
+        constructor( pDatabase, pOptions = {} )
+        {
+            super();
+
+            if ( isNull( pDatabase ) || !isFunction( pDatabase.executeDdl ) )
+            {
+                throw new IllegalArgumentError( "A MigrationRunner requires a Database", { database: pDatabase } );
+            }
+
+            this.#options = { ...(pOptions || {}) };
+
+            this.#database = pDatabase;
+            this.#directory = asString( this.#options.directory, true );
+            this.#migrations = isNull( this.#options.migrations ) ? null : asArray( this.#options.migrations );
+            this.#tableName = asString( this.#options.tableName, true ) || DEFAULT_TABLE_NAME;
+            this.#dryRun = !!this.#options.dryRun;
+            this.#transactional = false !== this.#options.transactional;
+
+            if ( isBlank( this.#directory ) && isNull( this.#migrations ) )
+            {
+                throw new IllegalArgumentError( "A MigrationRunner requires a directory or an array of migrations" );
+            }
+        }
+
+        get database()
+        {
+            return this.#database;
+        }
+
+        get tableName()
+        {
+            return this.#tableName;
+        }
+
+        /**
+         * Returns the migrations known to this runner, ordered by version
+         * @returns {Promise<Array<Migration>>}
+         */
+        async getMigrations()
+        {
+            if ( isNull( this.#migrations ) )
+            {
+                this.#migrations = await loadMigrations( this.#directory, this.#options );
+            }
+
+            return [...this.#migrations].sort( ( a, b ) => compareVersions( a.version, b.version ) );
+        }
+
+        async #ensureTable()
+        {
+            await this.#database.executeDdl( `CREATE TABLE IF NOT EXISTS ${this.#tableName} (version TEXT PRIMARY KEY, name TEXT, checksum TEXT, applied_at TEXT)` );
+        }
+
+        async #hasTable()
+        {
+            const database = this.#database;
+
+            if ( isFunction( database.getCollectionNames ) )
+            {
+                const names = asArray( await database.getCollectionNames() || [] ).map( e => lcase( asString( e, true ) ) );
+
+                return names.includes( lcase( this.#tableName ) );
+            }
+
+            // without a way to list the tables, the table is assumed to exist if it can be read
+            try
+            {
+                await database.find( this.#tableName );
+
+                return true;
+            }
+            catch( ex )
+            {
+                return false;
+            }
+        }
+
+        /**
+         * Returns the rows of the bookkeeping table, ordered by version,
+         * or an empty array if the table has not yet been created
+         * @returns {Promise<Array<{version: string, name: string, checksum: string, applied_at: string}>>}
+         */
+        async getApplied()
+        {
+            if ( !(await this.#hasTable()) )
+            {
+                return [];
+            }
+
+            const rows = asArray( await this.#database.find( this.#tableName ) || [] ).map( e => ({ ...e, version: asString( e.version, true ) }) );
+
+            return rows.sort( ( a, b ) => compareVersions( a.version, b.version ) );
+        }
+
+        /**
+         * Returns the status of each migration, including versions recorded as applied
+         * for which no migration is found (reported with missing: true).
+         *
+         * @returns {Promise<Array<{version: string, name: string, applied: boolean, appliedAt: (string|null), modified: boolean, missing: boolean}>>}
+         */
+        async status()
+        {
+            const migrations = await this.getMigrations();
+
+            const applied = new Map( (await this.getApplied()).map( e => [e.version, e] ) );
+
+            const statuses = migrations.map( migration =>
+                                             {
+                                                 const row = applied.get( migration.version );
+
+                                                 applied.delete( migration.version );
+
+                                                 return {
+                                                     version: migration.version,
+                                                     name: migration.name,
+                                                     applied: !isNull( row ),
+                                                     appliedAt: row?.applied_at || null,
+                                                     modified: !isNull( row ) && !isBlank( row.checksum ) && row.checksum !== migration.checksum,
+                                                     missing: false
+                                                 };
+                                             } );
+
+            [...applied.values()].forEach( row => statuses.push( {
+                                                                     version: row.version,
+                                                                     name: row.name,
+                                                                     applied: true,
+                                                                     appliedAt: row.applied_at || null,
+                                                                     modified: false,
+                                                                     missing: true
+                                                                 } ) );
+
+            return statuses.sort( ( a, b ) => compareVersions( a.version, b.version ) );
+        }
+
+        /**
+         * Returns the pending migrations
+         * @returns {Promise<Array<Migration>>}
+         */
+        async pending()
+        {
+            const applied = new Set( (await this.getApplied()).map( e => e.version ) );
+
+            return (await this.getMigrations()).filter( e => !applied.has( e.version ) );
+        }
+
+        #emit( pType, pDetail )
+        {
+            this.dispatchEvent( new ModuleEvent( pType, { ...pDetail } ) );
+            toolBocksModule.dispatchEvent( new ModuleEvent( pType, { ...pDetail } ) );
+        }
+
+        async #step( pMigration, pDirection, pDryRun )
+        {
+            const detail = {
+                version: pMigration.version,
+                name: pMigration.name,
+                direction: pDirection,
+                dryRun: pDryRun,
+                statements: pMigration.statementsFor( pDirection )
+            };
+
+            this.#emit( MIGRATION_EVENTS.STARTING, detail );
+
+            const execute = async( pDatabase ) =>
+            {
+                await pMigration.run( pDatabase, pDirection, { dryRun: false, runner: this } );
+
+                if ( DIRECTION.UP === pDirection )
+                {
+                    await pDatabase.insert( this.#tableName,
+                                            {
+                                                version: pMigration.version,
+                                                name: pMigration.name,
+                                                checksum: pMigration.checksum,
+                                                applied_at: new Date().toISOString()
+                                            } );
+                }
+                else
+                {
+                    await pDatabase.delete( this.#tableName, { version: pMigration.version } );
+                }
+            };
+
+            if ( !pDryRun )
+            {
+                try
+                {
+                    if ( this.#transactional )
+                    {
+                        await this.#database.withTransaction( execute );
+                    }
+                    else
+                    {
+                        await execute( this.#database );
+                    }
+                }
+                catch( ex )
+                {
+                    this.#emit( MIGRATION_EVENTS.FAILED, { ...detail, error: ex } );
+
+                    throw new IllegalStateError( `Migration ${pMigration.version} (${pMigration.name}) failed: ${ex.message}`, { ...detail, cause: ex } );
+                }
+            }
+
+            this.#emit( (DIRECTION.UP === pDirection) ? MIGRATION_EVENTS.APPLIED : MIGRATION_EVENTS.REVERTED, detail );
+
+            return detail;
+        }
+
+        /**
+         * Applies the pending migrations, in order of version.
+         *
+         * @param {Object} [pOptions] an object that may specify
+         *                            'to' (the last version to apply),
+         *                            'steps' (the maximum number of migrations to apply),
+         *                            and 'dryRun'
+         * @returns {Promise<Array<Object>>} a description of each step applied (or, in a dry run, that would be applied)
+         */
+        async up( pOptions = {} )
+        {
+            const options = { ...(pOptions || {}) };
+
+            const dryRun = isNull( options.dryRun ) ? this.#dryRun : !!options.dryRun;
+
+            let pending = await this.pending();
+
+            if ( !isNull( options.to ) )
+            {
+                pending = pending.filter( e => compareVersions( e.version, asString( options.to, true ) ) <= 0 );
+            }
+
+            if ( !isNull( options.steps ) )
+            {
+                pending = pending.slice( 0, Math.max( 0, asInt( options.steps ) ) );
+            }
+
+            if ( !dryRun && pending.length > 0 )
+            {
+                await this.#ensureTable();
+            }
+
+            const results = [];
+
+            for( const migration of pending )
+            {
+                results.push( await this.#step( migration, DIRECTION.UP, dryRun ) );
+            }
+
+            this.#emit( MIGRATION_EVENTS.COMPLETE, { direction: DIRECTION.UP, dryRun, results } );
+
+            return results;
+        }
+
+        /**
+         * Reverts applied migrations, starting with the most recent.
+         * <br>
+         * By default, only the most recent migration is reverted.
+         *
+         * @param {Object} [pOptions] an object that may specify
+         *                            'to' (the version to keep; every later version is reverted),
+         *                            'steps' (the number of migrations to revert),
+         *                            and 'dryRun'
+         * @returns {Promise<Array<Object>>} a description of each step reverted (or, in a dry run, that would be reverted)
+         * @throws {IllegalStateError} if a migration to be reverted is not found or has no down step
+         */
+        async down( pOptions = {} )
+        {
+            const options = { ...(pOptions || {}) };
+
+            const dryRun = isNull( options.dryRun ) ? this.#dryRun : !!options.dryRun;
+
+            const migrations = new Map( (await this.getMigrations()).map( e => [e.version, e] ) );
+
+            let applied = (await this.getApplied()).reverse();
+
+            if ( !isNull( options.to ) )
+            {
+                applied = applied.filter( e => compareVersions( e.version, asString( options.to, true ) ) > 0 );
+            }
+            else
+            {
+                applied = applied.slice( 0, Math.max( 0, isNull( options.steps ) ? 1 : asInt( options.steps ) ) );
+            }
+
+            const targets = applied.map( row =>
+                                         {
+                                             const migration = migrations.get( row.version );
+
+                                             if ( isNull( migration ) || !migration.reversible )
+                                             {
+                                                 throw new IllegalStateError( `Migration ${row.version} (${row.name}) cannot be reverted`, { version: row.version } );
+                                             }
+
+                                             return migration;
+                                         } );
+
+            const results = [];
+
+            for( const migration of targets )
+            {
+                results.push( await this.#step( migration, DIRECTION.DOWN, dryRun ) );
+            }
+
+            this.#emit( MIGRATION_EVENTS.COMPLETE, { direction: DIRECTION.DOWN, dryRun, results } );
+
+            return results;
+        }
+
+        /**
+         * Applies or reverts migrations so that the specified version is the latest applied.
+         * If no version is specified, all pending migrations are applied.
+         *
+         * @param {string|number} [pVersion] the target version
+         * @param {Object} [pOptions] an object that may specify 'dryRun'
+         * @returns {Promise<Array<Object>>} a description of each step
+         */
+        async migrate( pVersion, pOptions = {} )
+        {
+            const options = { ...(pOptions || {}) };
+
+            if ( isNull( pVersion ) )
+            {
+                return this.up( options );
+            }
+
+            const applied = await this.getApplied();
+
+            const latest = applied.length > 0 ? applied[applied.length - 1].version : "0";
+
+            return (compareVersions( asString( pVersion, true ), latest ) < 0) ?
+                   this.down( { ...options, to: pVersion } ) :
+                   this.up( { ...options, to: pVersion } );
+        }
+    }
+
+    let mod =
+        {
+            dependencies:
+                {
+                    core,
+                    fileUtils,
+                    moduleUtils,
+                    typeUtils,
+                    stringUtils,
+                    arrayUtils
+                },
+            classes:
+                {
+                    Migration,
+                    MigrationRunner
+                },
+            DEFAULT_TABLE_NAME,
+            MIGRATION_EVENTS,
+            DIRECTION,
+            compareVersions,
+            parseSqlMigration,
+            splitStatements,
+            loadMigrations,
+            Migration,
+            MigrationRunner
+        };
+
+    mod = toolBocksModule.extend( mod );
+
+    return mod.expose( mod, INTERNAL_NAME, (_ud !== typeof module ? module : mod) ) || mod;
+
+}());
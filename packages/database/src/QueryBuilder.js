@@ -0,0 +1,1472 @@
+/**
+ * This module provides composable predicates and queries
+ * for use with the find, update, and delete methods of a Database.
+ * <br><br>
+ * A predicate can render itself as parameterized SQL (see toSql)
+ * and can also be evaluated directly against an object literal (see evaluate),
+ * so the same predicate works with SQL-based servers and in-memory data.
+ * <br><br>
+ * Example:
+ * <pre>
+ * const query = select( "id", "name" ).from( "users" )
+ *                                     .where( where( "role" ).in( ["admin", "owner"] ).and( where( "name" ).like( "A%" ) ) )
+ *                                     .orderBy( "name", "DESC" )
+ *                                     .limit( 10 );
+ *
+ * const { sql, params } = query.toSql();
+ * // SELECT "id", "name" FROM "users" WHERE ("role" IN (?, ?) AND "name" LIKE ?) ORDER BY "name" DESC LIMIT ?
+ * </pre>
+ */
+
+const core = require( "@toolbocks/core" );
+
+const { constants } = core;
+
+const { _ud = "undefined" } = constants;
+
+const $scope = constants?.$scope || function()
+{
+    return (_ud === typeof self ? ((_ud === typeof global) ? ((_ud === typeof globalThis ? {} : globalThis)) : (global || {})) : (self || {}));
+};
+
+(function exposeModule()
+{
+    const INTERNAL_NAME = "__BOCK__DATABASE_QUERY_BUILDER__";
+
+    if ( $scope() && (null != $scope()[INTERNAL_NAME]) )
+    {
+        return $scope()[INTERNAL_NAME];
+    }
+
+    const moduleName = "QueryBuilder";
+
+    const { moduleUtils, constants, typeUtils, stringUtils, arrayUtils } = core;
+
+    const {
+        ToolBocksModule,
+        IllegalArgumentError,
+        IllegalStateError,
+        NotImplementedError,
+        lock
+    } = moduleUtils;
+
+    const { _mt_str, _mt = _mt_str } = constants;
+
+    const {
+        isNull,
+        isNonNullObject,
+        isString,
+        isNumber,
+        isFunction,
+        isArray,
+        isDate,
+        isRegExp
+    } = typeUtils;
+
+    const { asString, isBlank, asInt, ucase, lcase } = stringUtils;
+
+    const { asArray } = arrayUtils;
+
+    const toolBocksModule = new ToolBocksModule( moduleName, INTERNAL_NAME );
+
+    /**
+     * The comparison operators supported by a Comparison predicate
+     */
+    const OPERATORS = lock( {
+                                EQ: "=",
+                                NE: "<>",
+                                LT: "<",
+                                LTE: "<=",
+                                GT: ">",
+                                GTE: ">="
+                            } );
+
+    const VALID_OPERATORS = lock( Object.values( OPERATORS ) );
+
+    const SORT_DIRECTION = lock( { ASC: "ASC", DESC: "DESC" } );
+
+    /**
+     * The SQL dialects whose differences a SqlContext accounts for
+     */
+    const DIALECTS = lock( { ANSI: "ansi", SQLITE: "sqlite", POSTGRESQL: "postgresql", MYSQL: "mysql" } );
+
+    /**
+     * The LIMIT clause that each dialect requires before an OFFSET when there is no limit;
+     * the other dialects accept OFFSET without LIMIT
+     */
+    const UNBOUNDED_LIMITS = lock( { [DIALECTS.SQLITE]: " LIMIT -1", [DIALECTS.MYSQL]: " LIMIT 18446744073709551615" } );
+
+    /**
+     * Returns the result of AND in SQL's three-valued logic, where null means unknown
+     */
+    function and3( ...pValues )
+    {
+        return pValues.includes( false ) ? false : (pValues.some( isNull ) ? null : true);
+    }
+
+    /**
+     * Returns the result of OR in SQL's three-valued logic, where null means unknown
+     */
+    function or3( ...pValues )
+    {
+        return pValues.includes( true ) ? true : (pValues.some( isNull ) ? null : false);
+    }
+
+    /**
+     * Returns the value of the specified column (or dotted path) of the specified row
+     */
+    function readColumn( pRow, pColumn )
+    {
+        if ( isNull( pRow ) )
+        {
+            return null;
+        }
+
+        const column = asString( pColumn, true );
+
+        if ( column in Object( pRow ) )
+        {
+            return pRow[column];
+        }
+
+        return column.split( "." ).reduce( ( obj, key ) => isNull( obj ) ? obj : obj[key], pRow );
+    }
+
+    /**
+     * Returns a value suitable for comparison, so that Dates compare by time
+     */
+    const comparable = ( pValue ) => isDate( pValue ) ? pValue.getTime() : pValue;
+
+    /**
+     * Compares two values as SQL would when sorting, with nulls first
+     */
+    function compareValues( pA, pB )
+    {
+        const a = comparable( pA );
+        const b = comparable( pB );
+
+        if ( isNull( a ) || isNull( b ) )
+        {
+            return isNull( a ) ? (isNull( b ) ? 0 : -1) : 1;
+        }
+
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+
+    /**
+     * Converts a SQL LIKE pattern (using % and _) to an equivalent regular expression
+     *
+     * @param {string} pPattern the LIKE pattern
+     * @param {boolean} [pIgnoreCase=false] whether the regular expression should ignore case
+     * @returns {RegExp} a regular expression that matches the same strings as the pattern
+     */
+    function likeToRegExp( pPattern, pIgnoreCase = false )
+    {
+        const source = asString( pPattern ).split( _mt ).map( ch =>
+                                                              {
+                                                                  switch ( ch )
+                                                                  {
+                                                                      case "%":
+                                                                          return "[\\s\\S]*";
+                                                                      case "_":
+                                                                          return "[\\s\\S]";
+                                                                      default:
+                                                                          return ch.replace( /[.*+?^${}()|[\]\\\/]/g, "\\$&" );
+                                                                  }
+                                                              } ).join( _mt );
+
+        return new RegExp( "^" + source + "$", pIgnoreCase ? "i" : _mt );
+    }
+
+    /**
+     * Converts a SQL LIKE pattern (using % and _) to an equivalent SQLite GLOB pattern,
+     * which, unlike LIKE in SQLite, is case-sensitive
+     *
+     * @param {string} pPattern the LIKE pattern
+     * @returns {string} a GLOB pattern that matches the same strings as the pattern
+     */
+    function likeToGlob( pPattern )
+    {
+        return asString( pPattern ).split( _mt ).map( ch =>
+                                                      {
+                                                          switch ( ch )
+                                                          {
+                                                              case "%":
+                                                                  return "*";
+                                                              case "_":
+                                                                  return "?";
+                                                              case "*":
+                                                              case "?":
+                                                              case "[":
+                                                                  return "[" + ch + "]";
+                                                              default:
+                                                                  return ch;
+                                                          }
+                                                      } ).join( _mt );
+    }
+
+    /**
+     * Collects the parameters bound while rendering a predicate or query as SQL
+     * and formats placeholders and identifiers.
+     * <br><br>
+     * The placeholder option can be:
+     * <ul>
+     * <li>"?" (the default), for positional parameters</li>
+     * <li>"$", for numbered parameters ($1, $2, ...), as used by PostgreSQL</li>
+     * <li>":", for numbered parameters (:1, :2, ...), as used by Oracle</li>
+     * <li>a function that accepts the (1-based) index of the parameter and returns the placeholder</li>
+     * </ul>
+     * The dialect option (one of the DIALECTS, "ansi" by default) determines
+     * how an offset without a limit is written
+     * and how a case-sensitive LIKE is written for SQLite, whose LIKE ignores case.
+     */
+    class SqlContext
+    {
+        #params = [];
+
+        #placeholder;
+
+        #quote;
+
+        #dialect;
+
+        constructor( pOptions = {} )
+        {
+            const options = { ...(pOptions || {}) };
+
+            this.#placeholder = options.placeholder || "?";
+
+            this.#quote = isFunction( options.quoteIdentifier ) ? options.quoteIdentifier : SqlContext.quoteIdentifier;
+
+            this.#dialect = Object.values( DIALECTS ).includes( lcase( asString( options.dialect, true ) ) ) ? lcase( asString( options.dialect, true ) ) : DIALECTS.ANSI;
+        }
+
+        get params()
+        {
+            return [...this.#params];
+        }
+
+        get dialect()
+        {
+            return this.#dialect;
+        }
+
+        /**
+         * Returns the LIMIT clause this dialect requires before an OFFSET when no limit is specified,
+         * or an empty string if the dialect accepts an OFFSET on its own
+         */
+        get unboundedLimit()
+        {
+            return UNBOUNDED_LIMITS[this.#dialect] || _mt;
+        }
+
+        /**
+         * Adds the value to the parameters and returns the placeholder to use in its place
+         */
+        bind( pValue )
+        {
+            this.#params.push( pValue );
+
+            const index = this.#params.length;
+
+            if ( isFunction( this.#placeholder ) )
+            {
+                return this.#placeholder( index );
+            }
+
+            return ("?" === this.#placeholder) ? "?" : (asString( this.#placeholder ) + index);
+        }
+
+        quote( pIdentifier )
+        {
+            return asString( pIdentifier, true ).split( "." ).map( e => this.#quote( e ) ).join( "." );
+        }
+
+        static quoteIdentifier( pIdentifier )
+        {
+            const identifier = asString( pIdentifier, true );
+            return ("*" === identifier) ? identifier : "\"" + identifier.replaceAll( "\"", "\"\"" ) + "\"";
+        }
+    }
+
+    /**
+     * This is the base class for composable predicates.
+     * <br><br>
+     * Subclasses implement evaluate, to test an object literal,
+     * and render, to write the equivalent SQL to a SqlContext.
+     * <br><br>
+     * Subclasses that compare values also implement test,
+     * which follows SQL's three-valued logic, returning null (unknown) when a value compared is null,
+     * so that NOT, AND, and OR treat nulls as SQL does.
+     * <br>
+     *
+     * @class
+     */
+    class Predicate
+    {
+        /**
+         * Returns true if this predicate can be rendered as SQL.
+         * Predicates defined by functions or regular expressions can only be evaluated.
+         * @returns {boolean}
+         */
+        get sqlCompatible()
+        {
+            return true;
+        }
+
+        /**
+         * Returns true if the specified row satisfies this predicate
+         * @param {Object} pRow an object whose properties are the columns of a row
+         * @returns {boolean}
+         */
+        evaluate( pRow )
+        {
+            throw new NotImplementedError( "evaluate must be implemented by subclasses of Predicate" );
+        }
+
+        /**
+         * Returns true, false, or null if, as in SQL, it is unknown whether the specified row satisfies this predicate,
+         * because a value compared is null.
+         * <br>
+         * A row is only selected if this returns true.
+         *
+         * @param {Object} pRow an object whose properties are the columns of a row
+         * @returns {boolean|null}
+         */
+        test( pRow )
+        {
+            return !!this.evaluate( pRow );
+        }
+
+        /**
+         * Writes this predicate as SQL, binding its values to the specified context
+         * @param {SqlContext} pContext the context collecting the parameters
+         * @returns {string} the SQL for this predicate
+         */
+        render( pContext )
+        {
+            throw new NotImplementedError( "render must be implemented by subclasses of Predicate" );
+        }
+
+        /**
+         * Returns this predicate as parameterized SQL.
+         *
+         * @param {Object} [pOptions] options for the SqlContext, such as the placeholder style
+         * @returns {{sql: string, params: Array<*>}}
+         */
+        toSql( pOptions = {} )
+        {
+            if ( !this.sqlCompatible )
+            {
+                throw new IllegalStateError( "This predicate cannot be expressed in SQL", { predicate: this } );
+            }
+
+            const context = (pOptions instanceof SqlContext) ? pOptions : new SqlContext( pOptions );
+
+            const sql = this.render( context );
+
+            return { sql, params: context.params };
+        }
+
+        and( ...pPredicates )
+        {
+            return new CompositePredicate( "AND", [this, ...pPredicates] );
+        }
+
+        or( ...pPredicates )
+        {
+            return new CompositePredicate( "OR", [this, ...pPredicates] );
+        }
+
+        not()
+        {
+            return new NotPredicate( this );
+        }
+
+        /**
+         * Returns a Predicate equivalent to the specified value.
+         * <br><br>
+         * The value can be:
+         * <ul>
+         * <li>a Predicate, which is returned as is</li>
+         * <li>a function that accepts a row and returns true or false</li>
+         * <li>an object with an 'evaluate' method</li>
+         * <li>an object literal whose keys are column names and whose values are
+         * the value a column must equal,
+         * null (for IS NULL),
+         * an array of acceptable values,
+         * a regular expression the column value must match,
+         * or a function that accepts the column value and the row and returns true or false</li>
+         * </ul>
+         * If the value is null or undefined, the returned Predicate matches every row.
+         *
+         * @param {Predicate|Function|Object} pValue the value to convert
+         * @returns {Predicate}
+         */
+        static from( pValue )
+        {
+            if ( pValue instanceof Predicate )
+            {
+                return pValue;
+            }
+
+            if ( isNull( pValue ) )
+            {
+                return new TruePredicate();
+            }
+
+            if ( isFunction( pValue ) )
+            {
+                return new FunctionPredicate( pValue );
+            }
+
+            if ( isNonNullObject( pValue ) && isFunction( pValue.evaluate ) )
+            {
+                return new FunctionPredicate( ( pRow ) => pValue.evaluate( pRow ) );
+            }
+
+            if ( isNonNullObject( pValue ) && !isArray( pValue ) )
+            {
+                // Object.entries is used, rather than objectEntries, so that null criteria are kept (as IS NULL)
+                const predicates = Object.entries( pValue ).map( ( [key, criterion] ) =>
+                                                                {
+                                                                    const column = where( key );
+
+                                                                    if ( isFunction( criterion ) )
+                                                                    {
+                                                                        return new FunctionPredicate( ( pRow ) => criterion( readColumn( pRow, key ), pRow ) );
+                                                                    }
+
+                                                                    if ( isRegExp( criterion ) )
+                                                                    {
+                                                                        return column.matches( criterion );
+                                                                    }
+
+                                                                    if ( isArray( criterion ) )
+                                                                    {
+                                                                        return column.in( criterion );
+                                                                    }
+
+                                                                    return column.eq( criterion );
+                                                                } );
+
+                return 1 === predicates.length ? predicates[0] : new CompositePredicate( "AND", predicates );
+            }
+
+            throw new IllegalArgumentError( "A predicate must be a Predicate, a function, an object with an evaluate method, or an object literal", { predicate: pValue } );
+        }
+    }
+
+    /**
+     * A predicate that matches every row
+     */
+    class TruePredicate extends Predicate
+    {
+        evaluate( pRow )
+        {
+            return true;
+        }
+
+        render( pContext )
+        {
+            return "1 = 1";
+        }
+    }
+
+    /**
+     * A predicate defined by a function; it can be evaluated, but not rendered as SQL
+     */
+    class FunctionPredicate extends Predicate
+    {
+        #function;
+
+        constructor( pFunction )
+        {
+            super();
+
+            if ( !isFunction( pFunction ) )
+            {
+                throw new IllegalArgumentError( "A FunctionPredicate requires a function", { function: pFunction } );
+            }
+
+            this.#function = pFunction;
+        }
+
+        get sqlCompatible()
+        {
+            return false;
+        }
+
+        evaluate( pRow )
+        {
+            return !!this.#function( pRow );
+        }
+
+        render( pContext )
+        {
+            throw new IllegalStateError( "A predicate defined by a function cannot be expressed in SQL" );
+        }
+    }
+
+    /**
+     * Compares the value of a column to a value using one of the OPERATORS
+     */
+    class Comparison extends Predicate
+    {
+        #column;
+        #operator;
+        #value;
+
+        constructor( pColumn, pOperator, pValue )
+        {
+            super();
+
+            this.#column = asString( pColumn, true );
+            this.#operator = asString( pOperator, true ) || OPERATORS.EQ;
+            this.#operator = ("!=" === this.#operator) ? OPERATORS.NE : (("==" === this.#operator || "===" === this.#operator) ? OPERATORS.EQ : this.#operator);
+
+            if ( isBlank( this.#column ) )
+            {
+                throw new IllegalArgumentError( "A comparison requires a column", { column: pColumn } );
+            }
+
+            if ( !VALID_OPERATORS.includes( this.#operator ) )
+            {
+                throw new IllegalArgumentError( `Unsupported operator, ${pOperator}`, { operator: pOperator } );
+            }
+
+            this.#value = pValue;
+        }
+
+        get column()
+        {
+            return this.#column;
+        }
+
+        get operator()
+        {
+            return this.#operator;
+        }
+
+        get value()
+        {
+            return this.#value;
+        }
+
+        evaluate( pRow )
+        {
+            return true === this.test( pRow );
+        }
+
+        test( pRow )
+        {
+            const actual = readColumn( pRow, this.#column );
+
+            // as in SQL, the result of a comparison with null is unknown
+            if ( isNull( actual ) || isNull( this.#value ) )
+            {
+                return null;
+            }
+
+            const comparison = compareValues( actual, this.#value );
+
+            switch ( this.#operator )
+            {
+                case OPERATORS.EQ:
+                    return 0 === comparison;
+                case OPERATORS.NE:
+                    return 0 !== comparison;
+                case OPERATORS.LT:
+                    return comparison < 0;
+                case OPERATORS.LTE:
+                    return comparison <= 0;
+                case OPERATORS.GT:
+                    return comparison > 0;
+                case OPERATORS.GTE:
+                    return comparison >= 0;
+                default:
+                    return false;
+            }
+        }
+
+        render( pContext )
+        {
+            return pContext.quote( this.#column ) + " " + this.#operator + " " + pContext.bind( this.#value );
+        }
+    }
+
+    /**
+     * Matches rows whose column value is (or is not) one of the specified values
+     */
+    class InPredicate extends Predicate
+    {
+        #column;
+        #values;
+        #negated;
+
+        constructor( pColumn, pValues, pNegated = false )
+        {
+            super();
+
+            this.#column = asString( pColumn, true );
+            this.#values = [...asArray( pValues || [] )];
+            this.#negated = !!pNegated;
+        }
+
+        evaluate( pRow )
+        {
+            return true === this.test( pRow );
+        }
+
+        test( pRow )
+        {
+            if ( this.#values.length <= 0 )
+            {
+                return this.#negated;
+            }
+
+            const actual = readColumn( pRow, this.#column );
+
+            if ( isNull( actual ) )
+            {
+                return null;
+            }
+
+            if ( this.#values.some( e => !isNull( e ) && 0 === compareValues( actual, e ) ) )
+            {
+                return !this.#negated;
+            }
+
+            // as in SQL, a value not found in a list that includes null may equal the null
+            return this.#values.some( isNull ) ? null : this.#negated;
+        }
+
+        render( pContext )
+        {
+            if ( this.#values.length <= 0 )
+            {
+                return this.#negated ? "1 = 1" : "1 = 0";
+            }
+
+            return pContext.quote( this.#column ) + (this.#negated ? " NOT IN (" : " IN (") + this.#values.map( e => pContext.bind( e ) ).join( ", " ) + ")";
+        }
+    }
+
+    /**
+     * Matches rows whose column value is (or is not) like the specified pattern.
+     * <br>
+     * The pattern uses SQL wildcards: % for any sequence of characters and _ for any single character.
+     * <br>
+     * As in standard SQL, the comparison is case-sensitive unless created by ilike.
+     * A case-insensitive comparison is rendered as LOWER(column) LIKE LOWER(?) for portability.
+     * For SQLite, whose LIKE ignores case, a case-sensitive comparison is rendered as GLOB.
+     * For MySQL, the collation of the column determines whether LIKE ignores case.
+     */
+    class LikePredicate extends Predicate
+    {
+        #column;
+        #pattern;
+        #ignoreCase;
+        #negated;
+
+        constructor( pColumn, pPattern, pIgnoreCase = false, pNegated = false )
+        {
+            super();
+
+            this.#column = asString( pColumn, true );
+            this.#pattern = asString( pPattern );
+            this.#ignoreCase = !!pIgnoreCase;
+            this.#negated = !!pNegated;
+        }
+
+        evaluate( pRow )
+        {
+            return true === this.test( pRow );
+        }
+
+        test( pRow )
+        {
+            const actual = readColumn( pRow, this.#column );
+
+            if ( isNull( actual ) )
+            {
+                return null;
+            }
+
+            const matches = likeToRegExp( this.#pattern, this.#ignoreCase ).test( asString( actual ) );
+
+            return this.#negated ? !matches : matches;
+        }
+
+        render( pContext )
+        {
+            const column = pContext.quote( this.#column );
+            const negation = this.#negated ? " NOT" : _mt;
+
+            if ( this.#ignoreCase )
+            {
+                return "LOWER(" + column + ")" + negation + " LIKE LOWER(" + pContext.bind( this.#pattern ) + ")";
+            }
+
+            if ( DIALECTS.SQLITE === pContext.dialect )
+            {
+                return column + negation + " GLOB " + pContext.bind( likeToGlob( this.#pattern ) );
+            }
+
+            return column + negation + " LIKE " + pContext.bind( this.#pattern );
+        }
+    }
+
+    /**
+     * Matches rows whose column value matches a regular expression; it can be evaluated, but not rendered as SQL
+     */
+    class RegExpPredicate extends Predicate
+    {
+        #column;
+        #regExp;
+
+        constructor( pColumn, pRegExp )
+        {
+            super();
+
+            this.#column = asString( pColumn, true );
+            this.#regExp = isRegExp( pRegExp ) ? pRegExp : new RegExp( asString( pRegExp ) );
+        }
+
+        get sqlCompatible()
+        {
+            return false;
+        }
+
+        evaluate( pRow )
+        {
+            return true === this.test( pRow );
+        }
+
+        test( pRow )
+        {
+            const actual = readColumn( pRow, this.#column );
+
+            if ( isNull( actual ) )
+            {
+                return null;
+            }
+
+            this.#regExp.lastIndex = 0;
+
+            return this.#regExp.test( asString( actual ) );
+        }
+
+        render( pContext )
+        {
+            throw new IllegalStateError( "A regular expression cannot be expressed in portable SQL" );
+        }
+    }
+
+    /**
+     * Matches rows whose column value is (or is not) null
+     */
+    class NullPredicate extends Predicate
+    {
+        #column;
+        #negated;
+
+        constructor( pColumn, pNegated = false )
+        {
+            super();
+
+            this.#column = asString( pColumn, true );
+            this.#negated = !!pNegated;
+        }
+
+        evaluate( pRow )
+        {
+            const isNullValue = isNull( readColumn( pRow, this.#column ) );
+
+            return this.#negated ? !isNullValue : isNullValue;
+        }
+
+        render( pContext )
+        {
+            return pContext.quote( this.#column ) + (this.#negated ? " IS NOT NULL" : " IS NULL");
+        }
+    }
+
+    /**
+     * Matches rows whose column value is between (inclusive) the specified values
+     */
+    class BetweenPredicate extends Predicate
+    {
+        #column;
+        #low;
+        #high;
+
+        constructor( pColumn, pLow, pHigh )
+        {
+            super();
+
+            this.#column = asString( pColumn, true );
+            this.#low = pLow;
+            this.#high = pHigh;
+        }
+
+        evaluate( pRow )
+        {
+            return true === this.test( pRow );
+        }
+
+        test( pRow )
+        {
+            const actual = readColumn( pRow, this.#column );
+
+            // as in SQL, x BETWEEN a AND b is x >= a AND x <= b
+            const atLeast = (isNull( actual ) || isNull( this.#low )) ? null : compareValues( actual, this.#low ) >= 0;
+            const atMost = (isNull( actual ) || isNull( this.#high )) ? null : compareValues( actual, this.#high ) <= 0;
+
+            return and3( atLeast, atMost );
+        }
+
+        render( pContext )
+        {
+            return pContext.quote( this.#column ) + " BETWEEN " + pContext.bind( this.#low ) + " AND " + pContext.bind( this.#high );
+        }
+    }
+
+    /**
+     * Combines two or more predicates with AND or OR
+     */
+    class CompositePredicate extends Predicate
+    {
+        #conjunction;
+        #predicates;
+
+        constructor( pConjunction, pPredicates )
+        {
+            super();
+
+            this.#conjunction = ("OR" === ucase( asString( pConjunction, true ) )) ? "OR" : "AND";
+
+            this.#predicates = asArray( pPredicates || [] ).filter( e => !isNull( e ) ).map( e => Predicate.from( e ) );
+        }
+
+        get conjunction()
+        {
+            return this.#conjunction;
+        }
+
+        get predicates()
+        {
+            return [...this.#predicates];
+        }
+
+        get sqlCompatible()
+        {
+            return this.#predicates.every( e => e.sqlCompatible );
+        }
+
+        evaluate( pRow )
+        {
+            return true === this.test( pRow );
+        }
+
+        test( pRow )
+        {
+            if ( this.#predicates.length <= 0 )
+            {
+                return true;
+            }
+
+            const values = this.#predicates.map( e => e.test( pRow ) );
+
+            return "OR" === this.#conjunction ? or3( ...values ) : and3( ...values );
+        }
+
+        render( pContext )
+        {
+            if ( this.#predicates.length <= 0 )
+            {
+                return "1 = 1";
+            }
+
+            const sql = this.#predicates.map( e => e.render( pContext ) ).join( " " + this.#conjunction + " " );
+
+            return this.#predicates.length > 1 ? "(" + sql + ")" : sql;
+        }
+
+        and( ...pPredicates )
+        {
+            if ( "AND" === this.#conjunction )
+            {
+                return new CompositePredicate( "AND", [...this.#predicates, ...pPredicates] );
+            }
+            return super.and( ...pPredicates );
+        }
+
+        or( ...pPredicates )
+        {
+            if ( "OR" === this.#conjunction )
+            {
+                return new CompositePredicate( "OR", [...this.#predicates, ...pPredicates] );
+            }
+            return super.or( ...pPredicates );
+        }
+    }
+
+    /**
+     * Negates another predicate
+     */
+    class NotPredicate extends Predicate
+    {
+        #predicate;
+
+        constructor( pPredicate )
+        {
+            super();
+
+            this.#predicate = Predicate.from( pPredicate );
+        }
+
+        get sqlCompatible()
+        {
+            return this.#predicate.sqlCompatible;
+        }
+
+        evaluate( pRow )
+        {
+            return true === this.test( pRow );
+        }
+
+        test( pRow )
+        {
+            const value = this.#predicate.test( pRow );
+
+            // as in SQL, NOT unknown is unknown
+            return isNull( value ) ? null : !value;
+        }
+
+        render( pContext )
+        {
+            return "NOT (" + this.#predicate.render( pContext ) + ")";
+        }
+
+        not()
+        {
+            return this.#predicate;
+        }
+    }
+
+    /**
+     * Provides the methods used to build a predicate for a specific column.
+     * <br>
+     * Instances are returned by the where function.
+     */
+    class ColumnExpression
+    {
+        #column;
+
+        constructor( pColumn )
+        {
+            this.#column = asString( pColumn, true );
+
+            if ( isBlank( this.#column ) )
+            {
+                throw new IllegalArgumentError( "A column name is required", { column: pColumn } );
+            }
+        }
+
+        get column()
+        {
+            return this.#column;
+        }
+
+        eq( pValue )
+        {
+            return isNull( pValue ) ? this.isNull() : new Comparison( this.#column, OPERATORS.EQ, pValue );
+        }
+
+        ne( pValue )
+        {
+            return isNull( pValue ) ? this.isNotNull() : new Comparison( this.#column, OPERATORS.NE, pValue );
+        }
+
+        lt( pValue )
+        {
+            return new Comparison( this.#column, OPERATORS.LT, pValue );
+        }
+
+        lte( pValue )
+        {
+            return new Comparison( this.#column, OPERATORS.LTE, pValue );
+        }
+
+        gt( pValue )
+        {
+            return new Comparison( this.#column, OPERATORS.GT, pValue );
+        }
+
+        gte( pValue )
+        {
+            return new Comparison( this.#column, OPERATORS.GTE, pValue );
+        }
+
+        compare( pOperator, pValue )
+        {
+            return new Comparison( this.#column, pOperator, pValue );
+        }
+
+        in( ...pValues )
+        {
+            return new InPredicate( this.#column, pValues.flat() );
+        }
+
+        notIn( ...pValues )
+        {
+            return new InPredicate( this.#column, pValues.flat(), true );
+        }
+
+        like( pPattern )
+        {
+            return new LikePredicate( this.#column, pPattern );
+        }
+
+        notLike( pPattern )
+        {
+            return new LikePredicate( this.#column, pPattern, false, true );
+        }
+
+        ilike( pPattern )
+        {
+            return new LikePredicate( this.#column, pPattern, true );
+        }
+
+        matches( pRegExp )
+        {
+            return new RegExpPredicate( this.#column, pRegExp );
+        }
+
+        between( pLow, pHigh )
+        {
+            return new BetweenPredicate( this.#column, pLow, pHigh );
+        }
+
+        isNull()
+        {
+            return new NullPredicate( this.#column );
+        }
+
+        isNotNull()
+        {
+            return new NullPredicate( this.#column, true );
+        }
+    }
+
+    /**
+     * Returns a ColumnExpression from which to build a predicate for the specified column
+     *
+     * @param {string} pColumn the name of the column
+     * @returns {ColumnExpression}
+     */
+    function where( pColumn )
+    {
+        return new ColumnExpression( pColumn );
+    }
+
+    function and( ...pPredicates )
+    {
+        return new CompositePredicate( "AND", pPredicates.flat() );
+    }
+
+    function or( ...pPredicates )
+    {
+        return new CompositePredicate( "OR", pPredicates.flat() );
+    }
+
+    function not( pPredicate )
+    {
+        return new NotPredicate( pPredicate );
+    }
+
+    /**
+     * Parses a column specification such as "name", "u.name", or "name AS n"
+     */
+    function parseProjection( pColumn )
+    {
+        if ( isNonNullObject( pColumn ) )
+        {
+            const column = asString( pColumn.column || pColumn.name, true );
+            return { column, alias: asString( pColumn.as || pColumn.alias, true ) || column };
+        }
+
+        const [column, alias] = asString( pColumn, true ).split( /\s+as\s+/i ).map( e => asString( e, true ) );
+
+        return { column, alias: alias || column };
+    }
+
+    /**
+     * Represents a query against a single collection (or table),
+     * with an optional predicate, projection, sort order, and page (limit and offset).
+     * <br><br>
+     * The builder methods modify and return this instance, so calls can be chained.
+     * Use clone to create an independent copy.
+     * <br>
+     *
+     * @class
+     */
+    class Query
+    {
+        #collection = _mt;
+        #projection = [];
+        #predicate = null;
+        #orderBy = [];
+        #limit = null;
+        #offset = 0;
+
+        constructor( pCollection, pOptions = {} )
+        {
+            const options = { ...(pOptions || {}) };
+
+            this.#collection = asString( pCollection, true );
+
+            if ( !isNull( options.columns ) )
+            {
+                this.select( ...asArray( options.columns ) );
+            }
+
+            if ( !isNull( options.where ) )
+            {
+                this.where( options.where );
+            }
+
+            asArray( options.orderBy || [] ).forEach( e => isString( e ) ? this.orderBy( e ) : this.orderBy( e?.column, e?.direction ) );
+
+            if ( !isNull( options.limit ) )
+            {
+                this.limit( options.limit );
+            }
+
+            if ( !isNull( options.offset ) )
+            {
+                this.offset( options.offset );
+            }
+        }
+
+        get collection()
+        {
+            return this.#collection;
+        }
+
+        get projection()
+        {
+            return this.#projection.map( e => ({ ...e }) );
+        }
+
+        get predicate()
+        {
+            return this.#predicate;
+        }
+
+        get sortOrder()
+        {
+            return this.#orderBy.map( e => ({ ...e }) );
+        }
+
+        get limitValue()
+        {
+            return this.#limit;
+        }
+
+        get offsetValue()
+        {
+            return this.#offset;
+        }
+
+        from( pCollection )
+        {
+            this.#collection = asString( pCollection, true );
+            return this;
+        }
+
+        select( ...pColumns )
+        {
+            this.#projection = pColumns.flat().filter( e => !isNull( e ) ).map( parseProjection ).filter( e => !isBlank( e.column ) && "*" !== e.column );
+            return this;
+        }
+
+        /**
+         * Sets the predicate for this query.
+         * If a predicate is already defined, the new predicate is combined with it using AND.
+         *
+         * @param {Predicate|Function|Object} pPredicate the predicate, or a value that can be converted to a Predicate
+         * @returns {Query} this query
+         */
+        where( pPredicate )
+        {
+            const predicate = Predicate.from( pPredicate );
+            this.#predicate = isNull( this.#predicate ) ? predicate : this.#predicate.and( predicate );
+            return this;
+        }
+
+        /**
+         * Adds a column to the sort order.
+         * <br>
+         * The direction can be specified as the second argument, or as a suffix (for example, "name DESC"),
+         * or by prefixing the column name with a hyphen (for example, "-name").
+         *
+         * @param {string} pColumn the column by which to sort
+         * @param {string} [pDirection="ASC"] ASC or DESC
+         * @returns {Query} this query
+         */
+        orderBy( pColumn, pDirection )
+        {
+            let [column, suffix] = asString( pColumn, true ).split( /\s+/ );
+
+            let direction = ucase( asString( pDirection || suffix || SORT_DIRECTION.ASC, true ) );
+
+            if ( column.startsWith( "-" ) )
+            {
+                column = column.slice( 1 );
+                direction = SORT_DIRECTION.DESC;
+            }
+
+            if ( !isBlank( column ) )
+            {
+                this.#orderBy.push( { column, direction: (SORT_DIRECTION.DESC === direction ? SORT_DIRECTION.DESC : SORT_DIRECTION.ASC) } );
+            }
+
+            return this;
+        }
+
+        limit( pLimit )
+        {
+            this.#limit = isNull( pLimit ) ? null : Math.max( 0, asInt( pLimit ) );
+            return this;
+        }
+
+        offset( pOffset )
+        {
+            this.#offset = Math.max( 0, asInt( pOffset ) );
+            return this;
+        }
+
+        /**
+         * Returns a copy of this query restricted to the specified range of its results,
+         * from the start index (inclusive) to the stop index (exclusive)
+         *
+         * @param {number} pStart the index of the first result
+         * @param {number} [pStop] the index after the last result
+         * @returns {Query} a new query
+         */
+        page( pStart, pStop )
+        {
+            const start = Math.max( 0, asInt( pStart ) );
+
+            const copy = this.clone().offset( this.#offset + start );
+
+            let limit = isNull( pStop ) ? null : Math.max( 0, asInt( pStop ) - start );
+
+            if ( !isNull( this.#limit ) )
+            {
+                const remaining = Math.max( 0, this.#limit - start );
+                limit = isNull( limit ) ? remaining : Math.min( limit, remaining );
+            }
+
+            return copy.limit( limit );
+        }
+
+        clone()
+        {
+            const copy = new Query( this.#collection );
+
+            copy.#projection = this.projection;
+            copy.#predicate = this.#predicate;
+            copy.#orderBy = this.sortOrder;
+            copy.#limit = this.#limit;
+            copy.#offset = this.#offset;
+
+            return copy;
+        }
+
+        /**
+         * Returns true if this query can be rendered as SQL
+         * @returns {boolean}
+         */
+        get sqlCompatible()
+        {
+            return isNull( this.#predicate ) || this.#predicate.sqlCompatible;
+        }
+
+        /**
+         * Returns this query as a parameterized SELECT statement.
+         *
+         * @param {Object} [pOptions] options for the SqlContext, such as the placeholder style and the dialect
+         * @returns {{sql: string, params: Array<*>}}
+         */
+        toSql( pOptions = {} )
+        {
+            if ( isBlank( this.#collection ) )
+            {
+                throw new IllegalStateError( "A query must specify a collection (or table)" );
+            }
+
+            const context = (pOptions instanceof SqlContext) ? pOptions : new SqlContext( pOptions );
+
+            const columns = this.#projection.length > 0 ?
+                            this.#projection.map( e => context.quote( e.column ) + (e.alias !== e.column ? " AS " + context.quote( e.alias ) : _mt) ).join( ", " ) :
+                            "*";
+
+            let sql = "SELECT " + columns + " FROM " + context.quote( this.#collection );
+
+            if ( !isNull( this.#predicate ) && !(this.#predicate instanceof TruePredicate) )
+            {
+                sql += " WHERE " + this.#predicate.toSql( context ).sql;
+            }
+
+            if ( this.#orderBy.length > 0 )
+            {
+                sql += " ORDER BY " + this.#orderBy.map( e => context.quote( e.column ) + " " + e.direction ).join( ", " );
+            }
+
+            if ( !isNull( this.#limit ) )
+            {
+                sql += " LIMIT " + context.bind( this.#limit );
+            }
+
+            if ( this.#offset > 0 )
+            {
+                sql += (isNull( this.#limit ) ? context.unboundedLimit : _mt) + " OFFSET " + context.bind( this.#offset );
+            }
+
+            return { sql, params: context.params };
+        }
+
+        /**
+         * Applies this query to an array of object literals,
+         * returning the matching rows, sorted, paged, and projected.
+         *
+         * @param {Array<Object>} pRows the rows to query
+         * @returns {Array<Object>} the results of the query
+         */
+        apply( pRows )
+        {
+            const predicate = this.#predicate || new TruePredicate();
+
+            let rows = asArray( pRows || [] ).filter( e => !isNull( e ) && predicate.evaluate( e ) );
+
+            if ( this.#orderBy.length > 0 )
+            {
+                const order = this.#orderBy;
+
+                rows = [...rows].sort( ( a, b ) =>
+                                       {
+                                           for( const { column, direction } of order )
+                                           {
+                                               const comparison = compareValues( readColumn( a, column ), readColumn( b, column ) );
+
+                                               if ( 0 !== comparison )
+                                               {
+                                                   return SORT_DIRECTION.DESC === direction ? -comparison : comparison;
+                                               }
+                                           }
+                                           return 0;
+                                       } );
+            }
+
+            rows = rows.slice( this.#offset, isNull( this.#limit ) ? rows.length : this.#offset + this.#limit );
+
+            if ( this.#projection.length > 0 )
+            {
+                const projection = this.#projection;
+
+                rows = rows.map( row =>
+                                 {
+                                     const projected = {};
+                                     projection.forEach( e => projected[e.alias] = readColumn( row, e.column ) );
+                                     return projected;
+                                 } );
+            }
+
+            return rows;
+        }
+    }
+
+    /**
+     * Returns a new Query for the specified collection (or table)
+     * @param {string} pCollection the name of the collection or table
+     * @returns {Query}
+     */
+    function from( pCollection )
+    {
+        return new Query( pCollection );
+    }
+
+    /**
+     * Returns a new Query that will return the specified columns.
+     * Call the from method of the returned query to specify the collection (or table).
+     *
+     * @param {...string} pColumns the columns to return
+     * @returns {Query}
+     */
+    function select( ...pColumns )
+    {
+        return new Query( _mt ).select( ...pColumns );
+    }
+
+    let mod =
+        {
+            dependencies:
+                {
+                    core,
+                    moduleUtils,
+                    typeUtils,
+                    stringUtils,
+                    arrayUtils
+                },
+            classes:
+                {
+                    SqlContext,
+                    Predicate,
+                    TruePredicate,
+                    FunctionPredicate,
+                    Comparison,
+                    InPredicate,
+                    LikePredicate,
+                    RegExpPredicate,
+                    NullPredicate,
+                    BetweenPredicate,
+                    CompositePredicate,
+                    NotPredicate,
+                    ColumnExpression,
+                    Query
+                },
+            OPERATORS,
+            SORT_DIRECTION,
+            DIALECTS,
+            likeToRegExp,
+            likeToGlob,
+            SqlContext,
+            Predicate,
+            TruePredicate,
+            FunctionPredicate,
+            Comparison,
+            InPredicate,
+            LikePredicate,
+            RegExpPredicate,
+            NullPredicate,
+            BetweenPredicate,
+            CompositePredicate,
+            NotPredicate,
+            ColumnExpression,
+            Query,
+            where,
+            and,
+            or,
+            not,
+            from,
+            select
+        };
+
+    mod = toolBocksModule.extend( mod );
+
+    return mod.expose( mod, INTERNAL_NAME, (_ud !== typeof module ? module : mod) ) || mod;
+
+}());
@@ -0,0 +1,1222 @@
+/**
+ * This module provides an implementation of DatabaseServer and Database
+ * backed by the SQLite engine built into Node.js (node:sqlite).
+ * <br><br>
+ * The database file (or ':memory:') is read from the SecretsManager,
+ * using the same connection string key as any other DatabaseServer,
+ * so moving from a local SQLite file to another server only requires a change in configuration.
+ * <br><br>
+ * node:sqlite is only available in recent versions of Node.js.
+ * This module can be loaded in any version, but connecting will fail if the engine is not available.
+ * <br>
+ */
+
+const core = require( "@toolbocks/core" );
+
+const databaseUtils = require( "./DatabaseUtils.js" );
+
+const queryBuilder = require( "./QueryBuilder.js" );
+
+const { constants } = core;
+
+const { _ud = "undefined" } = constants;
+
+const $scope = constants?.$scope || function()
+{
+    return (_ud === typeof self ? ((_ud === typeof global) ? ((_ud === typeof globalThis ? {} : globalThis)) : (global || {})) : (self || {}));
+};
+
+(function exposeModule()
+{
+    const INTERNAL_NAME = "__BOCK__SQLITE_DATABASE__";
+
+    if ( $scope() && (null != $scope()[INTERNAL_NAME]) )
+    {
+        return $scope()[INTERNAL_NAME];
+    }
+
+    const moduleName = "SqliteDatabase";
+
+    const { moduleUtils, constants, typeUtils, stringUtils, arrayUtils } = core;
+
+    const {
+        ToolBocksModule,
+        IllegalArgumentError,
+        IllegalStateError,
+        populateOptions,
+        objectEntries,
+        attemptSilent,
+        asyncAttempt,
+        lock
+    } = moduleUtils;
+
+    const { _mt_str, _mt = _mt_str } = constants;
+
+    const {
+        isNull,
+        isNonNullObject,
+        isString,
+        isFunction,
+        isBoolean,
+        isArray,
+        isDate
+    } = typeUtils;
+
+    const { asString, isBlank, asInt, ucase, lcase } = stringUtils;
+
+    const { asArray } = arrayUtils;
+
+    const { DatabaseServer, Database, registerDatabaseServerClass, toRow, toRecord } = databaseUtils;
+
+    const { DIALECTS, Predicate, TruePredicate, CompositePredicate, Query, and } = queryBuilder;
+
+    const path = require( "node:path" );
+
+    const toolBocksModule = new ToolBocksModule( moduleName, INTERNAL_NAME );
+
+    /**
+     * The dbType used to register the SQLite implementation with the DatabaseFactory
+     * @type {string}
+     */
+    const DB_TYPE = "sqlite";
+
+    /**
+     * The filename SQLite interprets as a request for a private, in-memory database
+     * @type {string}
+     */
+    const MEMORY = ":memory:";
+
+    const TRANSACTION_MODES = lock( ["DEFERRED", "IMMEDIATE", "EXCLUSIVE"] );
+
+    /**
+     * The number of milliseconds a write is retried while another process holds a lock on the database file
+     * before it fails with SQLITE_BUSY, unless the busyTimeout option specifies otherwise
+     * @type {number}
+     */
+    const DEFAULT_BUSY_TIMEOUT = 5_000;
+
+    /**
+     * The result code SQLite returns when a lock is held by another connection
+     */
+    const SQLITE_BUSY = 5;
+
+    const isBusy = ( pError ) => SQLITE_BUSY === (asInt( pError?.errcode ) & 0xff);
+
+    const sleep = ( pMillis ) => new Promise( resolve => setTimeout( resolve, pMillis ) );
+
+    /**
+     * Calls the specified function until it does not fail with SQLITE_BUSY or the timeout elapses,
+     * waiting between attempts without blocking the event loop.
+     * <br>
+     * The function must be safe to call again after it fails with SQLITE_BUSY,
+     * which is true of a statement executed outside of a transaction and of COMMIT.
+     *
+     * @param {function():*} pFunction the function to call
+     * @param {number} pTimeout the number of milliseconds to keep trying
+     * @returns {Promise<*>} the value returned by the function
+     */
+    async function retryWhileBusy( pFunction, pTimeout )
+    {
+        const deadline = Date.now() + Math.max( 0, asInt( pTimeout ) );
+
+        let delay = 5;
+
+        while ( true )
+        {
+            try
+            {
+                return pFunction();
+            }
+            catch( ex )
+            {
+                if ( !isBusy( ex ) || Date.now() >= deadline )
+                {
+                    throw ex;
+                }
+            }
+
+            await sleep( Math.min( delay, Math.max( 1, deadline - Date.now() ) ) );
+
+            delay = Math.min( delay * 2, 250 );
+        }
+    }
+
+    /**
+     * Allows one writer at a time.
+     * <br><br>
+     * node:sqlite is synchronous, so a connection that waited for SQLite to release a lock
+     * held by another connection in the same process would block the thread on which that lock must be released.
+     * Instead, the connections of this process wait for each other here, without blocking the event loop.
+     * <br>
+     */
+    class WriteLock
+    {
+        #owner = null;
+        #waiting = [];
+
+        get owner()
+        {
+            return this.#owner;
+        }
+
+        /**
+         * Returns once the specified owner holds this lock
+         * @param {Object} pOwner the object on whose behalf the lock is held, such as a Database in a transaction
+         */
+        async acquire( pOwner )
+        {
+            if ( isNull( this.#owner ) )
+            {
+                this.#owner = pOwner;
+                return;
+            }
+
+            const me = this;
+
+            await new Promise( resolve => me.#waiting.push( { owner: pOwner, resolve } ) );
+        }
+
+        /**
+         * Releases the lock held by the specified owner, passing it to the next owner waiting for it
+         * @param {Object} pOwner the current owner of the lock
+         */
+        release( pOwner )
+        {
+            if ( this.#owner !== pOwner )
+            {
+                return;
+            }
+
+            const next = this.#waiting.shift();
+
+            this.#owner = next?.owner ?? null;
+
+            next?.resolve();
+        }
+    }
+
+    /**
+     * The write locks of the database files opened by this process, by the absolute path of the file
+     * @type {Map<string, WriteLock>}
+     */
+    const WRITE_LOCKS = new Map();
+
+    /**
+     * Returns the write lock shared by every connection to the specified file in this process
+     */
+    function getWriteLock( pFilename )
+    {
+        if ( MEMORY === pFilename )
+        {
+            // each connection to ':memory:' opens a separate database
+            return new WriteLock();
+        }
+
+        const key = path.resolve( pFilename );
+
+        let writeLock = WRITE_LOCKS.get( key );
+
+        if ( isNull( writeLock ) )
+        {
+            writeLock = new WriteLock();
+            WRITE_LOCKS.set( key, writeLock );
+        }
+
+        return writeLock;
+    }
+
+    /**
+     * Returns the node:sqlite module or null if it is not available in the current version of Node.js
+     */
+    const loadSqlite = function()
+    {
+        try
+        {
+            const sqlite = require( "node:sqlite" );
+
+            return isFunction( sqlite?.DatabaseSync ) ? sqlite : null;
+        }
+        catch( ex )
+        {
+            return null;
+        }
+    };
+
+    /**
+     * Returns true if node:sqlite can be loaded in the current environment
+     * @returns {boolean}
+     */
+    const isSqliteAvailable = () => !isNull( loadSqlite() );
+
+    /**
+     * Returns the identifier (table or column name) quoted for use in an SQL statement
+     */
+    const quote = ( pIdentifier ) => "\"" + asString( pIdentifier, true ).replaceAll( "\"", "\"\"" ) + "\"";
+
+    /**
+     * The options with which predicates and queries are rendered as SQL for SQLite
+     */
+    const SQL_OPTIONS = lock( { quoteIdentifier: quote, dialect: DIALECTS.SQLITE } );
+
+    /**
+     * Returns a value that node:sqlite can bind to a parameter.
+     * <br>
+     * Dates are stored as ISO-8601 strings, booleans as 1 or 0,
+     * and objects (other than binary data) as JSON.
+     */
+    function toSqlValue( pValue )
+    {
+        if ( isNull( pValue ) )
+        {
+            return null;
+        }
+
+        if ( isDate( pValue ) )
+        {
+            return pValue.toISOString();
+        }
+
+        if ( isBoolean( pValue ) )
+        {
+            return pValue ? 1 : 0;
+        }
+
+        if ( pValue instanceof Uint8Array || ArrayBuffer.isView( pValue ) )
+        {
+            return pValue;
+        }
+
+        if ( isNonNullObject( pValue ) || isArray( pValue ) )
+        {
+            return JSON.stringify( pValue );
+        }
+
+        return pValue;
+    }
+
+    /**
+     * Parses a connection string of the form, sqlite://path/to/file.db?readOnly=true&foreignKeys=true&busyTimeout=10000,
+     * into the filename and the options to pass to the DatabaseSync constructor.
+     * <br>
+     * A plain file path or ':memory:' is also accepted.
+     *
+     * @param {string} pConnectionString the connection string to parse
+     * @returns {{filename: string, options: Object}}
+     */
+    function parseConnectionString( pConnectionString )
+    {
+        let connectionString = asString( pConnectionString, true ).replace( /^sqlite3?:(\/\/)?/i, _mt );
+
+        const [filename, query] = connectionString.split( "?" );
+
+        const options = {};
+
+        if ( !isBlank( query ) )
+        {
+            const params = new URLSearchParams( query );
+
+            for( const [key, value] of params.entries() )
+            {
+                const flag = !/^(false|0|no|off)$/i.test( asString( value, true ) );
+
+                switch ( lcase( key ) )
+                {
+                    case "readonly":
+                    case "mode":
+                        options.readOnly = ("mode" === lcase( key )) ? ("ro" === lcase( value )) : flag;
+                        break;
+
+                    case "foreignkeys":
+                    case "enableforeignkeyconstraints":
+                        options.enableForeignKeyConstraints = flag;
+                        break;
+
+                    case "busytimeout":
+                        options.busyTimeout = Math.max( 0, asInt( value ) );
+                        break;
+
+                    default:
+                        break;
+                }
+            }
+        }
+
+        return { filename: asString( filename, true ) || MEMORY, options };
+    }
+
+    /**
+     * Returns an object describing the WHERE clause for the specified predicate.
+     * <br><br>
+     * The predicate can be a Predicate (see QueryBuilder)
+     * or any value that Predicate.from can convert to a Predicate,
+     * such as an object literal whose columns are compared to a value, an array (IN), or null (IS NULL).
+     * <br>
+     * Criteria that cannot be expressed in SQL (functions and regular expressions)
+     * are returned as a filter to be applied to the rows returned by the query.
+     * When the predicate combines criteria with AND, those that can be expressed in SQL are still sent to the database.
+     *
+     * @param {Predicate|Object|Function} pPredicate the predicate to translate
+     * @returns {{sql: string, params: Array<*>, filter: (function(Object):boolean|null)}}
+     */
+    function buildWhereClause( pPredicate )
+    {
+        const predicate = Predicate.from( pPredicate );
+
+        if ( predicate instanceof TruePredicate )
+        {
+            return { sql: _mt, params: [], filter: null };
+        }
+
+        const conjuncts = (predicate instanceof CompositePredicate && "AND" === predicate.conjunction) ? predicate.predicates : [predicate];
+
+        const inSql = conjuncts.filter( e => e.sqlCompatible );
+        const inJs = conjuncts.filter( e => !e.sqlCompatible );
+
+        const { sql, params } = inSql.length > 0 ? and( ...inSql ).toSql( SQL_OPTIONS ) : { sql: _mt, params: [] };
+
+        return {
+            sql: isBlank( sql ) ? _mt : " WHERE " + sql,
+            params: params.map( toSqlValue ),
+            filter: inJs.length > 0 ? ( pRow ) => inJs.every( e => e.evaluate( pRow ) ) : null
+        };
+    }
+
+    /**
+     * This subclass of DatabaseServer opens a SQLite database file (or an in-memory database)
+     * using node:sqlite.
+     * <br><br>
+     * The filename is taken, in order of precedence, from
+     * the 'filename' or 'connectionString' option,
+     * or the SecretsManager value stored under this server's connection string key.
+     * If none is defined, a private in-memory database is used.
+     * <br><br>
+     * Writes to the same file from this process, through any connection, including those in the pool, are made one at a time;
+     * a transaction holds the write lock of its file from beginning to end, so other writers wait for it to finish.
+     * A write that finds the file locked by another process is retried for up to the busy timeout
+     * (the 'busyTimeout' option, in milliseconds, 5 seconds by default).
+     * Waiting never blocks the event loop, so SQLite itself is left not to wait for locks.
+     * <br>
+     *
+     * @class
+     * @extends DatabaseServer
+     */
+    class SqliteDatabaseServer extends DatabaseServer
+    {
+        #handle = null;
+
+        #filename = _mt;
+        #openOptions = {};
+        #busyTimeout = DEFAULT_BUSY_TIMEOUT;
+        #writeLock = new WriteLock();
+
+        #connectionsByName = new Map();
+
+        constructor( pDbType, pAdminUserName, pSecretsManager, pConnectionStringKey, pOptions )
+        {
+            super( asString( pDbType, true ) || DB_TYPE, pAdminUserName, pSecretsManager, pConnectionStringKey, pOptions );
+        }
+
+        /**
+         * Returns the node:sqlite DatabaseSync object for the open database, or null if the server is not connected
+         * @returns {DatabaseSync|null}
+         */
+        get handle()
+        {
+            return this.#handle;
+        }
+
+        get filename()
+        {
+            return this.#filename;
+        }
+
+        /**
+         * Returns the number of milliseconds a write is retried while another process holds a lock on the database
+         * @returns {number}
+         */
+        get busyTimeout()
+        {
+            return this.#busyTimeout;
+        }
+
+        /**
+         * Returns the lock that writers to this server's database file hold while they write
+         * @returns {WriteLock}
+         */
+        get writeLock()
+        {
+            return this.#writeLock;
+        }
+
+        get connected()
+        {
+            return !isNull( this.#handle ) && false !== this.#handle.isOpen;
+        }
+
+        set connected( pConnected )
+        {
+            super.connected = pConnected;
+        }
+
+        /**
+         * Returns the connection string for this server.
+         *
+         * @returns {Promise<string>} the connection string or the filename of the SQLite database
+         */
+        async resolveConnectionString()
+        {
+            const options = this.options;
+
+            let connectionString = asString( options.filename || options.connectionString || this.connectionOptions?.filename, true );
+
+            if ( isBlank( connectionString ) )
+            {
+                const me = this;
+
+                connectionString = asString( await asyncAttempt( async() => me.secretsManager.get( me.connectionStringKey ) ), true );
+            }
+
+            return connectionString || MEMORY;
+        }
+
+        attachDatabase( pName )
+        {
+            const name = asString( pName, true ) || this.defaultDatabase || "main";
+
+            const key = ucase( name );
+
+            let connection = this.#connectionsByName.get( key );
+
+            if ( isNull( connection ) )
+            {
+                connection = lock( { name, id: name, url: DB_TYPE + "://" + name } );
+
+                this.#connectionsByName.set( key, connection );
+
+                this.addConnection( connection );
+            }
+
+            return connection;
+        }
+
+        async doConnect()
+        {
+            const sqlite = loadSqlite();
+
+            if ( isNull( sqlite ) )
+            {
+                throw new IllegalStateError( "node:sqlite is not available in this version of Node.js", { version: (_ud !== typeof process ? process.version : _mt) } );
+            }
+
+            if ( this.connected )
+            {
+                return this.serverInstance;
+            }
+
+            const { filename, options: { busyTimeout, ...options } } = parseConnectionString( await this.resolveConnectionString() );
+
+            const openOptions = { ...options };
+
+            if ( !isNull( this.options.readOnly ) )
+            {
+                openOptions.readOnly = !!this.options.readOnly;
+            }
+
+            if ( !isNull( this.options.enableForeignKeyConstraints ) )
+            {
+                openOptions.enableForeignKeyConstraints = !!this.options.enableForeignKeyConstraints;
+            }
+
+            this.#busyTimeout = Math.max( 0, asInt( this.options.busyTimeout ?? busyTimeout ?? DEFAULT_BUSY_TIMEOUT ) );
+
+            this.#handle = this.#open( sqlite, filename, openOptions );
+
+            this.#writeLock = getWriteLock( filename );
+
+            this.#filename = filename;
+            this.#openOptions = openOptions;
+
+            const me = this;
+
+            return {
+                name: this.dbType,
+                url: filename,
+                get connections()
+                {
+                    return [...(me.#connectionsByName.values())];
+                }
+            };
+        }
+
+        #open( pSqlite, pFilename, pOpenOptions )
+        {
+            return new pSqlite.DatabaseSync( pFilename, { ...pOpenOptions } );
+        }
+
+        async doDisconnect()
+        {
+            if ( !isNull( this.#handle ) )
+            {
+                attemptSilent( () => this.#handle.close() );
+            }
+
+            this.#handle = null;
+        }
+
+        /**
+         * Returns true if this server can use a pool of connections.
+         * Each connection to ':memory:' opens a separate database, so a private, in-memory database is never pooled.
+         */
+        get pooled()
+        {
+            return super.pooled && MEMORY !== this.#filename;
+        }
+
+        /**
+         * Opens an additional connection to the same database file, for use by the connection pool
+         * @returns {Promise<DatabaseSync>}
+         */
+        async createConnection()
+        {
+            if ( !this.connected )
+            {
+                await this.connect();
+            }
+
+            if ( MEMORY === this.#filename )
+            {
+                throw new IllegalStateError( "A private, in-memory SQLite database cannot be shared by pooled connections" );
+            }
+
+            return this.#open( loadSqlite(), this.#filename, this.#openOptions );
+        }
+
+        async destroyConnection( pConnection )
+        {
+            attemptSilent( () => pConnection.close() );
+        }
+
+        async validateConnection( pConnection )
+        {
+            return !isNull( pConnection ) && false !== pConnection.isOpen;
+        }
+
+        getDatabase( pName, pOptions )
+        {
+            return new SqliteDatabase( this.dbType, asString( pName, true ) || this.defaultDatabase || "main", this, populateOptions( pOptions || {}, this.options ) );
+        }
+    }
+
+    /**
+     * This subclass of Database executes statements against a SQLite database using node:sqlite.
+     * <br><br>
+     * Rows can be expressed as { columns: [], values: [] } or as object literals.
+     * <br><br>
+     * Predicates expressed as object literals are translated to parameterized SQL.
+     * Functions (and regular expressions used as column criteria) are applied to the rows returned.
+     * <br><br>
+     * The find methods also accept a SELECT statement,
+     * in which case the 'params' property of the options supplies the values for its parameters.
+     * <br><br>
+     * Writes made outside of a transaction wait for any transaction on the same file to end (see SqliteDatabaseServer).
+     * Without a pool, every instance reads through the server's connection,
+     * so the uncommitted changes of one instance's transaction are visible to the others until it ends.
+     * <br>
+     *
+     * @class
+     * @extends Database
+     */
+    class SqliteDatabase extends Database
+    {
+        #transactionHandle = null;
+
+        constructor( pType, pName, pDatabaseServer, pOptions )
+        {
+            const server = (pDatabaseServer instanceof SqliteDatabaseServer) ? pDatabaseServer : new SqliteDatabaseServer( pType || DB_TYPE, _mt, pDatabaseServer?.secretsManager, null, pOptions );
+
+            server.attachDatabase( asString( pName, true ) || server.defaultDatabase || "main" );
+
+            super( pType || DB_TYPE, asString( pName, true ) || server.defaultDatabase || "main", server, pOptions );
+        }
+
+        /**
+         * Returns the node:sqlite DatabaseSync object used to execute statements,
+         * which is the pooled connection dedicated to the current transaction, if there is one
+         */
+        get handle()
+        {
+            const handle = this.#transactionHandle || this.server?.handle;
+
+            if ( isNull( handle ) )
+            {
+                throw new IllegalStateError( "The SQLite database is not connected", { name: this.name } );
+            }
+
+            return handle;
+        }
+
+        async ensureConnected()
+        {
+            if ( !this.server.connected )
+            {
+                await this.server.connect();
+            }
+
+            return super.ensureConnected();
+        }
+
+        /**
+         * Starts a transaction, once any other transaction on the same file has ended.
+         * <br>
+         * If the server uses a connection pool, the transaction uses a connection of its own,
+         * which is returned to the pool when the transaction is committed or rolled back.
+         *
+         * @param {Object} [pOptions] an object that may specify the locking 'mode' (DEFERRED, IMMEDIATE, or EXCLUSIVE)
+         */
+        async doBeginTransaction( pOptions )
+        {
+            const mode = ucase( asString( pOptions?.mode, true ) );
+
+            if ( !isBlank( mode ) && !TRANSACTION_MODES.includes( mode ) )
+            {
+                throw new IllegalArgumentError( `Unsupported transaction mode, ${pOptions?.mode}`, { mode: pOptions?.mode } );
+            }
+
+            const writeLock = this.server.writeLock;
+
+            await writeLock.acquire( this );
+
+            const pooled = this.server.pooled;
+
+            let handle = null;
+
+            try
+            {
+                handle = pooled ? await this.server.acquireConnection() : this.handle;
+
+                await retryWhileBusy( () => handle.exec( isBlank( mode ) ? "BEGIN" : "BEGIN " + mode ), this.server.busyTimeout );
+            }
+            catch( ex )
+            {
+                if ( pooled && !isNull( handle ) )
+                {
+                    await this.server.releaseConnection( handle );
+                }
+
+                writeLock.release( this );
+
+                throw ex;
+            }
+
+            this.#transactionHandle = pooled ? handle : null;
+
+            return { handle, pooled, writeLock, startedAt: new Date() };
+        }
+
+        async #endTransaction( pTransaction )
+        {
+            this.#transactionHandle = null;
+
+            try
+            {
+                if ( pTransaction?.pooled )
+                {
+                    await this.server.releaseConnection( pTransaction.handle );
+                }
+            }
+            finally
+            {
+                pTransaction?.writeLock?.release( this );
+            }
+        }
+
+        async doCommit( pTransaction )
+        {
+            try
+            {
+                await retryWhileBusy( () => pTransaction.handle.exec( "COMMIT" ), this.server.busyTimeout );
+            }
+            catch( ex )
+            {
+                attemptSilent( () => pTransaction.handle.exec( "ROLLBACK" ) );
+                throw ex;
+            }
+            finally
+            {
+                await this.#endTransaction( pTransaction );
+            }
+        }
+
+        async doRollback( pTransaction )
+        {
+            try
+            {
+                if ( pTransaction.handle.isTransaction )
+                {
+                    pTransaction.handle.exec( "ROLLBACK" );
+                }
+            }
+            finally
+            {
+                await this.#endTransaction( pTransaction );
+            }
+        }
+
+        /**
+         * Executes the specified function within a transaction,
+         * committing if it returns and rolling back if it throws.
+         * <br>
+         * If a transaction is already in progress, the function is executed as part of that transaction.
+         */
+        #inTransaction( pFunction )
+        {
+            const handle = this.handle;
+
+            if ( handle.isTransaction )
+            {
+                return pFunction( handle );
+            }
+
+            handle.exec( "BEGIN" );
+
+            try
+            {
+                const result = pFunction( handle );
+
+                handle.exec( "COMMIT" );
+
+                return result;
+            }
+            catch( ex )
+            {
+                attemptSilent( () => handle.exec( "ROLLBACK" ) );
+                throw ex;
+            }
+        }
+
+        /**
+         * Calls the specified function, which writes to the database, while holding the write lock of the file.
+         * <br>
+         * Within a transaction of this instance, the lock is already held, so the function is simply called.
+         * Otherwise, the function is retried while another process holds a lock on the file.
+         *
+         * @param {function():*} pFunction a function that writes to the database
+         * @returns {Promise<*>} the value returned by the function
+         */
+        async #write( pFunction )
+        {
+            await this.ensureConnected();
+
+            if ( this.inTransaction )
+            {
+                return pFunction();
+            }
+
+            const server = this.server;
+
+            const writeLock = server.writeLock;
+
+            const owner = {};
+
+            await writeLock.acquire( owner );
+
+            try
+            {
+                return await retryWhileBusy( pFunction, server.busyTimeout );
+            }
+            finally
+            {
+                writeLock.release( owner );
+            }
+        }
+
+        /**
+         * Returns the names of the columns comprising the primary key of the specified table.
+         * <br>
+         * The primary key defined by a schema definition (see defineSchema) takes precedence
+         * over the primary key of the table.
+         *
+         * @param {string} pCollection the name of the table
+         * @returns {Array<string>} the names of the columns comprising the primary key
+         */
+        getPrimaryKey( pCollection )
+        {
+            const schema = this.getSchemaFor( pCollection );
+
+            const keys = asArray( schema?.primaryKey || schema?.key || [] ).map( e => asString( e, true ) ).filter( e => !isBlank( e ) );
+
+            if ( keys.length > 0 )
+            {
+                return keys;
+            }
+
+            const columns = this.handle.prepare( "PRAGMA table_info(" + quote( pCollection ) + ")" ).all();
+
+            return columns.filter( e => asInt( e.pk ) > 0 ).sort( ( a, b ) => asInt( a.pk ) - asInt( b.pk ) ).map( e => e.name );
+        }
+
+        #select( pQuery, pOptions, pStart, pStop )
+        {
+            const options = { ...(pOptions || {}) };
+
+            const start = Math.max( 0, asInt( pStart ) );
+            const stop = isNull( pStop ) ? null : Math.max( start, asInt( pStop ) );
+
+            if ( isString( pQuery ) && /^\s*(SELECT|WITH)\b/i.test( pQuery ) )
+            {
+                const rows = this.handle.prepare( pQuery ).all( ...asArray( options.params || [] ).map( toSqlValue ) );
+
+                return { collection: options.collection, rows: rows.slice( start, isNull( stop ) ? rows.length : stop ) };
+            }
+
+            if ( pQuery instanceof Query )
+            {
+                return this.#selectQuery( pQuery, options, start, stop );
+            }
+
+            const query = isString( pQuery ) ? { collection: pQuery } : (isNonNullObject( pQuery ) ? pQuery : {});
+
+            const collection = asString( query.collection || query.table || query.from || options.collection || options.table, true );
+
+            if ( isBlank( collection ) )
+            {
+                throw new IllegalArgumentError( "A query must specify the table to search", { query: pQuery } );
+            }
+
+            const { sql, params, filter } = buildWhereClause( query.where || query.predicate || query.filter || options.where || options.predicate );
+
+            let statement = "SELECT * FROM " + quote( collection ) + sql;
+
+            const pageInSql = isNull( filter ) && (start > 0 || !isNull( stop ));
+
+            if ( pageInSql )
+            {
+                statement += " LIMIT ? OFFSET ?";
+                params.push( isNull( stop ) ? -1 : (stop - start), start );
+            }
+
+            let rows = this.handle.prepare( statement ).all( ...params );
+
+            if ( !isNull( filter ) )
+            {
+                rows = rows.filter( filter ).slice( start, isNull( stop ) ? rows.length : stop );
+            }
+
+            return { collection, rows };
+        }
+
+        #toResults( pCollection, pRows, pProjected )
+        {
+            // a projection is returned as is, since it may not satisfy the model
+            return pRows.map( row => pProjected ? { ...row } : this.toResult( pCollection, row ) );
+        }
+
+        #selectQuery( pQuery, pOptions, pStart, pStop )
+        {
+            const query = isBlank( pQuery.collection ) ? pQuery.clone().from( pOptions.collection || pOptions.table ) : pQuery;
+
+            const projected = query.projection.length > 0;
+
+            if ( query.sqlCompatible )
+            {
+                const paged = (pStart > 0 || !isNull( pStop )) ? query.page( pStart, pStop ) : query;
+
+                const { sql, params } = paged.toSql( SQL_OPTIONS );
+
+                return { collection: query.collection, rows: this.handle.prepare( sql ).all( ...params.map( toSqlValue ) ), projected };
+            }
+
+            // the predicate is evaluated against complete rows, so the rest of the query is applied here as well
+            const { sql, params } = new Query( query.collection ).toSql( SQL_OPTIONS );
+
+            const rows = query.page( pStart, pStop ).apply( this.handle.prepare( sql ).all( ...params ) );
+
+            return { collection: query.collection, rows, projected };
+        }
+
+        #insertRow( pHandle, pCollection, pRecord )
+        {
+            const row = toRow( pRecord );
+
+            const columns = Object.keys( row );
+
+            const statement = columns.length > 0 ?
+                              "INSERT INTO " + quote( pCollection ) + " (" + columns.map( quote ).join( ", " ) + ") VALUES (" + columns.map( () => "?" ).join( ", " ) + ") RETURNING *" :
+                              "INSERT INTO " + quote( pCollection ) + " DEFAULT VALUES RETURNING *";
+
+            return pHandle.prepare( statement ).get( ...columns.map( c => toSqlValue( row[c] ) ) );
+        }
+
+        #updateRows( pHandle, pCollection, pRecord, pPredicate )
+        {
+            const changes = toRow( pRecord );
+
+            let predicate = pPredicate;
+
+            if ( isNull( predicate ) )
+            {
+                const keys = this.getPrimaryKey( pCollection );
+
+                if ( keys.length <= 0 || keys.some( k => isNull( changes[k] ) ) )
+                {
+                    throw new IllegalArgumentError( `Updating ${pCollection} requires a predicate or a value for each primary key column`, { collection: pCollection, record: pRecord } );
+                }
+
+                predicate = {};
+                keys.forEach( k => predicate[k] = changes[k] );
+            }
+
+            const columns = Object.keys( changes );
+
+            if ( columns.length <= 0 )
+            {
+                return 0;
+            }
+
+            const { sql, params, filter } = buildWhereClause( predicate );
+
+            const assignments = columns.map( c => quote( c ) + " = ?" ).join( ", " );
+            const values = columns.map( c => toSqlValue( changes[c] ) );
+
+            if ( isNull( filter ) )
+            {
+                return asInt( pHandle.prepare( "UPDATE " + quote( pCollection ) + " SET " + assignments + sql ).run( ...values, ...params ).changes );
+            }
+
+            // criteria that cannot be expressed in SQL are applied to each candidate, which is then updated by rowid
+            const candidates = pHandle.prepare( "SELECT rowid AS \"__rowid__\", * FROM " + quote( pCollection ) + sql ).all( ...params ).filter( filter );
+
+            const statement = pHandle.prepare( "UPDATE " + quote( pCollection ) + " SET " + assignments + " WHERE rowid = ?" );
+
+            return candidates.reduce( ( count, e ) => count + asInt( statement.run( ...values, e["__rowid__"] ).changes ), 0 );
+        }
+
+        /**
+         * Executes one or more DDL statements
+         *
+         * @param {string|Array<string>} pDdl the statement(s) to execute
+         * @returns {Promise<number>} the number of scripts executed
+         */
+        async executeDdl( pDdl )
+        {
+            await this.ensureConnected();
+
+            const scripts = asArray( pDdl ).map( e => asString( e, true ) ).filter( e => !isBlank( e ) );
+
+            await this.#write( () => scripts.forEach( script => this.handle.exec( script ) ) );
+
+            return scripts.length;
+        }
+
+        async getCollectionNames()
+        {
+            await this.ensureConnected();
+
+            return this.handle.prepare( "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY rowid" ).all().map( e => e.name );
+        }
+
+        async find( pQuery, pOptions )
+        {
+            await this.ensureConnected();
+
+            const { collection, rows, projected } = this.#select( pQuery, pOptions );
+
+            return this.#toResults( collection, rows, projected );
+        }
+
+        async findFirst( pQuery, pOptions )
+        {
+            await this.ensureConnected();
+
+            const { collection, rows, projected } = this.#select( pQuery, pOptions, 0, 1 );
+
+            return rows.length > 0 ? this.#toResults( collection, rows.slice( 0, 1 ), projected )[0] : null;
+        }
+
+        async findSubset( pQuery, pStart, pStop, pOptions )
+        {
+            await this.ensureConnected();
+
+            const { collection, rows, projected } = this.#select( pQuery, pOptions, pStart, pStop );
+
+            return this.#toResults( collection, rows, projected );
+        }
+
+        async insert( pCollection, pRecord, pOptions )
+        {
+            await super.insert( pCollection, toRecord( pRecord ), pOptions );
+
+            return this.toResult( pCollection, await this.#write( () => this.#insertRow( this.handle, pCollection, pRecord ) ) );
+        }
+
+        async insertBatch( pCollection, pRecords, pOptions )
+        {
+            const records = asArray( pRecords ).filter( e => !isNull( e ) );
+
+            await super.insertBatch( pCollection, records.length > 0 ? records.map( toRecord ) : [toRecord( {} )], pOptions );
+
+            const rows = await this.#write( () => this.#inTransaction( ( handle ) => records.map( record => this.#insertRow( handle, pCollection, record ) ) ) );
+
+            return rows.map( row => this.toResult( pCollection, row ) );
+        }
+
+        async update( pCollection, pRecord, pPredicate, pOptions )
+        {
+            await super.update( pCollection, toRecord( pRecord ), pPredicate, pOptions );
+
+            // criteria applied in JavaScript update the matching rows one at a time, which must succeed or fail together
+            return this.#write( () => this.#inTransaction( ( handle ) => this.#updateRows( handle, pCollection, pRecord, pPredicate ) ) );
+        }
+
+        async updateBatch( pCollection, pRecords, pPredicate, pOptions )
+        {
+            const records = asArray( pRecords ).filter( e => !isNull( e ) );
+
+            await super.updateBatch( pCollection, records.length > 0 ? records.map( toRecord ) : [toRecord( {} )], pPredicate, pOptions );
+
+            return this.#write( () => this.#inTransaction( ( handle ) => records.reduce( ( count, record ) =>
+                                                                                         {
+                                                                                             let predicate = pPredicate;
+
+                                                                                             if ( isFunction( pPredicate ) && pPredicate.length <= 1 )
+                                                                                             {
+                                                                                                 const perRecord = pPredicate( toRow( record ) );
+                                                                                                 predicate = (isFunction( perRecord ) || isNonNullObject( perRecord )) ? perRecord : pPredicate;
+                                                                                             }
+
+                                                                                             return count + this.#updateRows( handle, pCollection, record, predicate );
+                                                                                         }, 0 ) ) );
+        }
+
+        /**
+         * Inserts the record or, if a row with the same key already exists, updates that row.
+         * <br>
+         * The options can specify the conflict columns (as an array of column names, via a 'keys' property);
+         * otherwise, the primary key of the table is used.
+         *
+         * @returns {Promise<Object>} the inserted or updated row
+         */
+        async upsert( pCollection, pRecord, pOptions )
+        {
+            await super.upsert( pCollection, toRecord( pRecord ), pOptions );
+
+            const row = toRow( pRecord );
+
+            const keys = asArray( pOptions?.keys || this.getPrimaryKey( pCollection ) ).map( e => asString( e, true ) ).filter( e => !isBlank( e ) );
+
+            if ( keys.length <= 0 )
+            {
+                throw new IllegalArgumentError( `Upserting into ${pCollection} requires a primary key or the 'keys' option`, { collection: pCollection } );
+            }
+
+            const columns = Object.keys( row );
+
+            const updates = columns.filter( c => !keys.includes( c ) );
+
+            const statement = "INSERT INTO " + quote( pCollection ) +
+                              " (" + columns.map( quote ).join( ", " ) + ") VALUES (" + columns.map( () => "?" ).join( ", " ) + ")" +
+                              " ON CONFLICT (" + keys.map( quote ).join( ", " ) + ") DO " +
+                              (updates.length > 0 ? "UPDATE SET " + updates.map( c => quote( c ) + " = excluded." + quote( c ) ).join( ", " ) : "NOTHING") +
+                              " RETURNING *";
+
+            let result = await this.#write( () => this.handle.prepare( statement ).get( ...columns.map( c => toSqlValue( row[c] ) ) ) );
+
+            if ( isNull( result ) )
+            {
+                // DO NOTHING does not return the existing row
+                const predicate = {};
+                keys.forEach( k => predicate[k] = row[k] );
+
+                result = this.#select( { collection: pCollection, where: predicate }, {}, 0, 1 ).rows[0];
+            }
+
+            return this.toResult( pCollection, result );
+        }
+
+        async delete( pCollection, pPredicate, pOptions )
+        {
+            await super.delete( pCollection, pPredicate, pOptions );
+
+            if ( isNull( pPredicate ) )
+            {
+                throw new IllegalArgumentError( `Deleting from ${pCollection} requires a predicate; use truncate to remove every row`, { collection: pCollection } );
+            }
+
+            const { sql, params, filter } = buildWhereClause( pPredicate );
+
+            if ( isNull( filter ) )
+            {
+                return this.#write( () => asInt( this.handle.prepare( "DELETE FROM " + quote( pCollection ) + sql ).run( ...params ).changes ) );
+            }
+
+            return this.#write( () => this.#inTransaction( ( handle ) =>
+                                                           {
+                                                               const candidates = handle.prepare( "SELECT rowid AS \"__rowid__\", * FROM " + quote( pCollection ) + sql ).all( ...params ).filter( filter );
+
+                                                               const statement = handle.prepare( "DELETE FROM " + quote( pCollection ) + " WHERE rowid = ?" );
+
+                                                               return candidates.reduce( ( count, e ) => count + asInt( statement.run( e["__rowid__"] ).changes ), 0 );
+                                                           } ) );
+        }
+
+        /**
+         * Removes every row from the specified table.
+         * <br>
+         * SQLite has no TRUNCATE statement, so this executes an unqualified DELETE.
+         *
+         * @returns {Promise<number>} the number of rows removed
+         */
+        async truncate( pCollection, pOptions )
+        {
+            await super.truncate( pCollection, pOptions );
+
+            return this.#write( () => asInt( this.handle.prepare( "DELETE FROM " + quote( pCollection ) ).run().changes ) );
+        }
+
+        async connect()
+        {
+            return this.server.connect();
+        }
+
+        async disconnect()
+        {
+            return this.server.disconnect();
+        }
+    }
+
+    registerDatabaseServerClass( DB_TYPE, SqliteDatabaseServer );
+
+    let mod =
+        {
+            dependencies:
+                {
+                    core,
+                    moduleUtils,
+                    typeUtils,
+                    stringUtils,
+                    arrayUtils,
+                    databaseUtils
+                },
+            classes:
+                {
+                    WriteLock,
+                    SqliteDatabaseServer,
+                    SqliteDatabase
+                },
+            DB_TYPE,
+            MEMORY,
+            DEFAULT_BUSY_TIMEOUT,
+            WriteLock,
+            isSqliteAvailable,
+            parseConnectionString,
+            buildWhereClause,
+            toSqlValue,
+            SqliteDatabaseServer,
+            SqliteDatabase
+        };
+
+    mod = toolBocksModule.extend( mod );
+
+    return mod.expose( mod, INTERNAL_NAME, (_ud !== typeof module ? module : mod) ) || mod;
+
+}());
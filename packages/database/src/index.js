@@ -0,0 +1,178 @@
+const core = require( "@toolbocks/core" );
+
+const databaseUtils = require( "./DatabaseUtils.js" );
+const inMemoryDatabase = require( "./InMemoryDatabase.js" );
+const sqliteDatabase = require( "./SqliteDatabase.js" );
+const queryBuilder = require( "./QueryBuilder.js" );
+const migrations = require( "./Migrations.js" );
+const connectionPool = require( "./ConnectionPool.js" );
+
+const { moduleUtils, constants } = core;
+
+/** define a variable for typeof undefined **/
+const { _ud = "undefined", $scope } = constants;
+
+/**
+ * This is the Immediately Invoked Function Expression (IIFE) that builds and returns the module
+ */
+(function exposeModule()
+{
+    // defines a key we can use to store this module in global scope
+    const INTERNAL_NAME = "__BOCK__DATABASE_PACKAGE__";
+
+    // if we've already executed this code, return the module
+    if ( $scope() && (null != $scope()[INTERNAL_NAME]) )
+    {
+        return $scope()[INTERNAL_NAME];
+    }
+
+    const { ToolBocksModule } = moduleUtils;
+
+    const modName = "DatabasePackage";
+
+    const toolBocksModule = new ToolBocksModule( modName, INTERNAL_NAME );
+
+    const
+        {
+            DatabaseServer,
+            Database,
+            DatabaseFactory,
+            registerDatabaseServerClass,
+            toRow,
+            toRecord
+        } = databaseUtils;
+
+    const
+        {
+            DB_TYPE: IN_MEMORY_DB_TYPE,
+            resolvePredicate,
+            resolveQuery,
+            InMemoryCollection,
+            InMemoryDatabaseServer,
+            InMemoryDatabase
+        } = inMemoryDatabase;
+
+    const
+        {
+            DB_TYPE: SQLITE_DB_TYPE,
+            isSqliteAvailable,
+            parseConnectionString,
+            SqliteDatabaseServer,
+            SqliteDatabase
+        } = sqliteDatabase;
+
+    const
+        {
+            OPERATORS,
+            SORT_DIRECTION,
+            SqlContext,
+            Predicate,
+            ColumnExpression,
+            Query,
+            where,
+            and,
+            or,
+            not,
+            from,
+            select
+        } = queryBuilder;
+
+    const
+        {
+            MIGRATION_EVENTS,
+            loadMigrations,
+            Migration,
+            MigrationRunner
+        } = migrations;
+
+    const
+        {
+            DEFAULT_POOL_OPTIONS,
+            ConnectionPoolTimeoutError,
+            ConnectionPool
+        } = connectionPool;
+
+    let mod =
+        {
+            dependencies:
+                {
+                    core,
+                    moduleUtils,
+                    databaseUtils,
+                    inMemoryDatabase,
+                    sqliteDatabase,
+                    queryBuilder,
+                    migrations,
+                    connectionPool
+                },
+            classes:
+                {
+                    DatabaseServer,
+                    Database,
+                    DatabaseFactory,
+                    InMemoryCollection,
+                    InMemoryDatabaseServer,
+                    InMemoryDatabase,
+                    SqliteDatabaseServer,
+                    SqliteDatabase,
+                    SqlContext,
+                    Predicate,
+                    ColumnExpression,
+                    Query,
+                    Migration,
+                    MigrationRunner,
+                    ConnectionPoolTimeoutError,
+                    ConnectionPool
+                },
+            modules:
+                {
+                    databaseUtils,
+                    inMemoryDatabase,
+                    sqliteDatabase,
+                    queryBuilder,
+                    migrations,
+                    connectionPool
+                },
+            DatabaseServer,
+            Database,
+            DatabaseFactory,
+            registerDatabaseServerClass,
+            IN_MEMORY_DB_TYPE,
+            toRow,
+            toRecord,
+            resolvePredicate,
+            resolveQuery,
+            InMemoryCollection,
+            InMemoryDatabaseServer,
+            InMemoryDatabase,
+            SQLITE_DB_TYPE,
+            isSqliteAvailable,
+            parseConnectionString,
+            SqliteDatabaseServer,
+            SqliteDatabase,
+            OPERATORS,
+            SORT_DIRECTION,
+            SqlContext,
+            Predicate,
+            ColumnExpression,
+            Query,
+            where,
+            and,
+            or,
+            not,
+            from,
+            select,
+            MIGRATION_EVENTS,
+            loadMigrations,
+            Migration,
+            MigrationRunner,
+            DEFAULT_POOL_OPTIONS,
+            ConnectionPoolTimeoutError,
+            ConnectionPool
+        };
+
+    mod = toolBocksModule.extend( mod );
+
+    return mod.expose( mod, INTERNAL_NAME, (_ud !== typeof module ? module : mod) ) || mod;
+
+}());
@@ -1,7 +1,10 @@
 /** import dependencies **/
 const core = require( "@toolbocks/core" );
+const commonUtils = require( "@toolbocks/common" );
 
-const { moduleUtils, constants, typeUtils, stringUtils } = core;
+const { moduleUtils, constants, typeUtils, stringUtils, arrayUtils } = core;
+
+const { objectUtils } = commonUtils;
 
 /** define a variable for typeof undefined **/
 const { _ud = "undefined", $scope } = constants;
@@ -22,17 +25,23 @@ const { _ud = "undefined", $scope } = constants;
             moduleUtils,
             constants,
             typeUtils,
-            stringUtils
+            stringUtils,
+            arrayUtils,
+            objectUtils
         };
 
-    const { ModuleEvent, ToolBocksModule, populateOptions } = moduleUtils;
+    const { ModuleEvent, ToolBocksModule, populateOptions, asyncAttempt } = moduleUtils;
 
     const { _mt_str, _fun, _obj, no_op, ignore, S_WARN, S_ERROR } = constants;
 
-    const { isNull, isBoolean, isFunction, isObject, getClassName, firstMatchingType } = typeUtils;
+    const { isNull, isBoolean, isFunction, isObject, isNonNullObject, getClassName, firstMatchingType } = typeUtils;
 
     const { asString, capitalize, uncapitalize } = stringUtils;
 
+    const { AsyncBoundedQueue } = arrayUtils;
+
+    const { same } = objectUtils;
+
     const modName = "EventUtils";
 
     const toolBocksModule = new ToolBocksModule( modName, INTERNAL_NAME );
@@ -69,8 +78,16 @@ const { _ud = "undefined", $scope } = constants;
 
         if ( evt instanceof ModuleEvent )
         {
-            evt.mergeOptions( pOptions );
-            evt.mergeData( pData );
+            if ( !isNull( pOptions ) )
+            {
+                evt.mergeOptions( pOptions );
+            }
+
+            if ( !isNull( pData ) )
+            {
+                evt.mergeData( pData );
+            }
+
             return evt;
         }
 
@@ -636,7 +653,14 @@ const { _ud = "undefined", $scope } = constants;
         dispatchEvent( pEvent, pData, pSource )
         {
             const evt = resolveEvent( pEvent, pData );
-            evt.target = evt.target || pSource;
+
+            // an Event's target is read-only and is set by dispatchEvent,
+            // so we record the object that published the event as its source instead
+            if ( !isNull( pSource ) )
+            {
+                evt.source = pSource;
+            }
+
             return super.dispatchEvent( evt );
         }
 
@@ -0,0 +1,379 @@
+const http = require( "node:http" );
+
+const httpUtils = require( "../index.js" );
+
+const { HttpClient, CachingHttpClient, CacheControl, CachedResponse, ResponseCache, CACHE_STATUS } = httpUtils;
+
+const SECOND = 1_000;
+
+const text = async( pResponseData ) => new Response( pResponseData.body ).text();
+
+/**
+ * Starts a local server whose responses are produced by the handler specified,
+ * counting the requests it receives
+ */
+const startServer = async( pHandler ) =>
+{
+    const server = http.createServer( ( req, res ) =>
+                                      {
+                                          server.requests.push( { method: req.method, url: req.url, headers: req.headers } );
+                                          pHandler( req, res );
+                                      } );
+
+    server.requests = [];
+
+    await new Promise( resolve => server.listen( 0, "127.0.0.1", resolve ) );
+
+    server.url = ( pPath ) => `http://127.0.0.1:${server.address().port}${pPath}`;
+
+    return server;
+};
+
+const stopServer = async( pServer ) => new Promise( resolve =>
+                                                       {
+                                                           pServer.close( resolve );
+                                                           pServer.closeAllConnections();
+                                                       } );
+
+/**
+ * Returns a caching client and the types of the events it dispatches
+ */
+const createClient = ( pOptions = {} ) =>
+{
+    const client = new HttpClient( {}, { cache: true, ...pOptions } );
+
+    const events = [];
+
+    Object.values( CACHE_STATUS ).forEach( type => client.defaultDelegate.addEventListener( type, e => events.push( e.type ) ) );
+
+    return { client, events };
+};
+
+describe( "CacheControl", () =>
+{
+    test( "parses directives with and without arguments, including quoted arguments", () =>
+    {
+        const cacheControl = new CacheControl( "max-age=60, no-cache=\"Set-Cookie, X-Id\", Stale-While-Revalidate=30, private" );
+
+        expect( cacheControl.maxAge ).toEqual( 60 );
+        expect( cacheControl.staleWhileRevalidate ).toEqual( 30 );
+        expect( cacheControl.noCache ).toBe( true );
+        expect( cacheControl.get( "no-cache" ) ).toEqual( "Set-Cookie, X-Id" );
+        expect( cacheControl.isPrivate ).toBe( true );
+        expect( cacheControl.sMaxAge ).toBeNull();
+
+        expect( new CacheControl( cacheControl.toString() ).directives ).toEqual( cacheControl.directives );
+
+        expect( new CacheControl( "max-stale" ).maxStale ).toEqual( Infinity );
+        expect( CacheControl.from( { Pragma: "no-cache" } ).noCache ).toBe( true );
+    } );
+} );
+
+describe( "CachedResponse", () =>
+{
+    const now = Date.parse( "2026-01-01T12:00:00Z" );
+
+    const stored = ( pHeaders, pStatus = 200 ) => new CachedResponse( {
+                                                                          method: "GET",
+                                                                          url: "https://example.com/a",
+                                                                          status: pStatus,
+                                                                          headers: { Date: new Date( now ).toUTCString(), ...pHeaders },
+                                                                          body: "content",
+                                                                          requestTime: now,
+                                                                          responseTime: now
+                                                                      } );
+
+    test( "takes its lifetime from s-maxage in a shared cache, then max-age, then Expires, then Last-Modified", () =>
+    {
+        const response = stored( { "Cache-Control": "max-age=60, s-maxage=600", Expires: new Date( now + 3_600 * SECOND ).toUTCString() } );
+
+        expect( response.freshnessLifetime( true ) ).toEqual( 600 * SECOND );
+        expect( response.freshnessLifetime( false ) ).toEqual( 60 * SECOND );
+
+        expect( stored( { Expires: new Date( now + 120 * SECOND ).toUTCString() } ).freshnessLifetime() ).toEqual( 120 * SECOND );
+        expect( stored( { Expires: "0" } ).freshnessLifetime() ).toEqual( 0 );
+
+        const lastModified = { "Last-Modified": new Date( now - 1_000 * SECOND ).toUTCString() };
+
+        expect( stored( lastModified ).freshnessLifetime() ).toEqual( 100 * SECOND );
+        expect( stored( lastModified, 500 ).freshnessLifetime() ).toEqual( 0 );
+    } );
+
+    test( "includes the Age header and the time it has been stored in its age", () =>
+    {
+        const response = stored( { "Cache-Control": "max-age=60", Age: "50" } );
+
+        expect( response.currentAge( now + 5 * SECOND ) ).toEqual( 55 * SECOND );
+        expect( response.isFresh( false, null, now + 5 * SECOND ) ).toBe( true );
+        expect( response.isFresh( false, null, now + 15 * SECOND ) ).toBe( false );
+
+        expect( response.isFresh( false, "max-age=30", now ) ).toBe( false );
+        expect( response.isFresh( false, "min-fresh=20", now ) ).toBe( false );
+        expect( response.isFresh( false, "max-stale=10", now + 15 * SECOND ) ).toBe( true );
+    } );
+
+    test( "may be served stale only within its windows and unless it must be revalidated", () =>
+    {
+        const response = stored( { "Cache-Control": "max-age=10, stale-while-revalidate=30, stale-if-error=300" } );
+
+        expect( response.isWithinStaleWhileRevalidate( false, now + 30 * SECOND ) ).toBe( true );
+        expect( response.isWithinStaleWhileRevalidate( false, now + 50 * SECOND ) ).toBe( false );
+        expect( response.isWithinStaleIfError( false, null, now + 200 * SECOND ) ).toBe( true );
+        expect( response.isWithinStaleIfError( false, "stale-if-error=60", now + 200 * SECOND ) ).toBe( false );
+
+        const strict = stored( { "Cache-Control": "max-age=10, must-revalidate, stale-while-revalidate=30" } );
+
+        expect( strict.isWithinStaleWhileRevalidate( false, now + 20 * SECOND ) ).toBe( false );
+        expect( strict.isFresh( false, "max-stale", now + 20 * SECOND ) ).toBe( false );
+    } );
+
+    test( "is selected by the request headers named in its Vary header", () =>
+    {
+        const response = new CachedResponse( {
+                                                 method: "GET",
+                                                 url: "https://example.com/a",
+                                                 status: 200,
+                                                 headers: { Vary: "Accept-Language" },
+                                                 requestHeaders: { "Accept-Language": "en", "X-Other": "1" }
+                                             } );
+
+        expect( response.matches( { "accept-language": "en", "X-Other": "2" } ) ).toBe( true );
+        expect( response.matches( { "Accept-Language": "fr" } ) ).toBe( false );
+        expect( response.matches( {} ) ).toBe( false );
+    } );
+
+    test( "a 304 response updates the headers and times, but not the body or its length", async() =>
+    {
+        const response = stored( { "Cache-Control": "max-age=10", ETag: "\"v1\"", "Content-Length": "7" } );
+
+        expect( response.conditionalHeaders ).toEqual( { "If-None-Match": "\"v1\"" } );
+
+        const refreshed = response.freshen( { "Cache-Control": "max-age=600", "Content-Length": "0" }, now + 20 * SECOND, now + 20 * SECOND );
+
+        expect( refreshed.headers["cache-control"] ).toEqual( "max-age=600" );
+        expect( refreshed.headers["content-length"] ).toEqual( "7" );
+        expect( refreshed.isFresh( false, null, now + 30 * SECOND ) ).toBe( true );
+
+        expect( await refreshed.toResponse( now + 30 * SECOND ).text() ).toEqual( "content" );
+    } );
+} );
+
+describe( "ResponseCache", () =>
+{
+    test( "does not store what the response or a shared cache forbids", () =>
+    {
+        const cache = new ResponseCache();
+        const shared = new ResponseCache( null, { shared: true } );
+
+        expect( cache.isStorable( "GET", 200, { "Cache-Control": "max-age=60" } ) ).toBe( true );
+        expect( cache.isStorable( "POST", 200, { "Cache-Control": "max-age=60" } ) ).toBe( false );
+        expect( cache.isStorable( "GET", 500, { "Cache-Control": "max-age=60" } ) ).toBe( false );
+        expect( cache.isStorable( "GET", 200, { "Cache-Control": "no-store" } ) ).toBe( false );
+        expect( cache.isStorable( "GET", 200, { Vary: "*" } ) ).toBe( false );
+        expect( cache.isStorable( "GET", 200, {}, { "Cache-Control": "no-store" } ) ).toBe( false );
+
+        expect( cache.isStorable( "GET", 200, { "Cache-Control": "private, max-age=60" } ) ).toBe( true );
+        expect( shared.isStorable( "GET", 200, { "Cache-Control": "private, max-age=60" } ) ).toBe( false );
+        expect( shared.isStorable( "GET", 200, { "Cache-Control": "max-age=60" }, { Authorization: "Bearer x" } ) ).toBe( false );
+        expect( shared.isStorable( "GET", 200, { "Cache-Control": "public, max-age=60" }, { Authorization: "Bearer x" } ) ).toBe( true );
+    } );
+
+    test( "discards the least recently used responses beyond maxEntries", async() =>
+    {
+        const cache = new ResponseCache( new Map(), { maxEntries: 2 } );
+
+        const response = ( pUrl ) => new CachedResponse( { method: "GET", url: pUrl, status: 200, headers: { "Cache-Control": "max-age=60" } } );
+
+        await cache.put( response( "https://example.com/1" ) );
+        await cache.put( response( "https://example.com/2" ) );
+
+        expect( await cache.match( "GET", "https://example.com/1" ) ).not.toBeNull();
+
+        await cache.put( response( "https://example.com/3" ) );
+
+        expect( cache.size ).toEqual( 2 );
+        expect( await cache.match( "GET", "https://example.com/2" ) ).toBeNull();
+        expect( await cache.match( "GET", "https://example.com/1" ) ).not.toBeNull();
+    } );
+} );
+
+describe( "CachingHttpClient", () =>
+{
+    let server;
+    let version;
+    let cacheControl;
+    let failing;
+
+    beforeEach( async() =>
+                {
+                    version = 1;
+                    cacheControl = "max-age=60";
+                    failing = false;
+
+                    server = await startServer( ( req, res ) =>
+                                                {
+                                                    if ( failing )
+                                                    {
+                                                        res.writeHead( 500 );
+                                                        return res.end();
+                                                    }
+
+                                                    const etag = `"v${version}"`;
+
+                                                    if ( "GET" !== req.method )
+                                                    {
+                                                        version += 1;
+                                                        res.writeHead( 204 );
+                                                        return res.end();
+                                                    }
+
+                                                    if ( req.headers["if-none-match"] === etag )
+                                                    {
+                                                        res.writeHead( 304, { ETag: etag, "Cache-Control": cacheControl } );
+                                                        return res.end();
+                                                    }
+
+                                                    // fetch sends 'Accept-Language: *' unless another value is specified
+                                                    const language = req.headers["accept-language"];
+
+                                                    res.writeHead( 200, { "Content-Type": "text/plain", "Cache-Control": cacheControl, ETag: etag, Vary: "Accept-Language" } );
+                                                    res.end( `version ${version}` + ("*" === language ? "" : ` (${language})`) );
+                                                } );
+                } );
+
+    afterEach( async() =>
+               {
+                   await stopServer( server );
+               } );
+
+    test( "an HttpClient constructed with the cache option reuses fresh responses", async() =>
+    {
+        const { client, events } = createClient();
+
+        expect( client.defaultDelegate ).toBeInstanceOf( CachingHttpClient );
+
+        const first = await client.sendGetRequest( server.url( "/a" ) );
+        const second = await client.sendGetRequest( server.url( "/a" ) );
+
+        expect( await text( first ) ).toEqual( "version 1" );
+        expect( await text( second ) ).toEqual( "version 1" );
+        expect( second.headersLiteral.age ).toBeDefined();
+
+        expect( server.requests.length ).toEqual( 1 );
+        expect( events ).toEqual( ["miss", "hit"] );
+    }, 30_000 );
+
+    test( "revalidates stale responses with If-None-Match and serves the stored response for a 304", async() =>
+    {
+        cacheControl = "no-cache";
+
+        const { client, events } = createClient();
+
+        await client.sendGetRequest( server.url( "/a" ) );
+
+        const revalidated = await client.sendGetRequest( server.url( "/a" ) );
+
+        expect( revalidated.status ).toEqual( 200 );
+        expect( await text( revalidated ) ).toEqual( "version 1" );
+        expect( server.requests[1].headers["if-none-match"] ).toEqual( "\"v1\"" );
+
+        version = 2;
+
+        expect( await text( await client.sendGetRequest( server.url( "/a" ) ) ) ).toEqual( "version 2" );
+
+        expect( events ).toEqual( ["miss", "revalidated", "miss"] );
+    }, 30_000 );
+
+    test( "does not store no-store responses and keeps a response per value of the Vary headers", async() =>
+    {
+        const { client } = createClient();
+
+        await client.sendGetRequest( server.url( "/a" ), { headers: { "Accept-Language": "fr" } } );
+        await client.sendGetRequest( server.url( "/a" ), { headers: { "Accept-Language": "de" } } );
+
+        const french = await client.sendGetRequest( server.url( "/a" ), { headers: { "Accept-Language": "fr" } } );
+
+        expect( await text( french ) ).toEqual( "version 1 (fr)" );
+        expect( server.requests.length ).toEqual( 2 );
+
+        cacheControl = "no-store";
+
+        await client.sendGetRequest( server.url( "/b" ) );
+        await client.sendGetRequest( server.url( "/b" ) );
+
+        expect( server.requests.length ).toEqual( 4 );
+    }, 30_000 );
+
+    test( "serves a response within stale-while-revalidate at once and revalidates it in the background", async() =>
+    {
+        cacheControl = "max-age=0, stale-while-revalidate=60";
+
+        const { client, events } = createClient();
+
+        await client.sendGetRequest( server.url( "/a" ) );
+
+        version = 2;
+
+        const stale = await client.sendGetRequest( server.url( "/a" ) );
+
+        expect( await text( stale ) ).toEqual( "version 1" );
+
+        await client.defaultDelegate.waitForRevalidation();
+
+        expect( server.requests.length ).toEqual( 2 );
+
+        expect( await text( await client.sendGetRequest( server.url( "/a" ) ) ) ).toEqual( "version 2" );
+
+        await client.defaultDelegate.waitForRevalidation();
+
+        expect( events ).toEqual( ["miss", "stale", "miss", "stale", "revalidated"] );
+    }, 30_000 );
+
+    test( "serves a response within stale-if-error when the server fails", async() =>
+    {
+        cacheControl = "max-age=0, stale-if-error=60";
+
+        const { client, events } = createClient();
+
+        await client.sendGetRequest( server.url( "/a" ) );
+
+        failing = true;
+
+        const stale = await client.sendGetRequest( server.url( "/a" ) );
+
+        expect( stale.status ).toEqual( 200 );
+        expect( await text( stale ) ).toEqual( "version 1" );
+        expect( events ).toEqual( ["miss", "stale"] );
+    }, 30_000 );
+
+    test( "honors the Cache-Control header and cache mode of the request and invalidates the url after an unsafe request", async() =>
+    {
+        const { client } = createClient();
+
+        const missing = await client.sendGetRequest( server.url( "/a" ), { headers: { "Cache-Control": "only-if-cached" } } );
+
+        expect( missing.status ).toEqual( 504 );
+        expect( server.requests.length ).toEqual( 0 );
+
+        await client.sendGetRequest( server.url( "/a" ) );
+        await client.sendGetRequest( server.url( "/a" ), { headers: { "Cache-Control": "no-cache" } } );
+
+        expect( server.requests.length ).toEqual( 2 );
+        expect( server.requests[1].headers["if-none-match"] ).toEqual( "\"v1\"" );
+
+        await client.sendPutRequest( server.url( "/a" ), {}, "updated" );
+
+        expect( await text( await client.sendGetRequest( server.url( "/a" ) ) ) ).toEqual( "version 2" );
+        expect( server.requests.length ).toEqual( 4 );
+
+        const delegate = new CachingHttpClient( {}, { cache: client.defaultDelegate.cache } );
+
+        expect( await text( await delegate.sendGetRequest( server.url( "/a" ), { cache: "force-cache" } ) ) ).toEqual( "version 2" );
+        expect( server.requests.length ).toEqual( 4 );
+
+        await delegate.sendGetRequest( server.url( "/a" ), { cache: "reload" } );
+
+        expect( server.requests.length ).toEqual( 5 );
+        expect( server.requests[4].headers["if-none-match"] ).toBeUndefined();
+    }, 30_000 );
+} );
@@ -0,0 +1,354 @@
+const http = require( "node:http" );
+
+const { SecretsManager } = require( "@toolbocks/secrets" );
+
+const httpUtils = require( "../index.js" );
+
+const { HttpClient, HttpFetchClient, OAuth2AuthProvider, OAuth2Error, OAuth2Token, GRANT_TYPES, CLIENT_AUTH_METHODS, createRateLimitedHttpClient } = httpUtils;
+
+// reads the underlying Response, since reading the body of a ResponseData consumes it
+const text = async( pResponseData ) => pResponseData.frameworkResponse.text();
+
+/**
+ * A SecretsManager that returns the values of a plain object
+ */
+class TestSecretsManager extends SecretsManager
+{
+    constructor( pSecrets )
+    {
+        super( {} );
+        this.secrets = { ...pSecrets };
+    }
+
+    async getSecret( pKey )
+    {
+        return this.secrets[pKey];
+    }
+}
+
+const readBody = async( pRequest ) =>
+{
+    let body = "";
+
+    for await ( const chunk of pRequest )
+    {
+        body += chunk;
+    }
+
+    return body;
+};
+
+/**
+ * Starts a local server that stands in for both a token endpoint (POST /token)
+ * and an API that answers 401 unless the request carries a token the server issued and has not revoked<br>
+ * (or, when rejectAll is set, to every request)
+ */
+const startServer = async() =>
+{
+    const server = http.createServer( async( req, res ) =>
+                                      {
+                                          if ( "/token" === req.url )
+                                          {
+                                              const params = new URLSearchParams( await readBody( req ) );
+
+                                              server.tokenRequests.push( { authorization: req.headers["authorization"], params: Object.fromEntries( params ) } );
+
+                                              if ( GRANT_TYPES.REFRESH_TOKEN === params.get( "grant_type" ) && params.get( "refresh_token" ) !== server.refreshToken )
+                                              {
+                                                  res.writeHead( 400, { "Content-Type": "application/json" } );
+                                                  res.end( JSON.stringify( { error: "invalid_grant", error_description: "unknown refresh token" } ) );
+                                                  return;
+                                              }
+
+                                              // answer slowly enough that concurrent requests overlap
+                                              await new Promise( resolve => setTimeout( resolve, server.tokenDelay ) );
+
+                                              const accessToken = "token-" + server.tokenRequests.length;
+
+                                              server.validTokens.add( accessToken );
+
+                                              const response = { access_token: accessToken, token_type: "bearer", expires_in: server.expiresIn };
+
+                                              if ( GRANT_TYPES.REFRESH_TOKEN === params.get( "grant_type" ) )
+                                              {
+                                                  server.refreshToken = "refresh-" + server.tokenRequests.length;
+                                                  response.refresh_token = server.refreshToken;
+                                              }
+
+                                              res.writeHead( 200, { "Content-Type": "application/json" } );
+                                              res.end( JSON.stringify( response ) );
+                                              return;
+                                          }
+
+                                          const token = String( req.headers["authorization"] || "" ).replace( /^Bearer /, "" );
+
+                                          server.apiRequests.push( token );
+
+                                          if ( server.rejectAll || !server.validTokens.has( token ) )
+                                          {
+                                              res.writeHead( 401, { "Content-Type": "text/plain" } );
+                                              res.end( "unauthorized" );
+                                              return;
+                                          }
+
+                                          res.writeHead( 200, { "Content-Type": "text/plain" } );
+                                          res.end( `${req.method} ${req.url} as ${token}` );
+                                      } );
+
+    server.tokenRequests = [];
+    server.apiRequests = [];
+    server.validTokens = new Set();
+    server.rejectAll = false;
+    server.expiresIn = 3600;
+    server.refreshToken = "refresh-0";
+    server.tokenDelay = 50;
+
+    await new Promise( resolve => server.listen( 0, "127.0.0.1", resolve ) );
+
+    server.url = ( pPath ) => `http://127.0.0.1:${server.address().port}${pPath}`;
+
+    return server;
+};
+
+const stopServer = async( pServer ) => new Promise( resolve =>
+                                                       {
+                                                           pServer.close( resolve );
+                                                           pServer.closeAllConnections();
+                                                       } );
+
+describe( "OAuth2Token", () =>
+{
+    test( "expires the specified margin before the lifetime returned by the token endpoint", () =>
+    {
+        const token = new OAuth2Token( { access_token: "abc", token_type: "bearer", expires_in: 60 }, 1_000 );
+
+        expect( token.authorization ).toEqual( "Bearer abc" );
+        expect( token.expiresAt ).toEqual( 61_000 );
+
+        expect( token.isExpired( 0, 30_000 ) ).toBe( false );
+        expect( token.isExpired( 30_000, 30_000 ) ).toBe( false );
+        expect( token.isExpired( 30_000, 31_000 ) ).toBe( true );
+    } );
+} );
+
+describe( "OAuth2AuthProvider", () =>
+{
+    let server;
+
+    let secretsManager;
+
+    beforeEach( async() =>
+                {
+                    server = await startServer();
+
+                    secretsManager = new TestSecretsManager(
+                        {
+                            "CLIENT-ID": "my client",
+                            "CLIENT-SECRET": "s3cr3t:&",
+                            "TOKEN-URL": server.url( "/token" ),
+                            "REFRESH-TOKEN": "refresh-0"
+                        } );
+                } );
+
+    afterEach( async() =>
+               {
+                   await stopServer( server );
+               } );
+
+    test( "obtains a token once for concurrent requests and reuses it until shortly before it expires", async() =>
+    {
+        const auth = new OAuth2AuthProvider( { secretsManager, scope: "read write" } );
+
+        const client = new HttpClient( {}, { auth } );
+
+        const responses = await Promise.all( ["/a", "/b", "/c"].map( path => client.sendGetRequest( server.url( path ) ) ) );
+
+        expect( await Promise.all( responses.map( text ) ) ).toEqual( ["GET /a as token-1", "GET /b as token-1", "GET /c as token-1"] );
+
+        expect( server.tokenRequests.length ).toEqual( 1 );
+
+        const [tokenRequest] = server.tokenRequests;
+
+        expect( tokenRequest.params ).toEqual( { grant_type: GRANT_TYPES.CLIENT_CREDENTIALS, scope: "read write" } );
+        expect( tokenRequest.authorization ).toEqual( "Basic " + Buffer.from( "my%20client:s3cr3t%3A%26" ).toString( "base64" ) );
+
+        await client.sendGetRequest( server.url( "/d" ) );
+
+        expect( server.tokenRequests.length ).toEqual( 1 );
+
+        // a token that expires within the refresh margin is replaced before it is sent
+        server.expiresIn = 10;
+
+        await auth.getToken( true );
+
+        expect( server.tokenRequests.length ).toEqual( 2 );
+
+        expect( await text( await client.sendGetRequest( server.url( "/e" ) ) ) ).toEqual( "GET /e as token-3" );
+        expect( server.tokenRequests.length ).toEqual( 3 );
+    }, 30_000 );
+
+    test( "sends a request again, exactly once, with a new token when the server answers 401", async() =>
+    {
+        const auth = new OAuth2AuthProvider( { secretsManager } );
+
+        const client = new HttpFetchClient( {}, { auth } );
+
+        expect( ( await client.sendGetRequest( server.url( "/a" ) ) ).status ).toEqual( 200 );
+
+        // the server revokes the token; the concurrent requests that are rejected share one new token
+        server.validTokens.clear();
+
+        const responses = await Promise.all( ["/b", "/c"].map( path => client.sendGetRequest( server.url( path ) ) ) );
+
+        expect( await Promise.all( responses.map( text ) ) ).toEqual( ["GET /b as token-2", "GET /c as token-2"] );
+        expect( server.tokenRequests.length ).toEqual( 2 );
+
+        // a server that rejects every token is asked only twice
+        server.rejectAll = true;
+
+        const apiRequests = server.apiRequests.length;
+
+        const rejected = await client.sendGetRequest( server.url( "/d" ) );
+
+        expect( rejected.status ).toEqual( 401 );
+        expect( server.apiRequests.length - apiRequests ).toEqual( 2 );
+        expect( server.tokenRequests.length ).toEqual( 3 );
+    }, 30_000 );
+
+    test( "requests a new token on a 401 even if another interceptor has already retried the request", async() =>
+    {
+        const auth = new OAuth2AuthProvider( { secretsManager } );
+
+        // another interceptor retries the first attempt, during which the server revokes the token
+        const transient = {
+            response: ( pResponse, pContext ) =>
+            {
+                if ( 0 === pContext.attempt )
+                {
+                    server.validTokens.clear();
+                    return pContext.retry();
+                }
+            }
+        };
+
+        const client = new HttpFetchClient( {}, { auth, interceptors: [transient] } );
+
+        const response = await client.sendGetRequest( server.url( "/a" ) );
+
+        expect( response.status ).toEqual( 200 );
+        expect( await text( response ) ).toEqual( "GET /a as token-2" );
+        expect( server.apiRequests ).toEqual( ["token-1", "token-1", "token-2"] );
+    }, 30_000 );
+
+    test( "does not abandon a token request shared with other callers when the caller that started it stops waiting", async() =>
+    {
+        server.tokenDelay = 300;
+
+        const auth = new OAuth2AuthProvider( { secretsManager } );
+
+        const impatient = auth.getToken( false, 50 );
+        const patient = auth.getToken();
+
+        await expect( impatient ).rejects.toBeInstanceOf( OAuth2Error );
+
+        expect( ( await patient ).accessToken ).toEqual( "token-1" );
+        expect( server.tokenRequests.length ).toEqual( 1 );
+    }, 30_000 );
+
+    test( "uses and rotates the refresh token, and can send the client credentials in the body", async() =>
+    {
+        const auth = new OAuth2AuthProvider(
+            {
+                secretsManager,
+                grantType: GRANT_TYPES.REFRESH_TOKEN,
+                clientAuthMethod: CLIENT_AUTH_METHODS.CLIENT_SECRET_POST
+            } );
+
+        const client = createRateLimitedHttpClient( null, {}, { auth } );
+
+        expect( await text( await client.sendGetRequest( server.url( "/a" ) ) ) ).toEqual( "GET /a as token-1" );
+
+        expect( server.tokenRequests[0].authorization ).toBeUndefined();
+        expect( server.tokenRequests[0].params ).toEqual(
+            {
+                grant_type: GRANT_TYPES.REFRESH_TOKEN,
+                refresh_token: "refresh-0",
+                client_id: "my client",
+                client_secret: "s3cr3t:&"
+            } );
+
+        await auth.getToken( true );
+
+        // the refresh token returned with the first token replaces the one read from the SecretsManager
+        expect( server.tokenRequests[1].params.refresh_token ).toEqual( "refresh-1" );
+        expect( auth.token.accessToken ).toEqual( "token-2" );
+    }, 30_000 );
+
+    test( "applies the interceptors specified with the provider, after the provider", async() =>
+    {
+        const auth = new OAuth2AuthProvider( { secretsManager } );
+
+        const applied = [];
+
+        const interceptors = [( pConfig, pContext ) =>
+                              {
+                                  applied.push( pContext.getHeader( "Authorization" ) );
+                              },
+                              { response: ( pResponse ) => applied.push( pResponse.status ) }];
+
+        for( const client of [new HttpClient( {}, { auth, interceptors } ), new HttpFetchClient( {}, { auth, interceptors: [interceptors] } )] )
+        {
+            applied.length = 0;
+
+            expect( ( await client.sendGetRequest( server.url( "/a" ) ) ).status ).toEqual( 200 );
+
+            expect( applied ).toEqual( ["Bearer token-1", 200] );
+        }
+    }, 30_000 );
+
+    test( "rejects with an OAuth2Error when the token endpoint refuses the grant", async() =>
+    {
+        secretsManager.secrets["REFRESH-TOKEN"] = "revoked";
+
+        const auth = new OAuth2AuthProvider( { secretsManager, grantType: GRANT_TYPES.REFRESH_TOKEN } );
+
+        const failure = auth.getToken();
+
+        await expect( failure ).rejects.toBeInstanceOf( OAuth2Error );
+        await expect( failure ).rejects.toThrow( "invalid_grant: unknown refresh token" );
+    }, 30_000 );
+
+    test( "abandons a token request when the timeout elapses or the signal specified is aborted", async() =>
+    {
+        // a token endpoint that never answers
+        const silent = http.createServer( () => {} );
+
+        await new Promise( resolve => silent.listen( 0, "127.0.0.1", resolve ) );
+
+        const tokenUrl = `http://127.0.0.1:${silent.address().port}/token`;
+
+        try
+        {
+            const started = Date.now();
+
+            await expect( new OAuth2AuthProvider( { secretsManager, tokenUrl, timeout: 100 } ).getToken() ).rejects.toBeInstanceOf( OAuth2Error );
+
+            // without a timeout of its own, the provider waits as long as it likes, but the caller stops waiting after its timeout
+            await expect( new OAuth2AuthProvider( { secretsManager, tokenUrl } ).getToken( false, 100 ) ).rejects.toBeInstanceOf( OAuth2Error );
+
+            expect( Date.now() - started ).toBeLessThan( 4_000 );
+
+            const controller = new AbortController();
+
+            const pending = new OAuth2AuthProvider( { secretsManager, tokenUrl, signal: controller.signal } ).getToken();
+
+            controller.abort();
+
+            await expect( pending ).rejects.toBeInstanceOf( OAuth2Error );
+        }
+        finally
+        {
+            await stopServer( silent );
+        }
+    }, 30_000 );
+} );
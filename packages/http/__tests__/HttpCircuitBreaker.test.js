@@ -0,0 +1,236 @@
+const http = require( "node:http" );
+
+const httpUtils = require( "../index.js" );
+
+const { HttpFetchClient, CircuitBreaker, CircuitBreakers, CircuitOpenError, HttpError, CIRCUIT_STATES, createRateLimitedHttpClient } = httpUtils;
+
+const sleep = ( pMilliseconds ) => new Promise( resolve => setTimeout( resolve, pMilliseconds ) );
+
+/**
+ * Starts a local server that answers /fail with 502, answers /slow after a delay, and answers anything else with 200
+ */
+const startServer = async() =>
+{
+    const server = http.createServer( async( req, res ) =>
+                                      {
+                                          server.requests.push( req.url );
+
+                                          if ( req.url.startsWith( "/slow" ) )
+                                          {
+                                              await sleep( 150 );
+                                          }
+
+                                          const status = req.url.startsWith( "/fail" ) ? 502 : 200;
+
+                                          res.writeHead( status, { "Content-Type": "text/plain" } );
+                                          res.end( `${status} ${req.url}` );
+                                      } );
+
+    server.requests = [];
+
+    await new Promise( resolve => server.listen( 0, "127.0.0.1", resolve ) );
+
+    server.url = ( pPath, pHost = "127.0.0.1" ) => `http://${pHost}:${server.address().port}${pPath}`;
+
+    return server;
+};
+
+const stopServer = async( pServer ) => new Promise( resolve =>
+                                                       {
+                                                           pServer.close( resolve );
+                                                           pServer.closeAllConnections();
+                                                       } );
+
+const call = ( pCircuit, pFailed, pDuration = 1 ) => pCircuit.acquire().release( pFailed, pDuration );
+
+describe( "CircuitBreaker", () =>
+{
+    test( "opens when the failure rate reaches its threshold, then allows trial calls after the cooldown", async() =>
+    {
+        const circuit = new CircuitBreaker( "example.com", { failureRateThreshold: 0.5, minimumCalls: 4, windowSize: 4, cooldown: 50, halfOpenCalls: 2 } );
+
+        const transitions = [];
+
+        circuit.addEventListener( "statechange", ( pEvent ) => transitions.push( `${pEvent.detail.from}->${pEvent.detail.to}` ) );
+
+        call( circuit, false );
+        call( circuit, true );
+        call( circuit, true );
+
+        // fewer than the minimum number of calls have been recorded
+        expect( circuit.state ).toEqual( CIRCUIT_STATES.CLOSED );
+
+        call( circuit, false );
+
+        expect( circuit.state ).toEqual( CIRCUIT_STATES.OPEN );
+        expect( circuit.acquire() ).toBeNull();
+        expect( circuit.remainingCooldown ).toBeGreaterThan( 0 );
+
+        await sleep( 60 );
+
+        expect( circuit.state ).toEqual( CIRCUIT_STATES.HALF_OPEN );
+
+        const trials = [circuit.acquire(), circuit.acquire()];
+
+        // only the configured number of trial calls are allowed
+        expect( circuit.acquire() ).toBeNull();
+
+        trials.forEach( permit => permit.release( false ) );
+
+        expect( circuit.state ).toEqual( CIRCUIT_STATES.CLOSED );
+
+        expect( transitions ).toEqual( ["closed->open", "open->half-open", "half-open->closed"] );
+    } );
+
+    test( "opens on slow calls, reopens when a trial call fails, and ignores calls started before a transition", async() =>
+    {
+        const circuit = new CircuitBreaker( "example.com", { slowCallDuration: 100, slowCallRateThreshold: 0.5, minimumCalls: 2, cooldown: 20, halfOpenCalls: 1 } );
+
+        const opened = jest.fn();
+
+        circuit.addEventListener( CIRCUIT_STATES.OPEN, opened );
+
+        const stale = circuit.acquire();
+
+        call( circuit, false, 250 );
+        call( circuit, false, 250 );
+
+        expect( circuit.state ).toEqual( CIRCUIT_STATES.OPEN );
+
+        stale.release( false, 1 );
+
+        expect( circuit.metrics.calls ).toEqual( 0 );
+
+        await sleep( 30 );
+
+        call( circuit, true );
+
+        expect( circuit.state ).toEqual( CIRCUIT_STATES.OPEN );
+        expect( opened ).toHaveBeenCalledTimes( 2 );
+
+        circuit.reset();
+
+        expect( circuit.state ).toEqual( CIRCUIT_STATES.CLOSED );
+    } );
+} );
+
+describe( "CircuitBreakers", () =>
+{
+    test( "keeps a circuit per host, refined by the group a RequestGroupMapper calculates", () =>
+    {
+        const breakers = new CircuitBreakers( { requestGroupMapper: { calculateGroupName: ( pUrl ) => String( pUrl ).includes( "/orders" ) ? "orders" : "_" } } );
+
+        expect( breakers.calculateKey( "https://API.example.com/v1/users?id=1" ) ).toEqual( "api.example.com" );
+        expect( breakers.calculateKey( "https://api.example.com/v1/orders/7" ) ).toEqual( "api.example.com/orders" );
+        expect( breakers.calculateKey( "https://other.example.com:8443/v1/users" ) ).toEqual( "other.example.com:8443" );
+
+        breakers.getCircuit( "https://api.example.com/v1/users" ).trip();
+
+        expect( breakers.getState( "https://api.example.com/v1/other" ) ).toEqual( CIRCUIT_STATES.OPEN );
+        expect( breakers.getState( "https://api.example.com/v1/orders" ) ).toEqual( CIRCUIT_STATES.CLOSED );
+
+        const error = breakers.checkCallPermitted( "https://api.example.com/v1/users" );
+
+        expect( error ).toBeInstanceOf( CircuitOpenError );
+        expect( error ).toBeInstanceOf( HttpError );
+
+        expect( () => breakers.acquire( "https://api.example.com/v1/users" ) ).toThrow( CircuitOpenError );
+    } );
+} );
+
+describe( "Circuit breakers applied by the HTTP clients", () =>
+{
+    let server;
+
+    beforeEach( async() =>
+                {
+                    server = await startServer();
+                } );
+
+    afterEach( async() =>
+               {
+                   await stopServer( server );
+               } );
+
+    test( "an HttpFetchClient fails fast once the circuit for a host has opened", async() =>
+    {
+        const client = new HttpFetchClient( {}, { circuitBreaker: { minimumCalls: 3, cooldown: 60_000 } } );
+
+        const events = [];
+
+        client.circuitBreakers.addEventListener( "statechange", ( pEvent ) => events.push( pEvent.detail ) );
+
+        for( let i = 0; i < 3; i++ )
+        {
+            await client.sendGetRequest( server.url( "/fail" ) );
+        }
+
+        expect( events.map( e => e.to ) ).toEqual( [CIRCUIT_STATES.OPEN] );
+        expect( events[0].key ).toEqual( `127.0.0.1:${server.address().port}` );
+        expect( events[0].metrics.failures ).toEqual( 3 );
+
+        const responseData = await client.sendGetRequest( server.url( "/ok" ) );
+
+        expect( responseData.isError() ).toBe( true );
+        expect( responseData.error ).toBeInstanceOf( CircuitOpenError );
+        expect( responseData.error ).toBeInstanceOf( HttpError );
+
+        expect( server.requests.length ).toEqual( 3 );
+
+        // the same server, reached by another host name, has a circuit of its own
+        expect( ( await client.sendGetRequest( server.url( "/ok", "localhost" ) ) ).status ).toEqual( 200 );
+    }, 30_000 );
+
+    test( "the interceptors of the client are applied after the circuit breaker, and a trial call is released when one of them throws", async() =>
+    {
+        const sent = [];
+
+        const interceptors = [( pConfig, pContext ) =>
+                              {
+                                  if ( pContext.url.includes( "/throw" ) )
+                                  {
+                                      throw new Error( "The request could not be signed" );
+                                  }
+                              },
+                              ( pConfig, pContext ) =>
+                              {
+                                  sent.push( new URL( pContext.url ).pathname );
+                              }];
+
+        const client = new HttpFetchClient( {}, { circuitBreaker: { minimumCalls: 1, windowSize: 1, cooldown: 0, halfOpenCalls: 1 }, interceptors } );
+
+        await client.sendGetRequest( server.url( "/fail" ) );
+
+        expect( client.circuitBreakers.getState( server.url( "/" ) ) ).toEqual( CIRCUIT_STATES.HALF_OPEN );
+
+        // the trial call fails before it is sent, which reopens the circuit rather than leaving its only trial call in use
+        await expect( client.sendRequest( "GET", server.url( "/throw" ) ) ).rejects.toThrow( "The request could not be signed" );
+
+        const responseData = await client.sendGetRequest( server.url( "/ok" ) );
+
+        expect( responseData.status ).toEqual( 200 );
+        expect( client.circuitBreakers.getState( server.url( "/" ) ) ).toEqual( CIRCUIT_STATES.CLOSED );
+
+        expect( sent ).toEqual( ["/fail", "/ok"] );
+        expect( server.requests ).toEqual( ["/fail", "/ok"] );
+    }, 30_000 );
+
+    test( "a RateLimitedHttpClient answers requests to an open circuit immediately instead of queuing them", async() =>
+    {
+        const client = createRateLimitedHttpClient( null, {}, { circuitBreaker: { minimumCalls: 2, windowSize: 2, failureRateThreshold: 1 } } );
+
+        expect( ( await client.sendGetRequest( server.url( "/ok" ) ) ).status ).toEqual( 200 );
+        await client.sendGetRequest( server.url( "/fail" ) );
+
+        expect( client.circuitBreakers.getState( server.url( "/" ) ) ).toEqual( CIRCUIT_STATES.CLOSED );
+
+        await client.sendGetRequest( server.url( "/fail" ) );
+
+        expect( client.circuitBreakers.getState( server.url( "/" ) ) ).toEqual( CIRCUIT_STATES.OPEN );
+
+        expect( ( await client.sendGetRequest( server.url( "/ok" ) ) ).error ).toBeInstanceOf( CircuitOpenError );
+
+        expect( server.requests.length ).toEqual( 3 );
+        expect( client.requestQueue.queues.every( queue => queue.isEmpty() ) ).toBe( true );
+    }, 30_000 );
+} );
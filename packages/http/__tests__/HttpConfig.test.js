@@ -0,0 +1,34 @@
+const httpUtils = require( "../index.js" );
+
+const { HttpConfig, HttpHeaders, resolveHttpConfig } = httpUtils;
+
+describe( "resolveHttpConfig", () =>
+{
+    test( "merge the literal specified for a request over the configuration of the client sending it", () =>
+    {
+        const client = { config: new HttpConfig( { timeout: 9_000 }, { "Authorization": "Bearer from-client" } ) };
+
+        const config = resolveHttpConfig( { timeout: 100, headers: { "X-Request": "1" } }, client );
+
+        expect( config ).toBeInstanceOf( HttpConfig );
+        expect( config.timeout ).toEqual( 100 );
+        expect( config.headers ).toEqual( { "authorization": "Bearer from-client", "X-Request": "1" } );
+
+        // without a literal, the configuration of the client is used as it is
+        expect( resolveHttpConfig( null, client ).timeout ).toEqual( 9_000 );
+        expect( resolveHttpConfig( {}, client ).timeout ).toEqual( 9_000 );
+    } );
+} );
+
+describe( "HttpHeaders", () =>
+{
+    test( "read the headers of an instance of the Fetch API's Headers", () =>
+    {
+        const headers = new HttpHeaders( new Headers( { "X-Trace": "abc", "Content-Type": "application/json" } ) );
+
+        expect( headers.get( "X-Trace" ) ).toEqual( "abc" );
+        expect( headers.get( "content-type" ) ).toEqual( "application/json" );
+
+        expect( new HttpHeaders( new Headers() ).get( "X-Trace" ) ).toBeFalsy();
+    } );
+} );
@@ -0,0 +1,254 @@
+const http = require( "node:http" );
+const os = require( "node:os" );
+const path = require( "node:path" );
+const fs = require( "node:fs" );
+const crypto = require( "node:crypto" );
+
+const httpUtils = require( "../index.js" );
+
+const { HttpClient, HttpFetchClient, HttpDownload, DownloadError, ChecksumError, DOWNLOAD_EVENTS } = httpUtils;
+
+const CONTENT = crypto.randomBytes( 200_000 );
+
+const SHA256 = crypto.createHash( "sha256" ).update( CONTENT ).digest( "hex" );
+
+/**
+ * Starts a local server that serves CONTENT at any path, honoring Range and If-Range (unless ranges is false).<br>
+ * Each fault in server.faults applies to one response, in order:
+ * 'drop' closes the connection after the specified number of bytes, and 'stall' stops sending without closing it.
+ */
+const startServer = async() =>
+{
+    const server = http.createServer( ( req, res ) =>
+                                      {
+                                          server.requests.push( { range: req.headers["range"], ifRange: req.headers["if-range"] } );
+
+                                          const headers = { "Content-Type": "application/octet-stream", "ETag": server.etag };
+
+                                          let start = 0;
+                                          let end = CONTENT.length - 1;
+
+                                          const matches = /^bytes=(\d+)-(\d*)$/.exec( req.headers["range"] || "" );
+
+                                          const current = !req.headers["if-range"] || req.headers["if-range"] === server.etag;
+
+                                          if ( server.ranges )
+                                          {
+                                              headers["Accept-Ranges"] = "bytes";
+                                          }
+
+                                          if ( server.ranges && matches && current )
+                                          {
+                                              start = Number( matches[1] );
+                                              end = matches[2] ? Math.min( Number( matches[2] ), end ) : end;
+
+                                              if ( start >= CONTENT.length )
+                                              {
+                                                  res.writeHead( 416, { "Content-Range": `bytes */${CONTENT.length}` } );
+                                                  res.end();
+                                                  return;
+                                              }
+
+                                              headers["Content-Range"] = `bytes ${start}-${end}/${CONTENT.length}`;
+                                          }
+
+                                          headers["Content-Length"] = end - start + 1;
+
+                                          res.writeHead( headers["Content-Range"] ? 206 : 200, headers );
+
+                                          const body = CONTENT.subarray( start, end + 1 );
+
+                                          const fault = server.faults.shift();
+
+                                          if ( fault )
+                                          {
+                                              res.write( body.subarray( 0, fault.after ) );
+
+                                              if ( "drop" === fault.mode )
+                                              {
+                                                  setTimeout( () => res.socket.destroy(), 20 );
+                                              }
+
+                                              return;
+                                          }
+
+                                          res.end( body );
+                                      } );
+
+    server.requests = [];
+    server.faults = [];
+    server.etag = "\"v1\"";
+    server.ranges = true;
+
+    await new Promise( resolve => server.listen( 0, "127.0.0.1", resolve ) );
+
+    server.url = ( pPath ) => `http://127.0.0.1:${server.address().port}${pPath}`;
+
+    return server;
+};
+
+const stopServer = async( pServer ) => new Promise( resolve =>
+                                                       {
+                                                           pServer.close( resolve );
+                                                           pServer.closeAllConnections();
+                                                       } );
+
+describe( "Resumable downloads", () =>
+{
+    let server;
+
+    let directory;
+
+    beforeEach( async() =>
+                {
+                    server = await startServer();
+
+                    directory = fs.mkdtempSync( path.join( os.tmpdir(), "http-download-" ) );
+                } );
+
+    afterEach( async() =>
+               {
+                   await stopServer( server );
+
+                   fs.rmSync( directory, { recursive: true, force: true } );
+               } );
+
+    test( "continue from the last byte written when the connection stalls or drops, and report their progress", async() =>
+    {
+        server.faults = [{ after: 50_000, mode: "stall" }, { after: 30_000, mode: "drop" }];
+
+        const download = new HttpDownload( new HttpFetchClient( {}, {} ), server.url( "/exports/nightly" ), {}, path.join( directory, "nightly.bin" ), { retryDelay: 10, idleTimeout: 500, progressInterval: 0 } );
+
+        const progress = [];
+
+        download.addEventListener( DOWNLOAD_EVENTS.PROGRESS, ( pEvent ) => progress.push( pEvent.detail ) );
+
+        const filePath = await download.start();
+
+        expect( fs.readFileSync( filePath ).equals( CONTENT ) ).toBe( true );
+
+        expect( server.requests.map( e => e.range ) ).toEqual( ["bytes=0-", "bytes=50000-199999", "bytes=80000-199999"] );
+        expect( server.requests.slice( 1 ).map( e => e.ifRange ) ).toEqual( ["\"v1\"", "\"v1\""] );
+
+        const last = progress[progress.length - 1];
+
+        expect( last.bytesWritten ).toEqual( CONTENT.length );
+        expect( last.totalBytes ).toEqual( CONTENT.length );
+        expect( last.percent ).toEqual( 100 );
+
+        // the partial file and its state are gone
+        expect( fs.readdirSync( directory ) ).toEqual( [path.basename( filePath )] );
+    }, 30_000 );
+
+    test( "request segments in parallel through HttpClient.download and verify the content against a checksum", async() =>
+    {
+        const client = new HttpClient( {}, {} );
+
+        const progress = [];
+
+        client.addEventListener( DOWNLOAD_EVENTS.PROGRESS, ( pEvent ) => progress.push( pEvent.detail ) );
+
+        const filePath = await client.download( server.url( "/exports/nightly" ), {}, directory, "nightly.bin", null, { connections: 4, minSegmentSize: 40_000, checksum: "sha256:" + SHA256 } );
+
+        expect( fs.readFileSync( filePath ).equals( CONTENT ) ).toBe( true );
+
+        expect( progress[progress.length - 1] ).toMatchObject( { filePath, bytesWritten: CONTENT.length, percent: 100, connections: 4 } );
+
+        expect( server.requests.slice( 1 ).map( e => e.range ).sort() ).toEqual( ["bytes=0-49999", "bytes=100000-149999", "bytes=150000-199999", "bytes=50000-99999"] );
+
+        // a segment smaller than minSegmentSize is not worth a connection of its own
+        server.requests = [];
+
+        await client.download( server.url( "/exports/nightly" ), {}, directory, "again.bin", null, { connections: 8, minSegmentSize: 60_000 } );
+
+        expect( server.requests.length ).toEqual( 1 + 3 );
+    }, 30_000 );
+
+    test( "resume in a later attempt from the state left by a failed one, unless the content has changed", async() =>
+    {
+        const filePath = path.join( directory, "nightly.bin" );
+
+        const client = new HttpFetchClient( {}, {} );
+
+        server.faults = [{ after: 120_000, mode: "drop" }];
+
+        const failed = new HttpDownload( client, server.url( "/exports/nightly" ), {}, filePath, { maxAttempts: 1 } );
+
+        await expect( failed.start() ).rejects.toBeInstanceOf( Error );
+
+        expect( fs.statSync( filePath + ".part" ).size ).toEqual( 120_000 );
+        expect( JSON.parse( fs.readFileSync( filePath + ".part.json", "utf8" ) ).segments ).toEqual( [{ start: 0, end: 199_999, written: 120_000 }] );
+
+        server.requests = [];
+
+        const resumed = new HttpDownload( client, server.url( "/exports/nightly" ), {}, filePath );
+
+        expect( await resumed.start() ).toEqual( filePath );
+        expect( fs.readFileSync( filePath ).equals( CONTENT ) ).toBe( true );
+
+        expect( resumed.bytesReceived ).toEqual( 80_000 );
+        expect( server.requests.map( e => e.range ) ).toEqual( ["bytes=0-", "bytes=120000-199999"] );
+
+        // when the ETag no longer matches, the server sends the whole content, which replaces the partial file
+        fs.rmSync( filePath );
+
+        server.faults = [{ after: 120_000, mode: "drop" }];
+
+        await expect( new HttpDownload( client, server.url( "/exports/nightly" ), {}, filePath, { maxAttempts: 1 } ).start() ).rejects.toBeInstanceOf( Error );
+
+        server.etag = "\"v2\"";
+
+        const restarted = new HttpDownload( client, server.url( "/exports/nightly" ), {}, filePath );
+
+        await restarted.start();
+
+        expect( fs.readFileSync( filePath ).equals( CONTENT ) ).toBe( true );
+        expect( restarted.bytesReceived ).toEqual( CONTENT.length );
+    }, 30_000 );
+
+    test( "start over when the server does not accept ranges", async() =>
+    {
+        server.ranges = false;
+        server.faults = [{ after: 70_000, mode: "drop" }];
+
+        const download = new HttpDownload( new HttpFetchClient( {}, {} ), server.url( "/exports/nightly" ), {}, path.join( directory, "nightly.bin" ), { connections: 4, minSegmentSize: 1_000, retryDelay: 10 } );
+
+        const retries = jest.fn();
+
+        download.addEventListener( DOWNLOAD_EVENTS.RETRY, retries );
+
+        await download.start();
+
+        expect( fs.readFileSync( download.filePath ).equals( CONTENT ) ).toBe( true );
+
+        expect( download.segments.length ).toEqual( 1 );
+        expect( retries ).toHaveBeenCalledTimes( 1 );
+    }, 30_000 );
+
+    test( "reject a download whose content does not match the checksum, or whose server refuses it", async() =>
+    {
+        const filePath = path.join( directory, "nightly.bin" );
+
+        const download = new HttpDownload( new HttpFetchClient( {}, {} ), server.url( "/exports/nightly" ), {}, filePath, { checksum: { algorithm: "SHA-256", digest: "0".repeat( 64 ) } } );
+
+        await expect( download.start() ).rejects.toBeInstanceOf( ChecksumError );
+
+        // content that is wrong cannot be resumed
+        expect( fs.readdirSync( directory ) ).toEqual( [] );
+
+        const checksum = "sha256-" + crypto.createHash( "sha256" ).update( CONTENT ).digest( "base64" );
+
+        await new HttpDownload( new HttpFetchClient( {}, {} ), server.url( "/exports/nightly" ), {}, filePath, { checksum } ).start();
+
+        expect( fs.readFileSync( filePath ).equals( CONTENT ) ).toBe( true );
+
+        const url = server.url( "/missing" );
+
+        server.close();
+        server.closeAllConnections();
+
+        const unreachable = new HttpDownload( new HttpFetchClient( {}, {} ), url, {}, filePath, { maxAttempts: 2, retryDelay: 10 } );
+
+        await expect( unreachable.start() ).rejects.toBeInstanceOf( DownloadError );
+    }, 30_000 );
+} );
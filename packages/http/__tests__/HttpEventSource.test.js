@@ -0,0 +1,231 @@
+const http = require( "node:http" );
+
+const httpUtils = require( "../index.js" );
+
+const { HttpClient, HttpFetchClient, HttpEventSource, EventStreamParser, EventSourceError, ConfigFactory } = httpUtils;
+
+/**
+ * Starts a local server that answers each request for an event stream with the next response in server.responses.<br>
+ * A response is a list of pieces of text to write, and (optionally) a status and content type;
+ * the connection is left open after the last piece when the response specifies open: true.
+ */
+const startServer = async() =>
+{
+    const server = http.createServer( ( req, res ) =>
+                                      {
+                                          server.requests.push( { headers: req.headers } );
+
+                                          const response = server.responses.shift() || { status: 204 };
+
+                                          res.writeHead( response.status || 200, { "Content-Type": response.contentType || "text/event-stream" } );
+
+                                          (response.pieces || []).forEach( piece => res.write( piece ) );
+
+                                          if ( !response.open )
+                                          {
+                                              res.end();
+                                          }
+                                      } );
+
+    server.requests = [];
+    server.responses = [];
+
+    await new Promise( resolve => server.listen( 0, "127.0.0.1", resolve ) );
+
+    server.url = ( pPath ) => `http://127.0.0.1:${server.address().port}${pPath}`;
+
+    return server;
+};
+
+/**
+ * Returns a promise that is resolved with the events of the specified type received by the event source,
+ * once the specified number have been received
+ */
+const receive = ( pSource, pType, pCount ) => new Promise( resolve =>
+                                                           {
+                                                               const events = [];
+
+                                                               pSource.addEventListener( pType, ( pEvent ) =>
+                                                               {
+                                                                   events.push( pEvent );
+
+                                                                   if ( events.length === pCount )
+                                                                   {
+                                                                       resolve( events );
+                                                                   }
+                                                               } );
+                                                           } );
+
+describe( "EventStreamParser", () =>
+{
+    test( "interpret the fields of events split across pieces of text and lines ending in CR, LF, or both", () =>
+    {
+        const parser = new EventStreamParser();
+
+        const records = [
+            ...parser.push( "\uFEFF: a comment\nretry: 250\nretry: soon\n\nda" ),
+            ...parser.push( "ta: first\r" ),
+            ...parser.push( "\ndata:second\r\nid: 7\n\nevent: price\ndata: {\"symbol\":\"ACME\"}\rid: bad\0id\r\r" ),
+            ...parser.push( "id: 8\nunknown: ignored\n\ndata: incomplete" )
+        ];
+
+        expect( records ).toEqual( [
+                                       { retry: 250 },
+                                       { type: "message", data: "", lastEventId: "" },
+                                       { type: "message", data: "first\nsecond", lastEventId: "7" },
+                                       { type: "price", data: "{\"symbol\":\"ACME\"}", lastEventId: "7" },
+                                       { type: "message", data: "", lastEventId: "8" }
+                                   ] );
+
+        expect( parser.lastEventId ).toEqual( "8" );
+
+        // an event that had not ended when the connection was lost is discarded
+        parser.reset();
+
+        expect( parser.push( "\n" ) ).toEqual( [{ type: "message", data: "", lastEventId: "8" }] );
+    } );
+} );
+
+describe( "HttpEventSource", () =>
+{
+    let server;
+
+    let source;
+
+    beforeEach( async() =>
+                {
+                    server = await startServer();
+                } );
+
+    afterEach( async() =>
+               {
+                   source?.close();
+
+                   await new Promise( resolve =>
+                                      {
+                                          server.close( resolve );
+                                          server.closeAllConnections();
+                                      } );
+               } );
+
+    test( "dispatch the events of a stream as they are received, as an EventSource would", async() =>
+    {
+        server.responses = [{ pieces: [": connected\n\n", "data: hello\n\n", "event: price\nid: 1\ndata: 42\n\n"], open: true }];
+
+        source = new HttpEventSource( server.url( "/updates" ) );
+
+        expect( source.readyState ).toEqual( HttpEventSource.CONNECTING );
+        expect( source.url ).toEqual( server.url( "/updates" ) );
+        expect( source.withCredentials ).toBe( false );
+
+        const opened = jest.fn();
+
+        source.onopen = opened;
+
+        const messages = receive( source, "message", 1 );
+        const prices = receive( source, "price", 1 );
+
+        const [message] = await messages;
+        const [price] = await prices;
+
+        expect( message ).toBeInstanceOf( MessageEvent );
+        expect( message.data ).toEqual( "hello" );
+        expect( message.origin ).toEqual( new URL( server.url( "/" ) ).origin );
+
+        expect( price.data ).toEqual( "42" );
+        expect( price.lastEventId ).toEqual( "1" );
+
+        // the connection is still open, so the events were dispatched before the response ended
+        expect( source.readyState ).toEqual( source.OPEN );
+        expect( opened ).toHaveBeenCalledTimes( 1 );
+
+        expect( server.requests[0].headers["accept"] ).toEqual( "text/event-stream" );
+        expect( server.requests[0].headers["cache-control"] ).toEqual( "no-cache" );
+
+        source.close();
+
+        expect( source.readyState ).toEqual( HttpEventSource.CLOSED );
+    } );
+
+    test( "reconnect with the id of the last event after the interval the server specifies, until it responds with 204", async() =>
+    {
+        server.responses = [{ pieces: ["retry: 20\nid: 1\ndata: one\n\n", "id: 2\ndata: two\n\ndata: unfinished"] },
+                            { pieces: ["id: 3\ndata: three\n\n"] }];
+
+        source = new HttpEventSource( server.url( "/updates" ), { retry: 60_000 } );
+
+        const errors = [];
+
+        const closed = new Promise( resolve =>
+                                    {
+                                        source.onerror = ( pEvent ) =>
+                                        {
+                                            errors.push( source.readyState );
+
+                                            if ( HttpEventSource.CLOSED === source.readyState )
+                                            {
+                                                resolve( pEvent );
+                                            }
+                                        };
+                                    } );
+
+        const messages = receive( source, "message", 3 );
+
+        expect( ( await messages ).map( e => e.data ) ).toEqual( ["one", "two", "three"] );
+
+        const failure = await closed;
+
+        expect( failure.detail.error ).toBeInstanceOf( EventSourceError );
+        expect( failure.detail.error.status ).toEqual( 204 );
+
+        // each lost connection is announced before it is reestablished
+        expect( errors ).toEqual( [HttpEventSource.CONNECTING, HttpEventSource.CONNECTING, HttpEventSource.CLOSED] );
+
+        expect( source.retry ).toEqual( 20 );
+        expect( source.lastEventId ).toEqual( "3" );
+
+        expect( server.requests.map( e => e.headers["last-event-id"] ) ).toEqual( [undefined, "2", "3"] );
+    } );
+
+    test( "send the headers of the configuration through HttpClient, HttpFetchClient, or fetch", async() =>
+    {
+        const configs = [
+            { client: new HttpClient( {}, {} ), config: { headers: { "Authorization": "Bearer from-client" } }, expected: "Bearer from-client" },
+            { client: new HttpFetchClient( {}, {} ), config: { headers: { "Authorization": "Bearer from-fetch-client" } }, expected: "Bearer from-fetch-client" },
+            { config: new ConfigFactory( { headers: { "Authorization": "Bearer from-factory" } } ), expected: "Bearer from-factory" }
+        ];
+
+        for( const { expected, ...options } of configs )
+        {
+            server.requests = [];
+            server.responses = [{ pieces: ["data: authorized\n\n"], open: true }];
+
+            source = options.client instanceof HttpClient ? options.client.eventSource( server.url( "/private" ), options.config, { retry: 10 } ) : new HttpEventSource( server.url( "/private" ), { ...options, retry: 10 } );
+
+            const [message] = await receive( source, "message", 1 );
+
+            expect( message.data ).toEqual( "authorized" );
+
+            source.close();
+
+            expect( server.requests[0].headers["authorization"] ).toEqual( expected );
+        }
+    } );
+
+    test( "fail without reconnecting when the response is not an event stream", async() =>
+    {
+        server.responses = [{ status: 200, contentType: "application/json", pieces: ["{}"] }, { status: 503 }];
+
+        for( const expected of [200, 503] )
+        {
+            source = new HttpEventSource( server.url( "/updates" ), { retry: 10 } );
+
+            const [failure] = await receive( source, "error", 1 );
+
+            expect( source.readyState ).toEqual( HttpEventSource.CLOSED );
+            expect( failure.detail.error.status ).toEqual( expected );
+        }
+
+        expect( server.requests.length ).toEqual( 2 );
+    } );
+} );
@@ -0,0 +1,65 @@
+const http = require( "node:http" );
+
+const httpUtils = require( "../index.js" );
+
+const { HttpFetchClient } = httpUtils;
+
+/**
+ * Starts a local server that answers /status/n with the status n and a JSON body describing the request,
+ * and records the body of each request it receives
+ */
+const startServer = async() =>
+{
+    const server = http.createServer( ( req, res ) =>
+                                      {
+                                          const chunks = [];
+
+                                          req.on( "data", chunk => chunks.push( chunk ) );
+
+                                          req.on( "end", () =>
+                                          {
+                                              server.requests.push( { url: req.url, headers: req.headers, body: Buffer.concat( chunks ).toString() } );
+
+                                              const status = Number( req.url.replace( /^\/status\//, "" ) ) || 200;
+
+                                              res.writeHead( status, { "Content-Type": "application/json" } );
+                                              res.end( JSON.stringify( { status, url: req.url } ) );
+                                          } );
+                                      } );
+
+    server.requests = [];
+
+    await new Promise( resolve => server.listen( 0, "127.0.0.1", resolve ) );
+
+    server.url = ( pPath ) => `http://127.0.0.1:${server.address().port}${pPath}`;
+
+    return server;
+};
+
+describe( "HttpFetchClient", () =>
+{
+    let server;
+
+    beforeEach( async() =>
+                {
+                    server = await startServer();
+                } );
+
+    afterEach( async() =>
+               {
+                   await new Promise( resolve =>
+                                      {
+                                          server.close( resolve );
+                                          server.closeAllConnections();
+                                      } );
+               } );
+
+    test( "throw an error for a 5xx response that is not eligible for a retry", async() =>
+    {
+        const client = new HttpFetchClient( {}, {} );
+
+        await expect( client.sendRequest( "GET", server.url( "/status/501" ) ) ).rejects.toThrow( "Server returned: 501" );
+
+        expect( server.requests.length ).toEqual( 1 );
+    }, 30_000 );
+} );
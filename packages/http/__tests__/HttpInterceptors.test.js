@@ -0,0 +1,269 @@
+const http = require( "node:http" );
+
+const httpUtils = require( "../index.js" );
+
+const { HttpClient, HttpFetchClient, HttpInterceptor, HttpInterceptors, ResponseData, createRateLimitedHttpClient } = httpUtils;
+
+// reads the underlying Response, since reading the body of a ResponseData consumes it
+const text = async( pResponseData ) => pResponseData.frameworkResponse.text();
+
+/**
+ * Starts a local server that answers 401 unless the request carries the expected bearer token
+ * and otherwise echoes the token and a signature header it received
+ */
+const startServer = async() =>
+{
+    const server = http.createServer( ( req, res ) =>
+                                      {
+                                          server.requests.push( { method: req.method, url: req.url, headers: req.headers } );
+
+                                          if ( req.headers["authorization"] !== "Bearer " + server.token )
+                                          {
+                                              res.writeHead( 401, { "Content-Type": "text/plain" } );
+                                              res.end( "unauthorized" );
+                                              return;
+                                          }
+
+                                          res.writeHead( 200, { "Content-Type": "text/plain" } );
+                                          res.end( `${req.method} ${req.url} signed:${req.headers["x-signature"] || "no"}` );
+                                      } );
+
+    server.requests = [];
+    server.token = "good";
+
+    await new Promise( resolve => server.listen( 0, "127.0.0.1", resolve ) );
+
+    server.url = ( pPath ) => `http://127.0.0.1:${server.address().port}${pPath}`;
+
+    return server;
+};
+
+const stopServer = async( pServer ) => new Promise( resolve =>
+                                                       {
+                                                           pServer.close( resolve );
+                                                           pServer.closeAllConnections();
+                                                       } );
+
+/**
+ * An interceptor that adds a bearer token to each request
+ * and asks for the request to be sent again, once, with a new token when the server answers 401
+ */
+class TokenInterceptor extends HttpInterceptor
+{
+    constructor( pToken, pRefreshedToken )
+    {
+        super();
+        this.token = pToken;
+        this.refreshedToken = pRefreshedToken;
+        this.requests = 0;
+    }
+
+    async request( pConfig, pContext )
+    {
+        this.requests += 1;
+        pContext.setHeader( "Authorization", "Bearer " + this.token );
+    }
+
+    response( pResponseData, pContext )
+    {
+        if ( 401 === pResponseData?.status && !pContext.isRetry )
+        {
+            this.token = this.refreshedToken;
+            return pContext.retry();
+        }
+    }
+}
+
+describe( "HttpInterceptors", () =>
+{
+    const responseFor = ( pText, pStatus = 200 ) => new ResponseData( new Response( pText, { status: pStatus } ), {} );
+
+    test( "applies request interceptors in order and lets them replace the configuration", async() =>
+    {
+        const chain = new HttpInterceptors();
+
+        const calls = [];
+
+        chain.useRequestInterceptor( ( pConfig ) =>
+                                     {
+                                         calls.push( "first" );
+                                         return { ...pConfig, headers: { ...pConfig.headers, "X-First": "1" } };
+                                     } );
+
+        chain.useRequestInterceptor( async( pConfig, pContext ) =>
+                                     {
+                                         calls.push( "second:" + pContext.getHeader( "x-first" ) );
+                                         pContext.setHeader( "X-Second", "2" );
+                                     } );
+
+        let sent = null;
+
+        await chain.execute( null, "GET", "https://example.com/a", { headers: {} }, null, async( pUrl, pConfig ) =>
+        {
+            sent = pConfig;
+            return responseFor( "ok" );
+        } );
+
+        expect( calls ).toEqual( ["first", "second:1"] );
+        expect( sent.headers ).toEqual( { "X-First": "1", "X-Second": "2" } );
+    } );
+
+    test( "a request interceptor can answer the request without it being sent", async() =>
+    {
+        const chain = new HttpInterceptors();
+
+        const send = jest.fn();
+
+        const skipped = jest.fn();
+
+        chain.use( { request: () => new Response( "from the interceptor" ) }, skipped );
+
+        const responseData = await chain.execute( null, "GET", "https://example.com/a", {}, null, send );
+
+        expect( responseData ).toBeInstanceOf( ResponseData );
+        expect( await text( responseData ) ).toEqual( "from the interceptor" );
+        expect( send ).not.toHaveBeenCalled();
+        expect( skipped ).not.toHaveBeenCalled();
+    } );
+
+    test( "response interceptors can replace the response, normalize errors, or retry a limited number of times", async() =>
+    {
+        const chain = new HttpInterceptors( { maxRetries: 2 } );
+
+        chain.useResponseInterceptor( ( pResponseData, pContext ) => pContext.error ? responseFor( "recovered: " + pContext.error.message, 503 ) : undefined );
+
+        const recovered = await chain.execute( null, "GET", "https://example.com/a", {}, null, async() =>
+        {
+            throw new Error( "connection refused" );
+        } );
+
+        expect( recovered.status ).toEqual( 503 );
+        expect( await text( recovered ) ).toEqual( "recovered: connection refused" );
+
+        chain.clear();
+
+        const send = jest.fn( async() => responseFor( "busy", 503 ) );
+
+        chain.useResponseInterceptor( ( pResponseData, pContext ) => pContext.retry() );
+
+        const responseData = await chain.execute( null, "GET", "https://example.com/a", {}, null, send );
+
+        expect( send ).toHaveBeenCalledTimes( 3 );
+        expect( responseData.status ).toEqual( 503 );
+
+        chain.clear();
+
+        await expect( chain.execute( null, "GET", "https://example.com/a", {}, null, async() =>
+        {
+            throw new Error( "connection refused" );
+        } ) ).rejects.toThrow( "connection refused" );
+    } );
+
+    test( "use returns a function that removes the interceptors it added", async() =>
+    {
+        const chain = new HttpInterceptors();
+
+        const interceptor = new TokenInterceptor( "a", "b" );
+
+        const eject = chain.use( interceptor );
+
+        expect( chain.requestInterceptors ).toEqual( [interceptor] );
+        expect( chain.responseInterceptors ).toEqual( [interceptor] );
+
+        eject();
+
+        expect( chain.isEmpty ).toBe( true );
+
+        chain.use( interceptor );
+
+        expect( chain.eject( interceptor ) ).toBe( true );
+        expect( chain.isEmpty ).toBe( true );
+    } );
+} );
+
+describe( "Interceptors applied by the HTTP clients", () =>
+{
+    let server;
+
+    beforeEach( async() =>
+                {
+                    server = await startServer();
+                } );
+
+    afterEach( async() =>
+               {
+                   await stopServer( server );
+               } );
+
+    test( "an HttpFetchClient applies the interceptors specified in its options", async() =>
+    {
+        const statuses = [];
+
+        const client = new HttpFetchClient( {}, { interceptors: [{ request: ( pConfig, pContext ) => pContext.setHeader( "Authorization", "Bearer good" ) }] } );
+
+        client.useResponseInterceptor( ( pResponseData, pContext ) => statuses.push( `${pContext.method} ${pResponseData.status}` ) );
+
+        const responseData = await client.sendGetRequest( server.url( "/a" ) );
+
+        expect( await text( responseData ) ).toEqual( "GET /a signed:no" );
+        expect( statuses ).toEqual( ["GET 200"] );
+    }, 30_000 );
+
+    test( "a 4xx response is passed to the response interceptors and returned to the caller, rather than thrown", async() =>
+    {
+        for( const client of [new HttpFetchClient( {}, {} ), new HttpClient( {}, {} )] )
+        {
+            const statuses = [];
+
+            client.useResponseInterceptor( ( pResponseData ) => statuses.push( pResponseData.status ) );
+
+            const responseData = await client.sendGetRequest( server.url( "/a" ) );
+
+            expect( responseData.status ).toEqual( 401 );
+            expect( await text( responseData ) ).toEqual( "unauthorized" );
+            expect( statuses ).toEqual( [401] );
+        }
+
+        // a 4xx response is not sent again, unlike a response whose status is eligible for a retry
+        expect( server.requests.length ).toEqual( 2 );
+    }, 30_000 );
+
+    test( "an HttpClient applies its interceptors once per request and retries when asked", async() =>
+    {
+        const interceptor = new TokenInterceptor( "expired", "good" );
+
+        const client = new HttpClient( {}, { interceptors: interceptor } );
+
+        client.use( { request: ( pConfig, pContext ) => pContext.setHeader( "X-Signature", pContext.method + " " + new URL( pContext.url ).pathname ) } );
+
+        const responseData = await client.sendPostRequest( server.url( "/b" ), {}, "content" );
+
+        expect( responseData.status ).toEqual( 200 );
+        expect( await text( responseData ) ).toEqual( "POST /b signed:POST /b" );
+
+        expect( interceptor.requests ).toEqual( 2 );
+        expect( server.requests.map( e => e.headers["authorization"] ) ).toEqual( ["Bearer expired", "Bearer good"] );
+
+        expect( await client.getRequestedData( server.url( "/c" ) ) ).toEqual( "GET /c signed:GET /c" );
+        expect( interceptor.requests ).toEqual( 3 );
+    }, 30_000 );
+
+    test( "a RateLimitedHttpClient applies its interceptors when it sends the request", async() =>
+    {
+        const interceptor = new TokenInterceptor( "good", "good" );
+
+        const client = createRateLimitedHttpClient( null, {}, { interceptors: [interceptor] } );
+
+        client.useRequestInterceptor( ( pConfig, pContext ) => new URL( pContext.url ).pathname === "/cached" ? new Response( "short-circuited" ) : undefined );
+
+        const responseData = await client.sendGetRequest( server.url( "/d" ) );
+
+        expect( await text( responseData ) ).toEqual( "GET /d signed:no" );
+        expect( interceptor.requests ).toEqual( 1 );
+
+        const shortCircuited = await client.sendGetRequest( server.url( "/cached" ) );
+
+        expect( await text( shortCircuited ) ).toEqual( "short-circuited" );
+        expect( server.requests.length ).toEqual( 1 );
+    }, 30_000 );
+} );
@@ -0,0 +1,272 @@
+const http = require( "node:http" );
+const os = require( "node:os" );
+const path = require( "node:path" );
+const fs = require( "node:fs" );
+
+const httpUtils = require( "../index.js" );
+
+const { HttpMock, MockHttpClient, MockAssertionError, MOCK_MODES, ResponseData, redactExchange } = httpUtils;
+
+// reads the underlying Response, since reading the body of a ResponseData consumes it
+const text = async( pResponseData ) => pResponseData.frameworkResponse.text();
+
+describe( "HttpMock", () =>
+{
+    test( "matches routes by method, URL pattern, and body, and counts the calls to each", async() =>
+    {
+        const mock = new HttpMock();
+
+        const users = mock.onGet( "https://api.example.com/users/*" ).reply( 200, { id: 1 } );
+        const orders = mock.onPost( "/orders", { sku: "A1" } ).reply( 201, "created" );
+        const others = mock.onPost( "/orders" ).reply( 400, "unknown sku" );
+        const deleted = mock.onDelete( /\/orders\/\d+$/ ).reply( 204 );
+
+        const client = mock.createClient();
+
+        const user = await client.sendGetRequest( "https://api.example.com/users/1?fields=id" );
+
+        expect( user.status ).toEqual( 200 );
+        expect( JSON.parse( await text( user ) ) ).toEqual( { id: 1 } );
+
+        expect( ( await client.sendPostRequest( "https://api.example.com/orders", {}, { sku: "A1", quantity: 2 } ) ).status ).toEqual( 201 );
+        expect( ( await client.sendPostRequest( "https://api.example.com/orders", {}, { sku: "B2" } ) ).status ).toEqual( 400 );
+
+        await client.sendDeleteRequest( "https://api.example.com/orders/7" );
+
+        users.assertCalled( 1 );
+        orders.assertCalled( 1 );
+        others.assertCalled( 1 );
+        deleted.assertCalled( 1 );
+
+        expect( orders.lastCall.json ).toEqual( { sku: "A1", quantity: 2 } );
+        expect( () => users.assertCalled( 2 ) ).toThrow( MockAssertionError );
+
+        // a request that matches no route fails, as a request to an unreachable server would
+        const unmatched = await client.sendGetRequest( "https://api.example.com/nothing" );
+
+        expect( unmatched.isError() ).toBe( true );
+        expect( mock.unmatched.map( e => e.url ) ).toEqual( ["https://api.example.com/nothing"] );
+        expect( () => mock.assertNoUnmatchedRequests() ).toThrow( MockAssertionError );
+    } );
+
+    test( "simulates latency, redirects, and 429 responses with Retry-After, which the client handles as it would from a server", async() =>
+    {
+        const mock = new HttpMock();
+
+        const slow = mock.onGet( "/slow" ).delay( 200 ).reply( 200, "eventually" );
+        const moved = mock.onGet( "/old" ).redirect( "https://api.example.com/new", 301 );
+        const moving = mock.onGet( "/new" ).reply( 200, "moved here" );
+        const busy = mock.onGet( "/busy" ).tooManyRequests( 1 ).reply( 200, "done" );
+
+        const client = mock.createClient();
+
+        let start = Date.now();
+
+        expect( await text( await client.sendGetRequest( "https://api.example.com/slow" ) ) ).toEqual( "eventually" );
+        expect( Date.now() - start ).toBeGreaterThanOrEqual( 190 );
+
+        expect( await text( await client.sendGetRequest( "https://api.example.com/old" ) ) ).toEqual( "moved here" );
+
+        start = Date.now();
+
+        const responseData = await client.sendGetRequest( "https://api.example.com/busy" );
+
+        expect( await text( responseData ) ).toEqual( "done" );
+        expect( Date.now() - start ).toBeGreaterThanOrEqual( 1_000 );
+
+        slow.assertCalled( 1 );
+        moved.assertCalled( 1 );
+        moving.assertCalled( 1 );
+        busy.assertCalled( 2 );
+    }, 30_000 );
+
+    test( "simulates a server that does not respond before the request times out", async() =>
+    {
+        const mock = new HttpMock();
+
+        const route = mock.onGet( "/hangs" ).timeout( 150 );
+
+        // a request with a signal fails when the signal aborts
+        await expect( mock.fetch( "https://api.example.com/hangs", { signal: AbortSignal.timeout( 50 ) } ) ).rejects.toMatchObject( { name: "TimeoutError" } );
+
+        // a request without a signal fails after the route's timeout
+        const start = Date.now();
+
+        await expect( mock.fetch( "https://api.example.com/hangs" ) ).rejects.toMatchObject( { name: "TimeoutError" } );
+
+        expect( Date.now() - start ).toBeGreaterThanOrEqual( 140 );
+
+        route.assertCalled( 2 );
+    }, 30_000 );
+
+    test( "serves as the transport of a client used on its own", async() =>
+    {
+        const mock = new HttpMock();
+
+        mock.onAny( "*" ).replyWith( ( pRequest ) => ( { status: 200, json: { method: pRequest.method, path: new URL( pRequest.url ).pathname } } ) );
+
+        const client = new MockHttpClient( mock );
+
+        const responseData = await client.sendPutRequest( "https://api.example.com/things/1", {}, "content" );
+
+        expect( responseData ).toBeInstanceOf( ResponseData );
+        expect( JSON.parse( await text( responseData ) ) ).toEqual( { method: "PUT", path: "/things/1" } );
+    } );
+} );
+
+describe( "Recording and replaying", () =>
+{
+    let server;
+
+    let fixtureFile;
+
+    beforeEach( async() =>
+                {
+                    server = http.createServer( ( req, res ) =>
+                                                {
+                                                    server.requests += 1;
+
+                                                    let body = "";
+
+                                                    req.on( "data", chunk => body += chunk );
+
+                                                    req.on( "end", () =>
+                                                    {
+                                                        res.writeHead( 200, { "Content-Type": "application/json", "Set-Cookie": "session=s3cr3t; HttpOnly" } );
+                                                        res.end( JSON.stringify( { method: req.method, url: req.url, body, count: server.requests, access_token: "at-123", token_type: "Bearer" } ) );
+                                                    } );
+                                                } );
+
+                    server.requests = 0;
+
+                    await new Promise( resolve => server.listen( 0, "127.0.0.1", resolve ) );
+
+                    fixtureFile = path.join( os.tmpdir(), `http-mock-${process.pid}-${Date.now()}`, "fixture.json" );
+                } );
+
+    afterEach( async() =>
+               {
+                   await new Promise( resolve =>
+                                      {
+                                          server.close( resolve );
+                                          server.closeAllConnections();
+                                      } );
+
+                   fs.rmSync( path.dirname( fixtureFile ), { recursive: true, force: true } );
+               } );
+
+    test( "records real exchanges to a fixture file and replays them without a server", async() =>
+    {
+        const port = server.address().port;
+
+        const url = ( pPath ) => `http://127.0.0.1:${port}${pPath}`;
+
+        const recorder = new HttpMock( { mode: MOCK_MODES.RECORD, fixtureFile } );
+
+        const client = recorder.createClient();
+
+        const first = await client.sendGetRequest( url( "/items" ) );
+        const second = await client.sendGetRequest( url( "/items" ) );
+        const posted = await client.sendPostRequest( url( "/items" ), {}, "name=widget" );
+
+        // the recorded responses are still returned to the caller
+        expect( JSON.parse( await text( first ) ).count ).toEqual( 1 );
+        expect( JSON.parse( await text( second ) ).count ).toEqual( 2 );
+        expect( JSON.parse( await text( posted ) ).body ).toEqual( "name=widget" );
+
+        await recorder.save();
+
+        const fixture = JSON.parse( fs.readFileSync( fixtureFile, "utf8" ) );
+
+        expect( fixture.exchanges.length ).toEqual( 3 );
+        expect( fixture.exchanges[2].request ).toEqual( { method: "POST", url: url( "/items" ), body: "name=widget" } );
+
+        await new Promise( resolve =>
+                           {
+                               server.close( resolve );
+                               server.closeAllConnections();
+                           } );
+
+        const requests = server.requests;
+
+        const replayer = await HttpMock.replay( fixtureFile );
+
+        expect( replayer.mode ).toEqual( MOCK_MODES.REPLAY );
+
+        const replayClient = replayer.createClient();
+
+        // the exchanges for the same request are replayed in the order they were recorded
+        expect( JSON.parse( await text( await replayClient.sendGetRequest( url( "/items" ) ) ) ).count ).toEqual( 1 );
+        expect( JSON.parse( await text( await replayClient.sendGetRequest( url( "/items" ) ) ) ).count ).toEqual( 2 );
+        expect( JSON.parse( await text( await replayClient.sendPostRequest( url( "/items" ), {}, "name=widget" ) ) ).count ).toEqual( 3 );
+
+        expect( server.requests ).toEqual( requests );
+
+        replayer.assertAllCalled();
+        replayer.assertNoUnmatchedRequests();
+    }, 30_000 );
+
+    test( "does not save credentials in a fixture, but still replays the requests that carried them", async() =>
+    {
+        const port = server.address().port;
+
+        const url = ( pPath ) => `http://127.0.0.1:${port}${pPath}`;
+
+        const recorder = new HttpMock( { mode: MOCK_MODES.RECORD, fixtureFile } );
+
+        const client = recorder.createClient();
+
+        const form = "grant_type=client_credentials&client_id=app&client_secret=cs-456";
+
+        const token = await client.sendPostRequest( url( "/token" ), {}, form );
+        await client.sendGetRequest( url( "/items?api_key=ak-789&page=2" ) );
+
+        // the caller receives the response as it was sent
+        expect( JSON.parse( await text( token ) ).access_token ).toEqual( "at-123" );
+        expect( token.frameworkResponse.headers.get( "set-cookie" ) ).toEqual( "session=s3cr3t; HttpOnly" );
+
+        await recorder.save();
+
+        const [post, get] = JSON.parse( fs.readFileSync( fixtureFile, "utf8" ) ).exchanges;
+
+        // the test server echoes each request in its response, which only the request itself is redacted from
+        const saved = JSON.stringify( [post.request, post.response.headers, JSON.parse( post.response.body ).access_token, get.request] );
+
+        ["s3cr3t", "cs-456", "at-123", "ak-789"].forEach( secret => expect( saved ).not.toContain( secret ) );
+
+        expect( post.request.body ).toEqual( "grant_type=client_credentials&client_id=app&client_secret=%5BREDACTED%5D" );
+        expect( post.response.headers["set-cookie"] ).toEqual( "[REDACTED]" );
+        expect( JSON.parse( post.response.body ) ).toMatchObject( { access_token: "[REDACTED]", token_type: "Bearer" } );
+        expect( get.request.url ).toEqual( url( "/items?api_key=%5BREDACTED%5D&page=2" ) );
+
+        const replayClient = (await HttpMock.replay( fixtureFile )).createClient();
+
+        expect( JSON.parse( await text( await replayClient.sendPostRequest( url( "/token" ), {}, form ) ) ).token_type ).toEqual( "Bearer" );
+        expect( JSON.parse( await text( await replayClient.sendGetRequest( url( "/items?api_key=ak-789&page=2" ) ) ) ).count ).toEqual( 2 );
+    }, 30_000 );
+
+    test( "uses the redact function specified in place of the default", async() =>
+    {
+        const port = server.address().port;
+
+        const redact = jest.fn( pExchange =>
+                                {
+                                    const exchange = redactExchange( pExchange );
+                                    exchange.response.headers["x-reviewed"] = "yes";
+                                    return exchange;
+                                } );
+
+        const recorder = new HttpMock( { mode: MOCK_MODES.RECORD, redact } );
+
+        await recorder.createClient().sendGetRequest( `http://127.0.0.1:${port}/items` );
+
+        expect( redact ).toHaveBeenCalledTimes( 1 );
+        expect( recorder.exchanges[0].response.headers ).toMatchObject( { "x-reviewed": "yes", "set-cookie": "[REDACTED]" } );
+
+        const verbatim = new HttpMock( { mode: MOCK_MODES.RECORD, redact: pExchange => pExchange } );
+
+        await verbatim.createClient().sendGetRequest( `http://127.0.0.1:${port}/items` );
+
+        expect( verbatim.exchanges[0].response.headers["set-cookie"] ).toEqual( "session=s3cr3t; HttpOnly" );
+    }, 30_000 );
+} );
@@ -0,0 +1,248 @@
+const http = require( "node:http" );
+const os = require( "node:os" );
+const path = require( "node:path" );
+const fs = require( "node:fs" );
+const crypto = require( "node:crypto" );
+const { Readable } = require( "node:stream" );
+
+const httpUtils = require( "../index.js" );
+
+const { HttpClient, HttpFetchClient, MultipartForm, MultipartError, UPLOAD_EVENTS } = httpUtils;
+
+/**
+ * Reads a multipart body the way a server would, returning a FormData
+ */
+const parse = async( pBody, pContentType ) => new Response( pBody, { headers: { "Content-Type": pContentType } } ).formData();
+
+/**
+ * Reads the whole body of a form into a Buffer
+ */
+const read = async( pForm ) =>
+{
+    const chunks = [];
+
+    for await ( const chunk of pForm )
+    {
+        chunks.push( chunk );
+    }
+
+    return Buffer.concat( chunks );
+};
+
+/**
+ * Starts a local server that records the headers and body of each request it receives
+ */
+const startServer = async() =>
+{
+    const server = http.createServer( ( req, res ) =>
+                                      {
+                                          const chunks = [];
+
+                                          req.on( "data", chunk => chunks.push( chunk ) );
+
+                                          req.on( "end", () =>
+                                          {
+                                              server.requests.push( { headers: req.headers, body: Buffer.concat( chunks ) } );
+
+                                              res.writeHead( 201, { "Content-Type": "application/json" } );
+                                              res.end( JSON.stringify( { received: true } ) );
+                                          } );
+                                      } );
+
+    server.requests = [];
+
+    await new Promise( resolve => server.listen( 0, "127.0.0.1", resolve ) );
+
+    server.url = ( pPath ) => `http://127.0.0.1:${server.address().port}${pPath}`;
+
+    return server;
+};
+
+describe( "MultipartForm", () =>
+{
+    let directory;
+
+    beforeEach( () =>
+                {
+                    directory = fs.mkdtempSync( path.join( os.tmpdir(), "http-multipart-" ) );
+                } );
+
+    afterEach( () =>
+               {
+                   fs.rmSync( directory, { recursive: true, force: true } );
+               } );
+
+    test( "encode fields and files from paths, binary data, and Blobs, with their own headers, in a body of the length reported", async() =>
+    {
+        const filePath = path.join( directory, "report.csv" );
+
+        fs.writeFileSync( filePath, "id,total\n1,42\n" );
+
+        const form = new MultipartForm()
+            .append( "title", "Q3 \"final\" report" )
+            .append( "count", 3 )
+            .appendFile( "report", filePath, { contentType: "text/csv" } )
+            .appendFile( "thumbnail", Buffer.from( [0x89, 0x50, 0x4E, 0x47] ), { fileName: "thumb.png", contentType: "image/png", headers: { "X-Checksum": "abc" } } )
+            .appendFile( "notes", new Blob( ["remember the milk"], { type: "text/plain" } ), { fileName: "notes.txt" } );
+
+        const body = await read( form );
+
+        expect( body.length ).toEqual( form.contentLength );
+        expect( form.headers ).toEqual( { "Content-Type": "multipart/form-data; boundary=" + form.boundary, "Content-Length": String( body.length ) } );
+
+        expect( body.toString() ).toContain( "name=\"title\"\r\n\r\nQ3 \"final\" report\r\n" );
+        expect( body.toString() ).toContain( "Content-Disposition: form-data; name=\"thumbnail\"; filename=\"thumb.png\"\r\nContent-Type: image/png\r\nX-Checksum: abc\r\n\r\n" );
+        expect( body.toString().endsWith( `--${form.boundary}--\r\n` ) ).toBe( true );
+
+        const data = await parse( body, form.contentType );
+
+        expect( data.get( "title" ) ).toEqual( "Q3 \"final\" report" );
+        expect( data.get( "count" ) ).toEqual( "3" );
+        expect( data.get( "report" ).name ).toEqual( "report.csv" );
+        expect( await data.get( "report" ).text() ).toEqual( "id,total\n1,42\n" );
+        expect( Buffer.from( await data.get( "thumbnail" ).arrayBuffer() ) ).toEqual( Buffer.from( [0x89, 0x50, 0x4E, 0x47] ) );
+        expect( await data.get( "notes" ).text() ).toEqual( "remember the milk" );
+
+        // the form can be read again, as when a request is retried
+        expect( ( await read( form ) ).equals( body ) ).toBe( true );
+    } );
+
+    test( "report an unknown length for a stream of unknown size, which can only be read once", async() =>
+    {
+        const form = new MultipartForm( { boundary: "test-boundary" } ).appendFile( "log", Readable.from( ["line 1\n", "line 2\n"] ), { fileName: "app.log" } );
+
+        expect( form.contentLength ).toBeNull();
+        expect( form.headers ).toEqual( { "Content-Type": "multipart/form-data; boundary=test-boundary" } );
+        expect( form.repeatable ).toBe( false );
+
+        const data = await parse( await read( form ), form.contentType );
+
+        expect( await data.get( "log" ).text() ).toEqual( "line 1\nline 2\n" );
+
+        await expect( read( form ) ).rejects.toBeInstanceOf( MultipartError );
+
+        // a stream whose size is specified does not prevent the form from reporting its length
+        const sized = new MultipartForm().appendFile( "log", Readable.from( [Buffer.from( "0123456789" )] ), { size: 10 } );
+
+        expect( ( await read( sized ) ).length ).toEqual( sized.contentLength );
+    } );
+
+    test( "reject boundaries, headers, and paths that cannot be sent", () =>
+    {
+        expect( () => new MultipartForm( { boundary: "ends with a space " } ) ).toThrow( MultipartError );
+        expect( () => new MultipartForm( { boundary: "x".repeat( 71 ) } ) ).toThrow( MultipartError );
+
+        const form = new MultipartForm();
+
+        expect( () => form.append( "field", "value", { headers: { "X-Injected": "a\r\nContent-Type: text/html" } } ) ).toThrow( MultipartError );
+        expect( () => form.append( "", "value" ) ).toThrow( MultipartError );
+        expect( () => form.appendFile( "missing", path.join( directory, "missing.bin" ) ) ).toThrow( MultipartError );
+
+        expect( form.parts ).toEqual( [] );
+    } );
+
+    test( "stream a large file to a server through HttpFetchClient and HttpClient, with its Content-Length and progress events", async() =>
+    {
+        const server = await startServer();
+
+        const filePath = path.join( directory, "archive.bin" );
+
+        const content = crypto.randomBytes( 1_500_000 );
+
+        fs.writeFileSync( filePath, content );
+
+        try
+        {
+            for( const client of [new HttpFetchClient( {}, {} ), new HttpClient( {}, {} )] )
+            {
+                server.requests = [];
+
+                const progress = [];
+
+                client.addEventListener( UPLOAD_EVENTS.PROGRESS, ( pEvent ) => progress.push( pEvent.detail ) );
+
+                const form = new MultipartForm( { progressInterval: 0, chunkSize: 100_000 } ).append( "name", "archive" ).appendFile( "archive", filePath );
+
+                const responseData = await client.upload( server.url( "/uploads" ), { headers: { "Authorization": "Bearer token" } }, form );
+
+                expect( responseData.status ).toEqual( 201 );
+
+                const [request] = server.requests;
+
+                expect( request.headers["content-type"] ).toEqual( form.contentType );
+                expect( request.headers["content-length"] ).toEqual( String( form.contentLength ) );
+                expect( request.headers["authorization"] ).toEqual( "Bearer token" );
+                expect( request.headers["transfer-encoding"] ).toBeUndefined();
+
+                const data = await parse( request.body, request.headers["content-type"] );
+
+                expect( data.get( "name" ) ).toEqual( "archive" );
+                expect( Buffer.from( await data.get( "archive" ).arrayBuffer() ).equals( content ) ).toBe( true );
+
+                // the file was read in chunks, as the request was sent
+                expect( progress.length ).toBeGreaterThan( 15 );
+                expect( progress[progress.length - 1] ).toMatchObject( { bytesSent: form.contentLength, totalBytes: form.contentLength, percent: 100 } );
+            }
+        }
+        finally
+        {
+            await new Promise( resolve =>
+                               {
+                                   server.close( resolve );
+                                   server.closeAllConnections();
+                               } );
+        }
+    }, 30_000 );
+
+    test( "limit the time between the chunks of a streamed upload, rather than the time to send all of it, by the timeout", async() =>
+    {
+        const server = await startServer();
+
+        const sleep = ( pMilliseconds ) => new Promise( resolve => setTimeout( resolve, pMilliseconds ) );
+
+        // a stream that produces the specified number of lines, waiting the specified number of milliseconds before each
+        const slowly = ( pLines, pInterval ) => Readable.from( ( async function* ()
+        {
+            for( let i = 1; i <= pLines; i++ )
+            {
+                await sleep( pInterval );
+
+                yield Buffer.from( `line ${i}\n` );
+            }
+        } )() );
+
+        try
+        {
+            const client = new HttpFetchClient( {}, {} );
+
+            const started = Date.now();
+
+            const form = new MultipartForm().appendFile( "log", slowly( 8, 100 ), { fileName: "app.log" } );
+
+            const responseData = await client.upload( server.url( "/uploads" ), { timeout: 300 }, form );
+
+            expect( responseData.status ).toEqual( 201 );
+            expect( Date.now() - started ).toBeGreaterThan( 700 );
+
+            const data = await parse( server.requests[0].body, server.requests[0].headers["content-type"] );
+
+            expect( await data.get( "log" ).text() ).toEqual( "line 1\nline 2\nline 3\nline 4\nline 5\nline 6\nline 7\nline 8\n" );
+
+            // a stream that stops producing data is abandoned once the timeout elapses
+            const stalled = new MultipartForm().appendFile( "log", slowly( 2, 1_000 ), { fileName: "app.log" } );
+
+            const failure = await client.upload( server.url( "/uploads" ), { timeout: 300 }, stalled );
+
+            expect( failure.status ).toEqual( 0 );
+            expect( server.requests.length ).toEqual( 1 );
+        }
+        finally
+        {
+            await new Promise( resolve =>
+                               {
+                                   server.close( resolve );
+                                   server.closeAllConnections();
+                               } );
+        }
+    }, 30_000 );
+} );
@@ -0,0 +1,225 @@
+const http = require( "node:http" );
+
+const httpUtils = require( "../index.js" );
+
+const { HttpClient, RateLimitedHttpClient, PaginationError, PAGINATION_EVENTS, parseLinkHeader, createRateLimitedHttpClient } = httpUtils;
+
+const ITEMS = Array.from( { length: 7 }, ( _, index ) => ({ id: index + 1 }) );
+
+/**
+ * Starts a local server that serves ITEMS, paginated in each of the ways the paginators support:<br>
+ * /link?page=n returns 3 items and a Link header to the next page (relative to the request),<br>
+ * /cursor?cursor=n returns 2 items starting at n, and the next cursor in meta.next,<br>
+ * /offset?offset=n&limit=m returns m items starting at n, and the total number of items,<br>
+ * /capped?offset=n&limit=m does the same, but returns no more than 2 items, whatever the limit.
+ */
+const startServer = async() =>
+{
+    const server = http.createServer( ( req, res ) =>
+                                      {
+                                          const url = new URL( req.url, "http://localhost" );
+
+                                          server.requests.push( url.pathname + url.search );
+
+                                          const param = ( pName, pDefault ) => Number( url.searchParams.get( pName ) ?? pDefault );
+
+                                          const headers = { "Content-Type": "application/json" };
+
+                                          const page = param( "page", 1 );
+                                          const cursor = param( "cursor", 0 );
+
+                                          let body;
+
+                                          switch ( url.pathname )
+                                          {
+                                              case "/link":
+                                                  if ( page < 3 )
+                                                  {
+                                                      headers["Link"] = `</link?page=${page + 1}>; rel="next", </link?page=3>; rel="last"`;
+                                                  }
+
+                                                  body = ITEMS.slice( (page - 1) * 3, page * 3 );
+                                                  break;
+
+                                              case "/cursor":
+                                                  body = { data: { orders: ITEMS.slice( cursor, cursor + 2 ) }, meta: { next: cursor + 2 < ITEMS.length ? String( cursor + 2 ) : null } };
+                                                  break;
+
+                                              case "/offset":
+                                                  body = { results: ITEMS.slice( param( "offset" ), param( "offset" ) + param( "limit" ) ), total: ITEMS.length };
+                                                  break;
+
+                                              case "/capped":
+                                                  body = { results: ITEMS.slice( param( "offset" ), param( "offset" ) + Math.min( 2, param( "limit" ) ) ), total: ITEMS.length };
+                                                  break;
+
+                                              default:
+                                                  res.writeHead( 404 );
+                                                  res.end();
+                                                  return;
+                                          }
+
+                                          res.writeHead( 200, headers );
+                                          res.end( JSON.stringify( body ) );
+                                      } );
+
+    server.requests = [];
+
+    await new Promise( resolve => server.listen( 0, "127.0.0.1", resolve ) );
+
+    server.url = ( pPath ) => `http://127.0.0.1:${server.address().port}${pPath}`;
+
+    return server;
+};
+
+describe( "parseLinkHeader", () =>
+{
+    test( "read each link, its relations, and its parameters, resolving relative links", () =>
+    {
+        const links = parseLinkHeader( "<https://example.com/items?page=2>; rel=\"next\", </items?page=9>; REL=\"last  Related\"; title=\"a, b; c\", <https://example.com/about>;rel=about", "https://example.com/items?page=1" );
+
+        expect( links ).toEqual( [
+                                     { url: "https://example.com/items?page=2", rel: ["next"], params: { rel: "next" } },
+                                     { url: "https://example.com/items?page=9", rel: ["last", "related"], params: { rel: "last  Related", title: "a, b; c" } },
+                                     { url: "https://example.com/about", rel: ["about"], params: { rel: "about" } }
+                                 ] );
+
+        expect( parseLinkHeader( "" ) ).toEqual( [] );
+    } );
+} );
+
+describe( "HttpClient.paginate", () =>
+{
+    let server;
+
+    beforeEach( async() =>
+                {
+                    server = await startServer();
+                } );
+
+    afterEach( async() =>
+               {
+                   await new Promise( resolve =>
+                                      {
+                                          server.close( resolve );
+                                          server.closeAllConnections();
+                                      } );
+               } );
+
+    test( "follow the next link of each response, requesting each page only when it is needed", async() =>
+    {
+        const paginator = new HttpClient( {}, {} ).paginate( server.url( "/link" ) );
+
+        const pages = [];
+
+        paginator.addEventListener( PAGINATION_EVENTS.PAGE, ( pEvent ) => pages.push( pEvent.detail ) );
+
+        expect( ( await paginator.toArray() ).map( e => e.id ) ).toEqual( [1, 2, 3, 4, 5, 6, 7] );
+
+        expect( pages ).toEqual( [{ number: 1, url: server.url( "/link" ), count: 3 },
+                                  { number: 2, url: server.url( "/link?page=2" ), count: 3 },
+                                  { number: 3, url: server.url( "/link?page=3" ), count: 1 }] );
+
+        // leaving the loop early leaves the remaining pages unrequested
+        server.requests = [];
+
+        for await ( const item of new HttpClient( {}, {} ).paginate( server.url( "/link" ) ) )
+        {
+            if ( item.id >= 2 )
+            {
+                break;
+            }
+        }
+
+        expect( server.requests ).toEqual( ["/link"] );
+    }, 30_000 );
+
+    test( "send the cursor found at a path in each body, and the offset and limit, until the last page", async() =>
+    {
+        const client = new HttpClient( {}, {} );
+
+        const orders = await client.paginate( server.url( "/cursor" ), {}, { cursorPath: "$.meta.next", itemsPath: "data.orders" } ).toArray();
+
+        expect( orders.map( e => e.id ) ).toEqual( [1, 2, 3, 4, 5, 6, 7] );
+        expect( server.requests ).toEqual( ["/cursor", "/cursor?cursor=2", "/cursor?cursor=4", "/cursor?cursor=6"] );
+
+        server.requests = [];
+
+        const results = await client.paginate( server.url( "/offset" ), {}, { strategy: "offset", limit: 3, totalPath: "total" } ).toArray();
+
+        expect( results.map( e => e.id ) ).toEqual( [1, 2, 3, 4, 5, 6, 7] );
+        expect( server.requests ).toEqual( ["/offset?offset=0&limit=3", "/offset?offset=3&limit=3", "/offset?offset=6&limit=3"] );
+
+        // the pages themselves can be iterated, and the iteration limited
+        const pages = [];
+
+        for await ( const page of client.paginate( server.url( "/offset" ), {}, { limit: 2, maxPages: 2 } ).pages() )
+        {
+            pages.push( { number: page.number, status: page.status, ids: page.items.map( e => e.id ), total: page.data.total } );
+        }
+
+        expect( pages ).toEqual( [{ number: 1, status: 200, ids: [1, 2], total: 7 }, { number: 2, status: 200, ids: [3, 4], total: 7 }] );
+
+        expect( await client.paginate( server.url( "/link" ), {}, { maxItems: 4 } ).toArray() ).toEqual( ITEMS.slice( 0, 4 ) );
+    }, 30_000 );
+
+    test( "read a short page as the last only when the body has no total, and apply the limits to each iteration", async() =>
+    {
+        const client = new HttpClient( {}, {} );
+
+        // the server returns fewer items than the limit, but reports that more remain
+        const capped = await client.paginate( server.url( "/capped" ), {}, { limit: 3, totalPath: "total" } ).toArray();
+
+        expect( capped.map( e => e.id ) ).toEqual( [1, 2, 3, 4, 5, 6, 7] );
+        expect( server.requests ).toEqual( ["/capped?offset=0&limit=3", "/capped?offset=2&limit=3", "/capped?offset=4&limit=3", "/capped?offset=6&limit=3"] );
+
+        server.requests = [];
+
+        expect( await client.paginate( server.url( "/capped" ), {}, { limit: 3 } ).toArray() ).toEqual( ITEMS.slice( 0, 2 ) );
+        expect( server.requests ).toEqual( ["/capped?offset=0&limit=3"] );
+
+        // the same paginator can be iterated again
+        const paginator = client.paginate( server.url( "/link" ), {}, { maxPages: 2, maxItems: 4 } );
+
+        for( let i = 0; i < 2; i++ )
+        {
+            expect( ( await paginator.toArray() ).map( e => e.id ) ).toEqual( [1, 2, 3, 4] );
+            expect( paginator.pagesReceived ).toEqual( 2 );
+            expect( paginator.itemsReceived ).toEqual( 4 );
+        }
+    }, 30_000 );
+
+    test( "send each page request through the queue of a RateLimitedHttpClient", async() =>
+    {
+        const client = createRateLimitedHttpClient( null, {}, {} );
+
+        const sendRequest = jest.spyOn( RateLimitedHttpClient.prototype, "sendRequest" );
+
+        try
+        {
+            const items = await client.paginate( server.url( "/link" ) ).toArray();
+
+            expect( items.length ).toEqual( ITEMS.length );
+
+            expect( sendRequest ).toHaveBeenCalledTimes( 3 );
+            expect( client.requestQueue.queues.every( queue => queue.isEmpty() ) ).toBe( true );
+        }
+        finally
+        {
+            sendRequest.mockRestore();
+        }
+    }, 30_000 );
+
+    test( "reject a page the server does not return", async() =>
+    {
+        const paginator = new HttpClient( {}, {} ).paginate( server.url( "/missing" ) );
+
+        const error = await paginator.toArray().catch( e => e );
+
+        expect( error ).toBeInstanceOf( PaginationError );
+        expect( error.status ).toEqual( 404 );
+        expect( error.url ).toEqual( server.url( "/missing" ) );
+
+        await expect( new HttpClient( {}, {} ).paginate( server.url( "/link" ), {}, { strategy: "page-number" } ).toArray() ).rejects.toBeInstanceOf( PaginationError );
+    }, 30_000 );
+} );
@@ -19,7 +19,15 @@ const HttpStorageUtils = require( "./src/HttpStorage.cjs" );
 const ResponseDataModule = require( "./src/ResponseData.js" );
 const HttpAgentUtils = require( "./src/HttpAgentUtils.js" );
 const HttpConfigUtils = require( "./src/HttpConfigUtils.js" );
+const HttpInterceptorsUtils = require( "./src/HttpInterceptors.js" );
+const HttpAuthUtils = require( "./src/HttpAuth.js" );
+const HttpCircuitBreakerUtils = require( "./src/HttpCircuitBreaker.js" );
+const HttpDownloadUtils = require( "./src/HttpDownload.js" );
+const HttpMultipartUtils = require( "./src/HttpMultipart.js" );
+const HttpEventSourceUtils = require( "./src/HttpEventSource.js" );
+const HttpPaginationUtils = require( "./src/HttpPagination.js" );
 const HttpClientUtils = require( "./src/HttpClient.js" );
+const HttpMockUtils = require( "./src/HttpMock.js" );
 
 
 /** define a variable for typeof undefined **/
@@ -59,7 +67,12 @@ const { _ud = "undefined", $scope } = constants;
             DEFAULT_CACHE_PREFIX,
             DEFAULT_VERSION,
             DEFAULT_REMOVE_OBSOLETE_CACHES,
-            DEFAULT_CACHE_STORAGE_OPTIONS
+            DEFAULT_CACHE_STORAGE_OPTIONS,
+            CacheControl,
+            CachedResponse,
+            ResponseCache,
+            CACHE_STATUS,
+            DEFAULT_RESPONSE_CACHE_OPTIONS
         } = HttpCacheUtils;
 
     const
@@ -89,7 +102,8 @@ const { _ud = "undefined", $scope } = constants;
             HttpError,
             ExceedsRateLimitError,
             ExceedsMaximumRetriesError,
-            ExceedsMaximumRedirectsError
+            ExceedsMaximumRedirectsError,
+            CircuitOpenError
         } = HttpConstants;
 
     const
@@ -190,6 +204,89 @@ const { _ud = "undefined", $scope } = constants;
 
         } = HttpConfigUtils;
 
+    const
+        {
+            InterceptorRetry,
+            HttpInterceptorContext,
+            HttpInterceptor,
+            HttpInterceptors,
+            DEFAULT_MAX_INTERCEPTOR_RETRIES
+        } = HttpInterceptorsUtils;
+
+    const
+        {
+            OAuth2Error,
+            OAuth2Token,
+            OAuth2AuthProvider,
+            GRANT_TYPES,
+            CLIENT_AUTH_METHODS
+        } = HttpAuthUtils;
+
+    const
+        {
+            CircuitPermit,
+            CircuitBreaker,
+            CircuitBreakers,
+            CIRCUIT_STATES,
+            DEFAULT_CIRCUIT_BREAKER_OPTIONS
+        } = HttpCircuitBreakerUtils;
+
+    const
+        {
+            DownloadError,
+            ChecksumError,
+            DownloadSegment,
+            HttpDownload,
+            DOWNLOAD_EVENTS,
+            DEFAULT_DOWNLOAD_OPTIONS
+        } = HttpDownloadUtils;
+
+    const
+        {
+            MultipartError,
+            MultipartPart,
+            MultipartFilePart,
+            MultipartForm,
+            UPLOAD_EVENTS,
+            DEFAULT_MULTIPART_OPTIONS,
+            isMultipartForm
+        } = HttpMultipartUtils;
+
+    const
+        {
+            EventSourceError,
+            EventStreamParser,
+            HttpEventSource,
+            READY_STATES,
+            EVENT_SOURCE_EVENTS,
+            DEFAULT_EVENT_SOURCE_OPTIONS
+        } = HttpEventSourceUtils;
+
+    const
+        {
+            PaginationError,
+            PaginationStrategy,
+            LinkPagination,
+            CursorPagination,
+            OffsetPagination,
+            HttpPaginator,
+            PAGINATION_EVENTS,
+            DEFAULT_PAGINATION_OPTIONS,
+            parseLinkHeader
+        } = HttpPaginationUtils;
+
+    const
+        {
+            MockAssertionError,
+            UnmatchedRequestError,
+            MockRequest,
+            MockRoute,
+            HttpMock,
+            MockHttpClient,
+            MOCK_MODES,
+            redactExchange
+        } = HttpMockUtils;
+
     const
         {
             resolveUrl,
@@ -201,6 +298,7 @@ const { _ud = "undefined", $scope } = constants;
 
             HttpClient,
             HttpFetchClient,
+            CachingHttpClient,
             RateLimitedHttpClient,
 
             resolveHttpClient,
@@ -242,13 +340,24 @@ const { _ud = "undefined", $scope } = constants;
                     HttpResponseUtils,
                     HttpStorageUtils,
                     ResponseDataModule,
-                    HttpClientUtils
+                    HttpInterceptorsUtils,
+                    HttpAuthUtils,
+                    HttpCircuitBreakerUtils,
+                    HttpDownloadUtils,
+                    HttpMultipartUtils,
+                    HttpEventSourceUtils,
+                    HttpPaginationUtils,
+                    HttpClientUtils,
+                    HttpMockUtils
                 },
             classes:
                 {
                     HttpCache,
                     HttpCacheStorage,
                     HttpCacheStorageManager,
+                    CacheControl,
+                    CachedResponse,
+                    ResponseCache,
                     HttpVerb,
                     HttpHeaderDefinition,
                     HttpHeader,
@@ -273,7 +382,42 @@ const { _ud = "undefined", $scope } = constants;
                     AxiosConfigModel,
                     HttpClient,
                     HttpFetchClient,
+                    CachingHttpClient,
                     RateLimitedHttpClient,
+                    InterceptorRetry,
+                    HttpInterceptorContext,
+                    HttpInterceptor,
+                    HttpInterceptors,
+                    OAuth2Error,
+                    OAuth2Token,
+                    OAuth2AuthProvider,
+                    CircuitOpenError,
+                    CircuitPermit,
+                    CircuitBreaker,
+                    CircuitBreakers,
+                    DownloadError,
+                    ChecksumError,
+                    DownloadSegment,
+                    HttpDownload,
+                    MultipartError,
+                    MultipartPart,
+                    MultipartFilePart,
+                    MultipartForm,
+                    EventSourceError,
+                    EventStreamParser,
+                    HttpEventSource,
+                    PaginationError,
+                    PaginationStrategy,
+                    LinkPagination,
+                    CursorPagination,
+                    OffsetPagination,
+                    HttpPaginator,
+                    MockAssertionError,
+                    UnmatchedRequestError,
+                    MockRequest,
+                    MockRoute,
+                    HttpMock,
+                    MockHttpClient,
                     RequestInterval,
                     RequestWindow,
                     RateLimits,
@@ -294,7 +438,15 @@ const { _ud = "undefined", $scope } = constants;
                     ResponseDataModule,
                     HttpAgentUtils,
                     HttpConfigUtils,
-                    HttpClientUtils
+                    HttpInterceptorsUtils,
+                    HttpAuthUtils,
+                    HttpCircuitBreakerUtils,
+                    HttpDownloadUtils,
+                    HttpMultipartUtils,
+                    HttpEventSourceUtils,
+                    HttpPaginationUtils,
+                    HttpClientUtils,
+                    HttpMockUtils
                 },
             FetchUtils,
             HttpCacheUtils,
@@ -306,7 +458,15 @@ const { _ud = "undefined", $scope } = constants;
             ResponseDataModule,
             HttpAgentUtils,
             HttpConfigUtils,
+            HttpInterceptorsUtils,
+            HttpAuthUtils,
+            HttpCircuitBreakerUtils,
+            HttpDownloadUtils,
+            HttpMultipartUtils,
+            HttpEventSourceUtils,
+            HttpPaginationUtils,
             HttpClientUtils,
+            HttpMockUtils,
             HttpCache,
             HttpCacheStorage,
             HttpCacheStorageManager,
@@ -315,6 +475,11 @@ const { _ud = "undefined", $scope } = constants;
             DEFAULT_VERSION,
             DEFAULT_REMOVE_OBSOLETE_CACHES,
             DEFAULT_CACHE_STORAGE_OPTIONS,
+            CacheControl,
+            CachedResponse,
+            ResponseCache,
+            CACHE_STATUS,
+            DEFAULT_RESPONSE_CACHE_OPTIONS,
             STATUS_CODES,
             STATUS_TEXT,
             STATUS_TEXT_ARRAY,
@@ -336,6 +501,7 @@ const { _ud = "undefined", $scope } = constants;
             ExceedsRateLimitError,
             ExceedsMaximumRetriesError,
             ExceedsMaximumRedirectsError,
+            CircuitOpenError,
             isVerb,
             isHeader,
             isContentType,
@@ -417,9 +583,69 @@ const { _ud = "undefined", $scope } = constants;
             toHttpConfigLiteral,
             HttpClient,
             HttpFetchClient,
+            CachingHttpClient,
             RateLimitedHttpClient,
             resolveHttpClient,
 
+            InterceptorRetry,
+            HttpInterceptorContext,
+            HttpInterceptor,
+            HttpInterceptors,
+            DEFAULT_MAX_INTERCEPTOR_RETRIES,
+
+            OAuth2Error,
+            OAuth2Token,
+            OAuth2AuthProvider,
+            GRANT_TYPES,
+            CLIENT_AUTH_METHODS,
+
+            CircuitPermit,
+            CircuitBreaker,
+            CircuitBreakers,
+            CIRCUIT_STATES,
+            DEFAULT_CIRCUIT_BREAKER_OPTIONS,
+
+            DownloadError,
+            ChecksumError,
+            DownloadSegment,
+            HttpDownload,
+            DOWNLOAD_EVENTS,
+            DEFAULT_DOWNLOAD_OPTIONS,
+
+            MultipartError,
+            MultipartPart,
+            MultipartFilePart,
+            MultipartForm,
+            UPLOAD_EVENTS,
+            DEFAULT_MULTIPART_OPTIONS,
+            isMultipartForm,
+
+            EventSourceError,
+            EventStreamParser,
+            HttpEventSource,
+            READY_STATES,
+            EVENT_SOURCE_EVENTS,
+            DEFAULT_EVENT_SOURCE_OPTIONS,
+
+            PaginationError,
+            PaginationStrategy,
+            LinkPagination,
+            CursorPagination,
+            OffsetPagination,
+            HttpPaginator,
+            PAGINATION_EVENTS,
+            DEFAULT_PAGINATION_OPTIONS,
+            parseLinkHeader,
+
+            MockAssertionError,
+            UnmatchedRequestError,
+            MockRequest,
+            MockRoute,
+            HttpMock,
+            MockHttpClient,
+            MOCK_MODES,
+            redactExchange,
+
             getFileExtension,
             replaceExtension,
 
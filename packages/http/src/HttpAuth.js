@@ -0,0 +1,608 @@
+/**
+ * @fileOverview
+ * This module defines authorization providers for the HTTP clients.<br>
+ * <br>
+ * An authorization provider is an HttpInterceptor that adds credentials to each request
+ * and, when the server rejects them, obtains new credentials and sends the request again.<br>
+ * <br>
+ * The OAuth2AuthProvider obtains bearer tokens from an OAuth 2.0 token endpoint
+ * using the client credentials grant or the refresh token grant,
+ * reading the client id, client secret, and (initial) refresh token from a SecretsManager.<br>
+ * <br>
+ * Example:<br>
+ * <code>
+ *     const auth = new OAuth2AuthProvider( { secretsManager, tokenUrl: "https://login.example.com/oauth2/token", scope: "read" } );<br>
+ *     const client = new HttpClient( config, { auth } );
+ * </code>
+ *
+ * @see https://www.rfc-editor.org/rfc/rfc6749
+ *
+ * @module HttpAuth
+ *
+ * @author Scott Bockelman
+ * @license MIT
+ */
+
+/**
+ * Imports the @toolbocks/core modules for the utility functions required
+ */
+const core = require( "@toolbocks/core" );
+
+/**
+ * Imports the HttpConstants that define common aspects of the HTTP protocol
+ */
+const httpConstants = require( "./HttpConstants.cjs" );
+
+/**
+ * Imports the HttpInterceptors module for the base class of authorization providers
+ */
+const httpInterceptorsModule = require( "./HttpInterceptors.js" );
+
+const { constants } = core;
+
+const { _ud = "undefined", $scope } = constants;
+
+// noinspection FunctionTooLongJS
+(function exposeModule()
+{
+    const INTERNAL_NAME = "__BOCK__HTTP_AUTH__";
+
+    if ( $scope() && (null != $scope()[INTERNAL_NAME]) )
+    {
+        return $scope()[INTERNAL_NAME];
+    }
+
+    // import the specific modules from @toolbocks/core that are necessary for this module
+    const { moduleUtils, typeUtils, stringUtils } = core;
+
+    // import the classes, variables, and functions defined in moduleUtils that are used in this module
+    const
+        {
+            ToolBocksModule,
+            ModuleEvent,
+            attempt,
+            asyncAttempt,
+            lock
+        } = moduleUtils;
+
+    const { _mt_str = "", _mt = _mt_str } = constants;
+
+    const { isNull, isFunction, isNumeric, asObject } = typeUtils;
+
+    const { asString, asInt, isBlank, lcase } = stringUtils;
+
+    const { HttpError, STATUS_CODES } = httpConstants;
+
+    const { HttpInterceptor } = httpInterceptorsModule;
+
+    /**
+     * This is a dictionary of this module's dependencies.
+     * <br>
+     * It is exported as a property of this module,
+     * allowing us to just import this module<br>
+     * and then import or use the other utilities<br>
+     * as properties of this module.
+     * <br>
+     * @dict
+     * @type {Object}
+     * @alias module:HttpAuth#dependencies
+     */
+    const dependencies =
+        {
+            moduleUtils,
+            constants,
+            typeUtils,
+            stringUtils,
+            httpConstants,
+            httpInterceptorsModule
+        };
+
+    const modName = "HttpAuth";
+
+    const toolBocksModule = new ToolBocksModule( modName, INTERNAL_NAME );
+
+    /**
+     * The grant types an OAuth2AuthProvider can use to obtain an access token
+     */
+    const GRANT_TYPES = lock(
+        {
+            CLIENT_CREDENTIALS: "client_credentials",
+            REFRESH_TOKEN: "refresh_token"
+        } );
+
+    /**
+     * The ways an OAuth2AuthProvider can authenticate itself to the token endpoint.<br>
+     * <br>
+     * CLIENT_SECRET_BASIC sends the client id and secret in an Authorization header (the RFC's recommendation).<br>
+     * CLIENT_SECRET_POST sends them as parameters in the body of the token request.
+     */
+    const CLIENT_AUTH_METHODS = lock(
+        {
+            CLIENT_SECRET_BASIC: "client_secret_basic",
+            CLIENT_SECRET_POST: "client_secret_post"
+        } );
+
+    /**
+     * The keys under which a SecretsManager is expected to hold the values an OAuth2AuthProvider reads
+     */
+    const SECRET_KEYS = lock(
+        {
+            CLIENT_ID: "CLIENT-ID",
+            CLIENT_SECRET: "CLIENT-SECRET",
+            TOKEN_URL: "TOKEN-URL",
+            REFRESH_TOKEN: "REFRESH-TOKEN"
+        } );
+
+    const DEFAULT_OAUTH2_OPTIONS = lock(
+        {
+            grantType: GRANT_TYPES.CLIENT_CREDENTIALS,
+            clientAuthMethod: CLIENT_AUTH_METHODS.CLIENT_SECRET_BASIC,
+            refreshMargin: 30_000,
+            defaultExpiresIn: 3_600
+        } );
+
+    /**
+     * The number of milliseconds to wait for the token endpoint
+     * when the provider does not specify a timeout
+     * @type {number}
+     */
+    const DEFAULT_TOKEN_TIMEOUT = 5_000;
+
+    /**
+     * The type of the event an OAuth2AuthProvider dispatches when it obtains a new token
+     * @type {string}
+     */
+    const TOKEN_EVENT = "token";
+
+    /**
+     * This class represents an error returned by (or a failure to reach) an OAuth 2.0 token endpoint.<br>
+     * The options of the error include the status and the 'error' and 'error_description' values returned, if any.
+     */
+    class OAuth2Error extends HttpError
+    {
+        constructor( pMsgOrErr, pOptions = {}, ...pArgs )
+        {
+            super( pMsgOrErr, pOptions, ...pArgs );
+        }
+    }
+
+    /**
+     * An instance of this class holds an access token returned by a token endpoint
+     * and the time at which it expires.
+     */
+    class OAuth2Token
+    {
+        #accessToken;
+        #tokenType = "Bearer";
+        #expiresAt;
+        #refreshToken;
+        #scope;
+
+        /**
+         * Constructs an instance of this class from the values returned by the token endpoint
+         *
+         * @param {Object} pResponse                the JSON object returned by the token endpoint
+         * @param {number} [pIssuedAt=Date.now()]   the time the token was requested
+         * @param {number} [pDefaultExpiresIn=3600] the lifetime, in seconds, assumed if the response does not include expires_in
+         */
+        constructor( pResponse, pIssuedAt = Date.now(), pDefaultExpiresIn = DEFAULT_OAUTH2_OPTIONS.defaultExpiresIn )
+        {
+            const response = asObject( pResponse || {} );
+
+            this.#accessToken = asString( response.access_token, true );
+            this.#tokenType = asString( response.token_type, true ) || "Bearer";
+            this.#refreshToken = asString( response.refresh_token, true ) || null;
+            this.#scope = asString( response.scope, true ) || null;
+
+            const expiresIn = isNumeric( response.expires_in ) ? asInt( response.expires_in ) : asInt( pDefaultExpiresIn, DEFAULT_OAUTH2_OPTIONS.defaultExpiresIn );
+
+            this.#expiresAt = asInt( pIssuedAt, Date.now() ) + (Math.max( 0, expiresIn ) * 1_000);
+        }
+
+        get accessToken()
+        {
+            return this.#accessToken;
+        }
+
+        /**
+         * Returns the token type as used in an Authorization header, such as 'Bearer'
+         * @returns {string}
+         */
+        get tokenType()
+        {
+            // the token_type value is case-insensitive (RFC 6749, section 5.1)
+            return "bearer" === lcase( this.#tokenType ) ? "Bearer" : this.#tokenType;
+        }
+
+        get expiresAt()
+        {
+            return this.#expiresAt;
+        }
+
+        get refreshToken()
+        {
+            return this.#refreshToken;
+        }
+
+        get scope()
+        {
+            return this.#scope;
+        }
+
+        /**
+         * Returns the value of the Authorization header that presents this token
+         * @returns {string}
+         */
+        get authorization()
+        {
+            return this.tokenType + " " + this.accessToken;
+        }
+
+        /**
+         * Returns true if this token has expired or will expire within the specified number of milliseconds
+         * @param {number} [pMargin=0]  the number of milliseconds before its expiry at which the token is no longer used
+         * @param {number} [pNow=Date.now()]
+         * @returns {boolean}
+         */
+        isExpired( pMargin = 0, pNow = Date.now() )
+        {
+            return isBlank( this.#accessToken ) || (asInt( pNow, Date.now() ) + Math.max( 0, asInt( pMargin, 0 ) )) >= this.#expiresAt;
+        }
+    }
+
+    /**
+     * An instance of this class obtains OAuth 2.0 access tokens
+     * and adds them to the requests sent by the client whose interceptors it has been added to.<br>
+     * <br>
+     * The token is reused until shortly (options.refreshMargin milliseconds) before it expires.
+     * When several requests need a new token at the same time, only one token request is sent.<br>
+     * <br>
+     * When the server answers a request with 401 (Unauthorized),
+     * the token that was sent is discarded and the request is sent again, exactly once, with a new token.<br>
+     * <br>
+     * The client id, client secret, token URL, and (for the refresh token grant) the initial refresh token
+     * are read from the SecretsManager specified, unless they are specified in the options.
+     * A refresh token returned by the token endpoint replaces the previous one.<br>
+     *
+     * @see https://www.rfc-editor.org/rfc/rfc6749#section-4.4
+     * @see https://www.rfc-editor.org/rfc/rfc6749#section-6
+     */
+    class OAuth2AuthProvider extends HttpInterceptor
+    {
+        #options;
+
+        #secretsManager;
+
+        #token = null;
+
+        #refreshToken = null;
+
+        #pending = null;
+
+        #eventTarget = new EventTarget();
+
+        /**
+         * Constructs an instance of this class
+         *
+         * @param {Object} pOptions
+         * @param {Object} [pOptions.secretsManager]    a SecretsManager (or any object with an async get method) holding the client's credentials
+         * @param {string} [pOptions.tokenUrl]          the URL of the token endpoint, defaults to the SecretsManager's value for TOKEN-URL
+         * @param {string} [pOptions.grantType='client_credentials']    'client_credentials' or 'refresh_token'
+         * @param {string} [pOptions.clientAuthMethod='client_secret_basic']    'client_secret_basic' or 'client_secret_post'
+         * @param {string} [pOptions.scope]             the scope to request, if any
+         * @param {string} [pOptions.audience]          the audience to request, for the authorization servers that expect one
+         * @param {string} [pOptions.secretsPrefix]     the prefix passed to the convenience methods of the SecretsManager
+         * @param {string} [pOptions.clientIdKey]       the key of the client id, if it is not stored under CLIENT-ID
+         * @param {string} [pOptions.clientSecretKey]   the key of the client secret, if it is not stored under CLIENT-SECRET
+         * @param {string} [pOptions.refreshTokenKey]   the key of the initial refresh token, if it is not stored under REFRESH-TOKEN
+         * @param {number} [pOptions.refreshMargin=30000]   the number of milliseconds before its expiry at which a token is replaced
+         * @param {number} [pOptions.defaultExpiresIn=3600] the lifetime, in seconds, of a token returned without expires_in
+         * @param {number} [pOptions.timeout=5000]      the number of milliseconds to wait for the token endpoint
+         * @param {AbortSignal} [pOptions.signal]       a signal that abandons any token request in progress when it is aborted
+         */
+        constructor( pOptions = {} )
+        {
+            super();
+
+            this.#options = { ...DEFAULT_OAUTH2_OPTIONS, ...(asObject( pOptions || {} )) };
+
+            this.#secretsManager = this.#options.secretsManager || null;
+
+            if ( !isFunction( this.#secretsManager?.get ) )
+            {
+                toolBocksModule.reportError( new OAuth2Error( "An OAuth2AuthProvider requires a SecretsManager" ), "constructing an OAuth2AuthProvider", "warn", (modName + "::OAuth2AuthProvider") );
+            }
+        }
+
+        get options()
+        {
+            return lock( { ...(this.#options) } );
+        }
+
+        get secretsManager()
+        {
+            return this.#secretsManager;
+        }
+
+        get grantType()
+        {
+            return asString( this.#options.grantType, true ) || GRANT_TYPES.CLIENT_CREDENTIALS;
+        }
+
+        get refreshMargin()
+        {
+            return Math.max( 0, asInt( this.#options.refreshMargin, DEFAULT_OAUTH2_OPTIONS.refreshMargin ) );
+        }
+
+        /**
+         * Returns the current token, which may have expired, or null if no token has been obtained
+         * @returns {OAuth2Token|null}
+         */
+        get token()
+        {
+            return this.#token;
+        }
+
+        addEventListener( pType, pListener, pOptions )
+        {
+            this.#eventTarget.addEventListener( pType, pListener, pOptions );
+        }
+
+        removeEventListener( pType, pListener, pOptions )
+        {
+            this.#eventTarget.removeEventListener( pType, pListener, pOptions );
+        }
+
+        dispatchEvent( pEvent )
+        {
+            return this.#eventTarget.dispatchEvent( pEvent );
+        }
+
+        async #readSecret( pOptionKey, pMethodName, pDefaultKey )
+        {
+            const manager = this.#secretsManager;
+
+            if ( isNull( manager ) )
+            {
+                return _mt;
+            }
+
+            const key = asString( this.#options[pOptionKey], true );
+
+            if ( isBlank( key ) && isFunction( manager[pMethodName] ) )
+            {
+                const value = asString( await asyncAttempt( async() => await manager[pMethodName]( this.#options.secretsPrefix ) ), true );
+
+                if ( !isBlank( value ) )
+                {
+                    return value;
+                }
+            }
+
+            return isFunction( manager.get ) ? asString( await asyncAttempt( async() => await manager.get( key || pDefaultKey ) ), true ) : _mt;
+        }
+
+        async #resolveTokenUrl()
+        {
+            return asString( this.#options.tokenUrl, true ) || await this.#readSecret( "tokenUrlKey", "getTokenUrl", SECRET_KEYS.TOKEN_URL );
+        }
+
+        async #resolveRefreshToken()
+        {
+            return asString( this.#refreshToken, true ) || await this.#readSecret( "refreshTokenKey", null, SECRET_KEYS.REFRESH_TOKEN );
+        }
+
+        #createSignal()
+        {
+            const timeout = asInt( this.#options.timeout, DEFAULT_TOKEN_TIMEOUT );
+
+            const signals = [AbortSignal.timeout( timeout > 0 ? timeout : DEFAULT_TOKEN_TIMEOUT ), this.#options.signal].filter( e => e instanceof AbortSignal );
+
+            return signals.length > 1 ? AbortSignal.any( signals ) : signals[0];
+        }
+
+        async #requestToken()
+        {
+            const tokenUrl = await this.#resolveTokenUrl();
+
+            if ( isBlank( tokenUrl ) )
+            {
+                throw new OAuth2Error( "The token URL is not specified or available from the SecretsManager" );
+            }
+
+            const clientId = await this.#readSecret( "clientIdKey", "getClientId", SECRET_KEYS.CLIENT_ID );
+            const clientSecret = await this.#readSecret( "clientSecretKey", "getClientSecret", SECRET_KEYS.CLIENT_SECRET );
+
+            const params = new URLSearchParams();
+
+            params.set( "grant_type", this.grantType );
+
+            if ( GRANT_TYPES.REFRESH_TOKEN === this.grantType )
+            {
+                const refreshToken = await this.#resolveRefreshToken();
+
+                if ( isBlank( refreshToken ) )
+                {
+                    throw new OAuth2Error( "No refresh token is available for the refresh_token grant" );
+                }
+
+                params.set( "refresh_token", refreshToken );
+            }
+
+            [["scope", this.#options.scope], ["audience", this.#options.audience]].filter( e => !isBlank( asString( e[1], true ) ) ).forEach( e => params.set( e[0], asString( e[1], true ) ) );
+
+            const headers = { "Content-Type": "application/x-www-form-urlencoded", "Accept": "application/json" };
+
+            if ( CLIENT_AUTH_METHODS.CLIENT_SECRET_POST === this.#options.clientAuthMethod )
+            {
+                params.set( "client_id", clientId );
+                params.set( "client_secret", clientSecret );
+            }
+            else if ( !isBlank( clientId ) )
+            {
+                // the client id and secret are form-encoded before they are combined (RFC 6749, section 2.3.1)
+                const credentials = encodeURIComponent( clientId ) + ":" + encodeURIComponent( clientSecret );
+                headers["Authorization"] = "Basic " + Buffer.from( credentials ).toString( "base64" );
+            }
+
+            const issuedAt = Date.now();
+
+            let response;
+
+            try
+            {
+                response = await fetch( tokenUrl, { method: "POST", headers, body: params.toString(), signal: this.#createSignal() } );
+            }
+            catch( ex )
+            {
+                throw new OAuth2Error( ex, { tokenUrl } );
+            }
+
+            const json = await asyncAttempt( async() => await response.json() ) || {};
+
+            if ( !response.ok || isBlank( asString( json?.access_token, true ) ) )
+            {
+                const message = "The token endpoint returned " + response.status + (json?.error ? (", " + json.error) : _mt) + (json?.error_description ? (": " + json.error_description) : _mt);
+
+                throw new OAuth2Error( message, { status: response.status, error: json?.error, error_description: json?.error_description, tokenUrl } );
+            }
+
+            const token = new OAuth2Token( json, issuedAt, this.#options.defaultExpiresIn );
+
+            if ( !isBlank( token.refreshToken ) )
+            {
+                this.#refreshToken = token.refreshToken;
+            }
+
+            return token;
+        }
+
+        /**
+         * Returns a Promise that resolves to a token that is valid for at least refreshMargin milliseconds,
+         * requesting a new token only if necessary.<br>
+         * <br>
+         * Callers waiting for a new token all receive the token from the same request,
+         * which is bounded by the provider's own timeout and signal, rather than by those of the caller that started it.<br>
+         * A caller that specifies a timeout stops waiting when it elapses, without abandoning the request for the others.
+         *
+         * @param {boolean} [pForceRefresh=false] true to discard the current token
+         * @param {number} [pTimeout] the number of milliseconds this caller is willing to wait for a new token
+         * @returns {Promise<OAuth2Token>}
+         */
+        async getToken( pForceRefresh = false, pTimeout )
+        {
+            if ( !pForceRefresh && !isNull( this.#token ) && !this.#token.isExpired( this.refreshMargin ) )
+            {
+                return this.#token;
+            }
+
+            if ( isNull( this.#pending ) )
+            {
+                this.#pending = this.#requestToken().then( token =>
+                                                           {
+                                                               this.#token = token;
+                                                               attempt( () => this.dispatchEvent( new ModuleEvent( TOKEN_EVENT, { token } ) ) );
+                                                               return token;
+                                                           } ).finally( () =>
+                                                                        {
+                                                                            this.#pending = null;
+                                                                        } );
+            }
+
+            return this.#awaitToken( this.#pending, pTimeout );
+        }
+
+        async #awaitToken( pPending, pTimeout )
+        {
+            const timeout = asInt( pTimeout, 0 );
+
+            if ( timeout <= 0 )
+            {
+                return pPending;
+            }
+
+            let timer;
+
+            const expired = new Promise( ( resolve, reject ) =>
+                                         {
+                                             timer = setTimeout( () => reject( new OAuth2Error( "No token was received within " + timeout + " milliseconds" ) ), timeout );
+                                         } );
+
+            try
+            {
+                return await Promise.race( [pPending, expired] );
+            }
+            finally
+            {
+                clearTimeout( timer );
+            }
+        }
+
+        /**
+         * Discards the current token if it is the token specified (or if no token is specified),
+         * so that the next request obtains a new one.<br>
+         * A token that has already been replaced is not discarded twice.
+         *
+         * @param {OAuth2Token} [pToken] the token the server rejected
+         */
+        invalidate( pToken )
+        {
+            if ( isNull( pToken ) || this.#token === pToken )
+            {
+                this.#token = null;
+            }
+        }
+
+        async request( pConfig, pContext )
+        {
+            // the request that needs the token waits for it no longer than its own timeout
+            const token = await this.getToken( false, pContext.config?.timeout ?? pConfig?.timeout );
+
+            // remember which token this attempt sent, so a 401 discards only that token
+            pContext.state.set( OAuth2AuthProvider.STATE_KEY, token );
+
+            pContext.setHeader( "Authorization", token.authorization );
+        }
+
+        response( pResponseData, pContext )
+        {
+            // other interceptors may have retried the request already, so only this provider's own retry counts
+            if ( STATUS_CODES.UNAUTHORIZED === asInt( pResponseData?.status ) && !pContext.state.get( OAuth2AuthProvider.RETRY_KEY ) )
+            {
+                pContext.state.set( OAuth2AuthProvider.RETRY_KEY, true );
+
+                this.invalidate( pContext.state.get( OAuth2AuthProvider.STATE_KEY ) );
+
+                return pContext.retry();
+            }
+        }
+    }
+
+    OAuth2AuthProvider.STATE_KEY = "OAuth2AuthProvider.token";
+
+    OAuth2AuthProvider.RETRY_KEY = "OAuth2AuthProvider.retried";
+
+    let mod =
+        {
+            dependencies,
+            classes:
+                {
+                    OAuth2Error,
+                    OAuth2Token,
+                    OAuth2AuthProvider
+                },
+            OAuth2Error,
+            OAuth2Token,
+            OAuth2AuthProvider,
+            GRANT_TYPES,
+            CLIENT_AUTH_METHODS,
+            SECRET_KEYS,
+            DEFAULT_OAUTH2_OPTIONS,
+            TOKEN_EVENT
+        };
+
+    mod = toolBocksModule.extend( mod );
+
+    return mod.expose( mod, INTERNAL_NAME, (_ud !== typeof module ? module : mod) ) || mod;
+
+}());
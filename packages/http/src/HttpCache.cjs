@@ -87,9 +87,9 @@ const { _ud = "undefined", $scope} = constants;
 
     const toolBocksModule = new ToolBocksModule( modName, INTERNAL_NAME );
 
-    const { isNull, isFunction } = typeUtils;
+    const { isNull, isFunction, isString, isNumber, isNonNullObject, isTypedArray } = typeUtils;
 
-    const { asString, asInt } = stringUtils;
+    const { asString, asInt, isBlank, lcase } = stringUtils;
 
     const { asArray, asArgs } = arrayUtils;
 
@@ -691,6 +691,1039 @@ const { _ud = "undefined", $scope} = constants;
         }
     }
 
+    /**
+     * The status codes a cache may store and reuse without explicit freshness information,
+     * calculating a heuristic lifetime from the Last-Modified header instead.<br>
+     * <br>
+     * 206 (Partial Content) is omitted, because this cache does not combine ranges.<br>
+     * <br>
+     * @see https://www.rfc-editor.org/rfc/rfc9110#section-15.1
+     *
+     * @type {Array<number>}
+     */
+    const HEURISTICALLY_CACHEABLE_STATUSES = lock( [200, 203, 204, 300, 301, 308, 404, 405, 410, 414, 501] );
+
+    /**
+     * The status codes that indicate that the origin server could not produce a response,
+     * allowing a stale response to be used in its place when the stored response permits it (stale-if-error).<br>
+     * <br>
+     * @type {Array<number>}
+     */
+    const STALE_IF_ERROR_STATUSES = lock( [500, 502, 503, 504] );
+
+    /**
+     * The fraction of the time since a response was last modified
+     * that is used as its freshness lifetime when the server did not specify one.<br>
+     * <br>
+     * @see https://www.rfc-editor.org/rfc/rfc9111#section-4.2.2
+     *
+     * @type {number}
+     */
+    const DEFAULT_HEURISTIC_FRACTION = 0.1;
+
+    /**
+     * The default maximum number of responses a ResponseCache keeps before discarding the least recently used.<br>
+     * <br>
+     * @type {number}
+     */
+    const DEFAULT_MAX_CACHED_RESPONSES = 500;
+
+    /**
+     * The header fields that are never replaced by those of a 304 (Not Modified) response.<br>
+     * <br>
+     * @see https://www.rfc-editor.org/rfc/rfc9111#section-3.2
+     *
+     * @type {Array<string>}
+     */
+    const PRESERVED_HEADERS = lock( ["content-length", "content-encoding", "content-range", "transfer-encoding", "trailer", "connection", "keep-alive"] );
+
+    /**
+     * Describes how a request was satisfied by a caching client.<br>
+     * <br>
+     * These values are also the types of the events such a client dispatches.<br>
+     * <br>
+     * @type {{HIT: string, STALE: string, REVALIDATED: string, MISS: string, BYPASS: string}}
+     */
+    const CACHE_STATUS = lock(
+        {
+            HIT: "hit",
+            STALE: "stale",
+            REVALIDATED: "revalidated",
+            MISS: "miss",
+            BYPASS: "bypass"
+        } );
+
+    /**
+     * Returns a literal of the specified headers, with lowercase names.<br>
+     *
+     * @param {Headers|HttpHeaders|Map|Object} pHeaders the headers to convert
+     *
+     * @returns {Object} an object whose keys are the lowercase header names
+     */
+    const toHeaderLiteral = function( pHeaders )
+    {
+        if ( isNull( pHeaders ) || !isNonNullObject( pHeaders ) )
+        {
+            return {};
+        }
+
+        // Headers, Map, and HttpHeaders provide their entries; other objects are read as literals
+        const entries = isFunction( pHeaders.entries ) ? attempt( () => [...pHeaders.entries()] ) : Object.entries( pHeaders );
+
+        const literal = {};
+
+        asArray( entries || [] ).forEach( ( [name, value] ) =>
+                                          {
+                                              if ( isString( name ) && !isNull( value ) && !isFunction( value ) )
+                                              {
+                                                  literal[lcase( name.trim() )] = Array.isArray( value ) ? value.join( ", " ) : asString( value, true );
+                                              }
+                                          } );
+
+        return literal;
+    };
+
+    /**
+     * Returns the number of milliseconds since the epoch represented by an HTTP-date,
+     * or NaN if the value is missing or invalid.<br>
+     *
+     * @param {string} pValue an HTTP-date, such as 'Sun, 06 Nov 1994 08:49:37 GMT'
+     *
+     * @returns {number} the time represented or NaN
+     */
+    const parseHttpDate = ( pValue ) => isBlank( asString( pValue, true ) ) ? NaN : Date.parse( asString( pValue, true ) );
+
+    /**
+     * Returns the value of a header normalized for comparison when selecting a stored response by its Vary header.<br>
+     */
+    const normalizeVaryValue = ( pValue ) => asString( pValue, true ).replace( /\s+/g, " " );
+
+    /**
+     * This class represents the directives of a Cache-Control header.<br>
+     * <br>
+     * The directives of requests and responses share a syntax, so the same class describes both.<br>
+     * <br>
+     * @see https://www.rfc-editor.org/rfc/rfc9111#section-5.2
+     *
+     * @class
+     */
+    class CacheControl
+    {
+        #directives = new Map();
+
+        /**
+         * Constructs an instance from the value of a Cache-Control header,
+         * such as 'max-age=60, stale-while-revalidate=30'
+         *
+         * @param {string} pValue the value of the header
+         */
+        constructor( pValue )
+        {
+            const value = asString( pValue, true );
+
+            for( const match of value.matchAll( /([!#$%&'*+.^_`|~0-9A-Za-z-]+)(?:\s*=\s*("(?:[^"\\]|\\.)*"|[^\s,]*))?/g ) )
+            {
+                const name = lcase( match[1] );
+
+                if ( !this.#directives.has( name ) )
+                {
+                    const argument = isNull( match[2] ) ? true : match[2].replace( /^"|"$/g, _mt_str ).replace( /\\(.)/g, "$1" );
+                    this.#directives.set( name, argument );
+                }
+            }
+        }
+
+        has( pDirective )
+        {
+            return this.#directives.has( lcase( asString( pDirective, true ) ) );
+        }
+
+        get( pDirective )
+        {
+            return this.#directives.get( lcase( asString( pDirective, true ) ) );
+        }
+
+        /**
+         * Returns the number of seconds specified for a directive such as max-age,
+         * or null if the directive is absent or its argument is not a number.<br>
+         *
+         * @param {string} pDirective the name of the directive
+         *
+         * @returns {number|null} the number of seconds or null
+         */
+        seconds( pDirective )
+        {
+            const value = this.get( pDirective );
+            return (isString( value ) && /^\d+$/.test( value )) ? asInt( value ) : null;
+        }
+
+        get directives()
+        {
+            return Object.fromEntries( this.#directives.entries() );
+        }
+
+        get noStore()
+        {
+            return this.has( "no-store" );
+        }
+
+        get noCache()
+        {
+            return this.has( "no-cache" );
+        }
+
+        get isPrivate()
+        {
+            return this.has( "private" );
+        }
+
+        get isPublic()
+        {
+            return this.has( "public" );
+        }
+
+        get mustRevalidate()
+        {
+            return this.has( "must-revalidate" );
+        }
+
+        get proxyRevalidate()
+        {
+            return this.has( "proxy-revalidate" );
+        }
+
+        get onlyIfCached()
+        {
+            return this.has( "only-if-cached" );
+        }
+
+        get maxAge()
+        {
+            return this.seconds( "max-age" );
+        }
+
+        get sMaxAge()
+        {
+            return this.seconds( "s-maxage" );
+        }
+
+        /**
+         * Returns the number of seconds of staleness a request accepts,
+         * Infinity when max-stale has no argument, or null when the directive is absent.
+         */
+        get maxStale()
+        {
+            return true === this.get( "max-stale" ) ? Infinity : this.seconds( "max-stale" );
+        }
+
+        get minFresh()
+        {
+            return this.seconds( "min-fresh" );
+        }
+
+        get staleWhileRevalidate()
+        {
+            return this.seconds( "stale-while-revalidate" );
+        }
+
+        get staleIfError()
+        {
+            return this.seconds( "stale-if-error" );
+        }
+
+        toString()
+        {
+            const quote = ( pValue ) => /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test( pValue ) ? pValue : `"${pValue.replace( /(["\\])/g, "\\$1" )}"`;
+
+            return [...this.#directives.entries()].map( ( [name, value] ) => true === value ? name : `${name}=${quote( value )}` ).join( ", " );
+        }
+
+        /**
+         * Returns the directives of the Cache-Control header in the specified headers.<br>
+         * <br>
+         * In the absence of a Cache-Control header,
+         * 'Pragma: no-cache' is treated as 'Cache-Control: no-cache'.<br>
+         *
+         * @param {Headers|HttpHeaders|Map|Object} pHeaders the headers of a request or response
+         *
+         * @returns {CacheControl} the directives specified, which may be none
+         */
+        static from( pHeaders )
+        {
+            if ( pHeaders instanceof CacheControl )
+            {
+                return pHeaders;
+            }
+
+            const headers = isString( pHeaders ) ? { "cache-control": pHeaders } : toHeaderLiteral( pHeaders );
+
+            const value = asString( headers["cache-control"], true );
+
+            if ( isBlank( value ) && /no-cache/i.test( asString( headers["pragma"], true ) ) )
+            {
+                return new CacheControl( "no-cache" );
+            }
+
+            return new CacheControl( value );
+        }
+    }
+
+    /**
+     * This class holds a response stored by a ResponseCache
+     * and calculates its age and freshness as described by RFC 9111.<br>
+     * <br>
+     * The body is held as bytes, so that the response can be served any number of times.<br>
+     * <br>
+     * @see https://www.rfc-editor.org/rfc/rfc9111#section-4.2
+     *
+     * @class
+     */
+    class CachedResponse
+    {
+        #method;
+        #url;
+
+        #status;
+        #statusText;
+
+        #headers;
+        #body;
+
+        #requestHeaders;
+
+        #requestTime;
+        #responseTime;
+
+        #heuristicFraction;
+
+        /**
+         * Constructs an instance from the parts of a response and the request that produced it
+         *
+         * @param {Object} pOptions
+         * @param {string} pOptions.method the method of the request
+         * @param {string} pOptions.url the url of the request
+         * @param {number} pOptions.status the status of the response
+         * @param {string} [pOptions.statusText] the status text of the response
+         * @param {Object|Headers} pOptions.headers the headers of the response
+         * @param {Uint8Array|ArrayBuffer|string|null} [pOptions.body] the bytes of the response body
+         * @param {Object|Headers} [pOptions.requestHeaders] the headers of the request, used to match the Vary header
+         * @param {number} [pOptions.requestTime] the time at which the request was sent
+         * @param {number} [pOptions.responseTime] the time at which the response was received
+         * @param {number} [pOptions.heuristicFraction=0.1] the fraction of the time since Last-Modified used as a heuristic lifetime
+         */
+        constructor( pOptions )
+        {
+            const options = populateOptions( pOptions, {} );
+
+            this.#method = asString( options.method, true ).toUpperCase() || "GET";
+            this.#url = asString( options.url, true );
+
+            this.#status = asInt( options.status );
+            this.#statusText = asString( options.statusText, true );
+
+            this.#headers = toHeaderLiteral( options.headers );
+            this.#body = CachedResponse.toBytes( options.body );
+
+            this.#responseTime = asInt( options.responseTime ) || Date.now();
+            this.#requestTime = Math.min( asInt( options.requestTime ) || this.#responseTime, this.#responseTime );
+
+            this.#heuristicFraction = isNumber( options.heuristicFraction ) ? options.heuristicFraction : DEFAULT_HEURISTIC_FRACTION;
+
+            const requestHeaders = toHeaderLiteral( options.requestHeaders );
+
+            this.#requestHeaders = Object.fromEntries( this.vary.map( name => [name, normalizeVaryValue( requestHeaders[name] )] ) );
+        }
+
+        get method()
+        {
+            return this.#method;
+        }
+
+        get url()
+        {
+            return this.#url;
+        }
+
+        get status()
+        {
+            return this.#status;
+        }
+
+        get statusText()
+        {
+            return this.#statusText;
+        }
+
+        get headers()
+        {
+            return { ...this.#headers };
+        }
+
+        get body()
+        {
+            return isNull( this.#body ) ? null : this.#body.slice();
+        }
+
+        get requestHeaders()
+        {
+            return { ...this.#requestHeaders };
+        }
+
+        get requestTime()
+        {
+            return this.#requestTime;
+        }
+
+        get responseTime()
+        {
+            return this.#responseTime;
+        }
+
+        get cacheControl()
+        {
+            return CacheControl.from( this.#headers );
+        }
+
+        get etag()
+        {
+            return asString( this.#headers["etag"], true );
+        }
+
+        get lastModified()
+        {
+            return asString( this.#headers["last-modified"], true );
+        }
+
+        /**
+         * Returns the lowercase names of the request headers listed in the Vary header of the response
+         */
+        get vary()
+        {
+            return asString( this.#headers["vary"], true ).split( "," ).map( e => lcase( e.trim() ) ).filter( e => !isBlank( e ) );
+        }
+
+        /**
+         * Returns the time at which the origin server generated the response,
+         * or the time at which it was received if the Date header is missing or invalid
+         */
+        get date()
+        {
+            const date = parseHttpDate( this.#headers["date"] );
+            return isNaN( date ) ? this.#responseTime : date;
+        }
+
+        /**
+         * Returns true if the response has an ETag or Last-Modified header
+         * with which a conditional request can validate it
+         */
+        get isValidatable()
+        {
+            return !isBlank( this.etag ) || !isBlank( this.lastModified );
+        }
+
+        /**
+         * Returns the number of milliseconds for which the response is fresh after it was generated.<br>
+         * <br>
+         * The lifetime comes from s-maxage (in a shared cache), max-age, or Expires, in that order,
+         * or, when none of those is present, from a fraction of the time since the response was last modified.<br>
+         *
+         * @param {boolean} [pShared=false] whether the lifetime is calculated for a shared cache
+         *
+         * @returns {number} the freshness lifetime, in milliseconds
+         */
+        freshnessLifetime( pShared = false )
+        {
+            const cacheControl = this.cacheControl;
+
+            if ( !!pShared && !isNull( cacheControl.sMaxAge ) )
+            {
+                return cacheControl.sMaxAge * 1_000;
+            }
+
+            if ( !isNull( cacheControl.maxAge ) )
+            {
+                return cacheControl.maxAge * 1_000;
+            }
+
+            if ( cacheControl.has( "max-age" ) )
+            {
+                // an invalid max-age makes the response stale
+                return 0;
+            }
+
+            if ( !isNull( this.#headers["expires"] ) )
+            {
+                // an invalid date, such as '0', represents a time in the past
+                const expires = parseHttpDate( this.#headers["expires"] );
+                return isNaN( expires ) ? 0 : Math.max( 0, expires - this.date );
+            }
+
+            const lastModified = parseHttpDate( this.lastModified );
+
+            if ( !isNaN( lastModified ) && HEURISTICALLY_CACHEABLE_STATUSES.includes( this.#status ) )
+            {
+                return Math.max( 0, Math.floor( (this.date - lastModified) * this.#heuristicFraction ) );
+            }
+
+            return 0;
+        }
+
+        /**
+         * Returns the age of the response in milliseconds,
+         * including the time it spent in any caches before it was received and the time it has been stored.<br>
+         * <br>
+         * @see https://www.rfc-editor.org/rfc/rfc9111#section-4.2.3
+         *
+         * @param {number} [pNow=Date.now()] the current time
+         *
+         * @returns {number} the current age, in milliseconds
+         */
+        currentAge( pNow = Date.now() )
+        {
+            const ageValue = Math.max( 0, asInt( this.#headers["age"] ) ) * 1_000;
+
+            const apparentAge = Math.max( 0, this.#responseTime - this.date );
+
+            const responseDelay = this.#responseTime - this.#requestTime;
+
+            const correctedInitialAge = Math.max( apparentAge, ageValue + responseDelay );
+
+            return correctedInitialAge + Math.max( 0, asInt( pNow ) - this.#responseTime );
+        }
+
+        /**
+         * Returns the number of milliseconds by which the response has exceeded its freshness lifetime, or 0 if it is fresh.
+         */
+        staleness( pShared = false, pNow = Date.now() )
+        {
+            return Math.max( 0, this.currentAge( pNow ) - this.freshnessLifetime( pShared ) );
+        }
+
+        /**
+         * Returns true if the response can be used without validation
+         * to satisfy a request with the specified Cache-Control directives.<br>
+         * <br>
+         * Responses marked no-cache are never fresh.
+         * The request may demand a younger response (max-age), one that stays fresh longer (min-fresh),
+         * or accept a stale response (max-stale) unless the response must be revalidated.<br>
+         *
+         * @param {boolean} [pShared=false] whether the response is held by a shared cache
+         * @param {CacheControl|Object} [pRequestControl] the Cache-Control directives of the request
+         * @param {number} [pNow=Date.now()] the current time
+         *
+         * @returns {boolean} true if the response can be served as it is
+         */
+        isFresh( pShared = false, pRequestControl = null, pNow = Date.now() )
+        {
+            const cacheControl = this.cacheControl;
+
+            const requestControl = CacheControl.from( pRequestControl );
+
+            if ( cacheControl.noCache || requestControl.noCache )
+            {
+                return false;
+            }
+
+            const age = this.currentAge( pNow );
+
+            let lifetime = this.freshnessLifetime( pShared );
+
+            if ( !isNull( requestControl.maxAge ) && age > requestControl.maxAge * 1_000 )
+            {
+                return false;
+            }
+
+            if ( !isNull( requestControl.minFresh ) )
+            {
+                lifetime -= (requestControl.minFresh * 1_000);
+            }
+
+            if ( age < lifetime )
+            {
+                return true;
+            }
+
+            return !isNull( requestControl.maxStale ) && this.mayServeStale( pShared ) && (age - lifetime) <= requestControl.maxStale * 1_000;
+        }
+
+        /**
+         * Returns true unless the response forbids being served once it becomes stale,
+         * with must-revalidate, no-cache, or (in a shared cache) proxy-revalidate or s-maxage.
+         */
+        mayServeStale( pShared = false )
+        {
+            const cacheControl = this.cacheControl;
+
+            return !(cacheControl.mustRevalidate || cacheControl.noCache || (!!pShared && (cacheControl.proxyRevalidate || !isNull( cacheControl.sMaxAge ))));
+        }
+
+        /**
+         * Returns true if the response is stale, but within the window specified by its stale-while-revalidate directive,
+         * so that it can be served while it is revalidated in the background.
+         */
+        isWithinStaleWhileRevalidate( pShared = false, pNow = Date.now() )
+        {
+            const allowed = this.cacheControl.staleWhileRevalidate;
+
+            return !isNull( allowed ) && this.mayServeStale( pShared ) && this.staleness( pShared, pNow ) <= allowed * 1_000;
+        }
+
+        /**
+         * Returns true if the response may be served in place of an error,
+         * because it is stale by no more than the stale-if-error window of the response or of the request.
+         */
+        isWithinStaleIfError( pShared = false, pRequestControl = null, pNow = Date.now() )
+        {
+            const requestWindow = CacheControl.from( pRequestControl ).staleIfError;
+
+            const allowed = isNull( requestWindow ) ? this.cacheControl.staleIfError : requestWindow;
+
+            return !isNull( allowed ) && this.mayServeStale( pShared ) && this.staleness( pShared, pNow ) <= allowed * 1_000;
+        }
+
+        /**
+         * Returns true if the request headers specified have the same values
+         * as the request for which this response was stored, for each header named in its Vary header.
+         */
+        matches( pRequestHeaders )
+        {
+            const vary = this.vary;
+
+            if ( vary.includes( "*" ) )
+            {
+                return false;
+            }
+
+            const requestHeaders = toHeaderLiteral( pRequestHeaders );
+
+            return vary.every( name => normalizeVaryValue( requestHeaders[name] ) === this.#requestHeaders[name] );
+        }
+
+        /**
+         * Returns the headers with which to ask the origin server whether this response is still current,
+         * If-None-Match for an ETag, and If-Modified-Since for a Last-Modified date.
+         */
+        get conditionalHeaders()
+        {
+            const headers = {};
+
+            if ( !isBlank( this.etag ) )
+            {
+                headers["If-None-Match"] = this.etag;
+            }
+
+            if ( !isBlank( this.lastModified ) )
+            {
+                headers["If-Modified-Since"] = this.lastModified;
+            }
+
+            return headers;
+        }
+
+        /**
+         * Returns a copy of this response, updated with the headers of a 304 (Not Modified) response that validated it.<br>
+         * <br>
+         * @see https://www.rfc-editor.org/rfc/rfc9111#section-4.3.4
+         *
+         * @param {Object|Headers} pHeaders the headers of the 304 response
+         * @param {number} pRequestTime the time at which the conditional request was sent
+         * @param {number} pResponseTime the time at which the 304 response was received
+         *
+         * @returns {CachedResponse} a response with the updated headers and times
+         */
+        freshen( pHeaders, pRequestTime, pResponseTime = Date.now() )
+        {
+            const headers = { ...this.#headers };
+
+            const updates = toHeaderLiteral( pHeaders );
+
+            Object.entries( updates ).filter( ( [name] ) => !PRESERVED_HEADERS.includes( name ) ).forEach( ( [name, value] ) => headers[name] = value );
+
+            return new CachedResponse( {
+                                           ...this.toObject(),
+                                           headers,
+                                           body: this.#body,
+                                           requestHeaders: this.#requestHeaders,
+                                           requestTime: pRequestTime,
+                                           responseTime: pResponseTime
+                                       } );
+        }
+
+        /**
+         * Returns a new Response with the stored status, headers, and body,
+         * adding an Age header with the current age of the response.
+         *
+         * @param {number} [pNow=Date.now()] the current time
+         *
+         * @returns {Response} a Response that can be read like one returned by fetch
+         */
+        toResponse( pNow = Date.now() )
+        {
+            const headers = { ...this.#headers, age: asString( Math.floor( this.currentAge( pNow ) / 1_000 ) ) };
+
+            const body = [204, 304].includes( this.#status ) || "HEAD" === this.#method ? null : this.body;
+
+            return new Response( body, { status: this.#status, statusText: this.#statusText, headers } );
+        }
+
+        toObject()
+        {
+            return {
+                method: this.#method,
+                url: this.#url,
+                status: this.#status,
+                statusText: this.#statusText,
+                headers: { ...this.#headers },
+                body: this.body,
+                requestHeaders: { ...this.#requestHeaders },
+                requestTime: this.#requestTime,
+                responseTime: this.#responseTime,
+                heuristicFraction: this.#heuristicFraction
+            };
+        }
+
+        /**
+         * Returns the bytes of a body that is a string, an ArrayBuffer, or a TypedArray
+         */
+        static toBytes( pBody )
+        {
+            if ( isNull( pBody ) )
+            {
+                return null;
+            }
+
+            if ( pBody instanceof Uint8Array )
+            {
+                return pBody.slice();
+            }
+
+            if ( pBody instanceof ArrayBuffer )
+            {
+                return new Uint8Array( pBody.slice( 0 ) );
+            }
+
+            if ( isTypedArray( pBody ) || pBody instanceof DataView )
+            {
+                return new Uint8Array( pBody.buffer.slice( pBody.byteOffset, pBody.byteOffset + pBody.byteLength ) );
+            }
+
+            return new TextEncoder().encode( isString( pBody ) ? pBody : JSON.stringify( pBody ) );
+        }
+    }
+
+    /**
+     * @typedef {Object} ResponseCacheOptions
+     *
+     * @property {boolean} [shared=false] Whether the cache is shared by several users, as a proxy's cache is.<br>
+     *                                    A shared cache honors s-maxage, proxy-revalidate, and private,
+     *                                    and does not store responses to requests with an Authorization header
+     *                                    unless the response explicitly allows it.<br>
+     *
+     * @property {number} [maxEntries=500] The number of responses to keep before discarding the least recently used.<br>
+     *
+     * @property {number} [heuristicFraction=0.1] The fraction of the time since Last-Modified
+     *                                            to use as the lifetime of a response without explicit freshness information.<br>
+     */
+
+    /**
+     * The default options for a ResponseCache.<br>
+     * <br>
+     * @type {ResponseCacheOptions}
+     */
+    const DEFAULT_RESPONSE_CACHE_OPTIONS =
+        {
+            shared: false,
+            maxEntries: DEFAULT_MAX_CACHED_RESPONSES,
+            heuristicFraction: DEFAULT_HEURISTIC_FRACTION
+        };
+
+    /**
+     * This class stores responses to GET and HEAD requests
+     * and selects the stored response, if any, that can satisfy a later request,
+     * following the rules of RFC 9111 for what may be stored and how Vary selects among stored responses.<br>
+     * <br>
+     * Responses are kept in a Map by default,
+     * but any object with get, set, and delete methods can be specified as the backing store.<br>
+     * <br>
+     * @see https://www.rfc-editor.org/rfc/rfc9111
+     *
+     * @class
+     */
+    class ResponseCache extends EventTarget
+    {
+        #store = new Map();
+
+        #options;
+
+        /**
+         * Constructs a cache for responses
+         *
+         * @param {Map|Object} [pBackingStore] an object with get, set, and delete methods, such as a Map
+         * @param {ResponseCacheOptions} [pOptions] the options for this cache
+         */
+        constructor( pBackingStore, pOptions = DEFAULT_RESPONSE_CACHE_OPTIONS )
+        {
+            super();
+
+            this.#options = populateOptions( pOptions, DEFAULT_RESPONSE_CACHE_OPTIONS );
+
+            if ( isBackingStore( pBackingStore ) && isFunction( pBackingStore.delete ) )
+            {
+                this.#store = pBackingStore;
+            }
+        }
+
+        get options()
+        {
+            return { ...this.#options };
+        }
+
+        get shared()
+        {
+            return !!this.#options.shared;
+        }
+
+        get maxEntries()
+        {
+            return Math.max( 1, asInt( this.#options.maxEntries ) || DEFAULT_MAX_CACHED_RESPONSES );
+        }
+
+        get heuristicFraction()
+        {
+            return isNumber( this.#options.heuristicFraction ) ? this.#options.heuristicFraction : DEFAULT_HEURISTIC_FRACTION;
+        }
+
+        /**
+         * Returns the key under which responses to the specified method and url are stored
+         */
+        static calculateKey( pMethod, pUrl )
+        {
+            return (asString( pMethod, true ).toUpperCase() || "GET") + " " + asString( pUrl, true );
+        }
+
+        /**
+         * Returns true if a response with the specified status and headers may be stored
+         * as the response to a request with the specified method and headers.<br>
+         * <br>
+         * @see https://www.rfc-editor.org/rfc/rfc9111#section-3
+         *
+         * @param {string} pMethod the method of the request
+         * @param {number} pStatus the status of the response
+         * @param {Object|Headers} pResponseHeaders the headers of the response
+         * @param {Object|Headers} [pRequestHeaders] the headers of the request
+         *
+         * @returns {boolean} true if the response may be stored
+         */
+        isStorable( pMethod, pStatus, pResponseHeaders, pRequestHeaders )
+        {
+            const method = asString( pMethod, true ).toUpperCase();
+
+            if ( !["GET", "HEAD"].includes( method ) || !HEURISTICALLY_CACHEABLE_STATUSES.includes( asInt( pStatus ) ) )
+            {
+                return false;
+            }
+
+            const headers = toHeaderLiteral( pResponseHeaders );
+
+            const requestControl = CacheControl.from( pRequestHeaders );
+            const cacheControl = CacheControl.from( headers );
+
+            if ( requestControl.noStore || cacheControl.noStore )
+            {
+                return false;
+            }
+
+            if ( asString( headers["vary"], true ).split( "," ).some( e => "*" === e.trim() ) )
+            {
+                return false;
+            }
+
+            if ( this.shared )
+            {
+                if ( cacheControl.isPrivate )
+                {
+                    return false;
+                }
+
+                const authorized = !isBlank( asString( toHeaderLiteral( pRequestHeaders )["authorization"], true ) );
+
+                if ( authorized && !(cacheControl.isPublic || cacheControl.mustRevalidate || !isNull( cacheControl.sMaxAge )) )
+                {
+                    return false;
+                }
+            }
+
+            return true;
+        }
+
+        async #read( pKey )
+        {
+            const me = this;
+            const variants = await asyncAttempt( async() => await me.#store.get( pKey ) );
+            return asArray( variants || [] ).filter( e => e instanceof CachedResponse );
+        }
+
+        async #write( pKey, pVariants )
+        {
+            const me = this;
+
+            await asyncAttempt( async() => await me.#store.delete( pKey ) );
+
+            if ( $ln( pVariants ) > 0 )
+            {
+                // re-inserting the key keeps a Map ordered from least to most recently used
+                await asyncAttempt( async() => await me.#store.set( pKey, [...pVariants] ) );
+            }
+        }
+
+        /**
+         * Returns the stored response that can be used for a request with the specified method, url, and headers,
+         * or null if there is no such response.<br>
+         * <br>
+         * When several responses match, the most recently received is returned.<br>
+         *
+         * @param {string} pMethod the method of the request
+         * @param {string} pUrl the url of the request
+         * @param {Object|Headers} [pRequestHeaders] the headers of the request
+         *
+         * @returns {Promise<CachedResponse|null>} the stored response or null
+         */
+        async match( pMethod, pUrl, pRequestHeaders )
+        {
+            const key = ResponseCache.calculateKey( pMethod, pUrl );
+
+            const variants = await this.#read( key );
+
+            const matching = variants.filter( e => e.matches( pRequestHeaders ) ).sort( ( a, b ) => b.responseTime - a.responseTime );
+
+            if ( $ln( matching ) > 0 )
+            {
+                await this.#write( key, variants );
+                return matching[0];
+            }
+
+            return null;
+        }
+
+        /**
+         * Stores a response, replacing any stored for the same request headers named in its Vary header.<br>
+         * <br>
+         * The least recently used responses are discarded when the cache holds more than maxEntries urls.<br>
+         *
+         * @param {CachedResponse} pCachedResponse the response to store
+         *
+         * @returns {Promise<boolean>} true if the response was stored
+         */
+        async put( pCachedResponse )
+        {
+            if ( !(pCachedResponse instanceof CachedResponse) )
+            {
+                return false;
+            }
+
+            const key = ResponseCache.calculateKey( pCachedResponse.method, pCachedResponse.url );
+
+            const variants = (await this.#read( key )).filter( e => !(e.vary.join() === pCachedResponse.vary.join() && e.matches( pCachedResponse.requestHeaders )) );
+
+            variants.push( pCachedResponse );
+
+            await this.#write( key, variants );
+
+            await this.#evict();
+
+            return true;
+        }
+
+        async #evict()
+        {
+            const me = this;
+
+            if ( !isFunction( this.#store.keys ) )
+            {
+                return;
+            }
+
+            const keys = [...(asArray( await asyncAttempt( async() => await me.#store.keys() ) || [] ))];
+
+            const excess = $ln( keys ) - this.maxEntries;
+
+            for( let i = 0; i < excess; i++ )
+            {
+                await asyncAttempt( async() => await me.#store.delete( keys[i] ) );
+
+                this.dispatchEvent( new ModuleEvent( "cachedItemRemoved", { removed: [keys[i]] } ) );
+            }
+        }
+
+        /**
+         * Removes the responses stored for the specified url,
+         * as a cache must after an unsafe request, such as a POST, to the same url succeeds.<br>
+         * <br>
+         * @see https://www.rfc-editor.org/rfc/rfc9111#section-4.4
+         *
+         * @param {string} pUrl the url whose responses are no longer current
+         *
+         * @returns {Promise<boolean>} true if any responses were removed
+         */
+        async invalidate( pUrl )
+        {
+            const me = this;
+
+            let removed = false;
+
+            for( const method of ["GET", "HEAD"] )
+            {
+                const key = ResponseCache.calculateKey( method, pUrl );
+
+                if ( $ln( await this.#read( key ) ) > 0 )
+                {
+                    await asyncAttempt( async() => await me.#store.delete( key ) );
+                    removed = true;
+                }
+            }
+
+            if ( removed )
+            {
+                this.dispatchEvent( new ModuleEvent( "cachedItemRemoved", { removed: [pUrl] } ) );
+            }
+
+            return removed;
+        }
+
+        async clear()
+        {
+            const me = this;
+
+            if ( isFunction( this.#store.clear ) )
+            {
+                await asyncAttempt( async() => await me.#store.clear() );
+            }
+            else if ( isFunction( this.#store.keys ) )
+            {
+                const keys = [...(asArray( await asyncAttempt( async() => await me.#store.keys() ) || [] ))];
+
+                for( const key of keys )
+                {
+                    await asyncAttempt( async() => await me.#store.delete( key ) );
+                }
+            }
+        }
+
+        get size()
+        {
+            return asInt( this.#store.size );
+        }
+    }
+
+    ResponseCache.getInstance = function( pCache, pOptions )
+    {
+        if ( pCache instanceof ResponseCache )
+        {
+            return pCache;
+        }
+        return isBackingStore( pCache ) ? new ResponseCache( pCache, pOptions ) : new ResponseCache( null, { ...(isNonNullObject( pCache ) ? pCache : {}), ...(pOptions || {}) } );
+    };
+
     let mod =
         {
             dependencies,
@@ -699,10 +1732,23 @@ const { _ud = "undefined", $scope} = constants;
                     HttpCache,
                     HttpCacheStorage,
                     HttpCacheStorageManager,
+                    CacheControl,
+                    CachedResponse,
+                    ResponseCache
                 },
             HttpCache,
             HttpCacheStorage,
             HttpCacheStorageManager,
+            CacheControl,
+            CachedResponse,
+            ResponseCache,
+            CACHE_STATUS,
+            HEURISTICALLY_CACHEABLE_STATUSES,
+            STALE_IF_ERROR_STATUSES,
+            DEFAULT_HEURISTIC_FRACTION,
+            DEFAULT_MAX_CACHED_RESPONSES,
+            DEFAULT_RESPONSE_CACHE_OPTIONS,
+            toHeaderLiteral,
             DEFAULT_CACHE_NAME,
             DEFAULT_CACHE_PREFIX,
             DEFAULT_VERSION,
@@ -0,0 +1,786 @@
+/**
+ * @fileOverview
+ * This module defines circuit breakers that stop a client from sending requests to a host that is failing or responding slowly.<br>
+ * <br>
+ * A circuit is kept for each host (and for each group of requests to that host,
+ * as calculated by a RequestGroupMapper) and is in one of three states:<br>
+ * <ul>
+ * <li><b>closed</b>: requests are sent and their outcomes are recorded in a sliding window of the most recent calls</li>
+ * <li><b>open</b>: requests fail immediately with a CircuitOpenError until the cooldown has elapsed</li>
+ * <li><b>half-open</b>: a limited number of trial requests are sent; their outcomes either close the circuit or open it again</li>
+ * </ul>
+ * A closed circuit opens when, after a minimum number of calls, the rate of failed calls or of slow calls
+ * in the window reaches its threshold.<br>
+ * <br>
+ * Each transition dispatches a 'statechange' event, and an event named for the new state,
+ * from both the circuit and the CircuitBreakers that holds it.<br>
+ * <br>
+ * CircuitBreakers is an HttpInterceptor, so it can be added to any client's interceptors;
+ * the clients also accept one (or the options for one) as their 'circuitBreaker' option.<br>
+ *
+ * @module HttpCircuitBreaker
+ *
+ * @author Scott Bockelman
+ * @license MIT
+ */
+
+/**
+ * Imports the @toolbocks/core modules for the utility functions required
+ */
+const core = require( "@toolbocks/core" );
+
+/**
+ * Imports the HttpConstants that define common aspects of the HTTP protocol
+ */
+const httpConstants = require( "./HttpConstants.cjs" );
+
+/**
+ * Imports the HttpInterceptors module for the base class of interceptors
+ */
+const httpInterceptorsModule = require( "./HttpInterceptors.js" );
+
+/**
+ * Imports the ResponseData module, used to report a request that was not sent
+ */
+const responseDataModule = require( "./ResponseData.js" );
+
+const { constants } = core;
+
+const { _ud = "undefined", $scope } = constants;
+
+// noinspection FunctionTooLongJS
+(function exposeModule()
+{
+    const INTERNAL_NAME = "__BOCK__HTTP_CIRCUIT_BREAKER__";
+
+    if ( $scope() && (null != $scope()[INTERNAL_NAME]) )
+    {
+        return $scope()[INTERNAL_NAME];
+    }
+
+    // import the specific modules from @toolbocks/core that are necessary for this module
+    const { moduleUtils, typeUtils, stringUtils } = core;
+
+    // import the classes, variables, and functions defined in moduleUtils that are used in this module
+    const
+        {
+            ToolBocksModule,
+            ModuleEvent,
+            attempt,
+            lock
+        } = moduleUtils;
+
+    const { _mt_str = "", _mt = _mt_str } = constants;
+
+    const { isNull, isError, isFunction, isNonNullObject, isNumeric, asObject } = typeUtils;
+
+    const { asString, asInt, asFloat, isBlank, lcase } = stringUtils;
+
+    const { CircuitOpenError, STATUS_CODES } = httpConstants;
+
+    const { HttpInterceptor } = httpInterceptorsModule;
+
+    const { ResponseData } = responseDataModule;
+
+    /**
+     * This is a dictionary of this module's dependencies.
+     * <br>
+     * It is exported as a property of this module,
+     * allowing us to just import this module<br>
+     * and then import or use the other utilities<br>
+     * as properties of this module.
+     * <br>
+     * @dict
+     * @type {Object}
+     * @alias module:HttpCircuitBreaker#dependencies
+     */
+    const dependencies =
+        {
+            moduleUtils,
+            constants,
+            typeUtils,
+            stringUtils,
+            httpConstants,
+            httpInterceptorsModule,
+            responseDataModule
+        };
+
+    const modName = "HttpCircuitBreaker";
+
+    const toolBocksModule = new ToolBocksModule( modName, INTERNAL_NAME );
+
+    /**
+     * The states of a circuit
+     */
+    const CIRCUIT_STATES = lock(
+        {
+            CLOSED: "closed",
+            OPEN: "open",
+            HALF_OPEN: "half-open"
+        } );
+
+    /**
+     * The type of the event dispatched whenever a circuit changes state.<br>
+     * An event whose type is the new state is dispatched as well.
+     * @type {string}
+     */
+    const STATE_CHANGE_EVENT = "statechange";
+
+    /**
+     * The default options for a circuit.<br>
+     * <br>
+     * failureRateThreshold: the fraction (0-1) of failed calls in the window at which the circuit opens<br>
+     * slowCallRateThreshold: the fraction (0-1) of slow calls in the window at which the circuit opens<br>
+     * slowCallDuration: the number of milliseconds after which a call is considered slow<br>
+     * windowSize: the number of most recent calls considered<br>
+     * minimumCalls: the number of calls that must be recorded before the rates are considered<br>
+     * cooldown: the number of milliseconds a circuit stays open before allowing trial calls<br>
+     * halfOpenCalls: the number of trial calls allowed while the circuit is half-open<br>
+     */
+    const DEFAULT_CIRCUIT_BREAKER_OPTIONS = lock(
+        {
+            failureRateThreshold: 0.5,
+            slowCallRateThreshold: 1.0,
+            slowCallDuration: 30_000,
+            windowSize: 20,
+            minimumCalls: 10,
+            cooldown: 30_000,
+            halfOpenCalls: 3
+        } );
+
+    const resolveRate = ( pValue, pDefault ) =>
+    {
+        const rate = isNumeric( pValue ) ? asFloat( pValue ) : pDefault;
+        // accept percentages as well as fractions
+        return Math.min( 1, Math.max( 0, rate > 1 ? rate / 100 : rate ) );
+    };
+
+    const resolveCircuitOptions = function( pOptions )
+    {
+        const options = { ...DEFAULT_CIRCUIT_BREAKER_OPTIONS, ...(asObject( pOptions || {} )) };
+
+        options.failureRateThreshold = resolveRate( options.failureRateThreshold, DEFAULT_CIRCUIT_BREAKER_OPTIONS.failureRateThreshold );
+        options.slowCallRateThreshold = resolveRate( options.slowCallRateThreshold, DEFAULT_CIRCUIT_BREAKER_OPTIONS.slowCallRateThreshold );
+
+        options.slowCallDuration = Math.max( 0, asInt( options.slowCallDuration, DEFAULT_CIRCUIT_BREAKER_OPTIONS.slowCallDuration ) );
+        options.windowSize = Math.max( 1, asInt( options.windowSize, DEFAULT_CIRCUIT_BREAKER_OPTIONS.windowSize ) );
+        options.minimumCalls = Math.min( options.windowSize, Math.max( 1, asInt( options.minimumCalls, DEFAULT_CIRCUIT_BREAKER_OPTIONS.minimumCalls ) ) );
+        options.cooldown = Math.max( 0, asInt( options.cooldown, DEFAULT_CIRCUIT_BREAKER_OPTIONS.cooldown ) );
+        options.halfOpenCalls = Math.max( 1, asInt( options.halfOpenCalls, DEFAULT_CIRCUIT_BREAKER_OPTIONS.halfOpenCalls ) );
+
+        return options;
+    };
+
+    /**
+     * Returns true if the response or error specified should count as a failure of the host.<br>
+     * Network errors, timeouts, and 5xx responses are failures.
+     * Other responses, including 429 (handled by the rate limits), are not.
+     *
+     * @param {ResponseData|Response} pResponseData
+     * @param {Error} [pError]
+     * @returns {boolean}
+     */
+    const isFailure = function( pResponseData, pError )
+    {
+        if ( !isNull( pError ) && !(pError instanceof CircuitOpenError) )
+        {
+            return true;
+        }
+
+        // a client reports a request that received no response as a ResponseData holding the error
+        if ( isError( pResponseData?.error ) && !(pResponseData.error instanceof CircuitOpenError) )
+        {
+            return true;
+        }
+
+        const status = asInt( pResponseData?.status );
+
+        return status >= 500 || STATUS_CODES.REQUEST_TIMEOUT === status || (isNull( pResponseData ) && isNull( pError ));
+    };
+
+    /**
+     * An instance of this class is returned when a circuit permits a call
+     * and is passed back to the circuit to record the outcome of the call.
+     */
+    class CircuitPermit
+    {
+        #circuit;
+        #generation;
+        #startTime = Date.now();
+        #released = false;
+
+        constructor( pCircuit, pGeneration )
+        {
+            this.#circuit = pCircuit;
+            this.#generation = pGeneration;
+        }
+
+        get circuit()
+        {
+            return this.#circuit;
+        }
+
+        get generation()
+        {
+            return this.#generation;
+        }
+
+        get startTime()
+        {
+            return this.#startTime;
+        }
+
+        get released()
+        {
+            return this.#released;
+        }
+
+        /**
+         * Records the outcome of the call
+         * @param {boolean} pFailed true if the call failed
+         * @param {number} [pDuration] the number of milliseconds the call took, defaults to the time since the permit was issued
+         */
+        release( pFailed, pDuration = (Date.now() - this.#startTime) )
+        {
+            if ( !this.#released )
+            {
+                this.#released = true;
+                this.#circuit.record( this, pFailed, pDuration );
+            }
+        }
+    }
+
+    /**
+     * An instance of this class tracks the outcomes of the calls to one host (or group of requests)
+     * and decides whether further calls are permitted.
+     */
+    class CircuitBreaker extends EventTarget
+    {
+        #key;
+        #options;
+
+        #state = CIRCUIT_STATES.CLOSED;
+
+        // the outcomes of the most recent calls, as { failed, slow }
+        #outcomes = [];
+
+        #openedAt = 0;
+
+        #trialCalls = 0;
+
+        // incremented on each transition, so that calls started before it do not affect the new state
+        #generation = 0;
+
+        #onTransition;
+
+        /**
+         * Constructs an instance of this class
+         * @param {string} pKey     the host or group this circuit protects
+         * @param {Object} [pOptions] see DEFAULT_CIRCUIT_BREAKER_OPTIONS
+         * @param {Function} [pOnTransition] a function called with the detail of each state change
+         */
+        constructor( pKey, pOptions = DEFAULT_CIRCUIT_BREAKER_OPTIONS, pOnTransition )
+        {
+            super();
+
+            this.#key = asString( pKey, true );
+            this.#options = resolveCircuitOptions( pOptions );
+            this.#onTransition = isFunction( pOnTransition ) ? pOnTransition : null;
+        }
+
+        get key()
+        {
+            return this.#key;
+        }
+
+        get options()
+        {
+            return lock( { ...(this.#options) } );
+        }
+
+        /**
+         * Returns the current state of the circuit.<br>
+         * An open circuit whose cooldown has elapsed becomes half-open when its state is read.
+         * @returns {string}
+         */
+        get state()
+        {
+            if ( CIRCUIT_STATES.OPEN === this.#state && this.remainingCooldown <= 0 )
+            {
+                this.#transition( CIRCUIT_STATES.HALF_OPEN );
+            }
+
+            return this.#state;
+        }
+
+        get isClosed()
+        {
+            return CIRCUIT_STATES.CLOSED === this.state;
+        }
+
+        get isOpen()
+        {
+            return CIRCUIT_STATES.OPEN === this.state;
+        }
+
+        get isHalfOpen()
+        {
+            return CIRCUIT_STATES.HALF_OPEN === this.state;
+        }
+
+        get openedAt()
+        {
+            return this.#openedAt;
+        }
+
+        /**
+         * Returns the number of milliseconds until an open circuit allows trial calls, or 0
+         * @returns {number}
+         */
+        get remainingCooldown()
+        {
+            return CIRCUIT_STATES.OPEN === this.#state ? Math.max( 0, (this.#openedAt + this.#options.cooldown) - Date.now() ) : 0;
+        }
+
+        /**
+         * Returns the number of calls, failures, and slow calls in the current window and the corresponding rates
+         * @returns {{calls: number, failures: number, slowCalls: number, failureRate: number, slowCallRate: number}}
+         */
+        get metrics()
+        {
+            const calls = this.#outcomes.length;
+            const failures = this.#outcomes.filter( e => e.failed ).length;
+            const slowCalls = this.#outcomes.filter( e => e.slow ).length;
+
+            return {
+                calls,
+                failures,
+                slowCalls,
+                failureRate: calls > 0 ? failures / calls : 0,
+                slowCallRate: calls > 0 ? slowCalls / calls : 0
+            };
+        }
+
+        /**
+         * Returns true if a call would be permitted now, without reserving a trial call
+         * @returns {boolean}
+         */
+        isCallPermitted()
+        {
+            switch ( this.state )
+            {
+                case CIRCUIT_STATES.OPEN:
+                    return false;
+
+                case CIRCUIT_STATES.HALF_OPEN:
+                    return this.#trialCalls < this.#options.halfOpenCalls;
+
+                default:
+                    return true;
+            }
+        }
+
+        /**
+         * Returns a permit for a call, or null if the circuit does not permit one now.<br>
+         * While the circuit is half-open, each permit uses one of the trial calls.
+         * @returns {CircuitPermit|null}
+         */
+        acquire()
+        {
+            if ( !this.isCallPermitted() )
+            {
+                return null;
+            }
+
+            if ( CIRCUIT_STATES.HALF_OPEN === this.#state )
+            {
+                this.#trialCalls += 1;
+            }
+
+            return new CircuitPermit( this, this.#generation );
+        }
+
+        /**
+         * Records the outcome of a call made with the permit specified
+         * and opens or closes the circuit if the outcomes now require it
+         *
+         * @param {CircuitPermit} pPermit
+         * @param {boolean} pFailed
+         * @param {number} pDuration
+         */
+        record( pPermit, pFailed, pDuration )
+        {
+            // a call started before the last transition says nothing about the current state
+            if ( pPermit?.generation !== this.#generation )
+            {
+                return;
+            }
+
+            this.#outcomes.push( { failed: !!pFailed, slow: asInt( pDuration ) >= this.#options.slowCallDuration } );
+
+            while ( this.#outcomes.length > this.#options.windowSize )
+            {
+                this.#outcomes.shift();
+            }
+
+            this.#evaluate();
+        }
+
+        #exceedsThresholds()
+        {
+            const { failureRate, slowCallRate } = this.metrics;
+
+            return failureRate >= this.#options.failureRateThreshold || slowCallRate >= this.#options.slowCallRateThreshold;
+        }
+
+        #evaluate()
+        {
+            const calls = this.#outcomes.length;
+
+            switch ( this.#state )
+            {
+                case CIRCUIT_STATES.CLOSED:
+                    if ( calls >= this.#options.minimumCalls && this.#exceedsThresholds() )
+                    {
+                        this.#transition( CIRCUIT_STATES.OPEN );
+                    }
+                    break;
+
+                case CIRCUIT_STATES.HALF_OPEN:
+                    if ( calls >= this.#options.halfOpenCalls )
+                    {
+                        this.#transition( this.#exceedsThresholds() ? CIRCUIT_STATES.OPEN : CIRCUIT_STATES.CLOSED );
+                    }
+                    break;
+
+                default:
+                    break;
+            }
+        }
+
+        #transition( pState )
+        {
+            const from = this.#state;
+
+            const metrics = this.metrics;
+
+            this.#state = pState;
+            this.#generation += 1;
+            this.#outcomes = [];
+            this.#trialCalls = 0;
+
+            if ( CIRCUIT_STATES.OPEN === pState )
+            {
+                this.#openedAt = Date.now();
+            }
+
+            const detail = { key: this.key, from, to: pState, metrics, openedAt: this.#openedAt };
+
+            attempt( () => this.dispatchEvent( new ModuleEvent( STATE_CHANGE_EVENT, detail ) ) );
+            attempt( () => this.dispatchEvent( new ModuleEvent( pState, detail ) ) );
+
+            if ( this.#onTransition )
+            {
+                attempt( () => this.#onTransition( detail ) );
+            }
+        }
+
+        /**
+         * Opens the circuit, regardless of the outcomes recorded
+         */
+        trip()
+        {
+            this.#transition( CIRCUIT_STATES.OPEN );
+        }
+
+        /**
+         * Closes the circuit and discards the outcomes recorded
+         */
+        reset()
+        {
+            if ( CIRCUIT_STATES.CLOSED !== this.#state )
+            {
+                this.#transition( CIRCUIT_STATES.CLOSED );
+            }
+            else
+            {
+                this.#outcomes = [];
+            }
+        }
+    }
+
+    /**
+     * An instance of this class holds a circuit for each host (or group of requests)
+     * and, as an HttpInterceptor, checks the circuit before each request is sent and records the outcome after.<br>
+     * <br>
+     * Requests are keyed by the host of their URL,
+     * refined by the group name a RequestGroupMapper (options.requestGroupMapper) calculates for the URL, if any.<br>
+     * <br>
+     * A request for which the circuit is open is not sent;
+     * like any other request that receives no response, it is answered with a ResponseData whose error is a CircuitOpenError.
+     */
+    class CircuitBreakers extends HttpInterceptor
+    {
+        #options;
+
+        #circuits = new Map();
+
+        #eventTarget = new EventTarget();
+
+        /**
+         * Constructs an instance of this class
+         *
+         * @param {Object} [pOptions] see DEFAULT_CIRCUIT_BREAKER_OPTIONS
+         * @param {RequestGroupMapper} [pOptions.requestGroupMapper] an object that calculates the group to which a request belongs
+         * @param {Function} [pOptions.isFailure] a function that returns true if a response or error counts as a failure
+         * @param {Object} [pOptions.hosts] an object whose properties are host names (or keys) and whose values override the options for that host
+         */
+        constructor( pOptions = {} )
+        {
+            super();
+
+            this.#options = { ...DEFAULT_CIRCUIT_BREAKER_OPTIONS, ...(asObject( pOptions || {} )) };
+        }
+
+        get options()
+        {
+            return lock( { ...(this.#options) } );
+        }
+
+        get requestGroupMapper()
+        {
+            return this.#options.requestGroupMapper || null;
+        }
+
+        /**
+         * Returns a Map of the circuits created so far, by key
+         * @returns {Map<string, CircuitBreaker>}
+         */
+        get circuits()
+        {
+            return lock( new Map( this.#circuits ) );
+        }
+
+        addEventListener( pType, pListener, pOptions )
+        {
+            this.#eventTarget.addEventListener( pType, pListener, pOptions );
+        }
+
+        removeEventListener( pType, pListener, pOptions )
+        {
+            this.#eventTarget.removeEventListener( pType, pListener, pOptions );
+        }
+
+        dispatchEvent( pEvent )
+        {
+            return this.#eventTarget.dispatchEvent( pEvent );
+        }
+
+        /**
+         * Returns the key of the circuit for the URL (or request) specified
+         * @param {string|URL|Request|Object} pUrl
+         * @returns {string}
+         */
+        calculateKey( pUrl )
+        {
+            const url = asString( pUrl?.url || pUrl?.href || pUrl, true );
+
+            const host = lcase( attempt( () => new URL( url ).host ) || _mt );
+
+            const mapper = this.requestGroupMapper;
+
+            let group = isFunction( mapper?.calculateGroupName ) ? asString( attempt( () => mapper.calculateGroupName( pUrl ) ), true ) : _mt;
+
+            // the mapper falls back to an underscore or to (part of) the url itself when no group is mapped
+            if ( isBlank( group ) || "_" === group || group.includes( "/" ) || (!isBlank( host ) && group.includes( host )) )
+            {
+                group = _mt;
+            }
+
+            return (host || url) + (isBlank( group ) ? _mt : ("/" + group));
+        }
+
+        /**
+         * Returns the circuit for the URL (or request) specified, creating it if necessary
+         * @param {string|URL|Request|Object} pUrl
+         * @returns {CircuitBreaker}
+         */
+        getCircuit( pUrl )
+        {
+            const key = this.calculateKey( pUrl );
+
+            let circuit = this.#circuits.get( key );
+
+            if ( isNull( circuit ) )
+            {
+                const hosts = asObject( this.#options.hosts || {} );
+
+                const options = { ...(this.#options), ...(asObject( hosts[key] || hosts[key.split( "/" )[0]] || {} )) };
+
+                circuit = new CircuitBreaker( key, options, ( pDetail ) =>
+                {
+                    this.dispatchEvent( new ModuleEvent( STATE_CHANGE_EVENT, pDetail ) );
+                    this.dispatchEvent( new ModuleEvent( pDetail.to, pDetail ) );
+                } );
+
+                this.#circuits.set( key, circuit );
+            }
+
+            return circuit;
+        }
+
+        getState( pUrl )
+        {
+            return this.getCircuit( pUrl ).state;
+        }
+
+        #createError( pCircuit )
+        {
+            const retryAfter = pCircuit.remainingCooldown;
+
+            return new CircuitOpenError( "The circuit for " + pCircuit.key + " is " + pCircuit.state + "; the request was not sent",
+                                         { key: pCircuit.key, state: pCircuit.state, retryAfter } );
+        }
+
+        /**
+         * Returns a CircuitOpenError if the circuit for the URL specified would not permit a call now, otherwise null.<br>
+         * Unlike acquire, this does not use one of the trial calls of a half-open circuit.
+         *
+         * @param {string|URL|Request|Object} pUrl
+         * @returns {CircuitOpenError|null}
+         */
+        checkCallPermitted( pUrl )
+        {
+            const circuit = this.getCircuit( pUrl );
+
+            return circuit.isCallPermitted() ? null : this.#createError( circuit );
+        }
+
+        /**
+         * Returns a permit for a call to the URL specified
+         *
+         * @param {string|URL|Request|Object} pUrl
+         * @returns {CircuitPermit}
+         * @throws {CircuitOpenError} if the circuit does not permit a call now
+         */
+        acquire( pUrl )
+        {
+            const circuit = this.getCircuit( pUrl );
+
+            const permit = circuit.acquire();
+
+            if ( isNull( permit ) )
+            {
+                throw this.#createError( circuit );
+            }
+
+            return permit;
+        }
+
+        isFailure( pResponseData, pError )
+        {
+            const fn = this.#options.isFailure;
+
+            return !!(isFunction( fn ) ? attempt( () => fn( pResponseData, pError ) ) : isFailure( pResponseData, pError ));
+        }
+
+        /**
+         * Records the outcome of the call made with the permit specified
+         *
+         * @param {CircuitPermit} pPermit
+         * @param {ResponseData|Response} pResponseData
+         * @param {Error} [pError]
+         * @param {number} [pDuration]
+         */
+        record( pPermit, pResponseData, pError, pDuration )
+        {
+            if ( pPermit instanceof CircuitPermit )
+            {
+                pPermit.release( this.isFailure( pResponseData, pError ), (isNumeric( pDuration ) ? asInt( pDuration ) : (Date.now() - pPermit.startTime)) );
+            }
+        }
+
+        /**
+         * Closes every circuit
+         */
+        reset()
+        {
+            this.#circuits.forEach( circuit => circuit.reset() );
+        }
+
+        request( pConfig, pContext )
+        {
+            const circuit = this.getCircuit( pContext.url );
+
+            const permit = circuit.acquire();
+
+            if ( isNull( permit ) )
+            {
+                return new ResponseData( this.#createError( circuit ), pConfig, pConfig );
+            }
+
+            pContext.state.set( CircuitBreakers.STATE_KEY, permit );
+        }
+
+        response( pResponseData, pContext )
+        {
+            const permit = pContext.state.get( CircuitBreakers.STATE_KEY );
+
+            pContext.state.delete( CircuitBreakers.STATE_KEY );
+
+            this.record( permit, pResponseData, pContext.error, pContext.elapsed );
+        }
+    }
+
+    CircuitBreakers.STATE_KEY = "CircuitBreakers.permit";
+
+    /**
+     * Returns an instance of CircuitBreakers from the value of a client's 'circuitBreaker' option,
+     * which can be an instance of CircuitBreakers, an object of options, or true for the default options.<br>
+     * Returns null if the value is none of these.
+     *
+     * @param {CircuitBreakers|Object|boolean} pCircuitBreaker
+     * @param {Object} [pDefaults] options applied when the value is not already an instance of CircuitBreakers
+     *
+     * @returns {CircuitBreakers|null}
+     */
+    CircuitBreakers.resolve = function( pCircuitBreaker, pDefaults = {} )
+    {
+        if ( pCircuitBreaker instanceof CircuitBreakers )
+        {
+            return pCircuitBreaker;
+        }
+
+        if ( true === pCircuitBreaker || isNonNullObject( pCircuitBreaker ) )
+        {
+            return new CircuitBreakers( { ...(asObject( pDefaults || {} )), ...(isNonNullObject( pCircuitBreaker ) ? pCircuitBreaker : {}) } );
+        }
+
+        return null;
+    };
+
+    let mod =
+        {
+            dependencies,
+            classes:
+                {
+                    CircuitOpenError,
+                    CircuitPermit,
+                    CircuitBreaker,
+                    CircuitBreakers
+                },
+            CircuitOpenError,
+            CircuitPermit,
+            CircuitBreaker,
+            CircuitBreakers,
+            CIRCUIT_STATES,
+            STATE_CHANGE_EVENT,
+            DEFAULT_CIRCUIT_BREAKER_OPTIONS,
+            isFailure
+        };
+
+    mod = toolBocksModule.extend( mod );
+
+    return mod.expose( mod, INTERNAL_NAME, (_ud !== typeof module ? module : mod) ) || mod;
+
+}());
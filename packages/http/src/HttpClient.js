@@ -84,6 +84,11 @@ const httpHeaders = require( "./HttpHeaders.cjs" );
 const httpAgentUtils = require( "./HttpAgentUtils.js" );
 
 const httpConfigUtils = require( "./HttpConfigUtils.js" );
+/**
+ * Imports the HttpCache module for the ResponseCache used to reuse responses as RFC 9111 allows
+ */
+const httpCacheModule = require( "./HttpCache.cjs" );
+
 /**
  * Imports the HttpRequest module for the request facade and associated utility functions required
  */
@@ -99,6 +104,36 @@ const httpResponseModule = require( "./HttpResponse.cjs" );
  */
 const responseDataModule = require( "./ResponseData.js" );
 
+/**
+ * Imports the HttpInterceptors module for the chain of request and response interceptors applied by each client
+ */
+const httpInterceptorsModule = require( "./HttpInterceptors.js" );
+
+/**
+ * Imports the HttpCircuitBreaker module for the circuits that stop requests to failing hosts
+ */
+const httpCircuitBreakerModule = require( "./HttpCircuitBreaker.js" );
+
+/**
+ * Imports the HttpDownload module for resumable and parallel downloads
+ */
+const httpDownloadModule = require( "./HttpDownload.js" );
+
+/**
+ * Imports the HttpMultipart module for building and streaming multipart/form-data uploads
+ */
+const httpMultipartModule = require( "./HttpMultipart.js" );
+
+/**
+ * Imports the HttpEventSource module for receiving Server-Sent Events
+ */
+const httpEventSourceModule = require( "./HttpEventSource.js" );
+
+/**
+ * Imports the HttpPagination module for iterating the pages of paginated APIs
+ */
+const httpPaginationModule = require( "./HttpPagination.js" );
+
 /**
  * Imports the core constants
  */
@@ -300,6 +335,7 @@ const { _ud = "undefined", $scope } = constants;
             resolveHttpConfig,
 
             isHttpConfig,
+            isRawBody,
             toHttpConfigLiteral,
 
             fixAgents
@@ -314,6 +350,28 @@ const { _ud = "undefined", $scope } = constants;
 
     const { ResponseData, streamToFile, pipeToFile } = responseDataModule;
 
+    const { HttpInterceptors } = httpInterceptorsModule;
+
+    const { CircuitBreakers } = httpCircuitBreakerModule;
+
+    const { HttpDownload, DOWNLOAD_EVENTS } = httpDownloadModule;
+
+    const { isMultipartForm, UPLOAD_EVENTS } = httpMultipartModule;
+
+    const { HttpEventSource } = httpEventSourceModule;
+
+    const { HttpPaginator } = httpPaginationModule;
+
+    const
+        {
+            CacheControl,
+            CachedResponse,
+            ResponseCache,
+            CACHE_STATUS,
+            STALE_IF_ERROR_STATUSES,
+            toHeaderLiteral
+        } = httpCacheModule;
+
     const modName = "HttpClientUtils";
 
     let toolBocksModule = new ToolBocksModule( modName, INTERNAL_NAME );
@@ -363,7 +421,7 @@ const { _ud = "undefined", $scope } = constants;
             return body;
         }
 
-        if ( instanceOfAny( body, ArrayBuffer, Blob, DataView, File, FormData, TypedArray, URLSearchParams, ReadableStream ) )
+        if ( instanceOfAny( body, URLSearchParams ) || isRawBody( body ) )
         {
             return body;
         }
@@ -387,6 +445,36 @@ const { _ud = "undefined", $scope } = constants;
         return body;
     }
 
+    /**
+     * Sends a MultipartForm with the headers that describe it
+     * (its Content-Type, which specifies the boundary, and its Content-Length, if known)
+     * and dispatches the progress events of the form as events of the client sending it.
+     *
+     * @param {IHttpClient|HttpClient} pClient        the client uploading the form
+     * @param {MultipartForm} pForm                   the form
+     * @param {HttpConfig|Object} pConfig             the configuration of the request
+     * @param {function(HttpConfig):Promise<ResponseData>} pSend  a function that sends the request with the configuration specified
+     *
+     * @returns {Promise<ResponseData>}
+     */
+    async function sendMultipartForm( pClient, pForm, pConfig, pSend )
+    {
+        const config = resolveHttpConfig( { headers: pForm.headers }, pConfig );
+
+        const forward = ( pEvent ) => pClient.dispatchEvent( new ModuleEvent( UPLOAD_EVENTS.PROGRESS, pEvent.detail ) );
+
+        pForm.addEventListener( UPLOAD_EVENTS.PROGRESS, forward );
+
+        try
+        {
+            return await pSend( config );
+        }
+        finally
+        {
+            pForm.removeEventListener( UPLOAD_EVENTS.PROGRESS, forward );
+        }
+    }
+
     function isHttpClient( pDelegate )
     {
         if ( isNonNullObject( pDelegate ) )
@@ -602,9 +690,79 @@ const { _ud = "undefined", $scope } = constants;
 
     class IHttpClient extends EventTarget
     {
+        /**
+         * The request and response interceptors this client applies to the requests it sends
+         * @type {HttpInterceptors}
+         */
+        #interceptors;
+
+        /**
+         * The circuits this client checks before sending a request, or null
+         * @type {CircuitBreakers|null}
+         */
+        #circuitBreakers;
+
         constructor( pConfig, pOptions, pDelegates, pDefaultDelegate )
         {
             super();
+
+            this.#circuitBreakers = CircuitBreakers.resolve( pOptions?.circuitBreaker, { requestGroupMapper: pOptions?.requestGroupMapper } );
+
+            // the circuit breaker (options.circuitBreaker) is applied first, so an open circuit fails before anything else is done,
+            // and an authorization provider (options.auth) is applied before any other interceptor
+            const custom = isArray( pOptions?.interceptors ) ? pOptions.interceptors.flat( Infinity ) : [pOptions?.interceptors];
+
+            const interceptors = [this.#circuitBreakers, pOptions?.auth, ...custom].filter( e => !isNull( e ) );
+
+            this.#interceptors = HttpInterceptors.resolve( (interceptors.length > 1 ? interceptors : interceptors[0]), { maxRetries: pOptions?.maxInterceptorRetries } );
+        }
+
+        get circuitBreakers()
+        {
+            return this.#circuitBreakers;
+        }
+
+        get interceptors()
+        {
+            return this.#interceptors;
+        }
+
+        /**
+         * Adds one or more interceptors to the end of this client's chain of interceptors.
+         * @see HttpInterceptors#use
+         * @param {...(Function|HttpInterceptor|HttpInterceptors|Object|Array)} pInterceptors
+         * @returns {Function} a function that removes the interceptors that were added
+         */
+        use( ...pInterceptors )
+        {
+            return this.#interceptors.use( ...pInterceptors );
+        }
+
+        useRequestInterceptor( pInterceptor )
+        {
+            return this.#interceptors.useRequestInterceptor( pInterceptor );
+        }
+
+        useResponseInterceptor( pInterceptor )
+        {
+            return this.#interceptors.useResponseInterceptor( pInterceptor );
+        }
+
+        /**
+         * Sends a request through this client's chain of interceptors.<br>
+         * Subclasses call this method with a function that sends the request as they would without interceptors.
+         *
+         * @param {string|HttpVerb} pMethod   The HTTP method of the request
+         * @param {string|URL} pUrl           The URL of the request
+         * @param {Object|HttpConfig} pConfig The configuration of the request
+         * @param {*} pBody                   The body of the request, if any
+         * @param {Function} pSend            An (async) function accepting the url, configuration, and body to send
+         *
+         * @returns {Promise<ResponseData|*>}
+         */
+        async intercept( pMethod, pUrl, pConfig, pBody, pSend )
+        {
+            return this.#interceptors.execute( this, resolveHttpMethod( pMethod ), pUrl, pConfig, pBody, pSend );
         }
 
         async sendRequest( pMethod, pUrl, pConfig, pBody, pRedirects, pRetries, pResolve, pReject )
@@ -673,7 +831,7 @@ const { _ud = "undefined", $scope } = constants;
 
         if ( !isNull( body ) )
         {
-            cfg = await HttpConfig.prepareConfigWithBody( config, url, method, body, pParseJson );
+            cfg = await HttpConfig.prepareWithBody( config, url, method, body, pParseJson );
         }
 
         cfg = await HttpConfig.toFetchRequestInitOptions( cfg );
@@ -772,7 +930,7 @@ const { _ud = "undefined", $scope } = constants;
                 cfg = { ...cfg, ...(this.mergeConfig( pRequest )) };
             }
 
-            return HttpConfig.toFetchRequestInitOptions( new HttpConfig( { ...(cfg) }, (cfg.headers || {}), cfg.url, cfg.method, cfg.body ) );
+            return HttpConfig.toFetchRequestInitOptions( new HttpConfig( { ...(isHttpConfig( cfg ) ? cfg.properties : cfg) }, (cfg.headers || {}), cfg.url, cfg.method, cfg.body ) );
         }
 
         async resolveBody( pBody, pConfig )
@@ -790,10 +948,48 @@ const { _ud = "undefined", $scope } = constants;
             return clamp( this.options?.maxRetries, 0, MAX_REQUEST_RETRIES );
         }
 
+        /**
+         * Sends the request using the Fetch API and returns the Response.<br>
+         * This is the only place this class calls fetch,
+         * so subclasses can override it to send requests some other way, such as to a mock in tests.<br>
+         * The redirects and retries are handled by doFetch.
+         *
+         * @param {string} pUrl
+         * @param {RequestInit} pInit
+         *
+         * @returns {Promise<Response>}
+         */
+        async fetch( pUrl, pInit )
+        {
+            return fetch( pUrl, pInit );
+        }
+
+        /**
+         * Sends the request and returns a ResponseData for the response, according to its status:<br>
+         * <br>
+         * A 2xx or 304 (Not Modified) response is returned.<br>
+         * A response whose status is eligible for a retry (such as 429 or 503) causes the request to be sent again after a delay,
+         * until the maximum number of retries is reached.<br>
+         * A redirect is followed, up to the maximum number of redirects.<br>
+         * Any other 4xx response is returned, rather than thrown,
+         * so that this client's response interceptors can act on it,
+         * for example, by renewing a token and asking for the request to be sent again,
+         * and so that the caller can read its status and body.<br>
+         * Any other status causes an error to be thrown.<br>
+         *
+         * @param {string|URL} pUrl             The URL of the request
+         * @param {Object|HttpConfig} pConfig   The configuration of the request
+         * @param {number} [pRedirects=0]       The number of redirects already followed
+         * @param {number} [pRetries=0]         The number of times the request has already been sent again
+         * @param {Function} [pResolve]
+         * @param {Function} [pReject]
+         *
+         * @returns {Promise<ResponseData>}
+         */
         // noinspection FunctionTooLongJS
         async doFetch( pUrl, pConfig, pRedirects = 0, pRetries = 0, pResolve, pReject )
         {
-            const cfg = this.resolveConfig( pConfig, pUrl );
+            const cfg = await this.resolveConfig( pConfig, pUrl );
 
             const method = resolveHttpMethod( cfg.method || VERBS.GET );
             cfg.method = method || VERBS.GET;
@@ -818,7 +1014,14 @@ const { _ud = "undefined", $scope } = constants;
                 cfg.body = cfg.data = body || cfg.data || cfg.body;
             }
 
-            const response = await asyncAttempt( async() => await fetch( url, cfg ) );
+            const response = await asyncAttempt( async() => await this.fetch( url, cfg ) );
+
+            if ( isNull( response ) )
+            {
+                // the request could not be sent, or no response was received, so there is no status to report
+                const error = resolveError( getLastError() || new Error( "Failed to fetch data from " + url + ", no response was received" ) );
+                return new ResponseData( error, cfg, cfg );
+            }
 
             let responseData = new ResponseData( response, cfg, cfg );
 
@@ -840,6 +1043,11 @@ const { _ud = "undefined", $scope } = constants;
 
                     return await asyncAttempt( async() => await me.doFetch( url, cfg, pRedirects, ++retries, pResolve, pReject ) );
                 }
+                else if ( STATUS_CODES.NOT_MODIFIED === status )
+                {
+                    // the response to a conditional request; the caller already has the content
+                    return responseData;
+                }
                 else if ( status >= 300 && status < 400 )
                 {
                     const me = this;
@@ -860,6 +1068,11 @@ const { _ud = "undefined", $scope } = constants;
                         throw new IllegalStateError( "Exceeded Maximum Number of Redirects (" + asInt( me.maxRedirects || cfg.maxRedirects ) + ")" );
                     }
                 }
+                else if ( status >= 400 && status < 500 )
+                {
+                    // the response interceptors, and then the caller, decide what a rejected request means
+                    return responseData;
+                }
                 else if ( responseData.isError() || !isNull( getLastError() ) )
                 {
                     throw resolveError( responseData?.error || getLastError() || new Error( "Failed to fetch data from " + url + ", Server returned: " + (responseData?.status || "no response") ) );
@@ -882,7 +1095,7 @@ const { _ud = "undefined", $scope } = constants;
                                                            resolveHttpConfig( pConfig, this.config ),
                                                            pBody );
 
-            return await me.doFetch( url, cfg );
+            return await me.intercept( cfg?.method || pMethod, url, cfg, cfg?.body, async( pRequestUrl, pRequestConfig ) => await me.doFetch( pRequestUrl, pRequestConfig ) );
         }
 
         async request( pConfig )
@@ -982,8 +1195,24 @@ const { _ud = "undefined", $scope } = constants;
             return asyncAttempt( async() => await me.sendRequest( VERBS.POST, url, cfg, (cfg.body || cfg.data), pRedirects, pRetries, pResolve, pReject ) );
         }
 
+        /**
+         * Sends the specified body in a POST request.<br>
+         * A MultipartForm is streamed, with the headers that describe it,
+         * and its progress events are dispatched by this client.
+         *
+         * @param {string} pUrl                                   the URL to which to send the body
+         * @param {HttpConfig|Object} pConfig                     the configuration of the request
+         * @param {MultipartForm|*} pBody                         the body to send
+         *
+         * @returns {Promise<ResponseData>}
+         */
         async upload( pUrl, pConfig, pBody )
         {
+            if ( isMultipartForm( pBody ) )
+            {
+                return sendMultipartForm( this, pBody, (pConfig || this.config), async( pFormConfig ) => this.sendPostRequest( pUrl, pFormConfig, pBody ) );
+            }
+
             return this.sendPostRequest( pUrl, pConfig || this.config, pBody );
         }
 
@@ -1033,6 +1262,335 @@ const { _ud = "undefined", $scope } = constants;
     HttpFetchClient.prepareFetchConfig = prepareFetchConfig;
     HttpFetchClient.prepareRequestInit = prepareFetchConfig;
 
+    /**
+     * This class is a delegate for HttpClient that keeps the responses to GET and HEAD requests
+     * in a ResponseCache and reuses them as RFC 9111 allows.<br>
+     * <br>
+     * Fresh responses are returned without contacting the server.
+     * Stale responses are revalidated with If-None-Match or If-Modified-Since,
+     * and a 304 (Not Modified) response is answered with the stored response.<br>
+     * <br>
+     * A response within its stale-while-revalidate window is returned at once and revalidated in the background.
+     * A response within its stale-if-error window is returned when the server fails to respond.<br>
+     * <br>
+     * Requests are sent by the delegate specified as options.delegate, or by fetch if there is none,
+     * and each request dispatches an event whose type is the CACHE_STATUS describing how it was satisfied.<br>
+     * <br>
+     * The request's Cache-Control header and the 'cache' property of its configuration
+     * (the RequestInit cache mode, such as 'no-store' or 'reload') are honored as well.<br>
+     *
+     * @see https://www.rfc-editor.org/rfc/rfc9111
+     */
+    class CachingHttpClient extends HttpFetchClient
+    {
+        #cache;
+
+        #delegate;
+
+        #revalidations = new Map();
+
+        /**
+         * Constructs a delegate that caches responses
+         *
+         * @param {Object} pConfig the default configuration of requests
+         *
+         * @param {Object} pOptions the options of the client, including:<br>
+         *                          cache, a ResponseCache, a Map in which to store responses, or the ResponseCacheOptions with which to create one<br>
+         *                          delegate, the HttpClient or delegate that sends the requests the cache cannot satisfy<br>
+         */
+        constructor( pConfig = DEFAULT_HTTP_CONFIG, pOptions = DEFAULT_HTTP_CLIENT_OPTIONS )
+        {
+            super( pConfig, pOptions );
+
+            const options = asObject( pOptions || {} );
+
+            this.#cache = ResponseCache.getInstance( (true === options.cache ? null : options.cache), options.cacheOptions );
+
+            this.#delegate = isHttpClient( options.delegate ) && options.delegate !== this ? options.delegate : null;
+        }
+
+        get cache()
+        {
+            return this.#cache;
+        }
+
+        get delegate()
+        {
+            return this.#delegate;
+        }
+
+        /**
+         * Returns a Promise that is settled when every background revalidation has completed
+         */
+        async waitForRevalidation()
+        {
+            await Promise.allSettled( [...this.#revalidations.values()] );
+        }
+
+        async #send( pMethod, pUrl, pConfig, pBody, pRedirects, pRetries, pResolve, pReject )
+        {
+            if ( isHttpClient( this.#delegate ) )
+            {
+                const delegate = this.#delegate;
+
+                // super.sendRequest applies this client's interceptors, so they are applied here only when sending through the delegate
+                return await this.intercept( pMethod, pUrl, pConfig, pBody, async( pRequestUrl, pRequestConfig, pRequestBody ) => await delegate.sendRequest( pMethod, pRequestUrl, pRequestConfig, pRequestBody, pRedirects, pRetries, pResolve, pReject ) );
+            }
+            return await super.sendRequest( pMethod, pUrl, pConfig, pBody, pRedirects, pRetries, pResolve, pReject );
+        }
+
+        #notify( pCacheStatus, pMethod, pUrl, pCachedResponse )
+        {
+            const detail = { method: pMethod, url: pUrl, age: pCachedResponse ? Math.floor( pCachedResponse.currentAge() / 1_000 ) : 0 };
+            this.dispatchEvent( new ModuleEvent( pCacheStatus, detail ) );
+        }
+
+        #toResponseData( pCachedResponse, pConfig, pUrl )
+        {
+            return new ResponseData( pCachedResponse.toResponse(), { ...(toHttpConfigLiteral( resolveHttpConfig( pConfig, this.config ) )), url: pUrl } );
+        }
+
+        /**
+         * Returns the directives of the request's Cache-Control header,
+         * adding those equivalent to the cache mode of the configuration, if one is specified.
+         */
+        #resolveRequestControl( pConfig, pRequestHeaders )
+        {
+            const mode = lcase( asString( pConfig?.cache || toHttpConfigLiteral( resolveHttpConfig( pConfig ) )?.cache, true ) );
+
+            const directives =
+                {
+                    "no-store": "no-store",
+                    "no-cache": "no-cache",
+                    "force-cache": "max-stale",
+                    "only-if-cached": "only-if-cached, max-stale"
+                };
+
+            const headerValue = CacheControl.from( pRequestHeaders ).toString();
+
+            return { mode, control: CacheControl.from( [headerValue, directives[mode]].filter( e => !isBlank( asString( e, true ) ) ).join( ", " ) ) };
+        }
+
+        async #readBody( pResponseData )
+        {
+            const response = pResponseData?.frameworkResponse;
+
+            if ( _ud !== typeof Response && response instanceof Response && !response.bodyUsed )
+            {
+                return new Uint8Array( await response.arrayBuffer() );
+            }
+
+            let data = isFunction( pResponseData?.resolveData ) ? await asyncAttempt( async() => await pResponseData.resolveData() ) : pResponseData?.data;
+
+            if ( _ud !== typeof ReadableStream && data instanceof ReadableStream )
+            {
+                data = await asyncAttempt( async() => await new Response( data ).arrayBuffer() );
+            }
+
+            return data;
+        }
+
+        async #store( pMethod, pUrl, pConfig, pRequestHeaders, pResponseData, pRequestTime )
+        {
+            const responseData = ResponseData.from( pResponseData );
+
+            if ( !this.#cache.isStorable( pMethod, responseData.status, responseData.headers, pRequestHeaders ) )
+            {
+                return pResponseData;
+            }
+
+            const cachedResponse = new CachedResponse(
+                {
+                    method: pMethod,
+                    url: pUrl,
+                    status: responseData.status,
+                    statusText: responseData.statusText,
+                    headers: responseData.headers,
+                    body: (VERBS.HEAD === pMethod ? null : await this.#readBody( responseData )),
+                    requestHeaders: pRequestHeaders,
+                    requestTime: pRequestTime,
+                    responseTime: Date.now(),
+                    heuristicFraction: this.#cache.heuristicFraction
+                } );
+
+            await this.#cache.put( cachedResponse );
+
+            return this.#toResponseData( cachedResponse, pConfig, pUrl );
+        }
+
+        /**
+         * Asks the server whether the stored response is still current,
+         * returning the stored response when the server replies 304 (Not Modified),
+         * the new response when it sends one,
+         * or the stale response if the server fails and the response allows it to be used in that case.
+         */
+        async #revalidate( pStoredResponse, pMethod, pUrl, pConfig, pRequestHeaders, pRequestControl, ...pArgs )
+        {
+            const config = toHttpConfigLiteral( resolveHttpConfig( pConfig, this.config ) );
+
+            const conditionalConfig = { ...config, headers: { ...(toHeaderLiteral( config?.headers )), ...(pStoredResponse.conditionalHeaders) } };
+
+            const requestTime = Date.now();
+
+            let responseData = null;
+            let error = null;
+
+            try
+            {
+                responseData = await this.#send( pMethod, pUrl, conditionalConfig, null, ...pArgs );
+            }
+            catch( ex )
+            {
+                error = resolveError( ex );
+            }
+
+            const status = asInt( responseData?.status );
+
+            if ( STATUS_CODES.NOT_MODIFIED === status )
+            {
+                const refreshed = pStoredResponse.freshen( responseData.headers, requestTime );
+
+                await this.#cache.put( refreshed );
+
+                this.#notify( CACHE_STATUS.REVALIDATED, pMethod, pUrl, refreshed );
+
+                return this.#toResponseData( refreshed, pConfig, pUrl );
+            }
+
+            const failed = !isNull( error ) || isNull( responseData ) || status <= 0 || STALE_IF_ERROR_STATUSES.includes( status );
+
+            if ( failed && pStoredResponse.isWithinStaleIfError( this.#cache.shared, pRequestControl ) )
+            {
+                this.#notify( CACHE_STATUS.STALE, pMethod, pUrl, pStoredResponse );
+
+                return this.#toResponseData( pStoredResponse, pConfig, pUrl );
+            }
+
+            if ( !isNull( error ) )
+            {
+                throw error;
+            }
+
+            this.#notify( CACHE_STATUS.MISS, pMethod, pUrl );
+
+            return await this.#store( pMethod, pUrl, pConfig, pRequestHeaders, responseData, requestTime );
+        }
+
+        #revalidateInBackground( pStoredResponse, pMethod, pUrl, pConfig, pRequestHeaders, pRequestControl )
+        {
+            const me = this;
+
+            const key = ResponseCache.calculateKey( pMethod, pUrl );
+
+            if ( !this.#revalidations.has( key ) )
+            {
+                const revalidation = this.#revalidate( pStoredResponse, pMethod, pUrl, pConfig, pRequestHeaders, pRequestControl )
+                                         .catch( ex => toolBocksModule.reportError( ex, ex?.message, "warn", me ) )
+                                         .finally( () => me.#revalidations.delete( key ) );
+
+                this.#revalidations.set( key, revalidation );
+            }
+        }
+
+        /**
+         * Invalidates the responses stored for the url of an unsafe request that succeeded,
+         * and for the urls in its Location and Content-Location headers that share its origin.
+         */
+        async #invalidate( pUrl, pResponseData )
+        {
+            const headers = toHeaderLiteral( pResponseData?.headers );
+
+            const origin = attempt( () => new URL( pUrl ).origin );
+
+            const urls = [pUrl, headers["location"], headers["content-location"]].filter( e => !isBlank( asString( e, true ) ) )
+                                                                                   .map( e => attempt( () => new URL( e, pUrl ) ) )
+                                                                                   .filter( e => !isNull( e ) && e.origin === origin )
+                                                                                   .map( e => cleanUrl( e.href, true ) );
+
+            for( const url of unique( [cleanUrl( asString( pUrl, true ), true ), ...urls] ) )
+            {
+                await this.#cache.invalidate( url );
+            }
+        }
+
+        async sendRequest( pMethod, pUrl, pConfig, pBody, pRedirects, pRetries, pResolve, pReject )
+        {
+            const config = resolveHttpConfig( pConfig, this.config );
+
+            const method = resolveHttpMethod( pMethod || config?.method );
+
+            const url = cleanUrl( asString( resolveUrl( pUrl, config ), true ), true );
+
+            if ( ![VERBS.GET, VERBS.HEAD].includes( method ) )
+            {
+                const responseData = await this.#send( method, url, pConfig, pBody, pRedirects, pRetries, pResolve, pReject );
+
+                const status = asInt( responseData?.status );
+
+                if ( status >= 200 && status < 400 )
+                {
+                    await this.#invalidate( url, responseData );
+                }
+
+                return responseData;
+            }
+
+            const requestHeaders = toHeaderLiteral( pConfig?.headers || config?.headers );
+
+            const { mode, control } = this.#resolveRequestControl( pConfig, requestHeaders );
+
+            if ( control.noStore )
+            {
+                this.#notify( CACHE_STATUS.BYPASS, method, url );
+
+                return await this.#send( method, url, pConfig, null, pRedirects, pRetries, pResolve, pReject );
+            }
+
+            const shared = this.#cache.shared;
+
+            const stored = "reload" === mode ? null : await this.#cache.match( method, url, requestHeaders );
+
+            if ( !isNull( stored ) )
+            {
+                if ( stored.isFresh( shared, control ) )
+                {
+                    this.#notify( CACHE_STATUS.HIT, method, url, stored );
+
+                    return this.#toResponseData( stored, pConfig, url );
+                }
+
+                if ( !control.onlyIfCached )
+                {
+                    if ( !control.noCache && stored.isWithinStaleWhileRevalidate( shared ) )
+                    {
+                        this.#revalidateInBackground( stored, method, url, pConfig, requestHeaders, control );
+
+                        this.#notify( CACHE_STATUS.STALE, method, url, stored );
+
+                        return this.#toResponseData( stored, pConfig, url );
+                    }
+
+                    return await this.#revalidate( stored, method, url, pConfig, requestHeaders, control, pRedirects, pRetries, pResolve, pReject );
+                }
+            }
+
+            if ( control.onlyIfCached )
+            {
+                this.#notify( CACHE_STATUS.MISS, method, url );
+
+                return new ResponseData( new Response( null, { status: STATUS_CODES.GATEWAY_TIMEOUT, statusText: "Gateway Timeout" } ), { url } );
+            }
+
+            const requestTime = Date.now();
+
+            const responseData = await this.#send( method, url, pConfig, null, pRedirects, pRetries, pResolve, pReject );
+
+            this.#notify( CACHE_STATUS.MISS, method, url );
+
+            return await this.#store( method, url, pConfig, requestHeaders, responseData, requestTime );
+        }
+    }
+
     class HttpClient extends IHttpClient
     {
         #config;
@@ -1055,8 +1613,19 @@ const { _ud = "undefined", $scope } = constants;
 
             this.#options = { ...DEFAULT_HTTP_CLIENT_OPTIONS, ...(asObject( pOptions ?? pDefaultDelegate?.options ?? {} )) };
 
+            // this client applies its own interceptors, authorization provider, and circuit breaker; the delegates it creates from these options must not apply them again
+            delete this.#options.interceptors;
+            delete this.#options.auth;
+            delete this.#options.circuitBreaker;
+
             this.#defaultDelegate = IHttpClient.resolveDelegate( (pDefaultDelegate ?? pDelegates), this.#config, this.#options );
 
+            // options.cache (true, a ResponseCache, a Map, or ResponseCacheOptions) places a cache in front of the default delegate
+            if ( !isNull( this.#options.cache ) && false !== this.#options.cache && !(this.#defaultDelegate instanceof CachingHttpClient) )
+            {
+                this.#defaultDelegate = new CachingHttpClient( this.#config, { ...this.#options, delegate: this.#defaultDelegate } );
+            }
+
             this.#maxRedirects = asInt( (this.#config.maxRedirects ?? this.#options.maxRedirects ?? MAX_REDIRECTS), MAX_REDIRECTS );
 
             this.#populateDelegates( (pDelegates || this.#options?.delegates || this.#config?.delegates), this.#defaultDelegate );
@@ -1282,6 +1851,54 @@ const { _ud = "undefined", $scope } = constants;
             return isHttpClient( delegate ) ? delegate : isHttpClient( this.#defaultDelegate ) ? this.#defaultDelegate : new HttpFetchClient( (pConfig || this.config), this.options );
         }
 
+        /**
+         * Sends the request through this client's interceptors
+         * to the delegate registered for the method and content type of the (intercepted) configuration.<br>
+         * <br>
+         * The delegate's method named by pDelegateMethod (such as 'sendPostRequest') is called if it exists,
+         * otherwise its sendRequest method is called, and, failing that, fetch is used.
+         *
+         * @param {string|HttpVerb} pMethod         The HTTP method of the request
+         * @param {string|null} pDelegateMethod     The name of the verb-specific method of the delegate to call, if any
+         * @param {string} pUrl                     The URL of the request
+         * @param {HttpConfig} pConfig              The configuration of the request
+         * @param {*} pBody                         The body of the request, if any
+         * @param {number} pRedirects               The number of redirects already followed
+         * @param {number} pRetries                 The number of times the request has already been retried
+         * @param {Function} pResolve               An optional function to call with the response
+         * @param {Function} pReject                An optional function to call with an error
+         *
+         * @returns {Promise<ResponseData|Response|*>}
+         */
+        async #dispatch( pMethod, pDelegateMethod, pUrl, pConfig, pBody, pRedirects, pRetries, pResolve, pReject )
+        {
+            const method = resolveHttpMethod( pMethod );
+
+            // the verb-specific methods for GET, HEAD, OPTIONS, and TRACE do not accept a body
+            const acceptsBody = ![VERBS.GET, VERBS.HEAD, VERBS.OPTIONS, VERBS.TRACE].includes( method );
+
+            const send = async( pRequestUrl, pRequestConfig, pRequestBody ) =>
+            {
+                const delegate = this.getDelegate( method, pRequestConfig ) || new HttpFetchClient( pRequestConfig, this.options );
+
+                if ( !isBlank( pDelegateMethod ) && isFunction( delegate[pDelegateMethod] ) )
+                {
+                    const args = acceptsBody ? [pRequestUrl, pRequestConfig, pRequestBody] : [pRequestUrl, pRequestConfig];
+
+                    return await asyncAttempt( async() => await delegate[pDelegateMethod]( ...args, pRedirects, pRetries, pResolve, pReject ) );
+                }
+
+                if ( isFunction( delegate.sendRequest ) )
+                {
+                    return await asyncAttempt( async() => await delegate.sendRequest( method, pRequestUrl, pRequestConfig, pRequestBody, pRedirects, pRetries, pResolve, pReject ) );
+                }
+
+                return fetch( pRequestUrl, await HttpConfig.toFetchRequestInitOptions( pRequestConfig ) );
+            };
+
+            return this.intercept( method, pUrl, pConfig, pBody, send );
+        }
+
         async sendRequest( pMethod, pUrl, pConfig, pBody, pRedirects, pRetries, pResolve, pReject )
         {
             const cfg = await HttpConfig.prepareConfig( resolveHttpConfig( pConfig, this.config ),
@@ -1293,14 +1910,7 @@ const { _ud = "undefined", $scope } = constants;
 
             const method = resolveHttpMethod( pMethod || cfg.method );
 
-            const delegate = this.getDelegate( method, cfg ) || new HttpFetchClient( cfg, this.options );
-
-            if ( isFunction( delegate.sendRequest ) )
-            {
-                return await asyncAttempt( async() => await delegate.sendRequest( method, url, cfg, (cfg.body || cfg.data || pBody), pRedirects, pRetries, pResolve, pReject ) );
-            }
-
-            return fetch( url, await HttpConfig.toFetchRequestInitOptions( cfg ) );
+            return this.#dispatch( method, null, url, cfg, (cfg.body || cfg.data || pBody), pRedirects, pRetries, pResolve, pReject );
         }
 
         async #handleRedirect( pResponseData, pConfig, pRedirects )
@@ -1336,19 +1946,7 @@ const { _ud = "undefined", $scope } = constants;
 
             const url = resolveUrl( pUrl, cfg );
 
-            const delegate = this.getDelegate( VERBS.GET, cfg ) || new HttpFetchClient( cfg, this.options );
-
-            if ( isFunction( delegate.sendGetRequest ) )
-            {
-                return await asyncAttempt( async() => await delegate.sendGetRequest( url, cfg, pRedirects, pRetries, pResolve, pReject ) );
-            }
-
-            if ( isFunction( delegate.sendRequest ) )
-            {
-                return await asyncAttempt( async() => await delegate.sendRequest( VERBS.GET, url, cfg, null, pRedirects, pRetries, pResolve, pReject ) );
-            }
-
-            return fetch( url, await HttpConfig.toFetchRequestInitOptions( cfg ) );
+            return this.#dispatch( VERBS.GET, "sendGetRequest", url, cfg, null, pRedirects, pRetries, pResolve, pReject );
         }
 
         async getRequestedData( pUrl, pConfig, pRedirects = 0, pRetries = 0, pResolve, pReject )
@@ -1363,14 +1961,17 @@ const { _ud = "undefined", $scope } = constants;
 
             const delegate = this.getDelegate( VERBS.GET, cfg ) || new HttpFetchClient( cfg, this.options );
 
-            if ( isFunction( delegate.getRequestedData ) )
+            // when this client has interceptors, the request is sent by sendGetRequest, which applies them
+            const intercepted = !this.interceptors.isEmpty;
+
+            if ( isFunction( delegate.getRequestedData ) && !intercepted )
             {
                 return await asyncAttempt( async() => await delegate.getRequestedData( url, cfg, pRedirects, pRetries, pResolve, pReject ) );
             }
 
-            if ( isFunction( delegate.sendGetRequest ) )
+            if ( isFunction( delegate.sendGetRequest ) || intercepted )
             {
-                let responseData = await asyncAttempt( async() => await delegate.sendGetRequest( url, cfg, pRedirects, pRetries, pResolve, pReject ) );
+                let responseData = await asyncAttempt( async() => intercepted ? await me.sendGetRequest( url, cfg, pRedirects, pRetries, pResolve, pReject ) : await delegate.sendGetRequest( url, cfg, pRedirects, pRetries, pResolve, pReject ) );
 
                 responseData = responseData instanceof ResponseData ? responseData : new ResponseData( responseData );
 
@@ -1380,7 +1981,14 @@ const { _ud = "undefined", $scope } = constants;
 
                     if ( ResponseData.isOk( status ) || (status >= 200 && status < 300) )
                     {
-                        return responseData.data || responseData.body;
+                        let info = responseData.data || responseData.body;
+
+                        if ( info instanceof ReadableStream && !info.locked )
+                        {
+                            return await readStream( info, HttpHeaders.getHeaderValue( responseData.headers, "Content-Type" ), true );
+                        }
+
+                        return info;
                     }
                     else if ( status >= 300 && status < 400 )
                     {
@@ -1417,19 +2025,7 @@ const { _ud = "undefined", $scope } = constants;
 
             const url = resolveUrl( pUrl, cfg );
 
-            const delegate = this.getDelegate( VERBS.POST, cfg ) || new HttpFetchClient( cfg, this.options );
-
-            if ( isFunction( delegate.sendPostRequest ) )
-            {
-                return await asyncAttempt( async() => await delegate.sendPostRequest( url, cfg, (cfg.body || cfg.data || pBody), pRedirects, pRetries, pResolve, pReject ) );
-            }
-
-            if ( isFunction( delegate.sendRequest ) )
-            {
-                return await asyncAttempt( async() => await delegate.sendRequest( VERBS.POST, url, cfg, (cfg.body || cfg.data || pBody), pRedirects, pRetries, pResolve, pReject ) );
-            }
-
-            return fetch( url, await HttpConfig.toFetchRequestInitOptions( cfg ) );
+            return this.#dispatch( VERBS.POST, "sendPostRequest", url, cfg, (cfg.body || cfg.data || pBody), pRedirects, pRetries, pResolve, pReject );
         }
 
         async sendPutRequest( pUrl, pConfig, pBody, pRedirects, pRetries, pResolve, pReject )
@@ -1441,19 +2037,7 @@ const { _ud = "undefined", $scope } = constants;
 
             const url = resolveUrl( pUrl, cfg );
 
-            const delegate = this.getDelegate( VERBS.PUT, cfg ) || new HttpFetchClient( cfg, this.options );
-
-            if ( isFunction( delegate.sendPutRequest ) )
-            {
-                return await asyncAttempt( async() => await delegate.sendPutRequest( url, cfg, (cfg.body || cfg.data || pBody), pRedirects, pRetries, pResolve, pReject ) );
-            }
-
-            if ( isFunction( delegate.sendRequest ) )
-            {
-                return await asyncAttempt( async() => await delegate.sendRequest( VERBS.PUT, url, cfg, (cfg.body || cfg.data || pBody), pRedirects, pRetries, pResolve, pReject ) );
-            }
-
-            return fetch( url, await HttpConfig.toFetchRequestInitOptions( cfg ) );
+            return this.#dispatch( VERBS.PUT, "sendPutRequest", url, cfg, (cfg.body || cfg.data || pBody), pRedirects, pRetries, pResolve, pReject );
         }
 
         async sendPatchRequest( pUrl, pConfig, pBody, pRedirects, pRetries, pResolve, pReject )
@@ -1465,19 +2049,7 @@ const { _ud = "undefined", $scope } = constants;
 
             const url = resolveUrl( pUrl, cfg );
 
-            const delegate = this.getDelegate( VERBS.PATCH, cfg ) || new HttpFetchClient( cfg, this.options );
-
-            if ( isFunction( delegate.sendPatchRequest ) )
-            {
-                return await asyncAttempt( async() => await delegate.sendPatchRequest( url, cfg, (cfg.body || cfg.data || pBody), pRedirects, pRetries, pResolve, pReject ) );
-            }
-
-            if ( isFunction( delegate.sendRequest ) )
-            {
-                return await asyncAttempt( async() => await delegate.sendRequest( VERBS.PATCH, url, cfg, (cfg.body || cfg.data || pBody), pRedirects, pRetries, pResolve, pReject ) );
-            }
-
-            return fetch( url, await HttpConfig.toFetchRequestInitOptions( cfg ) );
+            return this.#dispatch( VERBS.PATCH, "sendPatchRequest", url, cfg, (cfg.body || cfg.data || pBody), pRedirects, pRetries, pResolve, pReject );
         }
 
         async sendDeleteRequest( pUrl, pConfig, pBody, pRedirects, pRetries, pResolve, pReject )
@@ -1489,19 +2061,7 @@ const { _ud = "undefined", $scope } = constants;
 
             const url = resolveUrl( pUrl, cfg );
 
-            const delegate = this.getDelegate( VERBS.DELETE, cfg ) || new HttpFetchClient( cfg, this.options );
-
-            if ( isFunction( delegate.sendDeleteRequest ) )
-            {
-                return await asyncAttempt( async() => await delegate.sendDeleteRequest( url, cfg, (cfg.body || cfg.data || pBody), pRedirects, pRetries, pResolve, pReject ) );
-            }
-
-            if ( isFunction( delegate.sendRequest ) )
-            {
-                return await asyncAttempt( async() => await delegate.sendRequest( VERBS.DELETE, url, cfg, (cfg.body || cfg.data || pBody), pRedirects, pRetries, pResolve, pReject ) );
-            }
-
-            return fetch( url, await HttpConfig.toFetchRequestInitOptions( cfg ) );
+            return this.#dispatch( VERBS.DELETE, "sendDeleteRequest", url, cfg, (cfg.body || cfg.data || pBody), pRedirects, pRetries, pResolve, pReject );
         }
 
         async sendHeadRequest( pUrl, pConfig, pRedirects, pRetries, pResolve, pReject )
@@ -1512,19 +2072,7 @@ const { _ud = "undefined", $scope } = constants;
 
             const url = resolveUrl( pUrl, cfg );
 
-            const delegate = this.getDelegate( VERBS.HEAD, cfg ) || new HttpFetchClient( cfg, this.options );
-
-            if ( isFunction( delegate.sendHeadRequest ) )
-            {
-                return await asyncAttempt( async() => await delegate.sendHeadRequest( url, cfg, pRedirects, pRetries, pResolve, pReject ) );
-            }
-
-            if ( isFunction( delegate.sendRequest ) )
-            {
-                return await asyncAttempt( async() => await delegate.sendRequest( VERBS.HEAD, url, cfg, null, pRedirects, pRetries, pResolve, pReject ) );
-            }
-
-            return fetch( url, await HttpConfig.toFetchRequestInitOptions( cfg ) );
+            return this.#dispatch( VERBS.HEAD, "sendHeadRequest", url, cfg, null, pRedirects, pRetries, pResolve, pReject );
         }
 
         async sendOptionsRequest( pUrl, pConfig, pRedirects, pRetries, pResolve, pReject )
@@ -1535,19 +2083,7 @@ const { _ud = "undefined", $scope } = constants;
 
             const url = resolveUrl( pUrl, cfg );
 
-            const delegate = this.getDelegate( VERBS.OPTIONS, cfg ) || new HttpFetchClient( cfg, this.options );
-
-            if ( isFunction( delegate.sendOptionsRequest ) )
-            {
-                return await asyncAttempt( async() => await delegate.sendOptionsRequest( url, cfg, pRedirects, pRetries, pResolve, pReject ) );
-            }
-
-            if ( isFunction( delegate.sendRequest ) )
-            {
-                return await asyncAttempt( async() => await delegate.sendRequest( VERBS.OPTIONS, url, cfg, null, pRedirects, pRetries, pResolve, pReject ) );
-            }
-
-            return fetch( url, await HttpConfig.toFetchRequestInitOptions( cfg ) );
+            return this.#dispatch( VERBS.OPTIONS, "sendOptionsRequest", url, cfg, null, pRedirects, pRetries, pResolve, pReject );
         }
 
         async sendTraceRequest( pUrl, pConfig, pRedirects, pRetries, pResolve, pReject )
@@ -1558,22 +2094,31 @@ const { _ud = "undefined", $scope } = constants;
 
             const url = resolveUrl( pUrl, cfg );
 
-            const delegate = this.getDelegate( VERBS.TRACE, cfg ) || new HttpFetchClient( cfg, this.options );
-
-            if ( isFunction( delegate.sendTraceRequest ) )
-            {
-                return await asyncAttempt( async() => await delegate.sendTraceRequest( url, cfg, pRedirects, pRetries, pResolve, pReject ) );
-            }
+            return this.#dispatch( VERBS.TRACE, "sendTraceRequest", url, cfg, null, pRedirects, pRetries, pResolve, pReject );
+        }
 
-            if ( isFunction( delegate.sendRequest ) )
+        /**
+         * Sends the specified body to the specified URL, in a POST request unless the configuration specifies another method.<br>
+         * A MultipartForm is streamed, with the headers that describe it,
+         * and its progress events are dispatched by this client.
+         *
+         * @param {string} pUrl                                   the URL to which to send the body
+         * @param {HttpConfig|Object} pConfig                     the configuration of the request
+         * @param {MultipartForm|*} pBody                         the body to send
+         *
+         * @returns {Promise<ResponseData>}
+         */
+        async upload( pUrl, pConfig, pBody )
+        {
+            if ( isMultipartForm( pBody ) )
             {
-                return await asyncAttempt( async() => await delegate.sendRequest( VERBS.TRACE, url, cfg, null, pRedirects, pRetries, pResolve, pReject ) );
+                return sendMultipartForm( this, pBody, (pConfig || this.config), async( pFormConfig ) => this.#uploadWithDelegate( pUrl, pFormConfig, pBody ) );
             }
 
-            return fetch( url, await HttpConfig.toFetchRequestInitOptions( cfg ) );
+            return this.#uploadWithDelegate( pUrl, pConfig, pBody );
         }
 
-        async upload( pUrl, pConfig, pBody )
+        async #uploadWithDelegate( pUrl, pConfig, pBody )
         {
             const cfg = await HttpConfig.prepareConfig( resolveHttpConfig( pConfig, this.config ),
                                                         resolveUrl( pUrl, pConfig || this.config ),
@@ -1592,7 +2137,24 @@ const { _ud = "undefined", $scope } = constants;
             return this.sendRequest( (cfg.method || VERBS.POST), url, cfg, (cfg.body || cfg.data || pBody) );
         }
 
-        async download( pUrl, pConfig, pOutputPath = ".", pFileName = _mt, pNamingFunction )
+        /**
+         * Downloads the content at the specified URL to a file in the specified directory.<br>
+         * <br>
+         * If options are specified, the download is resumable (see HttpDownload):
+         * the content is written to a partial file, a failed request is sent again for only the bytes still missing,
+         * and the content can be requested as segments over several connections and verified against a checksum.<br>
+         * The progress events of a resumable download are dispatched by this client as well.
+         *
+         * @param {string} pUrl                     the URL of the content
+         * @param {HttpConfig|Object} pConfig       the configuration of the request(s)
+         * @param {string} [pOutputPath="."]        the directory to which to write the file
+         * @param {string} [pFileName]              the name of the file, if the response does not suggest one
+         * @param {function} [pNamingFunction]      a function that returns the name of the file, given the name suggested and the context of the response
+         * @param {Object} [pOptions]               the options of a resumable download, described by DEFAULT_DOWNLOAD_OPTIONS
+         *
+         * @returns {Promise<string>} the path of the file written
+         */
+        async download( pUrl, pConfig, pOutputPath = ".", pFileName = _mt, pNamingFunction, pOptions )
         {
             let outputPath = toUnixPath( asString( pOutputPath, true ) ) || ".";
 
@@ -1602,6 +2164,11 @@ const { _ud = "undefined", $scope } = constants;
 
             const url = resolveUrl( pUrl, cfg );
 
+            if ( isNonNullObject( pOptions ) )
+            {
+                return this.#resumableDownload( url, HttpConfig.mergeConfigs( DEFAULT_HTTP_DOWNLOAD_CONFIG, cfg ), outputPath, pFileName, pNamingFunction, pOptions );
+            }
+
             const delegate = this.getDelegate( (cfg.method || VERBS.GET), cfg ) || new HttpFetchClient( cfg, this.options );
 
             if ( isFunction( delegate?.download ) )
@@ -1651,6 +2218,63 @@ const { _ud = "undefined", $scope } = constants;
 
             return _mt;
         }
+
+        async #resumableDownload( pUrl, pConfig, pOutputPath, pFileName, pNamingFunction, pOptions )
+        {
+            // the name of the file is calculated from the first response, as for any other download
+            const resolveFilePath = ( pResponseData ) =>
+            {
+                const context = updateContext( pConfig, pResponseData );
+
+                const fileName = calculateFileName( pResponseData, context, pNamingFunction, (asString( pFileName, true ) || undefined) );
+
+                return path.join( asString( pOutputPath, true ).replace( fileName, _mt ), fileName );
+            };
+
+            const download = new HttpDownload( this, pUrl, pConfig, resolveFilePath, pOptions );
+
+            download.addEventListener( DOWNLOAD_EVENTS.PROGRESS, ( pEvent ) => this.dispatchEvent( new ModuleEvent( DOWNLOAD_EVENTS.PROGRESS, pEvent.detail ) ) );
+
+            return download.start();
+        }
+
+        /**
+         * Opens a connection to the event stream at the specified URL,
+         * returning an HttpEventSource that dispatches the events the server sends
+         * and reconnects when the connection is lost.<br>
+         * <br>
+         * The requests are sent by this client, with the configuration specified,
+         * so they carry the same headers (including those that authorize them) as any other request.
+         *
+         * @param {string} pUrl                               the URL of the event stream
+         * @param {HttpConfig|ConfigFactory|Object} pConfig   the configuration of the requests
+         * @param {Object} [pOptions]                         the options described by DEFAULT_EVENT_SOURCE_OPTIONS
+         *
+         * @returns {HttpEventSource}
+         */
+        eventSource( pUrl, pConfig, pOptions )
+        {
+            return new HttpEventSource( pUrl, { ...(asObject( pOptions || {} )), client: this, config: (pConfig || this.config) } );
+        }
+
+        /**
+         * Returns an HttpPaginator that iterates the items of the pages that start at the specified URL,
+         * requesting each page only when the consumer asks for it.<br>
+         * Its pages method iterates the pages themselves.<br>
+         * <br>
+         * The pages are requested by this client, so a RateLimitedHttpClient queues them as it would any other request.
+         *
+         * @param {string} pUrl                     the URL of the first page
+         * @param {HttpConfig|Object} pConfig       the configuration of the requests
+         * @param {Object} [pOptions]               the options described by DEFAULT_PAGINATION_OPTIONS,
+         *                                          including those of the strategy (such as cursorPath or limit)
+         *
+         * @returns {HttpPaginator}
+         */
+        paginate( pUrl, pConfig, pOptions )
+        {
+            return new HttpPaginator( this, pUrl, (pConfig || this.config), pOptions );
+        }
     }
 
     HttpClient.resolveUrl = resolveUrl;
@@ -1880,7 +2504,9 @@ const { _ud = "undefined", $scope } = constants;
 
             const me = this;
 
-            setTimeout( me.timerFunction, this.#interval?.milliseconds );
+            // the window is also reset the next time it is used, so this timer must not keep the process alive
+            const timer = setTimeout( me.timerFunction, this.#interval?.milliseconds );
+            attemptSilent( () => timer.unref() );
         }
 
         /**
@@ -1990,7 +2616,8 @@ const { _ud = "undefined", $scope } = constants;
             this.#numMade = 0;
 
             const me = this;
-            setTimeout( me.timerFunction, this.#interval?.milliseconds );
+            const timer = setTimeout( me.timerFunction, this.#interval?.milliseconds );
+            attemptSilent( () => timer.unref() );
         }
 
         /**
@@ -2240,7 +2867,7 @@ const { _ud = "undefined", $scope } = constants;
                 }
             }
 
-            return map.values();
+            return [...map.values()];
         }
 
         increment()
@@ -2589,7 +3216,9 @@ const { _ud = "undefined", $scope } = constants;
 
             this.#processing = false;
 
-            setTimeout( async function() { await me.process( pHttpClient ); }, 1_000 );
+            // the queue is processed again when the next request is sent, so this timer must not keep the process alive
+            const timer = setTimeout( async function() { await me.process( pHttpClient ); }, 1_000 );
+            attemptSilent( () => timer.unref() );
 
             return numProcessed;
         }
@@ -2878,15 +3507,23 @@ const { _ud = "undefined", $scope } = constants;
         {
             const me = this;
 
-            const delegate = this.delegate;
-
             const queue = this.requestQueue;
 
             const method = resolveHttpMethod( pMethod );
 
+            const delegate = this.getDelegate( method, pConfig );
+
             // noinspection JSValidateTypes,TypeScriptUMDGlobal
             return new Promise( ( resolve, reject ) =>
                                 {
+                                    // a request to a host whose circuit is open fails now, rather than waiting in the queue
+                                    const circuitOpenError = me.circuitBreakers?.checkCallPermitted( pUrl );
+
+                                    if ( !isNull( circuitOpenError ) )
+                                    {
+                                        return (pResolve || resolve)( new ResponseData( circuitOpenError, pConfig, pConfig ) );
+                                    }
+
                                     const group = me.getRateLimitsGroup( pUrl, me.requestGroupMapper, me.config, me.options );
 
                                     const delay = me.calculateDelay( group );
@@ -2906,15 +3543,12 @@ const { _ud = "undefined", $scope } = constants;
 
                                         const sendFunction = async() =>
                                         {
+                                            // the interceptors are applied when the request is actually sent, after any delay or time in the queue
                                             const delegated = async function()
                                             {
-                                                return asyncAttempt( async() => delegate.sendRequest( pUrl,
-                                                                                                      pConfig,
-                                                                                                      pBody,
-                                                                                                      pRedirects,
-                                                                                                      pRetries,
-                                                                                                      pResolve || resolve,
-                                                                                                      pReject || reject ) );
+                                                const send = async( pRequestUrl, pRequestConfig, pRequestBody ) => delegate.sendRequest( method, pRequestUrl, pRequestConfig, pRequestBody, pRedirects, pRetries );
+
+                                                return asyncAttempt( async() => me.intercept( method, pUrl, pConfig, pBody, send ) );
                                             };
 
                                             attempt( () => rateLimits.increment() );
@@ -2934,14 +3568,15 @@ const { _ud = "undefined", $scope } = constants;
                                         sleep( delay ).then( sendFunction ).catch( (pReject || reject || console.error) ).finally( finallyFunction );
 
                                         // setTimeout for processing anything left in the queue
-                                        setTimeout( finallyFunction, (delay * 2) );
+                                        const timer = setTimeout( finallyFunction, (delay * 2) );
+                                        attemptSilent( () => timer.unref() );
                                     }
                                 } );
         }
 
         async queueRequest( pMethod, pUrl, pConfig, pBody, pResolve, pReject )
         {
-            const cfg = this.resolveConfig( pConfig, pUrl );
+            const cfg = await this.resolveConfig( pConfig, pUrl );
 
             const method = resolveHttpMethod( cfg.method || VERBS.GET );
             cfg.method = method || VERBS.GET;
@@ -3048,7 +3683,8 @@ const { _ud = "undefined", $scope } = constants;
                                         sleep( delay ).then( sendFunction ).catch( reject ).finally( finallyFunction );
 
                                         // setTimeout for processing anything left in the queue
-                                        setTimeout( finallyFunction, (delay * 2) );
+                                        const timer = setTimeout( finallyFunction, (delay * 2) );
+                                        attemptSilent( () => timer.unref() );
                                     }
                                 } );
         }
@@ -3067,6 +3703,11 @@ const { _ud = "undefined", $scope } = constants;
 
         async upload( pUrl, pConfig, pBody )
         {
+            if ( isMultipartForm( pBody ) )
+            {
+                return sendMultipartForm( this, pBody, (pConfig || this.config), async( pFormConfig ) => this.sendPostRequest( pUrl, pFormConfig, pBody ) );
+            }
+
             return this.sendPostRequest( pUrl, pConfig, pBody );
         }
 
@@ -3142,10 +3783,13 @@ const { _ud = "undefined", $scope } = constants;
 
     function createRateLimitedHttpClient( pHttpClient, pConfig, pOptions, ...pRateLimits )
     {
-        let client = pHttpClient || new HttpFetchClient( pConfig, pOptions );
-
         let options = { ...(pOptions || {}) };
 
+        // the interceptors (and the authorization provider and circuit breaker) are applied by the RateLimitedHttpClient, not by the client it decorates
+        let { interceptors, auth, circuitBreaker, ...delegateOptions } = options;
+
+        let client = pHttpClient || new HttpFetchClient( pConfig, delegateOptions );
+
         let cfg = { ...(pConfig || {}) };
 
         if ( isHttpClient( client ) )
@@ -3153,7 +3797,7 @@ const { _ud = "undefined", $scope } = constants;
             return new RateLimitedHttpClient( cfg, options, client, ...pRateLimits );
         }
 
-        return new RateLimitedHttpClient( cfg, options, new HttpFetchClient( cfg, options ), ...pRateLimits );
+        return new RateLimitedHttpClient( cfg, options, new HttpFetchClient( cfg, delegateOptions ), ...pRateLimits );
     }
 
     HttpClient.createRateLimitedHttpClient = createRateLimitedHttpClient;
@@ -3698,7 +4342,17 @@ const { _ud = "undefined", $scope } = constants;
                     httpResponseModule,
                     HttpResponse,
                     responseDataModule,
-                    ResponseData
+                    ResponseData,
+                    httpCacheModule,
+                    ResponseCache,
+                    httpInterceptorsModule,
+                    HttpInterceptors,
+                    httpCircuitBreakerModule,
+                    httpDownloadModule,
+                    httpMultipartModule,
+                    httpEventSourceModule,
+                    httpPaginationModule,
+                    CircuitBreakers
                 },
             classes:
                 {
@@ -3723,7 +4377,9 @@ const { _ud = "undefined", $scope } = constants;
                     RequestGroupMapper,
                     HttpClient,
                     HttpFetchClient,
+                    CachingHttpClient,
                     RateLimitedHttpClient,
+                    HttpInterceptors,
                     Throttler,
                     SimpleRequestThrottler
                 },
@@ -3744,7 +4400,9 @@ const { _ud = "undefined", $scope } = constants;
             HttpConfig,
             HttpClient,
             HttpFetchClient,
+            CachingHttpClient,
             RateLimitedHttpClient,
+            HttpInterceptors,
 
             resolveHttpClient,
 
@@ -274,6 +274,34 @@ const { _ud = "undefined", $scope } = constants;
     const NON_DELEGATED_PROPERTIES = ["url", "method", "data", "body", "properties", "class", ...HTTP_CONFIG_PROPERTY_NAMES];
 
 
+    /**
+     * Returns true if the specified body is sent exactly as it is,
+     * rather than converted to JSON or to form parameters.<br>
+     * This is the case for binary data, a Blob, FormData, a stream,
+     * or any other object that can be read as an async iterable of bytes (such as a MultipartForm).
+     *
+     * @param {*} pBody the body of a request
+     *
+     * @returns {boolean} true if the body is binary or is read as a stream
+     */
+    function isRawBody( pBody )
+    {
+        return isNonNullObject( pBody ) && (ArrayBuffer.isView( pBody ) || instanceOfAny( pBody, ArrayBuffer, Blob, File, FormData, ReadableStream ) || isStreamingBody( pBody ));
+    }
+
+    /**
+     * Returns true if the specified body is read as a stream as the request is sent,
+     * which the Fetch API only allows with the 'half' duplex option
+     *
+     * @param {*} pBody the body of a request
+     *
+     * @returns {boolean} true if the body is a ReadableStream or an async iterable
+     */
+    function isStreamingBody( pBody )
+    {
+        return isNonNullObject( pBody ) && ((_ud !== typeof ReadableStream && pBody instanceof ReadableStream) || isFunction( pBody[Symbol.asyncIterator] ));
+    }
+
     /**
      * Returns the body data that was fetched or should be sent in a request.
      * This function expects the body to be a property of the configuration object specified.
@@ -298,7 +326,7 @@ const { _ud = "undefined", $scope } = constants;
             return body;
         }
 
-        if ( instanceOfAny( body, ArrayBuffer, Blob, DataView, File, FormData, TypedArray, URLSearchParams, ReadableStream ) )
+        if ( instanceOfAny( body, URLSearchParams ) || isRawBody( body ) )
         {
             return body;
         }
@@ -459,7 +487,8 @@ const { _ud = "undefined", $scope } = constants;
 
         constructor( pProperties = {}, pHeaders = {}, pUrl = _mt, pMethod = "GET", pBody = null )
         {
-            const properties = { ...DEFAULT_CONFIG, ...(asObject( pProperties || {} )) };
+            // the properties of another HttpConfig are private, so they are not copied by spreading the object itself
+            const properties = { ...DEFAULT_CONFIG, ...(asObject( ((pProperties instanceof HttpConfig) ? pProperties.properties : pProperties) || {} )) };
 
             this.#properties = { ...(properties || {}) };
 
@@ -693,6 +722,21 @@ const { _ud = "undefined", $scope } = constants;
             return this.properties?.timeout ?? 5_000;
         }
 
+        set timeout( pMilliseconds )
+        {
+            this.#properties = { ...(this.#properties || {}), timeout: pMilliseconds };
+        }
+
+        get signal()
+        {
+            return this.properties?.signal;
+        }
+
+        set signal( pSignal )
+        {
+            this.#properties = { ...(this.#properties || {}), signal: pSignal };
+        }
+
         get withCredentials()
         {
             return this.properties?.withCredentials ?? false;
@@ -1249,6 +1293,14 @@ const { _ud = "undefined", $scope } = constants;
 
         if ( isHttpConfig( httpConfig ) )
         {
+            // a literal passed for a specific request overrides the configuration found on the host
+            if ( httpConfig !== pConfig && isPopulatedObject( pConfig ) && !isHttpConfig( pConfig ) )
+            {
+                const requestConfig = new HttpConfig( pConfig, pConfig.headers, pConfig.url, pConfig.method, pConfig.body || pConfig.data );
+
+                return fixAgents( HttpConfig.mergeConfigs( httpConfig, requestConfig ) );
+            }
+
             return fixAgents( httpConfig );
         }
 
@@ -1332,6 +1384,92 @@ const { _ud = "undefined", $scope } = constants;
         return new HttpConfig( args );
     };
 
+    /**
+     * A watchdog aborts a request when no data has been sent or received for a number of milliseconds.<br>
+     * Each chunk sent or received resets the timer, so a slow but steady upload or download is not abandoned.
+     */
+    class Watchdog
+    {
+        #controller = new AbortController();
+        #timeout;
+        #timer;
+        #signal;
+
+        constructor( pTimeout, pSignal )
+        {
+            this.#timeout = Math.max( 0, asInt( pTimeout, 0 ) );
+
+            this.#signal = isNull( pSignal ) ? this.#controller.signal : AbortSignal.any( [pSignal, this.#controller.signal] );
+
+            this.touch();
+        }
+
+        get signal()
+        {
+            return this.#signal;
+        }
+
+        /**
+         * Restarts the timer
+         */
+        touch()
+        {
+            clearTimeout( this.#timer );
+
+            if ( this.#timeout > 0 )
+            {
+                this.#timer = setTimeout( () => this.#controller.abort( new DOMException( `No data was sent or received for ${this.#timeout} ms`, "TimeoutError" ) ), this.#timeout );
+
+                // like the signal of AbortSignal.timeout, the timer does not keep the process running
+                this.#timer.unref?.();
+            }
+        }
+
+        /**
+         * Pauses the timer until the next call to touch
+         */
+        stop()
+        {
+            clearTimeout( this.#timer );
+        }
+    }
+
+    /**
+     * Returns an async iterable of the chunks of a streamed body that resets the timer of the watchdog specified
+     * as each chunk is read (that is, sent), and once the whole body has been sent
+     *
+     * @param {ReadableStream|AsyncIterable} pBody the body of a request
+     * @param {Watchdog} pWatchdog                 the watchdog whose signal abandons the request
+     *
+     * @returns {AsyncIterable<Uint8Array>}
+     */
+    function watchBody( pBody, pWatchdog )
+    {
+        return {
+            contentLength: pBody?.contentLength,
+            [Symbol.asyncIterator]: async function* ()
+            {
+                for await ( const chunk of pBody )
+                {
+                    pWatchdog.touch();
+
+                    yield chunk;
+                }
+
+                pWatchdog.touch();
+            }
+        };
+    }
+
+    /**
+     * The signals created from the timeout of a configuration,
+     * which are replaced, rather than reused, when the options are mapped again
+     * @type {WeakSet<AbortSignal>}
+     */
+    const TIMEOUT_SIGNALS = new WeakSet();
+
+    const isCallerSignal = ( pSignal ) => (_ud !== typeof AbortSignal) && (pSignal instanceof AbortSignal) && !TIMEOUT_SIGNALS.has( pSignal );
+
     HttpConfig.toFetchRequestInitOptions = async function( pConfig )
     {
         const config = resolveHttpConfig( pConfig );
@@ -1386,7 +1524,22 @@ const { _ud = "undefined", $scope } = constants;
 
             if ( !isNull( body ) )
             {
-                initOpts.body = isNonNullObject( body ) ? attempt( () => asJson( body ) || body ) : body;
+                initOpts.body = (isNonNullObject( body ) && !isRawBody( body )) ? attempt( () => asJson( body ) || body ) : body;
+            }
+
+            // a body read as the request is sent cannot be sent unless the request is declared half-duplex
+            if ( isStreamingBody( initOpts.body ) )
+            {
+                initOpts.duplex = "half";
+
+                // Content-Length is not copied from the configuration (it is a forbidden header),
+                // so it is only sent for a stream that reports its own length, such as a MultipartForm
+                const length = initOpts.body.contentLength;
+
+                if ( isNumber( length ) && length >= 0 )
+                {
+                    initOpts.headers.set( "Content-Length", asString( length ) );
+                }
             }
 
             if ( cfg?.withCredentials ?? config?.withCredentials ?? pConfig?.withCredentials )
@@ -1394,9 +1547,40 @@ const { _ud = "undefined", $scope } = constants;
                 initOpts.credentials = "include";
             }
 
-            if ( cfg?.timeout ?? config?.timeout ?? pConfig?.timeout )
+            const timeout = pConfig?.timeout ?? cfg?.timeout ?? config?.timeout;
+
+            // the timeout is kept, so that the options can be mapped again (as they are before each retry)
+            initOpts.timeout = timeout;
+
+            // a signal specified by the caller is used instead of the timeout, so that the caller decides when the request is abandoned
+            const signal = [pConfig?.signal, cfg?.getProperty?.( "signal" )].find( isCallerSignal );
+
+            if ( !isNull( signal ) )
+            {
+                initOpts.signal = signal;
+            }
+            else if ( timeout && isStreamingBody( initOpts.body ) )
+            {
+                // a streamed body (such as a large upload) can take longer than the timeout to send,
+                // so the timeout limits the time between chunks, and the time to wait for the response once the body is sent
+                const watchdog = new Watchdog( timeout );
+
+                initOpts.body = watchBody( initOpts.body, watchdog );
+                initOpts.signal = watchdog.signal;
+                TIMEOUT_SIGNALS.add( initOpts.signal );
+            }
+            else if ( timeout )
             {
-                initOpts.signal = AbortSignal.timeout( cfg?.timeout ?? config?.timeout ?? pConfig?.timeout );
+                initOpts.signal = AbortSignal.timeout( timeout );
+                TIMEOUT_SIGNALS.add( initOpts.signal );
+            }
+
+            // the cache mode, such as 'no-store' or 'reload', is read by fetch and by CachingHttpClient
+            const cacheMode = cfg?.getProperty?.( "cache" ) ?? config?.getProperty?.( "cache" ) ?? pConfig?.cache;
+
+            if ( !isNull( cacheMode ) )
+            {
+                initOpts.cache = cacheMode;
             }
 
             return initOpts;
@@ -1417,6 +1601,12 @@ const { _ud = "undefined", $scope } = constants;
 
         let contentLength = -1;
 
+        if ( isRawBody( body ) )
+        {
+            // binary data and streams are not decomposed into parameters
+            return { body, params, contentType, contentLength };
+        }
+
         if ( HttpVerb.resolveHttpMethod( pMethod, pConfig ).allowsBody )
         {
             body = await asyncAttempt( async() => await resolveBody( body, pConfig, pParseJson ) );
@@ -2135,7 +2325,8 @@ const { _ud = "undefined", $scope } = constants;
                 {
                     HttpAgentConfig,
                     HttpAgentConfigExtended,
-                    HttpConfig
+                    HttpConfig,
+                    Watchdog
                 },
 
             HttpAgentConfig,
@@ -2159,6 +2350,10 @@ const { _ud = "undefined", $scope } = constants;
 
             resolveUrl,
             resolveBody,
+            isRawBody,
+            isStreamingBody,
+
+            Watchdog,
 
             prepareConfigWithBody,
             prepareConfigWithParams,
@@ -205,6 +205,18 @@ const { _ud = "undefined", $scope } = constants;
         }
     }
 
+    /**
+     * Thrown (or used to reject) when a request is not sent because the circuit for its host is open.<br>
+     * The options of the error include the key of the circuit, its state, and the number of milliseconds until it will allow a trial request.
+     */
+    class CircuitOpenError extends HttpError
+    {
+        constructor( pMsgOrErr, pOptions = {}, ...pArgs )
+        {
+            super( pMsgOrErr, pOptions, ...pArgs );
+        }
+    }
+
     /**
      * Represents an HTTP verb and provides utility methods related to it.
      * @class
@@ -2014,7 +2026,8 @@ const { _ud = "undefined", $scope } = constants;
                     HttpError,
                     ExceedsRateLimitError,
                     ExceedsMaximumRetriesError,
-                    ExceedsMaximumRedirectsError
+                    ExceedsMaximumRedirectsError,
+                    CircuitOpenError
                 },
             STATUS_CODES: lock( STATUS_CODES ),
             STATUS_TEXT: lock( STATUS_TEXT_BY_CODE_STRING ),
@@ -2039,6 +2052,7 @@ const { _ud = "undefined", $scope } = constants;
             ExceedsRateLimitError,
             ExceedsMaximumRetriesError,
             ExceedsMaximumRedirectsError,
+            CircuitOpenError,
             isVerb,
             isHeader,
             isContentType,
@@ -0,0 +1,1227 @@
+/**
+ * @fileOverview
+ * This module defines resumable downloads for the HTTP clients.<br>
+ * <br>
+ * An HttpDownload writes the response to a partial file (the target path plus '.part')
+ * and records its progress in a small state file beside it (the target path plus '.part.json').<br>
+ * When the connection fails, the download continues from the last byte written,
+ * requesting the rest with a Range header and an If-Range validator (the ETag or Last-Modified date),
+ * so the server sends the remainder only if the content has not changed.<br>
+ * Because the state is kept on disk, a download interrupted by the end of the process
+ * continues from the same point the next time it is started.<br>
+ * <br>
+ * When more than one connection is requested and the server accepts ranges,
+ * the content is divided into segments that are requested in parallel
+ * and written at their offsets in the same partial file.<br>
+ * <br>
+ * When all the bytes have been received, the size is verified against the length reported by the server,
+ * the content is verified against a checksum (if one is specified),
+ * and the partial file is renamed to the target path.<br>
+ * <br>
+ * Example:<br>
+ * <code>
+ *     const filePath = await client.download( url, config, "./exports", "export.zip", null, { connections: 4, checksum: "sha256:9f86d0..." } );
+ * </code>
+ *
+ * @see https://www.rfc-editor.org/rfc/rfc9110#name-range-requests
+ *
+ * @module HttpDownload
+ *
+ * @author Scott Bockelman
+ * @license MIT
+ */
+
+/**
+ * Imports the Node.js file system module for writing the partial file and its state
+ */
+const fs = require( "node:fs" );
+
+/**
+ * Imports the Node.js path module for resolving the partial file and the directory of the target path
+ */
+const path = require( "node:path" );
+
+/**
+ * Imports the Node.js crypto module for verifying a checksum
+ */
+const crypto = require( "node:crypto" );
+
+/**
+ * Imports the @toolbocks/core modules for the utility functions required
+ */
+const core = require( "@toolbocks/core" );
+
+/**
+ * Imports the HttpConstants that define common aspects of the HTTP protocol
+ */
+const httpConstants = require( "./HttpConstants.cjs" );
+
+/**
+ * Imports the HttpHeaders module for reading the headers of a response
+ */
+const httpHeaders = require( "./HttpHeaders.cjs" );
+
+/**
+ * Imports the HttpConfig class for adding the range headers to the configuration of each request
+ */
+const httpConfigUtils = require( "./HttpConfigUtils.js" );
+
+const { constants } = core;
+
+const { _ud = "undefined", $scope } = constants;
+
+// noinspection FunctionTooLongJS
+(function exposeModule()
+{
+    const INTERNAL_NAME = "__BOCK__HTTP_DOWNLOAD__";
+
+    if ( $scope() && (null != $scope()[INTERNAL_NAME]) )
+    {
+        return $scope()[INTERNAL_NAME];
+    }
+
+    // import the specific modules from @toolbocks/core that are necessary for this module
+    const { moduleUtils, typeUtils, stringUtils } = core;
+
+    // import the classes, variables, and functions defined in moduleUtils that are used in this module
+    const
+        {
+            ToolBocksModule,
+            ModuleEvent,
+            attempt,
+            attemptSilent,
+            asyncAttemptSilent,
+            sleep,
+            lock
+        } = moduleUtils;
+
+    const { _mt_str = "", _mt = _mt_str } = constants;
+
+    const { isNull, isString, isFunction, isNonNullObject, isError, asObject } = typeUtils;
+
+    const { asString, asInt, isBlank, lcase } = stringUtils;
+
+    const { HttpError, STATUS_CODES, VERBS } = httpConstants;
+
+    const { HttpHeaders } = httpHeaders;
+
+    const { HttpConfig, Watchdog } = httpConfigUtils;
+
+    /**
+     * This is a dictionary of this module's dependencies.
+     * <br>
+     * It is exported as a property of this module,
+     * allowing us to just import this module<br>
+     * and then import or use the other utilities<br>
+     * as properties of this module.
+     * <br>
+     * @dict
+     * @type {Object}
+     * @alias module:HttpDownload#dependencies
+     */
+    const dependencies =
+        {
+            moduleUtils,
+            constants,
+            typeUtils,
+            stringUtils,
+            httpConstants,
+            httpHeaders,
+            httpConfigUtils
+        };
+
+    const modName = "HttpDownload";
+
+    const toolBocksModule = new ToolBocksModule( modName, INTERNAL_NAME );
+
+    /**
+     * The types of the events an HttpDownload dispatches.<br>
+     * <br>
+     * PROGRESS is dispatched as bytes are written (no more often than the progressInterval option allows) and when the download completes.<br>
+     * RETRY is dispatched when a request fails and is about to be sent again.<br>
+     * COMPLETE is dispatched when the file has been verified and moved to the target path.
+     */
+    const DOWNLOAD_EVENTS = lock(
+        {
+            PROGRESS: "progress",
+            RETRY: "retry",
+            COMPLETE: "complete"
+        } );
+
+    /**
+     * The extension appended to the target path for the file written until the download is complete
+     * @type {string}
+     */
+    const PART_EXTENSION = ".part";
+
+    /**
+     * The extension appended to the target path for the file that records the progress of a download
+     * @type {string}
+     */
+    const STATE_EXTENSION = ".part.json";
+
+    /**
+     * The version of the format of the state file; a state file of another version is ignored
+     * @type {number}
+     */
+    const STATE_VERSION = 1;
+
+    /**
+     * The default options of an HttpDownload.<br>
+     * <br>
+     * resume: whether to continue from a partial file left by an earlier attempt (otherwise the download starts over)<br>
+     * connections: the number of segments to request in parallel, if the server accepts ranges<br>
+     * minSegmentSize: the smallest segment worth a connection of its own<br>
+     * maxAttempts: the number of consecutive attempts, without any bytes received, after which a segment fails<br>
+     * retryDelay: the milliseconds to wait before the first retry; each consecutive retry waits this much longer<br>
+     * idleTimeout: the milliseconds to wait for the response, or for the next bytes of the body, before abandoning the request<br>
+     * progressInterval: the minimum number of milliseconds between progress events<br>
+     * checksum: the expected digest of the content, as 'algorithm:digest' or { algorithm, digest } (hex or base64)<br>
+     * signal: an AbortSignal that cancels the download (the partial file is kept, so the download can be resumed)<br>
+     * onProgress: a function called with the detail of each progress event
+     */
+    const DEFAULT_DOWNLOAD_OPTIONS = lock(
+        {
+            resume: true,
+            connections: 1,
+            minSegmentSize: 1_048_576,
+            maxAttempts: 5,
+            retryDelay: 1_000,
+            idleTimeout: 30_000,
+            progressInterval: 500,
+            checksum: null,
+            signal: null,
+            onProgress: null
+        } );
+
+    /**
+     * This class represents the failure of a download,
+     * such as a response the server should not have sent, or a file that is not the length the server reported.<br>
+     * The options of the error include the status of the response, if any.
+     */
+    class DownloadError extends HttpError
+    {
+        #status;
+
+        constructor( pMsgOrErr, pOptions = {}, ...pArgs )
+        {
+            super( pMsgOrErr, pOptions, ...pArgs );
+
+            this.#status = asInt( pOptions?.status, 0 );
+        }
+
+        get status()
+        {
+            return this.#status;
+        }
+
+        /**
+         * Returns true if sending the request again could succeed,
+         * which is not the case when the server rejected the request with a status such as 403 or 404
+         *
+         * @returns {boolean}
+         */
+        get retryable()
+        {
+            const status = this.#status;
+            return status < 400 || status >= 500 || [STATUS_CODES.REQUEST_TIMEOUT, STATUS_CODES.TOO_MANY_REQUESTS].includes( status );
+        }
+    }
+
+    /**
+     * This class represents a download whose content does not match the checksum specified.<br>
+     * The partial file is deleted, so the next attempt starts over.
+     */
+    class ChecksumError extends DownloadError
+    {
+        constructor( pMsgOrErr, pOptions = {}, ...pArgs )
+        {
+            super( pMsgOrErr, pOptions, ...pArgs );
+        }
+    }
+
+    /**
+     * Thrown by a segment when the server answers a range request with the whole content,
+     * because the content has changed or the server no longer accepts ranges.
+     * The download then starts over with a single connection.
+     */
+    class RestartRequired extends Error
+    {
+        constructor( pResponseData )
+        {
+            super( "The server did not return the range requested" );
+            this.responseData = pResponseData;
+        }
+    }
+
+    /**
+     * Returns the start, end, and total length described by a Content-Range header,
+     * such as 'bytes 0-99/1000' or 'bytes *&#47;1000'
+     *
+     * @param {string} pValue the value of the Content-Range header
+     *
+     * @returns {{start: number|null, end: number|null, total: number|null}|null} the range, or null if the header is not a byte range
+     */
+    function parseContentRange( pValue )
+    {
+        const matches = /^\s*bytes\s+(?:(\d+)-(\d+)|\*)\s*\/\s*(\d+|\*)\s*$/i.exec( asString( pValue, true ) );
+
+        if ( isNull( matches ) )
+        {
+            return null;
+        }
+
+        const toNumber = ( s ) => isNull( s ) || "*" === s ? null : Number( s );
+
+        return { start: toNumber( matches[1] ), end: toNumber( matches[2] ), total: toNumber( matches[3] ) };
+    }
+
+    /**
+     * Returns the algorithm and digest of a checksum specified as 'algorithm:digest',
+     * as a subresource integrity value ('sha256-base64digest'), or as an object with the properties algorithm and digest.<br>
+     * The algorithm is normalized to the name Node.js expects, so 'SHA-256' becomes 'sha256'.
+     *
+     * @param {string|{algorithm: string, digest: string}} pChecksum the checksum
+     *
+     * @returns {{algorithm: string, digest: string}|null} the checksum, or null if none is specified
+     */
+    function resolveChecksum( pChecksum )
+    {
+        let algorithm = _mt;
+        let digest = _mt;
+
+        if ( isString( pChecksum ) )
+        {
+            const matches = /^\s*([a-z0-9-]+?)[:-]([A-Za-z0-9+\/=_-]+)\s*$/i.exec( pChecksum );
+
+            if ( !isNull( matches ) )
+            {
+                [, algorithm, digest] = matches;
+            }
+        }
+        else if ( isNonNullObject( pChecksum ) )
+        {
+            algorithm = asString( pChecksum.algorithm, true );
+            digest = asString( pChecksum.digest ?? pChecksum.value, true );
+        }
+
+        algorithm = lcase( algorithm ).replace( /^sha-/, "sha" );
+
+        if ( isBlank( algorithm ) || isBlank( digest ) )
+        {
+            return null;
+        }
+
+        return { algorithm, digest };
+    }
+
+    /**
+     * Calculates the digest of a file
+     *
+     * @param {string} pFilePath  the file
+     * @param {string} pAlgorithm the hash algorithm, such as 'sha256' or 'md5'
+     *
+     * @returns {Promise<Buffer>} the digest
+     */
+    async function calculateChecksum( pFilePath, pAlgorithm )
+    {
+        const hash = crypto.createHash( pAlgorithm );
+
+        for await ( const chunk of fs.createReadStream( pFilePath ) )
+        {
+            hash.update( chunk );
+        }
+
+        return hash.digest();
+    }
+
+    /**
+     * Returns true if the digest calculated matches the expected digest, written in hex or in base64 (or base64url)
+     *
+     * @param {Buffer} pDigest   the digest calculated
+     * @param {string} pExpected the digest expected
+     *
+     * @returns {boolean}
+     */
+    function digestMatches( pDigest, pExpected )
+    {
+        const expected = asString( pExpected, true );
+
+        return [pDigest.toString( "hex" ), pDigest.toString( "base64" ), pDigest.toString( "base64url" )].some( e => e === expected || e === lcase( expected ) || e === expected.replace( /=+$/, _mt ) );
+    }
+
+    /**
+     * Returns the value of a header of the response held by a ResponseData
+     */
+    function readHeader( pResponseData, pName )
+    {
+        const headers = pResponseData?.frameworkResponse?.headers;
+
+        const value = isFunction( headers?.get ) ? headers.get( pName ) : HttpHeaders.getHeaderValue( pResponseData?.headers, pName );
+
+        return asString( value, true );
+    }
+
+    /**
+     * Returns the value to send in an If-Range header, so that a range is only returned if the content has not changed.<br>
+     * A weak ETag cannot be used for this, so the Last-Modified date is used instead, if there is one.
+     */
+    function readValidator( pResponseData )
+    {
+        const etag = readHeader( pResponseData, "ETag" );
+
+        return (!isBlank( etag ) && !etag.startsWith( "W/" )) ? etag : readHeader( pResponseData, "Last-Modified" );
+    }
+
+    /**
+     * Cancels a response body (or a reader of one) that will not be read to its end.<br>
+     * The cancellation is not awaited,
+     * because the body of a response that was cloned (by a cache, for example) is not cancelled until every copy of it is.
+     */
+    function cancelBody( pBody )
+    {
+        attemptSilent( () => pBody?.cancel()?.catch( () => _mt ) );
+    }
+
+    /**
+     * A segment is a range of bytes of the content, which is requested separately from the other segments
+     * and written at its offset in the partial file.
+     */
+    class DownloadSegment
+    {
+        #start;
+        #end;
+        #written;
+
+        /**
+         * @param {number} pStart        the offset of the first byte of the segment
+         * @param {number|null} pEnd     the offset of the last byte of the segment, or null if the length of the content is unknown
+         * @param {number} [pWritten=0]  the number of bytes of the segment already written
+         */
+        constructor( pStart, pEnd, pWritten = 0 )
+        {
+            this.#start = Math.max( 0, asInt( pStart, 0 ) );
+            this.#end = isNull( pEnd ) ? null : asInt( pEnd );
+            this.#written = Math.max( 0, asInt( pWritten, 0 ) );
+        }
+
+        get start()
+        {
+            return this.#start;
+        }
+
+        get end()
+        {
+            return this.#end;
+        }
+
+        get written()
+        {
+            return this.#written;
+        }
+
+        set written( pBytes )
+        {
+            this.#written = Math.max( 0, asInt( pBytes, 0 ) );
+        }
+
+        /**
+         * The offset at which the next byte of the segment is written
+         * @type {number}
+         */
+        get position()
+        {
+            return this.#start + this.#written;
+        }
+
+        /**
+         * The number of bytes of the segment not yet written, or null if the length of the content is unknown
+         * @type {number|null}
+         */
+        get remaining()
+        {
+            return isNull( this.#end ) ? null : Math.max( 0, (this.#end + 1) - this.position );
+        }
+
+        get complete()
+        {
+            return 0 === this.remaining;
+        }
+
+        /**
+         * Returns the value of the Range header that requests the bytes of the segment not yet written
+         * @returns {string}
+         */
+        toRangeHeader()
+        {
+            return `bytes=${this.position}-${isNull( this.#end ) ? _mt : this.#end}`;
+        }
+
+        /**
+         * Discards the bytes written, so that the segment is written again from its start,
+         * which is necessary when the content has changed
+         *
+         * @param {number|null} pEnd the offset of the last byte of the changed content, or null if its length is unknown
+         */
+        reset( pEnd )
+        {
+            this.#end = isNull( pEnd ) ? null : asInt( pEnd );
+            this.#written = 0;
+        }
+
+        toJSON()
+        {
+            return { start: this.#start, end: this.#end, written: this.#written };
+        }
+    }
+
+    /**
+     * Returns the segments into which content of the specified length is divided
+     *
+     * @param {number|null} pTotalBytes    the length of the content, or null if it is unknown
+     * @param {number} pConnections        the number of connections requested
+     * @param {number} pMinSegmentSize     the smallest segment worth a connection of its own
+     *
+     * @returns {Array<DownloadSegment>}
+     */
+    function planSegments( pTotalBytes, pConnections, pMinSegmentSize )
+    {
+        if ( isNull( pTotalBytes ) )
+        {
+            return [new DownloadSegment( 0, null )];
+        }
+
+        const total = asInt( pTotalBytes );
+
+        const count = Math.max( 1, Math.min( asInt( pConnections, 1 ), Math.floor( total / Math.max( 1, asInt( pMinSegmentSize, 1 ) ) ) ) );
+
+        const size = Math.ceil( total / count );
+
+        const segments = [];
+
+        for( let start = 0; start < total || 0 === segments.length; start += size )
+        {
+            segments.push( new DownloadSegment( start, Math.min( total, start + size ) - 1 ) );
+        }
+
+        return segments;
+    }
+
+    /**
+     * An HttpDownload writes the content at a URL to a file,
+     * continuing from the last byte written when a request fails (or when the download is started again),
+     * optionally requesting segments of the content in parallel.<br>
+     * <br>
+     * The requests are sent by the client specified, so they are subject to its interceptors,
+     * authorization provider, circuit breakers, and rate limits.<br>
+     * <br>
+     * The download dispatches the events described by DOWNLOAD_EVENTS.
+     */
+    class HttpDownload extends EventTarget
+    {
+        #client;
+        #url;
+        #config;
+        #options;
+
+        #filePath;
+        #resolveFilePath;
+
+        #segments = [];
+        #totalBytes = null;
+        #validator = _mt;
+
+        #bytesReceived = 0;
+        #lastProgress = 0;
+
+        #stateWrites = Promise.resolve();
+
+        /**
+         * Constructs an instance of this class to download the content at the specified URL
+         *
+         * @param {HttpClient|HttpFetchClient} pClient    the client that sends the requests
+         * @param {string} pUrl                           the URL of the content
+         * @param {HttpConfig|Object} pConfig             the configuration of the requests, to which the range headers are added
+         * @param {string|function(ResponseData):string} pFilePath the path to write to,
+         *                                                or a function that returns the path, given the first response
+         * @param {Object} [pOptions]                     the options described by DEFAULT_DOWNLOAD_OPTIONS
+         */
+        constructor( pClient, pUrl, pConfig, pFilePath, pOptions = DEFAULT_DOWNLOAD_OPTIONS )
+        {
+            super();
+
+            this.#client = pClient;
+            this.#url = asString( pUrl, true );
+            this.#config = pConfig || {};
+
+            this.#options = { ...DEFAULT_DOWNLOAD_OPTIONS, ...(asObject( pOptions || {} )) };
+
+            this.#resolveFilePath = isFunction( pFilePath ) ? pFilePath : () => asString( pFilePath, true );
+        }
+
+        get url()
+        {
+            return this.#url;
+        }
+
+        get options()
+        {
+            return { ...this.#options };
+        }
+
+        /**
+         * The path to which the content is written, which is not known until the first response is received
+         * @type {string}
+         */
+        get filePath()
+        {
+            return this.#filePath;
+        }
+
+        get partPath()
+        {
+            return isBlank( this.#filePath ) ? _mt : this.#filePath + PART_EXTENSION;
+        }
+
+        get statePath()
+        {
+            return isBlank( this.#filePath ) ? _mt : this.#filePath + STATE_EXTENSION;
+        }
+
+        /**
+         * The length of the content, or null if the server did not report it
+         * @type {number|null}
+         */
+        get totalBytes()
+        {
+            return this.#totalBytes;
+        }
+
+        /**
+         * The number of bytes written to the partial file, including those written by an earlier attempt
+         * @type {number}
+         */
+        get bytesWritten()
+        {
+            return this.#segments.reduce( ( acc, segment ) => acc + segment.written, 0 );
+        }
+
+        /**
+         * The number of bytes received since this download was started
+         * @type {number}
+         */
+        get bytesReceived()
+        {
+            return this.#bytesReceived;
+        }
+
+        get segments()
+        {
+            return this.#segments.map( segment => segment.toJSON() );
+        }
+
+        /**
+         * Downloads the content, verifies it, and moves it to the target path.<br>
+         * If the download fails, the partial file and its state are kept, so that the download can be resumed.
+         *
+         * @returns {Promise<string>} the path of the file written
+         *
+         * @throws {DownloadError} if the download cannot be completed
+         * @throws {ChecksumError} if the content does not match the checksum specified
+         */
+        async start()
+        {
+            const signal = this.#options.signal || null;
+
+            let { responseData, watchdog } = await this.#firstResponse( signal );
+
+            this.#filePath = path.resolve( asString( await this.#resolveFilePath( responseData ), true ) );
+
+            await fs.promises.mkdir( path.dirname( this.#filePath ), { recursive: true } );
+
+            let connections = asInt( this.#options.connections, 1 );
+
+            // the download starts over with a single connection if the server stops honoring range requests
+            for( let restarts = 0; ; restarts++ )
+            {
+                const resumed = (0 === restarts) && await this.#prepare( responseData, connections );
+
+                const [first] = this.#segments;
+
+                // the first response can only be used if it starts at the first byte still missing
+                if ( resumed || this.#segments.length > 1 || first.written > 0 )
+                {
+                    await this.#discard( responseData, watchdog );
+                    responseData = null;
+                }
+
+                try
+                {
+                    await this.#transfer( responseData, watchdog, signal );
+                    break;
+                }
+                catch( ex )
+                {
+                    if ( !(ex instanceof RestartRequired) || restarts > 0 )
+                    {
+                        await this.#saveState();
+
+                        throw (ex instanceof RestartRequired) ? new DownloadError( ex.message, { status: ex.responseData?.status } ) : ex;
+                    }
+
+                    toolBocksModule.reportError( ex, `Restarting the download of ${this.#url} with a single connection`, "warn", this.start );
+
+                    await this.#discard( ex.responseData );
+
+                    ({ responseData, watchdog } = await this.#firstResponse( signal ));
+
+                    connections = 1;
+
+                    this.#learn( responseData );
+
+                    this.#segments = planSegments( this.#totalBytes, 1, 1 );
+
+                    await this.#truncate();
+                }
+            }
+
+            return this.#complete();
+        }
+
+        /**
+         * Sends the first request, which asks for the whole content as a range starting at the first byte,
+         * so the response reveals whether the server accepts ranges and, if so, the length of the content
+         */
+        async #firstResponse( pSignal )
+        {
+            for( let attempts = 1; ; attempts++ )
+            {
+                const watchdog = new Watchdog( this.#options.idleTimeout, pSignal );
+
+                try
+                {
+                    const responseData = await this.#request( new DownloadSegment( 0, null ), watchdog, false );
+
+                    this.#checkStatus( responseData );
+
+                    // the body is not read until the partial file is ready
+                    watchdog.stop();
+
+                    return { responseData, watchdog };
+                }
+                catch( ex )
+                {
+                    watchdog.stop();
+
+                    await this.#retryOrThrow( ex, attempts, null, pSignal );
+                }
+            }
+        }
+
+        /**
+         * Reads the length and validator of the content from the first response
+         * and either restores the segments recorded by an earlier attempt or plans new ones.
+         *
+         * @returns {Promise<boolean>} true if the download continues from an earlier attempt
+         */
+        async #prepare( pResponseData, pConnections )
+        {
+            const acceptsRanges = this.#learn( pResponseData );
+
+            const state = this.#options.resume ? await this.#readState() : null;
+
+            if ( acceptsRanges && !isNull( state ) && !isBlank( this.#validator ) &&
+                 state.url === this.#url && state.validator === this.#validator && state.totalBytes === this.#totalBytes )
+            {
+                const size = asInt( attempt( () => fs.statSync( this.partPath ).size ), -1 );
+
+                if ( size >= 0 )
+                {
+                    // only the bytes actually in the file count, in case the process ended before the state was written
+                    this.#segments = state.segments.map( e => new DownloadSegment( e.start, e.end, Math.min( asInt( e.written, 0 ), Math.max( 0, size - asInt( e.start, 0 ) ) ) ) );
+
+                    return this.#segments.some( segment => segment.written > 0 );
+                }
+            }
+
+            this.#segments = planSegments( this.#totalBytes, (acceptsRanges ? pConnections : 1), this.#options.minSegmentSize );
+
+            await this.#truncate();
+
+            return false;
+        }
+
+        /**
+         * Reads the length of the content and its validator from a response to a request for the whole content
+         *
+         * @returns {boolean} true if the server accepts range requests
+         */
+        #learn( pResponseData )
+        {
+            this.#validator = readValidator( pResponseData );
+
+            // a range is not satisfiable (by a server that accepts ranges) if the content is empty
+            if ( [STATUS_CODES.PARTIAL_CONTENT, STATUS_CODES.REQUESTED_RANGE_NOT_SATISFIABLE].includes( pResponseData.status ) )
+            {
+                this.#totalBytes = parseContentRange( readHeader( pResponseData, "Content-Range" ) )?.total ?? null;
+
+                return true;
+            }
+
+            const length = readHeader( pResponseData, "Content-Length" );
+
+            // the length of encoded content is not the length of the bytes received
+            this.#totalBytes = (isBlank( length ) || !isBlank( readHeader( pResponseData, "Content-Encoding" ) )) ? null : asInt( length );
+
+            return "bytes" === lcase( readHeader( pResponseData, "Accept-Ranges" ) );
+        }
+
+        /**
+         * Downloads the segments in parallel.
+         * When one fails, the others are abandoned, so that the state can be saved and the failure reported.
+         */
+        async #transfer( pResponseData, pWatchdog, pSignal )
+        {
+            const controller = new AbortController();
+
+            const signal = isNull( pSignal ) ? controller.signal : AbortSignal.any( [pSignal, controller.signal] );
+
+            const handle = await fs.promises.open( this.partPath, "r+" );
+
+            const download = ( pSegment, pIndex ) => this.#downloadSegment( pSegment, handle, signal, (0 === pIndex ? pResponseData : null), (0 === pIndex ? pWatchdog : null) ).catch( ex =>
+                                                                                                                                                                                        {
+                                                                                                                                                                                            controller.abort( ex );
+                                                                                                                                                                                            throw ex;
+                                                                                                                                                                                        } );
+
+            let results;
+
+            try
+            {
+                // every segment is allowed to stop before the file is closed and the state is saved
+                results = await Promise.allSettled( this.#segments.map( download ) );
+            }
+            finally
+            {
+                await asyncAttemptSilent( async() => await handle.close() );
+            }
+
+            const failure = results.find( e => "rejected" === e.status );
+
+            if ( !isNull( failure ) )
+            {
+                // report the failure that caused the other segments to be abandoned, rather than the abandonment
+                throw controller.signal.reason ?? failure.reason;
+            }
+
+            this.#progress( true );
+        }
+
+        /**
+         * Downloads the bytes of a segment not yet written,
+         * sending the request again when it fails, until the segment is complete or maxAttempts consecutive attempts receive nothing
+         */
+        async #downloadSegment( pSegment, pHandle, pSignal, pResponseData, pWatchdog )
+        {
+            let responseData = pResponseData;
+            let watchdog = pWatchdog;
+
+            let attempts = 0;
+
+            while ( !pSegment.complete )
+            {
+                const written = pSegment.written;
+
+                watchdog = watchdog || new Watchdog( this.#options.idleTimeout, pSignal );
+
+                try
+                {
+                    responseData = responseData || await this.#request( pSegment, watchdog, true );
+
+                    const ended = await this.#receive( pSegment, pHandle, responseData, watchdog );
+
+                    if ( ended && isNull( pSegment.end ) )
+                    {
+                        // the length of the content is unknown, so the end of the body is the end of the content
+                        break;
+                    }
+
+                    if ( !pSegment.complete )
+                    {
+                        throw new DownloadError( `The connection was closed after ${pSegment.position} bytes of ${this.#url}` );
+                    }
+                }
+                catch( ex )
+                {
+                    if ( ex instanceof RestartRequired )
+                    {
+                        throw ex;
+                    }
+
+                    // any bytes received count as progress, so a long download survives any number of interruptions
+                    attempts = (pSegment.written > written) ? 1 : attempts + 1;
+
+                    await this.#saveState();
+
+                    await this.#retryOrThrow( ex, attempts, pSegment, pSignal );
+                }
+                finally
+                {
+                    watchdog.stop();
+                    watchdog = null;
+                    responseData = null;
+                }
+            }
+        }
+
+        /**
+         * Waits to send a request again, or throws the error if the request should not (or can no longer) be sent again
+         */
+        async #retryOrThrow( pError, pAttempts, pSegment, pSignal )
+        {
+            if ( pSignal?.aborted )
+            {
+                throw pSignal.reason ?? pError;
+            }
+
+            if ( pAttempts >= asInt( this.#options.maxAttempts, 1 ) || ((pError instanceof DownloadError) && !pError.retryable) )
+            {
+                throw (pError instanceof DownloadError) ? pError : new DownloadError( `Failed to download ${this.#url}: ${pError?.message || pError}`, { cause: pError } );
+            }
+
+            const detail = { url: this.#url, attempt: pAttempts, error: pError, segment: pSegment?.toJSON() || null };
+
+            attempt( () => this.dispatchEvent( new ModuleEvent( DOWNLOAD_EVENTS.RETRY, detail ) ) );
+
+            await sleep( asInt( this.#options.retryDelay, 0 ) * pAttempts );
+        }
+
+        /**
+         * Sends a request for the bytes of a segment not yet written
+         *
+         * @param {DownloadSegment} pSegment    the segment
+         * @param {Watchdog} pWatchdog          the watchdog whose signal abandons the request
+         * @param {boolean} pConditional        whether to send the validator, so that a changed content is returned whole rather than as a range
+         *
+         * @returns {Promise<ResponseData>}
+         */
+        async #request( pSegment, pWatchdog, pConditional )
+        {
+            // the range is of the bytes as sent, so the content must not be compressed (and then decompressed by fetch)
+            const headers = { "Range": pSegment.toRangeHeader(), "Accept-Encoding": "identity" };
+
+            if ( pConditional && !isBlank( this.#validator ) )
+            {
+                headers["If-Range"] = this.#validator;
+            }
+
+            const config = HttpConfig.resolveHttpConfig( { headers, signal: pWatchdog.signal }, this.#config );
+
+            const responseData = await this.#client.sendRequest( VERBS.GET, this.#url, config );
+
+            if ( isNull( responseData ) )
+            {
+                throw new DownloadError( `No response was received from ${this.#url}` );
+            }
+
+            if ( isError( responseData.error ) )
+            {
+                throw responseData.error;
+            }
+
+            return responseData;
+        }
+
+        /**
+         * Throws a DownloadError if the status of the response is not one from which the content can be read
+         */
+        #checkStatus( pResponseData )
+        {
+            const status = asInt( pResponseData?.status );
+
+            if ( ![STATUS_CODES.OK, STATUS_CODES.PARTIAL_CONTENT, STATUS_CODES.REQUESTED_RANGE_NOT_SATISFIABLE].includes( status ) )
+            {
+                throw new DownloadError( `The server returned ${status} for ${this.#url}`, { status } );
+            }
+        }
+
+        /**
+         * Writes the body of a response at the position of the segment,
+         * stopping when the segment is complete
+         *
+         * @returns {Promise<boolean>} true if the whole body was read
+         */
+        async #receive( pSegment, pHandle, pResponseData, pWatchdog )
+        {
+            this.#checkStatus( pResponseData );
+
+            const status = pResponseData.status;
+
+            if ( STATUS_CODES.REQUESTED_RANGE_NOT_SATISFIABLE === status )
+            {
+                const total = parseContentRange( readHeader( pResponseData, "Content-Range" ) )?.total;
+
+                // a segment of unknown length whose bytes have all been written asks for a range that starts past the end
+                if ( isNull( pSegment.end ) && !isNull( total ) && pSegment.position === total )
+                {
+                    this.#totalBytes = total;
+                    return true;
+                }
+
+                throw new RestartRequired( pResponseData );
+            }
+
+            if ( STATUS_CODES.OK === status )
+            {
+                // the whole content is returned if it has changed, or if the server ignored the range
+                if ( this.#segments.length > 1 )
+                {
+                    throw new RestartRequired( pResponseData );
+                }
+
+                if ( pSegment.position > 0 )
+                {
+                    this.#learn( pResponseData );
+
+                    pSegment.reset( isNull( this.#totalBytes ) ? null : this.#totalBytes - 1 );
+
+                    await pHandle.truncate( 0 );
+                }
+            }
+            else
+            {
+                const range = parseContentRange( readHeader( pResponseData, "Content-Range" ) );
+
+                if ( isNull( range ) || range.start !== pSegment.position )
+                {
+                    throw new DownloadError( `The server returned the range ${readHeader( pResponseData, "Content-Range" )} when bytes from ${pSegment.position} were requested`, { status } );
+                }
+            }
+
+            const body = pResponseData.frameworkResponse?.body;
+
+            if ( isNull( body ) )
+            {
+                return true;
+            }
+
+            const reader = body.getReader();
+
+            try
+            {
+                // the idle time is measured from each read, so the time spent preparing the download does not count
+                pWatchdog.touch();
+
+                let result = await reader.read();
+
+                while ( !result.done )
+                {
+                    const chunk = result.value;
+
+                    const remaining = pSegment.remaining;
+
+                    const length = isNull( remaining ) ? chunk.byteLength : Math.min( remaining, chunk.byteLength );
+
+                    if ( length > 0 )
+                    {
+                        await pHandle.write( chunk, 0, length, pSegment.position );
+
+                        pSegment.written += length;
+
+                        this.#bytesReceived += length;
+
+                        this.#progress();
+                    }
+
+                    if ( pSegment.complete )
+                    {
+                        break;
+                    }
+
+                    pWatchdog.touch();
+
+                    result = await reader.read();
+                }
+
+                // cancels the rest of the body, if the server sent more than was requested
+                cancelBody( reader );
+            }
+            finally
+            {
+                attemptSilent( () => reader.releaseLock() );
+            }
+
+            return true;
+        }
+
+        /**
+         * Cancels the body of a response that will not be read
+         */
+        async #discard( pResponseData, pWatchdog )
+        {
+            pWatchdog?.stop();
+
+            cancelBody( pResponseData?.frameworkResponse?.body );
+        }
+
+        /**
+         * Empties (or creates) the partial file
+         */
+        async #truncate()
+        {
+            await fs.promises.writeFile( this.partPath, _mt );
+
+            await this.#saveState();
+        }
+
+        async #readState()
+        {
+            if ( !fs.existsSync( this.statePath ) )
+            {
+                return null;
+            }
+
+            const state = attempt( () => JSON.parse( fs.readFileSync( this.statePath, "utf8" ) ) );
+
+            return (STATE_VERSION === state?.version && Array.isArray( state?.segments ) && state.segments.length > 0) ? state : null;
+        }
+
+        /**
+         * Records the progress of each segment, so that the download can be resumed by another process.<br>
+         * The writes are serialized, so the last one written is the most recent.
+         */
+        async #saveState()
+        {
+            const state =
+                {
+                    version: STATE_VERSION,
+                    url: this.#url,
+                    validator: this.#validator,
+                    totalBytes: this.#totalBytes,
+                    segments: this.segments
+                };
+
+            this.#stateWrites = this.#stateWrites.then( () => fs.promises.writeFile( this.statePath, JSON.stringify( state ) ) ).catch( ex => toolBocksModule.reportError( ex, `Failed to record the progress of ${this.#url}`, "warn", this.#saveState ) );
+
+            return this.#stateWrites;
+        }
+
+        /**
+         * Dispatches a progress event, if the progressInterval has passed since the last one (or if forced).<br>
+         * The state is saved at the same time, so another process loses no more than an interval of progress.
+         */
+        #progress( pForce = false )
+        {
+            const now = Date.now();
+
+            if ( !pForce && (now - this.#lastProgress) < asInt( this.#options.progressInterval, 0 ) )
+            {
+                return;
+            }
+
+            this.#lastProgress = now;
+
+            const bytesWritten = this.bytesWritten;
+
+            const totalBytes = this.#totalBytes;
+
+            const detail =
+                {
+                    url: this.#url,
+                    filePath: this.#filePath,
+                    bytesWritten,
+                    bytesReceived: this.#bytesReceived,
+                    totalBytes,
+                    percent: (isNull( totalBytes ) || totalBytes <= 0) ? null : Math.floor( (bytesWritten / totalBytes) * 100 ),
+                    connections: this.#segments.length
+                };
+
+            attempt( () => this.dispatchEvent( new ModuleEvent( DOWNLOAD_EVENTS.PROGRESS, detail ) ) );
+
+            if ( isFunction( this.#options.onProgress ) )
+            {
+                attempt( () => this.#options.onProgress( detail ) );
+            }
+
+            if ( !pForce )
+            {
+                this.#saveState();
+            }
+        }
+
+        /**
+         * Verifies the length and checksum of the partial file, then moves it to the target path
+         */
+        async #complete()
+        {
+            const size = (await fs.promises.stat( this.partPath )).size;
+
+            const expected = this.#totalBytes ?? this.bytesWritten;
+
+            if ( size !== expected )
+            {
+                await this.#saveState();
+
+                throw new DownloadError( `The file written for ${this.#url} is ${size} bytes, but ${expected} bytes were expected` );
+            }
+
+            const checksum = resolveChecksum( this.#options.checksum );
+
+            if ( !isNull( checksum ) )
+            {
+                const digest = await calculateChecksum( this.partPath, checksum.algorithm );
+
+                if ( !digestMatches( digest, checksum.digest ) )
+                {
+                    // the content is wrong, so none of it can be reused
+                    await this.#stateWrites;
+
+                    await asyncAttemptSilent( async() => await fs.promises.rm( this.partPath, { force: true } ) );
+                    await asyncAttemptSilent( async() => await fs.promises.rm( this.statePath, { force: true } ) );
+
+                    throw new ChecksumError( `The ${checksum.algorithm} checksum of ${this.#url} is ${digest.toString( "hex" )}, but ${checksum.digest} was expected`, { status: STATUS_CODES.OK } );
+                }
+            }
+
+            await this.#stateWrites;
+
+            await fs.promises.rename( this.partPath, this.#filePath );
+
+            await asyncAttemptSilent( async() => await fs.promises.rm( this.statePath, { force: true } ) );
+
+            const detail = { url: this.#url, filePath: this.#filePath, bytes: size, checksum };
+
+            attempt( () => this.dispatchEvent( new ModuleEvent( DOWNLOAD_EVENTS.COMPLETE, detail ) ) );
+
+            return this.#filePath;
+        }
+    }
+
+    let mod =
+        {
+            dependencies,
+            classes:
+                {
+                    DownloadError,
+                    ChecksumError,
+                    DownloadSegment,
+                    HttpDownload
+                },
+            DownloadError,
+            ChecksumError,
+            DownloadSegment,
+            HttpDownload,
+            DOWNLOAD_EVENTS,
+            DEFAULT_DOWNLOAD_OPTIONS,
+            PART_EXTENSION,
+            STATE_EXTENSION,
+            parseContentRange,
+            resolveChecksum,
+            calculateChecksum
+        };
+
+    mod = toolBocksModule.extend( mod );
+
+    return mod.expose( mod, INTERNAL_NAME, (_ud !== typeof module ? module : mod) ) || mod;
+
+}());
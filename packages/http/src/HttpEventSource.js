@@ -0,0 +1,828 @@
+/**
+ * @fileOverview
+ * This module defines a client for Server-Sent Events that can be used in Node.js, where there is no EventSource.<br>
+ * <br>
+ * An HttpEventSource has the same properties, constants, and methods as the EventSource of a browser,
+ * so code written for one can use the other.<br>
+ * It parses the text/event-stream format as the stream is received,
+ * dispatching a MessageEvent for each event the server sends (through the Dispatcher of the events package),
+ * and reconnects when the connection is lost, sending the id of the last event received in a Last-Event-ID header,
+ * so the server can resume the stream from the next event.<br>
+ * <br>
+ * The requests are sent by an HttpClient (or HttpFetchClient), if one is specified,
+ * so they are subject to its interceptors, authorization provider, circuit breakers, and rate limits.<br>
+ * Otherwise, they are sent with fetch, using the same HttpConfig as an ordinary request,
+ * so the headers (including those that authorize the request) can be specified by an HttpConfig, an object literal, or a ConfigFactory.<br>
+ * <br>
+ * Example:<br>
+ * <code>
+ *     const source = client.eventSource( "https://example.com/updates", { headers: { "Authorization": "Bearer " + token } } );
+ *     source.addEventListener( "price", ( pEvent ) => console.log( pEvent.data, pEvent.lastEventId ) );
+ * </code>
+ *
+ * @see https://html.spec.whatwg.org/multipage/server-sent-events.html
+ *
+ * @module HttpEventSource
+ *
+ * @author Scott Bockelman
+ * @license MIT
+ */
+
+/**
+ * Imports the @toolbocks/core modules for the utility functions required
+ */
+const core = require( "@toolbocks/core" );
+
+/**
+ * Imports the @toolbocks/events module for the Dispatcher through which the events are dispatched
+ */
+const eventUtils = require( "@toolbocks/events" );
+
+/**
+ * Imports the HttpConstants that define common aspects of the HTTP protocol
+ */
+const httpConstants = require( "./HttpConstants.cjs" );
+
+/**
+ * Imports the HttpHeaders module for reading the headers of a response
+ */
+const httpHeaders = require( "./HttpHeaders.cjs" );
+
+/**
+ * Imports the HttpConfig class for adding the headers of an event stream to the configuration of each request
+ */
+const httpConfigUtils = require( "./HttpConfigUtils.js" );
+
+const { constants } = core;
+
+const { _ud = "undefined", $scope } = constants;
+
+// noinspection FunctionTooLongJS
+(function exposeModule()
+{
+    const INTERNAL_NAME = "__BOCK__HTTP_EVENT_SOURCE__";
+
+    if ( $scope() && (null != $scope()[INTERNAL_NAME]) )
+    {
+        return $scope()[INTERNAL_NAME];
+    }
+
+    // import the specific modules from @toolbocks/core that are necessary for this module
+    const { moduleUtils, typeUtils, stringUtils } = core;
+
+    // import the classes, variables, and functions defined in moduleUtils that are used in this module
+    const
+        {
+            ToolBocksModule,
+            ModuleEvent,
+            attempt,
+            attemptSilent,
+            lock
+        } = moduleUtils;
+
+    const { _mt_str = "", _mt = _mt_str } = constants;
+
+    const { isNull, isString, isFunction, isError, asObject } = typeUtils;
+
+    const { asString, asInt, isBlank, lcase } = stringUtils;
+
+    const { Dispatcher } = eventUtils;
+
+    const { HttpError, STATUS_CODES, VERBS } = httpConstants;
+
+    const { HttpHeaders } = httpHeaders;
+
+    const { HttpConfig, ConfigFactory } = httpConfigUtils;
+
+    /**
+     * This is a dictionary of this module's dependencies.
+     * <br>
+     * It is exported as a property of this module,
+     * allowing us to just import this module<br>
+     * and then import or use the other utilities<br>
+     * as properties of this module.
+     * <br>
+     * @dict
+     * @type {Object}
+     * @alias module:HttpEventSource#dependencies
+     */
+    const dependencies =
+        {
+            moduleUtils,
+            constants,
+            typeUtils,
+            stringUtils,
+            eventUtils,
+            httpConstants,
+            httpHeaders,
+            httpConfigUtils
+        };
+
+    const modName = "HttpEventSource";
+
+    const toolBocksModule = new ToolBocksModule( modName, INTERNAL_NAME );
+
+    /**
+     * The values of the readyState of an HttpEventSource, which are those of an EventSource
+     */
+    const READY_STATES = lock(
+        {
+            CONNECTING: 0,
+            OPEN: 1,
+            CLOSED: 2
+        } );
+
+    /**
+     * The types of the events an HttpEventSource dispatches, other than those named by the server.<br>
+     * <br>
+     * OPEN is dispatched when a connection has been established.<br>
+     * MESSAGE is dispatched for each event the server sends without an event field.<br>
+     * ERROR is dispatched when a connection is lost (and readyState is CONNECTING, because it will be reestablished)
+     * or fails (and readyState is CLOSED, because it will not).
+     * Its detail includes the error and the status of the response, if any.
+     */
+    const EVENT_SOURCE_EVENTS = lock(
+        {
+            OPEN: "open",
+            MESSAGE: "message",
+            ERROR: "error"
+        } );
+
+    /**
+     * The MIME type of an event stream
+     * @type {string}
+     */
+    const EVENT_STREAM_MIME_TYPE = "text/event-stream";
+
+    /**
+     * The default options of an HttpEventSource.<br>
+     * <br>
+     * withCredentials: whether to send cookies with a request to another origin, as for an EventSource<br>
+     * client: the HttpClient (or HttpFetchClient) that sends the requests; if not specified, they are sent with fetch<br>
+     * config: the configuration of the requests, as an HttpConfig, an object literal, or a ConfigFactory<br>
+     * retry: the milliseconds to wait before reconnecting, until the server specifies another interval<br>
+     * lastEventId: the id of the last event received by an earlier connection, to send with the first request<br>
+     * signal: an AbortSignal that closes the event source
+     */
+    const DEFAULT_EVENT_SOURCE_OPTIONS = lock(
+        {
+            withCredentials: false,
+            client: null,
+            config: null,
+            retry: 3_000,
+            lastEventId: _mt,
+            signal: null
+        } );
+
+    /**
+     * This class represents a connection that cannot be reestablished,
+     * because the server returned a status other than 200 or a body that is not an event stream.<br>
+     * The options of the error include the status of the response, if any.
+     */
+    class EventSourceError extends HttpError
+    {
+        #status;
+
+        constructor( pMsgOrErr, pOptions = {}, ...pArgs )
+        {
+            super( pMsgOrErr, pOptions, ...pArgs );
+
+            this.#status = asInt( pOptions?.status, 0 );
+        }
+
+        get status()
+        {
+            return this.#status;
+        }
+    }
+
+    /**
+     * An EventStreamParser interprets the text of an event stream as it is received.<br>
+     * <br>
+     * Text can be pushed in pieces of any size;
+     * a line is not interpreted until its end has been received,
+     * and the fields of an event are not returned until the blank line that ends the event.<br>
+     * Lines can end with a carriage return, a line feed, or both.
+     *
+     * @see https://html.spec.whatwg.org/multipage/server-sent-events.html#event-stream-interpretation
+     */
+    class EventStreamParser
+    {
+        #buffer = _mt;
+        #afterCarriageReturn = false;
+        #started = false;
+
+        #eventType = _mt;
+        #data = [];
+        #lastEventId = _mt;
+
+        /**
+         * Constructs an instance of this class
+         *
+         * @param {string} [pLastEventId] the id of the last event received by an earlier connection
+         */
+        constructor( pLastEventId = _mt )
+        {
+            this.#lastEventId = asString( pLastEventId );
+        }
+
+        get lastEventId()
+        {
+            return this.#lastEventId;
+        }
+
+        /**
+         * Interprets the text received, returning what the complete lines describe:<br>
+         * an object with the properties type, data, and lastEventId for each event that ends in the text,
+         * and an object with the property retry for each valid retry field.<br>
+         * <br>
+         * An event whose data is empty is returned as well (with an empty data property),
+         * because it changes the id of the last event, even though it is not dispatched.
+         *
+         * @param {string} pText the text received
+         *
+         * @returns {Array<{type: string, data: string, lastEventId: string}|{retry: number}>}
+         */
+        push( pText )
+        {
+            // the text is used as it is, because asString removes control characters (such as the null character of an invalid id)
+            let text = isString( pText ) ? pText : asString( pText );
+
+            if ( !this.#started && text.length > 0 )
+            {
+                this.#started = true;
+
+                // a byte order mark at the start of the stream is ignored
+                text = text.replace( /^\uFEFF/, _mt );
+            }
+
+            // a line feed that follows a carriage return in another piece ends the same line
+            if ( this.#afterCarriageReturn && text.startsWith( "\n" ) )
+            {
+                text = text.slice( 1 );
+            }
+
+            this.#afterCarriageReturn = text.endsWith( "\r" );
+
+            const lines = (this.#buffer + text).split( /\r\n|\r|\n/ );
+
+            this.#buffer = lines.pop();
+
+            const records = [];
+
+            lines.forEach( line => this.#interpret( line, records ) );
+
+            return records;
+        }
+
+        /**
+         * Discards an incomplete line and the fields of an event that had not ended,
+         * as when the connection is lost
+         */
+        reset()
+        {
+            this.#buffer = _mt;
+            this.#afterCarriageReturn = false;
+            this.#started = false;
+
+            this.#eventType = _mt;
+            this.#data = [];
+        }
+
+        #interpret( pLine, pRecords )
+        {
+            if ( 0 === pLine.length )
+            {
+                pRecords.push( { type: this.#eventType || EVENT_SOURCE_EVENTS.MESSAGE, data: this.#data.join( "\n" ), lastEventId: this.#lastEventId } );
+
+                this.#eventType = _mt;
+                this.#data = [];
+
+                return;
+            }
+
+            // a line that starts with a colon is a comment, which servers send to keep the connection alive
+            if ( pLine.startsWith( ":" ) )
+            {
+                return;
+            }
+
+            const index = pLine.indexOf( ":" );
+
+            const field = index < 0 ? pLine : pLine.slice( 0, index );
+
+            const value = index < 0 ? _mt : pLine.slice( index + 1 ).replace( /^ /, _mt );
+
+            switch ( field )
+            {
+                case "event":
+                    this.#eventType = value;
+                    break;
+
+                case "data":
+                    this.#data.push( value );
+                    break;
+
+                case "id":
+                    // an id that contains a null character is ignored
+                    if ( !value.includes( "\0" ) )
+                    {
+                        this.#lastEventId = value;
+                    }
+                    break;
+
+                case "retry":
+                    if ( /^\d+$/.test( value ) )
+                    {
+                        pRecords.push( { retry: Number( value ) } );
+                    }
+                    break;
+
+                default:
+                    // any other field is ignored
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Returns the headers of an HttpConfig, an object literal, or a ConfigFactory as a configuration for a request.<br>
+     * A ConfigFactory is read as the object literal it describes.
+     */
+    function resolveEventSourceConfig( pConfig )
+    {
+        if ( pConfig instanceof ConfigFactory )
+        {
+            return { ...(asObject( pConfig.literal || {} )) };
+        }
+
+        return pConfig || {};
+    }
+
+    /**
+     * Returns the value of a header of the response held by a ResponseData or of a Response
+     */
+    function readHeader( pResponse, pName )
+    {
+        const headers = pResponse?.headers;
+
+        const value = isFunction( headers?.get ) ? headers.get( pName ) : HttpHeaders.getHeaderValue( headers, pName );
+
+        return asString( value, true );
+    }
+
+    /**
+     * Cancels a response body (or a reader of one) that will not be read to its end.<br>
+     * The cancellation is not awaited,
+     * because the body of a response that was cloned is not cancelled until every copy of it is.
+     */
+    function cancelBody( pBody )
+    {
+        attemptSilent( () => pBody?.cancel()?.catch( () => _mt ) );
+    }
+
+    /**
+     * This class is a client for Server-Sent Events, with the interface of an EventSource.<br>
+     * <br>
+     * The connection is opened as soon as the event source is constructed
+     * and is reestablished whenever it is lost, until close is called
+     * or the server responds with a status other than 200 (such as 204, which servers send to end a stream),
+     * after waiting for the interval specified by the retry option or by the last retry field the server sent.<br>
+     * <br>
+     * Events whose type is specified by the server are dispatched with that type,
+     * so they are received by a listener added for that type rather than by onmessage.
+     */
+    class HttpEventSource extends Dispatcher
+    {
+        static CONNECTING = READY_STATES.CONNECTING;
+        static OPEN = READY_STATES.OPEN;
+        static CLOSED = READY_STATES.CLOSED;
+
+        #url;
+        #options;
+        #client;
+        #config;
+
+        #readyState = READY_STATES.CONNECTING;
+        #retry;
+        #parser;
+
+        #controller = null;
+        #reconnectTimer = null;
+        #reconnected = null;
+
+        #handlers = {};
+
+        /**
+         * Constructs an instance of this class and opens the connection
+         *
+         * @param {string|URL} pUrl         the URL of the event stream
+         * @param {Object} [pOptions]       the options described by DEFAULT_EVENT_SOURCE_OPTIONS,
+         *                                  which include those of an EventSource (withCredentials)
+         */
+        constructor( pUrl, pOptions = DEFAULT_EVENT_SOURCE_OPTIONS )
+        {
+            super();
+
+            this.#url = asString( isNull( pUrl ) ? _mt : String( pUrl ), true );
+
+            this.#options = { ...DEFAULT_EVENT_SOURCE_OPTIONS, ...(asObject( pOptions || {} )) };
+
+            this.#client = this.#options.client || null;
+
+            this.#config = resolveEventSourceConfig( this.#options.config );
+
+            this.#retry = Math.max( 0, asInt( this.#options.retry, DEFAULT_EVENT_SOURCE_OPTIONS.retry ) );
+
+            this.#parser = new EventStreamParser( this.#options.lastEventId );
+
+            const signal = this.#options.signal;
+
+            if ( signal?.aborted )
+            {
+                this.#readyState = READY_STATES.CLOSED;
+                return;
+            }
+
+            signal?.addEventListener( "abort", () => this.close(), { once: true } );
+
+            // the connection is opened after the constructor returns, so listeners can be added for the first events
+            queueMicrotask( () => this.#run() );
+        }
+
+        get CONNECTING()
+        {
+            return READY_STATES.CONNECTING;
+        }
+
+        get OPEN()
+        {
+            return READY_STATES.OPEN;
+        }
+
+        get CLOSED()
+        {
+            return READY_STATES.CLOSED;
+        }
+
+        get url()
+        {
+            return this.#url;
+        }
+
+        get withCredentials()
+        {
+            return !!this.#options.withCredentials;
+        }
+
+        /**
+         * One of CONNECTING, OPEN, or CLOSED
+         * @type {number}
+         */
+        get readyState()
+        {
+            return this.#readyState;
+        }
+
+        /**
+         * The id of the last event received, which is sent in a Last-Event-ID header when reconnecting
+         * @type {string}
+         */
+        get lastEventId()
+        {
+            return this.#parser.lastEventId;
+        }
+
+        /**
+         * The milliseconds to wait before reconnecting
+         * @type {number}
+         */
+        get retry()
+        {
+            return this.#retry;
+        }
+
+        get onopen()
+        {
+            return this.#handlers[EVENT_SOURCE_EVENTS.OPEN] || null;
+        }
+
+        set onopen( pHandler )
+        {
+            this.#setHandler( EVENT_SOURCE_EVENTS.OPEN, pHandler );
+        }
+
+        get onmessage()
+        {
+            return this.#handlers[EVENT_SOURCE_EVENTS.MESSAGE] || null;
+        }
+
+        set onmessage( pHandler )
+        {
+            this.#setHandler( EVENT_SOURCE_EVENTS.MESSAGE, pHandler );
+        }
+
+        get onerror()
+        {
+            return this.#handlers[EVENT_SOURCE_EVENTS.ERROR] || null;
+        }
+
+        set onerror( pHandler )
+        {
+            this.#setHandler( EVENT_SOURCE_EVENTS.ERROR, pHandler );
+        }
+
+        /**
+         * Closes the connection, which will not be reestablished
+         */
+        close()
+        {
+            this.#readyState = READY_STATES.CLOSED;
+
+            clearTimeout( this.#reconnectTimer );
+
+            attemptSilent( () => this.#reconnected?.() );
+
+            attemptSilent( () => this.#controller?.abort() );
+        }
+
+        #setHandler( pType, pHandler )
+        {
+            const previous = this.#handlers[pType];
+
+            if ( isFunction( previous ) )
+            {
+                this.removeEventListener( pType, previous );
+            }
+
+            this.#handlers[pType] = isFunction( pHandler ) ? pHandler : null;
+
+            if ( isFunction( pHandler ) )
+            {
+                this.addEventListener( pType, pHandler );
+            }
+        }
+
+        /**
+         * Connects, reads the stream, and reconnects when it ends, until the event source is closed
+         */
+        async #run()
+        {
+            while ( READY_STATES.CLOSED !== this.#readyState )
+            {
+                try
+                {
+                    const response = await this.#connect();
+
+                    if ( READY_STATES.CLOSED === this.#readyState )
+                    {
+                        cancelBody( response?.body );
+                        break;
+                    }
+
+                    this.#readyState = READY_STATES.OPEN;
+
+                    attempt( () => this.dispatchEvent( new ModuleEvent( EVENT_SOURCE_EVENTS.OPEN, { url: this.#url } ) ) );
+
+                    await this.#read( response );
+
+                    this.#lost( null );
+                }
+                catch( ex )
+                {
+                    if ( READY_STATES.CLOSED === this.#readyState )
+                    {
+                        break;
+                    }
+
+                    if ( ex instanceof EventSourceError )
+                    {
+                        this.#fail( ex );
+                        break;
+                    }
+
+                    this.#lost( ex );
+                }
+
+                await this.#wait();
+            }
+        }
+
+        /**
+         * Sends the request for the event stream,
+         * returning the response if it is an event stream
+         *
+         * @returns {Promise<Response>}
+         *
+         * @throws {EventSourceError} if the response is not an event stream, so the connection cannot be reestablished
+         */
+        async #connect()
+        {
+            this.#controller = new AbortController();
+
+            const headers = { "Accept": EVENT_STREAM_MIME_TYPE, "Cache-Control": "no-cache" };
+
+            if ( !isBlank( this.#parser.lastEventId ) )
+            {
+                headers["Last-Event-ID"] = this.#parser.lastEventId;
+            }
+
+            // the signal replaces the timeout of the configuration, which would otherwise end a stream that is open for longer
+            const properties = { headers, signal: this.#controller.signal };
+
+            if ( this.withCredentials )
+            {
+                properties.credentials = "include";
+            }
+
+            const config = HttpConfig.resolveHttpConfig( properties, this.#config );
+
+            const response = await this.#send( config );
+
+            const status = asInt( response?.status );
+
+            if ( STATUS_CODES.OK !== status )
+            {
+                cancelBody( response?.body );
+
+                throw new EventSourceError( `The server returned ${status} for ${this.#url}`, { status } );
+            }
+
+            const contentType = lcase( readHeader( response, "Content-Type" ).split( ";" )[0].trim() );
+
+            if ( EVENT_STREAM_MIME_TYPE !== contentType )
+            {
+                cancelBody( response?.body );
+
+                throw new EventSourceError( `The server returned ${contentType || "no content type"} rather than ${EVENT_STREAM_MIME_TYPE} for ${this.#url}`, { status } );
+            }
+
+            return response;
+        }
+
+        /**
+         * Sends the request with the client, if one was specified, or with fetch,
+         * returning the response received
+         */
+        async #send( pConfig )
+        {
+            if ( isNull( this.#client ) )
+            {
+                const { url, cfg } = await HttpConfig.prepareRequestConfig( this.#url, VERBS.GET, pConfig );
+
+                return fetch( url, cfg );
+            }
+
+            const responseData = await this.#client.sendRequest( VERBS.GET, this.#url, pConfig );
+
+            if ( isNull( responseData ) )
+            {
+                throw new HttpError( `No response was received from ${this.#url}` );
+            }
+
+            if ( isError( responseData.error ) )
+            {
+                throw responseData.error;
+            }
+
+            return responseData.frameworkResponse || responseData;
+        }
+
+        /**
+         * Reads the body of the response, dispatching the events it describes as they are received
+         */
+        async #read( pResponse )
+        {
+            const body = pResponse?.body;
+
+            if ( isNull( body ) || !isFunction( body.getReader ) )
+            {
+                return;
+            }
+
+            const reader = body.getReader();
+
+            const decoder = new TextDecoder( "utf-8" );
+
+            try
+            {
+                let result = await reader.read();
+
+                while ( !result.done && READY_STATES.CLOSED !== this.#readyState )
+                {
+                    this.#dispatchRecords( this.#parser.push( decoder.decode( result.value, { stream: true } ) ) );
+
+                    result = await reader.read();
+                }
+
+                cancelBody( reader );
+            }
+            finally
+            {
+                attemptSilent( () => reader.releaseLock() );
+            }
+        }
+
+        #dispatchRecords( pRecords )
+        {
+            for( const record of pRecords )
+            {
+                if ( READY_STATES.CLOSED === this.#readyState )
+                {
+                    return;
+                }
+
+                if ( !isNull( record.retry ) )
+                {
+                    this.#retry = record.retry;
+                    continue;
+                }
+
+                // an event without data is not dispatched, though its id becomes the id of the last event
+                if ( 0 === record.data.length )
+                {
+                    continue;
+                }
+
+                const event = new MessageEvent( record.type, { data: record.data, lastEventId: record.lastEventId, origin: this.#origin() } );
+
+                attempt( () => this.dispatchEvent( event ) );
+            }
+        }
+
+        #origin()
+        {
+            return attemptSilent( () => new URL( this.#url ).origin ) || _mt;
+        }
+
+        /**
+         * Announces that the connection was lost and will be reestablished
+         */
+        #lost( pError )
+        {
+            if ( READY_STATES.CLOSED === this.#readyState )
+            {
+                return;
+            }
+
+            this.#parser.reset();
+
+            this.#readyState = READY_STATES.CONNECTING;
+
+            attempt( () => this.dispatchEvent( new ModuleEvent( EVENT_SOURCE_EVENTS.ERROR, { error: pError, readyState: this.#readyState } ) ) );
+        }
+
+        /**
+         * Announces that the connection failed and will not be reestablished
+         */
+        #fail( pError )
+        {
+            this.#readyState = READY_STATES.CLOSED;
+
+            attempt( () => this.dispatchEvent( new ModuleEvent( EVENT_SOURCE_EVENTS.ERROR, { error: pError, status: pError.status, readyState: this.#readyState } ) ) );
+        }
+
+        /**
+         * Waits for the reconnection interval, unless the event source is closed first
+         */
+        async #wait()
+        {
+            if ( READY_STATES.CLOSED === this.#readyState )
+            {
+                return;
+            }
+
+            await new Promise( resolve =>
+                               {
+                                   this.#reconnected = resolve;
+                                   this.#reconnectTimer = setTimeout( resolve, this.#retry );
+                               } );
+
+            this.#reconnected = null;
+        }
+    }
+
+    let mod =
+        {
+            dependencies,
+            classes:
+                {
+                    EventSourceError,
+                    EventStreamParser,
+                    HttpEventSource
+                },
+            EventSourceError,
+            EventStreamParser,
+            HttpEventSource,
+            READY_STATES,
+            EVENT_SOURCE_EVENTS,
+            EVENT_STREAM_MIME_TYPE,
+            DEFAULT_EVENT_SOURCE_OPTIONS,
+            resolveEventSourceConfig
+        };
+
+    mod = toolBocksModule.extend( mod );
+
+    return mod.expose( mod, INTERNAL_NAME, (_ud !== typeof module ? module : mod) ) || mod;
+
+}());
@@ -955,6 +955,11 @@ const { _ud = "undefined", $scope } = constants;
             return $ln( pObject ) > 0;
         }
 
+        if ( _ud !== typeof Headers && pObject instanceof Headers )
+        {
+            return $ln( [...(pObject.keys())] ) > 0;
+        }
+
         return isString( pObject ) || $ln( Object.keys( pObject ) ) > 0;
     }
 
@@ -1017,7 +1022,7 @@ const { _ud = "undefined", $scope } = constants;
 
     function resolveHeaderOptions( pOptions )
     {
-        let options = isNull( pOptions ) || !isCompatibleHeadersObject( pOptions ) ? {} : (isArray( pOptions ) ? asArray( pOptions || [] ) : asObject( pOptions || {} ));
+        let options = isNull( pOptions ) || !isCompatibleHeadersObject( pOptions ) ? {} : (isArray( pOptions ) ? asArray( pOptions || [] ) : ((_ud !== typeof Headers && pOptions instanceof Headers) ? pOptions : asObject( pOptions || {} )));
 
         let entries = (isFunction( options?.entries ) ? [...(options.entries() || [])] : objectEntries( options ));
 
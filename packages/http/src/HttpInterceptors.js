@@ -0,0 +1,817 @@
+/**
+ * @fileOverview
+ * This module defines an ordered chain of request and response interceptors<br>
+ * that the HTTP clients (HttpFetchClient, HttpClient, and RateLimitedHttpClient)
+ * apply to every request they send.<br>
+ * <br>
+ * A request interceptor receives the configuration of an outgoing request
+ * and can modify it in place, replace it, or answer the request itself (short-circuit)
+ * by returning a ResponseData (or a Response).<br>
+ * <br>
+ * A response interceptor receives the ResponseData returned for the request
+ * and can inspect it, replace it, throw a (normalized) error,
+ * or ask the client to send the request again.<br>
+ * <br>
+ * Interceptors can be synchronous or asynchronous.<br>
+ * Typical uses include injecting authorization headers, signing requests,
+ * logging, collecting metrics, and normalizing errors.<br>
+ *
+ * @module HttpInterceptors
+ *
+ * @author Scott Bockelman
+ * @license MIT
+ */
+
+/**
+ * Imports the @toolbocks/core modules for the utility functions required
+ */
+const core = require( "@toolbocks/core" );
+
+/**
+ * Imports the HttpResponseData module, providing a smart wrapper for responses returned from HTTP Requests
+ */
+const responseDataModule = require( "./ResponseData.js" );
+
+const { constants } = core;
+
+const { _ud = "undefined", $scope } = constants;
+
+// noinspection FunctionTooLongJS
+(function exposeModule()
+{
+    const INTERNAL_NAME = "__BOCK__HTTP_INTERCEPTORS__";
+
+    if ( $scope() && (null != $scope()[INTERNAL_NAME]) )
+    {
+        return $scope()[INTERNAL_NAME];
+    }
+
+    // import the specific modules from @toolbocks/core that are necessary for this module
+    const { moduleUtils, typeUtils, stringUtils, arrayUtils } = core;
+
+    // import the classes, variables, and functions defined in moduleUtils that are used in this module
+    const
+        {
+            ToolBocksModule,
+            resolveError,
+            attempt,
+            sleep,
+            lock,
+            $ln
+        } = moduleUtils;
+
+    const { _mt_str = "", _mt = _mt_str } = constants;
+
+    const { isNull, isFunction, isNonNullObject, asObject, clamp = moduleUtils.clamp } = typeUtils;
+
+    const { asString, asInt, isBlank, lcase } = stringUtils;
+
+    const { asArray } = arrayUtils;
+
+    const { ResponseData } = responseDataModule;
+
+    /**
+     * This is a dictionary of this module's dependencies.
+     * <br>
+     * It is exported as a property of this module,
+     * allowing us to just import this module<br>
+     * and then import or use the other utilities<br>
+     * as properties of this module.
+     * <br>
+     * @dict
+     * @type {Object}
+     * @alias module:HttpInterceptors#dependencies
+     */
+    const dependencies =
+        {
+            moduleUtils,
+            constants,
+            typeUtils,
+            stringUtils,
+            arrayUtils,
+            responseDataModule
+        };
+
+    const modName = "HttpInterceptors";
+
+    const toolBocksModule = new ToolBocksModule( modName, INTERNAL_NAME );
+
+    /**
+     * The number of times a request is sent again, by default,
+     * when response interceptors keep asking for it to be retried
+     * @type {number}
+     */
+    const DEFAULT_MAX_INTERCEPTOR_RETRIES = 3;
+
+    /**
+     * The largest number of retries that can be configured for a chain of interceptors
+     * @type {number}
+     */
+    const MAX_INTERCEPTOR_RETRIES = 10;
+
+    const isResponse = ( pObject ) => ResponseData.isResponseData( pObject ) || (_ud !== typeof Response && pObject instanceof Response);
+
+    const toResponseData = ( pObject, pConfig ) => (_ud !== typeof Response && pObject instanceof Response) ? new ResponseData( pObject, pConfig, pConfig ) : pObject;
+
+    /**
+     * An instance of this class is returned by a response interceptor
+     * to ask the client to send the request again.<br>
+     * <br>
+     * Instances are created by calling the retry method of the HttpInterceptorContext.
+     */
+    class InterceptorRetry
+    {
+        #config;
+        #delay = 0;
+
+        /**
+         * Constructs an instance of this class.
+         * @param {Object|HttpConfig} [pConfig]   The configuration to send,
+         *                                        or null to send the configuration of the previous attempt
+         * @param {number} [pDelay=0]             The number of milliseconds to wait before sending the request again
+         */
+        constructor( pConfig, pDelay = 0 )
+        {
+            this.#config = pConfig;
+            this.#delay = Math.max( 0, asInt( pDelay, 0 ) );
+        }
+
+        get config()
+        {
+            return this.#config;
+        }
+
+        get delay()
+        {
+            return this.#delay;
+        }
+    }
+
+    /**
+     * An instance of this class describes one attempt to send a request.<br>
+     * <br>
+     * It is passed to each interceptor as its last argument,
+     * exposing the client, the method, url, configuration, and body of the request,
+     * as well as the response (or error) once the request has been sent.<br>
+     * <br>
+     * The state property is shared by every attempt to send the same request,
+     * so interceptors can use it to carry values from the request phase to the response phase
+     * (such as a start time for metrics) or from one attempt to the next.<br>
+     */
+    class HttpInterceptorContext
+    {
+        #client;
+        #method;
+        #url;
+        #config;
+        #body;
+
+        #attempt = 0;
+        #state;
+
+        #startTime = Date.now();
+
+        #response = null;
+        #error = null;
+
+        constructor( pClient, pMethod, pUrl, pConfig, pBody, pAttempt = 0, pState = new Map() )
+        {
+            this.#client = pClient;
+            this.#method = pMethod;
+            this.#url = pUrl;
+            this.#config = pConfig;
+            this.#body = pBody;
+
+            this.#attempt = Math.max( 0, asInt( pAttempt, 0 ) );
+
+            this.#state = pState || new Map();
+        }
+
+        get client()
+        {
+            return this.#client;
+        }
+
+        get method()
+        {
+            return this.#method;
+        }
+
+        get url()
+        {
+            return this.#url;
+        }
+
+        set url( pUrl )
+        {
+            this.#url = isBlank( asString( pUrl, true ) ) ? this.#url : pUrl;
+        }
+
+        get config()
+        {
+            return this.#config;
+        }
+
+        set config( pConfig )
+        {
+            this.#config = isNonNullObject( pConfig ) ? pConfig : this.#config;
+        }
+
+        get body()
+        {
+            return this.#body;
+        }
+
+        set body( pBody )
+        {
+            this.#body = pBody;
+        }
+
+        /**
+         * Returns the number of times this request has already been sent and then retried
+         * @returns {number}
+         */
+        get attempt()
+        {
+            return this.#attempt;
+        }
+
+        get isRetry()
+        {
+            return this.#attempt > 0;
+        }
+
+        get state()
+        {
+            return this.#state;
+        }
+
+        get startTime()
+        {
+            return this.#startTime;
+        }
+
+        /**
+         * Returns the number of milliseconds since this attempt was started
+         * @returns {number}
+         */
+        get elapsed()
+        {
+            return Date.now() - this.#startTime;
+        }
+
+        get response()
+        {
+            return this.#response;
+        }
+
+        set response( pResponse )
+        {
+            this.#response = pResponse;
+        }
+
+        get error()
+        {
+            return this.#error;
+        }
+
+        set error( pError )
+        {
+            this.#error = isNull( pError ) ? null : resolveError( pError );
+        }
+
+        /**
+         * Returns the value of the specified header of the request
+         * @param {string} pName the name of the header
+         * @returns {string} the value of the header or an empty string
+         */
+        getHeader( pName )
+        {
+            const headers = this.#config?.headers;
+
+            if ( isFunction( headers?.get ) )
+            {
+                return asString( attempt( () => headers.get( pName ) ), true );
+            }
+
+            if ( isNonNullObject( headers ) )
+            {
+                const key = Object.keys( headers ).find( k => lcase( k ) === lcase( pName ) );
+
+                return isNull( key ) ? _mt : asString( headers[key], true );
+            }
+
+            return _mt;
+        }
+
+        /**
+         * Sets the specified header of the request,
+         * whether the configuration is an HttpConfig, a RequestInit with a Headers object, or an object literal
+         * @param {string} pName the name of the header
+         * @param {string} pValue the value to set
+         * @returns {HttpInterceptorContext} this context, to allow chaining
+         */
+        setHeader( pName, pValue )
+        {
+            const config = this.#config;
+
+            if ( isFunction( config?.addHeaders ) )
+            {
+                // an HttpConfig merges the headers it adds with those it has, so the previous value is removed first
+                attempt( () => config.removeHeaderValues( pName ) );
+                config.addHeaders( { [asString( pName, true )]: asString( pValue ) } );
+            }
+            else if ( isFunction( config?.headers?.set ) )
+            {
+                config.headers.set( pName, asString( pValue ) );
+            }
+            else if ( isNonNullObject( config ) )
+            {
+                const headers = { ...(asObject( config.headers || {} )) };
+
+                Object.keys( headers ).filter( k => lcase( k ) === lcase( pName ) ).forEach( k => delete headers[k] );
+
+                headers[asString( pName, true )] = asString( pValue );
+
+                config.headers = headers;
+            }
+
+            return this;
+        }
+
+        /**
+         * Removes the specified header from the request
+         * @param {string} pName the name of the header
+         * @returns {HttpInterceptorContext} this context, to allow chaining
+         */
+        removeHeader( pName )
+        {
+            const config = this.#config;
+
+            if ( isFunction( config?.removeHeaderValues ) )
+            {
+                config.removeHeaderValues( pName );
+            }
+            else if ( isFunction( config?.headers?.delete ) )
+            {
+                config.headers.delete( pName );
+            }
+            else if ( isNonNullObject( config?.headers ) )
+            {
+                Object.keys( config.headers ).filter( k => lcase( k ) === lcase( pName ) ).forEach( k => delete config.headers[k] );
+            }
+
+            return this;
+        }
+
+        /**
+         * Returns an object that a response interceptor can return to have the request sent again.<br>
+         * The request interceptors are applied again before the request is resent.
+         *
+         * @param {Object|HttpConfig} [pConfig] The configuration to send, defaults to the configuration of this attempt
+         * @param {number} [pDelay=0]           The number of milliseconds to wait before sending the request again
+         *
+         * @returns {InterceptorRetry}
+         */
+        retry( pConfig, pDelay = 0 )
+        {
+            return new InterceptorRetry( pConfig, pDelay );
+        }
+
+        /**
+         * Returns the context for the next attempt to send this request
+         * @param {InterceptorRetry} pRetry
+         * @returns {HttpInterceptorContext}
+         */
+        next( pRetry )
+        {
+            return new HttpInterceptorContext( this.#client,
+                                               this.#method,
+                                               this.#url,
+                                               (pRetry?.config || this.#config),
+                                               this.#body,
+                                               (this.#attempt + 1),
+                                               this.#state );
+        }
+    }
+
+    /**
+     * This is a base class for interceptors that handle both phases of a request.<br>
+     * <br>
+     * Subclasses override request, response, or both.<br>
+     * Returning nothing (undefined) from either method leaves the request or response unchanged.
+     */
+    class HttpInterceptor
+    {
+        constructor()
+        {
+        }
+
+        /**
+         * Called before the request is sent.
+         *
+         * @param {Object|HttpConfig} pConfig           The configuration of the request
+         * @param {HttpInterceptorContext} pContext     The context of the request
+         *
+         * @returns {Object|HttpConfig|ResponseData|Response|undefined|Promise<*>}
+         * a configuration to replace the one specified,
+         * a response to return without sending the request,
+         * or undefined to leave the request as it is
+         */
+        request( pConfig, pContext )
+        {
+        }
+
+        /**
+         * Called after the request has been sent (or answered by a request interceptor).
+         *
+         * @param {ResponseData|null} pResponseData     The response, or null if the request failed (see pContext.error)
+         * @param {HttpInterceptorContext} pContext     The context of the request
+         *
+         * @returns {ResponseData|Response|InterceptorRetry|undefined|Promise<*>}
+         * a response to replace the one specified,
+         * the value returned by pContext.retry() to send the request again,
+         * or any other value (such as undefined) to leave the response as it is
+         */
+        response( pResponseData, pContext )
+        {
+        }
+    }
+
+    /**
+     * An instance of this class holds an ordered chain of request interceptors
+     * and an ordered chain of response interceptors.<br>
+     * <br>
+     * Request interceptors are applied in the order they were added.
+     * When one of them returns a response, the request is not sent
+     * and the remaining request interceptors are skipped.<br>
+     * <br>
+     * Response interceptors are also applied in the order they were added,
+     * each receiving the response returned by the previous one.
+     * When one of them returns the value of context.retry(),
+     * the request is sent again (up to maxRetries times),
+     * starting over with the first request interceptor.<br>
+     * <br>
+     * If the request fails, or a request interceptor throws an error,
+     * the response interceptors receive a null response and the error (as context.error);
+     * if none of them replaces the missing response, the original error is thrown to the caller.
+     */
+    class HttpInterceptors
+    {
+        #requestInterceptors = [];
+        #responseInterceptors = [];
+
+        #maxRetries = DEFAULT_MAX_INTERCEPTOR_RETRIES;
+
+        /**
+         * Constructs an instance of this class
+         * @param {Object} [pOptions] An object whose maxRetries property
+         *                            limits the number of times a request can be retried by response interceptors
+         */
+        constructor( pOptions )
+        {
+            const options = asObject( pOptions || {} );
+
+            this.#maxRetries = clamp( asInt( options.maxRetries, DEFAULT_MAX_INTERCEPTOR_RETRIES ), 0, MAX_INTERCEPTOR_RETRIES );
+        }
+
+        get maxRetries()
+        {
+            return this.#maxRetries;
+        }
+
+        get requestInterceptors()
+        {
+            return lock( this.#requestInterceptors.map( e => e.source ) );
+        }
+
+        get responseInterceptors()
+        {
+            return lock( this.#responseInterceptors.map( e => e.source ) );
+        }
+
+        get size()
+        {
+            return $ln( this.#requestInterceptors ) + $ln( this.#responseInterceptors );
+        }
+
+        get isEmpty()
+        {
+            return this.size <= 0;
+        }
+
+        #add( pList, pSource, pHandler )
+        {
+            if ( isFunction( pHandler ) )
+            {
+                const entry = { source: pSource, handler: pHandler };
+
+                pList.push( entry );
+
+                return () =>
+                {
+                    const index = pList.indexOf( entry );
+                    if ( index >= 0 )
+                    {
+                        pList.splice( index, 1 );
+                    }
+                };
+            }
+
+            toolBocksModule.reportError( new Error( "An interceptor must be a function or an object with a request or response method" ), "adding an interceptor", "warn", (modName + "::add") );
+
+            return () => false;
+        }
+
+        /**
+         * Adds a request interceptor to the end of the chain.
+         * @param {Function|HttpInterceptor|{request:Function}} pInterceptor
+         * a function accepting the configuration and the HttpInterceptorContext
+         * or an object with a request method accepting the same arguments
+         * @returns {Function} a function that removes the interceptor from the chain
+         */
+        useRequestInterceptor( pInterceptor )
+        {
+            const handler = isFunction( pInterceptor ) ? pInterceptor : isFunction( pInterceptor?.request ) ? pInterceptor.request.bind( pInterceptor ) : null;
+
+            return this.#add( this.#requestInterceptors, pInterceptor, handler );
+        }
+
+        /**
+         * Adds a response interceptor to the end of the chain.
+         * @param {Function|HttpInterceptor|{response:Function}} pInterceptor
+         * a function accepting the ResponseData and the HttpInterceptorContext
+         * or an object with a response method accepting the same arguments
+         * @returns {Function} a function that removes the interceptor from the chain
+         */
+        useResponseInterceptor( pInterceptor )
+        {
+            const handler = isFunction( pInterceptor ) ? pInterceptor : isFunction( pInterceptor?.response ) ? pInterceptor.response.bind( pInterceptor ) : null;
+
+            return this.#add( this.#responseInterceptors, pInterceptor, handler );
+        }
+
+        /**
+         * Adds one or more interceptors to the end of the chain.<br>
+         * <br>
+         * Each argument can be an object with a request method, a response method, or both
+         * (such as an instance of HttpInterceptor),
+         * another instance of HttpInterceptors whose interceptors are appended to this chain,
+         * an array of any of these,
+         * or a function, which is added as a request interceptor.<br>
+         *
+         * @param {...(Function|HttpInterceptor|HttpInterceptors|Object|Array)} pInterceptors
+         *
+         * @returns {Function} a function that removes the interceptors that were added
+         */
+        use( ...pInterceptors )
+        {
+            const ejectors = [];
+
+            for( let interceptor of asArray( pInterceptors ).flat() )
+            {
+                if ( isNull( interceptor ) )
+                {
+                    continue;
+                }
+
+                if ( interceptor instanceof HttpInterceptors )
+                {
+                    interceptor.requestInterceptors.forEach( e => ejectors.push( this.useRequestInterceptor( e ) ) );
+                    interceptor.responseInterceptors.forEach( e => ejectors.push( this.useResponseInterceptor( e ) ) );
+                }
+                else if ( isFunction( interceptor ) )
+                {
+                    ejectors.push( this.useRequestInterceptor( interceptor ) );
+                }
+                else if ( isFunction( interceptor?.request ) || isFunction( interceptor?.response ) )
+                {
+                    if ( isFunction( interceptor.request ) )
+                    {
+                        ejectors.push( this.useRequestInterceptor( interceptor ) );
+                    }
+
+                    if ( isFunction( interceptor.response ) )
+                    {
+                        ejectors.push( this.useResponseInterceptor( interceptor ) );
+                    }
+                }
+                else
+                {
+                    ejectors.push( this.#add( this.#requestInterceptors, interceptor, null ) );
+                }
+            }
+
+            return () => ejectors.forEach( eject => eject() );
+        }
+
+        /**
+         * Removes the specified interceptor from both chains
+         * @param {Function|HttpInterceptor|Object} pInterceptor the interceptor that was previously added
+         * @returns {boolean} true if the interceptor was found and removed
+         */
+        eject( pInterceptor )
+        {
+            let removed = false;
+
+            for( let list of [this.#requestInterceptors, this.#responseInterceptors] )
+            {
+                for( let i = $ln( list ) - 1; i >= 0; i-- )
+                {
+                    if ( list[i].source === pInterceptor )
+                    {
+                        list.splice( i, 1 );
+                        removed = true;
+                    }
+                }
+            }
+
+            return removed;
+        }
+
+        clear()
+        {
+            this.#requestInterceptors.length = 0;
+            this.#responseInterceptors.length = 0;
+        }
+
+        clone()
+        {
+            const chain = new HttpInterceptors( { maxRetries: this.maxRetries } );
+            chain.use( this );
+            return chain;
+        }
+
+        async #applyRequestInterceptors( pContext )
+        {
+            for( let { handler } of [...this.#requestInterceptors] )
+            {
+                const result = await handler( pContext.config, pContext );
+
+                if ( isResponse( result ) )
+                {
+                    return toResponseData( result, pContext.config );
+                }
+
+                // the context is returned by its own setHeader and removeHeader methods, so it is not taken for a configuration
+                if ( isNonNullObject( result ) && result !== pContext )
+                {
+                    pContext.config = result;
+                }
+            }
+
+            return null;
+        }
+
+        async #applyResponseInterceptors( pContext )
+        {
+            for( let { handler } of [...this.#responseInterceptors] )
+            {
+                const result = await handler( pContext.response, pContext );
+
+                if ( result instanceof InterceptorRetry )
+                {
+                    return result;
+                }
+
+                if ( isNonNullObject( result ) )
+                {
+                    pContext.response = toResponseData( result, pContext.config );
+                    pContext.error = null;
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Applies the interceptors to a request that is sent by calling the specified function.<br>
+         * <br>
+         * This method is called by the HTTP clients;
+         * the function specified sends the request as the client would without interceptors.<br>
+         *
+         * @param {IHttpClient} pClient       The client sending the request
+         * @param {string|HttpVerb} pMethod   The HTTP method of the request
+         * @param {string|URL} pUrl           The URL of the request
+         * @param {Object|HttpConfig} pConfig The configuration of the request
+         * @param {*} pBody                   The body of the request, if any
+         * @param {Function} pSend            An (async) function accepting the url, configuration, and body to send,
+         *                                    returning the ResponseData
+         *
+         * @returns {Promise<ResponseData|*>} the response returned by the last interceptor to replace it,
+         *                                    or the response returned by pSend
+         */
+        async execute( pClient, pMethod, pUrl, pConfig, pBody, pSend )
+        {
+            if ( this.isEmpty )
+            {
+                return await pSend( pUrl, pConfig, pBody );
+            }
+
+            let context = new HttpInterceptorContext( pClient, pMethod, pUrl, pConfig, pBody );
+
+            while ( true )
+            {
+                let response = null;
+
+                let failed = false;
+
+                try
+                {
+                    response = await this.#applyRequestInterceptors( context );
+                }
+                catch( ex )
+                {
+                    // the response interceptors are still applied,
+                    // so that an interceptor that acquired something for the request (such as a circuit breaker's permit) can release it
+                    context.error = ex;
+                    failed = true;
+                }
+
+                if ( isNull( response ) && !failed )
+                {
+                    try
+                    {
+                        response = await pSend( context.url, context.config, context.body );
+                    }
+                    catch( ex )
+                    {
+                        context.error = ex;
+                    }
+                }
+
+                context.response = response ?? null;
+
+                const retry = await this.#applyResponseInterceptors( context );
+
+                if ( retry instanceof InterceptorRetry && context.attempt < this.maxRetries )
+                {
+                    if ( retry.delay > 0 )
+                    {
+                        await sleep( retry.delay );
+                    }
+
+                    context = context.next( retry );
+
+                    continue;
+                }
+
+                if ( isNull( context.response ) && !isNull( context.error ) )
+                {
+                    throw context.error;
+                }
+
+                return context.response;
+            }
+        }
+    }
+
+    /**
+     * Returns an instance of HttpInterceptors holding the interceptors specified.<br>
+     * If an instance of HttpInterceptors is specified, that instance is returned.
+     *
+     * @param {HttpInterceptors|Array|Object|Function} pInterceptors
+     * @param {Object} [pOptions]
+     *
+     * @returns {HttpInterceptors}
+     */
+    HttpInterceptors.resolve = function( pInterceptors, pOptions )
+    {
+        if ( pInterceptors instanceof HttpInterceptors )
+        {
+            return pInterceptors;
+        }
+
+        const chain = new HttpInterceptors( pOptions );
+
+        if ( !isNull( pInterceptors ) )
+        {
+            chain.use( pInterceptors );
+        }
+
+        return chain;
+    };
+
+    let mod =
+        {
+            dependencies,
+            classes:
+                {
+                    InterceptorRetry,
+                    HttpInterceptorContext,
+                    HttpInterceptor,
+                    HttpInterceptors
+                },
+            InterceptorRetry,
+            HttpInterceptorContext,
+            HttpInterceptor,
+            HttpInterceptors,
+            DEFAULT_MAX_INTERCEPTOR_RETRIES,
+            MAX_INTERCEPTOR_RETRIES
+        };
+
+    mod = toolBocksModule.extend( mod );
+
+    return mod.expose( mod, INTERNAL_NAME, (_ud !== typeof module ? module : mod) ) || mod;
+
+}());
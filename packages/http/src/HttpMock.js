@@ -0,0 +1,1157 @@
+/**
+ * @fileOverview
+ * This module provides support for testing code that uses the HTTP clients without sending requests over the network.<br>
+ * <br>
+ * An HttpMock holds routes, each matching requests by method, URL pattern, and (optionally) body,
+ * and each answering with canned responses.
+ * Routes can simulate latency, timeouts, 429 (Too Many Requests) responses with a Retry-After header, and redirects,
+ * and record each request they answer, so that tests can assert how many times each route was called.<br>
+ * <br>
+ * The mock is used by a MockHttpClient, an HttpFetchClient that sends its requests to the mock instead of calling fetch.
+ * Because only the transport is replaced, the client's own handling of redirects, retries, and interceptors is exercised.
+ * The createClient method returns an HttpClient that uses a MockHttpClient as its delegate.<br>
+ * <br>
+ * In 'record' mode, the mock sends each request over the network and captures the exchange,
+ * which can be saved as a JSON fixture file.
+ * In 'replay' mode, the mock answers requests from the exchanges loaded from such a file.<br>
+ * Before an exchange is kept, the values of headers, query parameters, and form or JSON fields
+ * that carry credentials, such as Set-Cookie, Authorization, client_secret, and access_token, are replaced,
+ * so that a fixture can be committed without leaking them.<br>
+ * <br>
+ * Example:<br>
+ * <code>
+ *     const mock = new HttpMock();<br>
+ *     const route = mock.onGet( "https://api.example.com/users/*" ).reply( 200, { id: 1 } );<br>
+ *     const client = mock.createClient();<br>
+ *     await client.sendGetRequest( "https://api.example.com/users/1" );<br>
+ *     route.assertCalled( 1 );
+ * </code>
+ *
+ * @module HttpMock
+ *
+ * @author Scott Bockelman
+ * @license MIT
+ */
+
+const fs = require( "node:fs" );
+const path = require( "node:path" );
+
+/**
+ * Imports the @toolbocks/core modules for the utility functions required
+ */
+const core = require( "@toolbocks/core" );
+
+/**
+ * Imports the HttpConstants that define common aspects of the HTTP protocol
+ */
+const httpConstants = require( "./HttpConstants.cjs" );
+
+/**
+ * Imports the HttpClient module for the clients that the mock replaces the transport of
+ */
+const httpClientModule = require( "./HttpClient.js" );
+
+const { constants } = core;
+
+const { _ud = "undefined", $scope } = constants;
+
+// noinspection FunctionTooLongJS
+(function exposeModule()
+{
+    const INTERNAL_NAME = "__BOCK__HTTP_MOCK__";
+
+    if ( $scope() && (null != $scope()[INTERNAL_NAME]) )
+    {
+        return $scope()[INTERNAL_NAME];
+    }
+
+    // import the specific modules from @toolbocks/core that are necessary for this module
+    const { moduleUtils, typeUtils, stringUtils } = core;
+
+    // import the classes, variables, and functions defined in moduleUtils that are used in this module
+    const
+        {
+            ToolBocksModule,
+            __Error,
+            attempt,
+            asyncAttempt,
+            lock
+        } = moduleUtils;
+
+    const { _mt_str = "", _mt = _mt_str } = constants;
+
+    const { isNull, isString, isFunction, isRegExp, isNonNullObject, asObject } = typeUtils;
+
+    const { asString, asInt, isBlank, lcase, ucase } = stringUtils;
+
+    const { STATUS_CODES, VERBS, resolveHttpMethod } = httpConstants;
+
+    const { HttpClient, HttpFetchClient } = httpClientModule;
+
+    /**
+     * This is a dictionary of this module's dependencies.
+     * <br>
+     * It is exported as a property of this module,
+     * allowing us to just import this module<br>
+     * and then import or use the other utilities<br>
+     * as properties of this module.
+     * <br>
+     * @dict
+     * @type {Object}
+     * @alias module:HttpMock#dependencies
+     */
+    const dependencies =
+        {
+            moduleUtils,
+            constants,
+            typeUtils,
+            stringUtils,
+            httpConstants,
+            httpClientModule
+        };
+
+    const modName = "HttpMock";
+
+    const toolBocksModule = new ToolBocksModule( modName, INTERNAL_NAME );
+
+    /**
+     * The modes in which an HttpMock can operate
+     */
+    const MOCK_MODES = lock(
+        {
+            MOCK: "mock",
+            RECORD: "record",
+            REPLAY: "replay"
+        } );
+
+    /**
+     * The version of the format of the fixture files written and read by an HttpMock
+     * @type {number}
+     */
+    const FIXTURE_VERSION = 1;
+
+    const ANY_METHOD = "*";
+
+    const TEXT_CONTENT_TYPE = /^text\/|[+\/](json|xml|javascript|x-www-form-urlencoded)\b/i;
+
+    const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+    /**
+     * The value that replaces sensitive values in a recorded exchange
+     * @type {string}
+     */
+    const REDACTED = "[REDACTED]";
+
+    const SENSITIVE_NAME = /secret|token|passw(or)?d|api[-_]?key|assertion|credential|verifier|session|signature|cookie|authorization|^code$/i;
+
+    // these describe a credential, rather than being one, and a replayed token response needs them
+    const NOT_SENSITIVE_NAMES = ["token_type", "expires_in"];
+
+    const isSensitiveName = ( pName ) => SENSITIVE_NAME.test( asString( pName ) ) && !NOT_SENSITIVE_NAMES.includes( lcase( asString( pName ) ) );
+
+    /**
+     * Thrown by the assertions of a MockRoute or an HttpMock when a route was not called as expected
+     */
+    class MockAssertionError extends __Error
+    {
+        constructor( pMsgOrErr, pOptions = {}, ...pArgs )
+        {
+            super( pMsgOrErr, pOptions, ...pArgs );
+        }
+    }
+
+    /**
+     * Used to reject a request that matches no route
+     */
+    class UnmatchedRequestError extends __Error
+    {
+        constructor( pMsgOrErr, pOptions = {}, ...pArgs )
+        {
+            super( pMsgOrErr, pOptions, ...pArgs );
+        }
+    }
+
+    const sleep = ( pMilliseconds, pSignal ) => new Promise( ( resolve, reject ) =>
+                                                             {
+                                                                 if ( pSignal?.aborted )
+                                                                 {
+                                                                     return reject( pSignal.reason );
+                                                                 }
+
+                                                                 const timer = setTimeout( resolve, Math.max( 0, asInt( pMilliseconds ) ) );
+
+                                                                 pSignal?.addEventListener( "abort", () =>
+                                                                 {
+                                                                     clearTimeout( timer );
+                                                                     reject( pSignal.reason );
+                                                                 }, { once: true } );
+                                                             } );
+
+    const headersToObject = ( pHeaders ) =>
+    {
+        const headers = {};
+
+        if ( _ud !== typeof Headers && pHeaders instanceof Headers )
+        {
+            pHeaders.forEach( ( value, key ) => headers[lcase( key )] = value );
+        }
+        else if ( isNonNullObject( pHeaders ) )
+        {
+            const entries = isFunction( pHeaders.entries ) ? [...pHeaders.entries()] : Object.entries( pHeaders );
+            entries.forEach( ( [key, value] ) => headers[lcase( key )] = asString( value ) );
+        }
+
+        return headers;
+    };
+
+    const readBodyText = async( pBody ) =>
+    {
+        if ( isNull( pBody ) )
+        {
+            return null;
+        }
+
+        if ( isString( pBody ) )
+        {
+            return pBody;
+        }
+
+        return await asyncAttempt( async() => await new Response( pBody ).text() );
+    };
+
+    const isTextContentType = ( pContentType ) => isBlank( pContentType ) || TEXT_CONTENT_TYPE.test( asString( pContentType ) );
+
+    const redactParams = ( pParams ) =>
+    {
+        let changed = false;
+
+        for( const key of [...(new Set( pParams.keys() ))].filter( isSensitiveName ) )
+        {
+            pParams.set( key, REDACTED );
+            changed = true;
+        }
+
+        return changed;
+    };
+
+    const redactUrl = ( pUrl ) =>
+    {
+        const url = attempt( () => new URL( asString( pUrl ) ) );
+
+        return (!isNull( url ) && redactParams( url.searchParams )) ? url.toString() : pUrl;
+    };
+
+    const redactJson = ( pValue ) =>
+    {
+        if ( Array.isArray( pValue ) )
+        {
+            return pValue.map( redactJson );
+        }
+
+        if ( isNonNullObject( pValue ) )
+        {
+            return Object.fromEntries( Object.entries( pValue ).map( ( [key, value] ) => [key, (isSensitiveName( key ) && !isNull( value )) ? REDACTED : redactJson( value )] ) );
+        }
+
+        return pValue;
+    };
+
+    /**
+     * Returns the text of a JSON or form-encoded body with the values of its sensitive fields replaced,
+     * or the text specified, if it has none
+     */
+    const redactBody = ( pBody ) =>
+    {
+        const body = asString( pBody );
+
+        if ( isNull( pBody ) || isBlank( body ) )
+        {
+            return pBody;
+        }
+
+        if ( /^\s*[{\[]/.test( body ) )
+        {
+            const json = attempt( () => JSON.parse( body ) );
+
+            const redacted = isNull( json ) ? json : JSON.stringify( redactJson( json ) );
+
+            return (isNull( redacted ) || redacted === JSON.stringify( json )) ? pBody : redacted;
+        }
+
+        if ( /^[^\s=&]+=[^\s]*$/.test( body ) )
+        {
+            const params = new URLSearchParams( body );
+
+            return redactParams( params ) ? params.toString() : pBody;
+        }
+
+        return pBody;
+    };
+
+    /**
+     * The default function an HttpMock uses to remove credentials from an exchange before keeping it.<br>
+     * <br>
+     * Returns a copy of the exchange in which the values of sensitive headers, query parameters,
+     * and fields of JSON or form-encoded bodies are replaced with '[REDACTED]'.<br>
+     * A name is sensitive if it mentions a secret, token, password, API key, assertion, credential,
+     * code verifier, session, signature, cookie, or authorization, or is an authorization 'code'.<br>
+     *
+     * @param {Object} pExchange an exchange, with a request and a response
+     *
+     * @returns {Object} a copy of the exchange, without the values of its credentials
+     */
+    function redactExchange( pExchange )
+    {
+        const { request = {}, response = {} } = asObject( pExchange || {} );
+
+        const headers = Object.fromEntries( Object.entries( asObject( response.headers || {} ) ).map( ( [key, value] ) => [key, isSensitiveName( key ) ? REDACTED : value] ) );
+
+        return {
+            ...pExchange,
+            request: { ...request, url: redactUrl( request.url ), body: redactBody( request.body ) },
+            response: { ...response, headers, body: ("base64" === response.encoding) ? response.body : redactBody( response.body ) }
+        };
+    }
+
+    /**
+     * An instance of this class describes a request received by an HttpMock
+     */
+    class MockRequest
+    {
+        #method;
+        #url;
+        #headers;
+        #body;
+
+        constructor( pMethod, pUrl, pHeaders, pBody )
+        {
+            this.#method = ucase( asString( pMethod, true ) || VERBS.GET );
+            this.#url = asString( pUrl, true );
+            this.#headers = lock( headersToObject( pHeaders ) );
+            this.#body = pBody ?? null;
+        }
+
+        /**
+         * Returns a MockRequest describing the request that would be sent to the URL with the RequestInit options specified
+         * @param {string|URL|Request} pUrl
+         * @param {RequestInit} [pInit]
+         * @returns {Promise<MockRequest>}
+         */
+        static async from( pUrl, pInit = {} )
+        {
+            if ( _ud !== typeof Request && pUrl instanceof Request )
+            {
+                return new MockRequest( pUrl.method, pUrl.url, pUrl.headers, await asyncAttempt( async() => await pUrl.clone().text() ) );
+            }
+
+            const init = asObject( pInit || {} );
+
+            return new MockRequest( resolveHttpMethod( init.method || VERBS.GET ), asString( pUrl?.href || pUrl, true ), init.headers, await readBodyText( init.body ) );
+        }
+
+        get method()
+        {
+            return this.#method;
+        }
+
+        get url()
+        {
+            return this.#url;
+        }
+
+        get headers()
+        {
+            return this.#headers;
+        }
+
+        get body()
+        {
+            return this.#body;
+        }
+
+        /**
+         * Returns the body parsed as JSON, or null if it is not JSON
+         * @returns {Object|null}
+         */
+        get json()
+        {
+            return isBlank( this.#body ) ? null : attempt( () => JSON.parse( this.#body ) ) ?? null;
+        }
+
+        getHeader( pName )
+        {
+            return this.#headers[lcase( asString( pName, true ) )] ?? null;
+        }
+    }
+
+    const matchesPartially = ( pExpected, pActual ) =>
+    {
+        if ( isNonNullObject( pExpected ) )
+        {
+            return isNonNullObject( pActual ) && Object.entries( pExpected ).every( ( [key, value] ) => matchesPartially( value, pActual[key] ) );
+        }
+
+        return pExpected === pActual;
+    };
+
+    const toUrlExpression = ( pPattern ) =>
+    {
+        const escaped = asString( pPattern ).replace( /[.+?^${}()|[\]\\]/g, "\\$&" ).replace( /\*/g, ".*" );
+        return new RegExp( "^" + escaped + "$" );
+    };
+
+    /**
+     * Returns a function that returns true if a URL matches the pattern specified.<br>
+     * A string matches the whole URL or, if it begins with '/', its path (and its query, if the string includes one).
+     * An asterisk in a string matches any characters.<br>
+     * A RegExp is tested against the whole URL.
+     * A function is called with the URL and the MockRequest.
+     *
+     * @param {string|RegExp|Function} pPattern
+     * @returns {Function}
+     */
+    const createUrlMatcher = function( pPattern )
+    {
+        if ( isNull( pPattern ) || "*" === pPattern )
+        {
+            return () => true;
+        }
+
+        if ( isFunction( pPattern ) )
+        {
+            return ( pUrl, pRequest ) => !!attempt( () => pPattern( pUrl, pRequest ) );
+        }
+
+        if ( isRegExp( pPattern ) )
+        {
+            return ( pUrl ) => pPattern.test( pUrl );
+        }
+
+        const pattern = asString( pPattern, true );
+
+        const expression = toUrlExpression( pattern );
+
+        return ( pUrl ) =>
+        {
+            const url = asString( pUrl, true ).replace( /#.*$/, _mt );
+
+            if ( pattern.startsWith( "/" ) )
+            {
+                const parsed = attempt( () => new URL( url ) );
+
+                const target = isNull( parsed ) ? url : (parsed.pathname + (pattern.includes( "?" ) ? parsed.search : _mt));
+
+                return expression.test( target );
+            }
+
+            return expression.test( pattern.includes( "?" ) ? url : url.replace( /\?.*$/, _mt ) );
+        };
+    };
+
+    /**
+     * Returns a function that returns true if the body of a request matches the matcher specified.<br>
+     * A string must equal the body. A RegExp is tested against the body.
+     * An object must be contained in the body parsed as JSON.
+     * A function is called with the body and the MockRequest.
+     *
+     * @param {string|RegExp|Object|Function} pMatcher
+     * @returns {Function}
+     */
+    const createBodyMatcher = function( pMatcher )
+    {
+        if ( isNull( pMatcher ) )
+        {
+            return () => true;
+        }
+
+        if ( isFunction( pMatcher ) )
+        {
+            return ( pBody, pRequest ) => !!attempt( () => pMatcher( pBody, pRequest ) );
+        }
+
+        if ( isRegExp( pMatcher ) )
+        {
+            return ( pBody ) => pMatcher.test( asString( pBody ) );
+        }
+
+        if ( isString( pMatcher ) )
+        {
+            return ( pBody ) => asString( pBody ) === pMatcher;
+        }
+
+        return ( pBody, pRequest ) => matchesPartially( pMatcher, pRequest?.json );
+    };
+
+    /**
+     * Returns a Response from the description of a response specified.<br>
+     * The description can be a Response, or an object with status, statusText, headers, and either body or json.
+     *
+     * @param {Response|Object} pResponse
+     * @returns {Response}
+     */
+    const toResponse = function( pResponse )
+    {
+        if ( _ud !== typeof Response && pResponse instanceof Response )
+        {
+            return pResponse;
+        }
+
+        const { status = STATUS_CODES.OK, statusText, headers = {}, body, json } = asObject( pResponse || {} );
+
+        const responseHeaders = new Headers( headers );
+
+        let content = body ?? null;
+
+        if ( !isNull( json ) || (isNonNullObject( body ) && !(body instanceof ArrayBuffer) && !ArrayBuffer.isView( body ) && !(body instanceof Blob)) )
+        {
+            content = JSON.stringify( json ?? body );
+
+            if ( !responseHeaders.has( "Content-Type" ) )
+            {
+                responseHeaders.set( "Content-Type", "application/json" );
+            }
+        }
+
+        const code = asInt( status, STATUS_CODES.OK );
+
+        return new Response( NULL_BODY_STATUSES.includes( code ) ? null : content, { status: code, statusText: asString( statusText, true ), headers: responseHeaders } );
+    };
+
+    /**
+     * An instance of this class matches requests and describes how to answer them.<br>
+     * Routes are created by the 'on' methods of an HttpMock, and their methods can be chained:<br>
+     * <code>mock.onPost( "/orders", { sku: "123" } ).delay( 50 ).reply( 201, { id: 7 } );</code><br>
+     * <br>
+     * When a route has been given more than one response, they are used in order and the last is repeated.
+     */
+    class MockRoute
+    {
+        #method;
+        #urlPattern;
+        #bodyMatcher;
+
+        #matchesUrl;
+        #matchesBody;
+
+        #responses = [];
+
+        #delay = 0;
+
+        #timeout = null;
+
+        #times = Infinity;
+
+        #calls = [];
+
+        /**
+         * Constructs an instance of this class
+         *
+         * @param {string} [pMethod='*']    the method of the requests to match, or '*' for any method
+         * @param {string|RegExp|Function} [pUrlPattern='*']  the URL pattern of the requests to match
+         * @param {string|RegExp|Object|Function} [pBodyMatcher] the body of the requests to match
+         */
+        constructor( pMethod = ANY_METHOD, pUrlPattern = "*", pBodyMatcher = null )
+        {
+            this.#method = (ANY_METHOD === pMethod || isBlank( pMethod )) ? ANY_METHOD : resolveHttpMethod( pMethod );
+            this.#urlPattern = pUrlPattern;
+            this.#bodyMatcher = pBodyMatcher;
+
+            this.#matchesUrl = createUrlMatcher( pUrlPattern );
+            this.#matchesBody = createBodyMatcher( pBodyMatcher );
+        }
+
+        get method()
+        {
+            return this.#method;
+        }
+
+        get urlPattern()
+        {
+            return this.#urlPattern;
+        }
+
+        get bodyMatcher()
+        {
+            return this.#bodyMatcher;
+        }
+
+        /**
+         * Returns the requests this route has answered
+         * @returns {Array<MockRequest>}
+         */
+        get calls()
+        {
+            return [...(this.#calls)];
+        }
+
+        get callCount()
+        {
+            return this.#calls.length;
+        }
+
+        get lastCall()
+        {
+            return this.#calls[this.#calls.length - 1] || null;
+        }
+
+        /**
+         * Returns true if this route can still answer requests
+         * @returns {boolean}
+         */
+        get isActive()
+        {
+            return this.#calls.length < this.#times;
+        }
+
+        toString()
+        {
+            return this.#method + " " + asString( this.#urlPattern ) + (isNull( this.#bodyMatcher ) ? _mt : (" " + attempt( () => isString( this.#bodyMatcher ) || isRegExp( this.#bodyMatcher ) ? asString( this.#bodyMatcher ) : JSON.stringify( this.#bodyMatcher ) )));
+        }
+
+        matches( pRequest )
+        {
+            return this.isActive &&
+                   (ANY_METHOD === this.#method || this.#method === pRequest?.method) &&
+                   this.#matchesUrl( pRequest?.url, pRequest ) &&
+                   this.#matchesBody( pRequest?.body, pRequest );
+        }
+
+        /**
+         * Adds a response with the status, body, and headers specified.<br>
+         * An object (other than a string or binary data) is sent as JSON.
+         *
+         * @param {number} [pStatus=200]
+         * @param {string|Object|ArrayBuffer|Blob} [pBody]
+         * @param {Object} [pHeaders]
+         *
+         * @returns {MockRoute} this route
+         */
+        reply( pStatus = STATUS_CODES.OK, pBody = null, pHeaders = {} )
+        {
+            this.#responses.push( { status: pStatus, body: pBody, headers: pHeaders } );
+            return this;
+        }
+
+        /**
+         * Adds a response that is calculated for each request by the function specified.<br>
+         * The function receives the MockRequest and returns (or resolves to) a Response or a description of one.
+         *
+         * @param {Function|Response|Object} pResponse
+         * @returns {MockRoute} this route
+         */
+        replyWith( pResponse )
+        {
+            this.#responses.push( pResponse );
+            return this;
+        }
+
+        /**
+         * Adds a response with the status 429 (Too Many Requests) and a Retry-After header
+         *
+         * @param {number} [pRetryAfterSeconds=1]
+         * @param {Object} [pHeaders]
+         * @returns {MockRoute} this route
+         */
+        tooManyRequests( pRetryAfterSeconds = 1, pHeaders = {} )
+        {
+            return this.reply( STATUS_CODES.TOO_MANY_REQUESTS, null, { ...(asObject( pHeaders || {} )), "Retry-After": asString( asInt( pRetryAfterSeconds, 1 ) ) } );
+        }
+
+        /**
+         * Adds a response that redirects the request to the location specified
+         *
+         * @param {string} pLocation
+         * @param {number} [pStatus=302]
+         * @returns {MockRoute} this route
+         */
+        redirect( pLocation, pStatus = STATUS_CODES.FOUND || 302 )
+        {
+            return this.reply( pStatus, null, { "Location": asString( pLocation, true ) } );
+        }
+
+        /**
+         * Makes this route wait for the number of milliseconds specified before it responds
+         * @param {number} pMilliseconds
+         * @returns {MockRoute} this route
+         */
+        delay( pMilliseconds )
+        {
+            this.#delay = Math.max( 0, asInt( pMilliseconds ) );
+            return this;
+        }
+
+        /**
+         * Makes this route never respond.<br>
+         * The request fails when it is aborted (as it is when the client's timeout elapses)
+         * or, if it has no AbortSignal, after the number of milliseconds specified, with a TimeoutError.
+         *
+         * @param {number} [pMilliseconds=30000]
+         * @returns {MockRoute} this route
+         */
+        timeout( pMilliseconds = 30_000 )
+        {
+            this.#timeout = Math.max( 0, asInt( pMilliseconds, 30_000 ) );
+            return this;
+        }
+
+        /**
+         * Limits the number of requests this route answers; after that, it no longer matches
+         * @param {number} pTimes
+         * @returns {MockRoute} this route
+         */
+        times( pTimes )
+        {
+            this.#times = Math.max( 0, asInt( pTimes, 1 ) );
+            return this;
+        }
+
+        once()
+        {
+            return this.times( 1 );
+        }
+
+        /**
+         * Answers the request specified, recording the call
+         * @param {MockRequest} pRequest
+         * @param {AbortSignal} [pSignal]
+         * @returns {Promise<Response>}
+         */
+        async respond( pRequest, pSignal )
+        {
+            const index = this.#calls.length;
+
+            this.#calls.push( pRequest );
+
+            if ( this.#delay > 0 )
+            {
+                await sleep( this.#delay, pSignal );
+            }
+
+            if ( !isNull( this.#timeout ) )
+            {
+                await sleep( (isNull( pSignal ) ? this.#timeout : 2_147_483_647), pSignal );
+                throw new DOMException( "The operation was aborted due to timeout", "TimeoutError" );
+            }
+
+            const response = this.#responses[Math.min( index, this.#responses.length - 1 )] ?? { status: STATUS_CODES.OK };
+
+            return toResponse( isFunction( response ) ? await response( pRequest ) : response );
+        }
+
+        /**
+         * Throws a MockAssertionError unless this route has answered exactly the number of requests specified
+         * @param {number} [pTimes=1]
+         */
+        assertCalled( pTimes = 1 )
+        {
+            if ( this.callCount !== asInt( pTimes ) )
+            {
+                throw new MockAssertionError( "Expected " + this.toString() + " to be called " + asInt( pTimes ) + " time(s), but it was called " + this.callCount + " time(s)" );
+            }
+        }
+
+        assertNotCalled()
+        {
+            this.assertCalled( 0 );
+        }
+
+        reset()
+        {
+            this.#calls = [];
+        }
+    }
+
+    /**
+     * An instance of this class holds the routes that answer requests in place of a server
+     * and, in record and replay modes, the exchanges captured from or served to the network.
+     */
+    class HttpMock
+    {
+        #mode = MOCK_MODES.MOCK;
+
+        #routes = [];
+
+        #unmatched = [];
+
+        #exchanges = [];
+
+        #fixtureFile;
+
+        #transport;
+
+        #redact;
+
+        /**
+         * Constructs an instance of this class
+         *
+         * @param {Object} [pOptions]
+         * @param {string} [pOptions.mode='mock']   'mock', 'record', or 'replay'
+         * @param {string} [pOptions.fixtureFile]   the file that save writes to and load reads from
+         * @param {Function} [pOptions.transport=fetch] the function used to send requests in record mode
+         * @param {Function} [pOptions.redact=redactExchange] a function that is passed each exchange recorded
+         *                                                    and returns the exchange to keep in its place,
+         *                                                    without the credentials it should not be saved with
+         */
+        constructor( pOptions = {} )
+        {
+            const options = asObject( pOptions || {} );
+
+            this.#mode = Object.values( MOCK_MODES ).includes( lcase( options.mode ) ) ? lcase( options.mode ) : MOCK_MODES.MOCK;
+            this.#fixtureFile = asString( options.fixtureFile, true ) || null;
+            this.#transport = isFunction( options.transport ) ? options.transport : ( pUrl, pInit ) => fetch( pUrl, pInit );
+            this.#redact = isFunction( options.redact ) ? options.redact : redactExchange;
+        }
+
+        get mode()
+        {
+            return this.#mode;
+        }
+
+        get routes()
+        {
+            return [...(this.#routes)];
+        }
+
+        /**
+         * Returns the requests that matched no route
+         * @returns {Array<MockRequest>}
+         */
+        get unmatched()
+        {
+            return [...(this.#unmatched)];
+        }
+
+        /**
+         * Returns the exchanges recorded (in record mode) or loaded (in replay mode)
+         * @returns {Array<Object>}
+         */
+        get exchanges()
+        {
+            return [...(this.#exchanges)];
+        }
+
+        get fixtureFile()
+        {
+            return this.#fixtureFile;
+        }
+
+        /**
+         * Adds and returns a route for requests with the method, URL pattern, and body specified.<br>
+         * Routes are tried in the order they were added.
+         *
+         * @param {string} pMethod  an HTTP method, or '*' for any method
+         * @param {string|RegExp|Function} pUrlPattern
+         * @param {string|RegExp|Object|Function} [pBodyMatcher]
+         *
+         * @returns {MockRoute}
+         */
+        on( pMethod, pUrlPattern, pBodyMatcher )
+        {
+            const route = new MockRoute( pMethod, pUrlPattern, pBodyMatcher );
+            this.#routes.push( route );
+            return route;
+        }
+
+        onAny( pUrlPattern, pBodyMatcher )
+        {
+            return this.on( ANY_METHOD, pUrlPattern, pBodyMatcher );
+        }
+
+        onGet( pUrlPattern )
+        {
+            return this.on( VERBS.GET, pUrlPattern );
+        }
+
+        onHead( pUrlPattern )
+        {
+            return this.on( VERBS.HEAD, pUrlPattern );
+        }
+
+        onPost( pUrlPattern, pBodyMatcher )
+        {
+            return this.on( VERBS.POST, pUrlPattern, pBodyMatcher );
+        }
+
+        onPut( pUrlPattern, pBodyMatcher )
+        {
+            return this.on( VERBS.PUT, pUrlPattern, pBodyMatcher );
+        }
+
+        onPatch( pUrlPattern, pBodyMatcher )
+        {
+            return this.on( VERBS.PATCH, pUrlPattern, pBodyMatcher );
+        }
+
+        onDelete( pUrlPattern, pBodyMatcher )
+        {
+            return this.on( VERBS.DELETE, pUrlPattern, pBodyMatcher );
+        }
+
+        findRoute( pRequest )
+        {
+            return this.#routes.find( route => route.matches( pRequest ) ) || null;
+        }
+
+        /**
+         * Answers a request as fetch would, from the routes (or, in record mode, from the network).<br>
+         * This method can be used wherever a fetch function is expected.
+         *
+         * @param {string|URL|Request} pUrl
+         * @param {RequestInit} [pInit]
+         *
+         * @returns {Promise<Response>}
+         */
+        async fetch( pUrl, pInit = {} )
+        {
+            const request = await MockRequest.from( pUrl, pInit );
+
+            if ( MOCK_MODES.RECORD === this.#mode )
+            {
+                return this.#record( request, pUrl, pInit );
+            }
+
+            const route = this.findRoute( request );
+
+            if ( isNull( route ) )
+            {
+                this.#unmatched.push( request );
+                throw new UnmatchedRequestError( "No route matches " + request.method + " " + request.url );
+            }
+
+            return route.respond( request, pInit?.signal );
+        }
+
+        async #record( pRequest, pUrl, pInit )
+        {
+            const response = await this.#transport( pUrl, pInit );
+
+            const headers = headersToObject( response.headers );
+
+            const buffer = Buffer.from( await response.arrayBuffer() );
+
+            const text = isTextContentType( headers["content-type"] );
+
+            const exchange =
+                {
+                    request: { method: pRequest.method, url: pRequest.url, body: pRequest.body },
+                    response:
+                        {
+                            status: response.status,
+                            statusText: response.statusText,
+                            headers,
+                            body: buffer.length > 0 ? buffer.toString( text ? "utf8" : "base64" ) : null,
+                            encoding: text ? "utf8" : "base64"
+                        }
+                };
+
+            this.#exchanges.push( this.#redact( exchange ) || exchange );
+
+            // the body has been read, so the caller receives a copy of the response
+            return new Response( NULL_BODY_STATUSES.includes( response.status ) ? null : buffer, { status: response.status, statusText: response.statusText, headers: response.headers } );
+        }
+
+        /**
+         * Adds routes that answer requests with the exchanges specified,
+         * matching each request by its method, URL, and (if one was recorded) its body.<br>
+         * The exchanges for the same request are used in the order they were recorded.<br>
+         * <br>
+         * A request also matches an exchange whose credentials were redacted when it was recorded,
+         * if the request has the same method, URL, and body once its own credentials are redacted.
+         *
+         * @param {Array<Object>} pExchanges
+         */
+        addExchanges( pExchanges )
+        {
+            const routes = new Map();
+
+            for( const exchange of [...(pExchanges || [])].filter( isNonNullObject ) )
+            {
+                const { request = {}, response = {} } = exchange;
+
+                const method = resolveHttpMethod( request.method || VERBS.GET );
+                const url = asString( request.url, true );
+                const body = isBlank( request.body ) ? null : asString( request.body );
+
+                const key = method + " " + url + " " + asString( body );
+
+                let route = routes.get( key );
+
+                if ( isNull( route ) )
+                {
+                    // an exact match of the URL (and body), rather than a pattern
+                    route = this.on( method,
+                                     ( pUrl ) => asString( pUrl ) === url || asString( this.#redactRequest( method, pUrl, null ).url ) === url,
+                                     isNull( body ) ? null : ( pBody ) => asString( pBody ) === body || asString( this.#redactRequest( method, url, pBody ).body ) === body );
+                    routes.set( key, route );
+                }
+
+                const content = isNull( response.body ) ? null : ("base64" === response.encoding ? Buffer.from( response.body, "base64" ) : asString( response.body ));
+
+                route.replyWith( { status: response.status, statusText: response.statusText, headers: response.headers || {}, body: content } );
+
+                this.#exchanges.push( exchange );
+            }
+        }
+
+        #redactRequest( pMethod, pUrl, pBody )
+        {
+            const exchange = { request: { method: pMethod, url: asString( pUrl ), body: pBody }, response: { headers: {} } };
+
+            return asObject( attempt( () => this.#redact( exchange )?.request ) || exchange.request );
+        }
+
+        /**
+         * Writes the exchanges recorded to a JSON fixture file
+         *
+         * @param {string} [pFilePath=this.fixtureFile]
+         * @returns {Promise<string>} the path of the file written
+         */
+        async save( pFilePath = this.#fixtureFile )
+        {
+            const filePath = asString( pFilePath, true );
+
+            if ( isBlank( filePath ) )
+            {
+                throw new __Error( "No fixture file was specified" );
+            }
+
+            await fs.promises.mkdir( path.dirname( filePath ), { recursive: true } );
+
+            const fixture = { version: FIXTURE_VERSION, recorded: new Date().toISOString(), exchanges: this.#exchanges };
+
+            await fs.promises.writeFile( filePath, JSON.stringify( fixture, null, 2 ), "utf8" );
+
+            return filePath;
+        }
+
+        /**
+         * Reads the exchanges from a JSON fixture file and adds routes that answer requests with them
+         *
+         * @param {string} [pFilePath=this.fixtureFile]
+         * @returns {Promise<HttpMock>} this instance
+         */
+        async load( pFilePath = this.#fixtureFile )
+        {
+            const filePath = asString( pFilePath, true );
+
+            const fixture = JSON.parse( await fs.promises.readFile( filePath, "utf8" ) );
+
+            this.addExchanges( fixture?.exchanges );
+
+            return this;
+        }
+
+        /**
+         * Returns an HttpClient that sends its requests to this mock
+         *
+         * @param {Object} [pConfig]
+         * @param {Object} [pOptions]
+         * @returns {HttpClient}
+         */
+        createClient( pConfig = {}, pOptions = {} )
+        {
+            return new HttpClient( pConfig, pOptions, null, new MockHttpClient( this, pConfig, pOptions ) );
+        }
+
+        /**
+         * Throws a MockAssertionError if any request matched no route
+         */
+        assertNoUnmatchedRequests()
+        {
+            if ( this.#unmatched.length > 0 )
+            {
+                throw new MockAssertionError( "No route matched " + this.#unmatched.map( e => e.method + " " + e.url ).join( ", " ) );
+            }
+        }
+
+        /**
+         * Throws a MockAssertionError if any route was never called
+         */
+        assertAllCalled()
+        {
+            const uncalled = this.#routes.filter( route => route.callCount <= 0 );
+
+            if ( uncalled.length > 0 )
+            {
+                throw new MockAssertionError( "Expected every route to be called, but " + uncalled.map( String ).join( ", " ) + " was not" );
+            }
+        }
+
+        /**
+         * Removes the routes, the record of unmatched requests, and the exchanges
+         */
+        reset()
+        {
+            this.#routes = [];
+            this.#unmatched = [];
+            this.#exchanges = [];
+        }
+    }
+
+    /**
+     * Returns an HttpMock that answers requests from the fixture file specified
+     *
+     * @param {string} pFilePath
+     * @param {Object} [pOptions] the options for the HttpMock, such as the redact function used when the file was recorded
+     * @returns {Promise<HttpMock>}
+     */
+    HttpMock.replay = async function( pFilePath, pOptions = {} )
+    {
+        return new HttpMock( { ...asObject( pOptions || {} ), mode: MOCK_MODES.REPLAY, fixtureFile: pFilePath } ).load( pFilePath );
+    };
+
+    /**
+     * An instance of this class is an HttpFetchClient that sends its requests to an HttpMock instead of calling fetch.<br>
+     * It can be used alone or as the delegate of an HttpClient.
+     */
+    class MockHttpClient extends HttpFetchClient
+    {
+        #mock;
+
+        constructor( pMock, pConfig, pOptions )
+        {
+            super( pConfig, pOptions );
+
+            this.#mock = (pMock instanceof HttpMock) ? pMock : new HttpMock( pMock );
+        }
+
+        get mock()
+        {
+            return this.#mock;
+        }
+
+        async fetch( pUrl, pInit )
+        {
+            return this.#mock.fetch( pUrl, pInit );
+        }
+    }
+
+    let mod =
+        {
+            dependencies,
+            classes:
+                {
+                    MockAssertionError,
+                    UnmatchedRequestError,
+                    MockRequest,
+                    MockRoute,
+                    HttpMock,
+                    MockHttpClient
+                },
+            MockAssertionError,
+            UnmatchedRequestError,
+            MockRequest,
+            MockRoute,
+            HttpMock,
+            MockHttpClient,
+            MOCK_MODES,
+            FIXTURE_VERSION,
+            REDACTED,
+            redactExchange
+        };
+
+    mod = toolBocksModule.extend( mod );
+
+    return mod.expose( mod, INTERNAL_NAME, (_ud !== typeof module ? module : mod) ) || mod;
+
+}());
@@ -0,0 +1,869 @@
+/**
+ * @fileOverview
+ * This module defines a builder for multipart/form-data request bodies.<br>
+ * <br>
+ * A MultipartForm holds text fields and file parts, in the order they are appended.<br>
+ * A file part can be read from a path, a Buffer (or any other binary data), a Blob,
+ * or a stream (a Node.js Readable, a ReadableStream, or any async iterable of bytes),
+ * and can specify its own file name, content type, and additional headers.<br>
+ * <br>
+ * The form is sent as a stream, read part by part as the request is sent,
+ * so the content of a large file is never held in memory.<br>
+ * When the size of every part is known (which is always the case for fields, binary data, Blobs, and paths),
+ * the form reports its Content-Length, so the request is not sent with chunked encoding.<br>
+ * <br>
+ * As the body is read, the form dispatches progress events,
+ * which the HTTP clients dispatch as their own when they upload the form.<br>
+ * <br>
+ * Example:<br>
+ * <code>
+ *     const form = new MultipartForm().append( "title", "Nightly export" ).appendFile( "export", "./exports/nightly.zip", { contentType: "application/zip" } );
+ *
+ *     const responseData = await client.upload( url, config, form );
+ * </code>
+ *
+ * @see https://www.rfc-editor.org/rfc/rfc7578
+ *
+ * @module HttpMultipart
+ *
+ * @author Scott Bockelman
+ * @license MIT
+ */
+
+/**
+ * Imports the Node.js file system module for reading the file parts specified by a path
+ */
+const fs = require( "node:fs" );
+
+/**
+ * Imports the Node.js path module for calculating the file name of a part read from a path
+ */
+const path = require( "node:path" );
+
+/**
+ * Imports the Node.js crypto module for generating boundaries
+ */
+const crypto = require( "node:crypto" );
+
+/**
+ * Imports the @toolbocks/core modules for the utility functions required
+ */
+const core = require( "@toolbocks/core" );
+
+/**
+ * Imports the HttpConstants that define common aspects of the HTTP protocol
+ */
+const httpConstants = require( "./HttpConstants.cjs" );
+
+const { constants } = core;
+
+const { _ud = "undefined", $scope } = constants;
+
+// noinspection FunctionTooLongJS
+(function exposeModule()
+{
+    const INTERNAL_NAME = "__BOCK__HTTP_MULTIPART__";
+
+    if ( $scope() && (null != $scope()[INTERNAL_NAME]) )
+    {
+        return $scope()[INTERNAL_NAME];
+    }
+
+    // import the specific modules from @toolbocks/core that are necessary for this module
+    const { moduleUtils, typeUtils, stringUtils } = core;
+
+    // import the classes, variables, and functions defined in moduleUtils that are used in this module
+    const
+        {
+            ToolBocksModule,
+            ModuleEvent,
+            attempt,
+            lock
+        } = moduleUtils;
+
+    const { _mt_str = "", _mt = _mt_str } = constants;
+
+    const { isNull, isString, isFunction, isNonNullObject, asObject } = typeUtils;
+
+    const { asString, asInt, isBlank } = stringUtils;
+
+    const { HttpError, CONTENT_TYPES } = httpConstants;
+
+    /**
+     * This is a dictionary of this module's dependencies.
+     * <br>
+     * It is exported as a property of this module,
+     * allowing us to just import this module<br>
+     * and then import or use the other utilities<br>
+     * as properties of this module.
+     * <br>
+     * @dict
+     * @type {Object}
+     * @alias module:HttpMultipart#dependencies
+     */
+    const dependencies =
+        {
+            moduleUtils,
+            constants,
+            typeUtils,
+            stringUtils,
+            httpConstants
+        };
+
+    const modName = "HttpMultipart";
+
+    const toolBocksModule = new ToolBocksModule( modName, INTERNAL_NAME );
+
+    /**
+     * The types of the events dispatched as a form is uploaded.<br>
+     * <br>
+     * PROGRESS is dispatched as the body is read (no more often than the progressInterval option allows) and when all of it has been read.
+     */
+    const UPLOAD_EVENTS = lock(
+        {
+            PROGRESS: "upload-progress"
+        } );
+
+    /**
+     * The default options of a MultipartForm.<br>
+     * <br>
+     * boundary: the boundary to use, instead of one generated at random<br>
+     * chunkSize: the number of bytes read from a file at a time<br>
+     * progressInterval: the minimum number of milliseconds between progress events<br>
+     * onProgress: a function called with the detail of each progress event
+     */
+    const DEFAULT_MULTIPART_OPTIONS = lock(
+        {
+            boundary: null,
+            chunkSize: 65_536,
+            progressInterval: 250,
+            onProgress: null
+        } );
+
+    /**
+     * The line break that separates the headers and the parts of a multipart body
+     * @type {string}
+     */
+    const CRLF = "\r\n";
+
+    /**
+     * The characters a boundary can contain, and its maximum length.<br>
+     * A boundary can contain spaces, but cannot end with one.
+     * @type {RegExp}
+     */
+    const VALID_BOUNDARY = /^[0-9A-Za-z'()+_,\-./:=? ]{0,69}[0-9A-Za-z'()+_,\-./:=?]$/;
+
+    /**
+     * The characters a header name can contain
+     * @type {RegExp}
+     */
+    const VALID_HEADER_NAME = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+    /**
+     * This class represents a form, or a part of a form, that cannot be encoded or sent,
+     * such as a header containing a line break, or a stream that has already been read.
+     */
+    class MultipartError extends HttpError
+    {
+        constructor( pMsgOrErr, pOptions = {}, ...pArgs )
+        {
+            super( pMsgOrErr, pOptions, ...pArgs );
+        }
+    }
+
+    /**
+     * Returns a new boundary, which is long and random enough not to occur in the content of any part
+     *
+     * @returns {string}
+     */
+    function generateBoundary()
+    {
+        return "----BockFormBoundary" + crypto.randomBytes( 16 ).toString( "hex" );
+    }
+
+    /**
+     * Escapes a name or file name for a quoted parameter of the Content-Disposition header of a part,
+     * as browsers do when they submit a form.
+     *
+     * @see https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#multipart-form-data
+     */
+    function escapeParameter( pValue )
+    {
+        return asString( pValue ).replace( /"/g, "%22" ).replace( /\r/g, "%0D" ).replace( /\n/g, "%0A" );
+    }
+
+    /**
+     * Returns a Buffer holding the same bytes as the binary data specified, without copying them
+     */
+    function toBuffer( pData )
+    {
+        if ( Buffer.isBuffer( pData ) )
+        {
+            return pData;
+        }
+
+        if ( ArrayBuffer.isView( pData ) )
+        {
+            return Buffer.from( pData.buffer, pData.byteOffset, pData.byteLength );
+        }
+
+        return Buffer.from( pData );
+    }
+
+    const isBinary = ( pValue ) => ArrayBuffer.isView( pValue ) || (pValue instanceof ArrayBuffer);
+
+    const isBlob = ( pValue ) => (_ud !== typeof Blob) && (pValue instanceof Blob);
+
+    const isStream = ( pValue ) => isNonNullObject( pValue ) && (isFunction( pValue[Symbol.asyncIterator] ) || isFunction( pValue.getReader ));
+
+    /**
+     * A part of a multipart form, either a text field or a file.<br>
+     * <br>
+     * The content of a part is read only when the form is sent.
+     * The content of a part read from a stream can only be sent once;
+     * the content of any other part is read again each time the form is sent.
+     */
+    class MultipartPart
+    {
+        #name;
+        #source;
+        #fileName;
+        #contentType;
+        #headers;
+        #size;
+
+        #consumed = false;
+
+        /**
+         * @param {string} pName                          the name of the field
+         * @param {string|Buffer|ArrayBuffer|TypedArray|Blob|ReadableStream|AsyncIterable} pSource
+         *                                                the content of the part (a string is the content itself, not a path)
+         * @param {Object} [pOptions]                     the file name, content type, additional headers, and size of the part
+         * @param {string} [pOptions.fileName]            the file name, which makes the part a file
+         * @param {string} [pOptions.contentType]         the content type; a file without one is 'application/octet-stream'
+         * @param {Object} [pOptions.headers]             additional headers of the part
+         * @param {number} [pOptions.size]                the number of bytes of a stream, if known
+         */
+        constructor( pName, pSource, pOptions = {} )
+        {
+            const options = asObject( pOptions || {} );
+
+            if ( isBlank( pName ) )
+            {
+                throw new MultipartError( "A part of a form must have a name" );
+            }
+
+            this.#name = asString( pName );
+
+            this.#source = (isString( pSource ) || isBinary( pSource ) || isBlob( pSource ) || isStream( pSource )) ? pSource : asString( pSource ?? _mt );
+
+            this.#fileName = isNull( options.fileName ) ? (isBlob( pSource ) && !isBlank( pSource.name ) ? pSource.name : null) : asString( options.fileName );
+
+            this.#contentType = asString( options.contentType || (isBlob( pSource ) ? pSource.type : _mt), true ) || (isNull( this.#fileName ) ? null : CONTENT_TYPES.BINARY_STREAM);
+
+            this.#headers = MultipartPart.validateHeaders( options.headers );
+
+            this.#size = this.#calculateSize( options.size );
+        }
+
+        /**
+         * Returns the headers specified, after verifying that they cannot change the structure of the body
+         *
+         * @throws {MultipartError} if a header name is not a valid token or a value contains a line break
+         */
+        static validateHeaders( pHeaders )
+        {
+            const headers = {};
+
+            Object.entries( asObject( pHeaders || {} ) ).forEach( ( [key, value] ) =>
+                                                                  {
+                                                                      const name = asString( key, true );
+                                                                      const text = asString( value );
+
+                                                                      if ( !VALID_HEADER_NAME.test( name ) || /[\r\n]/.test( text ) )
+                                                                      {
+                                                                          throw new MultipartError( `The header '${name}' cannot be sent in a part of a form` );
+                                                                      }
+
+                                                                      headers[name] = text;
+                                                                  } );
+
+            return headers;
+        }
+
+        #calculateSize( pSize )
+        {
+            const source = this.#source;
+
+            if ( isString( source ) )
+            {
+                return Buffer.byteLength( source );
+            }
+
+            if ( isBinary( source ) )
+            {
+                return source.byteLength;
+            }
+
+            if ( isBlob( source ) )
+            {
+                return source.size;
+            }
+
+            return isNull( pSize ) ? null : asInt( pSize );
+        }
+
+        get name()
+        {
+            return this.#name;
+        }
+
+        get fileName()
+        {
+            return this.#fileName;
+        }
+
+        get contentType()
+        {
+            return this.#contentType;
+        }
+
+        get headers()
+        {
+            return { ...this.#headers };
+        }
+
+        /**
+         * Returns the number of bytes of the content of this part, or null if it is read from a stream of unknown length
+         *
+         * @returns {number|null}
+         */
+        get size()
+        {
+            return this.#size;
+        }
+
+        /**
+         * Returns true if this part is a file, rather than a text field
+         *
+         * @returns {boolean}
+         */
+        get isFile()
+        {
+            return !isNull( this.#fileName );
+        }
+
+        /**
+         * Returns true if the content of this part can be read again (it is not read from a stream)
+         *
+         * @returns {boolean}
+         */
+        get repeatable()
+        {
+            return !isStream( this.#source );
+        }
+
+        /**
+         * Returns the headers that precede the content of this part in a body using the specified boundary
+         *
+         * @param {string} pBoundary the boundary of the form
+         *
+         * @returns {Buffer}
+         */
+        encodeHeaders( pBoundary )
+        {
+            let disposition = `form-data; name="${escapeParameter( this.#name )}"`;
+
+            if ( this.isFile )
+            {
+                disposition += `; filename="${escapeParameter( this.#fileName )}"`;
+            }
+
+            const lines = [`--${pBoundary}`, `Content-Disposition: ${disposition}`];
+
+            if ( !isBlank( this.#contentType ) )
+            {
+                lines.push( `Content-Type: ${this.#contentType}` );
+            }
+
+            Object.entries( this.#headers ).forEach( ( [key, value] ) => lines.push( `${key}: ${value}` ) );
+
+            return Buffer.from( lines.join( CRLF ) + CRLF + CRLF );
+        }
+
+        /**
+         * Reads the content of this part
+         *
+         * @param {number} [pChunkSize] the number of bytes to read from a file at a time
+         *
+         * @returns {AsyncGenerator<Buffer>}
+         *
+         * @throws {MultipartError} if the content is read from a stream that has already been read
+         */
+        async* read( pChunkSize = DEFAULT_MULTIPART_OPTIONS.chunkSize )
+        {
+            const source = this.#source;
+
+            if ( isString( source ) || isBinary( source ) )
+            {
+                yield toBuffer( isString( source ) ? Buffer.from( source ) : source );
+                return;
+            }
+
+            if ( isBlob( source ) )
+            {
+                yield* MultipartPart.#readStream( source.stream() );
+                return;
+            }
+
+            if ( this.#consumed )
+            {
+                throw new MultipartError( `The content of the part '${this.#name}' is read from a stream, which has already been sent` );
+            }
+
+            this.#consumed = true;
+
+            yield* MultipartPart.#readStream( source );
+        }
+
+        static async* #readStream( pStream )
+        {
+            const iterable = isFunction( pStream[Symbol.asyncIterator] ) ? pStream : MultipartPart.#iterate( pStream.getReader() );
+
+            for await ( const chunk of iterable )
+            {
+                yield isString( chunk ) ? Buffer.from( chunk ) : toBuffer( chunk );
+            }
+        }
+
+        static async* #iterate( pReader )
+        {
+            try
+            {
+                let result = await pReader.read();
+
+                while ( !result.done )
+                {
+                    yield result.value;
+
+                    result = await pReader.read();
+                }
+            }
+            finally
+            {
+                attempt( () => pReader.releaseLock() );
+            }
+        }
+    }
+
+    /**
+     * A part whose content is read from a file, when the form is sent
+     */
+    class MultipartFilePart extends MultipartPart
+    {
+        #filePath;
+        #fileSize;
+
+        /**
+         * @param {string} pName                  the name of the field
+         * @param {string} pFilePath              the path of the file
+         * @param {Object} [pOptions]             the file name (the name of the file, by default), content type, and additional headers of the part
+         *
+         * @throws {MultipartError} if the path is not that of a file
+         */
+        constructor( pName, pFilePath, pOptions = {} )
+        {
+            const filePath = path.resolve( asString( pFilePath, true ) );
+
+            const stats = attempt( () => fs.statSync( filePath ) );
+
+            if ( !stats?.isFile() )
+            {
+                throw new MultipartError( `The part '${pName}' cannot be read from ${filePath}, which is not a file` );
+            }
+
+            const options = asObject( pOptions || {} );
+
+            super( pName, _mt, { ...options, fileName: options.fileName ?? path.basename( filePath ) } );
+
+            this.#filePath = filePath;
+
+            this.#fileSize = stats.size;
+        }
+
+        get filePath()
+        {
+            return this.#filePath;
+        }
+
+        get size()
+        {
+            return this.#fileSize;
+        }
+
+        get repeatable()
+        {
+            return true;
+        }
+
+        async* read( pChunkSize = DEFAULT_MULTIPART_OPTIONS.chunkSize )
+        {
+            const stream = fs.createReadStream( this.#filePath, { highWaterMark: Math.max( 1, asInt( pChunkSize, DEFAULT_MULTIPART_OPTIONS.chunkSize ) ) } );
+
+            let bytes = 0;
+
+            for await ( const chunk of stream )
+            {
+                bytes += chunk.length;
+
+                yield chunk;
+            }
+
+            // the Content-Length was calculated from the size of the file when the part was appended
+            if ( bytes !== this.#fileSize )
+            {
+                throw new MultipartError( `The file ${this.#filePath} changed size (from ${this.#fileSize} to ${bytes} bytes) after it was added to the form` );
+            }
+        }
+    }
+
+    /**
+     * A builder of multipart/form-data bodies.<br>
+     * <br>
+     * The form can be specified as the body of a request (or passed to the upload method of an HTTP client),
+     * because it can be read as an async iterable of bytes.
+     * Each time it is read, it dispatches progress events, reporting the number of bytes read so far.
+     */
+    class MultipartForm extends EventTarget
+    {
+        #options;
+        #boundary;
+        #parts = [];
+
+        #bytesSent = 0;
+        #lastProgress = 0;
+
+        /**
+         * @param {Object} [pOptions] the options of the form, described by DEFAULT_MULTIPART_OPTIONS
+         *
+         * @throws {MultipartError} if the boundary specified is not valid
+         */
+        constructor( pOptions = DEFAULT_MULTIPART_OPTIONS )
+        {
+            super();
+
+            this.#options = { ...DEFAULT_MULTIPART_OPTIONS, ...(asObject( pOptions || {} )) };
+
+            const boundary = asString( this.#options.boundary ?? _mt );
+
+            if ( !isBlank( boundary ) && !VALID_BOUNDARY.test( boundary ) )
+            {
+                throw new MultipartError( `'${boundary}' is not a valid boundary for a multipart body` );
+            }
+
+            this.#boundary = isBlank( boundary ) ? generateBoundary() : boundary;
+        }
+
+        get options()
+        {
+            return { ...this.#options };
+        }
+
+        get boundary()
+        {
+            return this.#boundary;
+        }
+
+        get parts()
+        {
+            return [...this.#parts];
+        }
+
+        /**
+         * Returns the value of the Content-Type header of a request whose body is this form
+         *
+         * @returns {string}
+         */
+        get contentType()
+        {
+            return `${CONTENT_TYPES.MULTIPART}; boundary=${this.#boundary}`;
+        }
+
+        /**
+         * Returns the number of bytes of the body, or null if a part is read from a stream of unknown length
+         *
+         * @returns {number|null}
+         */
+        get contentLength()
+        {
+            let length = Buffer.byteLength( this.#closing() );
+
+            for( const part of this.#parts )
+            {
+                if ( isNull( part.size ) )
+                {
+                    return null;
+                }
+
+                length += part.encodeHeaders( this.#boundary ).length + part.size + CRLF.length;
+            }
+
+            return length;
+        }
+
+        /**
+         * Returns the headers of a request whose body is this form,
+         * which include the Content-Length if the length of every part is known
+         *
+         * @returns {Object}
+         */
+        get headers()
+        {
+            const headers = { "Content-Type": this.contentType };
+
+            const length = this.contentLength;
+
+            if ( !isNull( length ) )
+            {
+                headers["Content-Length"] = asString( length );
+            }
+
+            return headers;
+        }
+
+        /**
+         * Returns true if the form can be sent again, as when a request is retried
+         *
+         * @returns {boolean}
+         */
+        get repeatable()
+        {
+            return this.#parts.every( part => part.repeatable );
+        }
+
+        /**
+         * Returns the number of bytes of the body read by the last (or current) request
+         *
+         * @returns {number}
+         */
+        get bytesSent()
+        {
+            return this.#bytesSent;
+        }
+
+        /**
+         * Appends a text field or, if a file name is specified, a file with the content specified.<br>
+         * A value that is not a string, binary data, a Blob, or a stream is converted to a string.
+         *
+         * @param {string} pName                          the name of the field
+         * @param {*} pValue                              the value of the field, or the content of the file
+         * @param {Object} [pOptions]                     the file name, content type, additional headers, and (for a stream) size of the part
+         *
+         * @returns {MultipartForm} this form, so calls can be chained
+         */
+        append( pName, pValue, pOptions = {} )
+        {
+            return this.appendPart( new MultipartPart( pName, pValue, pOptions ) );
+        }
+
+        /**
+         * Appends a file part.<br>
+         * A string is the path of a file, which is read when the form is sent;
+         * anything else is the content of the file.
+         *
+         * @param {string} pName                          the name of the field
+         * @param {string|Buffer|ArrayBuffer|TypedArray|Blob|ReadableStream|AsyncIterable} pSource
+         *                                                the path of the file, or its content
+         * @param {Object} [pOptions]                     the file name, content type, additional headers, and (for a stream) size of the part
+         *
+         * @returns {MultipartForm} this form, so calls can be chained
+         */
+        appendFile( pName, pSource, pOptions = {} )
+        {
+            const options = asObject( pOptions || {} );
+
+            if ( isString( pSource ) )
+            {
+                return this.appendPart( new MultipartFilePart( pName, pSource, options ) );
+            }
+
+            const fileName = options.fileName ?? (isBlob( pSource ) && !isBlank( pSource.name ) ? pSource.name : (isString( pSource?.path ) ? path.basename( pSource.path ) : pName));
+
+            return this.appendPart( new MultipartPart( pName, pSource, { ...options, fileName } ) );
+        }
+
+        /**
+         * Appends a part
+         *
+         * @param {MultipartPart} pPart the part to append
+         *
+         * @returns {MultipartForm} this form, so calls can be chained
+         */
+        appendPart( pPart )
+        {
+            if ( !(pPart instanceof MultipartPart) )
+            {
+                throw new MultipartError( "Only a MultipartPart can be appended to a form" );
+            }
+
+            this.#parts.push( pPart );
+
+            return this;
+        }
+
+        #closing()
+        {
+            return `--${this.#boundary}--${CRLF}`;
+        }
+
+        /**
+         * Reads the body, part by part.<br>
+         * The bytes of each chunk are counted once the reader asks for the next one,
+         * so the progress reported is the progress of the request, not the progress of reading the files.
+         *
+         * @returns {AsyncGenerator<Buffer>}
+         */
+        async* [Symbol.asyncIterator]()
+        {
+            const chunkSize = asInt( this.#options.chunkSize, DEFAULT_MULTIPART_OPTIONS.chunkSize );
+
+            this.#bytesSent = 0;
+            this.#lastProgress = 0;
+
+            const totalBytes = this.contentLength;
+
+            const send = async function* ( pForm, pChunk )
+            {
+                yield pChunk;
+
+                pForm.#bytesSent += pChunk.length;
+
+                pForm.#progress( totalBytes );
+            };
+
+            for( const part of this.#parts )
+            {
+                yield* send( this, part.encodeHeaders( this.#boundary ) );
+
+                for await ( const chunk of part.read( chunkSize ) )
+                {
+                    if ( chunk.length > 0 )
+                    {
+                        yield* send( this, chunk );
+                    }
+                }
+
+                yield* send( this, Buffer.from( CRLF ) );
+            }
+
+            const closing = Buffer.from( this.#closing() );
+
+            yield closing;
+
+            this.#bytesSent += closing.length;
+
+            this.#progress( totalBytes, true );
+        }
+
+        #progress( pTotalBytes, pForce = false )
+        {
+            const now = Date.now();
+
+            if ( !pForce && (now - this.#lastProgress) < asInt( this.#options.progressInterval, 0 ) )
+            {
+                return;
+            }
+
+            this.#lastProgress = now;
+
+            const bytesSent = this.#bytesSent;
+
+            const detail =
+                {
+                    boundary: this.#boundary,
+                    bytesSent,
+                    totalBytes: pTotalBytes,
+                    percent: (isNull( pTotalBytes ) || pTotalBytes <= 0) ? null : Math.floor( (bytesSent / pTotalBytes) * 100 )
+                };
+
+            attempt( () => this.dispatchEvent( new ModuleEvent( UPLOAD_EVENTS.PROGRESS, detail ) ) );
+
+            if ( isFunction( this.#options.onProgress ) )
+            {
+                attempt( () => this.#options.onProgress( detail ) );
+            }
+        }
+
+        /**
+         * Returns a ReadableStream of the body, for an API that does not accept an async iterable
+         *
+         * @returns {ReadableStream<Uint8Array>}
+         */
+        toReadableStream()
+        {
+            const iterator = this[Symbol.asyncIterator]();
+
+            return new ReadableStream(
+                {
+                    async pull( pController )
+                    {
+                        try
+                        {
+                            const { value, done } = await iterator.next();
+
+                            if ( done )
+                            {
+                                pController.close();
+                            }
+                            else
+                            {
+                                pController.enqueue( new Uint8Array( value.buffer, value.byteOffset, value.byteLength ) );
+                            }
+                        }
+                        catch( ex )
+                        {
+                            pController.error( ex );
+                        }
+                    },
+                    async cancel()
+                    {
+                        await iterator.return();
+                    }
+                } );
+        }
+    }
+
+    /**
+     * Returns true if the specified value is a MultipartForm
+     *
+     * @param {*} pValue the value to test
+     *
+     * @returns {boolean}
+     */
+    const isMultipartForm = ( pValue ) => pValue instanceof MultipartForm;
+
+    let mod =
+        {
+            dependencies,
+            classes:
+                {
+                    MultipartError,
+                    MultipartPart,
+                    MultipartFilePart,
+                    MultipartForm
+                },
+            MultipartError,
+            MultipartPart,
+            MultipartFilePart,
+            MultipartForm,
+            UPLOAD_EVENTS,
+            DEFAULT_MULTIPART_OPTIONS,
+            isMultipartForm,
+            generateBoundary
+        };
+
+    mod = toolBocksModule.extend( mod );
+
+    return mod.expose( mod, INTERNAL_NAME, (_ud !== typeof module ? module : mod) ) || mod;
+
+}());
@@ -0,0 +1,795 @@
+/**
+ * @fileOverview
+ * This module defines async iterators over the pages of a paginated API.<br>
+ * <br>
+ * An HttpPaginator requests one page at a time, as the consumer asks for it,
+ * and finds the next page according to a PaginationStrategy:<br>
+ * <ul>
+ * <li>LinkPagination follows the URL of the link whose relation is 'next' in the Link header of each response (RFC 8288)</li>
+ * <li>CursorPagination reads a cursor from the body of each response and sends it as a parameter of the next request</li>
+ * <li>OffsetPagination sends offset and limit parameters, advancing the offset by the number of items received</li>
+ * </ul>
+ * <br>
+ * The requests are sent by the client specified, so they are subject to its interceptors, authorization provider,
+ * circuit breakers, and (for a RateLimitedHttpClient) rate limits and request queue.<br>
+ * <br>
+ * Example:<br>
+ * <code>
+ *     for await ( const order of client.paginate( "https://example.com/api/orders", config, { strategy: "cursor", cursorPath: "meta.next_cursor", itemsPath: "orders" } ) )
+ *     {
+ *         ...
+ *     }
+ * </code>
+ *
+ * @see https://www.rfc-editor.org/rfc/rfc8288
+ *
+ * @module HttpPagination
+ *
+ * @author Scott Bockelman
+ * @license MIT
+ */
+
+/**
+ * Imports the @toolbocks/core modules for the utility functions required
+ */
+const core = require( "@toolbocks/core" );
+
+/**
+ * Imports the @toolbocks/json module for parsing a body that was not parsed by the client
+ */
+const jsonUtils = require( "@toolbocks/json" );
+
+/**
+ * Imports the @toolbocks/buffer module for reading the body of a response
+ */
+const bufferUtils = require( "@toolbocks/buffer" );
+
+/**
+ * Imports the HttpConstants that define common aspects of the HTTP protocol
+ */
+const httpConstants = require( "./HttpConstants.cjs" );
+
+/**
+ * Imports the HttpHeaders module for reading the headers of a response
+ */
+const httpHeaders = require( "./HttpHeaders.cjs" );
+
+const { constants } = core;
+
+const { _ud = "undefined", $scope } = constants;
+
+// noinspection FunctionTooLongJS
+(function exposeModule()
+{
+    const INTERNAL_NAME = "__BOCK__HTTP_PAGINATION__";
+
+    if ( $scope() && (null != $scope()[INTERNAL_NAME]) )
+    {
+        return $scope()[INTERNAL_NAME];
+    }
+
+    // import the specific modules from @toolbocks/core that are necessary for this module
+    const { moduleUtils, typeUtils, stringUtils } = core;
+
+    // import the classes, variables, and functions defined in moduleUtils that are used in this module
+    const
+        {
+            ToolBocksModule,
+            ModuleEvent,
+            attempt,
+            attemptSilent,
+            getProperty,
+            lock
+        } = moduleUtils;
+
+    const { _mt_str = "", _mt = _mt_str } = constants;
+
+    const { isNull, isString, isArray, isFunction, isNonNullObject, isError, asObject } = typeUtils;
+
+    const { asString, asInt, isBlank, lcase } = stringUtils;
+
+    const { parseJson } = jsonUtils;
+
+    const { readStream } = bufferUtils;
+
+    const { HttpError } = httpConstants;
+
+    const { HttpHeaders } = httpHeaders;
+
+    /**
+     * This is a dictionary of this module's dependencies.
+     * <br>
+     * It is exported as a property of this module,
+     * allowing us to just import this module<br>
+     * and then import or use the other utilities<br>
+     * as properties of this module.
+     * <br>
+     * @dict
+     * @type {Object}
+     * @alias module:HttpPagination#dependencies
+     */
+    const dependencies =
+        {
+            moduleUtils,
+            constants,
+            typeUtils,
+            stringUtils,
+            jsonUtils,
+            bufferUtils,
+            httpConstants,
+            httpHeaders
+        };
+
+    const modName = "HttpPagination";
+
+    const toolBocksModule = new ToolBocksModule( modName, INTERNAL_NAME );
+
+    /**
+     * The types of the events an HttpPaginator dispatches.<br>
+     * <br>
+     * PAGE is dispatched when a page has been received, before its items are returned.
+     * Its detail includes the number of the page, its URL, and the number of items it holds.
+     */
+    const PAGINATION_EVENTS = lock(
+        {
+            PAGE: "page"
+        } );
+
+    /**
+     * The names of the properties in which a body commonly holds the items of a page,
+     * which are tried in order when no itemsPath is specified
+     */
+    const DEFAULT_ITEMS_PROPERTIES = lock( ["items", "data", "results", "records", "entries"] );
+
+    /**
+     * The default options of an HttpPaginator.<br>
+     * <br>
+     * strategy: 'link', 'cursor', 'offset', or an instance of PaginationStrategy;
+     * if not specified, a cursorPath option implies 'cursor', a limit option implies 'offset', and otherwise 'link' is used<br>
+     * itemsPath: the path to the array of items in the body of a page (such as 'data.orders');
+     * if not specified, the body itself (if it is an array) or one of the properties named by DEFAULT_ITEMS_PROPERTIES<br>
+     * maxPages: the number of pages after which to stop (0 for no limit)<br>
+     * maxItems: the number of items after which to stop (0 for no limit)<br>
+     * signal: an AbortSignal that stops the iteration before the next page is requested<br>
+     * <br>
+     * The options of the strategy can be specified as well (see LinkPagination, CursorPagination, and OffsetPagination).
+     */
+    const DEFAULT_PAGINATION_OPTIONS = lock(
+        {
+            strategy: null,
+            itemsPath: null,
+            maxPages: 0,
+            maxItems: 0,
+            signal: null
+        } );
+
+    /**
+     * This class represents a page that could not be retrieved,
+     * because the server returned a status other than 2xx.<br>
+     * The options of the error include the status of the response and the URL of the page.
+     */
+    class PaginationError extends HttpError
+    {
+        #status;
+        #url;
+
+        constructor( pMsgOrErr, pOptions = {}, ...pArgs )
+        {
+            super( pMsgOrErr, pOptions, ...pArgs );
+
+            this.#status = asInt( pOptions?.status, 0 );
+            this.#url = asString( pOptions?.url, true );
+        }
+
+        get status()
+        {
+            return this.#status;
+        }
+
+        get url()
+        {
+            return this.#url;
+        }
+    }
+
+    /**
+     * Returns the links described by the value of a Link header,
+     * such as '&lt;https://example.com/items?page=2&gt;; rel="next", &lt;https://example.com/items?page=9&gt;; rel="last"'.<br>
+     * <br>
+     * Each link has the URL between its angle brackets (resolved against the base URL, if one is specified),
+     * the relations named by its rel parameter (in lowercase, as a rel can name several, separated by spaces),
+     * and all of its parameters.
+     *
+     * @param {string} pValue       the value of the Link header
+     * @param {string} [pBaseUrl]   the URL against which to resolve a relative link, usually that of the request
+     *
+     * @returns {Array<{url: string, rel: Array<string>, params: Object}>}
+     *
+     * @see https://www.rfc-editor.org/rfc/rfc8288#section-3
+     */
+    function parseLinkHeader( pValue, pBaseUrl )
+    {
+        const value = asString( pValue );
+
+        const links = [];
+
+        let index = 0;
+
+        while ( index < value.length )
+        {
+            const start = value.indexOf( "<", index );
+
+            if ( start < 0 )
+            {
+                break;
+            }
+
+            const end = value.indexOf( ">", start );
+
+            if ( end < 0 )
+            {
+                break;
+            }
+
+            const target = value.slice( start + 1, end ).trim();
+
+            const params = {};
+
+            index = end + 1;
+
+            // the parameters follow, up to the comma that separates this link from the next (which may be quoted in a parameter)
+            while ( index < value.length && "," !== value[index] )
+            {
+                const matches = /^\s*;\s*([^\s=;,]+)\s*(?:=\s*(?:"((?:[^"\\]|\\.)*)"|([^;,]*)))?/.exec( value.slice( index ) );
+
+                if ( isNull( matches ) )
+                {
+                    index++;
+                    continue;
+                }
+
+                const name = lcase( matches[1] );
+
+                // the first occurrence of a parameter is the one that applies
+                if ( !(name in params) )
+                {
+                    params[name] = isNull( matches[2] ) ? asString( matches[3] ).trim() : matches[2].replace( /\\(.)/g, "$1" );
+                }
+
+                index += matches[0].length;
+            }
+
+            index++;
+
+            const url = isBlank( pBaseUrl ) ? target : (attemptSilent( () => new URL( target, pBaseUrl ).href ) || target);
+
+            links.push( { url, rel: lcase( asString( params.rel ) ).split( /\s+/ ).filter( e => !isBlank( e ) ), params } );
+        }
+
+        return links;
+    }
+
+    const RELATIVE_BASE = "http://relative.invalid";
+
+    /**
+     * Returns the URL with the specified query parameters set (replacing any of the same name).<br>
+     * A relative URL is returned as a relative URL, so that the client can resolve it against the base URL of its configuration.
+     */
+    function setSearchParams( pUrl, pParams )
+    {
+        const href = asString( pUrl, true );
+
+        const absolute = /^[a-z][a-z\d+.-]*:/i.test( href );
+
+        const url = new URL( href, absolute ? undefined : RELATIVE_BASE );
+
+        Object.entries( asObject( pParams || {} ) ).forEach( ( [key, value] ) => url.searchParams.set( key, asString( value ) ) );
+
+        return absolute ? url.href : url.pathname + url.search + url.hash;
+    }
+
+    /**
+     * Returns the value at a path in a body, such as 'meta.next_cursor' or '$.meta.next_cursor'
+     */
+    function readPath( pData, pPath )
+    {
+        const path = asString( pPath, true ).replace( /^\$\.?/, _mt );
+
+        if ( isBlank( path ) )
+        {
+            return pData;
+        }
+
+        return isNonNullObject( pData ) ? attemptSilent( () => getProperty( pData, path ) ) : null;
+    }
+
+    /**
+     * Returns the value of a header of the response held by a ResponseData
+     */
+    function readHeader( pResponseData, pName )
+    {
+        const headers = pResponseData?.frameworkResponse?.headers;
+
+        const value = isFunction( headers?.get ) ? headers.get( pName ) : HttpHeaders.getHeaderValue( pResponseData?.headers, pName );
+
+        return asString( value, true );
+    }
+
+    /**
+     * Returns the body of the response held by a ResponseData, parsed as JSON if it is JSON
+     */
+    async function readBody( pResponseData )
+    {
+        let data = await pResponseData?.data;
+
+        if ( data instanceof ReadableStream )
+        {
+            data = data.locked ? null : await readStream( data, readHeader( pResponseData, "Content-Type" ), true );
+        }
+
+        if ( isString( data ) && !isBlank( data ) )
+        {
+            const parsed = attemptSilent( () => parseJson( data ) );
+
+            return isNonNullObject( parsed ) ? parsed : data;
+        }
+
+        return data;
+    }
+
+    /**
+     * A PaginationStrategy determines the URL of the first page and of each page that follows,
+     * and finds the items in the body of a page.<br>
+     * <br>
+     * A strategy holds the state of one iteration (such as the current offset),
+     * so each HttpPaginator uses its own.<br>
+     * This class is the base of the strategies defined by this module
+     * and can be extended to describe an API that paginates in another way.
+     */
+    class PaginationStrategy
+    {
+        #options;
+
+        constructor( pOptions = {} )
+        {
+            this.#options = { ...(asObject( pOptions || {} )) };
+        }
+
+        get options()
+        {
+            return { ...this.#options };
+        }
+
+        /**
+         * Returns the URL of the first page
+         *
+         * @param {string} pUrl the URL with which the iteration starts
+         *
+         * @returns {string}
+         */
+        first( pUrl )
+        {
+            return pUrl;
+        }
+
+        /**
+         * Returns the URL of the page that follows the specified page, or null if it is the last page
+         *
+         * @param {Object} pPage the page received (see HttpPaginator#pages)
+         *
+         * @returns {string|null}
+         */
+        next( pPage )
+        {
+            return null;
+        }
+
+        /**
+         * Returns the items of a page, given its body
+         *
+         * @param {*} pData the body of the page
+         *
+         * @returns {Array<*>}
+         */
+        items( pData )
+        {
+            const itemsPath = this.#options.itemsPath;
+
+            if ( !isBlank( itemsPath ) )
+            {
+                const items = readPath( pData, itemsPath );
+
+                return isArray( items ) ? items : [];
+            }
+
+            if ( isArray( pData ) )
+            {
+                return pData;
+            }
+
+            const property = DEFAULT_ITEMS_PROPERTIES.find( e => isArray( pData?.[e] ) );
+
+            return isNull( property ) ? [] : pData[property];
+        }
+    }
+
+    /**
+     * Follows the link whose relation is 'next' (or the relation specified by the rel option)
+     * in the Link header of each response, until a response has no such link.
+     */
+    class LinkPagination extends PaginationStrategy
+    {
+        constructor( pOptions = { rel: "next" } )
+        {
+            super( pOptions );
+        }
+
+        get rel()
+        {
+            return lcase( asString( this.options.rel, true ) ) || "next";
+        }
+
+        next( pPage )
+        {
+            const links = parseLinkHeader( readHeader( pPage.responseData, "Link" ), pPage.url );
+
+            return links.find( link => link.rel.includes( this.rel ) )?.url || null;
+        }
+    }
+
+    /**
+     * Reads a cursor (or continuation token) from the body of each response, at the path specified by the cursorPath option,
+     * and sends it as the parameter named by the cursorParam option (by default, 'cursor') of the next request,
+     * until a response has no cursor (or the same cursor as the last).<br>
+     * <br>
+     * The first request is sent without a cursor, unless one is specified by the cursor option.
+     */
+    class CursorPagination extends PaginationStrategy
+    {
+        #cursor = null;
+
+        constructor( pOptions = { cursorPath: "next_cursor", cursorParam: "cursor", cursor: null } )
+        {
+            super( pOptions );
+
+            this.#cursor = this.options.cursor ?? null;
+        }
+
+        get cursorPath()
+        {
+            return asString( this.options.cursorPath, true ) || "next_cursor";
+        }
+
+        get cursorParam()
+        {
+            return asString( this.options.cursorParam, true ) || "cursor";
+        }
+
+        /**
+         * The cursor of the last page requested
+         * @type {string|null}
+         */
+        get cursor()
+        {
+            return this.#cursor;
+        }
+
+        first( pUrl )
+        {
+            return isNull( this.#cursor ) ? pUrl : setSearchParams( pUrl, { [this.cursorParam]: this.#cursor } );
+        }
+
+        next( pPage )
+        {
+            const cursor = readPath( pPage.data, this.cursorPath );
+
+            if ( isNull( cursor ) || isBlank( asString( cursor ) ) || asString( cursor ) === asString( this.#cursor ) )
+            {
+                return null;
+            }
+
+            this.#cursor = asString( cursor );
+
+            return setSearchParams( pPage.url, { [this.cursorParam]: this.#cursor } );
+        }
+    }
+
+    /**
+     * Sends the parameters named by the offsetParam and limitParam options (by default, 'offset' and 'limit'),
+     * starting at the offset specified by the start option,
+     * and advancing it by the number of items received,
+     * until the offset reaches the total at the path specified by the totalPath option.<br>
+     * Without a total, a page that holds fewer items than the limit is taken to be the last;
+     * with one, a short page (as returned by a server that caps the limit) is not.
+     */
+    class OffsetPagination extends PaginationStrategy
+    {
+        #offset;
+
+        constructor( pOptions = { offsetParam: "offset", limitParam: "limit", limit: 100, start: 0, totalPath: null } )
+        {
+            super( pOptions );
+
+            this.#offset = Math.max( 0, asInt( this.options.start, 0 ) );
+        }
+
+        get offsetParam()
+        {
+            return asString( this.options.offsetParam, true ) || "offset";
+        }
+
+        get limitParam()
+        {
+            return asString( this.options.limitParam, true ) || "limit";
+        }
+
+        get limit()
+        {
+            return Math.max( 1, asInt( this.options.limit, 100 ) );
+        }
+
+        /**
+         * The offset of the last page requested
+         * @type {number}
+         */
+        get offset()
+        {
+            return this.#offset;
+        }
+
+        first( pUrl )
+        {
+            return setSearchParams( pUrl, { [this.offsetParam]: this.#offset, [this.limitParam]: this.limit } );
+        }
+
+        next( pPage )
+        {
+            const count = pPage.items.length;
+
+            const total = isBlank( this.options.totalPath ) ? null : readPath( pPage.data, this.options.totalPath );
+
+            if ( isNull( total ) ? (count < this.limit) : (0 === count || (this.#offset + count) >= asInt( total )) )
+            {
+                return null;
+            }
+
+            this.#offset += count;
+
+            return setSearchParams( pPage.url, { [this.offsetParam]: this.#offset, [this.limitParam]: this.limit } );
+        }
+    }
+
+    /**
+     * Returns the strategy described by the options: the instance of PaginationStrategy specified,
+     * or a new instance of the strategy named ('link', 'cursor', or 'offset'), constructed with the options.<br>
+     * If no strategy is named, a cursorPath option implies 'cursor', and a limit option implies 'offset'.
+     *
+     * @param {Object} pOptions the options of an HttpPaginator
+     *
+     * @returns {PaginationStrategy}
+     */
+    function resolvePaginationStrategy( pOptions )
+    {
+        const options = asObject( pOptions || {} );
+
+        if ( options.strategy instanceof PaginationStrategy )
+        {
+            return options.strategy;
+        }
+
+        const name = lcase( asString( options.strategy, true ) ) || (!isBlank( options.cursorPath ) ? "cursor" : !isNull( options.limit ) ? "offset" : "link");
+
+        switch ( name )
+        {
+            case "cursor":
+                return new CursorPagination( options );
+
+            case "offset":
+                return new OffsetPagination( options );
+
+            case "link":
+                return new LinkPagination( options );
+
+            default:
+                throw new PaginationError( `There is no pagination strategy named ${name}` );
+        }
+    }
+
+    /**
+     * An HttpPaginator iterates the pages of a paginated API, or their items, with 'for await'.<br>
+     * <br>
+     * Each page is requested only when the consumer asks for it,
+     * so the iteration can stop at any point without requesting the pages that follow.<br>
+     * The iteration also stops if the next page would be one already received,
+     * which protects against a server that returns the same link or cursor forever.
+     */
+    class HttpPaginator extends EventTarget
+    {
+        #client;
+        #url;
+        #config;
+        #options;
+
+        #pagesReceived = 0;
+        #itemsReceived = 0;
+
+        /**
+         * Constructs an instance of this class to iterate the pages that start at the specified URL
+         *
+         * @param {HttpClient|HttpFetchClient} pClient    the client that sends the requests
+         * @param {string} pUrl                           the URL of the first page
+         * @param {HttpConfig|Object} pConfig             the configuration of the requests
+         * @param {Object} [pOptions]                     the options described by DEFAULT_PAGINATION_OPTIONS
+         */
+        constructor( pClient, pUrl, pConfig, pOptions = DEFAULT_PAGINATION_OPTIONS )
+        {
+            super();
+
+            this.#client = pClient;
+            this.#url = asString( pUrl, true );
+            this.#config = pConfig || {};
+
+            this.#options = { ...DEFAULT_PAGINATION_OPTIONS, ...(asObject( pOptions || {} )) };
+        }
+
+        get url()
+        {
+            return this.#url;
+        }
+
+        get options()
+        {
+            return { ...this.#options };
+        }
+
+        get pagesReceived()
+        {
+            return this.#pagesReceived;
+        }
+
+        get itemsReceived()
+        {
+            return this.#itemsReceived;
+        }
+
+        /**
+         * Requests each page in turn, returning an object for each with the properties:<br>
+         * number (starting at 1), url, status, data (the body, parsed if it is JSON), items, and responseData.
+         *
+         * @returns {AsyncGenerator<{number: number, url: string, status: number, data: *, items: Array<*>, responseData: ResponseData}>}
+         *
+         * @throws {PaginationError} if the server returns a status other than 2xx for a page
+         */
+        async* pages()
+        {
+            const strategy = resolvePaginationStrategy( this.#options );
+
+            const maxPages = Math.max( 0, asInt( this.#options.maxPages, 0 ) );
+
+            const requested = new Set();
+
+            // the counts describe the current iteration, so that the limits apply to each iteration
+            this.#pagesReceived = 0;
+
+            let url = strategy.first( this.#url );
+
+            while ( !isBlank( url ) && !requested.has( url ) && (0 === maxPages || this.#pagesReceived < maxPages) )
+            {
+                this.#options.signal?.throwIfAborted();
+
+                requested.add( url );
+
+                const responseData = await this.#request( url );
+
+                const data = await readBody( responseData );
+
+                const page = { number: this.#pagesReceived + 1, url, status: responseData.status, data, items: strategy.items( data ), responseData };
+
+                this.#pagesReceived++;
+
+                attempt( () => this.dispatchEvent( new ModuleEvent( PAGINATION_EVENTS.PAGE, { number: page.number, url, count: page.items.length } ) ) );
+
+                yield page;
+
+                url = strategy.next( page );
+            }
+        }
+
+        /**
+         * Returns the items of each page in turn
+         *
+         * @returns {AsyncGenerator<*>}
+         */
+        async* [Symbol.asyncIterator]()
+        {
+            const maxItems = Math.max( 0, asInt( this.#options.maxItems, 0 ) );
+
+            this.#itemsReceived = 0;
+
+            for await ( const page of this.pages() )
+            {
+                for( const item of page.items )
+                {
+                    if ( maxItems > 0 && this.#itemsReceived >= maxItems )
+                    {
+                        return;
+                    }
+
+                    this.#itemsReceived++;
+
+                    yield item;
+                }
+            }
+        }
+
+        /**
+         * Returns the items of all the pages (up to the limits specified by the options) in an array
+         *
+         * @returns {Promise<Array<*>>}
+         */
+        async toArray()
+        {
+            const items = [];
+
+            for await ( const item of this )
+            {
+                items.push( item );
+            }
+
+            return items;
+        }
+
+        async #request( pUrl )
+        {
+            const responseData = await this.#client.sendGetRequest( pUrl, this.#config );
+
+            if ( isNull( responseData ) )
+            {
+                throw new PaginationError( `No response was received from ${pUrl}`, { url: pUrl } );
+            }
+
+            if ( isError( responseData.error ) )
+            {
+                throw responseData.error;
+            }
+
+            const status = asInt( responseData.status );
+
+            if ( status < 200 || status >= 300 )
+            {
+                throw new PaginationError( `The server returned ${status} for ${pUrl}`, { status, url: pUrl } );
+            }
+
+            return responseData;
+        }
+    }
+
+    let mod =
+        {
+            dependencies,
+            classes:
+                {
+                    PaginationError,
+                    PaginationStrategy,
+                    LinkPagination,
+                    CursorPagination,
+                    OffsetPagination,
+                    HttpPaginator
+                },
+            PaginationError,
+            PaginationStrategy,
+            LinkPagination,
+            CursorPagination,
+            OffsetPagination,
+            HttpPaginator,
+            PAGINATION_EVENTS,
+            DEFAULT_PAGINATION_OPTIONS,
+            parseLinkHeader,
+            resolvePaginationStrategy
+        };
+
+    mod = toolBocksModule.extend( mod );
+
+    return mod.expose( mod, INTERNAL_NAME, (_ud !== typeof module ? module : mod) ) || mod;
+
+}());
@@ -146,7 +146,8 @@ const httpConfigUtils = require( "./HttpConfigUtils.js" );
             HttpStatus,
             STATUS_CODES,
             STATUS_TEXT,
-            DEFAULT_RETRY_DELAY
+            DEFAULT_RETRY_DELAY,
+            HttpError
         } = httpConstants;
 
     const { HttpHeaders, HttpRequestHeaders, HttpResponseHeaders } = httpHeaders;
@@ -190,6 +191,15 @@ const httpConfigUtils = require( "./HttpConfigUtils.js" );
 
     const OK_STATUSES = lock( [STATUS_CODES.OK, STATUS_CODES.NO_CONTENT, STATUS_CODES.ACCEPTED, STATUS_CODES.CREATED] );
 
+    /**
+     * Returns the error specified as an instance of Error.<br>
+     * An HttpError is returned as it is, so that callers can test for its specific subclass.
+     *
+     * @param {Error|*} pError
+     * @returns {Error}
+     */
+    const resolveResponseError = ( pError ) => (pError instanceof HttpError) ? pError : resolveError( pError );
+
     const REDIRECT_STATUSES =
         lock( [
                   STATUS_CODES.MOVED,
@@ -577,7 +587,7 @@ const httpConfigUtils = require( "./HttpConfigUtils.js" );
 
             if ( isError( pResponse ) || isError( pConfig ) || isError( pResponse?.error ) || isError( pResponse?.response ) )
             {
-                this.#error = resolveError( [pResponse, pConfig, pResponse?.error, pResponse?.response].find( isError ) );
+                this.#error = resolveResponseError( [pResponse, pConfig, pResponse?.error, pResponse?.response].find( isError ) );
                 this.#data = isError( this.#error ) ? (this.#error?.message || pResponse) : pResponse?.data || pResponse?.body;
             }
             else
@@ -725,7 +735,7 @@ const httpConfigUtils = require( "./HttpConfigUtils.js" );
 
         get error()
         {
-            return isError( this.#error ) ? resolveError( this.#error ) : isError( this.#frameworkResponse ) ? resolveError( this.#frameworkResponse ) : null;
+            return isError( this.#error ) ? resolveResponseError( this.#error ) : isError( this.#frameworkResponse ) ? resolveError( this.#frameworkResponse ) : null;
         }
 
         get ok()
@@ -149,6 +149,17 @@ describe( "JSON", () =>
           } );
 } );
 
+describe( "asJson", () =>
+{
+    test( "asJson renders a string that only resembles JSON as a string, rather than throwing an error",
+          () =>
+          {
+              ["{not json}", "[abc]", "`backtick text`"].forEach( s => expect( JSON.parse( jsonUtils.asJson( s ) ) ).toEqual( s ) );
+
+              expect( jsonUtils.asJson( "{\"a\":1}" ) ).toEqual( "{\"a\":1}" );
+          } );
+} );
+
 describe( "cherryPick", () =>
 {
     test( "cherryPick lets you pick a subset of an object",
@@ -1635,9 +1635,16 @@ const { _ud = "undefined", $scope } = constants;
             return handleNull( obj, options );
         }
 
-        if ( isJson( obj ) )
+        if ( isJson( obj ) && isString( obj ) )
         {
-            obj = isString( obj ) ? parseJson( obj, _resolveReviver( options?.reviver, options ) ) : obj;
+            try
+            {
+                obj = parseJson( obj, _resolveReviver( options?.reviver, options ) );
+            }
+            catch( ex )
+            {
+                // a string that only looks like JSON, such as text enclosed in backticks, is rendered as a string
+            }
         }
 
         const root = _resolveRoot( pRoot, options?.root, obj );
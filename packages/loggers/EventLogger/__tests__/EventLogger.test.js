@@ -0,0 +1,158 @@
+const loggingUtils = require( "@toolbocks/logging" );
+
+const eventUtils = require( "@toolbocks/events" );
+
+const eventLogger = require( "../src/index.js" );
+
+const { AsyncLogger, LogRecord, LogLevel } = loggingUtils;
+
+const { EventBroker } = eventUtils;
+
+const { EventLogger, createLogFilter, resolveLogEventType } = eventLogger;
+
+describe( "createLogFilter", () =>
+{
+    test( "accepts records by level, by module, and by any other filter", () =>
+    {
+        const filter = createLogFilter( { level: LogLevel.WARN, modules: ["orders", /^billing\./], filter: ( r ) => !r.message.startsWith( "ignore" ) } );
+
+        expect( filter.isLoggable( new LogRecord( "failed", LogLevel.ERROR, null, "orders" ) ) ).toBeTruthy();
+        expect( filter.isLoggable( new LogRecord( "slow", LogLevel.WARN, null, "billing.invoices" ) ) ).toBeTruthy();
+
+        expect( filter.isLoggable( new LogRecord( "started", LogLevel.INFO, null, "orders" ) ) ).toBeFalsy();
+        expect( filter.isLoggable( new LogRecord( "failed", LogLevel.ERROR, null, "shipping" ) ) ).toBeFalsy();
+        expect( filter.isLoggable( new LogRecord( "ignore me", LogLevel.ERROR, null, "orders" ) ) ).toBeFalsy();
+
+        const exact = createLogFilter( { level: ["info", "error"] } );
+
+        expect( exact.isLoggable( new LogRecord( "a", LogLevel.INFO ) ) ).toBeTruthy();
+        expect( exact.isLoggable( new LogRecord( "b", LogLevel.WARN ) ) ).toBeFalsy();
+    } );
+
+    test( "the type of each event is the name of the level", () =>
+    {
+        expect( resolveLogEventType( LogLevel.ERROR ) ).toEqual( "error" );
+        expect( resolveLogEventType( 300 ) ).toEqual( "warn" );
+    } );
+} );
+
+describe( "EventLogger", () =>
+{
+    let logger;
+
+    beforeEach( () =>
+                {
+                    logger = new EventLogger( { level: LogLevel.TRACE, source: "orders" } );
+                } );
+
+    afterEach( () =>
+               {
+                   logger.unsubscribeAll();
+               } );
+
+    test( "publishes each record through the shared EventBroker, with the level as the event type", () =>
+    {
+        const received = [];
+
+        const listener = ( e ) => received.push( e );
+
+        new EventBroker().addEventListener( "warn", listener );
+
+        try
+        {
+            logger.warn( "slow response", { ms: 950 } );
+        }
+        finally
+        {
+            new EventBroker().removeEventListener( "warn", listener );
+        }
+
+        expect( logger.broker ).toBe( new EventBroker() );
+
+        expect( received.length ).toEqual( 1 );
+        expect( received[0].type ).toEqual( "warn" );
+        expect( received[0].source ).toBe( logger );
+        expect( received[0].detail.record ).toBeInstanceOf( LogRecord );
+        expect( received[0].detail.level ).toEqual( LogLevel.WARN );
+        expect( received[0].detail.source ).toEqual( "orders" );
+        expect( received[0].detail.record.data ).toEqual( [{ ms: 950 }] );
+    } );
+
+    test( "subscribers receive only the records matching their criteria", () =>
+    {
+        const counts = {};
+        const alerts = [];
+
+        logger.subscribe( ( e ) => counts[e.type] = (counts[e.type] || 0) + 1 );
+
+        logger.subscribe( { handleEvent: ( e ) => alerts.push( e.detail.message ) }, { level: LogLevel.ERROR, modules: "payments" } );
+
+        const payments = new EventLogger( { level: LogLevel.TRACE, source: "payments" } );
+
+        logger.debug( "cart loaded" );
+        logger.error( "order failed", new Error( "timeout" ) );
+        payments.warn( "card declined" );
+        payments.error( "gateway down" );
+        payments.log( new LogRecord( "refund failed", LogLevel.ERROR, null, "payments" ) );
+
+        expect( counts ).toEqual( { debug: 1, error: 3, warn: 1 } );
+        expect( alerts ).toEqual( ["gateway down", "refund failed"] );
+    } );
+
+    test( "is an AsyncLogger that publishes a logged record without queueing it first", () =>
+    {
+        const received = [];
+
+        logger.subscribe( ( e ) => received.push( e.detail.message ) );
+
+        expect( logger ).toBeInstanceOf( AsyncLogger );
+
+        logger.log( new LogRecord( "order shipped", LogLevel.INFO ) );
+
+        expect( received ).toEqual( ["order shipped"] );
+    } );
+
+    test( "a subscription can be cancelled, and a failing subscriber does not affect the others", () =>
+    {
+        const received = [];
+
+        logger.subscribe( () =>
+                          {
+                              throw new Error( "subscriber failed" );
+                          } );
+
+        const cancel = logger.subscribe( ( e ) => received.push( e.detail.message ) );
+
+        const listener = ( e ) => received.push( "again: " + e.detail.message );
+
+        logger.subscribe( listener, { level: LogLevel.INFO } );
+
+        logger.info( "first" );
+
+        cancel();
+
+        logger.info( "second" );
+
+        logger.unsubscribe( listener );
+
+        logger.info( "third" );
+
+        expect( received ).toEqual( ["first", "again: first", "again: second"] );
+    } );
+
+    test( "records below the logger's level are not published", () =>
+    {
+        const received = [];
+
+        const quiet = new EventLogger( { level: LogLevel.WARN } );
+
+        quiet.subscribe( ( e ) => received.push( e.detail.message ) );
+
+        quiet.info( "not published" );
+        quiet.error( "published" );
+
+        quiet.unsubscribeAll();
+
+        expect( received ).toEqual( ["published"] );
+    } );
+} );
@@ -0,0 +1,441 @@
+/**
+ * @fileOverview
+ *
+ * This module defines a logger that publishes each log record as an event,
+ * through the events package's EventPublisher and EventBroker.<br>
+ * <br>
+ * The type of each event is the name of the record's level, such as "error" or "warn",
+ * and its detail holds the LogRecord itself.<br>
+ * <br>
+ * Any number of subscribers can then react to the records logged,
+ * such as metrics counters, alerts, or a panel in a user interface,
+ * without the code that logs them knowing that they exist.<br>
+ * <br>
+ * Subscribers can choose the records they receive by level and by module name,
+ * and can add any other criteria as a LogFilter.<br>
+ *
+ * @module EventLogger
+ *
+ * @author Scott Bockelman
+ * @license MIT
+ */
+
+const core = require( "@toolbocks/core" );
+
+const loggingUtils = require( "@toolbocks/logging" );
+
+const eventUtils = require( "@toolbocks/events" );
+
+const { moduleUtils, constants, typeUtils, stringUtils, arrayUtils } = core;
+
+const { AsyncLogger, LogLevel, LogRecord, LogFilter, DEFAULT_LOGGER_OPTIONS } = loggingUtils;
+
+const { EventBroker, EventPublisher } = eventUtils;
+
+/* define a variable for typeof undefined **/
+const { _ud = "undefined", $scope } = constants;
+
+// noinspection FunctionTooLongJS
+(function exposeModule()
+{
+    // defines a key we can use to store this module in global scope
+    const INTERNAL_NAME = "__BOCK__EVENT_LOGGER__";
+
+    // if we've already executed this code, just return the module
+    if ( $scope() && (null != $scope()[INTERNAL_NAME]) )
+    {
+        return $scope()[INTERNAL_NAME];
+    }
+
+    const modName = "EventLogger";
+
+    const { ToolBocksModule, lock, populateOptions } = moduleUtils;
+
+    const { _spc, no_op, S_WARN } = constants;
+
+    const { isNull, isString, isError, isFunction, isPromise, isRegExp, isNonNullObject } = typeUtils;
+
+    const { asString, isBlank } = stringUtils;
+
+    const { varargs, asArray } = arrayUtils;
+
+    /**
+     * This is a dictionary of this module's dependencies.
+     * <br>
+     * It is exported as a property of this module,
+     * allowing us to just import this module<br>
+     * and then use the other utilities as properties of this module.
+     * <br>
+     * @dict
+     * @type {Object}
+     */
+    const dependencies =
+        {
+            moduleUtils,
+            constants,
+            typeUtils,
+            stringUtils,
+            arrayUtils,
+            loggingUtils,
+            eventUtils
+        };
+
+    const toolBocksModule = new ToolBocksModule( modName, INTERNAL_NAME );
+
+    /**
+     * The levels for which events are published, from the most severe to the least severe
+     * @type {Array<LogLevel>}
+     */
+    const LOG_EVENT_LEVELS = lock( [LogLevel.ERROR, LogLevel.WARN, LogLevel.INFO, LogLevel.DEBUG, LogLevel.TRACE] );
+
+    /**
+     * The types of the events published, which are the names of the levels, such as "error" or "warn"
+     * @type {Array<string>}
+     */
+    const LOG_EVENT_TYPES = lock( LOG_EVENT_LEVELS.map( e => e.name ) );
+
+    /**
+     * Returns the type of the event published for a record logged at the specified level
+     *
+     * @param {LogLevel|string|number} pLevel a LogLevel, or the name or id of a LogLevel
+     *
+     * @returns {string} the name of the level, such as "error" or "warn"
+     */
+    const resolveLogEventType = ( pLevel ) => LogLevel.resolveLevel( pLevel ).name;
+
+    /**
+     * @typedef {Object} LogEventDetail The detail of each event published by an EventLogger
+     *
+     * @property {LogRecord} record The record logged
+     *
+     * @property {LogLevel} level The level of the record
+     *
+     * @property {string} source The module or other source of the record, if known
+     *
+     * @property {string} message The message of the record
+     */
+
+    /**
+     * @typedef {Object} EventLoggerOptions
+     *
+     * @property {EventBroker} [broker] The EventBroker through which to publish the events.<br>
+     *                                  If not specified, the shared EventBroker is used,
+     *                                  so subscribers receive the records of every EventLogger.
+     *
+     * @property {string} [source] The module name to assign to the records
+     *                             created by this logger's info, warn, error, debug, and trace methods
+     */
+
+    /**
+     * The default options for an EventLogger
+     * @type {EventLoggerOptions}
+     */
+    const DEFAULT_EVENT_LOGGER_OPTIONS = lock(
+        {
+            ...DEFAULT_LOGGER_OPTIONS,
+            broker: null,
+            source: null
+        } );
+
+    /**
+     * @typedef {Object} LogSubscriptionCriteria
+     *
+     * @property {LogLevel|string|number|Array<LogLevel|string|number>} [level=LogLevel.TRACE]
+     * The least severe level to receive, such as LogLevel.WARN to receive only warnings and errors,
+     * or an array of the exact levels to receive.
+     *
+     * @property {string|RegExp|Array<string|RegExp>} [modules] The names of the modules to receive records from,
+     *                                                          or patterns matching them.<br>
+     *                                                          If not specified, records from any module are received.
+     *
+     * @property {LogFilter|function(LogRecord):boolean} [filter] Any other criteria a record must meet to be received
+     */
+
+    function resolveLevels( pLevel )
+    {
+        if ( Array.isArray( pLevel ) )
+        {
+            const names = pLevel.map( e => resolveLogEventType( e ) );
+
+            return LOG_EVENT_LEVELS.filter( e => names.includes( e.name ) );
+        }
+
+        const threshold = isNull( pLevel ) ? LogLevel.TRACE : LogLevel.resolveLevel( pLevel );
+
+        return LOG_EVENT_LEVELS.filter( e => threshold.isEnabled( e ) );
+    }
+
+    function matchesModule( pSource, pModules )
+    {
+        const modules = asArray( pModules ).filter( e => isRegExp( e ) || !isBlank( e ) );
+
+        if ( modules.length <= 0 )
+        {
+            return true;
+        }
+
+        const source = asString( pSource, true );
+
+        return modules.some( e => isRegExp( e ) ? e.test( source ) : (asString( e, true ) === source) );
+    }
+
+    /**
+     * Returns a LogFilter that accepts the records matching the specified criteria
+     *
+     * @param {LogSubscriptionCriteria} pCriteria the level, module names, and any other filter to apply
+     *
+     * @returns {LogFilter} a LogFilter that accepts only the records matching all of the criteria
+     */
+    function createLogFilter( pCriteria )
+    {
+        const criteria = isNonNullObject( pCriteria ) ? pCriteria : {};
+
+        const levels = resolveLevels( criteria.level ).map( e => e.name );
+
+        const filter = isNull( criteria.filter ) ? LogFilter.DEFAULT : LogFilter.resolve( criteria.filter );
+
+        return new LogFilter( ( pLogRecord ) => levels.includes( resolveLogEventType( pLogRecord?.level ) ) &&
+                                                matchesModule( pLogRecord?.source, criteria.modules ) &&
+                                                filter.isLoggable( pLogRecord ) );
+    }
+
+    const reportError = ( pError, pMethod ) => toolBocksModule.reportError( pError, pError?.message, S_WARN, modName + "::" + pMethod );
+
+    /**
+     * This class publishes each log record as an event whose type is the name of the record's level.<br>
+     * <br>
+     * Subscribers are called synchronously, before the call that logged the record returns.
+     * A subscriber that throws an error, or returns a promise that is rejected,
+     * does not prevent the other subscribers from receiving the event.<br>
+     */
+    class EventLogger extends AsyncLogger
+    {
+        #broker;
+        #publisher;
+
+        #subscriptions = new Map();
+
+        /**
+         * Constructs a new EventLogger
+         * @param {EventLoggerOptions} pOptions the options to configure the logger
+         */
+        constructor( pOptions = DEFAULT_EVENT_LOGGER_OPTIONS )
+        {
+            super( populateOptions( pOptions, DEFAULT_EVENT_LOGGER_OPTIONS ) );
+
+            this.#broker = (pOptions?.broker instanceof EventBroker) ? pOptions.broker : new EventBroker();
+
+            this.#publisher = new EventPublisher( this.#broker );
+        }
+
+        get options()
+        {
+            return lock( populateOptions( super.options, DEFAULT_EVENT_LOGGER_OPTIONS ) );
+        }
+
+        get broker()
+        {
+            return this.#broker;
+        }
+
+        get publisher()
+        {
+            return this.#publisher;
+        }
+
+        get source()
+        {
+            return asString( this.options.source, true ) || null;
+        }
+
+        async writeLogRecord( pLogRecord )
+        {
+            if ( !this.enabled )
+            {
+                return;
+            }
+
+            const record = this._redact( pLogRecord instanceof LogRecord ? pLogRecord : new LogRecord( pLogRecord ) );
+
+            if ( !this.isEnabledFor( record.level ) || !this.isLoggable( record ) )
+            {
+                return;
+            }
+
+            /** @type {LogEventDetail} */
+            const detail = { record, level: record.level, source: record.source, message: record.message };
+
+            await this.#publisher.publish( resolveLogEventType( record.level ), detail, this );
+        }
+
+        _enqueueRecord( pLogRecord )
+        {
+            // the publisher delivers each record to its subscribers, so records are not queued here as well
+            this._writeRecord( pLogRecord );
+        }
+
+        _logIf( pLevel, ...pData )
+        {
+            const arr = asArray( varargs( ...pData ) ).filter( e => !isString( e ) || !isBlank( e ) );
+
+            if ( 1 === arr.length && arr[0] instanceof LogRecord )
+            {
+                this.writeLogRecord( arr[0] ).then( no_op ).catch( no_op );
+            }
+            else
+            {
+                const msg = asString( arr.filter( e => isString( e ) ).join( _spc ), true );
+                const data = arr.filter( e => !isString( e ) && !isError( e ) );
+
+                this.writeLogRecord( new LogRecord( msg, pLevel, (arr.find( isError ) || null), this.source, ...data ) ).then( no_op ).catch( no_op );
+            }
+        }
+
+        info( ...pData )
+        {
+            this._logIf( LogLevel.INFO, ...pData );
+        }
+
+        warn( ...pData )
+        {
+            this._logIf( LogLevel.WARN, ...pData );
+        }
+
+        error( ...pData )
+        {
+            this._logIf( LogLevel.ERROR, ...pData );
+        }
+
+        debug( ...pData )
+        {
+            this._logIf( LogLevel.DEBUG, ...pData );
+        }
+
+        trace( ...pData )
+        {
+            this._logIf( LogLevel.TRACE, ...pData );
+        }
+
+        /**
+         * Subscribes the specified listener to the records matching the specified criteria.<br>
+         * <br>
+         * The listener is called with the event, whose detail is a {@link LogEventDetail}.<br>
+         *
+         * @param {function(Event)|{handleEvent:function(Event)}} pListener a function,
+         *                                                                  or an object with a handleEvent method
+         *
+         * @param {LogSubscriptionCriteria} [pCriteria] the records to receive
+         *
+         * @returns {function():void} a function that cancels the subscription
+         */
+        subscribe( pListener, pCriteria )
+        {
+            const handle = isFunction( pListener ) ? pListener : (isFunction( pListener?.handleEvent ) ? ( e ) => pListener.handleEvent( e ) : null);
+
+            if ( isNull( handle ) )
+            {
+                return no_op;
+            }
+
+            const criteria = isNonNullObject( pCriteria ) ? pCriteria : {};
+
+            const filter = createLogFilter( criteria );
+
+            const handler = function( pEvent )
+            {
+                const record = pEvent?.detail?.record;
+
+                if ( !(record instanceof LogRecord) || !filter.isLoggable( record ) )
+                {
+                    return;
+                }
+
+                try
+                {
+                    const result = handle( pEvent );
+
+                    if ( isPromise( result ) )
+                    {
+                        result.catch( ex => reportError( ex, "subscriber" ) );
+                    }
+                }
+                catch( ex )
+                {
+                    reportError( ex, "subscriber" );
+                }
+            };
+
+            const types = resolveLevels( criteria.level ).map( e => e.name );
+
+            types.forEach( e => this.#broker.addEventListener( e, handler ) );
+
+            const subscriptions = this.#subscriptions.get( pListener ) || [];
+
+            const subscription = { types, handler };
+
+            subscriptions.push( subscription );
+
+            this.#subscriptions.set( pListener, subscriptions );
+
+            const me = this;
+
+            return function()
+            {
+                me.#cancel( pListener, subscription );
+            };
+        }
+
+        #cancel( pListener, pSubscription )
+        {
+            pSubscription.types.forEach( e => this.#broker.removeEventListener( e, pSubscription.handler ) );
+
+            const remaining = (this.#subscriptions.get( pListener ) || []).filter( e => e !== pSubscription );
+
+            if ( remaining.length > 0 )
+            {
+                this.#subscriptions.set( pListener, remaining );
+            }
+            else
+            {
+                this.#subscriptions.delete( pListener );
+            }
+        }
+
+        /**
+         * Cancels every subscription made for the specified listener through this logger
+         * @param {function(Event)|{handleEvent:function(Event)}} pListener the listener passed to subscribe
+         */
+        unsubscribe( pListener )
+        {
+            [...(this.#subscriptions.get( pListener ) || [])].forEach( e => this.#cancel( pListener, e ) );
+        }
+
+        /**
+         * Cancels every subscription made through this logger
+         */
+        unsubscribeAll()
+        {
+            [...this.#subscriptions.keys()].forEach( e => this.unsubscribe( e ) );
+        }
+    }
+
+    let mod =
+        {
+            dependencies,
+            classes:
+                {
+                    EventLogger
+                },
+            DEFAULT_EVENT_LOGGER_OPTIONS,
+            LOG_EVENT_LEVELS,
+            LOG_EVENT_TYPES,
+            resolveLogEventType,
+            createLogFilter,
+            EventLogger
+        };
+
+    mod = toolBocksModule.extend( mod );
+
+    return mod.expose( mod, INTERNAL_NAME, (_ud !== typeof module ? module : mod) ) || mod;
+
+}());
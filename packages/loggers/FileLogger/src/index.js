@@ -4,6 +4,8 @@ const loggingUtils = require( "@toolbocks/logging" );
 
 const fileUtils = require( "@toolbocks/files" );
 
+const compressionUtils = require( "@toolbocks/compression" );
+
 const { moduleUtils, constants, typeUtils, stringUtils, arrayUtils, localeUtils } = core;
 
 const
@@ -81,7 +83,7 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             resolveMoment
         } = typeUtils;
 
-    const { asString, asInt, asFloat, isBlank, ucase, capitalize, toBool, formatMessage } = stringUtils;
+    const { asString, asInt, asFloat, isBlank, lcase, ucase, capitalize, toBool, formatMessage } = stringUtils;
 
     const { varargs, asArray, Filters, AsyncBoundedQueue } = arrayUtils;
 
@@ -90,7 +92,6 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             resolvePath,
             getFileExtension,
             exists,
-            readFolder,
             stat,
             rm,
             rename,
@@ -104,6 +105,8 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             WriteStream,
         } = fileUtils;
 
+    const { Archiver } = compressionUtils;
+
     /**
      * This is a dictionary of this module's dependencies.
      * <br>
@@ -122,7 +125,8 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             stringUtils,
             arrayUtils,
             localeUtils,
-            loggingUtils
+            loggingUtils,
+            compressionUtils
         };
 
     const F_APPEND = "a";
@@ -492,18 +496,33 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
         return isFunction( pArchiver ) ? pArchiver : isNonNullObject( pArchiver ) && isFunction( pArchiver.archive ) ? pArchiver : null;
     }
 
+    /**
+     * Describes how long to keep log files, how many to keep, and how much space they may use,
+     * and whether the files beyond those limits are deleted or archived.<br>
+     * <br>
+     * The file currently being written is never deleted or archived.<br>
+     */
     class LogFileRetentionPolicy
     {
         #maxDays;
         #maxFiles;
+        #maxBytes = 0;
 
         #operation;
         #archiver = null;
 
-        constructor( pMaximumDays, pMaximumFiles, pOperation = RETENTION_OPERATION.DELETE, pArchiver = null )
+        /**
+         * @param {number} pMaximumDays the number of days to keep a log file
+         * @param {number} pMaximumFiles the number of log files to keep
+         * @param {string} [pOperation=RETENTION_OPERATION.DELETE] whether to delete or archive the files beyond the limits
+         * @param {function|Object} [pArchiver=null] a function or an object with an archive method, used to archive files
+         * @param {number} [pMaximumBytes=0] the total size, in bytes, of the log files to keep, or 0 for no limit
+         */
+        constructor( pMaximumDays, pMaximumFiles, pOperation = RETENTION_OPERATION.DELETE, pArchiver = null, pMaximumBytes = 0 )
         {
             this.#maxDays = Math.max( 1, asInt( pMaximumDays ) );
             this.#maxFiles = Math.max( 1, asInt( pMaximumFiles ) );
+            this.#maxBytes = Math.max( 0, asInt( pMaximumBytes, 0 ) );
 
             this.#operation = resolveRetentionOperation( pOperation ) || RETENTION_OPERATION.DELETE;
             this.#archiver = resolveArchiver( pArchiver );
@@ -519,6 +538,15 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             return Math.max( 1, asInt( this.#maxFiles ) );
         }
 
+        /**
+         * Returns the total size, in bytes, of the log files to keep, or 0 if there is no limit
+         * @returns {number}
+         */
+        get maxBytes()
+        {
+            return Math.max( 0, asInt( this.#maxBytes, 0 ) );
+        }
+
         get operation()
         {
             return resolveRetentionOperation( this.#operation );
@@ -692,40 +720,122 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
         async maxFilesExceededBy( pDirectory )
         {
-            const entries = await asyncAttempt( async() => await readFolder( pDirectory, { withFileTypes: true } ) );
+            const entries = await this.collectFiles( pDirectory );
             return (entries?.length || 0) - this.maxFiles;
         }
 
-        async handleOldestFiles( pDirectory, pNumToHandle = 1 )
+        /**
+         * Returns the files in the directory, oldest first,
+         * except the file currently being written
+         *
+         * @param {string} pDirectory the directory of the log files
+         * @param {string} [pExclude] the path of the file currently being written
+         *
+         * @returns {Promise<Array<FileObject>>} the files that may be deleted or archived
+         */
+        async collectRetainedFiles( pDirectory, pExclude )
         {
+            const exclude = isBlank( asString( pExclude, true ) ) ? _mt_str : resolvePath( asString( pExclude, true ) );
+
             const fileInfos = await this.collectFiles( pDirectory );
 
-            if ( fileInfos.length <= 0 )
-            {
-                return { deleted: [], archived: [] };
-            }
+            const files = fileInfos.length > 0 ? await FileObject.sort( ...fileInfos ) : [];
 
-            let deleted = [];
-            let archived = [];
+            return files.filter( e => resolvePath( e.filepath ) !== exclude );
+        }
 
-            const num = Math.min( fileInfos.length, Math.max( 1, asInt( pNumToHandle ) ) );
+        async #handleFiles( pFiles )
+        {
+            const files = asArray( pFiles );
 
-            let files = await FileObject.sortDescending( ...fileInfos );
+            let deleted = [];
+            let archived = [];
 
-            files = files.slice( 0, num );
+            if ( files.length <= 0 )
+            {
+                return { deleted, archived };
+            }
 
             if ( RETENTION_OPERATION.DELETE === this.operation )
             {
-                deleted = await this.deleteFiles( ...(files || []) );
+                deleted = await this.deleteFiles( ...files );
             }
             else if ( RETENTION_OPERATION.ARCHIVE === this.operation )
             {
-                archived = await this.archiveFiles( this.archiver, ...(files || []) );
+                archived = await this.archiveFiles( this.archiver, files );
             }
 
             return { deleted, archived };
         }
 
+        async handleOldestFiles( pDirectory, pNumToHandle = 1, pExclude = null )
+        {
+            const files = await this.collectRetainedFiles( pDirectory, pExclude );
+
+            const num = Math.min( files.length, Math.max( 1, asInt( pNumToHandle ) ) );
+
+            return this.#handleFiles( files.slice( 0, num ) );
+        }
+
+        /**
+         * Returns the number of bytes by which the log files in the directory exceed maxBytes,
+         * or 0 (or less) if they do not, or if there is no limit
+         *
+         * @param {string} pDirectory the directory of the log files
+         *
+         * @returns {Promise<number>} the number of bytes to remove
+         */
+        async maxBytesExceededBy( pDirectory )
+        {
+            if ( this.maxBytes <= 0 )
+            {
+                return 0;
+            }
+
+            const fileInfos = await this.collectFiles( pDirectory );
+
+            let total = 0;
+
+            for( const fileInfo of fileInfos )
+            {
+                total += asInt( await asyncAttempt( async() => await fileInfo.getSize() ), 0 );
+            }
+
+            return total - this.maxBytes;
+        }
+
+        /**
+         * Deletes or archives the oldest log files until the files remaining use no more than maxBytes
+         *
+         * @param {string} pDirectory the directory of the log files
+         * @param {number} pExceededBy the number of bytes to remove
+         * @param {string} [pExclude] the path of the file currently being written
+         *
+         * @returns {Promise<{deleted: Array<string>, archived: Array<string>}>} the files deleted or archived
+         */
+        async handleFilesBeyondMaxBytes( pDirectory, pExceededBy, pExclude = null )
+        {
+            const files = await this.collectRetainedFiles( pDirectory, pExclude );
+
+            const toHandle = [];
+
+            let remaining = asInt( pExceededBy );
+
+            for( const file of files )
+            {
+                if ( remaining <= 0 )
+                {
+                    break;
+                }
+
+                toHandle.push( file );
+
+                remaining -= asInt( await asyncAttempt( async() => await file.getSize() ), 0 );
+            }
+
+            return this.#handleFiles( toHandle );
+        }
+
         async run( pDirectory, pLogger, pNow )
         {
             let removed = [];
@@ -734,6 +844,8 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
             const now = resolveMoment( pNow );
 
+            const activeFile = isNonNullObject( pLogger ) ? asString( pLogger.filepath, true ) : null;
+
             if ( RETENTION_OPERATION.DELETE === this.operation )
             {
                 removed = await this.deleteExpiredFiles( pDirectory, now );
@@ -747,7 +859,16 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
             if ( exceededBy > 0 )
             {
-                let { deleted, archived } = await this.handleOldestFiles( pDirectory, exceededBy );
+                let { deleted, archived } = await this.handleOldestFiles( pDirectory, exceededBy, activeFile );
+                removed = removed.concat( deleted ).flat();
+                moved = moved.concat( archived ).flat();
+            }
+
+            const bytesExceededBy = await this.maxBytesExceededBy( pDirectory );
+
+            if ( bytesExceededBy > 0 )
+            {
+                let { deleted, archived } = await this.handleFilesBeyondMaxBytes( pDirectory, bytesExceededBy, activeFile );
                 removed = removed.concat( deleted ).flat();
                 moved = moved.concat( archived ).flat();
             }
@@ -794,6 +915,19 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             return options.retentionPolicy;
         }
 
+        // for example, { retentionPolicy: { maxDays: 7, maxFiles: 20, maxBytes: 500_000_000 } }
+        if ( isNonNullObject( options.retentionPolicy ) )
+        {
+            const policy = options.retentionPolicy;
+            const defaults = LogFileRetentionPolicy.DEFAULT;
+
+            return new LogFileRetentionPolicy( policy.maxDays ?? defaults.maxDays,
+                                               policy.maxFiles ?? defaults.maxFiles,
+                                               policy.operation || defaults.operation,
+                                               policy.archiver || defaults.archiver,
+                                               policy.maxBytes ?? defaults.maxBytes );
+        }
+
         return LogFileRetentionPolicy.DEFAULT;
     };
 
@@ -932,15 +1066,74 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
     const MAX_LOG_FILE_SIZE_KB = 25_000;  // 25MBs
 
+    /**
+     * The compression formats that can be applied to rotated log files
+     */
+    const ROTATION_COMPRESSION =
+        {
+            GZIP: "gzip",
+            BROTLI: "brotli"
+        };
+
+    /**
+     * Returns the name of the compression format to apply to rotated log files,
+     * or null if rotated files should not be compressed.<br>
+     * <br>
+     * true is interpreted as gzip.
+     *
+     * @param {string|boolean|null} pCompression "gzip", "brotli", true, or a false value
+     *
+     * @returns {string|null} "gzip", "brotli", or null
+     */
+    function resolveCompression( pCompression )
+    {
+        if ( true === pCompression )
+        {
+            return ROTATION_COMPRESSION.GZIP;
+        }
+
+        if ( !isString( pCompression ) || isBlank( pCompression ) )
+        {
+            return null;
+        }
+
+        const format = Object.values( ROTATION_COMPRESSION ).find( e => e === lcase( asString( pCompression, true ) ) );
+
+        if ( isNull( format ) )
+        {
+            konsole.warn( "Rotated log files cannot be compressed as", pCompression, "Supported formats are", Object.values( ROTATION_COMPRESSION ) );
+        }
+
+        return format || null;
+    }
+
+    /**
+     * Describes when the current log file is closed and replaced by another.<br>
+     * <br>
+     * A file is rotated when the interval has passed
+     * or when the file has reached the maximum size, whichever happens first.<br>
+     * <br>
+     * The rotated file can be compressed in the background, using gzip or brotli.<br>
+     */
     class LogFileRotationPolicy
     {
         #interval = FileRotationInterval.DEFAULT;
-        #maxSize = MAX_LOG_FILE_SIZE_KB;
-
-        constructor( pInterval, pMaximumKbs )
+        #maxBytes = 1_024 * MAX_LOG_FILE_SIZE_KB;
+        #compression = null;
+
+        /**
+         * @param {FileRotationInterval|string|number} pInterval how often to rotate the log file
+         * @param {number} [pMaximumKbs=25_000] the size, in kilobytes, at which the log file is rotated
+         * @param {string|boolean} [pCompression=null] "gzip" or "brotli" to compress rotated files
+         * @param {number} [pMaximumBytes] the size, in bytes, at which the log file is rotated; takes precedence over pMaximumKbs
+         */
+        constructor( pInterval, pMaximumKbs, pCompression = null, pMaximumBytes = null )
         {
             this.#interval = FileRotationInterval.resolve( pInterval );
-            this.#maxSize = asInt( pMaximumKbs, MAX_LOG_FILE_SIZE_KB );
+
+            this.#maxBytes = (isNumeric( pMaximumBytes ) && asInt( pMaximumBytes ) > 0) ? asInt( pMaximumBytes ) : 1_024 * asInt( pMaximumKbs, MAX_LOG_FILE_SIZE_KB );
+
+            this.#compression = resolveCompression( pCompression );
         }
 
         get interval()
@@ -950,7 +1143,7 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
         get maxSize()
         {
-            return asInt( this.#maxSize, MAX_LOG_FILE_SIZE_KB );
+            return Math.ceil( this.maxBytes / 1_024 );
         }
 
         get milliseconds()
@@ -960,7 +1153,28 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
         get maxBytes()
         {
-            return 1_024 * this.maxSize;
+            return asInt( this.#maxBytes, 1_024 * MAX_LOG_FILE_SIZE_KB );
+        }
+
+        /**
+         * Returns "gzip" or "brotli" if rotated files are compressed, or null if they are not
+         * @returns {string|null}
+         */
+        get compression()
+        {
+            return this.#compression;
+        }
+
+        /**
+         * Returns true if a log file of the specified size should be rotated
+         *
+         * @param {number} pBytes the size of the log file, in bytes
+         *
+         * @returns {boolean} true if the file has reached the maximum size
+         */
+        exceedsMaxSize( pBytes )
+        {
+            return asInt( pBytes ) >= this.maxBytes;
         }
     }
 
@@ -974,7 +1188,11 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
         const maxSize = isNull( options?.maxSize ) ? existing.maxSize : asInt( options.maxSize, MAX_LOG_FILE_SIZE_KB );
 
-        return new LogFileRotationPolicy( interval, maxSize );
+        const maxBytes = isNull( options?.maxBytes ) ? (isNull( options?.maxSize ) ? existing.maxBytes : null) : asInt( options.maxBytes );
+
+        const compression = isNull( options?.compression ) ? existing.compression : options.compression;
+
+        return new LogFileRotationPolicy( interval, maxSize, compression, maxBytes );
     };
 
     /**
@@ -1014,7 +1232,7 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
             if ( isNonNullObject( fileRotationInterval ) && (isNumeric( maxKb ) && asInt( maxKb ) > 0) )
             {
-                return new LogFileRotationPolicy( fileRotationInterval, maxKb );
+                return new LogFileRotationPolicy( fileRotationInterval, maxKb, options.compression, options.maxBytes );
             }
         }
 
@@ -1036,6 +1254,10 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
      *                                              whose return value will determine
      *                                              whether a log message is written or discarded.
      *
+     * @property {Redactor|boolean|Array|Object} [redaction=null] The rules for removing passwords, tokens, and other secrets
+     *                                                         from each record before it is written to the file<br>
+     *                                                         (see Redactor.resolve in the logging package)<br>
+     *
      * @property {LogLevel|string|number} level The finest-grained LogLevel this logger will log.<br>
      *                                          <br>
      *                                          For example, specifying LogLevel.WARN will allow this Logger
@@ -1047,12 +1269,19 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
      *                                                that takes a LogRecord<br>
      *                                                and returns a string or an array to be written to the log.<br>
      *
-     * @property {LogFileRetentionPolicy} retentionPolicy An object describing how long to keep log files before deleting them<br>
+     * @property {LogFileRetentionPolicy|Object} retentionPolicy An object describing how long to keep log files before deleting them<br>
      *                                                    and/or the maximum number of files to keep<br>
+     *                                                    and/or the maximum number of bytes the files may use in total<br>
+     *                                                    May also be an object with maxDays, maxFiles, maxBytes, operation, and archiver properties<br>
      *
      * @property {LogFileRotationPolicy} rotationPolicy An object describing how often to rotate log files<br>
      *                                                  and/or the maximum size (in Kilobytes) a log file may be before being replaced<br>
      *
+     * @property {number} [maxBytes] The size, in bytes, at which the current log file is rotated,
+     *                               in addition to the interval of the rotation policy<br>
+     *
+     * @property {string|boolean} [compression] "gzip" or "brotli" to compress rotated log files in the background<br>
+     *
      */
 
     function resolveLevel( pOptions, pOtherOptions )
@@ -1132,6 +1361,12 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
         #queue;
 
+        #bytesWritten = 0;
+
+        #rotation = null;
+
+        #compression = Promise.resolve();
+
         _rotationTimerId = null;
         _retentionTimerId = null;
 
@@ -1459,6 +1694,9 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             {
                 this.#stream = createWriteStream( this.filepath, { flags: F_APPEND } ); // 'a' for append
 
+                // the size is tracked as we write, rather than asking the file system after every write
+                this.#bytesWritten = asInt( attempt( () => statSync( this.filepath ) )?.size, 0 );
+
                 // Ensure the stream is closed on exit, SIGINT, and SIGTERM
                 if ( null != process && (null === this.exitEventsHandled || false === this.exitEventsHandled) )
                 {
@@ -1498,28 +1736,30 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             {
                 await this.flush().then( no_op ).catch( ex => konsole.error( ex ) );
 
-                this.#stream.end( () =>
-                                  {
-                                      konsole.log( "Closed log file:", (me || this).filepath );
+                const stream = this.#stream;
 
-                                      if ( me?.#stream )
-                                      {
-                                          me.#stream.removeAllListeners();
-                                      }
+                this.#stream = null; // Prevent further writes
 
-                                      me.#stream = null; // Prevent further writes
+                this.suspended = true;
 
-                                      me.suspended = true;
-                                  } );
+                // the file is not closed until everything written to the stream has been written to the file
+                await new Promise( ( resolve ) =>
+                                   {
+                                       if ( !stream || stream.destroyed || stream.writableFinished )
+                                       {
+                                           resolve();
+                                           return;
+                                       }
 
-                if ( this.#stream )
-                {
-                    this.#stream.removeAllListeners();
+                                       stream.end( () =>
+                                                   {
+                                                       konsole.log( "Closed log file:", (me || this).filepath );
 
-                    this.#stream = null; // Prevent further writes
-                }
+                                                       stream.removeAllListeners();
 
-                this.suspended = true;
+                                                       resolve();
+                                                   } );
+                                   } );
             }
 
             return this.isClosed();
@@ -1555,23 +1795,36 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
         async writeLogRecord( pLogRecord )
         {
-            if ( !this.filter.isLoggable( pLogRecord ) || !this.enabled )
+            if ( !this.enabled )
             {
                 return;
             }
 
-            let record = pLogRecord instanceof LogRecord ? pLogRecord : new LogRecord( pLogRecord );
+            let record = this._redact( pLogRecord instanceof LogRecord ? pLogRecord : new LogRecord( pLogRecord ) );
 
             if ( !this.level.isEnabled( record?.level || this.level ) )
             {
                 return;
             }
 
+            const loggable = this.filter.isLoggable( record );
+
+            // a deduplicating or rate-limiting filter summarizes the records it discarded before this one
+            for( const summary of this._takeFilterSummaries() )
+            {
+                await this.writeLogRecord( summary );
+            }
+
+            if ( !loggable )
+            {
+                return;
+            }
+
             let open = this.isOpen() || await this._open();
 
             if ( open && !this.suspended )
             {
-                let msg = isString( pLogRecord ) ? pLogRecord : this.formatter.format( record );
+                let msg = isString( pLogRecord ) ? record.message : this.formatter.format( record );
                 this._writeToLog( msg ).then( no_op ).catch( ex => konsole.error( ex ) );
             }
             else
@@ -1590,7 +1843,12 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             {
                 const me = this;
 
-                this.#stream.write( _lf + (asString( msg ) + _lf), ( err ) =>
+                // a structured formatter writes each record as exactly one line, so a log pipeline can split the file on line breaks
+                const line = this.formatter?.structured ? (asString( msg ) + _lf) : (_lf + (asString( msg ) + _lf));
+
+                this.#bytesWritten += Buffer.byteLength( line );
+
+                this.#stream.write( line, ( err ) =>
                 {
                     if ( err )
                     {
@@ -1610,26 +1868,32 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             this.checkAndRotateIfMaxSize().then( no_op ).catch( ex => konsole.error( ex ) );
         }
 
-        async checkAndRotateIfMaxSize()
+        /**
+         * Returns the number of bytes in the current log file, including the bytes still being written
+         * @returns {number}
+         */
+        get bytesWritten()
         {
-            const me = this;
-
-            const policy = (me || this).rotationPolicy;
+            return this.#bytesWritten;
+        }
 
-            const stats = await stat( (me || this).filepath );
+        async checkAndRotateIfMaxSize()
+        {
+            const policy = this.rotationPolicy;
 
-            const fileSize = asInt( stats.size );
+            const fileSize = this.#bytesWritten;
 
-            if ( fileSize >= policy.maxBytes )
+            if ( !isNull( this.#rotation ) || !policy.exceedsMaxSize( fileSize ) )
             {
-                this.suspended = true;
+                return false;
+            }
 
-                await (me || this).rotateLogFile( (me || this), TIMESTAMP_RESOLUTION.MILLISECOND, false );
+            // millisecond resolution, so that files rotated within the same time interval have distinct names
+            await this.rotateLogFile( this, TIMESTAMP_RESOLUTION.MILLISECOND, false );
 
-                konsole.log( "Rotated log file due to maximum size (" + asString( policy.maxBytes ) + " bytes)" + " reached:", (me || this).filepath, " Size before rotation:", fileSize );
+            konsole.log( "Rotated log file due to maximum size (" + asString( policy.maxBytes ) + " bytes)" + " reached:", this.filepath, " Size before rotation:", fileSize );
 
-                this.suspended = !this.isOpen();
-            }
+            return true;
         }
 
         async _log( ...pData )
@@ -1692,6 +1956,9 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
         async flush()
         {
+            // write the records queued by AsyncLogger before the ones waiting for the file to open
+            await super.flush();
+
             const iterationCap = new IterationCap( this.#queue.size + 16 );
 
             if ( !(await this.#queue.isEmpty()) )
@@ -1784,6 +2051,28 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
         {
             const me = pThis || this;
 
+            // a file that is already being rotated, because of its size or the time, is not rotated again
+            if ( !isNull( me.#rotation ) )
+            {
+                return me.#rotation;
+            }
+
+            me.#rotation = me.#rotate( pTimestampResolution, pResetInterval );
+
+            try
+            {
+                return await me.#rotation;
+            }
+            finally
+            {
+                me.#rotation = null;
+            }
+        }
+
+        async #rotate( pTimestampResolution, pResetInterval )
+        {
+            const me = this;
+
             const filePattern = me.filePattern;
 
             const filepath = me.filepath;
@@ -1814,22 +2103,121 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
             await me._open();
 
+            // write anything that was queued while the file was being rotated
+            await me.flush().then( no_op ).catch( ex => konsole.error( ex ) );
+
 
             if ( !!pResetInterval )
             {
                 me.resetRotationTimer( me, pTimestampResolution, pResetInterval );
             }
 
-            const runRetention = (isNull( me._retentionTimerId )) || (isDate( me.lastRetentionPolicyRunDate ) && (me.lastRetentionPolicyRunDate.getTime() - now.getTime()) > MILLIS_PER.DAY);
+            // a limit on the total size of the files is checked after every rotation
+            const runRetention = (isNull( me._retentionTimerId )) ||
+                                 (me.retentionPolicy.maxBytes > 0) ||
+                                 (isDate( me.lastRetentionPolicyRunDate ) && (me.lastRetentionPolicyRunDate.getTime() - now.getTime()) > MILLIS_PER.DAY);
+
+            const retain = async() => runRetention ? await me.runRetentionPolicy( me.directory, me, now ).then( no_op ).catch( ex => konsole.error( ex ) ) : no_op();
 
-            if ( runRetention )
+            if ( me.rotationPolicy.compression )
             {
-                await me.runRetentionPolicy( me.directory, me, now ).then( no_op ).catch( ex => konsole.error( ex ) );
+                // compressing a large file takes a while, so it happens in the background,
+                // one file at a time, and the retention policy is applied to the compressed file
+                me.#compression = me.#compression.then( async() => await me.compressRotatedFile( archivedPath, me.rotationPolicy.compression ) )
+                                                 .then( retain )
+                                                 .catch( ex => konsole.error( ex ) );
+            }
+            else
+            {
+                await retain();
             }
 
             return archivedPath;
         }
 
+        /**
+         * Compresses a rotated log file, using the compression package's Archiver,
+         * and deletes the uncompressed file once the compressed file has been written.<br>
+         *
+         * @param {string} pFilePath the path of the rotated log file
+         * @param {string} [pCompression="gzip"] "gzip" or "brotli"
+         *
+         * @returns {Promise<string|null>} the path of the compressed file, or null if the file could not be compressed
+         */
+        async compressRotatedFile( pFilePath, pCompression = ROTATION_COMPRESSION.GZIP )
+        {
+            const filePath = resolvePath( asString( pFilePath, true ) );
+
+            // the retention policy may have removed the file while it was waiting to be compressed
+            if ( !await exists( filePath ) )
+            {
+                return null;
+            }
+
+            const compression = resolveCompression( pCompression ) || ROTATION_COMPRESSION.GZIP;
+
+            // the Archiver writes the compressed file next to the rotated file
+            const archiver = new Archiver( this.directory, { compressionFormat: ucase( compression ) } );
+
+            const compressedPath = await asyncAttempt( async() => await archiver.archive( filePath ) );
+
+            if ( isString( compressedPath ) && await exists( compressedPath ) )
+            {
+                await rm( filePath, { force: true } );
+
+                konsole.info( "Compressed rotated log file:", filePath, "to", compressedPath );
+
+                return compressedPath;
+            }
+
+            konsole.error( "Unable to compress rotated log file:", filePath, compressedPath );
+
+            return null;
+        }
+
+        /**
+         * Returns a Promise that resolves once every rotated file being compressed in the background has been compressed
+         *
+         * @returns {Promise<void>}
+         */
+        async waitForCompression()
+        {
+            await asyncAttempt( async() => await this.#compression );
+        }
+
+        /**
+         * Writes any queued records, closes the log file,
+         * and stops the timers that rotate the file and apply the retention policy.<br>
+         * <br>
+         * Waits for rotated files that are being compressed.<br>
+         *
+         * @returns {Promise<void>}
+         */
+        async close()
+        {
+            clearTimeout( this._rotationTimerId );
+            clearTimeout( this._retentionTimerId );
+
+            this._rotationTimerId = null;
+            this._retentionTimerId = null;
+
+            if ( !isNull( this.#rotation ) )
+            {
+                await asyncAttempt( async() => await this.#rotation );
+            }
+
+            await this.waitForCompression();
+
+            // the retention policy, applied after compressing a file, schedules its next run
+            clearTimeout( this._retentionTimerId );
+
+            this._retentionTimerId = null;
+
+            await this.flush().then( no_op ).catch( ex => konsole.error( ex ) );
+
+            await this._close();
+        }
+
         _initializeRotation( pNow )
         {
             const now = resolveMoment( pNow );
@@ -1931,6 +2319,7 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             TIMESTAMP_RESOLUTION,
             DEFAULTS: lock( DEFAULTS ),
             RETENTION_OPERATION,
+            ROTATION_COMPRESSION,
             resolveError,
             resolveSource,
             resolveFormatter,
@@ -0,0 +1,218 @@
+const fs = require( "node:fs" );
+const os = require( "node:os" );
+const path = require( "node:path" );
+
+const loggingUtils = require( "@toolbocks/logging" );
+
+const localStorageLogger = require( "../src/index.js" );
+
+const { AsyncLogger, LogRecord, LogLevel } = loggingUtils;
+
+const { LocalStorageLogger, FileBackedStorage } = localStorageLogger;
+
+/**
+ * A minimal stand-in for a browser's localStorage
+ */
+class MemoryStorage
+{
+    #items = new Map();
+
+    get length() { return this.#items.size; }
+
+    key( pIndex ) { return [...this.#items.keys()][pIndex] ?? null; }
+
+    getItem( pKey ) { return this.#items.has( pKey ) ? this.#items.get( pKey ) : null; }
+
+    setItem( pKey, pValue ) { this.#items.set( pKey, String( pValue ) ); }
+
+    removeItem( pKey ) { this.#items.delete( pKey ); }
+
+    clear() { this.#items.clear(); }
+}
+
+const messages = ( pLogger ) => pLogger.entries.map( e => e.message );
+
+describe( "LocalStorageLogger", () =>
+{
+    let dir;
+
+    beforeEach( () =>
+                {
+                    dir = fs.mkdtempSync( path.join( os.tmpdir(), "local-storage-logger-" ) );
+                } );
+
+    afterEach( () =>
+               {
+                   fs.rmSync( dir, { recursive: true, force: true } );
+               } );
+
+    test( "keeps records in the storage specified and reads them back", () =>
+    {
+        const storage = new MemoryStorage();
+
+        const logger = new LocalStorageLogger( { storage, level: LogLevel.DEBUG } );
+
+        logger.trace( "below the level" );
+        logger.debug( "clicked", { button: "save" } );
+        logger.error( "save failed", new Error( "timeout" ) );
+
+        expect( messages( logger ) ).toEqual( ["clicked", "save failed"] );
+
+        const records = logger.getRecords();
+
+        expect( records[0] ).toBeInstanceOf( LogRecord );
+        expect( records[0].data ).toEqual( [{ button: "save" }] );
+        expect( records[1].level ).toEqual( LogLevel.ERROR );
+        expect( records[1].error.message ).toEqual( "timeout" );
+
+        expect( JSON.parse( storage.getItem( "toolbocks.log" ) ).length ).toEqual( 2 );
+        expect( JSON.parse( logger.toJson( 2 ) ) ).toEqual( logger.entries );
+    } );
+
+    test( "is an AsyncLogger whose records can be read back as soon as they are logged", () =>
+    {
+        const logger = new LocalStorageLogger( { storage: new MemoryStorage() } );
+
+        expect( logger ).toBeInstanceOf( AsyncLogger );
+
+        logger.log( new LogRecord( "saved", LogLevel.INFO ) );
+
+        expect( messages( logger ) ).toEqual( ["saved"] );
+    } );
+
+    test( "discards the oldest records beyond maxEntries and maxBytes", () =>
+    {
+        const logger = new LocalStorageLogger( { storage: new MemoryStorage(), maxEntries: 3 } );
+
+        ["a", "b", "c", "d", "e"].forEach( e => logger.info( e ) );
+
+        expect( messages( logger ) ).toEqual( ["c", "d", "e"] );
+
+        const bounded = new LocalStorageLogger( { storage: new MemoryStorage(), maxBytes: 2_048 } );
+
+        for( let i = 0; i < 20; i++ )
+        {
+            bounded.info( "x".repeat( 200 ) + i );
+        }
+
+        expect( bounded.bytes ).toBeLessThanOrEqual( 2_048 );
+        expect( bounded.size ).toBeLessThan( 20 );
+        expect( messages( bounded ).at( -1 ) ).toEqual( "x".repeat( 200 ) + 19 );
+    } );
+
+    test( "clears records by level, by age, or entirely", () =>
+    {
+        const logger = new LocalStorageLogger( { storage: new MemoryStorage(), level: LogLevel.TRACE } );
+
+        const old = LogRecord.fromObject( { ...new LogRecord( "old error", LogLevel.ERROR ).toObject(), timestamp: Date.now() - 60_000 } );
+
+        logger.log( old );
+        logger.trace( "trace" );
+        logger.debug( "debug" );
+        logger.info( "info" );
+        logger.error( "error" );
+
+        expect( logger.clear( { level: LogLevel.DEBUG } ) ).toEqual( 2 );
+        expect( messages( logger ) ).toEqual( ["old error", "info", "error"] );
+
+        expect( logger.clear( { olderThan: 30_000 } ) ).toEqual( 1 );
+        expect( messages( logger ) ).toEqual( ["info", "error"] );
+
+        expect( logger.clear() ).toEqual( 2 );
+        expect( logger.size ).toEqual( 0 );
+    } );
+
+    test( "falls back to a file in Node.js, which survives a new logger", () =>
+    {
+        const file = path.join( dir, "nested", "log.json" );
+
+        const logger = new LocalStorageLogger( { file, key: "breadcrumbs" } );
+
+        logger.warn( "before the crash" );
+
+        logger.flushSync();
+
+        expect( JSON.parse( JSON.parse( fs.readFileSync( file, "utf8" ) ).breadcrumbs )[0].message ).toEqual( "before the crash" );
+
+        const reloaded = new LocalStorageLogger( { file, key: "breadcrumbs" } );
+
+        expect( messages( reloaded ) ).toEqual( ["before the crash"] );
+
+        const storage = new FileBackedStorage( file );
+
+        expect( storage.length ).toEqual( 1 );
+        expect( storage.key( 0 ) ).toEqual( "breadcrumbs" );
+    } );
+
+    test( "writes the records logged together to the file once, after writeDelayMs", async() =>
+    {
+        const file = path.join( dir, "log.json" );
+
+        const logger = new LocalStorageLogger( { file, writeDelayMs: 50 } );
+
+        const writes = jest.spyOn( fs, "writeFileSync" );
+
+        try
+        {
+            for( let i = 0; i < 20; i++ )
+            {
+                logger.info( "message " + i );
+            }
+
+            expect( messages( logger ) ).toHaveLength( 20 );
+            expect( writes ).not.toHaveBeenCalled();
+            expect( fs.existsSync( file ) ).toBe( false );
+
+            await new Promise( resolve => setTimeout( resolve, 150 ) );
+
+            expect( writes ).toHaveBeenCalledTimes( 1 );
+
+            expect( messages( new LocalStorageLogger( { file } ) ) ).toHaveLength( 20 );
+        }
+        finally
+        {
+            writes.mockRestore();
+        }
+    } );
+
+    test( "loggers that use different keys keep their records in different files by default", () =>
+    {
+        const first = new LocalStorageLogger( { key: "first-" + process.pid } );
+        const second = new LocalStorageLogger( { key: "second-" + process.pid } );
+
+        first.info( "first" );
+        second.info( "second" );
+
+        first.flushSync();
+        second.flushSync();
+
+        const files = [first, second].map( e => path.join( os.tmpdir(), "toolbocks-log-" + e.key + ".json" ) );
+
+        try
+        {
+            expect( JSON.parse( fs.readFileSync( files[0], "utf8" ) ) ).not.toHaveProperty( second.key );
+            expect( JSON.parse( fs.readFileSync( files[1], "utf8" ) ) ).not.toHaveProperty( first.key );
+
+            expect( messages( new LocalStorageLogger( { key: first.key } ) ) ).toEqual( ["first"] );
+            expect( messages( new LocalStorageLogger( { key: second.key } ) ) ).toEqual( ["second"] );
+        }
+        finally
+        {
+            files.forEach( f => fs.rmSync( f, { force: true } ) );
+        }
+    } );
+
+    test( "writes the records not yet written when the process exits", () =>
+    {
+        const file = path.join( dir, "log.json" );
+
+        const script = "const { LocalStorageLogger } = require( " + JSON.stringify( require.resolve( "../src/index.js" ) ) + " );" +
+                       "new LocalStorageLogger( { file: process.argv[1], writeDelayMs: 60000 } ).error( 'at exit' );";
+
+        const result = require( "node:child_process" ).spawnSync( process.execPath, ["-e", script, file], { timeout: 30_000 } );
+
+        expect( result.status ).toEqual( 0 );
+
+        expect( messages( new LocalStorageLogger( { file } ) ) ).toEqual( ["at exit"] );
+    } );
+} );
@@ -0,0 +1,620 @@
+/**
+ * @fileOverview
+ *
+ * This module defines a logger that keeps the most recent log records in persistent storage.<br>
+ * <br>
+ * In a browser, records are kept in localStorage, through the http package's HttpLocalStorage,
+ * so they survive a reload or a crash and can be read back afterward, as breadcrumbs leading up to a failure.<br>
+ * <br>
+ * In Node.js, where there is no localStorage that survives the process,
+ * the same records are kept in a JSON file.<br>
+ * <br>
+ * The records form a ring buffer, limited both by the number of entries and by their size in bytes,
+ * so the oldest records are discarded as new ones are written.<br>
+ *
+ * @module LocalStorageLogger
+ *
+ * @author Scott Bockelman
+ * @license MIT
+ */
+
+const core = require( "@toolbocks/core" );
+
+const loggingUtils = require( "@toolbocks/logging" );
+
+const httpUtils = require( "@toolbocks/http" );
+
+const { moduleUtils, constants, typeUtils, stringUtils, arrayUtils } = core;
+
+const { AsyncLogger, LogLevel, LogRecord, DEFAULT_LOGGER_OPTIONS } = loggingUtils;
+
+const { HttpLocalStorage } = httpUtils;
+
+/* define a variable for typeof undefined **/
+const { _ud = "undefined", $scope } = constants;
+
+// noinspection FunctionTooLongJS
+(function exposeModule()
+{
+    // defines a key we can use to store this module in global scope
+    const INTERNAL_NAME = "__BOCK__LOCAL_STORAGE_LOGGER__";
+
+    // if we've already executed this code, just return the module
+    if ( $scope() && (null != $scope()[INTERNAL_NAME]) )
+    {
+        return $scope()[INTERNAL_NAME];
+    }
+
+    const modName = "LocalStorageLogger";
+
+    const { ToolBocksModule, lock, populateOptions, attempt } = moduleUtils;
+
+    const { _mt_str, _spc, no_op } = constants;
+
+    const { isNull, isString, isError, isDate, isNumeric, isFunction, isNonNullObject } = typeUtils;
+
+    const { asString, asInt, isBlank } = stringUtils;
+
+    const { varargs, asArray } = arrayUtils;
+
+    /**
+     * This is a dictionary of this module's dependencies.
+     * <br>
+     * It is exported as a property of this module,
+     * allowing us to just import this module<br>
+     * and then use the other utilities as properties of this module.
+     * <br>
+     * @dict
+     * @type {Object}
+     */
+    const dependencies =
+        {
+            moduleUtils,
+            constants,
+            typeUtils,
+            stringUtils,
+            arrayUtils,
+            loggingUtils,
+            httpUtils
+        };
+
+    const toolBocksModule = new ToolBocksModule( modName, INTERNAL_NAME );
+
+    const executionEnvironment = toolBocksModule.executionEnvironment;
+
+    const DEFAULT_FILE_NAME = "toolbocks-log-storage.json";
+
+    const DEFAULT_WRITE_DELAY_MS = 250;
+
+    /**
+     * Returns the name of the file in which a LocalStorageLogger keeps the records it stores under the specified key,
+     * so that loggers using different keys do not share a file
+     *
+     * @param {string} pKey the key under which the logger stores its records
+     *
+     * @returns {string} a file name derived from the key
+     */
+    const toFileName = ( pKey ) => "toolbocks-log-" + (asString( pKey, true ).replace( /[^\w.-]+/g, "_" ) || "storage") + ".json";
+
+    /**
+     * @typedef {Object} LocalStorageLoggerOptions
+     *
+     * @property {string} [key="toolbocks.log"] The key under which the records are stored
+     *
+     * @property {number} [maxEntries=500] The maximum number of records to keep
+     *
+     * @property {number} [maxBytes=262_144] The maximum size, in UTF-8 bytes, of the stored records.<br>
+     *                                       Browsers typically allow about 5MB of localStorage per origin,
+     *                                       which is shared with everything else the page stores.
+     *
+     * @property {Storage} [storage] An object implementing the Web Storage API to use as the backing store.<br>
+     *                               If not specified, localStorage is used in a browser,
+     *                               and a FileBackedStorage is used in Node.js.
+     *
+     * @property {string} [file] The path of the file in which to keep the records in Node.js.<br>
+     *                           If not specified, a file in the temp directory named for the key is used,
+     *                           such as toolbocks-log-toolbocks.log.json.
+     *
+     * @property {number} [writeDelayMs=250] In Node.js, the number of milliseconds to wait after a record is stored
+     *                                       before writing the file, so that records logged together are written together.<br>
+     *                                       The file is also written when the logger is flushed and when the process exits.
+     */
+
+    /**
+     * The default options for a LocalStorageLogger
+     * @type {LocalStorageLoggerOptions}
+     */
+    const DEFAULT_LOCAL_STORAGE_LOGGER_OPTIONS = lock(
+        {
+            ...DEFAULT_LOGGER_OPTIONS,
+            key: "toolbocks.log",
+            maxEntries: 500,
+            maxBytes: 262_144,
+            storage: null,
+            file: null,
+            writeDelayMs: DEFAULT_WRITE_DELAY_MS
+        } );
+
+    const encoder = new TextEncoder();
+
+    const byteLength = ( pString ) => encoder.encode( asString( pString ) ).length;
+
+    /**
+     * This class implements the Web Storage API over a JSON file,
+     * for use as the backing store of an HttpLocalStorage in Node.js.<br>
+     * <br>
+     * Like localStorage, it is synchronous: the items are held in memory, and every change is visible at once.<br>
+     * The changes made within writeDelayMs milliseconds of each other are written to the file together,
+     * and any change not yet written is written when flush is called and when the process exits.<br>
+     * <br>
+     * The file is written to a temporary file first, so that a crash cannot leave it half-written.<br>
+     *
+     * @class
+     */
+    class FileBackedStorage
+    {
+        #file;
+
+        #items = new Map();
+
+        #fs;
+
+        #writeDelayMs;
+
+        #timer = null;
+
+        #exitHandler = null;
+
+        /**
+         * Constructs a new FileBackedStorage, loading any items already saved in the specified file
+         * @param {string} pFile the path of the file in which to keep the items
+         * @param {number} [pWriteDelayMs=250] the number of milliseconds to wait after a change before writing the file,
+         *                                     or 0 to write the file before each change returns
+         */
+        constructor( pFile, pWriteDelayMs = DEFAULT_WRITE_DELAY_MS )
+        {
+            const path = require( "node:path" );
+
+            this.#fs = require( "node:fs" );
+
+            this.#file = path.resolve( asString( pFile, true ) || path.join( require( "node:os" ).tmpdir(), DEFAULT_FILE_NAME ) );
+
+            this.#writeDelayMs = Math.max( 0, asInt( pWriteDelayMs, DEFAULT_WRITE_DELAY_MS ) );
+
+            const fs = this.#fs;
+
+            const text = attempt( () => fs.existsSync( this.#file ) ? fs.readFileSync( this.#file, "utf8" ) : _mt_str );
+
+            const items = isBlank( text ) ? {} : attempt( () => JSON.parse( text ) );
+
+            if ( isNonNullObject( items ) )
+            {
+                Object.entries( items ).forEach( ( [key, value] ) => this.#items.set( key, asString( value ) ) );
+            }
+        }
+
+        get file()
+        {
+            return this.#file;
+        }
+
+        get writeDelayMs()
+        {
+            return this.#writeDelayMs;
+        }
+
+        /**
+         * Returns true if there are changes that have not yet been written to the file
+         * @returns {boolean}
+         */
+        get pending()
+        {
+            return !isNull( this.#exitHandler );
+        }
+
+        get length()
+        {
+            return this.#items.size;
+        }
+
+        key( pIndex )
+        {
+            return [...(this.#items.keys())][asInt( pIndex )] ?? null;
+        }
+
+        getItem( pKey )
+        {
+            const key = asString( pKey );
+            return this.#items.has( key ) ? this.#items.get( key ) : null;
+        }
+
+        setItem( pKey, pValue )
+        {
+            this.#items.set( asString( pKey ), asString( pValue ) );
+            this.#changed();
+        }
+
+        removeItem( pKey )
+        {
+            if ( this.#items.delete( asString( pKey ) ) )
+            {
+                this.#changed();
+            }
+        }
+
+        clear()
+        {
+            this.#items.clear();
+            this.#changed();
+        }
+
+        /**
+         * Writes any changes not yet written to the file, before returning
+         */
+        flush()
+        {
+            if ( !isNull( this.#timer ) )
+            {
+                clearTimeout( this.#timer );
+                this.#timer = null;
+            }
+
+            if ( !isNull( this.#exitHandler ) )
+            {
+                attempt( () => process.off( "exit", this.#exitHandler ) );
+                this.#exitHandler = null;
+
+                this.#save();
+            }
+        }
+
+        #changed()
+        {
+            if ( this.#writeDelayMs <= 0 )
+            {
+                this.#save();
+                return;
+            }
+
+            const me = this;
+
+            if ( isNull( this.#exitHandler ) )
+            {
+                // only synchronous work is possible once the process is exiting, which is all flush does
+                this.#exitHandler = () => me.flush();
+                process.on( "exit", this.#exitHandler );
+            }
+
+            if ( isNull( this.#timer ) )
+            {
+                this.#timer = setTimeout( () => me.flush(), this.#writeDelayMs );
+
+                // the changes are written when the process exits, so the timer need not keep it alive
+                this.#timer?.unref?.();
+            }
+        }
+
+        #save()
+        {
+            const fs = this.#fs;
+
+            const temp = this.#file + ".tmp";
+
+            fs.mkdirSync( require( "node:path" ).dirname( this.#file ), { recursive: true } );
+
+            fs.writeFileSync( temp, JSON.stringify( Object.fromEntries( this.#items ) ), "utf8" );
+
+            fs.renameSync( temp, this.#file );
+        }
+    }
+
+    const isStorage = ( pObject ) => isNonNullObject( pObject ) && ["getItem", "setItem", "removeItem", "key", "clear"].every( e => isFunction( pObject[e] ) );
+
+    function resolveBackingStore( pOptions )
+    {
+        const options = pOptions || {};
+
+        if ( isStorage( options.storage ) )
+        {
+            return options.storage;
+        }
+
+        if ( executionEnvironment.isNode() )
+        {
+            const file = asString( options.file, true ) || require( "node:path" ).join( require( "node:os" ).tmpdir(), toFileName( options.key ) );
+
+            return new FileBackedStorage( file, options.writeDelayMs );
+        }
+
+        return null;
+    }
+
+    /**
+     * @typedef {Object} ClearCriteria
+     *
+     * @property {LogLevel|string|number} [level] Removes the records at this level
+     *                                            and at every less severe level.<br>
+     *                                            For example, DEBUG removes DEBUG and TRACE records.
+     *
+     * @property {Date|number} [olderThan] Removes the records created before this Date,
+     *                                     or more than this number of milliseconds ago
+     */
+
+    /**
+     * This class keeps the most recent log records in persistent storage,
+     * as a ring buffer limited by the number of entries and by their total size.<br>
+     * <br>
+     * Each record is stored as the object returned by LogRecord::toObject,
+     * and all of them are stored as a single JSON array under one key,
+     * which is updated before the call that logged the record returns,
+     * so the records are not lost if the page crashes immediately afterward.<br>
+     * <br>
+     * In Node.js, the records logged within writeDelayMs milliseconds of each other are written to the file together,
+     * and any that have not been written yet are written when the logger is flushed and when the process exits.<br>
+     * <br>
+     * The records can be read back as LogRecords, exported as JSON,
+     * and cleared entirely, by level, or by age.<br>
+     */
+    class LocalStorageLogger extends AsyncLogger
+    {
+        #storage;
+
+        #backingStore;
+
+        /**
+         * Constructs a new LocalStorageLogger
+         * @param {LocalStorageLoggerOptions} pOptions the options to configure the logger
+         */
+        constructor( pOptions = DEFAULT_LOCAL_STORAGE_LOGGER_OPTIONS )
+        {
+            super( populateOptions( pOptions, DEFAULT_LOCAL_STORAGE_LOGGER_OPTIONS ) );
+
+            this.#backingStore = resolveBackingStore( { ...(pOptions || {}), key: this.key, writeDelayMs: this.options.writeDelayMs } );
+
+            this.#storage = isNull( this.#backingStore ) ? new HttpLocalStorage() : new HttpLocalStorage( this.#backingStore );
+        }
+
+        get options()
+        {
+            return lock( populateOptions( super.options, DEFAULT_LOCAL_STORAGE_LOGGER_OPTIONS ) );
+        }
+
+        get storage()
+        {
+            return this.#storage;
+        }
+
+        get key()
+        {
+            return asString( this.options.key, true ) || DEFAULT_LOCAL_STORAGE_LOGGER_OPTIONS.key;
+        }
+
+        get maxEntries()
+        {
+            return Math.max( 1, asInt( this.options.maxEntries, 500 ) );
+        }
+
+        get maxBytes()
+        {
+            return Math.max( 1_024, asInt( this.options.maxBytes, 262_144 ) );
+        }
+
+        /**
+         * Returns the stored records, as the objects returned by LogRecord::toObject, from oldest to newest
+         * @returns {Array<Object>}
+         */
+        get entries()
+        {
+            const text = this.#getText();
+
+            const entries = isBlank( text ) ? [] : attempt( () => JSON.parse( text ) );
+
+            return asArray( entries ).filter( isNonNullObject );
+        }
+
+        /**
+         * Returns the number of records stored
+         * @returns {number}
+         */
+        get size()
+        {
+            return this.entries.length;
+        }
+
+        /**
+         * Returns the size, in UTF-8 bytes, of the stored records
+         * @returns {number}
+         */
+        get bytes()
+        {
+            return byteLength( this.#getText() || "[]" );
+        }
+
+        #getText()
+        {
+            const text = attempt( () => this.#storage.getItem( this.key ) );
+
+            // HttpStorage returns an empty object, rather than null, for a key it does not have
+            return isString( text ) ? text : _mt_str;
+        }
+
+        #save( pEntries )
+        {
+            const entries = asArray( pEntries );
+
+            while ( entries.length > this.maxEntries )
+            {
+                entries.shift();
+            }
+
+            const sizes = entries.map( e => byteLength( JSON.stringify( e ) ) );
+
+            // the brackets and the commas between entries
+            let total = 2 + sizes.reduce( ( a, b ) => a + b, 0 ) + Math.max( 0, entries.length - 1 );
+
+            while ( total > this.maxBytes && entries.length > 1 )
+            {
+                entries.shift();
+                total -= (sizes.shift() + 1);
+            }
+
+            attempt( () => this.#storage.setItem( this.key, JSON.stringify( entries ) ) );
+        }
+
+        async writeLogRecord( pLogRecord )
+        {
+            if ( !this.enabled )
+            {
+                return;
+            }
+
+            const record = this._redact( pLogRecord instanceof LogRecord ? pLogRecord : new LogRecord( pLogRecord ) );
+
+            if ( !this.isEnabledFor( record.level ) || !this.isLoggable( record ) )
+            {
+                return;
+            }
+
+            this.#save( [...this.entries, record.toObject()] );
+        }
+
+        _enqueueRecord( pLogRecord )
+        {
+            // records are saved as they are logged, so that they can be read back at once
+            this._writeRecord( pLogRecord );
+        }
+
+        /**
+         * Writes the stored records to the file in which they are kept in Node.js,
+         * if they have not been written yet.<br>
+         */
+        flushSync()
+        {
+            super.flushSync();
+
+            if ( isFunction( this.#backingStore?.flush ) )
+            {
+                attempt( () => this.#backingStore.flush() );
+            }
+        }
+
+        async flush()
+        {
+            await super.flush();
+
+            this.flushSync();
+        }
+
+        _logIf( pLevel, ...pData )
+        {
+            const arr = asArray( varargs( ...pData ) ).filter( e => !isString( e ) || !isBlank( e ) );
+
+            if ( 1 === arr.length && arr[0] instanceof LogRecord )
+            {
+                this.writeLogRecord( arr[0] ).then( no_op ).catch( no_op );
+            }
+            else
+            {
+                const msg = asString( arr.filter( e => isString( e ) ).join( _spc ), true );
+                const data = arr.filter( e => !isString( e ) && !isError( e ) );
+
+                this.writeLogRecord( new LogRecord( msg, pLevel, (arr.find( isError ) || null), null, ...data ) ).then( no_op ).catch( no_op );
+            }
+        }
+
+        info( ...pData )
+        {
+            this._logIf( LogLevel.INFO, ...pData );
+        }
+
+        warn( ...pData )
+        {
+            this._logIf( LogLevel.WARN, ...pData );
+        }
+
+        error( ...pData )
+        {
+            this._logIf( LogLevel.ERROR, ...pData );
+        }
+
+        debug( ...pData )
+        {
+            this._logIf( LogLevel.DEBUG, ...pData );
+        }
+
+        trace( ...pData )
+        {
+            this._logIf( LogLevel.TRACE, ...pData );
+        }
+
+        /**
+         * Returns the stored records, from oldest to newest
+         * @returns {Array<LogRecord>}
+         */
+        getRecords()
+        {
+            return this.entries.map( e => LogRecord.fromObject( e ) );
+        }
+
+        /**
+         * Returns the stored records as JSON,
+         * for example, to attach them to a bug report or to send them to a server
+         *
+         * @param {number|string} [pSpace] the indentation to use, as for JSON.stringify
+         *
+         * @returns {string} a JSON array of the stored records, from oldest to newest
+         */
+        toJson( pSpace )
+        {
+            return JSON.stringify( this.entries, null, pSpace );
+        }
+
+        /**
+         * Removes stored records.<br>
+         * <br>
+         * If no criteria are specified, every record is removed.
+         * If both a level and an age are specified, only the records matching both are removed.<br>
+         *
+         * @param {ClearCriteria} [pCriteria] the records to remove
+         *
+         * @returns {number} the number of records removed
+         */
+        clear( pCriteria )
+        {
+            const criteria = isNonNullObject( pCriteria ) ? pCriteria : {};
+
+            const level = isNull( criteria.level ) ? null : LogLevel.resolveLevel( criteria.level );
+
+            const olderThan = isDate( criteria.olderThan ) ? criteria.olderThan.getTime() : (isNumeric( criteria.olderThan ) ? (Date.now() - asInt( criteria.olderThan )) : null);
+
+            const matches = ( pEntry ) => (isNull( level ) || !LogLevel.resolveLevel( pEntry.level ).isLessThan( level )) &&
+                                          (isNull( olderThan ) || asInt( pEntry.timestamp ) < olderThan);
+
+            const entries = this.entries;
+
+            const remaining = entries.filter( e => !matches( e ) );
+
+            this.#save( remaining );
+
+            return entries.length - remaining.length;
+        }
+    }
+
+    let mod =
+        {
+            dependencies,
+            classes:
+                {
+                    LocalStorageLogger,
+                    FileBackedStorage
+                },
+            DEFAULT_LOCAL_STORAGE_LOGGER_OPTIONS,
+            LocalStorageLogger,
+            FileBackedStorage
+        };
+
+    mod = toolBocksModule.extend( mod );
+
+    return mod.expose( mod, INTERNAL_NAME, (_ud !== typeof module ? module : mod) ) || mod;
+
+}());
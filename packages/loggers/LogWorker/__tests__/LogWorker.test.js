@@ -0,0 +1,162 @@
+const childProcess = require( "node:child_process" );
+const fs = require( "node:fs" );
+const os = require( "node:os" );
+const path = require( "node:path" );
+
+const loggingUtils = require( "@toolbocks/logging" );
+
+const logWorker = require( "../src/index.js" );
+
+const { AsyncLogger, LogRecord, LogLevel } = loggingUtils;
+
+const { LogWorker, createHostedLogger } = logWorker;
+
+// starting a worker thread loads the toolbocks modules again, which is slow on constrained machines
+const WORKER_TIMEOUT = 30_000;
+
+const LINE_LOGGER = path.join( __dirname, "fixtures", "LineLogger.js" );
+
+const readLines = ( pFile ) => fs.readFileSync( pFile, "utf8" ).trim().split( "\n" );
+
+/**
+ * Runs a script in a process of its own, in which nothing but the LogWorker can keep the event loop alive,
+ * and returns once the process has exited
+ */
+function runScript( pScript )
+{
+    return childProcess.spawnSync( process.execPath, ["-e", pScript], { cwd: __dirname, encoding: "utf8", timeout: WORKER_TIMEOUT } );
+}
+
+describe( "LogRecord serialization", () =>
+{
+    test( "a record survives a round trip through toObject and fromObject", () =>
+    {
+        const record = new LogRecord( "Query failed", LogLevel.ERROR, new Error( "timeout" ), "orders", { id: 7 } );
+
+        const copy = LogRecord.fromObject( structuredClone( record.toObject() ) );
+
+        expect( copy.timestamp.getTime() ).toEqual( record.timestamp.getTime() );
+        expect( copy.level ).toEqual( LogLevel.ERROR );
+        expect( copy.message ).toEqual( "Query failed" );
+        expect( copy.source ).toEqual( "orders" );
+        expect( copy.error.message ).toEqual( "timeout" );
+        expect( copy.error.stack ).toEqual( record.error.stack );
+        expect( copy.data ).toEqual( [{ id: 7 }] );
+    } );
+
+    test( "createHostedLogger reports a class the module does not export", () =>
+    {
+        expect( () => createHostedLogger( { module: LINE_LOGGER, className: "Missing" } ) ).toThrow( /does not export/ );
+
+        expect( createHostedLogger( { module: LINE_LOGGER, className: "LineLogger", options: { file: "x" } } ).constructor.name ).toEqual( "LineLogger" );
+    } );
+} );
+
+describe( "LogWorker", () =>
+{
+    let dir;
+
+    beforeEach( () =>
+                {
+                    dir = fs.mkdtempSync( path.join( os.tmpdir(), "log-worker-" ) );
+                } );
+
+    afterEach( () =>
+               {
+                   fs.rmSync( dir, { recursive: true, force: true } );
+               } );
+
+    test( "writes records on the worker thread in the order they were logged", async() =>
+    {
+        const file = path.join( dir, "log.txt" );
+
+        const logger = new LogWorker( { logger: { module: LINE_LOGGER, className: "LineLogger", options: { file } } } );
+
+        const record = new LogRecord( "first", LogLevel.INFO );
+
+        logger.log( record );
+        logger.debug( "below the level" );
+        logger.warn( "second" );
+        logger.error( "third", new Error( "disk full" ) );
+
+        await logger.drain();
+
+        const lines = readLines( file );
+
+        expect( lines.map( e => e.split( "|" )[2] ) ).toEqual( ["first", "second", "third", undefined] );
+        expect( lines[0].split( "|" )[1] ).toEqual( String( record.timestamp.getTime() ) );
+        expect( lines[2].split( "|" )[3] ).toEqual( "disk full" );
+        expect( lines[3] ).toEqual( "flushed" );
+
+        await logger.close();
+
+        expect( readLines( file ).at( -1 ) ).toEqual( "closed" );
+        expect( logger.closed ).toBe( true );
+
+        logger.error( "ignored after close" );
+
+        expect( logger.queued ).toEqual( 0 );
+    }, WORKER_TIMEOUT );
+
+    test( "is an AsyncLogger that posts a logged record to the worker without queueing it first", async() =>
+    {
+        const file = path.join( dir, "log.txt" );
+
+        const logger = new LogWorker( { logger: { module: LINE_LOGGER, className: "LineLogger", options: { file } } } );
+
+        expect( logger ).toBeInstanceOf( AsyncLogger );
+
+        logger.log( new LogRecord( "posted", LogLevel.INFO ) );
+
+        expect( logger.inFlight ).toEqual( 1 );
+
+        await logger.close();
+
+        expect( readLines( file )[0].split( "|" )[2] ).toEqual( "posted" );
+    }, WORKER_TIMEOUT );
+
+    test( "limits the records in flight and discards the oldest queued records when the queue is full", async() =>
+    {
+        const file = path.join( dir, "log.txt" );
+
+        const logger = new LogWorker( { highWaterMark: 2, maxQueueSize: 3, logger: { module: LINE_LOGGER, className: "LineLogger", options: { file, delayMs: 5 } } } );
+
+        for( let i = 1; i <= 10; i++ )
+        {
+            logger.info( "record " + i );
+        }
+
+        expect( logger.inFlight ).toEqual( 2 );
+        expect( logger.queued ).toEqual( 3 );
+        expect( logger.saturated ).toBe( true );
+        expect( logger.dropped ).toEqual( 5 );
+
+        await logger.close();
+
+        expect( readLines( file ).map( e => e.split( "|" )[2] ) ).toEqual( ["record 1", "record 2", "record 8", "record 9", "record 10", undefined, undefined] );
+        expect( logger.inFlight ).toEqual( 0 );
+    }, WORKER_TIMEOUT );
+
+    test( "keeps the process alive until the records have been written, and then lets it exit", () =>
+    {
+        const file = path.join( dir, "log.txt" );
+
+        const script = `
+            const { LogWorker } = require( ${JSON.stringify( path.join( __dirname, "..", "src", "index.js" ) )} );
+
+            const logger = new LogWorker( { logger: { module: ${JSON.stringify( LINE_LOGGER )}, className: "LineLogger", options: { file: ${JSON.stringify( file )}, delayMs: 5 } } } );
+
+            logger.info( "first" );
+            logger.info( "second" );
+
+            logger.drain().then( () => logger.info( "after drain" ) );
+        `;
+
+        const result = runScript( script );
+
+        expect( result.error ).toBeUndefined();
+        expect( result.status ).toEqual( 0 );
+
+        expect( readLines( file ).map( e => e.split( "|" )[2] ) ).toEqual( ["first", "second", undefined, "after drain"] );
+    }, WORKER_TIMEOUT );
+} );
@@ -0,0 +1,40 @@
+const fs = require( "node:fs" );
+
+/**
+ * A logger for the LogWorker tests to host in a worker thread.<br>
+ * It appends a line for each record to the file specified in its options,
+ * optionally pausing before each write to simulate slow I/O.
+ */
+class LineLogger
+{
+    #file;
+    #delayMs;
+
+    constructor( pOptions )
+    {
+        this.#file = pOptions.file;
+        this.#delayMs = pOptions.delayMs || 0;
+    }
+
+    async writeLogRecord( pLogRecord )
+    {
+        if ( this.#delayMs > 0 )
+        {
+            await new Promise( resolve => setTimeout( resolve, this.#delayMs ) );
+        }
+
+        fs.appendFileSync( this.#file, [pLogRecord.level.name, pLogRecord.timestamp.getTime(), pLogRecord.message, (pLogRecord.error?.message || "")].join( "|" ) + "\n" );
+    }
+
+    async flush()
+    {
+        fs.appendFileSync( this.#file, "flushed\n" );
+    }
+
+    async close()
+    {
+        fs.appendFileSync( this.#file, "closed\n" );
+    }
+}
+
+module.exports = { LineLogger };
@@ -0,0 +1,653 @@
+/**
+ * @fileOverview
+ *
+ * This module defines a logger that writes log records on a worker thread.<br>
+ * <br>
+ * A LogWorker is a facade for another logger, such as a ConsoleLogger, FileLogger, or RemoteLogger,
+ * which is constructed and hosted in a worker thread.<br>
+ * Records are serialized and posted to the worker,
+ * so logging never blocks the event loop of the main thread on I/O.<br>
+ * <br>
+ * This module is also the script run by the worker thread.
+ * When it is loaded in a worker started by a LogWorker, it hosts the configured logger.<br>
+ *
+ * @module LogWorker
+ *
+ * @author Scott Bockelman
+ * @license MIT
+ */
+
+const core = require( "@toolbocks/core" );
+
+const loggingUtils = require( "@toolbocks/logging" );
+
+const { moduleUtils, constants, typeUtils, stringUtils, arrayUtils } = core;
+
+const { AsyncLogger, ConsoleLogger, LogLevel, LogRecord, DEFAULT_LOGGER_OPTIONS } = loggingUtils;
+
+/* define a variable for typeof undefined **/
+const { _ud = "undefined", $scope } = constants;
+
+// noinspection FunctionTooLongJS
+(function exposeModule()
+{
+    // defines a key we can use to store this module in global scope
+    const INTERNAL_NAME = "__BOCK__LOG_WORKER__";
+
+    // if we've already executed this code, just return the module
+    if ( $scope() && (null != $scope()[INTERNAL_NAME]) )
+    {
+        return $scope()[INTERNAL_NAME];
+    }
+
+    const modName = "LogWorker";
+
+    const { ToolBocksModule, IllegalArgumentError, lock, populateOptions, asyncAttempt } = moduleUtils;
+
+    const { _mt_str, _spc, S_ERROR = "error", no_op } = constants;
+
+    const { isNull, isString, isError, isFunction, isClass, isNonNullObject } = typeUtils;
+
+    const { asString, asInt, isBlank } = stringUtils;
+
+    const { varargs, asArray } = arrayUtils;
+
+    const workerThreads = require( "node:worker_threads" );
+
+    const path = require( "node:path" );
+
+    const { Worker } = workerThreads;
+
+    /**
+     * This is a dictionary of this module's dependencies.
+     * <br>
+     * It is exported as a property of this module,
+     * allowing us to just import this module<br>
+     * and then use the other utilities as properties of this module.
+     * <br>
+     * @dict
+     * @type {Object}
+     */
+    const dependencies =
+        {
+            moduleUtils,
+            constants,
+            typeUtils,
+            stringUtils,
+            arrayUtils,
+            loggingUtils,
+            workerThreads
+        };
+
+    const toolBocksModule = new ToolBocksModule( modName, INTERNAL_NAME );
+
+    /**
+     * The types of the messages exchanged by a LogWorker and its worker thread
+     * @enum {string}
+     */
+    const MessageType = lock(
+        {
+            /** Posted to the worker with a batch of serialized records to write */
+            RECORDS: "records",
+
+            /** Posted by the worker once it has written a batch of records */
+            WRITTEN: "written",
+
+            /** Posted to the worker to ask the hosted logger to write anything it has buffered */
+            FLUSH: "flush",
+
+            /** Posted by the worker once the hosted logger has been flushed */
+            FLUSHED: "flushed",
+
+            /** Posted to the worker to close the hosted logger and stop */
+            CLOSE: "close",
+
+            /** Posted by the worker once the hosted logger has been closed */
+            CLOSED: "closed"
+        } );
+
+    /**
+     * @typedef {Object} HostedLoggerDescriptor
+     *
+     * Describes the logger to construct in the worker thread.<br>
+     * Loggers cannot be passed between threads, so the worker constructs its own.
+     *
+     * @property {string} [module] The module exporting the logger class, such as "@toolbocks/file_logger".<br>
+     *                             Relative paths are resolved from the current working directory.<br>
+     *                             If not specified, a ConsoleLogger is used.
+     *
+     * @property {string} [className] The name of the exported class.<br>
+     *                                If not specified, the module itself must export the class.
+     *
+     * @property {Object} [options] The options to pass to the constructor of the logger.<br>
+     *                              These must be values that can be copied to another thread.
+     */
+
+    /**
+     * @typedef {Object} LogWorkerOptions
+     *
+     * @property {HostedLoggerDescriptor} [logger] The logger to host in the worker thread
+     *
+     * @property {number} [batchSize=100] The maximum number of records to post to the worker in a single message
+     *
+     * @property {number} [highWaterMark=1_000] The maximum number of records posted to the worker
+     *                                          that it has not yet written.<br>
+     *                                          Beyond this, records wait in the queue until the worker catches up.
+     *
+     * @property {number} [maxQueueSize=10_000] The maximum number of records to hold while the worker is busy.<br>
+     *                                          The oldest records are discarded beyond this number.
+     */
+
+    /**
+     * The default options for a LogWorker
+     * @type {LogWorkerOptions}
+     */
+    const DEFAULT_LOG_WORKER_OPTIONS = lock(
+        {
+            ...DEFAULT_LOGGER_OPTIONS,
+            logger: null,
+            batchSize: 100,
+            highWaterMark: 1_000,
+            maxQueueSize: 10_000
+        } );
+
+    /**
+     * Returns a copy of the specified descriptor
+     * in which a relative module path is resolved from the current working directory,
+     * because the worker would otherwise resolve it relative to this module
+     *
+     * @param {HostedLoggerDescriptor} pDescriptor
+     *
+     * @returns {HostedLoggerDescriptor}
+     */
+    function resolveDescriptor( pDescriptor )
+    {
+        const descriptor = isNonNullObject( pDescriptor ) ? { ...pDescriptor } : {};
+
+        const moduleName = asString( descriptor.module, true );
+
+        descriptor.module = moduleName.startsWith( "." ) ? path.resolve( process.cwd(), moduleName ) : moduleName;
+
+        descriptor.className = asString( descriptor.className, true );
+
+        descriptor.options = isNonNullObject( descriptor.options ) ? descriptor.options : {};
+
+        return descriptor;
+    }
+
+    /**
+     * Constructs the logger described, in the worker thread
+     *
+     * @param {HostedLoggerDescriptor} pDescriptor
+     *
+     * @returns {ILogger} the logger to which the worker writes records
+     *
+     * @throws {IllegalArgumentError} if the module does not export the class described
+     */
+    function createHostedLogger( pDescriptor )
+    {
+        const { module: moduleName, className, options } = resolveDescriptor( pDescriptor );
+
+        if ( isBlank( moduleName ) )
+        {
+            return new ConsoleLogger( options );
+        }
+
+        const mod = require( moduleName );
+
+        const LoggerClass = isBlank( className ) ? mod : (mod?.[className] || mod?.classes?.[className]);
+
+        if ( !(isClass( LoggerClass ) || isFunction( LoggerClass )) )
+        {
+            throw new IllegalArgumentError( `The module ${moduleName} does not export a logger class${isBlank( className ) ? _mt_str : (" named " + className)}` );
+        }
+
+        return new LoggerClass( options );
+    }
+
+    async function writeToHostedLogger( pLogger, pLogRecord )
+    {
+        if ( isFunction( pLogger?.writeLogRecord ) )
+        {
+            await pLogger.writeLogRecord( pLogRecord );
+        }
+        else if ( isFunction( pLogger?.log ) )
+        {
+            pLogger.log( pLogRecord );
+        }
+    }
+
+    /**
+     * Hosts the described logger in the current worker thread,
+     * writing the records posted by the LogWorker that started the thread.<br>
+     * <br>
+     * Messages are handled one at a time, in the order they were posted,
+     * and each batch is acknowledged only once all of its records have been written,
+     * which is what allows the LogWorker to apply backpressure.<br>
+     *
+     * @param {HostedLoggerDescriptor} pDescriptor the logger to host
+     */
+    function hostLogger( pDescriptor )
+    {
+        const { parentPort } = workerThreads;
+
+        const logger = createHostedLogger( pDescriptor );
+
+        let handling = Promise.resolve();
+
+        const handle = async( pMessage ) =>
+        {
+            switch ( pMessage?.type )
+            {
+                case MessageType.RECORDS:
+                    for( const record of asArray( pMessage.records ) )
+                    {
+                        await asyncAttempt( async() => await writeToHostedLogger( logger, LogRecord.fromObject( record ) ) );
+                    }
+
+                    parentPort.postMessage( { type: MessageType.WRITTEN, count: asArray( pMessage.records ).length } );
+                    break;
+
+                case MessageType.FLUSH:
+                    if ( isFunction( logger.flush ) )
+                    {
+                        await asyncAttempt( async() => await logger.flush() );
+                    }
+
+                    parentPort.postMessage( { type: MessageType.FLUSHED } );
+                    break;
+
+                case MessageType.CLOSE:
+                    if ( isFunction( logger.close ) )
+                    {
+                        await asyncAttempt( async() => await logger.close() );
+                    }
+
+                    parentPort.postMessage( { type: MessageType.CLOSED } );
+
+                    parentPort.close();
+                    break;
+
+                default:
+                    break;
+            }
+        };
+
+        parentPort.on( "message", ( pMessage ) =>
+        {
+            handling = handling.then( () => handle( pMessage ) ).catch( no_op );
+        } );
+    }
+
+    /**
+     * This class writes log records on a worker thread,
+     * using a logger that the worker constructs from the options specified.<br>
+     * <br>
+     * Calls to this logger return immediately.
+     * Records are serialized with LogRecord::toObject and posted to the worker in batches.<br>
+     * <br>
+     * The number of records posted that the worker has not yet written is limited by the highWaterMark.
+     * While the worker is that far behind, records wait in a queue,
+     * and once the queue holds maxQueueSize records, the oldest are discarded.<br>
+     * <br>
+     * The worker thread keeps the process alive only while records are waiting to be written
+     * or a call to drain or close is waiting for the worker to reply;
+     * an idle LogWorker never keeps a process from exiting.
+     * Call drain (or close) before exiting to be sure the hosted logger has written anything it buffers.<br>
+     */
+    class LogWorker extends AsyncLogger
+    {
+        #worker = null;
+
+        #queue = [];
+
+        #inFlight = 0;
+
+        #dropped = 0;
+
+        #idleWaiters = [];
+
+        #replyWaiters = new Map();
+
+        #closed = false;
+
+        /**
+         * Constructs a new LogWorker and starts its worker thread
+         * @param {LogWorkerOptions} pOptions the options to configure the logger
+         */
+        constructor( pOptions = DEFAULT_LOG_WORKER_OPTIONS )
+        {
+            super( populateOptions( pOptions, DEFAULT_LOG_WORKER_OPTIONS ) );
+
+            this.#worker = this.#startWorker( resolveDescriptor( this.options.logger ) );
+        }
+
+        get options()
+        {
+            return lock( populateOptions( super.options, DEFAULT_LOG_WORKER_OPTIONS ) );
+        }
+
+        get batchSize()
+        {
+            return Math.max( 1, asInt( this.options.batchSize, 100 ) );
+        }
+
+        get highWaterMark()
+        {
+            return Math.max( 1, asInt( this.options.highWaterMark, 1_000 ) );
+        }
+
+        get maxQueueSize()
+        {
+            return Math.max( 1, asInt( this.options.maxQueueSize, 10_000 ) );
+        }
+
+        /**
+         * Returns the number of records waiting to be posted to the worker
+         * @returns {number}
+         */
+        get queued()
+        {
+            return this.#queue.length;
+        }
+
+        /**
+         * Returns the number of records posted to the worker that it has not yet written
+         * @returns {number}
+         */
+        get inFlight()
+        {
+            return this.#inFlight;
+        }
+
+        /**
+         * Returns the number of records discarded because the queue was full
+         * @returns {number}
+         */
+        get dropped()
+        {
+            return this.#dropped;
+        }
+
+        /**
+         * Returns true if the worker has fallen so far behind that records are waiting in the queue
+         * @returns {boolean}
+         */
+        get saturated()
+        {
+            return this.#queue.length > 0;
+        }
+
+        get closed()
+        {
+            return this.#closed || isNull( this.#worker );
+        }
+
+        #startWorker( pDescriptor )
+        {
+            const worker = new Worker( __filename, { workerData: { [INTERNAL_NAME]: true, logger: pDescriptor } } );
+
+            const me = this;
+
+            worker.on( "message", ( pMessage ) => me.#handleMessage( pMessage ) );
+
+            worker.on( "error", ( pError ) => toolBocksModule.reportError( pError, "The log worker failed", S_ERROR, (modName + "::worker") ) );
+
+            worker.on( "exit", () => me.#handleExit() );
+
+            // a logger should not be the reason a process keeps running, once it has nothing left to write
+            worker.unref();
+
+            return worker;
+        }
+
+        /**
+         * Lets the worker thread keep the process alive while it has work outstanding,
+         * and stops it from doing so once it is idle
+         */
+        #updateRef()
+        {
+            const worker = this.#worker;
+
+            if ( isNull( worker ) )
+            {
+                return;
+            }
+
+            const busy = this.#queue.length > 0 || this.#inFlight > 0 || this.#replyWaiters.size > 0 || this.#idleWaiters.length > 0;
+
+            if ( busy )
+            {
+                worker.ref();
+            }
+            else
+            {
+                worker.unref();
+            }
+        }
+
+        #handleMessage( pMessage )
+        {
+            switch ( pMessage?.type )
+            {
+                case MessageType.WRITTEN:
+                    this.#inFlight = Math.max( 0, this.#inFlight - asInt( pMessage.count ) );
+                    this.#pump();
+                    break;
+
+                case MessageType.FLUSHED:
+                case MessageType.CLOSED:
+                    this.#replyWaiters.get( pMessage.type )?.();
+                    this.#replyWaiters.delete( pMessage.type );
+                    this.#updateRef();
+                    break;
+
+                default:
+                    break;
+            }
+        }
+
+        #handleExit()
+        {
+            this.#worker = null;
+
+            // records that were never written are lost with the worker
+            this.#dropped += this.#queue.length + this.#inFlight;
+
+            this.#queue = [];
+            this.#inFlight = 0;
+
+            this.#replyWaiters.forEach( resolve => resolve() );
+            this.#replyWaiters.clear();
+
+            this.#notifyIdle();
+        }
+
+        #notifyIdle()
+        {
+            if ( 0 === this.#queue.length && 0 === this.#inFlight )
+            {
+                const waiters = this.#idleWaiters.splice( 0, this.#idleWaiters.length );
+                waiters.forEach( resolve => resolve() );
+            }
+        }
+
+        /**
+         * Posts as many queued records to the worker as the highWaterMark allows
+         */
+        #pump()
+        {
+            while ( this.#queue.length > 0 && this.#inFlight < this.highWaterMark && !isNull( this.#worker ) )
+            {
+                const records = this.#queue.splice( 0, Math.min( this.batchSize, this.highWaterMark - this.#inFlight ) );
+
+                this.#inFlight += records.length;
+
+                this.#worker.postMessage( { type: MessageType.RECORDS, records } );
+            }
+
+            this.#notifyIdle();
+
+            this.#updateRef();
+        }
+
+        #request( pType, pReply )
+        {
+            if ( isNull( this.#worker ) )
+            {
+                return Promise.resolve();
+            }
+
+            const me = this;
+
+            return new Promise( resolve =>
+                                {
+                                    me.#replyWaiters.set( pReply, resolve );
+                                    me.#worker.postMessage( { type: pType } );
+                                    me.#updateRef();
+                                } );
+        }
+
+        async writeLogRecord( pLogRecord )
+        {
+            if ( this.closed || !this.enabled )
+            {
+                return;
+            }
+
+            const record = this._redact( pLogRecord instanceof LogRecord ? pLogRecord : new LogRecord( pLogRecord ) );
+
+            if ( !this.isEnabledFor( record.level ) || !this.isLoggable( record ) )
+            {
+                return;
+            }
+
+            this.#queue.push( record.toObject() );
+
+            while ( this.#queue.length > this.maxQueueSize )
+            {
+                this.#queue.shift();
+                this.#dropped += 1;
+            }
+
+            this.#pump();
+        }
+
+        _enqueueRecord( pLogRecord )
+        {
+            // the worker thread already writes records off this thread, so they are posted to it without queueing
+            this._writeRecord( pLogRecord );
+        }
+
+        _logIf( pLevel, ...pData )
+        {
+            const arr = asArray( varargs( ...pData ) ).filter( e => !isString( e ) || !isBlank( e ) );
+
+            if ( 1 === arr.length && arr[0] instanceof LogRecord )
+            {
+                this.writeLogRecord( arr[0] ).then( no_op ).catch( no_op );
+            }
+            else
+            {
+                const msg = asString( arr.filter( e => isString( e ) ).join( _spc ), true );
+                const data = arr.filter( e => !isString( e ) && !isError( e ) );
+
+                this.writeLogRecord( new LogRecord( msg, pLevel, (arr.find( isError ) || null), null, ...data ) ).then( no_op ).catch( no_op );
+            }
+        }
+
+        info( ...pData )
+        {
+            this._logIf( LogLevel.INFO, ...pData );
+        }
+
+        warn( ...pData )
+        {
+            this._logIf( LogLevel.WARN, ...pData );
+        }
+
+        error( ...pData )
+        {
+            this._logIf( LogLevel.ERROR, ...pData );
+        }
+
+        debug( ...pData )
+        {
+            this._logIf( LogLevel.DEBUG, ...pData );
+        }
+
+        trace( ...pData )
+        {
+            this._logIf( LogLevel.TRACE, ...pData );
+        }
+
+        /**
+         * Waits until the worker has written every record logged so far,
+         * and then asks the hosted logger to write anything it has buffered.<br>
+         * <br>
+         * Call this at shutdown, so the records and anything the hosted logger buffers are written before the process exits.<br>
+         *
+         * @returns {Promise<void>} a Promise that resolves once the records have been written
+         */
+        async drain()
+        {
+            const me = this;
+
+            await new Promise( resolve =>
+                               {
+                                   me.#idleWaiters.push( resolve );
+                                   me.#notifyIdle();
+                                   me.#updateRef();
+                               } );
+
+            await this.#request( MessageType.FLUSH, MessageType.FLUSHED );
+        }
+
+        /**
+         * Drains the queue, closes the hosted logger, and stops the worker thread.<br>
+         * Records logged after the LogWorker has been closed are ignored.
+         *
+         * @returns {Promise<void>} a Promise that resolves once the worker thread has stopped
+         */
+        async close()
+        {
+            if ( this.closed )
+            {
+                return;
+            }
+
+            await this.drain();
+
+            this.#closed = true;
+
+            await this.#request( MessageType.CLOSE, MessageType.CLOSED );
+
+            await this.#worker?.terminate();
+        }
+    }
+
+    let mod =
+        {
+            dependencies,
+            classes:
+                {
+                    LogWorker
+                },
+            MessageType,
+            DEFAULT_LOG_WORKER_OPTIONS,
+            createHostedLogger,
+            LogWorker
+        };
+
+    mod = toolBocksModule.extend( mod );
+
+    const workerData = workerThreads.workerData;
+
+    if ( toolBocksModule.executionEnvironment.isWorker() && isNonNullObject( workerData ) && workerData[INTERNAL_NAME] )
+    {
+        hostLogger( workerData.logger );
+    }
+
+    return mod.expose( mod, INTERNAL_NAME, (_ud !== typeof module ? module : mod) ) || mod;
+
+}());
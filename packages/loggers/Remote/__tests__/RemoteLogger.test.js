@@ -0,0 +1,276 @@
+const http = require( "node:http" );
+const fs = require( "node:fs" );
+const os = require( "node:os" );
+const path = require( "node:path" );
+
+const loggingUtils = require( "@toolbocks/logging" );
+
+const remoteLogger = require( "../src/index.js" );
+
+const { AsyncLogger, LogRecord, LogLevel } = loggingUtils;
+
+const { RemoteLogger, BatchFormat, toEntry, encodeBatch } = remoteLogger;
+
+// each batch passes through the full HttpClient request pipeline, which is slow on constrained machines
+const NETWORK_TIMEOUT = 30_000;
+
+/**
+ * Starts a local stand-in for a log collector,
+ * responding with each of the specified statuses in turn, and then with 200
+ */
+async function startCollector( ...pStatuses )
+{
+    const received = [];
+
+    const statuses = [...pStatuses];
+
+    const server = http.createServer( ( req, res ) =>
+                                      {
+                                          let body = "";
+
+                                          req.on( "data", chunk => body += chunk );
+
+                                          req.on( "end", () =>
+                                          {
+                                              const status = statuses.shift() || 200;
+
+                                              received.push( { status, contentType: req.headers["content-type"], authorization: req.headers["authorization"], body } );
+
+                                              res.writeHead( status, { "Content-Type": "text/plain" } );
+                                              res.end( String( status ) );
+                                          } );
+                                      } );
+
+    await new Promise( resolve => server.listen( 0, "127.0.0.1", resolve ) );
+
+    const url = `http://127.0.0.1:${server.address().port}/logs`;
+
+    const stop = async() =>
+    {
+        server.closeAllConnections();
+        await new Promise( resolve => server.close( resolve ) );
+    };
+
+    return { url, received, stop };
+}
+
+const parseNdjson = ( pBody ) => pBody.trim().split( "\n" ).map( e => JSON.parse( e ) );
+
+describe( "RemoteLogger encoding", () =>
+{
+    test( "toEntry describes a record as a plain object", () =>
+    {
+        const entry = toEntry( new LogRecord( "Query failed", LogLevel.ERROR, new Error( "timeout" ), "orders", { id: 7 } ) );
+
+        expect( entry.level ).toEqual( "ERROR" );
+        expect( entry.message ).toEqual( "Query failed" );
+        expect( entry.source ).toEqual( "orders" );
+        expect( entry.error.message ).toEqual( "timeout" );
+        expect( entry.data ).toEqual( [{ id: 7 }] );
+        expect( new Date( entry.timestamp ).toISOString() ).toEqual( entry.timestamp );
+    } );
+
+    test( "encodeBatch produces NDJSON or a JSON array", () =>
+    {
+        const entries = [{ message: "one" }, { message: "two" }];
+
+        expect( encodeBatch( entries, BatchFormat.NDJSON ) ).toEqual( "{\"message\":\"one\"}\n{\"message\":\"two\"}\n" );
+        expect( JSON.parse( encodeBatch( entries, BatchFormat.JSON_ARRAY ) ) ).toEqual( entries );
+    } );
+
+    test( "retry delays double up to the maximum", () =>
+    {
+        const logger = new RemoteLogger( { url: "http://127.0.0.1:1/logs", retryDelayMs: 100, maxRetryDelayMs: 500, flushOnExit: false } );
+
+        expect( [0, 1, 2, 3].map( e => logger.calculateRetryDelay( e ) ) ).toEqual( [100, 200, 400, 500] );
+    } );
+} );
+
+describe( "RemoteLogger", () =>
+{
+    let dir;
+
+    beforeEach( () =>
+                {
+                    dir = fs.mkdtempSync( path.join( os.tmpdir(), "remote-logger-" ) );
+                } );
+
+    afterEach( () =>
+               {
+                   fs.rmSync( dir, { recursive: true, force: true } );
+               } );
+
+    test( "sends a full batch as NDJSON without waiting for the interval", async() =>
+    {
+        const collector = await startCollector();
+
+        const logger = new RemoteLogger( { url: collector.url, batchSize: 2, flushIntervalMs: 60_000, headers: { Authorization: "Bearer abc" }, flushOnExit: false } );
+
+        try
+        {
+            logger.debug( "not sent" );
+            logger.info( "started" );
+            logger.warn( "slow response", { ms: 950 } );
+            logger.error( "stopped" );
+
+            await logger.flush();
+
+            expect( collector.received.length ).toEqual( 2 );
+            expect( collector.received[0].contentType ).toEqual( "application/x-ndjson" );
+            expect( collector.received[0].authorization ).toEqual( "Bearer abc" );
+
+            expect( parseNdjson( collector.received[0].body ).map( e => e.message ) ).toEqual( ["started", "slow response"] );
+            expect( parseNdjson( collector.received[1].body ).map( e => e.level ) ).toEqual( ["ERROR"] );
+        }
+        finally
+        {
+            await logger.close();
+            await collector.stop();
+        }
+    }, NETWORK_TIMEOUT );
+
+    test( "sends a JSON array and retries a failed request", async() =>
+    {
+        const collector = await startCollector( 500 );
+
+        const logger = new RemoteLogger( { url: collector.url, format: "json", retryDelayMs: 10, flushOnExit: false } );
+
+        try
+        {
+            logger.info( "retried" );
+
+            expect( await logger.close() ).toEqual( 1 );
+
+            expect( collector.received.map( e => e.status ) ).toEqual( [500, 200] );
+            expect( collector.received[1].contentType ).toEqual( "application/json" );
+            expect( JSON.parse( collector.received[1].body )[0].message ).toEqual( "retried" );
+        }
+        finally
+        {
+            await collector.stop();
+        }
+    }, NETWORK_TIMEOUT );
+
+    test( "spills batches while the endpoint is down and sends them once it accepts a request", async() =>
+    {
+        const collector = await startCollector( 503 );
+
+        const spillFile = path.join( dir, "spill.ndjson" );
+
+        const logger = new RemoteLogger( { url: collector.url, maxRetries: 0, spillFile, flushOnExit: false } );
+
+        try
+        {
+            logger.info( "while down" );
+
+            expect( await logger.flush() ).toEqual( 0 );
+
+            expect( parseNdjson( fs.readFileSync( spillFile, "utf8" ) ).map( e => e.message ) ).toEqual( ["while down"] );
+
+            logger.info( "after recovery" );
+
+            expect( await logger.close() ).toEqual( 2 );
+
+            expect( fs.existsSync( spillFile ) ).toBe( false );
+            expect( parseNdjson( collector.received[2].body ).map( e => e.message ) ).toEqual( ["while down"] );
+        }
+        finally
+        {
+            await collector.stop();
+        }
+    }, NETWORK_TIMEOUT );
+
+    test( "restores no more than maxPending spilled records, and only once, however many loggers share the spill file", async() =>
+    {
+        const collector = await startCollector();
+
+        const spillFile = path.join( dir, "spill.ndjson" );
+
+        fs.writeFileSync( spillFile, ["one", "two", "three", "four", "five"].map( message => JSON.stringify( { message } ) ).join( "\n" ) + "\n" );
+
+        const options = { url: collector.url, batchSize: 2, maxPending: 3, spillFile, flushIntervalMs: 60_000, flushOnExit: false };
+
+        const loggers = [new RemoteLogger( options ), new RemoteLogger( options )];
+
+        try
+        {
+            loggers.forEach( ( logger, i ) => logger.info( "logger " + i ) );
+
+            await Promise.all( loggers.map( logger => logger.close() ) );
+
+            const messages = collector.received.flatMap( e => parseNdjson( e.body ) ).map( e => e.message );
+
+            expect( messages.filter( e => !e.startsWith( "logger" ) ) ).toEqual( ["three", "four", "five"] );
+            expect( loggers.map( e => e.dropped ).sort() ).toEqual( [0, 2] );
+
+            expect( fs.readdirSync( dir ) ).toEqual( [] );
+        }
+        finally
+        {
+            await collector.stop();
+        }
+    }, NETWORK_TIMEOUT );
+
+    test( "a batch the endpoint rejects is neither retried nor spilled", async() =>
+    {
+        const collector = await startCollector( 400 );
+
+        const spillFile = path.join( dir, "spill.ndjson" );
+
+        const logger = new RemoteLogger( { url: collector.url, spillFile, flushOnExit: false } );
+
+        try
+        {
+            logger.info( "invalid" );
+
+            expect( await logger.close() ).toEqual( 0 );
+
+            expect( collector.received.length ).toEqual( 1 );
+            expect( fs.existsSync( spillFile ) ).toBe( false );
+        }
+        finally
+        {
+            await collector.stop();
+        }
+    }, NETWORK_TIMEOUT );
+
+    test( "is an AsyncLogger that adds each logged record to its batch without queueing it first", () =>
+    {
+        const logger = new RemoteLogger( { url: "http://127.0.0.1:1/logs", spillFile: path.join( dir, "spill.ndjson" ), flushIntervalMs: 60_000 } );
+
+        expect( logger ).toBeInstanceOf( AsyncLogger );
+        expect( logger.asynchronous ).toBe( true );
+
+        logger.log( new LogRecord( "queued", LogLevel.WARN ) );
+
+        expect( logger.pending ).toEqual( 1 );
+
+        expect( logger.spillPending() ).toEqual( 1 );
+    } );
+
+    test( "the default spill file is specific to the endpoint", () =>
+    {
+        const spillFile = ( pUrl ) => new RemoteLogger( { url: pUrl, flushOnExit: false } ).spillFile;
+
+        expect( spillFile( "https://logs.example.com/a" ) ).toEqual( spillFile( "https://logs.example.com/a" ) );
+        expect( spillFile( "https://logs.example.com/a" ) ).not.toEqual( spillFile( "https://logs.example.com/b" ) );
+
+        expect( path.basename( spillFile( "https://logs.example.com/a" ) ) ).toMatch( /^remote-logger-\w+\.ndjson$/ );
+    } );
+
+    test( "spillPending writes pending records to the spill file synchronously", () =>
+    {
+        const spillFile = path.join( dir, "nested", "spill.ndjson" );
+
+        const logger = new RemoteLogger( { url: "http://127.0.0.1:1/logs", spillFile, flushIntervalMs: 60_000 } );
+
+        logger.warn( "exiting" );
+
+        expect( logger.spillPending() ).toEqual( 1 );
+        expect( logger.pending ).toEqual( 0 );
+
+        expect( parseNdjson( fs.readFileSync( spillFile, "utf8" ) )[0].message ).toEqual( "exiting" );
+
+        expect( process.listeners( "exit" ).length ).toBeGreaterThan( 0 );
+    } );
+} );
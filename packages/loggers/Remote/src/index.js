@@ -0,0 +1,779 @@
+/**
+ * @fileOverview
+ *
+ * This module defines a logger that ships log records to a remote collector over HTTP.<br>
+ * <br>
+ * Records are buffered and sent in batches,
+ * either as newline-delimited JSON (NDJSON) or as a JSON array.<br>
+ * A batch is sent when it is full, when the flush interval elapses, and when the process is about to exit.<br>
+ * <br>
+ * Failed requests are retried with an exponential backoff.<br>
+ * Batches that still cannot be delivered are appended to a local spill file,
+ * and are sent again once the collector accepts a request.<br>
+ *
+ * @module RemoteLogger
+ *
+ * @author Scott Bockelman
+ * @license MIT
+ */
+
+const core = require( "@toolbocks/core" );
+
+const loggingUtils = require( "@toolbocks/logging" );
+
+const httpUtils = require( "@toolbocks/http" );
+
+const fileUtils = require( "@toolbocks/files" );
+
+const { moduleUtils, constants, typeUtils, stringUtils, arrayUtils, guidUtils } = core;
+
+const { AsyncLogger, LogLevel, LogRecord, DEFAULT_LOGGER_OPTIONS } = loggingUtils;
+
+const { HttpClient } = httpUtils;
+
+/* define a variable for typeof undefined **/
+const { _ud = "undefined", $scope } = constants;
+
+// noinspection FunctionTooLongJS
+(function exposeModule()
+{
+    // defines a key we can use to store this module in global scope
+    const INTERNAL_NAME = "__BOCK__REMOTE_LOGGER__";
+
+    // if we've already executed this code, just return the module
+    if ( $scope() && (null != $scope()[INTERNAL_NAME]) )
+    {
+        return $scope()[INTERNAL_NAME];
+    }
+
+    const modName = "RemoteLogger";
+
+    const { ToolBocksModule, lock, populateOptions, asyncAttempt, attempt, clamp, doze } = moduleUtils;
+
+    const { _mt_str, _spc, _lf, S_WARN = "warn", S_ERROR = "error", no_op } = constants;
+
+    const { isNull, isString, isError, isFunction, isNonNullObject } = typeUtils;
+
+    const { asString, asInt, isBlank, ucase, lcase } = stringUtils;
+
+    const { varargs, asArray } = arrayUtils;
+
+    const { hashSync } = guidUtils;
+
+    const
+        {
+            exists,
+            makeDirectory,
+            getDirectoryName,
+            getTempDirectory,
+            resolvePath,
+            readTextFile,
+            writeTextFile,
+            writeFileSync,
+            rename,
+            rm
+        } = fileUtils;
+
+    /**
+     * This is a dictionary of this module's dependencies.
+     * <br>
+     * It is exported as a property of this module,
+     * allowing us to just import this module<br>
+     * and then use the other utilities as properties of this module.
+     * <br>
+     * @dict
+     * @type {Object}
+     */
+    const dependencies =
+        {
+            moduleUtils,
+            constants,
+            typeUtils,
+            stringUtils,
+            arrayUtils,
+            guidUtils,
+            loggingUtils,
+            httpUtils,
+            fileUtils
+        };
+
+    const toolBocksModule = new ToolBocksModule( modName, INTERNAL_NAME );
+
+    /**
+     * The formats in which a batch of records can be sent
+     * @enum {string}
+     */
+    const BatchFormat = lock(
+        {
+            /**
+             * Each record is sent as a JSON object on its own line,
+             * with the Content-Type application/x-ndjson
+             */
+            NDJSON: "ndjson",
+
+            /**
+             * The records are sent as the elements of a JSON array,
+             * with the Content-Type application/json
+             */
+            JSON_ARRAY: "json"
+        } );
+
+    const CONTENT_TYPES = lock(
+        {
+            [BatchFormat.NDJSON]: "application/x-ndjson",
+            [BatchFormat.JSON_ARRAY]: "application/json"
+        } );
+
+    /**
+     * @typedef {Object} RemoteLoggerOptions
+     *
+     * @property {string} url The url of the endpoint to which batches are sent
+     *
+     * @property {string} [format=BatchFormat.NDJSON] How a batch is encoded, either "ndjson" or "json"
+     *
+     * @property {Object} [headers] Additional headers to send with each batch, such as an Authorization header
+     *
+     * @property {number} [batchSize=100] The number of records to collect before sending a batch
+     *
+     * @property {number} [flushIntervalMs=5_000] The number of milliseconds to wait
+     *                                            for a batch to fill before sending what has been collected
+     *
+     * @property {number} [maxPending=10_000] The maximum number of records to hold while waiting to send.<br>
+     *                                        The oldest records are discarded beyond this number.
+     *
+     * @property {number} [maxRetries=3] The number of times to retry a batch that could not be delivered
+     *
+     * @property {number} [retryDelayMs=500] The number of milliseconds to wait before the first retry.<br>
+     *                                       The delay doubles with each subsequent retry.
+     *
+     * @property {number} [maxRetryDelayMs=30_000] The longest to wait between retries
+     *
+     * @property {string} [spillFile] The path of the file to which undeliverable batches are appended.<br>
+     *                                If not specified, a file in the temp directory named for a hash of the url is used,
+     *                                so that loggers sending to different endpoints do not share a spill file.
+     *
+     * @property {boolean} [flushOnExit=true] Whether to send pending records when the process is about to exit,
+     *                                        and to spill any that remain when it exits
+     *
+     * @property {function(LogRecord):Object} [serializer] A function returning the object to send for a record.<br>
+     *                                                    If not specified, toEntry is used.
+     *
+     * @property {HttpClient} [httpClient] The HttpClient used to send batches.<br>
+     *                                     If not specified, a new HttpClient is constructed.
+     */
+
+    /**
+     * The default options for a RemoteLogger
+     * @type {RemoteLoggerOptions}
+     */
+    const DEFAULT_REMOTE_LOGGER_OPTIONS = lock(
+        {
+            ...DEFAULT_LOGGER_OPTIONS,
+            url: _mt_str,
+            format: BatchFormat.NDJSON,
+            headers: {},
+            batchSize: 100,
+            flushIntervalMs: 5_000,
+            maxPending: 10_000,
+            maxRetries: 3,
+            retryDelayMs: 500,
+            maxRetryDelayMs: 30_000,
+            spillFile: null,
+            flushOnExit: true,
+            serializer: null,
+            httpClient: null
+        } );
+
+    /**
+     * Returns a plain object describing the specified record, suitable for encoding as JSON
+     *
+     * @param {LogRecord} pLogRecord the record to describe
+     *
+     * @returns {Object} an object with the timestamp, level, message, and,
+     *                   if present, the source, error, contextual fields, and additional data of the record
+     */
+    function toEntry( pLogRecord )
+    {
+        const record = pLogRecord instanceof LogRecord ? pLogRecord : new LogRecord( pLogRecord );
+
+        const entry =
+            {
+                timestamp: record.timestamp?.toISOString?.() || new Date().toISOString(),
+                level: ucase( asString( record.level?.name || record.level, true ) ),
+                message: asString( record.message || record.error?.message, true )
+            };
+
+        if ( !isBlank( asString( record.source, true ) ) )
+        {
+            entry.source = asString( record.source, true );
+        }
+
+        if ( isError( record.error ) )
+        {
+            entry.error = { name: record.error.name, message: record.error.message, stack: record.error.stack };
+        }
+
+        if ( Object.keys( record.fields ).length > 0 )
+        {
+            entry.fields = record.fields;
+        }
+
+        if ( record.data.length > 0 )
+        {
+            entry.data = record.data;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Returns the JSON for the specified entry,
+     * replacing its data with a string if the data cannot be encoded (for example, because it is circular)
+     */
+    function stringify( pEntry )
+    {
+        try
+        {
+            return JSON.stringify( pEntry );
+        }
+        catch( ex )
+        {
+            return JSON.stringify( { ...pEntry, data: asString( pEntry?.data ) } );
+        }
+    }
+
+    /**
+     * Encodes the specified entries as the body of a request
+     *
+     * @param {Array<Object>} pEntries the entries to encode
+     * @param {string} [pFormat=BatchFormat.NDJSON] either "ndjson" or "json"
+     *
+     * @returns {string} the entries as newline-delimited JSON or as a JSON array
+     */
+    function encodeBatch( pEntries, pFormat = BatchFormat.NDJSON )
+    {
+        const lines = asArray( pEntries ).map( stringify );
+
+        return BatchFormat.JSON_ARRAY === resolveFormat( pFormat ) ? "[" + lines.join( "," ) + "]" : lines.join( _lf ) + _lf;
+    }
+
+    function resolveFormat( pFormat )
+    {
+        const format = lcase( asString( pFormat, true ) );
+        return Object.values( BatchFormat ).includes( format ) ? format : BatchFormat.NDJSON;
+    }
+
+    function isAccepted( pStatus )
+    {
+        const status = asInt( pStatus );
+        return status >= 200 && status < 300;
+    }
+
+    /**
+     * Returns true if a request that failed with the specified status might succeed if it were sent again.<br>
+     * Requests that were rejected as invalid (4xx other than 408 and 429) are not retried.
+     * @param {number} pStatus
+     * @returns {boolean}
+     */
+    function isRetryable( pStatus )
+    {
+        const status = asInt( pStatus );
+        return !isAccepted( status ) && (status < 400 || status >= 500 || 408 === status || 429 === status);
+    }
+
+    /**
+     * This class ships log records to a remote collector over HTTP.<br>
+     * <br>
+     * Records are converted to plain objects as they are logged,
+     * and are sent in batches as either newline-delimited JSON or a JSON array.<br>
+     * A batch is sent when it is full or when the flush interval elapses.<br>
+     * <br>
+     * A batch that cannot be delivered is retried,
+     * waiting twice as long before each attempt.
+     * If every attempt fails, the batch is appended to the spill file as NDJSON,
+     * and the contents of that file are sent again after the next successful request.<br>
+     * <br>
+     * Unless the flushOnExit option is false,
+     * pending records are sent when the process is about to exit,
+     * and any that cannot be sent before it exits are written to the spill file.<br>
+     */
+    class RemoteLogger extends AsyncLogger
+    {
+        #url;
+
+        #httpClient;
+
+        #pending = [];
+
+        #dropped = 0;
+
+        #timer = null;
+
+        #flushing = Promise.resolve( 0 );
+
+        #exitHandlers = null;
+
+        /**
+         * Constructs a new RemoteLogger
+         * @param {RemoteLoggerOptions} pOptions the options to configure the logger
+         */
+        constructor( pOptions = DEFAULT_REMOTE_LOGGER_OPTIONS )
+        {
+            super( populateOptions( pOptions, DEFAULT_REMOTE_LOGGER_OPTIONS ) );
+
+            const options = this.options;
+
+            this.#url = asString( options.url, true );
+
+            // retries are made by this logger, so that they back off, rather than by the client
+            this.#httpClient = options.httpClient instanceof HttpClient ? options.httpClient : new HttpClient( {}, { logger: toolBocksModule.logger, maxRetries: 1 } );
+
+            if ( false !== options.flushOnExit )
+            {
+                this.#addExitHandlers();
+            }
+        }
+
+        get options()
+        {
+            return lock( populateOptions( super.options, DEFAULT_REMOTE_LOGGER_OPTIONS ) );
+        }
+
+        get url()
+        {
+            return asString( this.#url, true );
+        }
+
+        get httpClient()
+        {
+            return this.#httpClient;
+        }
+
+        get format()
+        {
+            return resolveFormat( this.options.format );
+        }
+
+        get contentType()
+        {
+            return CONTENT_TYPES[this.format];
+        }
+
+        get batchSize()
+        {
+            return Math.max( 1, asInt( this.options.batchSize, 100 ) );
+        }
+
+        get flushIntervalMs()
+        {
+            return Math.max( 10, asInt( this.options.flushIntervalMs, 5_000 ) );
+        }
+
+        get maxPending()
+        {
+            return Math.max( this.batchSize, asInt( this.options.maxPending, 10_000 ) );
+        }
+
+        get maxRetries()
+        {
+            return clamp( asInt( this.options.maxRetries, 3 ), 0, 10 );
+        }
+
+        get retryDelayMs()
+        {
+            return Math.max( 0, asInt( this.options.retryDelayMs, 500 ) );
+        }
+
+        get maxRetryDelayMs()
+        {
+            return Math.max( this.retryDelayMs, asInt( this.options.maxRetryDelayMs, 30_000 ) );
+        }
+
+        get spillFile()
+        {
+            const spillFile = asString( this.options.spillFile, true );
+            return resolvePath( isBlank( spillFile ) ? (getTempDirectory() + "/remote-logger-" + asString( hashSync( this.url ), true ).substring( 0, 16 ) + ".ndjson") : spillFile );
+        }
+
+        get serializer()
+        {
+            return isFunction( this.options.serializer ) ? this.options.serializer : toEntry;
+        }
+
+        /**
+         * Returns the number of records waiting to be sent
+         * @returns {number}
+         */
+        get pending()
+        {
+            return this.#pending.length;
+        }
+
+        /**
+         * Returns the number of records discarded because more than maxPending records were waiting
+         * @returns {number}
+         */
+        get dropped()
+        {
+            return this.#dropped;
+        }
+
+        /**
+         * Returns the number of milliseconds to wait before the specified retry
+         * @param {number} pRetry the number of retries already made
+         * @returns {number}
+         */
+        calculateRetryDelay( pRetry )
+        {
+            return Math.min( this.maxRetryDelayMs, this.retryDelayMs * (2 ** Math.max( 0, asInt( pRetry ) )) );
+        }
+
+        #addExitHandlers()
+        {
+            if ( _ud === typeof process || !isFunction( process?.on ) )
+            {
+                return;
+            }
+
+            const me = this;
+
+            this.#exitHandlers =
+                {
+                    // beforeExit is emitted again once the flush completes, but there is nothing left to send by then
+                    beforeExit: () => me.pending > 0 && me.flush().then( no_op ).catch( no_op ),
+
+                    // only synchronous work is possible once the process is exiting
+                    exit: () => me.spillPending()
+                };
+
+            process.on( "beforeExit", this.#exitHandlers.beforeExit );
+            process.on( "exit", this.#exitHandlers.exit );
+        }
+
+        #removeExitHandlers()
+        {
+            if ( !isNull( this.#exitHandlers ) )
+            {
+                process.off( "beforeExit", this.#exitHandlers.beforeExit );
+                process.off( "exit", this.#exitHandlers.exit );
+
+                this.#exitHandlers = null;
+            }
+        }
+
+        #schedule( pDelay )
+        {
+            if ( isNull( this.#timer ) )
+            {
+                const me = this;
+
+                this.#timer = setTimeout( () =>
+                                          {
+                                              me.#timer = null;
+                                              me.flush().then( no_op ).catch( no_op );
+                                          }, pDelay );
+
+                this.#timer.unref?.();
+            }
+        }
+
+        #cancelTimer()
+        {
+            if ( !isNull( this.#timer ) )
+            {
+                clearTimeout( this.#timer );
+                this.#timer = null;
+            }
+        }
+
+        async writeLogRecord( pLogRecord )
+        {
+            if ( !this.enabled || isBlank( this.url ) )
+            {
+                return;
+            }
+
+            const record = this._redact( pLogRecord instanceof LogRecord ? pLogRecord : new LogRecord( pLogRecord ) );
+
+            if ( !this.isEnabledFor( record.level ) || !this.isLoggable( record ) )
+            {
+                return;
+            }
+
+            const entry = attempt( () => this.serializer( record ) );
+
+            if ( !isNonNullObject( entry ) )
+            {
+                return;
+            }
+
+            this.#pending.push( entry );
+
+            while ( this.#pending.length > this.maxPending )
+            {
+                this.#pending.shift();
+                this.#dropped += 1;
+            }
+
+            if ( this.#pending.length >= this.batchSize )
+            {
+                this.flush().then( no_op ).catch( no_op );
+            }
+            else
+            {
+                this.#schedule( this.flushIntervalMs );
+            }
+        }
+
+        _enqueueRecord( pLogRecord )
+        {
+            // records are batched by writeLogRecord, and sent when a batch fills or the flush interval elapses
+            this._writeRecord( pLogRecord );
+        }
+
+        _logIf( pLevel, ...pData )
+        {
+            const arr = asArray( varargs( ...pData ) ).filter( e => !isString( e ) || !isBlank( e ) );
+
+            if ( 1 === arr.length && arr[0] instanceof LogRecord )
+            {
+                this.writeLogRecord( arr[0] ).then( no_op ).catch( no_op );
+            }
+            else
+            {
+                const msg = asString( arr.filter( e => isString( e ) ).join( _spc ), true );
+                const data = arr.filter( e => !isString( e ) && !isError( e ) );
+
+                this.writeLogRecord( new LogRecord( msg, pLevel, (arr.find( isError ) || null), null, ...data ) ).then( no_op ).catch( no_op );
+            }
+        }
+
+        info( ...pData )
+        {
+            this._logIf( LogLevel.INFO, ...pData );
+        }
+
+        warn( ...pData )
+        {
+            this._logIf( LogLevel.WARN, ...pData );
+        }
+
+        error( ...pData )
+        {
+            this._logIf( LogLevel.ERROR, ...pData );
+        }
+
+        debug( ...pData )
+        {
+            this._logIf( LogLevel.DEBUG, ...pData );
+        }
+
+        trace( ...pData )
+        {
+            this._logIf( LogLevel.TRACE, ...pData );
+        }
+
+        /**
+         * Sends the pending records, one batch per request, until no records remain.<br>
+         * <br>
+         * Batches that cannot be delivered are written to the spill file,
+         * and batches the endpoint rejects as invalid are discarded.<br>
+         *
+         * @returns {Promise<number>} the number of batches delivered
+         */
+        async flush()
+        {
+            this.#cancelTimer();
+
+            const me = this;
+
+            // flushes are serialized so that batches are sent in the order the records were logged
+            this.#flushing = this.#flushing.then( () => me.#drain() ).catch( () => 0 );
+
+            return this.#flushing;
+        }
+
+        async #drain()
+        {
+            let delivered = 0;
+
+            while ( this.#pending.length > 0 )
+            {
+                const entries = this.#pending.splice( 0, this.batchSize );
+
+                const status = await this.send( entries );
+
+                if ( isAccepted( status ) )
+                {
+                    delivered += 1;
+
+                    await this.#restoreSpilled();
+                }
+                else if ( isRetryable( status ) )
+                {
+                    await this.#spill( entries );
+                }
+            }
+
+            return delivered;
+        }
+
+        /**
+         * Sends the specified entries as a single request,
+         * retrying with an exponential backoff if the request fails.<br>
+         * <br>
+         * A batch the endpoint rejects as invalid (a 4xx status other than 408 or 429) is not retried,
+         * because it would only be rejected again.<br>
+         *
+         * @param {Array<Object>} pEntries the entries to send
+         *
+         * @returns {Promise<number>} the status of the last response, or 0 if no response was received
+         */
+        async send( pEntries )
+        {
+            const client = this.httpClient;
+
+            const config = { headers: { ...(this.options.headers || {}), "Content-Type": this.contentType } };
+
+            // the batch is sent as bytes, so the HttpClient does not try to parse NDJSON as a JSON object
+            const body = new TextEncoder().encode( encodeBatch( pEntries, this.format ) );
+
+            let status = 0;
+
+            for( let retry = 0; retry <= this.maxRetries; retry++ )
+            {
+                if ( retry > 0 )
+                {
+                    await doze( this.calculateRetryDelay( retry - 1 ) );
+                }
+
+                const response = await asyncAttempt( async() => await client.sendPostRequest( this.url, config, body ) );
+
+                status = asInt( response?.status );
+
+                if ( isAccepted( status ) || !isRetryable( status ) )
+                {
+                    break;
+                }
+            }
+
+            if ( !isAccepted( status ) )
+            {
+                const count = asArray( pEntries ).length;
+
+                const msg = isRetryable( status ) ?
+                            `Failed to send ${count} log record(s) after ${this.maxRetries + 1} attempt(s)` + (status > 0 ? `, the server returned ${status}` : _mt_str) :
+                            `The endpoint rejected ${count} log record(s) with the status ${status}`;
+
+                toolBocksModule.reportError( new Error( msg ), msg, (isRetryable( status ) ? S_WARN : S_ERROR), (modName + "::send") );
+            }
+
+            return status;
+        }
+
+        async #spill( pEntries )
+        {
+            const spillFile = this.spillFile;
+
+            makeDirectory( getDirectoryName( spillFile ) );
+
+            await asyncAttempt( async() => await writeTextFile( spillFile, encodeBatch( pEntries, BatchFormat.NDJSON ), { encoding: "utf8", flag: "a" } ) );
+        }
+
+        async #restoreSpilled()
+        {
+            const spillFile = this.spillFile;
+
+            if ( !exists( spillFile ) )
+            {
+                return;
+            }
+
+            // the file is renamed before it is read, so that only one logger, in one process, restores its records
+            const claimed = spillFile + "." + (_ud === typeof process ? _mt_str : process.pid) + "-" + Date.now() + ".restoring";
+
+            const renamed = await asyncAttempt( async() => await rename( spillFile, claimed ).then( () => true ) );
+
+            if ( !renamed )
+            {
+                return;
+            }
+
+            const text = await asyncAttempt( async() => await readTextFile( claimed ) );
+
+            await asyncAttempt( async() => await rm( claimed, { force: true } ) );
+
+            const entries = asString( text ).split( /\r?\n/ ).filter( e => !isBlank( e ) ).map( e => attempt( () => JSON.parse( e ) ) ).filter( isNonNullObject );
+
+            // no more than maxPending records are held; as when records are logged, the oldest are discarded first
+            const excess = Math.max( 0, entries.length + this.#pending.length - this.maxPending );
+
+            this.#dropped += excess;
+
+            // spilled records are older than any still pending, so they are sent first
+            this.#pending.unshift( ...entries.slice( excess ) );
+        }
+
+        /**
+         * Synchronously appends the pending records to the spill file and clears them.<br>
+         * <br>
+         * This is called when the process exits, because requests cannot be completed by then.<br>
+         *
+         * @returns {number} the number of records written to the spill file
+         */
+        spillPending()
+        {
+            const entries = this.#pending.splice( 0, this.#pending.length );
+
+            if ( entries.length > 0 )
+            {
+                const spillFile = this.spillFile;
+
+                makeDirectory( getDirectoryName( spillFile ) );
+
+                attempt( () => writeFileSync( spillFile, encodeBatch( entries, BatchFormat.NDJSON ), { encoding: "utf8", flag: "a" } ) );
+            }
+
+            return entries.length;
+        }
+
+        /**
+         * Sends any pending records, cancels the flush timer,
+         * and stops listening for the process to exit
+         *
+         * @returns {Promise<number>} the number of batches delivered
+         */
+        async close()
+        {
+            const delivered = await this.flush();
+
+            this.#cancelTimer();
+
+            this.#removeExitHandlers();
+
+            return delivered;
+        }
+    }
+
+    RemoteLogger.toEntry = toEntry;
+    RemoteLogger.encodeBatch = encodeBatch;
+
+    let mod =
+        {
+            dependencies,
+            classes:
+                {
+                    RemoteLogger
+                },
+            BatchFormat,
+            DEFAULT_REMOTE_LOGGER_OPTIONS,
+            toEntry,
+            encodeBatch,
+            RemoteLogger
+        };
+
+    mod = toolBocksModule.extend( mod );
+
+    return mod.expose( mod, INTERNAL_NAME, (_ud !== typeof module ? module : mod) ) || mod;
+
+}());
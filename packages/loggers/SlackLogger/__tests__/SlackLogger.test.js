@@ -0,0 +1,200 @@
+const http = require( "node:http" );
+
+const loggingUtils = require( "@toolbocks/logging" );
+
+const slackLogger = require( "../src/index.js" );
+
+const { AsyncLogger, LogRecord, LogLevel } = loggingUtils;
+
+const { SlackLogger, coalesce, buildPayload, MAX_BATCH_SIZE } = slackLogger;
+
+const NETWORK_TIMEOUT = 10_000;
+
+/**
+ * Starts a local stand-in for a Slack incoming webhook,
+ * recording the payloads it receives
+ */
+async function startWebhook( pStatus = 200 )
+{
+    const received = [];
+
+    const server = http.createServer( ( req, res ) =>
+                                      {
+                                          let body = "";
+
+                                          req.on( "data", chunk => body += chunk );
+
+                                          req.on( "end", () =>
+                                          {
+                                              received.push( { contentType: req.headers["content-type"], payload: JSON.parse( body ) } );
+                                              res.writeHead( pStatus, { "Content-Type": "text/plain" } );
+                                              res.end( 200 === pStatus ? "ok" : "invalid_payload" );
+                                          } );
+                                      } );
+
+    await new Promise( resolve => server.listen( 0, "127.0.0.1", resolve ) );
+
+    const url = `http://127.0.0.1:${server.address().port}/services/hook`;
+
+    const stop = async() =>
+    {
+        server.closeAllConnections();
+        await new Promise( resolve => server.close( resolve ) );
+    };
+
+    return { url, received, stop };
+}
+
+describe( "Slack payloads", () =>
+{
+    test( "coalesce combines identical records and counts them", () =>
+    {
+        const records = [new LogRecord( "disk full", LogLevel.WARN ),
+                         new LogRecord( "cache miss", LogLevel.WARN ),
+                         new LogRecord( "disk full", LogLevel.WARN ),
+                         new LogRecord( "disk full", LogLevel.ERROR )];
+
+        expect( coalesce( records ).map( e => [e.record.message, e.count] ) ).toEqual( [["disk full", 2], ["cache miss", 1], ["disk full", 1]] );
+    } );
+
+    test( "buildPayload renders each entry with Block Kit and fences error stacks", () =>
+    {
+        const error = new Error( "connection refused" );
+
+        const payload = buildPayload( [new LogRecord( "Query failed", LogLevel.ERROR, error, "orders" ),
+                                       new LogRecord( "Slow <query>", LogLevel.WARN ),
+                                       new LogRecord( "Slow <query>", LogLevel.WARN )],
+                                      { channel: "#alerts", maxStackLines: 2 } );
+
+        expect( payload.channel ).toEqual( "#alerts" );
+        expect( payload.text ).toEqual( "[ERROR] Query failed (+2 more)" );
+
+        expect( payload.blocks.map( e => e.type ) ).toEqual( ["section", "context", "section", "divider", "section", "context"] );
+
+        const stack = payload.blocks[2].text.text;
+
+        expect( stack.startsWith( "```\nError: connection refused\n" ) ).toBe( true );
+        expect( stack ).toMatch( /\.\.\. \d+ more\n```$/ );
+
+        expect( payload.blocks[4].text.text ).toEqual( "*WARN* Slow &lt;query&gt; _(×2)_" );
+    } );
+} );
+
+describe( "SlackLogger", () =>
+{
+    let webhook;
+
+    beforeEach( async() =>
+                {
+                    webhook = await startWebhook();
+                } );
+
+    afterEach( async() =>
+               {
+                   await webhook.stop();
+               } );
+
+    test( "posts records at or above its level as a single batched message", async() =>
+    {
+        const logger = new SlackLogger( { webhookUrl: webhook.url, batchIntervalMs: 60_000 } );
+
+        logger.info( "not posted" );
+        logger.warn( "low disk space" );
+        logger.error( "write failed", new Error( "EACCES" ) );
+
+        expect( logger.pending ).toEqual( 2 );
+
+        expect( await logger.close() ).toEqual( 1 );
+
+        expect( webhook.received.length ).toEqual( 1 );
+        expect( webhook.received[0].contentType ).toEqual( "application/json" );
+        expect( webhook.received[0].payload.text ).toEqual( "[WARN] low disk space (+1 more)" );
+        expect( webhook.received[0].payload.blocks.filter( e => e.text?.text?.startsWith( "```" ) ).length ).toEqual( 1 );
+    }, NETWORK_TIMEOUT );
+
+    test( "is an AsyncLogger that adds each logged record to its batch without queueing it first", async() =>
+    {
+        const logger = new SlackLogger( { webhookUrl: webhook.url, batchIntervalMs: 60_000 } );
+
+        expect( logger ).toBeInstanceOf( AsyncLogger );
+
+        logger.log( new LogRecord( "low disk space", LogLevel.WARN ) );
+
+        expect( logger.pending ).toEqual( 1 );
+
+        expect( await logger.close() ).toEqual( 1 );
+
+        expect( webhook.received.length ).toEqual( 1 );
+    }, NETWORK_TIMEOUT );
+
+    test( "a full batch is posted without waiting for the interval", async() =>
+    {
+        const logger = new SlackLogger( { webhookUrl: webhook.url, level: LogLevel.INFO, batchSize: 3, batchIntervalMs: 60_000 } );
+
+        expect( new SlackLogger( { batchSize: 100 } ).batchSize ).toEqual( MAX_BATCH_SIZE );
+
+        ["one", "two", "three", "four"].forEach( e => logger.log( new LogRecord( e, LogLevel.INFO ) ) );
+
+        await logger.flush();
+
+        expect( webhook.received.map( e => e.payload.blocks.filter( b => "section" === b.type ).length ) ).toEqual( [3, 1] );
+
+        await logger.close();
+    }, NETWORK_TIMEOUT );
+
+    test( "stops posting when the per-minute cap is reached", async() =>
+    {
+        const logger = new SlackLogger( { webhookUrl: webhook.url, batchSize: 1, maxPerMinute: 2, batchIntervalMs: 60_000 } );
+
+        ["a", "b", "c", "d", "e"].forEach( e => logger.warn( e ) );
+
+        expect( await logger.flush() ).toEqual( 0 );
+
+        expect( webhook.received.map( e => e.payload.text ) ).toEqual( ["[WARN] a", "[WARN] b"] );
+
+        expect( logger.messagesRemaining ).toEqual( 0 );
+        expect( logger.pending ).toEqual( 3 );
+
+        await logger.close();
+    }, NETWORK_TIMEOUT );
+
+    test( "discards the oldest records beyond maxPending and reports how many were lost", async() =>
+    {
+        const logger = new SlackLogger( { webhookUrl: webhook.url, batchSize: 2, maxPending: 2, batchIntervalMs: 60_000 } );
+
+        ["a", "b", "c"].forEach( e => logger.warn( e ) );
+
+        expect( logger.pending ).toEqual( 2 );
+        expect( logger.dropped ).toEqual( 1 );
+
+        await logger.close();
+
+        const payload = webhook.received[0].payload;
+
+        expect( payload.text ).toEqual( "[WARN] b (+1 more)" );
+        expect( payload.blocks.at( -1 ).elements[0].text ).toMatch( /^_1 record\(s\) were discarded/ );
+        expect( logger.dropped ).toEqual( 0 );
+    }, NETWORK_TIMEOUT );
+} );
+
+describe( "SlackLogger failures", () =>
+{
+    test( "a rejected message is reported and not posted again", async() =>
+    {
+        const webhook = await startWebhook( 400 );
+
+        const logger = new SlackLogger( { webhookUrl: webhook.url, batchIntervalMs: 60_000 } );
+
+        try
+        {
+            expect( await logger.post( [new LogRecord( "rejected", LogLevel.ERROR )] ) ).toBe( false );
+
+            expect( webhook.received.length ).toEqual( 1 );
+            expect( logger.pending ).toEqual( 0 );
+        }
+        finally
+        {
+            await webhook.stop();
+        }
+    }, NETWORK_TIMEOUT );
+} );
@@ -0,0 +1,701 @@
+/**
+ * @fileOverview
+ *
+ * This module defines a logger that posts log records to a Slack-compatible incoming webhook.<br>
+ * <br>
+ * Records are collected into batches, identical records within a batch are coalesced into a single entry,
+ * and the number of messages posted per minute is capped,
+ * so that a burst of errors does not flood the channel or exceed the limits imposed by the webhook.<br>
+ *
+ * @module SlackLogger
+ *
+ * @author Scott Bockelman
+ * @license MIT
+ */
+
+const core = require( "@toolbocks/core" );
+
+const loggingUtils = require( "@toolbocks/logging" );
+
+const httpUtils = require( "@toolbocks/http" );
+
+const { moduleUtils, constants, typeUtils, stringUtils, arrayUtils } = core;
+
+const { AsyncLogger, LogLevel, LogRecord, DEFAULT_LOGGER_OPTIONS } = loggingUtils;
+
+const { HttpClient, RateLimits, RequestInterval } = httpUtils;
+
+/* define a variable for typeof undefined **/
+const { _ud = "undefined", $scope } = constants;
+
+// noinspection FunctionTooLongJS
+(function exposeModule()
+{
+    // defines a key we can use to store this module in global scope
+    const INTERNAL_NAME = "__BOCK__SLACK_LOGGER__";
+
+    // if we've already executed this code, just return the module
+    if ( $scope() && (null != $scope()[INTERNAL_NAME]) )
+    {
+        return $scope()[INTERNAL_NAME];
+    }
+
+    const modName = "SlackLogger";
+
+    const { ToolBocksModule, lock, populateOptions, asyncAttempt, clamp } = moduleUtils;
+
+    const { _mt_str, _spc, _lf, S_WARN = "warn", no_op } = constants;
+
+    const { isNull, isString, isError, isNonNullObject } = typeUtils;
+
+    const { asString, asInt, isBlank, ucase } = stringUtils;
+
+    const { varargs, asArray } = arrayUtils;
+
+    /**
+     * This is a dictionary of this module's dependencies.
+     * <br>
+     * It is exported as a property of this module,
+     * allowing us to just import this module<br>
+     * and then use the other utilities as properties of this module.
+     * <br>
+     * @dict
+     * @type {Object}
+     */
+    const dependencies =
+        {
+            moduleUtils,
+            constants,
+            typeUtils,
+            stringUtils,
+            arrayUtils,
+            loggingUtils,
+            httpUtils
+        };
+
+    const toolBocksModule = new ToolBocksModule( modName, INTERNAL_NAME );
+
+    /**
+     * Slack rejects messages with more than 50 blocks
+     * @type {number}
+     */
+    const MAX_BLOCKS_PER_MESSAGE = 50;
+
+    /**
+     * Slack rejects section blocks whose text is longer than 3,000 characters
+     * @type {number}
+     */
+    const MAX_SECTION_TEXT_LENGTH = 3_000;
+
+    /**
+     * Each entry in a message uses at most 4 blocks (message, context, stack trace, and a divider),
+     * so this is the largest batch that can be posted as a single message
+     * @type {number}
+     */
+    const MAX_BATCH_SIZE = Math.floor( (MAX_BLOCKS_PER_MESSAGE - 1) / 4 );
+
+    const CODE_FENCE = "```";
+
+    /**
+     * @typedef {Object} SlackLoggerOptions
+     *
+     * @property {string} webhookUrl The url of the incoming webhook to which messages are posted
+     *
+     * @property {LogLevel|string|number} [level=LogLevel.WARN] The finest-grained LogLevel this logger will post.<br>
+     *                                                          Chat channels are meant for people,
+     *                                                          so this defaults to warnings and errors.
+     *
+     * @property {string} [channel] The channel to post to, if the webhook allows overriding its default channel
+     * @property {string} [username] The name to display as the author of the messages, if the webhook allows it
+     * @property {string} [iconEmoji] The emoji to display as the icon of the author, if the webhook allows it
+     *
+     * @property {number} [batchSize=10] The number of records to collect before posting a message.<br>
+     *                                   A message is limited to 50 blocks, so this cannot exceed 12.
+     *
+     * @property {number} [batchIntervalMs=5_000] The number of milliseconds to wait
+     *                                            for a batch to fill before posting what has been collected
+     *
+     * @property {number} [maxPerMinute=20] The maximum number of messages to post per minute.<br>
+     *                                      Records logged once the cap has been reached wait for the next minute.
+     *
+     * @property {number} [maxPending=500] The maximum number of records to hold while waiting to post.<br>
+     *                                     The oldest records are discarded beyond this number,
+     *                                     and the next message reports how many were discarded.
+     *
+     * @property {number} [maxStackLines=15] The maximum number of lines of an error's stack trace to include
+     *
+     * @property {HttpClient} [httpClient] The HttpClient used to post messages.<br>
+     *                                     If not specified, a new HttpClient is constructed.
+     */
+
+    /**
+     * The default options for a SlackLogger
+     * @type {SlackLoggerOptions}
+     */
+    const DEFAULT_SLACK_LOGGER_OPTIONS = lock(
+        {
+            ...DEFAULT_LOGGER_OPTIONS,
+            webhookUrl: _mt_str,
+            level: LogLevel.WARN,
+            channel: null,
+            username: null,
+            iconEmoji: null,
+            batchSize: 10,
+            batchIntervalMs: 5_000,
+            maxPerMinute: 20,
+            maxPending: 500,
+            maxStackLines: 15,
+            httpClient: null
+        } );
+
+    /**
+     * Escapes the characters Slack treats as control sequences in message text
+     * @param {string} pText the text to escape
+     * @returns {string} the text with &amp;, &lt;, and &gt; escaped
+     */
+    function escapeText( pText )
+    {
+        return asString( pText ).replaceAll( "&", "&amp;" ).replaceAll( "<", "&lt;" ).replaceAll( ">", "&gt;" );
+    }
+
+    function truncate( pText, pMaxLength )
+    {
+        const text = asString( pText );
+        return text.length > pMaxLength ? (text.slice( 0, Math.max( 0, pMaxLength - 1 ) ) + "…") : text;
+    }
+
+    function levelName( pLogRecord )
+    {
+        return ucase( asString( pLogRecord?.level?.name || pLogRecord?.level, true ) );
+    }
+
+    /**
+     * Returns the key used to decide whether two records are the same for the purpose of coalescing them
+     * @param {LogRecord} pLogRecord
+     * @returns {string}
+     */
+    function coalescingKey( pLogRecord )
+    {
+        return [levelName( pLogRecord ),
+                asString( pLogRecord?.source, true ),
+                asString( pLogRecord?.message, true ),
+                asString( pLogRecord?.error?.message, true )].join( _lf );
+    }
+
+    /**
+     * Combines identical records into single entries that count the occurrences,
+     * preserving the order in which each distinct record first occurred.
+     *
+     * @param {Array<LogRecord>} pLogRecords the records to coalesce
+     *
+     * @returns {Array<{record:LogRecord, count:number}>} an entry for each distinct record
+     */
+    function coalesce( pLogRecords )
+    {
+        const entries = new Map();
+
+        for( const record of asArray( pLogRecords ) )
+        {
+            const key = coalescingKey( record );
+
+            const entry = entries.get( key );
+
+            if ( isNull( entry ) )
+            {
+                entries.set( key, { record, count: 1 } );
+            }
+            else
+            {
+                entry.count += 1;
+            }
+        }
+
+        return [...entries.values()];
+    }
+
+    /**
+     * Returns the stack trace of the error associated with the specified record,
+     * limited to the specified number of lines and to the length Slack allows in a section
+     *
+     * @param {LogRecord} pLogRecord the record whose stack trace to format
+     * @param {number} pMaxLines the maximum number of lines to include
+     *
+     * @returns {string} the stack trace, or an empty string if the record has no error
+     */
+    function formatStack( pLogRecord, pMaxLines )
+    {
+        const error = pLogRecord?.error;
+
+        if ( !isError( error ) )
+        {
+            return _mt_str;
+        }
+
+        let lines = asString( error.stack || ((error.name || "Error") + ": " + error.message) ).split( /\r?\n/ );
+
+        if ( lines.length > pMaxLines )
+        {
+            const omitted = lines.length - pMaxLines;
+            lines = lines.slice( 0, pMaxLines ).concat( `    ... ${omitted} more` );
+        }
+
+        return truncate( lines.join( _lf ), MAX_SECTION_TEXT_LENGTH - (2 * CODE_FENCE.length) - 2 );
+    }
+
+    /**
+     * Returns the Block Kit blocks representing a single coalesced entry
+     *
+     * @param {{record:LogRecord, count:number}} pEntry the entry to render
+     * @param {number} pMaxStackLines the maximum number of lines of a stack trace to include
+     *
+     * @returns {Array<Object>} the blocks describing the entry
+     */
+    function toBlocks( pEntry, pMaxStackLines )
+    {
+        const { record, count } = pEntry;
+
+        const repeated = count > 1 ? ` _(×${count})_` : _mt_str;
+
+        const text = `*${levelName( record )}* ` + escapeText( record.message || record.error?.message ) + repeated;
+
+        const blocks =
+            [
+                {
+                    type: "section",
+                    text: { type: "mrkdwn", text: truncate( text, MAX_SECTION_TEXT_LENGTH ) }
+                }
+            ];
+
+        const context = [record.timestamp?.toISOString?.(), record.source].filter( e => !isBlank( asString( e, true ) ) );
+
+        if ( context.length > 0 )
+        {
+            blocks.push( {
+                             type: "context",
+                             elements: context.map( e => ({ type: "mrkdwn", text: escapeText( e ) }) )
+                         } );
+        }
+
+        const stack = formatStack( record, pMaxStackLines );
+
+        if ( !isBlank( stack ) )
+        {
+            blocks.push( {
+                             type: "section",
+                             text: { type: "mrkdwn", text: CODE_FENCE + _lf + stack + _lf + CODE_FENCE }
+                         } );
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Builds the webhook payload for the specified records.
+     * <br>
+     * The payload includes a plain-text summary in the text property,
+     * which Slack uses for notifications,
+     * and the Block Kit rendering of each coalesced entry.
+     * <br>
+     *
+     * @param {Array<LogRecord>} pLogRecords the records to post
+     * @param {SlackLoggerOptions} pOptions the options of the logger posting the message
+     * @param {number} [pDropped=0] the number of records discarded since the previous message was posted
+     *
+     * @returns {Object} the payload to post to the webhook
+     */
+    function buildPayload( pLogRecords, pOptions = DEFAULT_SLACK_LOGGER_OPTIONS, pDropped = 0 )
+    {
+        const options = populateOptions( pOptions, DEFAULT_SLACK_LOGGER_OPTIONS );
+
+        const maxStackLines = Math.max( 1, asInt( options.maxStackLines, 15 ) );
+
+        const entries = coalesce( pLogRecords );
+
+        const blocks = [];
+
+        entries.forEach( ( entry, i ) =>
+                         {
+                             if ( i > 0 )
+                             {
+                                 blocks.push( { type: "divider" } );
+                             }
+                             blocks.push( ...toBlocks( entry, maxStackLines ) );
+                         } );
+
+        const dropped = asInt( pDropped );
+
+        if ( dropped > 0 )
+        {
+            blocks.push( {
+                             type: "context",
+                             elements: [{ type: "mrkdwn", text: `_${dropped} record(s) were discarded while the message limit was reached_` }]
+                         } );
+        }
+
+        const first = entries[0]?.record;
+
+        const remaining = asArray( pLogRecords ).length - (entries[0]?.count || 0);
+
+        let text = first ? (`[${levelName( first )}] ` + asString( first.message || first.error?.message )) : _mt_str;
+
+        text += remaining > 0 ? ` (+${remaining} more)` : _mt_str;
+
+        const payload = { text: truncate( text, MAX_SECTION_TEXT_LENGTH ), blocks };
+
+        if ( !isBlank( asString( options.channel, true ) ) )
+        {
+            payload.channel = asString( options.channel, true );
+        }
+
+        if ( !isBlank( asString( options.username, true ) ) )
+        {
+            payload.username = asString( options.username, true );
+        }
+
+        if ( !isBlank( asString( options.iconEmoji, true ) ) )
+        {
+            payload.icon_emoji = asString( options.iconEmoji, true );
+        }
+
+        return payload;
+    }
+
+    /**
+     * This class posts log records to a Slack-compatible incoming webhook.<br>
+     * <br>
+     * Records are not posted as they are logged.<br>
+     * They are collected until either the batch is full or the batch interval has elapsed,
+     * and then posted as a single message, in which identical records appear once with a count.<br>
+     * <br>
+     * The number of messages posted per minute is tracked with a RequestWindow from the http package's RateLimits.<br>
+     * When the cap is reached, records wait for the next minute,
+     * up to the maximum number of pending records.<br>
+     * <br>
+     * The batch timer does not keep a process alive,
+     * so call close (or flush) before exiting to post any records still pending.<br>
+     */
+    class SlackLogger extends AsyncLogger
+    {
+        #webhookUrl;
+
+        #httpClient;
+
+        #rateLimits;
+
+        #pending = [];
+
+        #dropped = 0;
+
+        #timer = null;
+
+        #flushing = Promise.resolve( 0 );
+
+        /**
+         * Constructs a new SlackLogger
+         * @param {SlackLoggerOptions} pOptions the options to configure the logger
+         */
+        constructor( pOptions = DEFAULT_SLACK_LOGGER_OPTIONS )
+        {
+            super( populateOptions( pOptions, DEFAULT_SLACK_LOGGER_OPTIONS ) );
+
+            const options = this.options;
+
+            this.#webhookUrl = asString( options.webhookUrl, true );
+
+            this.#httpClient = options.httpClient instanceof HttpClient ? options.httpClient : new HttpClient( {}, { logger: toolBocksModule.logger } );
+
+            this.#rateLimits = new RateLimits( modName, this.maxPerMinute, this.maxPerMinute, this.maxPerMinute );
+        }
+
+        get options()
+        {
+            return lock( populateOptions( super.options, DEFAULT_SLACK_LOGGER_OPTIONS ) );
+        }
+
+        get webhookUrl()
+        {
+            return asString( this.#webhookUrl, true );
+        }
+
+        get httpClient()
+        {
+            return this.#httpClient;
+        }
+
+        get batchSize()
+        {
+            return clamp( asInt( this.options.batchSize, 10 ), 1, MAX_BATCH_SIZE );
+        }
+
+        get batchIntervalMs()
+        {
+            return Math.max( 10, asInt( this.options.batchIntervalMs, 5_000 ) );
+        }
+
+        get maxPerMinute()
+        {
+            return Math.max( 1, asInt( this.options.maxPerMinute, 20 ) );
+        }
+
+        get maxPending()
+        {
+            return Math.max( this.batchSize, asInt( this.options.maxPending, 500 ) );
+        }
+
+        get maxStackLines()
+        {
+            return Math.max( 1, asInt( this.options.maxStackLines, 15 ) );
+        }
+
+        /**
+         * Returns the number of records waiting to be posted
+         * @returns {number}
+         */
+        get pending()
+        {
+            return this.#pending.length;
+        }
+
+        /**
+         * Returns the number of records discarded since the last message was posted
+         * @returns {number}
+         */
+        get dropped()
+        {
+            return this.#dropped;
+        }
+
+        /**
+         * Returns the number of messages that can still be posted in the current minute
+         * @returns {number}
+         */
+        get messagesRemaining()
+        {
+            return this.#requestWindow().requestsRemaining;
+        }
+
+        #requestWindow()
+        {
+            return this.#rateLimits.getRequestWindow( RequestInterval.PER_MINUTE );
+        }
+
+        #schedule( pDelay )
+        {
+            if ( isNull( this.#timer ) )
+            {
+                const me = this;
+
+                this.#timer = setTimeout( () =>
+                                          {
+                                              me.#timer = null;
+                                              me.flush().then( no_op ).catch( no_op );
+                                          }, pDelay );
+
+                this.#timer.unref?.();
+            }
+        }
+
+        #cancelTimer()
+        {
+            if ( !isNull( this.#timer ) )
+            {
+                clearTimeout( this.#timer );
+                this.#timer = null;
+            }
+        }
+
+        async writeLogRecord( pLogRecord )
+        {
+            if ( !this.enabled || isBlank( this.webhookUrl ) )
+            {
+                return;
+            }
+
+            const record = this._redact( pLogRecord instanceof LogRecord ? pLogRecord : new LogRecord( pLogRecord ) );
+
+            if ( !this.isEnabledFor( record.level ) || !this.isLoggable( record ) )
+            {
+                return;
+            }
+
+            this.#pending.push( record );
+
+            while ( this.#pending.length > this.maxPending )
+            {
+                this.#pending.shift();
+                this.#dropped += 1;
+            }
+
+            if ( this.#pending.length >= this.batchSize )
+            {
+                this.flush().then( no_op ).catch( no_op );
+            }
+            else
+            {
+                this.#schedule( this.batchIntervalMs );
+            }
+        }
+
+        _enqueueRecord( pLogRecord )
+        {
+            // records are batched by writeLogRecord, and posted at the rate the webhook allows
+            this._writeRecord( pLogRecord );
+        }
+
+        _logIf( pLevel, ...pData )
+        {
+            const arr = asArray( varargs( ...pData ) ).filter( e => !isString( e ) || !isBlank( e ) );
+
+            if ( 1 === arr.length && arr[0] instanceof LogRecord )
+            {
+                this.writeLogRecord( arr[0] ).then( no_op ).catch( no_op );
+            }
+            else
+            {
+                const msg = asString( arr.filter( e => isString( e ) ).join( _spc ), true );
+                const data = arr.filter( e => !isString( e ) && !isError( e ) );
+
+                this.writeLogRecord( new LogRecord( msg, pLevel, (arr.find( isError ) || null), null, ...data ) ).then( no_op ).catch( no_op );
+            }
+        }
+
+        info( ...pData )
+        {
+            this._logIf( LogLevel.INFO, ...pData );
+        }
+
+        warn( ...pData )
+        {
+            this._logIf( LogLevel.WARN, ...pData );
+        }
+
+        error( ...pData )
+        {
+            this._logIf( LogLevel.ERROR, ...pData );
+        }
+
+        debug( ...pData )
+        {
+            this._logIf( LogLevel.DEBUG, ...pData );
+        }
+
+        trace( ...pData )
+        {
+            this._logIf( LogLevel.TRACE, ...pData );
+        }
+
+        /**
+         * Posts the pending records, one batch per message, until either no records remain
+         * or the number of messages allowed in the current minute has been posted.<br>
+         * <br>
+         * If records remain, another attempt is scheduled for when the current minute ends.<br>
+         *
+         * @returns {Promise<number>} the number of messages posted successfully
+         */
+        async flush()
+        {
+            this.#cancelTimer();
+
+            const me = this;
+
+            // flushes are serialized so that batches are posted in the order the records were logged
+            this.#flushing = this.#flushing.then( () => me.#drain() ).catch( () => 0 );
+
+            return this.#flushing;
+        }
+
+        async #drain()
+        {
+            let posted = 0;
+
+            while ( this.#pending.length > 0 )
+            {
+                const window = this.#requestWindow();
+
+                if ( window.requestsRemaining <= 0 )
+                {
+                    this.#schedule( window.calculateDelay() );
+                    break;
+                }
+
+                window.increment();
+
+                const records = this.#pending.splice( 0, this.batchSize );
+
+                if ( await this.post( records ) )
+                {
+                    posted += 1;
+                }
+            }
+
+            return posted;
+        }
+
+        /**
+         * Posts the specified records to the webhook as a single message
+         *
+         * @param {Array<LogRecord>} pLogRecords the records to post
+         *
+         * @returns {Promise<boolean>} true if the webhook accepted the message
+         */
+        async post( pLogRecords )
+        {
+            const payload = buildPayload( pLogRecords, this.options, this.#dropped );
+
+            this.#dropped = 0;
+
+            const client = this.httpClient;
+
+            const config = { headers: { "Content-Type": "application/json" } };
+
+            const response = await asyncAttempt( async() => await client.sendPostRequest( this.webhookUrl, config, JSON.stringify( payload ) ) );
+
+            const status = asInt( response?.status );
+
+            if ( status >= 200 && status < 300 )
+            {
+                return true;
+            }
+
+            const msg = `Failed to post ${asArray( pLogRecords ).length} log record(s) to the webhook` + (status > 0 ? `, the server returned ${status}` : _mt_str);
+
+            toolBocksModule.reportError( new Error( msg ), msg, S_WARN, (modName + "::post") );
+
+            return false;
+        }
+
+        /**
+         * Posts any pending records and cancels the batch timer
+         * @returns {Promise<number>} the number of messages posted
+         */
+        async close()
+        {
+            const posted = await this.flush();
+
+            this.#cancelTimer();
+
+            return posted;
+        }
+    }
+
+    SlackLogger.buildPayload = buildPayload;
+
+    let mod =
+        {
+            dependencies,
+            classes:
+                {
+                    SlackLogger
+                },
+            DEFAULT_SLACK_LOGGER_OPTIONS,
+            MAX_BATCH_SIZE,
+            coalesce,
+            buildPayload,
+            SlackLogger
+        };
+
+    mod = toolBocksModule.extend( mod );
+
+    return mod.expose( mod, INTERNAL_NAME, (_ud !== typeof module ? module : mod) ) || mod;
+
+}());
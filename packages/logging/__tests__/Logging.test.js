@@ -15,8 +15,21 @@ const {
     LogLevel,
     LogRecord,
     LogFormatter,
+    LogFormat,
+    JsonLogFormatter,
+    LogfmtLogFormatter,
+    EcsLogFormatter,
     LogFilter,
+    SamplingLogFilter,
+    RateLimitLogFilter,
+    DeduplicatingLogFilter,
+    CompositeLogFilter,
+    RedactionAction,
+    RedactionRule,
+    Redactor,
+    MDC,
     Logger,
+    ChildLogger,
     AsyncLogger,
     BufferedLogger,
     ConsoleLogger,
@@ -25,7 +38,8 @@ const {
     SimpleAsynchronousLogger,
     SourcedSimpleLogger,
     resolveError,
-    resolveSource
+    resolveSource,
+    resolveFormatter
 } = logging;
 
 let consoleMessages = [];
@@ -154,6 +168,246 @@ describe( "LogFormatter", () =>
     } );
 } );
 
+describe( "Structured LogFormatters", () =>
+{
+    const createRecord = () =>
+    {
+        const data = { id: 7, tags: new Set( ["new"] ) };
+
+        data.self = data;
+
+        return new LogRecord( "Query failed", LogLevel.ERROR, new TypeError( "timeout" ), "orders", data, "retrying soon" );
+    };
+
+    test( "JsonLogFormatter writes the whole record as a single line of JSON", () =>
+    {
+        const line = new JsonLogFormatter().format( createRecord() );
+
+        expect( line ).not.toMatch( /\n/ );
+
+        const json = JSON.parse( line );
+
+        expect( json.level ).toEqual( "ERROR" );
+        expect( json.message ).toEqual( "Query failed" );
+        expect( json.source ).toEqual( "orders" );
+        expect( new Date( json.timestamp ).toISOString() ).toEqual( json.timestamp );
+
+        expect( json.data ).toEqual( [{ id: 7, tags: ["new"], self: "[Circular]" }, "retrying soon"] );
+
+        expect( json.error.name ).toEqual( "TypeError" );
+        expect( json.error.message ).toEqual( "timeout" );
+        expect( json.error.origin.fileName ).toEqual( __filename );
+        expect( json.error.origin.lineNumber ).toBeGreaterThan( 0 );
+        expect( json.error.frames[0] ).toEqual( json.error.origin );
+        expect( json.error.stack ).toMatch( /^TypeError: timeout/ );
+
+        const withoutStack = JSON.parse( new JsonLogFormatter( { includeStackTrace: false } ).format( createRecord() ) );
+
+        expect( withoutStack.error.stack ).toBeUndefined();
+        expect( withoutStack.error.frames ).toBeUndefined();
+        expect( withoutStack.error.origin.fileName ).toEqual( __filename );
+    } );
+
+    test( "LogfmtLogFormatter writes key=value pairs, quoting and escaping values as necessary", () =>
+    {
+        const line = new LogfmtLogFormatter().format( createRecord() );
+
+        expect( line ).not.toMatch( /\n/ );
+
+        expect( line ).toMatch( /^time=\S+ level=error msg="Query failed" source=orders data\.0\.id=7 data\.0\.tags\.0=new data\.0\.self=\[Circular] data\.1="retrying soon" / );
+        expect( line ).toMatch( / error\.name=TypeError error\.message=timeout error\.file=\S+ error\.line=\d+ error\.column=\d+ / );
+        expect( line ).toMatch( / error\.stack="TypeError: timeout\\n {4}at / );
+
+        expect( new LogfmtLogFormatter().format( new LogRecord( "say \"hi\"", LogLevel.INFO ) ) ).toMatch( /level=info msg="say \\"hi\\""$/ );
+    } );
+
+    test( "LogfmtLogFormatter replaces the characters a logfmt key cannot hold", () =>
+    {
+        const record = MDC.run( { "user id": 7, "a=b": "c", "say \"hi\"": 1, "line\nbreak": 2 }, () => new LogRecord( "ok", LogLevel.INFO, null, "orders", { "nested key": { "x=y": 3 } } ) );
+
+        const line = new LogfmtLogFormatter().format( record );
+
+        expect( line ).toMatch( / msg=ok source=orders user_id=7 a_b=c say_hi_=1 line_break=2 data\.0\.nested_key\.x_y=3$/ );
+
+        // every pair reads back as the key and value written
+        const pairs = line.match( /[^\s=]+=("(?:[^"\\]|\\.)*"|\S*)/g );
+
+        expect( pairs.join( " " ) ).toEqual( line );
+    } );
+
+    test( "EcsLogFormatter writes the shape defined by the Elastic Common Schema", () =>
+    {
+        const ecs = JSON.parse( new EcsLogFormatter().format( createRecord() ) );
+
+        expect( Object.keys( ecs ).slice( 0, 4 ) ).toEqual( ["@timestamp", "log.level", "message", "ecs.version"] );
+
+        expect( ecs["log.level"] ).toEqual( "error" );
+        expect( ecs.log.logger ).toEqual( "orders" );
+        expect( ecs.log.origin.file.name ).toEqual( __filename );
+        expect( ecs.log.origin.file.line ).toBeGreaterThan( 0 );
+        expect( ecs.error.type ).toEqual( "TypeError" );
+        expect( ecs.error.stack_trace ).toMatch( /^TypeError: timeout/ );
+        expect( ecs.data[1] ).toEqual( "retrying soon" );
+    } );
+
+    test( "formatters can be chosen and registered by name", () =>
+    {
+        expect( LogFormatter.forFormat( LogFormat.LOGFMT ) ).toBeInstanceOf( LogfmtLogFormatter );
+        expect( resolveFormatter( "ecs" ) ).toBeInstanceOf( EcsLogFormatter );
+        expect( resolveFormatter( null, { format: "json" } ).structured ).toBe( true );
+        expect( resolveFormatter( null ).structured ).toBe( false );
+
+        expect( new Logger( { logFormatter: "json" } ).logFormatter ).toBeInstanceOf( JsonLogFormatter );
+
+        class CsvLogFormatter extends JsonLogFormatter
+        {
+            serialize( pDescription )
+            {
+                return [pDescription.level, pDescription.message].join( "," );
+            }
+        }
+
+        LogFormatter.register( "csv", CsvLogFormatter );
+
+        expect( LogFormatter.forFormat( "CSV" ).format( new LogRecord( "hello", LogLevel.WARN ) ) ).toEqual( "WARN,hello" );
+
+        expect( () => LogFormatter.register( "bad", Object ) ).toThrow();
+    } );
+} );
+
+describe( "Contextual fields", () =>
+{
+    class RecordingLogger extends Logger
+    {
+        records = [];
+
+        writeLogRecord( pLogRecord )
+        {
+            this.records.push( pLogRecord );
+        }
+    }
+
+    test( "child loggers add their fields to every record and write through the parent", () =>
+    {
+        const parent = new RecordingLogger( { level: LogLevel.INFO } );
+
+        const child = parent.child( { requestId: "r-1" } );
+
+        const grandchild = child.child( { userId: 7 } );
+
+        expect( child ).toBeInstanceOf( ChildLogger );
+        expect( grandchild.parent ).toBe( parent );
+
+        child.info( "started" );
+        grandchild.error( "failed", new Error( "timeout" ), { attempt: 2 } );
+        grandchild.debug( "below the parent's level" );
+        grandchild.log( new LogRecord( "explicit", LogLevel.WARN ).addFields( { userId: 8 } ) );
+
+        expect( parent.records.map( e => e.message ) ).toEqual( ["started", "failed", "explicit"] );
+        expect( parent.records.map( e => e.fields ) ).toEqual( [{ requestId: "r-1" }, { requestId: "r-1", userId: 7 }, { requestId: "r-1", userId: 8 }] );
+        expect( parent.records[1].error.message ).toEqual( "timeout" );
+        expect( parent.records[1].data ).toEqual( [{ attempt: 2 }] );
+    } );
+
+    test( "the fields of a child logger replace those of the MDC, but not those of a record passed to its log method", () =>
+    {
+        const parent = new RecordingLogger( { level: LogLevel.INFO } );
+
+        const child = parent.child( { requestId: "from-child", component: "orders" } );
+
+        MDC.run( { requestId: "from-mdc", tenant: "acme" }, () =>
+        {
+            child.info( "info" );
+            child.log( "text" );
+            child.log( new LogRecord( "record", LogLevel.WARN ) );
+        } );
+
+        expect( parent.records.map( e => e.message ) ).toEqual( ["info", "text", "record"] );
+
+        expect( parent.records[0].fields ).toEqual( { requestId: "from-child", tenant: "acme", component: "orders" } );
+        expect( parent.records[1].fields ).toEqual( { requestId: "from-child", tenant: "acme", component: "orders" } );
+        expect( parent.records[2].fields ).toEqual( { requestId: "from-mdc", tenant: "acme", component: "orders" } );
+    } );
+
+    test( "a child logger flushes the logger it writes through", async() =>
+    {
+        const messages = [];
+
+        const parent = new BufferedLogger( { level: LogLevel.TRACE }, { writeLogRecord: ( pLogRecord ) => messages.push( pLogRecord.message ) } );
+
+        const child = parent.child( { job: "nightly" } );
+
+        child.info( "started" );
+
+        expect( messages ).toEqual( [] );
+
+        await child.flush();
+
+        expect( messages ).toEqual( ["started"] );
+
+        await child.logAsync( new LogRecord( "finished", LogLevel.INFO ) );
+
+        expect( messages ).toEqual( ["started", "finished"] );
+        expect( parent.pending ).toEqual( 0 );
+    } );
+
+    test( "fields in the MDC flow through await into every record created in the context", async() =>
+    {
+        const parent = new RecordingLogger( { level: LogLevel.INFO } );
+
+        const handle = async( pRequestId ) => MDC.run( { requestId: pRequestId }, async() =>
+        {
+            await sleep( 10 );
+
+            MDC.set( "user", "u-" + pRequestId );
+
+            await sleep( 10 );
+
+            parent.child( { component: "orders" } ).info( "handled" );
+        } );
+
+        await Promise.all( [handle( 1 ), handle( 2 )] );
+
+        expect( parent.records.map( e => e.fields ).sort( ( a, b ) => a.requestId - b.requestId ) ).toEqual( [
+                                                                                                                  { requestId: 1, user: "u-1", component: "orders" },
+                                                                                                                  { requestId: 2, user: "u-2", component: "orders" }
+                                                                                                              ] );
+
+        expect( MDC.get() ).toEqual( {} );
+        expect( MDC.set( "outside", true ) ).toBe( false );
+        expect( new LogRecord( "no context" ).fields ).toEqual( {} );
+    } );
+
+    test( "fields survive toObject and fromObject and can be named in templates", () =>
+    {
+        const record = MDC.run( { requestId: "r-9", tenant: "acme" }, () => new LogRecord( "Query failed", LogLevel.ERROR ) );
+
+        expect( LogRecord.fromObject( structuredClone( record.toObject() ) ).fields ).toEqual( { requestId: "r-9", tenant: "acme" } );
+
+        const formatter = new LogFormatter( { template: "[{level}] [{requestId}] [{userId}] {message}" } );
+
+        const text = formatter.format( record, true ).trim();
+
+        expect( text ).toMatch( /^\[ERROR] +\[r-9] {2}Query failed \[tenant=acme]$/ );
+
+        expect( JSON.parse( new JsonLogFormatter().format( record ) ).requestId ).toEqual( "r-9" );
+        expect( new LogfmtLogFormatter().format( record ) ).toMatch( / msg="Query failed" requestId=r-9 tenant=acme$/ );
+    } );
+
+    test( "SimpleLogger writes the fields of its context and of its children", () =>
+    {
+        const messages = [];
+
+        const sink = { log: ( ...a ) => messages.push( a ), info: ( ...a ) => messages.push( a ), warn: ( ...a ) => messages.push( a ), error: ( ...a ) => messages.push( a ), debug: ( ...a ) => messages.push( a ) };
+
+        const logger = new SimpleLogger( sink ).child( { job: "nightly" } );
+
+        MDC.run( { run: 3 }, () => logger.info( "done" ) );
+
+        expect( messages[0].slice( -2 ) ).toEqual( ["done", "[run=3 job=nightly]"] );
+    } );
+} );
+
 describe( "LogFilter", () =>
 {
     test( "LogFilter can discard messages", () =>
@@ -221,6 +475,421 @@ describe( "AsyncLogger", () =>
     } );
 } );
 
+describe( "Sampling, rate limiting, and deduplication", () =>
+{
+    class RecordingSink
+    {
+        records = [];
+
+        writeLogRecord( pLogRecord )
+        {
+            this.records.push( pLogRecord.message );
+        }
+    }
+
+    test( "a SamplingLogFilter writes a fraction of the records at each level", () =>
+    {
+        const values = [0.05, 0.5, 0.05, 0.005];
+
+        const filter = new SamplingLogFilter( { rates: { debug: 0.1, [LogLevel.TRACE.id]: 0.01 }, random: () => values.shift() } );
+
+        expect( filter.rateFor( LogLevel.DEBUG ) ).toEqual( 0.1 );
+        expect( filter.rateFor( "trace" ) ).toEqual( 0.01 );
+        expect( filter.rateFor( LogLevel.ERROR ) ).toEqual( 1 );
+
+        const decisions = [LogLevel.DEBUG, LogLevel.DEBUG, LogLevel.TRACE, LogLevel.ERROR, LogLevel.TRACE].map( level => filter.isLoggable( new LogRecord( "m", level ) ) );
+
+        expect( decisions ).toEqual( [true, false, false, true, true] );
+    } );
+
+    test( "a RateLimitLogFilter writes a burst of the same message, then summarizes the rest once the interval has passed", () =>
+    {
+        let now = 0;
+
+        const sink = new RecordingSink();
+
+        const logger = new Logger( { level: LogLevel.TRACE, filter: { rateLimit: { burst: 2, intervalMs: 1_000, now: () => now } } }, sink );
+
+        for( let i = 0; i < 5; i++ )
+        {
+            logger.log( new LogRecord( "retrying", LogLevel.WARN ) );
+        }
+
+        logger.log( new LogRecord( "other", LogLevel.INFO ) );
+
+        expect( sink.records ).toEqual( ["retrying", "retrying", "other"] );
+
+        now = 1_000;
+
+        logger.log( new LogRecord( "retrying", LogLevel.WARN ) );
+
+        expect( sink.records.slice( 3 ) ).toEqual( ["3 more records like \"retrying\" discarded by rate limit", "retrying"] );
+    } );
+
+    test( "a DeduplicatingLogFilter collapses consecutive duplicates into a summary", () =>
+    {
+        const sink = new RecordingSink();
+
+        const logger = new Logger( { level: LogLevel.TRACE, filter: { deduplicate: true } }, sink );
+
+        ["connection refused", "connection refused", "connection refused", "connected", "connected"].forEach( message => logger.log( new LogRecord( message, LogLevel.ERROR ) ) );
+
+        expect( sink.records ).toEqual( ["connection refused", "last message repeated 2 times", "connected"] );
+
+        logger.flushSync();
+
+        expect( sink.records.at( -1 ) ).toEqual( "last message repeated 1 time" );
+    } );
+
+    test( "a DeduplicatingLogFilter summarizes a long run of duplicates periodically", () =>
+    {
+        let now = 0;
+
+        const filter = new DeduplicatingLogFilter( { summaryIntervalMs: 100, now: () => now } );
+
+        expect( filter.isLoggable( new LogRecord( "polling" ) ) ).toBe( true );
+
+        for( let i = 0; i < 4; i++ )
+        {
+            now += 40;
+            expect( filter.isLoggable( new LogRecord( "polling" ) ) ).toBe( false );
+        }
+
+        const summaries = filter.drainSummaries();
+
+        expect( summaries.map( e => e.message ) ).toEqual( ["last message repeated 3 times"] );
+        expect( summaries[0].data ).toEqual( [{ repeated: 3 }] );
+        expect( filter.repeated ).toEqual( 1 );
+    } );
+
+    test( "filters are combined in order, and a record evaluated twice is only counted once", () =>
+    {
+        const filter = LogFilter.resolve( [( r ) => !r.message.startsWith( "ignore" ), new RateLimitLogFilter( { burst: 1 } )] );
+
+        expect( filter ).toBeInstanceOf( CompositeLogFilter );
+
+        const record = new LogRecord( "sent" );
+
+        expect( filter.isLoggable( record ) ).toBe( true );
+        expect( filter.isLoggable( record ) ).toBe( true );
+        expect( filter.isLoggable( new LogRecord( "ignore me" ) ) ).toBe( false );
+        expect( filter.isLoggable( new LogRecord( "sent" ) ) ).toBe( false );
+
+        const options = LogFilter.resolve( { filter: ( r ) => !!r, sampling: { rate: 1 }, rateLimit: true, deduplicate: {} } );
+
+        expect( options.filters.map( e => e.constructor.name ) ).toEqual( ["LogFilter", "SamplingLogFilter", "RateLimitLogFilter", "DeduplicatingLogFilter"] );
+
+        expect( LogFilter.resolve( { deduplicate: true } ) ).toBeInstanceOf( DeduplicatingLogFilter );
+    } );
+} );
+
+describe( "Redaction", () =>
+{
+    class RecordingSink
+    {
+        records = [];
+
+        writeLogRecord( pLogRecord )
+        {
+            this.records.push( pLogRecord );
+        }
+    }
+
+    test( "the default rules mask sensitive keys, credentials, card numbers, and email addresses", () =>
+    {
+        const redactor = Redactor.resolve( true );
+
+        const headers = { Authorization: "Bearer eyJhbGciOi.abc", accept: "application/json" };
+
+        const record = new LogRecord( "Sent a receipt to ann@example.com for card 4111-1111-1111-1111 at 1760000000000", LogLevel.INFO, null, "billing", { headers, user: { name: "ann", password: "hunter2" } } );
+
+        const redacted = redactor.redact( record );
+
+        expect( redacted ).not.toBe( record );
+        expect( redacted.timestamp ).toBe( record.timestamp );
+        expect( redacted.message ).toEqual( "Sent a receipt to [REDACTED] for card [REDACTED] at 1760000000000" );
+        expect( redacted.data ).toEqual( [{ headers: { Authorization: "[REDACTED]", accept: "application/json" }, user: { name: "ann", password: "[REDACTED]" } }] );
+
+        // the objects that were logged are not changed
+        expect( headers.Authorization ).toEqual( "Bearer eyJhbGciOi.abc" );
+
+        expect( redactor.redactString( "retrying with token=abc123; Authorization: Basic dXNlcjpwYXNz" ) ).toEqual( "retrying with token=[REDACTED]; Authorization: [REDACTED]" );
+
+        const clean = new LogRecord( "nothing to hide", LogLevel.INFO );
+
+        expect( redactor.redact( clean ) ).toBe( clean );
+    } );
+
+    test( "rules can hash or drop the values at explicit paths within the data", () =>
+    {
+        const redactor = new Redactor( new RedactionRule( { paths: ["*.customer.ssn"], action: RedactionAction.HASH } ),
+                                       { paths: ["[1].raw"], action: RedactionAction.DROP } );
+
+        const record = new LogRecord( "imported", LogLevel.INFO, null, null, { customer: { ssn: "123-45-6789" } }, { id: 7, raw: "<xml/>" } );
+
+        const first = redactor.redact( record ).data;
+        const second = redactor.redact( new LogRecord( "again", LogLevel.INFO, null, null, { customer: { ssn: "123-45-6789" } } ) ).data;
+
+        expect( first[0].customer.ssn ).toMatch( /^\[hash:\w+]$/ );
+        expect( first[0].customer.ssn ).toEqual( second[0].customer.ssn );
+        expect( first[1] ).toEqual( { id: 7 } );
+    } );
+
+    test( "Sets, binary data, URLs, and instances of other classes are not broken by redaction", () =>
+    {
+        class Point
+        {
+            constructor( pX, pY )
+            {
+                this.x = pX;
+                this.y = pY;
+            }
+
+            get length()
+            {
+                return Math.hypot( this.x, this.y );
+            }
+        }
+
+        class Account
+        {
+            constructor( pName, pPassword )
+            {
+                this.name = pName;
+                this.password = pPassword;
+            }
+        }
+
+        const redactor = Redactor.resolve( true );
+
+        const buffer = Buffer.from( "password=hunter2" );
+        const bytes = new Uint8Array( [1, 2, 3] );
+        const url = new URL( "https://example.com/orders?page=2" );
+        const point = new Point( 3, 4 );
+
+        const [data] = redactor.redact( new LogRecord( "sent", LogLevel.INFO, null, null, { tags: new Set( ["a", "ann@example.com"] ), buffer, bytes, url, point, account: new Account( "ann", "hunter2" ), link: new URL( "https://example.com/?token=abc123" ) } ) ).data;
+
+        expect( data.tags ).toBeInstanceOf( Set );
+        expect( [...data.tags] ).toEqual( ["a", "[REDACTED]"] );
+
+        expect( data.buffer ).toBe( buffer );
+        expect( Buffer.isBuffer( data.buffer ) ).toBe( true );
+        expect( data.bytes ).toBe( bytes );
+
+        expect( data.url ).toBe( url );
+        expect( data.url.searchParams.get( "page" ) ).toEqual( "2" );
+
+        expect( data.point ).toBe( point );
+        expect( data.point.length ).toEqual( 5 );
+
+        // an instance holding a sensitive value is written as plain data, and the original is not changed
+        expect( data.account ).toEqual( { name: "ann", password: "[REDACTED]" } );
+        expect( data.link ).toEqual( "https://example.com/?token=[REDACTED]" );
+    } );
+
+    test( "secrets retrieved by a SecretsManager are removed wherever they appear", () =>
+    {
+        const secretsManager = { knownSecretValues: ["pa55-w0rd-from-vault", "443"] };
+
+        const sink = new RecordingSink();
+
+        const logger = new Logger( { level: LogLevel.TRACE, redaction: { secrets: secretsManager } }, sink );
+
+        logger.log( new LogRecord( "connecting as admin:pa55-w0rd-from-vault on port 443", LogLevel.ERROR, new Error( "login failed for pa55-w0rd-from-vault" ), "db", { url: "postgres://admin:pa55-w0rd-from-vault@db" } ) );
+
+        const [record] = sink.records;
+
+        expect( record.message ).toEqual( "connecting as admin:[REDACTED] on port 443" );
+        expect( record.error ).toBeInstanceOf( Error );
+        expect( record.error.message ).toEqual( "login failed for [REDACTED]" );
+        expect( record.error.stack ).not.toContain( "pa55-w0rd-from-vault" );
+        expect( record.data[0].url ).toEqual( "postgres://admin:[REDACTED]@db" );
+
+        // a secret retrieved later is also removed
+        secretsManager.knownSecretValues.push( "rotated-secret-2" );
+
+        logger.log( new LogRecord( "now using rotated-secret-2", LogLevel.INFO ) );
+
+        expect( sink.records[1].message ).toEqual( "now using [REDACTED]" );
+    } );
+
+    test( "records are redacted before the filter summarizes them", () =>
+    {
+        const sink = new RecordingSink();
+
+        const logger = new Logger( { level: LogLevel.TRACE, redaction: [{ keys: ["password"] }], filter: { rateLimit: { burst: 1, intervalMs: 60_000 } } }, sink );
+
+        expect( logger.redactor ).toBeInstanceOf( Redactor );
+        expect( new Logger().redactor ).toBe( null );
+
+        logger.log( new LogRecord( "login failed with password=hunter2", LogLevel.WARN ) );
+        logger.log( new LogRecord( "login failed with password=hunter2", LogLevel.WARN ) );
+
+        logger.flushSync();
+
+        expect( sink.records.map( e => e.message ) ).toEqual( ["login failed with password=[REDACTED]",
+                                                               "1 more record like \"login failed with password=[REDACTED]\" discarded by rate limit"] );
+    } );
+} );
+
+describe( "Buffered and asynchronous writes", () =>
+{
+    class RecordingSink
+    {
+        records = [];
+
+        writeLogRecord( pLogRecord )
+        {
+            this.records.push( pLogRecord.message );
+        }
+    }
+
+    test( "a BufferedLogger holds records until the buffer is full", () =>
+    {
+        const sink = new RecordingSink();
+
+        const logger = new BufferedLogger( { level: LogLevel.TRACE, maxBufferSize: 3 }, sink );
+
+        logger.info( "one" );
+        logger.debug( "two" );
+
+        expect( sink.records ).toEqual( [] );
+        expect( logger.pending ).toEqual( 2 );
+
+        logger.info( "three" );
+
+        expect( sink.records ).toEqual( ["one", "two", "three"] );
+        expect( logger.pending ).toEqual( 0 );
+    } );
+
+    test( "a BufferedLogger writes the buffer immediately when a record is logged at the flushLevel", () =>
+    {
+        const sink = new RecordingSink();
+
+        const logger = new BufferedLogger( { level: LogLevel.TRACE }, sink );
+
+        logger.info( "loading" );
+        logger.warn( "slow" );
+
+        expect( sink.records ).toEqual( [] );
+
+        logger.error( "failed" );
+
+        expect( sink.records ).toEqual( ["loading", "slow", "failed"] );
+
+        const warnings = new BufferedLogger( { level: LogLevel.TRACE, flushLevel: LogLevel.WARN }, sink );
+
+        warnings.info( "retrying" );
+        warnings.warn( "retried" );
+
+        expect( sink.records.slice( -2 ) ).toEqual( ["retrying", "retried"] );
+    } );
+
+    test( "a BufferedLogger writes the buffer when the interval has passed", () =>
+    {
+        jest.useFakeTimers();
+
+        try
+        {
+            const sink = new RecordingSink();
+
+            const logger = new BufferedLogger( { level: LogLevel.TRACE, bufferIntervalMs: 5_000 }, sink );
+
+            logger.info( "one" );
+
+            jest.advanceTimersByTime( 4_000 );
+
+            logger.info( "two" );
+
+            expect( sink.records ).toEqual( [] );
+
+            jest.advanceTimersByTime( 1_000 );
+
+            expect( sink.records ).toEqual( ["one", "two"] );
+            expect( logger.bufferTimer ).toBeFalsy();
+        }
+        finally
+        {
+            jest.useRealTimers();
+        }
+    } );
+
+    test( "an AsyncLogger returns before writing, and flush waits for the writes", async() =>
+    {
+        const written = [];
+
+        const slowSink =
+            {
+                writeLogRecord: async( pLogRecord ) =>
+                {
+                    await sleep( 10 );
+                    written.push( pLogRecord.message );
+                }
+            };
+
+        const logger = new AsyncLogger( { level: LogLevel.TRACE }, slowSink );
+
+        logger.info( "first" );
+        logger.log( new LogRecord( "second", LogLevel.WARN ) );
+
+        expect( written ).toEqual( [] );
+        expect( logger.pending ).toEqual( 2 );
+
+        await logger.flush();
+
+        expect( written ).toEqual( ["first", "second"] );
+        expect( logger.pending ).toEqual( 0 );
+    } );
+
+    test( "an AsyncLogger writes its queue on the next microtask, or after asyncDelayMs", async() =>
+    {
+        const sink = new RecordingSink();
+
+        const logger = new AsyncLogger( { level: LogLevel.TRACE }, sink );
+
+        logger.info( "queued" );
+
+        expect( sink.records ).toEqual( [] );
+
+        await Promise.resolve();
+
+        expect( sink.records ).toEqual( ["queued"] );
+
+        const delayed = new AsyncLogger( { level: LogLevel.TRACE, asyncDelayMs: 20 }, sink );
+
+        delayed.info( "delayed" );
+
+        await Promise.resolve();
+
+        expect( sink.records ).toEqual( ["queued"] );
+
+        await sleep( 40 );
+
+        expect( sink.records ).toEqual( ["queued", "delayed"] );
+    } );
+
+    test( "records still buffered or queued are written when the process is about to exit", () =>
+    {
+        const sink = new RecordingSink();
+
+        const buffered = new BufferedLogger( { level: LogLevel.TRACE }, sink );
+        const queued = new AsyncLogger( { level: LogLevel.TRACE }, sink );
+        const discarded = new BufferedLogger( { level: LogLevel.TRACE, flushOnExit: false }, sink );
+
+        buffered.info( "buffered" );
+        queued.info( "queued" );
+        discarded.info( "discarded" );
+
+        process.emit( "beforeExit", 0 );
+
+        expect( sink.records ).toEqual( ["buffered", "queued"] );
+
+        discarded.flushSync();
+
+        expect( sink.records ).toEqual( ["buffered", "queued", "discarded"] );
+    } );
+} );
+
 let MockSink =
     {
         log: ( ...pData ) => consoleMessages.push( ...pData ),
@@ -11,7 +11,7 @@ const core = require( "@toolbocks/core" );
 
 const jsonUtils = require( "@toolbocks/json" );
 
-const { moduleUtils, constants, typeUtils, stringUtils, arrayUtils } = core;
+const { moduleUtils, constants, typeUtils, stringUtils, arrayUtils, guidUtils } = core;
 
 const { _ud = "undefined", konsole = console, $scope } = constants;
 
@@ -43,6 +43,7 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             attempt,
             attemptSilent,
             asyncAttempt,
+            IllegalArgumentError,
             $ln
         } = moduleUtils;
 
@@ -80,7 +81,7 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
      */
     const dependencies =
         {
-            moduleUtils, constants, typeUtils, stringUtils, arrayUtils
+            moduleUtils, constants, typeUtils, stringUtils, arrayUtils, guidUtils
         };
 
     if ( _ud === typeof CustomEvent )
@@ -99,6 +100,7 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             isArray,
             isFunction,
             isAsyncFunction,
+            isThenable,
             isClass,
             isDate,
             isError,
@@ -128,6 +130,8 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
     const { asObject, parseJson } = jsonUtils;
 
+    const { hashSync } = guidUtils;
+
     const toolBocksModule = new ToolBocksModule( "LoggingUtils", INTERNAL_NAME );
 
     const LOG = "log";
@@ -304,6 +308,217 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
         }
     }
 
+    /**
+     * Returns a value that can be copied with the structured clone algorithm,
+     * which is used to pass data between threads,
+     * replacing values that cannot be copied (such as functions) with a string.
+     *
+     * @param {*} pValue the value to copy
+     *
+     * @returns {*} the value, or a string describing it if it cannot be copied
+     */
+    function toCloneable( pValue )
+    {
+        try
+        {
+            return structuredClone( pValue );
+        }
+        catch( ex )
+        {
+            return asString( pValue );
+        }
+    }
+
+    /**
+     * Returns the AsyncLocalStorage class, if the environment provides one
+     * @returns {function|null}
+     */
+    function resolveAsyncLocalStorage()
+    {
+        if ( isFunction( $scope()?.AsyncLocalStorage ) )
+        {
+            return $scope().AsyncLocalStorage;
+        }
+
+        if ( _ud !== typeof require && toolBocksModule.executionEnvironment?.isNode() )
+        {
+            return attemptSilent( () => require( "node:async_hooks" ).AsyncLocalStorage ) || null;
+        }
+
+        return null;
+    }
+
+    const asFields = ( pFields ) => isNonNullObject( pFields ) && !isArray( pFields ) ? { ...pFields } : {};
+
+    /**
+     * This class defines a mapped diagnostic context (MDC),
+     * a set of fields, such as a request id, user id, or job id,
+     * that are added to every LogRecord created while the context is active.<br>
+     * <br>
+     * A context is started with run,
+     * and remains active in the function passed to run
+     * and in everything that function calls.<br>
+     * <br>
+     * Where AsyncLocalStorage is available (Node.js, Deno, Bun, and some edge runtimes),
+     * the context also flows through await, callbacks, and timers,
+     * so fields set at the start of an HTTP request appear on every record logged while handling that request,
+     * even while other requests are being handled concurrently.<br>
+     * <br>
+     * Elsewhere, the context is only active until the function passed to run returns.<br>
+     * <br>
+     * Use the shared instance, MDC, rather than constructing new instances,
+     * because the fields added to each LogRecord are read from the shared instance.<br>
+     *
+     * @class
+     */
+    class MappedDiagnosticContext
+    {
+        #storage = null;
+
+        #stack = [];
+
+        constructor()
+        {
+            const AsyncLocalStorage = resolveAsyncLocalStorage();
+
+            this.#storage = isFunction( AsyncLocalStorage ) ? new AsyncLocalStorage() : null;
+        }
+
+        /**
+         * Returns true if the context flows through await, callbacks, and timers
+         * @returns {boolean}
+         */
+        get asynchronous()
+        {
+            return !isNull( this.#storage );
+        }
+
+        #current()
+        {
+            return (isNull( this.#storage ) ? this.#stack.at( -1 ) : this.#storage.getStore()) || null;
+        }
+
+        /**
+         * Returns true if a context is active
+         * @returns {boolean}
+         */
+        get active()
+        {
+            return !isNull( this.#current() );
+        }
+
+        /**
+         * Returns a copy of the fields of the active context,
+         * or an empty object if no context is active
+         * @returns {Object}
+         */
+        get()
+        {
+            return { ...(this.#current() || {}) };
+        }
+
+        /**
+         * Calls the specified function in a new context,
+         * whose fields are those of the active context, if any, and the fields specified.<br>
+         * <br>
+         * Changes made to the new context do not affect the context that was active when run was called.<br>
+         *
+         * @param {Object} pFields the fields to add
+         *
+         * @param {function(...*):*} pFunction the function to call
+         *
+         * @param {...*} pArgs the arguments to pass to the function
+         *
+         * @returns {*} the value returned by the function
+         */
+        run( pFields, pFunction, ...pArgs )
+        {
+            const fields = { ...this.get(), ...asFields( pFields ) };
+
+            if ( !isNull( this.#storage ) )
+            {
+                return this.#storage.run( fields, pFunction, ...pArgs );
+            }
+
+            this.#stack.push( fields );
+
+            try
+            {
+                return pFunction( ...pArgs );
+            }
+            finally
+            {
+                this.#stack.pop();
+            }
+        }
+
+        /**
+         * Sets a field of the active context.<br>
+         * <br>
+         * A field set to null or undefined is removed.<br>
+         *
+         * @param {string} pKey the name of the field
+         * @param {*} pValue the value of the field
+         *
+         * @returns {boolean} true if a context is active, and false if the field could not be set
+         */
+        set( pKey, pValue )
+        {
+            return this.assign( { [asString( pKey, true )]: pValue } );
+        }
+
+        /**
+         * Sets one or more fields of the active context.<br>
+         * <br>
+         * A field set to null or undefined is removed.<br>
+         *
+         * @param {Object} pFields the fields to set
+         *
+         * @returns {boolean} true if a context is active, and false if the fields could not be set
+         */
+        assign( pFields )
+        {
+            const current = this.#current();
+
+            if ( isNull( current ) )
+            {
+                return false;
+            }
+
+            for( const [key, value] of Object.entries( asFields( pFields ) ).filter( ( [k] ) => !isBlank( k ) ) )
+            {
+                if ( isNull( value ) )
+                {
+                    delete current[key];
+                }
+                else
+                {
+                    current[key] = value;
+                }
+            }
+
+            return true;
+        }
+
+        /**
+         * Removes a field from the active context
+         *
+         * @param {string} pKey the name of the field
+         *
+         * @returns {boolean} true if a context is active
+         */
+        remove( pKey )
+        {
+            return this.set( pKey, null );
+        }
+    }
+
+    /**
+     * The shared mapped diagnostic context, whose fields are added to every LogRecord created while it is active
+     * @type {MappedDiagnosticContext}
+     */
+    const MDC = new MappedDiagnosticContext();
+
     class LogRecord
     {
         #timestamp;
@@ -316,10 +531,14 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
         #data = [];
 
+        #fields = {};
+
         constructor( pMessage, pLevel, pError, pSource, ...pData )
         {
             this.#timestamp = new Date();
 
+            this.#fields = MDC.get();
+
             if ( pMessage instanceof this.constructor )
             {
                 this.#copyFrom( pMessage, pLevel, pError, pSource, ...pData );
@@ -374,6 +593,8 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             this.#source = isString( pSource ) ? resolveSource( pSource || pTarget?.source, this.#error ) : resolveSource( pTarget?.source, pTarget?.error );
 
             this.#data = unique( asArray( pTarget?.data || pData ).concat( asArray( varargs( ...pData ) ) ) );
+
+            this.#fields = { ...this.#fields, ...asFields( pTarget?.fields ) };
         }
 
         get timestamp()
@@ -437,6 +658,59 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             return this;
         }
 
+        /**
+         * Returns a copy of this record, with the same timestamp, level, and source,
+         * and the message, error, data, or contextual fields specified in place of those of this record
+         *
+         * @param {Object} [pChanges] an object with any of the properties, message, error, data, and fields
+         *
+         * @returns {LogRecord} a new record
+         */
+        derive( pChanges = {} )
+        {
+            const changes = isNonNullObject( pChanges ) ? pChanges : {};
+
+            const record = new LogRecord( _mt_str, this.#level );
+
+            record.#timestamp = this.#timestamp;
+            record.#source = this.#source;
+            record.#message = Object.hasOwn( changes, "message" ) ? asString( changes.message ) : this.#message;
+            record.#error = Object.hasOwn( changes, "error" ) ? changes.error : this.#error;
+            record.#data = Object.hasOwn( changes, "data" ) ? asArray( changes.data ) : [...this.#data];
+            record.#fields = Object.hasOwn( changes, "fields" ) ? asFields( changes.fields ) : { ...this.#fields };
+
+            return record;
+        }
+
+        /**
+         * Returns a copy of the contextual fields of this record,
+         * such as a request id or user id,
+         * which include the fields of the MappedDiagnosticContext that was active when the record was created
+         * @returns {Object}
+         */
+        get fields()
+        {
+            return { ...this.#fields };
+        }
+
+        /**
+         * Adds contextual fields to this record
+         *
+         * @param {Object} pFields the fields to add
+         *
+         * @param {boolean} [pOverwrite=true] whether to replace the value of a field this record already has
+         *
+         * @returns {LogRecord} this record
+         */
+        addFields( pFields, pOverwrite = true )
+        {
+            const fields = asFields( pFields );
+
+            this.#fields = pOverwrite ? { ...this.#fields, ...fields } : { ...fields, ...this.#fields };
+
+            return this;
+        }
+
         format( pFormatter )
         {
             if ( pFormatter instanceof LogFormatter || isFunction( pFormatter?.format ) )
@@ -470,6 +744,72 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             return s;
         }
 
+        /**
+         * Returns a plain object describing this record
+         * that can be passed to another thread or process,
+         * such as with postMessage.<br>
+         * <br>
+         * Use LogRecord.fromObject to reconstruct the record.<br>
+         *
+         * @returns {Object} an object with the timestamp (in milliseconds), level name, message, source,
+         *                   error (as its name, message, and stack), data, and contextual fields of this record
+         */
+        toObject()
+        {
+            const error = this.error;
+
+            return {
+                timestamp: this.timestamp?.getTime?.() ?? Date.now(),
+                level: this.level?.name || asString( this.level, true ),
+                message: this.message,
+                source: asString( this.source, true ),
+                error: isError( error ) ? { name: error.name, message: error.message, stack: error.stack } : null,
+                data: this.data.map( toCloneable ),
+                fields: Object.fromEntries( Object.entries( this.#fields ).map( ( [k, v] ) => [k, toCloneable( v )] ) )
+            };
+        }
+
+        /**
+         * Returns a LogRecord reconstructed from an object returned by toObject,
+         * preserving the time at which the original record was created and its contextual fields
+         *
+         * @param {Object} pObject an object returned by LogRecord::toObject
+         *
+         * @returns {LogRecord} a record equivalent to the one described
+         */
+        static fromObject( pObject )
+        {
+            if ( pObject instanceof LogRecord )
+            {
+                return pObject;
+            }
+
+            const obj = isNonNullObject( pObject ) ? pObject : { message: asString( pObject ) };
+
+            let error = null;
+
+            if ( isNonNullObject( obj.error ) )
+            {
+                error = new Error( asString( obj.error.message ) );
+                error.name = asString( obj.error.name, true ) || error.name;
+                error.stack = asString( obj.error.stack ) || error.stack;
+            }
+
+            const record = new LogRecord( asString( obj.message ), obj.level, error, obj.source, ...(asArray( obj.data )) );
+
+            if ( isNumeric( obj.timestamp ) || isDate( obj.timestamp ) )
+            {
+                record.#timestamp = new Date( obj.timestamp );
+            }
+
+            if ( isNonNullObject( obj.fields ) )
+            {
+                record.#fields = asFields( obj.fields );
+            }
+
+            return record;
+        }
+
         [Symbol.toPrimitive]()
         {
             return this.toString();
@@ -482,6 +822,15 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
     }
 
     const DEFAULT_TEMPLATE = `[{level}] - [{timestamp}] - [{source}]: {message}`;
+
+    const TEMPLATE_VARIABLES = lock( ["timestamp", "level", "message", "source"] );
+
+    const TEMPLATE_FIELD = /(\[?)\{([A-Za-z_$][\w$.-]*)}(]?)/g;
+
+    function formatFieldValue( pValue )
+    {
+        return isObject( pValue ) && !isNull( pValue ) ? JSON.stringify( toSerializable( pValue ) ) : asString( pValue, true );
+    }
     const DEFAULT_ERROR_TEMPLATE = `{errorName}: {errorMessage}{stackTrace}`;
 
     /**
@@ -499,7 +848,11 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
      *                                                timestamp - the formatted DateTime<br>
      *                                                level - the level of the LogRecord<br>
      *                                                message - the message to be logged (not necessarily the same as an error message)<br>
-     *                                                source - a string describing the context in which the log message was generated (or the error occurred)
+     *                                                source - a string describing the context in which the log message was generated (or the error occurred)<br>
+     *                                                <br>
+     *                                                Any other {name} is replaced with the value of the record's contextual field of that name,
+     *                                                such as {requestId}, or removed if the record has no such field.<br>
+     *                                                Fields not named in the template are written after the message as [name=value ...]
      *
      * @property {string} [errorTemplate=DEFAULT_ERROR_TEMPLATE] A string to use as a template
      *                                                           when writing the error information
@@ -529,6 +882,10 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
      * @property {string|Intl.Locale} [locale=en-US] The Locale to use when formatting the timestamp.<br>
      *
      * @property {Object} dateFormattingOptions The options to specify for the Intl.DateFormatter that is used if dateFormatter is not specified
+     *
+     * @property {string} [format="text"] The name of the output format, one of the values of LogFormat,
+     *                                    used to choose the formatter when a Logger is not given one.<br>
+     *                                    The structured formats (json, logfmt, and ecs) ignore the template options.
      */
 
     const DEFAULT_DATE_FORMAT_OPTIONS =
@@ -544,6 +901,7 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
     const DEFAULT_LOG_FORMATTER_OPTIONS =
         {
+            format: "text",
             template: DEFAULT_TEMPLATE,
             errorTemplate: DEFAULT_ERROR_TEMPLATE,
             includeStackTrace: true,
@@ -607,6 +965,16 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             return !!this.#includeStackTrace;
         }
 
+        /**
+         * Returns true if this formatter writes each record as a single line
+         * that a log pipeline can parse, such as JSON, rather than as free text
+         * @returns {boolean}
+         */
+        get structured()
+        {
+            return false;
+        }
+
         get dateFormatter()
         {
             const me = this;
@@ -631,7 +999,28 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
                 };
         }
 
-        _populateTemplate( pTimestamp, pLevel, pMessage, pSource )
+        /**
+         * Returns the specified template with each {name} that is not one of the standard variables
+         * replaced with the value of the contextual field of that name, or removed if there is no such field
+         */
+        _populateFields( pTemplate, pFields )
+        {
+            const fields = asFields( pFields );
+
+            return asString( pTemplate ).replaceAll( TEMPLATE_FIELD, ( pMatch, pOpen, pName, pClose ) =>
+            {
+                if ( TEMPLATE_VARIABLES.includes( pName ) )
+                {
+                    return pMatch;
+                }
+
+                const value = formatFieldValue( fields[pName] );
+
+                return isBlank( value ) ? _mt_str : (pOpen + value + pClose);
+            } );
+        }
+
+        _populateTemplate( pTimestamp, pLevel, pMessage, pSource, pFields )
         {
             let timestamp = asString( isDate( pTimestamp ) ? this.dateFormatter.format( pTimestamp ) : pTimestamp, true );
 
@@ -641,7 +1030,7 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
             let source = asString( pSource, true );
 
-            let template = this.template.replaceAll( "{timestamp}", timestamp ).replaceAll( "{1}", timestamp );
+            let template = this._populateFields( this.template, pFields ).replaceAll( "{timestamp}", timestamp ).replaceAll( "{1}", timestamp );
 
             if ( !isBlank( level ) )
             {
@@ -740,6 +1129,7 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             const message = logRecord.message;
             const source = logRecord.source;
             const data = asArray( logRecord.data );
+            const fields = asFields( logRecord.fields );
 
             const error = logRecord.error;
             const stackTrace = logRecord.stack;
@@ -748,10 +1138,17 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
             let arr = [];
 
-            const msg = this._populateTemplate( timestampString, level, message, source );
+            const msg = this._populateTemplate( timestampString, level, message, source, fields );
 
             arr.push( _lf, msg );
 
+            const unnamed = Object.entries( fields ).filter( ( [k] ) => !this.template.includes( "{" + k + "}" ) );
+
+            if ( unnamed.length > 0 )
+            {
+                arr.push( "[" + unnamed.map( ( [k, v] ) => k + "=" + formatFieldValue( v ) ).join( _spc ) + "]" );
+            }
+
             if ( data?.length > 0 )
             {
                 arr.push( "[DATA:" );
@@ -793,8 +1190,9 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             const source = logRecord.source;
             const error = logRecord.error;
             const data = asArray( logRecord.data );
+            const fields = asFields( logRecord.fields );
 
-            return ["[" + ucase( level ) + "]", timestamp, message, source, error, ...data];
+            return ["[" + ucase( level ) + "]", timestamp, message, source, error, ...data].concat( Object.keys( fields ).length > 0 ? [fields] : [] );
         }
     }
 
@@ -809,55 +1207,1637 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
     LogFormatter.DEFAULT = DEFAULT_LOG_FORMATTER;
 
-    class LogFilter
+    /**
+     * The names of the output formats for which a formatter is available.<br>
+     * <br>
+     * Pass one of these names as the logFormatter of a Logger,
+     * or as the format property of its logFormatterOptions,
+     * or to LogFormatter.forFormat, to use the corresponding formatter.<br>
+     * <br>
+     * Additional formats can be made available with LogFormatter.register.<br>
+     *
+     * @enum {string}
+     */
+    const LogFormat = lock(
+        {
+            TEXT: "text",
+            JSON: "json",
+            LOGFMT: "logfmt",
+            ECS: "ecs"
+        } );
+
+    /**
+     * The version of the Elastic Common Schema described by the EcsLogFormatter
+     * @type {string}
+     */
+    const ECS_VERSION = "8.11.0";
+
+    const S_CIRCULAR = "[Circular]";
+
+    /**
+     * Returns a copy of the specified value that can be encoded as JSON without throwing an error.<br>
+     * <br>
+     * Circular references are replaced with the string "[Circular]",
+     * BigInts, Symbols, and functions are replaced with strings,
+     * Errors are replaced with their name, message, and stack,
+     * Maps are replaced with objects, and Sets are replaced with arrays.<br>
+     *
+     * @param {*} pValue the value to copy
+     *
+     * @param {Array<Object>} [pStack=[]] the objects enclosing the value, used to detect circular references
+     *
+     * @returns {*} a value that can be passed to JSON.stringify
+     */
+    function toSerializable( pValue, pStack = [] )
     {
-        #filterFunction;
+        switch ( typeof pValue )
+        {
+            case "undefined":
+                return null;
 
-        constructor( pFunction )
+            case "bigint":
+            case "symbol":
+                return pValue.toString();
+
+            case _fun:
+                return "[Function: " + (pValue.name || "anonymous") + "]";
+
+            case _obj:
+                break;
+
+            default:
+                return pValue;
+        }
+
+        if ( isNull( pValue ) )
         {
-            if ( pFunction instanceof this.constructor )
-            {
-                this.#filterFunction = Filters.IS_FILTER( pFunction.filterFunction ) ? pFunction.filterFunction : Filters.IDENTITY;
-            }
-            else
-            {
-                this.#filterFunction = Filters.IS_FILTER( pFunction ) ? pFunction : Filters.IDENTITY;
-            }
+            return null;
         }
 
-        get filterFunction()
+        if ( isDate( pValue ) )
         {
-            return Filters.IS_FILTER( this.#filterFunction ) ? this.#filterFunction : Filters.IDENTITY;
+            return isNaN( pValue.getTime() ) ? null : pValue.toISOString();
         }
 
-        isLoggable( pLogRecord )
+        if ( pStack.includes( pValue ) )
         {
-            return this.filterFunction( pLogRecord || {} );
+            return S_CIRCULAR;
         }
-    }
 
-    LogFilter.DEFAULT = new LogFilter( Filters.IDENTITY );
+        const stack = [...pStack, pValue];
 
-    LogFilter.resolve = function( pFilter, pOptions )
-    {
-        if ( pFilter instanceof LogFilter )
+        if ( isError( pValue ) )
         {
-            return pFilter;
+            return { name: pValue.name, message: pValue.message, stack: pValue.stack };
         }
-        else if ( Filters.IS_FILTER( pFilter ) )
+
+        if ( isArray( pValue ) || pValue instanceof Set )
         {
-            return new LogFilter( pFilter );
+            return [...pValue].map( e => toSerializable( e, stack ) );
         }
 
-        const options = populateOptions( pOptions | {}, {} );
-
-        return new LogFilter( options.filter || Filters.IDENTITY );
-    };
+        if ( pValue instanceof Map )
+        {
+            return Object.fromEntries( [...pValue.entries()].map( ( [k, v] ) => [asString( k ), toSerializable( v, stack )] ) );
+        }
+
+        if ( isFunction( pValue.toJSON ) )
+        {
+            return toSerializable( attempt( () => pValue.toJSON() ), stack );
+        }
+
+        return Object.fromEntries( Object.entries( pValue ).map( ( [k, v] ) => [k, toSerializable( v, stack )] ) );
+    }
+
+    /**
+     * @typedef {Object} StackFrameDescription
+     *
+     * @property {string} methodName The name of the function executing in the frame, if known
+     * @property {string} fileName The path or URL of the file defining the function
+     * @property {number} lineNumber The line number in the file
+     * @property {number} columnNumber The column number in the line
+     */
+
+    /**
+     * @typedef {Object} ErrorDescription
+     *
+     * @property {string} name The name or type of the error
+     * @property {string} message The error's message
+     * @property {string} [stack] The error's stack, if the formatter includes stack traces
+     * @property {StackFrameDescription} [origin] The frame in which the error was created
+     * @property {Array<StackFrameDescription>} [frames] Every frame of the stack, if the formatter includes stack traces
+     */
+
+    function describeFrame( pFrame )
+    {
+        const frame = pFrame || {};
+
+        return {
+            methodName: asString( frame.methodName, true ),
+            fileName: asString( frame.fileName, true ),
+            lineNumber: asInt( frame.lineNumber, 0 ),
+            columnNumber: asInt( frame.columnNumber, 0 )
+        };
+    }
+
+    /**
+     * Returns a plain object describing the specified error,
+     * including the frames of its stack, as parsed by StackTrace
+     *
+     * @param {Error} pError the error to describe
+     *
+     * @param {boolean} [pIncludeStackTrace=true] whether to include the stack and its frames
+     *
+     * @returns {ErrorDescription|null} an object describing the error, or null if no error was specified
+     */
+    function describeError( pError, pIncludeStackTrace = true )
+    {
+        if ( !isError( pError ) )
+        {
+            return null;
+        }
+
+        // an error wrapped by resolveError reports the type of the original error as its type
+        const description = { name: asString( pError.type || pError.name, true ) || "Error", message: asString( pError.message, true ) };
+
+        const stackTrace = attempt( () => new StackTrace( pError.stack, pError ) );
+
+        const frames = asArray( attempt( () => stackTrace.frames.map( e => describeFrame( stackTrace.parseFrame( e ) ) ) ) ).filter( e => !isBlank( e.fileName ) );
+
+        if ( frames.length > 0 )
+        {
+            description.origin = frames[0];
+        }
+
+        if ( pIncludeStackTrace )
+        {
+            description.stack = asString( pError.stack );
+            description.frames = frames;
+        }
+
+        return description;
+    }
+
+    /**
+     * This is the base class for formatters that describe a LogRecord as a single line
+     * that a log pipeline can parse, rather than as free text.<br>
+     * <br>
+     * Subclasses implement serialize, which returns the line for the object returned by describe.<br>
+     * <br>
+     * The timestamp is always written in ISO 8601 format, in UTC,
+     * regardless of the dateFormatter or locale specified.<br>
+     *
+     * @class
+     * @extends LogFormatter
+     */
+    class StructuredLogFormatter extends LogFormatter
+    {
+        constructor( pOptions = DEFAULT_LOG_FORMATTER_OPTIONS )
+        {
+            super( pOptions );
+        }
+
+        /**
+         * Returns true, indicating that each record is formatted as a single line
+         * @returns {boolean}
+         */
+        get structured()
+        {
+            return true;
+        }
+
+        /**
+         * Returns a plain object describing every property of the specified record
+         *
+         * @param {LogRecord} pLogRecord the record to describe
+         *
+         * @returns {{timestamp: string, level: string, message: string, source: string, fields: Object, data: Array<*>, error: ErrorDescription|null}}
+         */
+        describe( pLogRecord )
+        {
+            const logRecord = pLogRecord instanceof LogRecord ? pLogRecord : new LogRecord( pLogRecord );
+
+            const timestamp = isDate( logRecord.timestamp ) ? logRecord.timestamp : new Date();
+
+            return {
+                timestamp: timestamp.toISOString(),
+                level: ucase( asString( logRecord.level?.name || logRecord.level, true ) ),
+                message: asString( logRecord.message || logRecord.error?.message, true ),
+                source: asString( logRecord.source, true ),
+                fields: toSerializable( asFields( logRecord.fields ) ),
+                data: toSerializable( asArray( logRecord.data ) ),
+                error: describeError( logRecord.error, this.includeStackTrace )
+            };
+        }
+
+        /**
+         * Returns the single line representing the object returned by describe
+         *
+         * @param {Object} pDescription the object returned by describe
+         *
+         * @returns {string} the line to write to the log
+         */
+        serialize( pDescription )
+        {
+            return JSON.stringify( pDescription );
+        }
+
+        /**
+         * Returns the specified record as a single line.<br>
+         * <br>
+         * Unlike the LogFormatter this class extends,
+         * this method always returns a string, regardless of the value of pAsString.<br>
+         *
+         * @param {LogRecord} pLogRecord the record to format
+         *
+         * @param {boolean} [pAsString] ignored
+         *
+         * @returns {string} the record as a single line
+         */
+        format( pLogRecord, pAsString = true )
+        {
+            return this.serialize( this.describe( pLogRecord ) );
+        }
+
+        formatForConsole( pLogRecord )
+        {
+            return this.format( pLogRecord );
+        }
+    }
+
+    /**
+     * Returns the entries of the specified fields whose names are not among those specified,
+     * so that a contextual field cannot replace one of the properties every line has
+     */
+    const fieldEntries = ( pFields, ...pReserved ) => Object.entries( asFields( pFields ) ).filter( ( [k] ) => !pReserved.includes( k ) );
+
+    /**
+     * This class formats each LogRecord as a single line of JSON,
+     * with the timestamp, level, message, source, data, and error of the record.<br>
+     * <br>
+     * The contextual fields of the record, such as a request id,
+     * are written as top-level properties, following the source.<br>
+     *
+     * @class
+     * @extends StructuredLogFormatter
+     */
+    class JsonLogFormatter extends StructuredLogFormatter
+    {
+        constructor( pOptions = DEFAULT_LOG_FORMATTER_OPTIONS )
+        {
+            super( pOptions );
+        }
+
+        serialize( pDescription )
+        {
+            const { fields, data, error, ...properties } = pDescription || {};
+
+            const json = { ...properties, ...Object.fromEntries( fieldEntries( fields, ...Object.keys( properties ), "data", "error" ) ) };
+
+            return JSON.stringify( { ...json, data, error } );
+        }
+    }
+
+    const LOGFMT_NEEDS_QUOTES = /[\s="\\]/;
+
+    function toLogfmtValue( pValue )
+    {
+        const s = isNull( pValue ) ? _mt_str : (isString( pValue ) ? pValue : asString( isObject( pValue ) ? JSON.stringify( pValue ) : pValue ));
+
+        if ( isBlank( s ) || LOGFMT_NEEDS_QUOTES.test( s ) )
+        {
+            return "\"" + s.replaceAll( "\\", "\\\\" ).replaceAll( "\"", "\\\"" ).replaceAll( "\r", "\\r" ).replaceAll( "\n", "\\n" ) + "\"";
+        }
+
+        return s;
+    }
+
+    // logfmt keys cannot be quoted, so the characters that would end a key early are replaced
+    const LOGFMT_INVALID_KEY_CHARS = /[\s="\p{Cc}]+/gu;
+
+    function toLogfmtKey( pKey )
+    {
+        return asString( pKey ).replace( LOGFMT_INVALID_KEY_CHARS, "_" ) || "_";
+    }
+
+    function flattenForLogfmt( pValue, pPrefix, pPairs = [] )
+    {
+        if ( isNonNullObject( pValue ) )
+        {
+            const entries = Object.entries( pValue );
+
+            if ( entries.length <= 0 )
+            {
+                pPairs.push( [pPrefix, isArray( pValue ) ? "[]" : "{}"] );
+            }
+
+            entries.forEach( ( [k, v] ) => flattenForLogfmt( v, (pPrefix + "." + k), pPairs ) );
+        }
+        else
+        {
+            pPairs.push( [pPrefix, pValue] );
+        }
+
+        return pPairs;
+    }
+
+    /**
+     * This class formats each LogRecord as a line of logfmt key=value pairs,
+     * such as: time=2025-01-31T12:00:00.000Z level=error msg="Query failed" source=orders data.0.id=7<br>
+     * <br>
+     * The contextual fields of the record, such as a request id, follow the source, with their own names.
+     * Nested data and fields are written with dotted keys.
+     * Whitespace, quotes, and equals signs in keys are replaced with underscores, as logfmt keys cannot be quoted.
+     * Values containing spaces, quotes, equals signs, or line breaks are quoted,
+     * and line breaks within them are escaped, so every record is a single line.<br>
+     * <br>
+     * The error, if any, is written as error.name, error.message, error.file, error.line, error.column, and error.method,
+     * and, if the formatter includes stack traces, error.stack.<br>
+     *
+     * @class
+     * @extends StructuredLogFormatter
+     */
+    class LogfmtLogFormatter extends StructuredLogFormatter
+    {
+        constructor( pOptions = DEFAULT_LOG_FORMATTER_OPTIONS )
+        {
+            super( pOptions );
+        }
+
+        serialize( pDescription )
+        {
+            const description = pDescription || {};
+
+            const pairs = [["time", description.timestamp], ["level", lcase( description.level )], ["msg", description.message]];
+
+            if ( !isBlank( description.source ) )
+            {
+                pairs.push( ["source", description.source] );
+            }
+
+            fieldEntries( description.fields, "time", "level", "msg", "source", "data", "error" ).forEach( ( [k, v] ) => flattenForLogfmt( v, k, pairs ) );
+
+            asArray( description.data ).forEach( ( e, i ) => flattenForLogfmt( e, ("data." + i), pairs ) );
+
+            const error = description.error;
+
+            if ( isNonNullObject( error ) )
+            {
+                pairs.push( ["error.name", error.name], ["error.message", error.message] );
+
+                if ( isNonNullObject( error.origin ) )
+                {
+                    pairs.push( ["error.file", error.origin.fileName],
+                                ["error.line", error.origin.lineNumber],
+                                ["error.column", error.origin.columnNumber] );
+
+                    if ( !isBlank( error.origin.methodName ) )
+                    {
+                        pairs.push( ["error.method", error.origin.methodName] );
+                    }
+                }
+
+                if ( !isBlank( error.stack ) )
+                {
+                    pairs.push( ["error.stack", error.stack] );
+                }
+            }
+
+            return pairs.map( ( [k, v] ) => toLogfmtKey( k ) + "=" + toLogfmtValue( v ) ).join( _spc );
+        }
+    }
+
+    /**
+     * This class formats each LogRecord as a single line of JSON
+     * in the shape defined by the Elastic Common Schema (ECS),
+     * which Elasticsearch, Kibana, and many log shippers understand without further configuration.<br>
+     * <br>
+     * The source of the record is written as log.logger,
+     * the frame in which the error was created as log.origin,
+     * and the error as error.type, error.message, and error.stack_trace.<br>
+     * <br>
+     * ECS does not define a field for the additional data of a record,
+     * so it is written as a custom field named data.<br>
+     * <br>
+     * The contextual fields of the record are written as top-level fields with their own names,
+     * so a field named trace.id or user.id is written as the corresponding ECS field.<br>
+     *
+     * @see <a href="https://www.elastic.co/guide/en/ecs/current/index.html">Elastic Common Schema</a>
+     *
+     * @class
+     * @extends StructuredLogFormatter
+     */
+    class EcsLogFormatter extends StructuredLogFormatter
+    {
+        constructor( pOptions = DEFAULT_LOG_FORMATTER_OPTIONS )
+        {
+            super( pOptions );
+        }
+
+        serialize( pDescription )
+        {
+            const description = pDescription || {};
+
+            const ecs =
+                {
+                    "@timestamp": description.timestamp,
+                    "log.level": lcase( description.level ),
+                    "message": description.message,
+                    "ecs.version": ECS_VERSION
+                };
+
+            const log = {};
+
+            if ( !isBlank( description.source ) )
+            {
+                log.logger = description.source;
+            }
+
+            const error = description.error;
+
+            if ( isNonNullObject( error?.origin ) )
+            {
+                log.origin =
+                    {
+                        file: { name: error.origin.fileName, line: error.origin.lineNumber },
+                        function: error.origin.methodName
+                    };
+            }
+
+            if ( Object.keys( log ).length > 0 )
+            {
+                ecs.log = log;
+            }
+
+            if ( isNonNullObject( error ) )
+            {
+                ecs.error = { type: error.name, message: error.message };
+
+                if ( !isBlank( error.stack ) )
+                {
+                    ecs.error.stack_trace = error.stack;
+                }
+            }
+
+            fieldEntries( description.fields, ...Object.keys( ecs ), "log", "error", "data" ).forEach( ( [k, v] ) => ecs[k] = v );
+
+            if ( asArray( description.data ).length > 0 )
+            {
+                ecs.data = description.data;
+            }
+
+            return JSON.stringify( ecs );
+        }
+    }
+
+    const FORMATTERS_BY_FORMAT = new Map( [[LogFormat.TEXT, LogFormatter],
+                                           [LogFormat.JSON, JsonLogFormatter],
+                                           [LogFormat.LOGFMT, LogfmtLogFormatter],
+                                           [LogFormat.ECS, EcsLogFormatter]] );
+
+    /**
+     * Makes a formatter available by name,
+     * so that the name can be used wherever one of the names in LogFormat can be used.<br>
+     *
+     * @param {string} pFormat the name of the format, such as "gelf"
+     *
+     * @param {function(new:LogFormatter, LogFormatterOptions)} pFormatterClass a subclass of LogFormatter
+     *
+     * @throws {IllegalArgumentError} if the name is blank or the class does not extend LogFormatter
+     */
+    LogFormatter.register = function( pFormat, pFormatterClass )
+    {
+        const format = lcase( asString( pFormat, true ) );
+
+        if ( isBlank( format ) || !isClass( pFormatterClass ) || !(pFormatterClass.prototype instanceof LogFormatter || pFormatterClass === LogFormatter) )
+        {
+            throw new IllegalArgumentError( "A formatter must be registered with a name and a subclass of LogFormatter" );
+        }
+
+        FORMATTERS_BY_FORMAT.set( format, pFormatterClass );
+    };
+
+    /**
+     * Returns a new formatter for the specified format
+     *
+     * @param {string} pFormat the name of the format, such as "json", "logfmt", or "ecs"
+     *
+     * @param {LogFormatterOptions} [pOptions] the options to pass to the formatter
+     *
+     * @returns {LogFormatter|null} a new formatter, or null if no formatter has been registered for the format
+     */
+    LogFormatter.forFormat = function( pFormat, pOptions = DEFAULT_LOG_FORMATTER_OPTIONS )
+    {
+        const FormatterClass = FORMATTERS_BY_FORMAT.get( lcase( asString( pFormat, true ) ) );
+
+        return isNull( FormatterClass ) ? null : new FormatterClass( pOptions );
+    };
+
+    class LogFilter
+    {
+        #filterFunction;
+
+        constructor( pFunction )
+        {
+            if ( pFunction instanceof this.constructor )
+            {
+                this.#filterFunction = Filters.IS_FILTER( pFunction.filterFunction ) ? pFunction.filterFunction : Filters.IDENTITY;
+            }
+            else
+            {
+                this.#filterFunction = Filters.IS_FILTER( pFunction ) ? pFunction : Filters.IDENTITY;
+            }
+        }
+
+        get filterFunction()
+        {
+            return Filters.IS_FILTER( this.#filterFunction ) ? this.#filterFunction : Filters.IDENTITY;
+        }
+
+        isLoggable( pLogRecord )
+        {
+            return this.filterFunction( pLogRecord || {} );
+        }
+
+        /**
+         * Returns the records this filter has created to summarize the records it has discarded,
+         * such as "last message repeated 3 times", and forgets them.<br>
+         * <br>
+         * A Logger calls this after each record it evaluates,
+         * and writes the summaries to its destinations.<br>
+         *
+         * @param {boolean} [pFinal=false] when true, the filter also summarizes records it is still counting,
+         *                                 because the logger is being flushed
+         *
+         * @returns {Array<LogRecord>} the summaries that have not yet been written
+         */
+        drainSummaries( pFinal = false )
+        {
+            return [];
+        }
+    }
+
+    LogFilter.DEFAULT = new LogFilter( Filters.IDENTITY );
+
+    /**
+     * The records created by filters to summarize the records they have discarded.<br>
+     * These are always loggable, so that one filter does not discard the summary of another.
+     * @type {WeakSet<LogRecord>}
+     */
+    const filterSummaries = new WeakSet();
+
+    const isFilterSummary = ( pLogRecord ) => isNonNullObject( pLogRecord ) && filterSummaries.has( pLogRecord );
+
+    /**
+     * Returns the level name, source, and message of a record,
+     * which is how the filters below recognize records that are the same.
+     *
+     * @param {LogRecord} pLogRecord
+     * @returns {string}
+     */
+    const defaultRecordKey = ( pLogRecord ) => [lcase( asString( pLogRecord?.level?.name || pLogRecord?.level, true ) ),
+                                                asString( pLogRecord?.source, true ),
+                                                asString( pLogRecord?.message, true )].join( _colon );
+
+    /**
+     * The base class for filters whose decisions depend on the records they have already seen.<br>
+     * <br>
+     * A record can be evaluated more than once, for example, by a Logger and then by its destination,
+     * so the decision for each record is remembered, and the state of the filter is only updated once per record.<br>
+     */
+    class StatefulLogFilter extends LogFilter
+    {
+        #decisions = new WeakMap();
+        #summaries = [];
+
+        #now;
+
+        constructor( pOptions = {} )
+        {
+            super( Filters.IDENTITY );
+
+            this.#now = isFunction( pOptions?.now ) ? pOptions.now : () => Date.now();
+        }
+
+        get filterFunction()
+        {
+            return ( pLogRecord ) => this.isLoggable( pLogRecord );
+        }
+
+        /**
+         * Returns the current time, in milliseconds
+         * @returns {number}
+         */
+        now()
+        {
+            return asInt( this.#now(), Date.now() );
+        }
+
+        isLoggable( pLogRecord )
+        {
+            if ( !isNonNullObject( pLogRecord ) || isFilterSummary( pLogRecord ) )
+            {
+                return true;
+            }
+
+            if ( this.#decisions.has( pLogRecord ) )
+            {
+                return this.#decisions.get( pLogRecord );
+            }
+
+            const loggable = !!this._isLoggable( pLogRecord );
+
+            this.#decisions.set( pLogRecord, loggable );
+
+            return loggable;
+        }
+
+        /**
+         * Evaluates a record this filter has not seen before.<br>
+         * Subclasses override this method.
+         *
+         * @param {LogRecord} pLogRecord the record to evaluate
+         *
+         * @returns {boolean} true if the record should be written
+         * @protected
+         */
+        _isLoggable( pLogRecord )
+        {
+            return true;
+        }
+
+        /**
+         * Adds a record that summarizes the records this filter has discarded
+         *
+         * @param {LogRecord} pLogRecord the record the summary refers to
+         * @param {string} pMessage the message of the summary
+         * @param {Object} pData the counts to include as the data of the summary
+         * @protected
+         */
+        _summarize( pLogRecord, pMessage, pData )
+        {
+            const summary = new LogRecord( pMessage, pLogRecord?.level || LogLevel.DEFAULT, null, pLogRecord?.source, pData );
+
+            filterSummaries.add( summary );
+
+            this.#summaries.push( summary );
+        }
+
+        drainSummaries( pFinal = false )
+        {
+            return this.#summaries.splice( 0, this.#summaries.length );
+        }
+    }
+
+    const toRate = ( pValue, pDefault ) => isNaN( parseFloat( pValue ) ) ? pDefault : clamp( parseFloat( pValue ), 0, 1 );
+
+    /**
+     * A filter that writes only a random sample of the records at some levels,
+     * such as 10% of the debug records and 1% of the trace records.<br>
+     * <br>
+     * The rates are specified as numbers between 0 and 1, by the name of the level.<br>
+     * Records at levels that do not have a rate are written at the default rate, which is 1 unless specified.<br>
+     * <br>
+     * For example, <code>new SamplingLogFilter( { rates: { debug: 0.1, trace: 0.01 } } )</code><br>
+     */
+    class SamplingLogFilter extends StatefulLogFilter
+    {
+        #rates = {};
+        #rate = 1;
+        #random;
+
+        constructor( pOptions = {} )
+        {
+            super( pOptions );
+
+            const options = isNonNullObject( pOptions ) ? pOptions : {};
+
+            Object.entries( options.rates || {} ).forEach( ( [key, value] ) =>
+                                                           {
+                                                               const level = LogLevel.resolveLevel( key );
+                                                               const name = lcase( asString( level?.name || key, true ) );
+
+                                                               this.#rates[name] = toRate( value, 1 );
+                                                           } );
+
+            this.#rate = toRate( options.rate, 1 );
+
+            this.#random = isFunction( options.random ) ? options.random : Math.random;
+        }
+
+        /**
+         * Returns the fraction of the records at the specified level that are written
+         *
+         * @param {LogLevel|string|number} pLevel the level
+         *
+         * @returns {number} a number between 0 and 1
+         */
+        rateFor( pLevel )
+        {
+            const name = lcase( asString( LogLevel.resolveLevel( pLevel )?.name || pLevel, true ) );
+
+            const rate = this.#rates[name];
+
+            return isNumber( rate ) ? rate : this.#rate;
+        }
+
+        _isLoggable( pLogRecord )
+        {
+            const rate = this.rateFor( pLogRecord?.level );
+
+            return rate >= 1 || (rate > 0 && this.#random() < rate);
+        }
+    }
+
+    /**
+     * A filter that writes a burst of records with the same key
+     * and then discards the others with that key until the interval has passed.<br>
+     * <br>
+     * When the interval has passed, the next record with that key is written,
+     * preceded by a summary of how many records were discarded.<br>
+     * <br>
+     * By default, the key of a record is its level, source, and message,
+     * so the same message logged in a loop is limited, but other messages are not.<br>
+     * <br>
+     * For example, <code>new RateLimitLogFilter( { burst: 10, intervalMs: 60_000 } )</code>
+     * writes at most 10 of the same message per minute.<br>
+     */
+    class RateLimitLogFilter extends StatefulLogFilter
+    {
+        #burst = 10;
+        #intervalMs = 60_000;
+        #maxKeys = 1_000;
+
+        #keyFunction = defaultRecordKey;
+
+        #windows = new Map();
+
+        constructor( pOptions = {} )
+        {
+            super( pOptions );
+
+            const options = isNonNullObject( pOptions ) ? pOptions : {};
+
+            this.#burst = Math.max( 1, asInt( options.burst, this.#burst ) );
+            this.#intervalMs = Math.max( 1, asInt( options.intervalMs, this.#intervalMs ) );
+            this.#maxKeys = Math.max( 1, asInt( options.maxKeys, this.#maxKeys ) );
+
+            this.#keyFunction = isFunction( options.key ) ? options.key : defaultRecordKey;
+        }
+
+        get burst()
+        {
+            return this.#burst;
+        }
+
+        get intervalMs()
+        {
+            return this.#intervalMs;
+        }
+
+        #summarizeWindow( pWindow )
+        {
+            if ( pWindow?.suppressed > 0 )
+            {
+                const count = pWindow.suppressed;
+
+                this._summarize( pWindow.record,
+                                 count + " more " + (1 === count ? "record" : "records") + " like \"" + asString( pWindow.record?.message, true ) + "\" discarded by rate limit",
+                                 { suppressed: count } );
+
+                pWindow.suppressed = 0;
+            }
+        }
+
+        _isLoggable( pLogRecord )
+        {
+            const key = asString( this.#keyFunction( pLogRecord ), true );
+
+            const now = this.now();
+
+            let window = this.#windows.get( key );
+
+            if ( isNull( window ) || (now - window.start) >= this.#intervalMs )
+            {
+                this.#summarizeWindow( window );
+
+                this.#windows.delete( key );
+
+                window = { start: now, count: 0, suppressed: 0, record: pLogRecord };
+
+                this.#windows.set( key, window );
+
+                // the oldest windows are forgotten first
+                while ( this.#windows.size > this.#maxKeys )
+                {
+                    const oldest = this.#windows.keys().next().value;
+                    this.#summarizeWindow( this.#windows.get( oldest ) );
+                    this.#windows.delete( oldest );
+                }
+            }
+
+            window.count += 1;
+
+            if ( window.count > this.#burst )
+            {
+                window.suppressed += 1;
+                return false;
+            }
+
+            return true;
+        }
+
+        drainSummaries( pFinal = false )
+        {
+            if ( pFinal )
+            {
+                this.#windows.forEach( window => this.#summarizeWindow( window ) );
+            }
+
+            return super.drainSummaries( pFinal );
+        }
+    }
+
+    /**
+     * A filter that collapses consecutive duplicate records.<br>
+     * <br>
+     * The first record is written and the duplicates that follow it are counted,
+     * until a different record is logged,
+     * which is then written after a summary such as "last message repeated 3 times".<br>
+     * While duplicates keep arriving, a summary is also written every summaryIntervalMs milliseconds,
+     * so that a long run of duplicates is not entirely silent.<br>
+     * <br>
+     * By default, records are duplicates when they have the same level, source, and message.<br>
+     */
+    class DeduplicatingLogFilter extends StatefulLogFilter
+    {
+        #summaryIntervalMs = 30_000;
+
+        #keyFunction = defaultRecordKey;
+
+        #lastKey = null;
+        #lastRecord = null;
+        #repeated = 0;
+        #since = 0;
+
+        constructor( pOptions = {} )
+        {
+            super( pOptions );
+
+            const options = isNonNullObject( pOptions ) ? pOptions : {};
+
+            this.#summaryIntervalMs = Math.max( 1, asInt( options.summaryIntervalMs, this.#summaryIntervalMs ) );
+
+            this.#keyFunction = isFunction( options.key ) ? options.key : defaultRecordKey;
+        }
+
+        get repeated()
+        {
+            return this.#repeated;
+        }
+
+        #summarizeRun()
+        {
+            if ( this.#repeated > 0 )
+            {
+                const count = this.#repeated;
+
+                this._summarize( this.#lastRecord,
+                                 "last message repeated " + count + " " + (1 === count ? "time" : "times"),
+                                 { repeated: count } );
+
+                this.#repeated = 0;
+            }
+        }
+
+        _isLoggable( pLogRecord )
+        {
+            const key = asString( this.#keyFunction( pLogRecord ), true );
+
+            const now = this.now();
+
+            if ( null !== this.#lastKey && key === this.#lastKey )
+            {
+                this.#repeated += 1;
+
+                if ( (now - this.#since) >= this.#summaryIntervalMs )
+                {
+                    this.#summarizeRun();
+                    this.#since = now;
+                }
+
+                return false;
+            }
+
+            this.#summarizeRun();
+
+            this.#lastKey = key;
+            this.#lastRecord = pLogRecord;
+            this.#since = now;
+
+            return true;
+        }
+
+        drainSummaries( pFinal = false )
+        {
+            if ( pFinal )
+            {
+                this.#summarizeRun();
+            }
+
+            return super.drainSummaries( pFinal );
+        }
+    }
+
+    /**
+     * A filter that writes a record only if each of its filters would write it.<br>
+     * The filters are evaluated in order, so a record discarded by one filter is not seen by those after it.<br>
+     */
+    class CompositeLogFilter extends LogFilter
+    {
+        #filters = [];
+
+        constructor( ...pFilters )
+        {
+            super( Filters.IDENTITY );
+
+            this.#filters = asArray( varargs( ...pFilters ) ).map( e => LogFilter.resolve( e ) ).filter( e => e instanceof LogFilter );
+        }
+
+        get filters()
+        {
+            return [...this.#filters];
+        }
+
+        get filterFunction()
+        {
+            return ( pLogRecord ) => this.isLoggable( pLogRecord );
+        }
+
+        isLoggable( pLogRecord )
+        {
+            return isFilterSummary( pLogRecord ) || this.#filters.every( filter => filter.isLoggable( pLogRecord || {} ) );
+        }
+
+        drainSummaries( pFinal = false )
+        {
+            return this.#filters.map( filter => asArray( filter.drainSummaries( pFinal ) ) ).flat();
+        }
+    }
+
+    /**
+     * Returns a LogFilter for the specified filter or filter options.<br>
+     * <br>
+     * The filter can be:<br>
+     * - a LogFilter, which is returned as is<br>
+     * - a function that takes a LogRecord and returns true if it should be written<br>
+     * - an array of any of these, which are combined so that a record must pass each of them<br>
+     * - an object with any of the properties, filter, sampling, rateLimit, and deduplicate,
+     * specifying a function and the options for a SamplingLogFilter, a RateLimitLogFilter, and a DeduplicatingLogFilter,
+     * which are combined in that order<br>
+     * <br>
+     * For example, <code>new Logger( { filter: { rateLimit: { burst: 5 }, deduplicate: true } } )</code><br>
+     *
+     * @param {LogFilter|function|Array|Object} pFilter the filter or filter options
+     * @param {Object} [pOptions] options whose filter property is used if pFilter is not specified
+     *
+     * @returns {LogFilter} a LogFilter
+     */
+    LogFilter.resolve = function( pFilter, pOptions )
+    {
+        if ( pFilter instanceof LogFilter )
+        {
+            return pFilter;
+        }
+        else if ( Filters.IS_FILTER( pFilter ) )
+        {
+            return new LogFilter( pFilter );
+        }
+        else if ( isArray( pFilter ) )
+        {
+            return new CompositeLogFilter( ...pFilter );
+        }
+        else if ( isNonNullObject( pFilter ) )
+        {
+            const asOptions = ( pValue ) => isNonNullObject( pValue ) ? pValue : {};
+
+            const filters = [];
+
+            if ( Filters.IS_FILTER( pFilter.filter ) || pFilter.filter instanceof LogFilter )
+            {
+                filters.push( LogFilter.resolve( pFilter.filter ) );
+            }
+
+            if ( pFilter.sampling )
+            {
+                filters.push( new SamplingLogFilter( asOptions( pFilter.sampling ) ) );
+            }
+
+            if ( pFilter.rateLimit )
+            {
+                filters.push( new RateLimitLogFilter( asOptions( pFilter.rateLimit ) ) );
+            }
+
+            if ( pFilter.deduplicate )
+            {
+                filters.push( new DeduplicatingLogFilter( asOptions( pFilter.deduplicate ) ) );
+            }
+
+            return 1 === filters.length ? filters[0] : new CompositeLogFilter( ...filters );
+        }
+
+        const options = populateOptions( pOptions || {}, {} );
+
+        return isNull( options.filter ) ? new LogFilter( Filters.IDENTITY ) : LogFilter.resolve( options.filter );
+    };
 
     function resolveFilter( pFilter, pOptions )
     {
-        return LogFilter.resolve( pFilter, pOptions );
-    }
+        return LogFilter.resolve( pFilter, pOptions );
+    }
+
+    /**
+     * The ways a redaction rule can hide a sensitive value:<br>
+     * - mask replaces the value with a fixed string, such as [REDACTED]<br>
+     * - hash replaces the value with a short hash of it,
+     * so that records mentioning the same value can still be correlated<br>
+     * - drop removes the property or array element, or, within a string, the matched text<br>
+     */
+    const RedactionAction = lock( { MASK: "mask", HASH: "hash", DROP: "drop" } );
+
+    const DEFAULT_MASK = "[REDACTED]";
+
+    const DROPPED = Symbol( "dropped" );
+
+    /**
+     * The names of properties whose values are redacted by default.<br>
+     * A property is redacted if its name contains any of these, ignoring case,
+     * so "token" matches accessToken and refresh_token.<br>
+     */
+    const SENSITIVE_KEYS = lock( ["password", "passwd", "pwd", "token", "authorization", "secret", "apikey", "api_key", "api-key", "cookie", "credential"] );
+
+    const BEARER_CREDENTIALS = /\b(?:Bearer|Basic)\s+[\w.~+\/=-]+/gi;
+
+    const CARD_NUMBER = /\b[3-6](?:\d[ -]?){11,17}\d\b/g;
+
+    const EMAIL_ADDRESS = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+
+    const escapeRegExp = ( pString ) => asString( pString ).replace( /[.*+?^${}()|[\]\\]/g, "\\$&" );
+
+    /**
+     * Returns true if the digits of the specified string pass the Luhn check used by card numbers,
+     * which avoids redacting other long numbers, such as timestamps
+     *
+     * @param {string} pString a string of digits, which may include spaces or hyphens
+     *
+     * @returns {boolean} true if the digits could be a card number
+     */
+    function isLuhnValid( pString )
+    {
+        const digits = asString( pString ).replace( /\D/g, _mt_str );
+
+        let sum = 0;
+
+        for( let i = digits.length - 1, doubled = false; i >= 0; i--, doubled = !doubled )
+        {
+            let digit = parseInt( digits.charAt( i ), 10 );
+
+            if ( doubled )
+            {
+                digit *= 2;
+                digit = digit > 9 ? digit - 9 : digit;
+            }
+
+            sum += digit;
+        }
+
+        return digits.length >= 13 && 0 === (sum % 10);
+    }
+
+    /**
+     * Splits a path, such as "0.headers.authorization" or "[0].user['password']", into its segments.<br>
+     * A leading "$" or "data" refers to the data of the record and is ignored.<br>
+     *
+     * @param {string|Array<string|number>} pPath the path
+     *
+     * @returns {Array<string>} the segments of the path
+     */
+    function toPathSegments( pPath )
+    {
+        const segments = isArray( pPath ) ? pPath.map( e => asString( e, true ) ) : asString( pPath, true ).replace( /\[\s*["']?([^\]"']*)["']?\s*]/g, ".$1" ).split( "." ).map( e => e.trim() ).filter( e => !isBlank( e ) );
+
+        return ["$", "data"].includes( segments[0] ) ? segments.slice( 1 ) : segments;
+    }
+
+    const matchesPath = ( pSegments, pPath ) => pSegments.length === pPath.length && pSegments.every( ( segment, i ) => "*" === segment || segment === asString( pPath[i], true ) );
+
+    /**
+     * Returns the secret values known to the specified source,
+     * which may be an array of values, a function that returns them,
+     * or an object, such as a SecretsManager, with a knownSecretValues property
+     *
+     * @param {Array<string>|function():Array<string>|Object} pSource the source of the values
+     *
+     * @returns {Array<string>} the values
+     */
+    function resolveSecretValues( pSource )
+    {
+        if ( isNull( pSource ) )
+        {
+            return [];
+        }
+
+        let values = pSource;
+
+        if ( isFunction( pSource ) )
+        {
+            values = attempt( () => pSource() );
+        }
+        else if ( isNonNullObject( pSource ) && !isArray( pSource ) )
+        {
+            values = pSource.knownSecretValues;
+        }
+
+        return asArray( values || [] ).filter( e => isString( e ) || isNumber( e ) ).map( e => asString( e, true ) );
+    }
+
+    /**
+     * Describes values to hide in log records, and whether to mask, hash, or drop them.<br>
+     * <br>
+     * A rule can match:<br>
+     * - keys: the names of properties, anywhere in the data or the contextual fields of a record,
+     * as strings that the name must contain (ignoring case) or regular expressions.<br>
+     * These keys are also found in strings, such as "password=hunter2", where only the value is redacted.<br>
+     * - pattern: a regular expression, such as one for email addresses, applied to the message, the error, and every string in the data<br>
+     * - paths: explicit paths within the data of a record, such as "0.headers.authorization",
+     * where the first segment is the index of the data and "*" matches any property or index<br>
+     * - secrets: known secret values, which are removed wherever they appear.<br>
+     * The values can be an array, a function returning an array, or an object with a knownSecretValues property, such as a SecretsManager.<br>
+     * <br>
+     * For example, <code>new RedactionRule( { paths: ["*.ssn"], action: RedactionAction.HASH } )</code><br>
+     */
+    class RedactionRule
+    {
+        #keys = [];
+        #keyPattern = null;
+        #pattern = null;
+        #paths = [];
+        #test = null;
+        #secrets = null;
+        #minSecretLength = 6;
+
+        #action = RedactionAction.MASK;
+        #mask = DEFAULT_MASK;
+
+        /**
+         * @param {Object} pOptions the values to match and how to redact them
+         * @param {Array<string|RegExp>|string|RegExp} [pOptions.keys] the names of the properties whose values are redacted
+         * @param {RegExp} [pOptions.pattern] a regular expression matching the text to redact in strings
+         * @param {function(string):boolean} [pOptions.test] a function that must also return true for text matching the pattern to be redacted
+         * @param {Array<string>|string} [pOptions.paths] paths within the data of a record
+         * @param {Array<string>|function|Object} [pOptions.secrets] the secret values to redact, or a SecretsManager
+         * @param {number} [pOptions.minSecretLength=6] the length of the shortest secret value that is redacted,
+         *                                              so that short values, such as a port or a version, do not hide ordinary text
+         * @param {string} [pOptions.action=RedactionAction.MASK] mask, hash, or drop
+         * @param {string} [pOptions.mask="[REDACTED]"] the string that replaces masked values
+         */
+        constructor( pOptions = {} )
+        {
+            const options = isNonNullObject( pOptions ) ? pOptions : {};
+
+            this.#keys = asArray( options.keys || [] ).filter( e => e instanceof RegExp || (isString( e ) && !isBlank( e )) ).map( e => isString( e ) ? lcase( e ) : e );
+
+            const names = this.#keys.filter( isString ).map( escapeRegExp );
+
+            this.#keyPattern = names.length > 0 ? new RegExp( `([\\w-]*(?:${names.join( "|" )})[\\w-]*["']?\\s*[:=]\\s*)("[^"]*"|'[^']*'|[^\\s,;&]+)`, "gi" ) : null;
+
+            this.#pattern = options.pattern instanceof RegExp ? new RegExp( options.pattern.source, options.pattern.flags.includes( "g" ) ? options.pattern.flags : options.pattern.flags + "g" ) : null;
+
+            this.#test = isFunction( options.test ) ? options.test : null;
+
+            this.#paths = asArray( options.paths || [] ).map( toPathSegments ).filter( e => e.length > 0 );
+
+            this.#secrets = options.secrets || null;
+            this.#minSecretLength = Math.max( 1, asInt( options.minSecretLength, 6 ) );
+
+            this.#action = Object.values( RedactionAction ).find( e => e === lcase( asString( options.action, true ) ) ) || RedactionAction.MASK;
+            this.#mask = isString( options.mask ) ? options.mask : DEFAULT_MASK;
+        }
+
+        get action()
+        {
+            return this.#action;
+        }
+
+        get mask()
+        {
+            return this.#mask;
+        }
+
+        get keys()
+        {
+            return [...this.#keys];
+        }
+
+        get pattern()
+        {
+            return this.#pattern;
+        }
+
+        get paths()
+        {
+            return this.#paths.map( e => e.join( "." ) );
+        }
+
+        /**
+         * Returns the secret values this rule redacts, longest first,
+         * so that a secret containing another is redacted as a whole
+         * @returns {Array<string>}
+         */
+        get secretValues()
+        {
+            return unique( resolveSecretValues( this.#secrets ).filter( e => e.length >= this.#minSecretLength ) ).sort( ( a, b ) => b.length - a.length );
+        }
+
+        /**
+         * Returns true if the value of the property with the specified name, at the specified path, should be redacted
+         *
+         * @param {string|number} pKey the name of the property, or the index of an element
+         * @param {Array<string|number>} pPath the path of the property, starting with the index of the data
+         * @param {boolean} [pInData=true] false for the contextual fields of a record, to which paths do not apply
+         *
+         * @returns {boolean} true if the value should be redacted
+         */
+        matchesKey( pKey, pPath, pInData = true )
+        {
+            const key = asString( pKey, true );
+
+            if ( isString( pKey ) && this.#keys.some( e => isString( e ) ? lcase( key ).includes( e ) : e.test( key ) ) )
+            {
+                return true;
+            }
+
+            return !!pInData && this.#paths.some( e => matchesPath( e, asArray( pPath ) ) );
+        }
+
+        /**
+         * Returns the value that replaces the specified value
+         *
+         * @param {*} pValue the sensitive value
+         *
+         * @returns {*} the mask, a hash of the value, or a symbol indicating that the value is dropped
+         */
+        replace( pValue )
+        {
+            if ( RedactionAction.DROP === this.#action )
+            {
+                return DROPPED;
+            }
+
+            if ( RedactionAction.HASH === this.#action )
+            {
+                const text = isString( pValue ) ? pValue : attempt( () => JSON.stringify( pValue ) ) ?? asString( pValue );
+
+                return "[hash:" + asString( hashSync( asString( text ) ), true ).substring( 0, 12 ) + "]";
+            }
+
+            return this.#mask;
+        }
+
+        /**
+         * Returns the specified string, with the text this rule matches replaced
+         *
+         * @param {string} pString a message, error message, or a string in the data of a record
+         *
+         * @returns {string} the redacted string
+         */
+        redactString( pString )
+        {
+            let s = asString( pString );
+
+            const replacement = ( pMatch ) => RedactionAction.DROP === this.#action ? _mt_str : this.replace( pMatch );
+
+            for( const value of this.secretValues )
+            {
+                if ( s.includes( value ) )
+                {
+                    s = s.split( value ).join( replacement( value ) );
+                }
+            }
+
+            if ( this.#pattern )
+            {
+                s = s.replace( this.#pattern, ( pMatch ) => (isNull( this.#test ) || this.#test( pMatch )) ? replacement( pMatch ) : pMatch );
+            }
+
+            if ( this.#keyPattern )
+            {
+                s = s.replace( this.#keyPattern, ( pMatch, pName, pValue ) => pName + replacement( pValue ) );
+            }
+
+            return s;
+        }
+    }
+
+    const isBinary = ( pValue ) => ArrayBuffer.isView( pValue ) || pValue instanceof ArrayBuffer;
+
+    const isURL = ( pValue ) => _ud !== typeof URL && pValue instanceof URL;
+
+    const isPlainObject = ( pValue ) =>
+    {
+        const proto = Object.getPrototypeOf( pValue );
+
+        return isNull( proto ) || Object.prototype === proto;
+    };
+
+    /**
+     * Removes sensitive values, such as passwords, tokens, card numbers, and known secrets,
+     * from log records before they are formatted and written.<br>
+     * <br>
+     * A Redactor never changes the record it is given, or the objects in its data.<br>
+     * It returns a copy with the sensitive values replaced, or the same record if nothing was redacted.<br>
+     * <br>
+     * For example, <code>new Logger( { redaction: { secrets: secretsManager } } )</code>
+     * applies the default rules and also removes any secret the SecretsManager has returned.<br>
+     */
+    class Redactor
+    {
+        #rules = [];
+
+        /**
+         * @param {...(RedactionRule|Object)} pRules the rules to apply, in order
+         */
+        constructor( ...pRules )
+        {
+            this.#rules = asArray( varargs( ...pRules ) ).filter( isNonNullObject ).map( e => e instanceof RedactionRule ? e : new RedactionRule( e ) );
+        }
+
+        get rules()
+        {
+            return [...this.#rules];
+        }
+
+        /**
+         * Returns the specified string with the text any rule matches replaced
+         *
+         * @param {string} pString the string to redact
+         *
+         * @returns {string} the redacted string
+         */
+        redactString( pString )
+        {
+            return this.#rules.reduce( ( s, rule ) => rule.redactString( s ), asString( pString ) );
+        }
+
+        /**
+         * Returns a copy of the specified value, with the sensitive values it contains replaced.<br>
+         * Arrays, plain objects, Maps, Sets, and Errors are copied.<br>
+         * A URL or an instance of another class is returned as it is,
+         * unless it contains a sensitive value, in which case a redacted string or plain object is returned.<br>
+         * Buffers, typed arrays, and other values are returned as they are.<br>
+         *
+         * @param {*} pValue the value to redact
+         * @param {Array<string|number>} [pPath=[]] the path of the value, starting with the index of the data
+         * @param {boolean} [pInData=true] false for the contextual fields of a record, to which paths do not apply
+         *
+         * @returns {*} the redacted value
+         */
+        redactValue( pValue, pPath = [], pInData = true )
+        {
+            return this.#redact( pValue, asArray( pPath ), !!pInData, { seen: new WeakMap(), changed: false } );
+        }
+
+        #redactEntry( pKey, pValue, pPath, pInData, pState )
+        {
+            const path = [...pPath, pKey];
+
+            const rule = this.#rules.find( e => e.matchesKey( pKey, path, pInData ) );
+
+            if ( rule )
+            {
+                pState.changed = true;
+
+                return rule.replace( pValue );
+            }
+
+            return this.#redact( pValue, path, pInData, pState );
+        }
+
+        #redact( pValue, pPath, pInData, pState )
+        {
+            if ( isString( pValue ) )
+            {
+                const s = this.redactString( pValue );
+
+                pState.changed = pState.changed || s !== pValue;
+
+                return s;
+            }
+
+            if ( !isNonNullObject( pValue ) || isDate( pValue ) || pValue instanceof RegExp || isFunction( pValue ) || isBinary( pValue ) )
+            {
+                return pValue;
+            }
+
+            if ( isURL( pValue ) )
+            {
+                // a URL may carry credentials or a token in its query; if so, it is written as the redacted string
+                const href = this.#redact( pValue.href, pPath, pInData, pState );
+
+                return href !== pValue.href ? href : pValue;
+            }
+
+            if ( pState.seen.has( pValue ) )
+            {
+                return pState.seen.get( pValue );
+            }
+
+            if ( isArray( pValue ) )
+            {
+                const arr = [];
+
+                pState.seen.set( pValue, arr );
+
+                pValue.forEach( ( e, i ) =>
+                                {
+                                    const value = this.#redactEntry( i, e, pPath, pInData, pState );
+
+                                    if ( DROPPED !== value )
+                                    {
+                                        arr.push( value );
+                                    }
+                                } );
+
+                return arr;
+            }
+
+            if ( pValue instanceof Map )
+            {
+                const map = new Map();
+
+                pState.seen.set( pValue, map );
+
+                pValue.forEach( ( v, k ) =>
+                                {
+                                    const value = this.#redactEntry( k, v, pPath, pInData, pState );
+
+                                    if ( DROPPED !== value )
+                                    {
+                                        map.set( k, value );
+                                    }
+                                } );
+
+                return map;
+            }
+
+            if ( pValue instanceof Set )
+            {
+                const set = new Set();
+
+                pState.seen.set( pValue, set );
+
+                [...pValue].forEach( ( e, i ) =>
+                                     {
+                                         const value = this.#redactEntry( i, e, pPath, pInData, pState );
+
+                                         if ( DROPPED !== value )
+                                         {
+                                             set.add( value );
+                                         }
+                                     } );
+
+                return set;
+            }
+
+            if ( isError( pValue ) || isPlainObject( pValue ) )
+            {
+                // the copy keeps the prototype of the original, so an Error is still an Error
+                return this.#copyProperties( pValue, Object.create( Object.getPrototypeOf( pValue ) ), pPath, pInData, pState );
+            }
+
+            // an instance of any other class cannot be copied without calling its constructor,
+            // so it is written as it is, unless it holds a sensitive value, in which case its properties are written as plain data
+            const changed = pState.changed;
+
+            pState.changed = false;
+
+            const data = this.#copyProperties( pValue, {}, pPath, pInData, pState );
+
+            const redacted = pState.changed;
+
+            pState.changed = changed || redacted;
+
+            if ( !redacted )
+            {
+                pState.seen.set( pValue, pValue );
+            }
+
+            return redacted ? data : pValue;
+        }
+
+        #copyProperties( pValue, pCopy, pPath, pInData, pState )
+        {
+            pState.seen.set( pValue, pCopy );
+
+            const keys = isError( pValue ) ? unique( Object.getOwnPropertyNames( pValue ) ) : Object.keys( pValue );
+
+            for( const key of keys )
+            {
+                const value = this.#redactEntry( key, attempt( () => pValue[key] ), pPath, pInData, pState );
+
+                if ( DROPPED !== value )
+                {
+                    attempt( () => Object.defineProperty( pCopy, key, { value, writable: true, configurable: true, enumerable: Object.prototype.propertyIsEnumerable.call( pValue, key ) } ) );
+                }
+            }
+
+            return pCopy;
+        }
+
+        /**
+         * Returns a copy of the specified record, with the sensitive values in its message, error, data, and contextual fields replaced,
+         * or the same record, if it does not contain any
+         *
+         * @param {LogRecord} pLogRecord the record to redact
+         *
+         * @returns {LogRecord} the redacted record
+         */
+        redact( pLogRecord )
+        {
+            if ( !(pLogRecord instanceof LogRecord) || this.#rules.length <= 0 )
+            {
+                return pLogRecord;
+            }
+
+            const state = { seen: new WeakMap(), changed: false };
+
+            const message = this.#redact( pLogRecord.message, [], false, state );
+            const error = isError( pLogRecord.error ) ? this.#redact( pLogRecord.error, [], false, state ) : pLogRecord.error;
+            const data = this.#redact( pLogRecord.data, [], true, state );
+            const fields = this.#redact( pLogRecord.fields, [], false, state );
+
+            return state.changed ? pLogRecord.derive( { message, error, data, fields } ) : pLogRecord;
+        }
+    }
+
+    /**
+     * The rules applied by default:
+     * the values of properties such as password, token, and authorization,
+     * bearer and basic credentials, card numbers, and email addresses, which are all masked
+     *
+     * @type {Array<RedactionRule>}
+     */
+    Redactor.DEFAULT_RULES = lock( [new RedactionRule( { pattern: BEARER_CREDENTIALS } ),
+                                    new RedactionRule( { keys: SENSITIVE_KEYS } ),
+                                    new RedactionRule( { pattern: CARD_NUMBER, test: isLuhnValid } ),
+                                    new RedactionRule( { pattern: EMAIL_ADDRESS } )] );
+
+    /**
+     * Returns a Redactor for the specified redaction option, or null if records should not be redacted.<br>
+     * <br>
+     * The option can be:<br>
+     * - a Redactor, which is returned as is<br>
+     * - true, for the default rules<br>
+     * - an array of RedactionRules, or of the options for them<br>
+     * - an object with any of the properties, rules and secrets,
+     * where rules defaults to Redactor.DEFAULT_RULES,
+     * and secrets is a SecretsManager or the secret values to remove<br>
+     *
+     * @param {Redactor|boolean|Array|Object} pRedaction the redaction option
+     *
+     * @returns {Redactor|null} a Redactor, or null
+     */
+    Redactor.resolve = function( pRedaction )
+    {
+        if ( pRedaction instanceof Redactor )
+        {
+            return pRedaction;
+        }
+
+        if ( true === pRedaction )
+        {
+            return new Redactor( ...Redactor.DEFAULT_RULES );
+        }
+
+        if ( isArray( pRedaction ) )
+        {
+            return new Redactor( ...pRedaction );
+        }
+
+        if ( isNonNullObject( pRedaction ) )
+        {
+            const rules = isNull( pRedaction.rules ) ? [...Redactor.DEFAULT_RULES] : asArray( pRedaction.rules );
+
+            if ( !isNull( pRedaction.secrets ) )
+            {
+                rules.unshift( new RedactionRule( { secrets: pRedaction.secrets, minSecretLength: pRedaction.minSecretLength } ) );
+            }
+
+            return new Redactor( ...rules );
+        }
+
+        return null;
+    };
 
     /**
      * @typedef {Object} LoggerOptions An object specifying properties used
@@ -870,15 +2850,36 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
      * @property {LogFormatterOptions} [logFormatterOptions=DEFAULT_LOG_FORMATTER_OPTIONS] An object to provide global defaults for a Logger or subclass of Logger<br>
      *
      * @property {boolean} [asynchronous=false] Specifies whether to perform logging operations synchronously or asynchronously<br>
+     *                                           When true, records are queued and written on a later microtask (or timer, see asyncDelayMs)<br>
+     *
+     * @property {number} [asyncDelayMs=0] The number of milliseconds to wait before writing queued records<br>
+     *                                     When 0, the queue is written on the next microtask<br>
+     *                                     Has no effect if asynchronous is false
      *
      * @property {boolean} [buffered=false] Specifies whether to temporarily store log messages until the bufferInterval has passed<br>
      *
-     * @property {number} [bufferIntervalMs=60_000] The number of milliseconds to wait before writing buffered log messages<br>
+     * @property {number} [bufferIntervalMs=30_000] The number of milliseconds to wait before writing buffered log messages<br>
      *                                              Has no effect if buffered is false
      *
-     * @property {LogFilter|function(LogRecord):boolean} [filter=Filters.IDENTITY] A LogFilter or a filter function<br>
+     * @property {number} [maxBufferSize=1_000] The number of buffered records that causes the buffer to be written immediately<br>
+     *                                          Has no effect if buffered is false
+     *
+     * @property {LogLevel|string|number} [flushLevel=LogLevel.ERROR] The least severe level that causes the buffer to be written immediately<br>
+     *                                                                For example, the default writes the buffer as soon as an error is logged<br>
+     *                                                                Has no effect if buffered is false
+     *
+     * @property {boolean} [flushOnExit=true] When true, any records still buffered or queued when the process exits are written first<br>
+     *
+     * @property {LogFilter|function(LogRecord):boolean|Array|Object} [filter=Filters.IDENTITY] A LogFilter or a filter function<br>
      *                                              whose return value will determine
-     *                                              whether a log message is written or discarded.
+     *                                              whether a log message is written or discarded.<br>
+     *                                              An array or an object with sampling, rateLimit, or deduplicate options
+     *                                              is combined into one filter (see LogFilter.resolve)
+     *
+     * @property {Redactor|boolean|Array|Object} [redaction=null] The rules for removing sensitive values from each record before it is formatted<br>
+     *                                                         true applies Redactor.DEFAULT_RULES,
+     *                                                         and an object can also specify a SecretsManager whose secrets are removed
+     *                                                         (see Redactor.resolve)<br>
      *
      * @property {LogLevel|string|number} level The finest-grained LogLevel this logger will log.<br>
      *                                          <br>
@@ -899,9 +2900,14 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
      */
     const DEFAULT_LOGGER_OPTIONS = lock( {
                                              asynchronous: false,
+                                             asyncDelayMs: 0,
                                              buffered: false,
                                              bufferIntervalMs: 30_000,
+                                             maxBufferSize: 1_000,
+                                             flushLevel: LogLevel.ERROR,
+                                             flushOnExit: true,
                                              filter: Filters.IDENTITY,
+                                             redaction: null,
                                              level: LogLevel.DEFAULT,
                                              logFormatterOptions: DEFAULT_LOG_FORMATTER_OPTIONS,
                                              logFormatter: DEFAULT_LOG_FORMATTER,
@@ -914,7 +2920,12 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
         if ( isNull( pLogFormatter ) )
         {
-            return new LogFormatter( options );
+            return LogFormatter.forFormat( options.format, options ) || new LogFormatter( options );
+        }
+
+        if ( isString( pLogFormatter ) )
+        {
+            return LogFormatter.forFormat( pLogFormatter, options ) || new LogFormatter( options );
         }
 
         if ( pLogFormatter instanceof LogFormatter || (isObject( pLogFormatter ) && isFunction( pLogFormatter?.format )) )
@@ -932,6 +2943,89 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
         return new LogFormatter( options );
     }
 
+    /**
+     * Returns a LogRecord for the arguments passed to a method such as info or error.<br>
+     * <br>
+     * The strings are joined to form the message,
+     * the first Error is the error of the record,
+     * and the other values are its data.
+     * A single LogRecord is returned as is.<br>
+     *
+     * @param {LogLevel|string|number} pLevel the level of the record
+     *
+     * @param {...*} pArgs the arguments passed to the logging method
+     *
+     * @returns {LogRecord} a record of the arguments
+     */
+    function toLogRecord( pLevel, ...pArgs )
+    {
+        const args = asArray( varargs( ...pArgs ) ).filter( e => !isString( e ) || !isBlank( e ) );
+
+        if ( 1 === args.length && args[0] instanceof LogRecord )
+        {
+            return args[0];
+        }
+
+        const message = asString( args.filter( e => isString( e ) ).join( _spc ), true );
+
+        const data = args.filter( e => !isString( e ) && !isError( e ) );
+
+        return new LogRecord( message, pLevel, (args.find( isError ) || null), null, ...data );
+    }
+
+    /**
+     * The loggers holding records that have not been written yet.<br>
+     * <br>
+     * A logger is only held here while it has buffered or queued records,
+     * so a logger that is no longer used can still be garbage-collected once it has written them.<br>
+     *
+     * @type {Set<Logger>}
+     */
+    const pendingLoggers = new Set();
+
+    let exitHandlersInstalled = false;
+
+    /**
+     * Writes the records of every logger that still has buffered or queued records.<br>
+     * <br>
+     * This is called when the process is about to exit.
+     * The records are handed to each destination synchronously,
+     * so a destination that writes synchronously (such as the console) receives every record,
+     * but the writes started by an asynchronous destination may not complete
+     * if the process exits by calling process.exit.
+     */
+    function flushPendingLoggers()
+    {
+        for( const logger of [...pendingLoggers] )
+        {
+            try
+            {
+                logger.flushSync();
+            }
+            catch( ex )
+            {
+                konsole.error( ex );
+            }
+        }
+    }
+
+    function installExitHandlers()
+    {
+        const proc = _ud !== typeof process ? process : null;
+
+        if ( exitHandlersInstalled || !isFunction( proc?.on ) )
+        {
+            return;
+        }
+
+        exitHandlersInstalled = true;
+
+        // beforeExit is emitted when the event loop is empty, which allows asynchronous writes to complete;
+        // exit is emitted for process.exit as well, but only synchronous work is performed after it
+        proc.on( "beforeExit", flushPendingLoggers );
+        proc.on( "exit", flushPendingLoggers );
+    }
+
     class Logger extends ILogger
     {
         #options;
@@ -939,13 +3033,29 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
         #filter = Filters.IDENTITY;
 
+        #redactor = null;
+
         #asynchronous = false;
         #buffered = false;
         #bufferIntervalMs = 30_000;
 
+        #maxBufferSize = 1_000;
+        #flushLevel = LogLevel.ERROR;
+        #flushOnExit = true;
+
         #buffer = [];
         #bufferTimer;
 
+        #asyncDelayMs = 0;
+
+        #queue = [];
+        #queueScheduled = false;
+        #queueTimer;
+
+        #writes = new Set();
+
+        #discarded = false;
+
         #level = LogLevel.DEFAULT;
         #logFormatterOptions = DEFAULT_LOG_FORMATTER_OPTIONS;
         #logFormatter = DEFAULT_LOG_FORMATTER;
@@ -964,11 +3074,18 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
             this.#loggers = asArray( varargs( ...pLoggers ) );
 
-            this.#filter = new LogFilter( options.filter || Filters.IDENTITY );
+            this.#filter = LogFilter.resolve( options.filter || Filters.IDENTITY );
+
+            this.#redactor = Redactor.resolve( options.redaction );
 
             this.#asynchronous = options.asynchronous || false;
             this.#buffered = options.buffered || false;
             this.#bufferIntervalMs = asInt( options.bufferIntervalMs || this.#bufferIntervalMs, 30_000 );
+            this.#maxBufferSize = Math.max( 1, asInt( options.maxBufferSize, this.#maxBufferSize ) );
+            this.#flushLevel = LogLevel.resolveLevel( options.flushLevel || LogLevel.ERROR ) || LogLevel.ERROR;
+            this.#flushOnExit = false !== options.flushOnExit;
+
+            this.#asyncDelayMs = Math.max( 0, asInt( options.asyncDelayMs, 0 ) );
 
             this.#level = LogLevel.resolveLevel( options.level || LogLevel.DEFAULT ) || LogLevel.DEFAULT;
 
@@ -1053,6 +3170,44 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             return this.#bufferTimer;
         }
 
+        /**
+         * Returns the number of buffered records that causes the buffer to be written immediately
+         * @returns {number}
+         */
+        get maxBufferSize()
+        {
+            return this.#maxBufferSize;
+        }
+
+        /**
+         * Returns the least severe level that causes the buffer to be written immediately
+         * @returns {LogLevel}
+         */
+        get flushLevel()
+        {
+            return this.#flushLevel;
+        }
+
+        get flushOnExit()
+        {
+            return this.#flushOnExit;
+        }
+
+        get asyncDelayMs()
+        {
+            return this.#asyncDelayMs;
+        }
+
+        /**
+         * Returns the number of records that have been logged but not yet handed to a destination,
+         * whether they are buffered or queued
+         * @returns {number}
+         */
+        get pending()
+        {
+            return this.#buffer.length + this.#queue.length;
+        }
+
         get echoToConsole()
         {
             return this.#echoToConsole;
@@ -1066,58 +3221,331 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             return thisLevel.isEnabled( evalLevel );
         }
 
+        /**
+         * Writes the specified record to this logger's destinations,
+         * or buffers or queues it to be written later,
+         * if this logger is buffered or asynchronous.<br>
+         *
+         * @param {LogRecord|*} pLogRecord the record to log
+         * @param {...*} pExtra any additional data to add to the record
+         */
         log( pLogRecord, ...pExtra )
         {
             this._traceIf( pLogRecord, ...pExtra );
 
-            let { logRecord, level, methodName } = this._resolveLogArgs( pLogRecord );
+            let { logRecord, level } = this._resolveLogArgs( pLogRecord );
 
             if ( this.isEnabledFor( level ) )
             {
-                logRecord = this._addData( logRecord, ...pExtra );
+                logRecord = this._addData( logRecord, ...pExtra );
+
+                // sensitive values are removed before the filter, so they are not kept in its summaries
+                logRecord = this._redact( logRecord );
+
+                const loggable = this.isLoggable( logRecord );
+
+                // the filter may have summarized the records it discarded before this one
+                this._takeFilterSummaries().forEach( summary => this.#accept( summary ) );
+
+                if ( loggable )
+                {
+                    this.#accept( logRecord );
+                }
+                else if ( !this.#discarded )
+                {
+                    // the filter may summarize the discarded records when this logger is flushed
+                    this.#discarded = true;
+                    this.#updatePending();
+                }
+            }
+        }
+
+        #accept( pLogRecord )
+        {
+            if ( this.buffered )
+            {
+                this._bufferRecord( pLogRecord, pLogRecord?.level );
+            }
+            else if ( this.asynchronous )
+            {
+                this._enqueueRecord( pLogRecord );
+            }
+            else
+            {
+                this.#track( this._dispatch( pLogRecord ) );
+            }
+        }
+
+        /**
+         * Returns the Redactor that removes sensitive values from the records this logger writes,
+         * or null if records are written as they are
+         * @returns {Redactor|null}
+         */
+        get redactor()
+        {
+            return this.#redactor;
+        }
+
+        /**
+         * Returns a copy of the specified record without the sensitive values matched by this logger's redaction rules,
+         * or the same record if there are none.<br>
+         * <br>
+         * Loggers that write records passed directly to writeLogRecord should call this before formatting them.<br>
+         *
+         * @param {LogRecord} pLogRecord the record to redact
+         *
+         * @returns {LogRecord} the record to format and write
+         * @protected
+         */
+        _redact( pLogRecord )
+        {
+            const redactor = this.redactor;
+
+            if ( isNull( redactor ) || !(pLogRecord instanceof LogRecord) )
+            {
+                return pLogRecord;
+            }
+
+            const logRecord = redactor.redact( pLogRecord );
+
+            if ( logRecord !== pLogRecord && isFilterSummary( pLogRecord ) )
+            {
+                filterSummaries.add( logRecord );
+            }
+
+            return logRecord;
+        }
+
+        /**
+         * Returns the records this logger's filter has created to summarize the records it discarded,
+         * such as "last message repeated 3 times"
+         *
+         * @param {boolean} [pFinal=false] when true, the filter also summarizes the records it is still counting
+         *
+         * @returns {Array<LogRecord>} the summaries to write
+         * @protected
+         */
+        _takeFilterSummaries( pFinal = false )
+        {
+            const filter = this.filter;
+
+            return isFunction( filter?.drainSummaries ) ? asArray( filter.drainSummaries( pFinal ) ) : [];
+        }
+
+        /**
+         * Hands the specified record to each of this logger's destinations, on the caller's stack.<br>
+         *
+         * @param {LogRecord} pLogRecord the record to write
+         *
+         * @returns {Array<Promise>} the writes started by destinations that write asynchronously
+         * @protected
+         */
+        _dispatch( pLogRecord )
+        {
+            const { logRecord, level, methodName } = this._resolveLogArgs( pLogRecord );
+
+            const writes = [];
+
+            for( let logger of [...(this.loggers), this] )
+            {
+                if ( (this === logger && this.loggers.length > 0) || Logger.isDisabled( logger, level ) )
+                {
+                    continue;
+                }
+
+                const loggerFunction = logger?.["writeLogRecord"];
+
+                if ( isFunction( loggerFunction ) )
+                {
+                    try
+                    {
+                        const result = logger.writeLogRecord( logRecord );
+
+                        if ( isAsyncFunction( loggerFunction ) || isThenable( result ) )
+                        {
+                            writes.push( Promise.resolve( result ).then( no_op ).catch( konsole.error ) );
+                        }
+                    }
+                    catch( ex )
+                    {
+                        konsole.error( ex );
+                    }
+                }
+                else
+                {
+                    const method = logger[methodName];
+
+                    if ( isFunction( method ) )
+                    {
+                        let args = asArray( isFunction( logRecord?.format ) ? logRecord.format( this.logFormatter ) : this.logFormatter?.format( logRecord ) );
+                        method.call( logger, ...args );
+                    }
+                }
+            }
+
+            this._echo( methodName, logRecord );
+
+            return writes;
+        }
+
+        _bufferRecord( pLogRecord, pLevel )
+        {
+            this.#buffer.push( pLogRecord );
+
+            if ( this.#buffer.length >= this.maxBufferSize || this.flushLevel.isEnabled( LogLevel.resolveLevel( pLevel ) ) )
+            {
+                this.processBuffer();
+                return;
+            }
+
+            if ( !this.#bufferTimer )
+            {
+                const me = this;
+
+                this.#bufferTimer = setTimeout( () => me.processBuffer(), this.bufferIntervalMs );
+
+                // a pending buffer should not keep the process alive; it is written when the process exits
+                this.#bufferTimer?.unref?.();
+            }
+
+            this.#updatePending();
+        }
+
+        /**
+         * Hands the specified record to this logger's destinations now,
+         * and tracks any writes they start, so that flush waits for them.<br>
+         * <br>
+         * Subclasses that queue or batch records themselves
+         * can override _enqueueRecord to call this instead.<br>
+         *
+         * @param {LogRecord} pLogRecord the record to write
+         * @protected
+         */
+        _writeRecord( pLogRecord )
+        {
+            try
+            {
+                this.#track( this._dispatch( pLogRecord ) );
+            }
+            catch( ex )
+            {
+                konsole.error( ex );
+            }
+        }
+
+        /**
+         * Adds the specified record to the queue written on the next microtask,
+         * or after asyncDelayMs milliseconds.<br>
+         *
+         * @param {LogRecord} pLogRecord the record to queue
+         * @protected
+         */
+        _enqueueRecord( pLogRecord )
+        {
+            this.#queue.push( pLogRecord );
+
+            if ( !this.#queueScheduled )
+            {
+                const me = this;
+
+                this.#queueScheduled = true;
+
+                if ( this.asyncDelayMs > 0 )
+                {
+                    this.#queueTimer = setTimeout( () => me.#drainQueue(), this.asyncDelayMs );
+                    this.#queueTimer?.unref?.();
+                }
+                else
+                {
+                    queueMicrotask( () => me.#drainQueue() );
+                }
+            }
+
+            this.#updatePending();
+        }
+
+        #drainQueue()
+        {
+            if ( this.#queueTimer )
+            {
+                clearTimeout( this.#queueTimer );
+                this.#queueTimer = null;
+            }
+
+            this.#queueScheduled = false;
+
+            const records = this.#queue.splice( 0, this.#queue.length );
+
+            for( const logRecord of records )
+            {
+                try
+                {
+                    this.#track( this._dispatch( logRecord ) );
+                }
+                catch( ex )
+                {
+                    konsole.error( ex );
+                }
+            }
+
+            this.#updatePending();
+        }
+
+        #track( pWrites )
+        {
+            const writes = this.#writes;
+
+            asArray( pWrites ).forEach( promise =>
+                                        {
+                                            writes.add( promise );
+                                            promise.finally( () => writes.delete( promise ) );
+                                        } );
+        }
+
+        #updatePending()
+        {
+            if ( ((this.#buffer.length + this.#queue.length) > 0 || this.#discarded) && this.flushOnExit )
+            {
+                installExitHandlers();
+                pendingLoggers.add( this );
+            }
+            else
+            {
+                pendingLoggers.delete( this );
+            }
+        }
 
-                for( let logger of [...(this.loggers), this] )
-                {
-                    if ( (this === logger && this.loggers.length > 0) || Logger.isDisabled( logger, level ) )
-                    {
-                        continue;
-                    }
+        /**
+         * Writes any buffered or queued records to this logger's destinations,
+         * on the caller's stack.<br>
+         * <br>
+         * This is what is called when the process exits.
+         * Destinations that write asynchronously receive the records,
+         * but their writes are not awaited; use flush if you can wait for them.<br>
+         * <br>
+         * The records that summarize those discarded by this logger's filter are written as well.<br>
+         */
+        flushSync()
+        {
+            this.#discarded = false;
 
-                    const loggerFunction = logger?.["writeLogRecord"];
+            this._takeFilterSummaries( true ).forEach( summary => this.#accept( summary ) );
 
-                    if ( isFunction( loggerFunction ) )
-                    {
-                        try
-                        {
-                            if ( isAsyncFunction( loggerFunction ) )
-                            {
-                                logger.writeLogRecord( logRecord ).then( no_op ).catch( konsole.error );
-                            }
-                            else
-                            {
-                                // noinspection JSIgnoredPromiseFromCall
-                                logger.writeLogRecord( logRecord );
-                            }
-                        }
-                        catch( ex )
-                        {
-                            konsole.error( ex );
-                        }
-                    }
-                    else
-                    {
-                        const method = logger[methodName];
+            this.processBuffer();
+            this.#drainQueue();
+        }
 
-                        if ( isFunction( method ) )
-                        {
-                            let args = asArray( isFunction( logRecord?.format ) ? logRecord.format( this.logFormatter ) : this.logFormatter?.format( logRecord ) );
-                            method.call( logger, ...args );
-                        }
-                    }
-                }
+        /**
+         * Writes any buffered or queued records to this logger's destinations
+         * and waits for the writes started by destinations that write asynchronously.<br>
+         *
+         * @returns {Promise<void>} a Promise that resolves once every record logged so far has been written
+         */
+        async flush()
+        {
+            this.flushSync();
 
-                this._echo( methodName, logRecord );
-            }
+            await Promise.allSettled( [...this.#writes] );
         }
 
         _resolveLogArgs( pLogRecord )
@@ -1183,15 +3611,20 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             }
         }
 
-        async logAsync( pLogRecord )
+        /**
+         * Logs the specified record and waits until it,
+         * and every other record logged so far, has been written.<br>
+         *
+         * @param {LogRecord|*} pLogRecord the record to log
+         * @param {...*} pExtra any additional data to add to the record
+         *
+         * @returns {Promise<void>} a Promise that resolves once the record has been written
+         */
+        async logAsync( pLogRecord, ...pExtra )
         {
-            let me = this;
-            let logRecord = pLogRecord || {};
-            let func = async() =>
-            {
-                me.log( logRecord );
-            };
-            func.then( no_op ).catch( konsole.error );
+            this.log( pLogRecord || {}, ...pExtra );
+
+            await this.flush();
         }
 
         info( ...pArgs )
@@ -1264,16 +3697,34 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
                 konsole.trace( "Logger::processBuffer", this.buffer );
             }
 
-            while ( this.buffer?.length > 0 )
+            if ( this.#bufferTimer )
+            {
+                clearTimeout( this.#bufferTimer );
+                this.#bufferTimer = null;
+            }
+
+            const records = this.#buffer.splice( 0, this.#buffer.length );
+
+            for( const logRecord of records )
             {
-                const logRecord = this.buffer.shift();
                 if ( this.asynchronous )
                 {
-                    this.logAsync( logRecord ).then( no_op ).catch( ignore );
+                    this._enqueueRecord( logRecord );
+                }
+                else
+                {
+                    try
+                    {
+                        this.#track( this._dispatch( logRecord ) );
+                    }
+                    catch( ex )
+                    {
+                        konsole.error( ex );
+                    }
                 }
             }
 
-            this.#bufferTimer = null;
+            this.#updatePending();
         }
 
         processEvent( pEvent, ...pArgs )
@@ -1283,30 +3734,8 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
                 konsole.trace( "Logger::processEvent", pEvent, ...pArgs );
             }
 
-            const logRecord = new LogRecord( pEvent );
-
-            if ( !this.isLoggable( logRecord ) )
-            {
-                return;
-            }
-
-            if ( this.buffered )
-            {
-                const me = this;
-
-                this.buffer.push( logRecord );
-
-                function flushBuffer()
-                {
-                    me.processBuffer();
-                }
-
-                this.bufferTimer = this.bufferTimer || setTimeout( flushBuffer, this.bufferIntervalMs );
-
-                return;
-            }
-
-            this.log( logRecord, ...pArgs );
+            // log applies this logger's filter
+            this.log( new LogRecord( pEvent ), ...pArgs );
         }
 
         async handleEventAsync( pEvent, ...pArgs )
@@ -1316,16 +3745,9 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
                 return Promise.reject( new Error( "Logger is disabled" ) );
             }
 
-            const me = this;
-            const event = pEvent || {};
-            const args = asArray( pArgs );
-
-            const func = async() =>
-            {
-                me.processEvent.call( me, event, ...args );
-            };
+            this.processEvent( pEvent || {}, ...asArray( pArgs ) );
 
-            setTimeout( func, 20 );
+            await this.flush();
         }
 
         handleEvent( pEvent, ...pExtra )
@@ -1341,14 +3763,8 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
                     // ignored; but we don't want a bug in a superclass to affect us.
                 }
 
-                if ( this.asynchronous )
-                {
-                    this.handleEventAsync( pEvent, ...pExtra ).then( no_op ).catch( ignore );
-                }
-                else
-                {
-                    this.processEvent( pEvent, ...pExtra );
-                }
+                // an asynchronous or buffered logger queues the record itself
+                this.processEvent( pEvent, ...pExtra );
             }
         }
 
@@ -1377,6 +3793,22 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             }
         }
 
+        /**
+         * Returns a logger that adds the specified fields to every record it logs,
+         * and writes those records through this logger, to the same destinations.<br>
+         * <br>
+         * For example, logger.child( { requestId } ) returns a logger
+         * whose records all include the id of the request being handled.<br>
+         *
+         * @param {Object} pFields the fields to add to each record, such as a request id, user id, or job id
+         *
+         * @returns {ChildLogger} a logger that writes through this logger
+         */
+        child( pFields )
+        {
+            return new ChildLogger( this, pFields );
+        }
+
         disable()
         {
             this.#enabled = false;
@@ -1393,6 +3825,20 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
         }
     }
 
+    /**
+     * A Logger that returns to the caller before writing.<br>
+     * <br>
+     * Each record is queued and the queue is written on the next microtask,
+     * or after asyncDelayMs milliseconds, if that option is greater than 0.<br>
+     * Call flush to wait until every record logged so far has been written.<br>
+     * <br>
+     * Records still queued when the process exits are written before it exits,
+     * unless the flushOnExit option is false.<br>
+     * <br>
+     * Subclasses that send records in batches of their own
+     * override _enqueueRecord to pass each record straight to _writeRecord,
+     * so that records are not queued twice.<br>
+     */
     class AsyncLogger extends Logger
     {
         constructor( pOptions = DEFAULT_LOGGER_OPTIONS, ...pLoggers )
@@ -1404,8 +3850,52 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
         {
             return true;
         }
+
+        _logIf( pLevel, ...pArgs )
+        {
+            if ( this.enabled && this.isEnabledFor( pLevel ) )
+            {
+                this.log( toLogRecord( pLevel, ...pArgs ) );
+            }
+        }
+
+        info( ...pArgs )
+        {
+            this._logIf( LogLevel.INFO, ...pArgs );
+        }
+
+        warn( ...pArgs )
+        {
+            this._logIf( LogLevel.WARN, ...pArgs );
+        }
+
+        error( ...pArgs )
+        {
+            this._logIf( LogLevel.ERROR, ...pArgs );
+        }
+
+        debug( ...pArgs )
+        {
+            this._logIf( LogLevel.DEBUG, ...pArgs );
+        }
+
+        trace( ...pArgs )
+        {
+            this._logIf( LogLevel.TRACE, ...pArgs );
+        }
     }
 
+    /**
+     * A Logger that holds records in a buffer and writes them together.<br>
+     * <br>
+     * The buffer is written when it holds maxBufferSize records,
+     * when bufferIntervalMs milliseconds have passed since the first record was buffered,
+     * or immediately when a record is logged at flushLevel or above (by default, an error).<br>
+     * Call flush to write the buffer on demand.<br>
+     * <br>
+     * Records still buffered when the process exits are written before it exits,
+     * unless the flushOnExit option is false.<br>
+     */
     class BufferedLogger extends Logger
     {
         constructor( pOptions = DEFAULT_LOGGER_OPTIONS, ...pLoggers )
@@ -1417,6 +3907,39 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
         {
             return true;
         }
+
+        _logIf( pLevel, ...pArgs )
+        {
+            if ( this.enabled && this.isEnabledFor( pLevel ) )
+            {
+                this.log( toLogRecord( pLevel, ...pArgs ) );
+            }
+        }
+
+        info( ...pArgs )
+        {
+            this._logIf( LogLevel.INFO, ...pArgs );
+        }
+
+        warn( ...pArgs )
+        {
+            this._logIf( LogLevel.WARN, ...pArgs );
+        }
+
+        error( ...pArgs )
+        {
+            this._logIf( LogLevel.ERROR, ...pArgs );
+        }
+
+        debug( ...pArgs )
+        {
+            this._logIf( LogLevel.DEBUG, ...pArgs );
+        }
+
+        trace( ...pArgs )
+        {
+            this._logIf( LogLevel.TRACE, ...pArgs );
+        }
     }
 
     class ConsoleLogger extends Logger
@@ -1452,6 +3975,160 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
         }
     }
 
+    /**
+     * This class defines a logger derived from another logger by Logger::child.<br>
+     * <br>
+     * It adds its fields to every record it logs, and then passes the records to the logger it was derived from,
+     * so it has the same level, filter, formatter, and destinations.<br>
+     * <br>
+     * Its fields replace fields of the same name from the MappedDiagnosticContext,
+     * but not fields already added to a LogRecord passed to its log method.<br>
+     *
+     * @class
+     * @extends ILogger
+     */
+    class ChildLogger extends ILogger
+    {
+        #parent;
+        #fields = {};
+
+        /**
+         * Constructs a new ChildLogger
+         *
+         * @param {Logger} pParent the logger through which to write records
+         *
+         * @param {Object} pFields the fields to add to each record
+         */
+        constructor( pParent, pFields )
+        {
+            super();
+
+            this.#parent = (pParent instanceof ChildLogger) ? pParent.parent : pParent;
+
+            this.#fields = { ...((pParent instanceof ChildLogger) ? pParent.fields : {}), ...asFields( pFields ) };
+        }
+
+        /**
+         * Returns the logger through which this logger writes its records
+         * @returns {Logger}
+         */
+        get parent()
+        {
+            return this.#parent;
+        }
+
+        /**
+         * Returns a copy of the fields this logger adds to each record
+         * @returns {Object}
+         */
+        get fields()
+        {
+            return { ...this.#fields };
+        }
+
+        get level()
+        {
+            return this.#parent?.level;
+        }
+
+        get enabled()
+        {
+            return false !== this.#parent?.enabled;
+        }
+
+        isEnabledFor( pLevel )
+        {
+            return isFunction( this.#parent?.isEnabledFor ) ? this.#parent.isEnabledFor( pLevel ) : true;
+        }
+
+        /**
+         * Returns a logger with the fields of this logger and the fields specified,
+         * which writes through the same logger as this one
+         *
+         * @param {Object} pFields the fields to add or replace
+         *
+         * @returns {ChildLogger} a new logger
+         */
+        child( pFields )
+        {
+            return new ChildLogger( this, pFields );
+        }
+
+        log( pLogRecord, ...pExtra )
+        {
+            const isRecord = pLogRecord instanceof LogRecord;
+
+            const logRecord = isRecord ? pLogRecord : new LogRecord( pLogRecord );
+
+            // a record created here holds only the fields of the MDC, which this logger's fields replace
+            this.#parent?.log( logRecord.addFields( this.#fields, !isRecord ), ...pExtra );
+        }
+
+        /**
+         * Logs the specified record and waits until it,
+         * and every other record logged so far, has been written by the parent logger.<br>
+         *
+         * @param {LogRecord|*} pLogRecord the record to log
+         * @param {...*} pExtra any additional data to add to the record
+         *
+         * @returns {Promise<void>} a Promise that resolves once the record has been written
+         */
+        async logAsync( pLogRecord, ...pExtra )
+        {
+            this.log( pLogRecord || {}, ...pExtra );
+
+            await this.flush();
+        }
+
+        /**
+         * Writes any records buffered or queued by the parent logger
+         *
+         * @returns {Promise<void>} a Promise that resolves once every record logged so far has been written
+         */
+        async flush()
+        {
+            if ( isFunction( this.#parent?.flush ) )
+            {
+                await this.#parent.flush();
+            }
+        }
+
+        _logIf( pLevel, ...pArgs )
+        {
+            if ( this.isEnabledFor( pLevel ) )
+            {
+                const logRecord = toLogRecord( pLevel, ...pArgs );
+
+                this.#parent?.log( logRecord.addFields( this.#fields, !(1 === pArgs.length && pArgs[0] === logRecord) ) );
+            }
+        }
+
+        info( ...pArgs )
+        {
+            this._logIf( LogLevel.INFO, ...pArgs );
+        }
+
+        warn( ...pArgs )
+        {
+            this._logIf( LogLevel.WARN, ...pArgs );
+        }
+
+        error( ...pArgs )
+        {
+            this._logIf( LogLevel.ERROR, ...pArgs );
+        }
+
+        debug( ...pArgs )
+        {
+            this._logIf( LogLevel.DEBUG, ...pArgs );
+        }
+
+        trace( ...pArgs )
+        {
+            this._logIf( LogLevel.TRACE, ...pArgs );
+        }
+    }
+
     /**
      * This class defines a no_op 'logger' to indicate that logging is not required.
      * It is useful for passing to methods or functions that require or expect an instance of ILogger
@@ -1722,6 +4399,8 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
 
         #emitEvents = false;
 
+        #fields = {};
+
         /**
          * Constructs an instance of the class and initializes the logger and (optional) log file path.
          *
@@ -1745,6 +4424,8 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
                            attempt( () => resolveLogSourceName( options.source ?? options.origin ) ) :
                            _mt;
 
+            this.#fields = asFields( options.fields );
+
             if ( !isBlank( source ) )
             {
                 this.#origin = source;
@@ -1790,39 +4471,59 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             return !!this.#emitEvents;
         }
 
+        /**
+         * Returns the contextual fields written with each message,
+         * which are those of the active MappedDiagnosticContext, if any, and those bound to this logger
+         * @returns {Object}
+         */
+        get fields()
+        {
+            return { ...MDC.get(), ...this.#fields };
+        }
+
+        /**
+         * Returns the data to write, followed by the contextual fields, as [name=value ...], if there are any
+         */
+        _addFields( ...pData )
+        {
+            const entries = Object.entries( this.fields );
+
+            return entries.length > 0 ? [...pData, "[" + entries.map( ( [k, v] ) => k + "=" + formatFieldValue( v ) ).join( _spc ) + "]"] : [...pData];
+        }
+
         log( ...pData )
         {
-            attemptSilent( () => super.log( ...pData ) );
+            attemptSilent( () => super.log( ...this._addFields( ...pData ) ) );
             this.emitEvents && dispatch.call( this, LOG, ...pData );
         }
 
         info( ...pData )
         {
-            attemptSilent( () => super.info( ...pData ) );
+            attemptSilent( () => super.info( ...this._addFields( ...pData ) ) );
             this.emitEvents && dispatch.call( this, INFO, ...pData );
         }
 
         warn( ...pData )
         {
-            attemptSilent( () => super.warn( ...pData ) );
+            attemptSilent( () => super.warn( ...this._addFields( ...pData ) ) );
             this.emitEvents && dispatch.call( this, WARN, ...pData );
         }
 
         error( ...pData )
         {
-            attemptSilent( () => super.error( ...pData ) );
+            attemptSilent( () => super.error( ...this._addFields( ...pData ) ) );
             dispatch.call( this, ERROR, ...pData );
         }
 
         debug( ...pData )
         {
-            attemptSilent( () => super.debug( ...pData ) );
+            attemptSilent( () => super.debug( ...this._addFields( ...pData ) ) );
             this.emitEvents && dispatch.call( this, DEBUG, ...pData );
         }
 
         trace( ...pData )
         {
-            attemptSilent( () => super.trace( ...pData ) );
+            attemptSilent( () => super.trace( ...this._addFields( ...pData ) ) );
             this.emitEvents && dispatch.call( this, TRACE, ...pData );
         }
 
@@ -1837,6 +4538,20 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             const options = { ...(asObject( this.options ?? DEFAULT_SIMPLE_LOGGER_OPTIONS )), source };
             return new SimpleLogger( this.logger, (options ?? { source }) );
         }
+
+        /**
+         * Returns a logger that writes to the same destination as this one,
+         * and writes the specified fields, in addition to those of this logger, with each message
+         *
+         * @param {Object} pFields the fields to write with each message, such as a request id, user id, or job id
+         *
+         * @returns {SimpleLogger} a new logger
+         */
+        child( pFields )
+        {
+            const options = { ...(asObject( this.options ?? DEFAULT_SIMPLE_LOGGER_OPTIONS )), source: this.#origin, fields: { ...this.#fields, ...asFields( pFields ) } };
+            return new SimpleLogger( this.logger, options );
+        }
     }
 
     SimpleLogger.LEVELS = lock( ConditionalLogger.LEVELS );
@@ -2168,9 +4883,17 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
                     StatefulListener,
                     LogLevel,
                     LogRecord,
+                    MappedDiagnosticContext,
                     LogFormatter,
+                    StructuredLogFormatter,
+                    JsonLogFormatter,
+                    LogfmtLogFormatter,
+                    EcsLogFormatter,
                     LogFilter,
+                    RedactionRule,
+                    Redactor,
                     Logger,
+                    ChildLogger,
                     AsyncLogger,
                     BufferedLogger,
                     ConsoleLogger,
@@ -2181,6 +4904,8 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             DEFAULT_ERROR_TEMPLATE,
             DEFAULT_LOG_FORMATTER_OPTIONS,
             DEFAULT_LOGGER_OPTIONS,
+            LogFormat,
+            ECS_VERSION,
             SIMPLE_LOGGER_LEVELS,
             SIMPLE_LOGGER_DEFAULT_LEVEL,
             DEFAULT_SIMPLE_LOGGER_OPTIONS,
@@ -2188,12 +4913,30 @@ const { _ud = "undefined", konsole = console, $scope } = constants;
             ILogger,
             LogLevel,
             LogRecord,
+            MappedDiagnosticContext,
+            MDC,
             LogFormatter,
+            StructuredLogFormatter,
+            JsonLogFormatter,
+            LogfmtLogFormatter,
+            EcsLogFormatter,
             LogFilter,
+            StatefulLogFilter,
+            SamplingLogFilter,
+            RateLimitLogFilter,
+            DeduplicatingLogFilter,
+            CompositeLogFilter,
+            RedactionAction,
+            RedactionRule,
+            Redactor,
             Logger,
+            ChildLogger,
             AsyncLogger,
             BufferedLogger,
             ConsoleLogger,
+            toLogRecord,
+            toSerializable,
+            describeError,
             resolveError,
             resolveSource,
             resolveFormatter,
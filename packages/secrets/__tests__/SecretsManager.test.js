@@ -0,0 +1,54 @@
+const secretsUtils = require( "../src/SecretsManager.js" );
+
+const { LocalSecretsManager, DEFAULT_SECRET_KEYS } = secretsUtils;
+
+const ENV =
+    {
+        "TEST-HOST": "db.internal.example",
+        "TEST-LOGIN-NAME": "admin",
+        "TEST-LOGIN-PWD": "pa55-w0rd-from-env",
+        "TEST-API-KEY": "k-1234567890"
+    };
+
+describe( "SecretsManager.knownSecretValues", () =>
+{
+    beforeEach( () =>
+                {
+                    Object.assign( process.env, ENV );
+                } );
+
+    afterEach( () =>
+               {
+                   Object.keys( ENV ).forEach( key => delete process.env[key] );
+               } );
+
+    test( "report the values of the secret keys, but not those of other configuration", async() =>
+    {
+        const secretsManager = new LocalSecretsManager( { prefix: "TEST", source: "./not-found.env" } );
+
+        expect( await secretsManager.get( "HOST" ) ).toEqual( "db.internal.example" );
+        expect( await secretsManager.get( "LOGIN_NAME" ) ).toEqual( "admin" );
+        expect( await secretsManager.get( "LOGIN-PWD" ) ).toEqual( "pa55-w0rd-from-env" );
+        expect( await secretsManager.getApiKey() ).toEqual( "k-1234567890" );
+
+        expect( secretsManager.secretKeys ).toEqual( [...DEFAULT_SECRET_KEYS] );
+        expect( secretsManager.knownSecretValues.sort() ).toEqual( ["k-1234567890", "pa55-w0rd-from-env"] );
+
+        await secretsManager.dispose();
+
+        expect( secretsManager.knownSecretValues ).toEqual( [] );
+    } );
+
+    test( "report the values of the keys specified as secret", async() =>
+    {
+        const secretsManager = new LocalSecretsManager( { prefix: "TEST", source: "./not-found.env", secretKeys: ["LOGIN-NAME"] } );
+
+        expect( secretsManager.isSecretKey( "TEST-LOGIN-NAME" ) ).toBe( true );
+        expect( secretsManager.isSecretKey( "LOGIN-PWD" ) ).toBe( false );
+
+        await secretsManager.get( "LOGIN-NAME" );
+        await secretsManager.get( "LOGIN-PWD" );
+
+        expect( secretsManager.knownSecretValues ).toEqual( ["admin"] );
+    } );
+} );
@@ -99,14 +99,14 @@
 
             let secret = await asyncAttempt( async() => client.getSecret( key ) );
 
-            secret = this.resolveSecretValue( secret );
+            secret = this.resolveSecretValue( secret, key );
 
             if ( isNull( secret ) || isBlank( secret ) )
             {
                 secret = await asyncAttempt( async() => client.getSecret( key ) );
             }
 
-            secret = this.resolveSecretValue( secret );
+            secret = this.resolveSecretValue( secret, key );
 
             if ( !isNull( secret ) && this.allowCache && this.canCache( key ) )
             {
@@ -114,7 +114,7 @@
                 this.cacheSecret( ucase( asString( key, true ) ), secret );
             }
 
-            return this.resolveSecretValue( secret );
+            return this.resolveSecretValue( secret, key );
         }
 
         async get( pKey, pVersion, pIgnoreCache = false )
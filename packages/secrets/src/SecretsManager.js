@@ -276,12 +276,27 @@ const { _ud = "undefined", $scope } = constants;
         return (ucase( isBlank( prefix ) ? keyPart : (prefix + _hyphen + keyPart) )).replace( /^[_-]+/, _mt ).trim().replace( /[_-]+$/, _mt ).trim();
     };
 
+    /**
+     * The keys whose values are secret by default,
+     * and are therefore reported by SecretsManager::knownSecretValues.<br>
+     * Other values, such as a host or a login name, are configuration rather than secrets.
+     */
+    const DEFAULT_SECRET_KEYS = lock( [KEYS.CONNECTION_STRING,
+                                       KEYS.LOGIN_PWD,
+                                       KEYS.ADMIN_LOGIN_PWD,
+                                       KEYS.PERSONAL_ACCESS_TOKEN,
+                                       KEYS.API_KEY,
+                                       KEYS.ACCESS_TOKEN,
+                                       KEYS.CLIENT_SECRET,
+                                       KEYS.TEST_SECRET] );
+
     const DEFAULT_OPTIONS =
         lock( {
                   source: "./.env",
                   allowCache: true,
                   excludeFromCache: [],
-                  restrictKeys: false
+                  restrictKeys: false,
+                  secretKeys: DEFAULT_SECRET_KEYS
               } );
 
     const isPrefix = ( pStr ) => isString( pStr ) && !isBlank( pStr ) && /[A-Z]{1,4}[_-]?/.test( pStr ) && !(/[;:/\\]/i).test( pStr );
@@ -316,6 +331,10 @@ const { _ud = "undefined", $scope } = constants;
 
         #restrictKeys = false;
 
+        #secretKeys = [...DEFAULT_SECRET_KEYS];
+
+        #knownValues = new Set();
+
         #logger;
 
         #initDate;
@@ -368,6 +387,11 @@ const { _ud = "undefined", $scope } = constants;
 
             this.#restrictKeys = !!(this.#options?.restrictKeys);
 
+            if ( isArray( this.#options?.secretKeys ) )
+            {
+                this.#secretKeys = [...(asArray( this.#options.secretKeys ))].filter( e => isString( e ) && !isBlank( e ) );
+            }
+
             if ( this.#allowCache )
             {
                 this.#cache = new Map();
@@ -439,6 +463,39 @@ const { _ud = "undefined", $scope } = constants;
             return !!this.#restrictKeys;
         }
 
+        /**
+         * Returns the keys whose values are secret, such as passwords, tokens, and connection strings.
+         * <br>
+         * <br>
+         * Only the values of these keys are reported by knownSecretValues.
+         * Specify the secretKeys option to replace the default keys.
+         * <br>
+         * @returns {Array<string>} the keys whose values are secret
+         */
+        get secretKeys()
+        {
+            return [...(asArray( this.#secretKeys ?? [] ))];
+        }
+
+        /**
+         * Returns true if the value stored under the specified key is a secret,
+         * that is, if the key, with or without this instance's prefix, is one of the secretKeys.
+         *
+         * @param {String} pKey a key under which a value is stored
+         * @returns {boolean} true if the value stored under the specified key is a secret
+         */
+        isSecretKey( pKey )
+        {
+            if ( isBlank( pKey ) )
+            {
+                return false;
+            }
+
+            const key = this.resolveKey( pKey );
+
+            return this.secretKeys.some( e => e === pKey || this.resolveKey( e ) === key );
+        }
+
         /**
          * Returns a string to be used for retrieving values specific to the system for which this instance exists.
          * <br>
@@ -488,14 +545,40 @@ const { _ud = "undefined", $scope } = constants;
         /**
          * Returns the value of the retrieved secret.
          * May be overridden to match the return values of the specific key store
+         * <br>
+         * <br>
+         * If the key under which the value was stored is specified and is one of the secretKeys,
+         * the value is added to the knownSecretValues.
          *
          * @param {*} pSecret  the value returned from the key store
+         * @param {String} [pKey] the key under which the value was stored
          *
          * @returns {*}  the value of the secret if that value is a property of the returned value or the returned value otherwise
          */
-        resolveSecretValue( pSecret )
+        resolveSecretValue( pSecret, pKey )
         {
-            return isNonNullObject( pSecret ) ? readProperty( pSecret, "value", "Value", "SecretString", "SecretBinary", "data", "Data" ) || asString( pSecret ) : asString( pSecret ) || _mt;
+            const value = isNonNullObject( pSecret ) ? readProperty( pSecret, "value", "Value", "SecretString", "SecretBinary", "data", "Data" ) || asString( pSecret ) : asString( pSecret ) || _mt;
+
+            if ( isString( value ) && !isBlank( value ) && this.isSecretKey( pKey ) )
+            {
+                this.#knownValues.add( value );
+            }
+
+            return value;
+        }
+
+        /**
+         * Returns the values this instance has retrieved from the key store for any of its secretKeys, whether or not they were cached.
+         * <br>
+         * <br>
+         * A log Redactor uses these to remove any secret that finds its way into a log record,
+         * for example, <code>new Logger( { redaction: { secrets: secretsManager } } )</code>
+         * <br>
+         * @returns {Array<string>} the secret values retrieved so far, but not the values of other keys, such as a host or a login name
+         */
+        get knownSecretValues()
+        {
+            return [...this.#knownValues];
         }
 
         /**
@@ -559,7 +642,7 @@ const { _ud = "undefined", $scope } = constants;
             // if found in the cache... return the value
             if ( !isNull( secret ) )
             {
-                return this.resolveSecretValue( secret );
+                return this.resolveSecretValue( secret, key );
             }
 
             // call the subclass method to get the value from the key store
@@ -567,7 +650,7 @@ const { _ud = "undefined", $scope } = constants;
                      await this.getSecret( ucase( asString( key, true ) ) ) ||
                      await this.getSecret( this.resolveKey( key ) );
 
-            secret = this.resolveSecretValue( secret );
+            secret = this.resolveSecretValue( secret, key );
 
             if ( !isNull( secret ) && ( !isString( secret ) || !isBlank( secret )) )
             {
@@ -588,7 +671,7 @@ const { _ud = "undefined", $scope } = constants;
             }
 
             // return the value (or null if no value was found in either the cache or the key store)
-            return this.resolveSecretValue( secret );
+            return this.resolveSecretValue( secret, key );
         }
 
         /**
@@ -615,7 +698,7 @@ const { _ud = "undefined", $scope } = constants;
             // if it is found, we simply return it
             if ( !isNull( secret ) && ( !isString( secret ) || !isBlank( secret )) )
             {
-                return this.resolveSecretValue( secret );
+                return this.resolveSecretValue( secret, key );
             }
 
             // if the value was not found, kick off an asynchronous function
@@ -648,12 +731,12 @@ const { _ud = "undefined", $scope } = constants;
                         THIZ.cacheSecret( k, secret );
                     }
 
-                    return THIZ.resolveSecretValue( secret );
+                    return THIZ.resolveSecretValue( secret, k );
                 }
             }( key ));
 
             // return whatever value is currently stored in the secret variable
-            return this.resolveSecretValue( secret );
+            return this.resolveSecretValue( secret, key );
         }
 
         clearCache()
@@ -682,6 +765,7 @@ const { _ud = "undefined", $scope } = constants;
         async dispose( ...pArgs )
         {
             this.clearCache();
+            this.#knownValues.clear();
             this.#initDate = null;
 
             return this;
@@ -929,7 +1013,7 @@ const { _ud = "undefined", $scope } = constants;
 
             let secret = ENV[key] || ENV[ucase( key )] || ENV[asString( pKey, true )] || ENV[ucase( asString( pKey, true ) )];
 
-            return this.resolveSecretValue( secret );
+            return this.resolveSecretValue( secret, key );
         }
 
         async get( pKey, pVersion = SECRET_VERSION.CURRENT, pIgnoreCache = false )
@@ -952,7 +1036,7 @@ const { _ud = "undefined", $scope } = constants;
                 this.cacheSecret( key, secret );
             }
 
-            return this.resolveSecretValue( secret );
+            return this.resolveSecretValue( secret, key );
         }
 
         getCachedSecret( pKey )
@@ -974,7 +1058,7 @@ const { _ud = "undefined", $scope } = constants;
                 this.cacheSecret( key, secret );
             }
 
-            return this.resolveSecretValue( secret );
+            return this.resolveSecretValue( secret, key );
         }
 
         async init( ...pArgs )
@@ -1358,7 +1442,8 @@ const { _ud = "undefined", $scope } = constants;
             addKey: SecretsManager.addKey,
             isValidKey: SecretsManager.isValidKey,
             getKeys: SecretsManager.getKeys,
-            SECRETS_KEYS: lock( SecretsManager.getKeys() )
+            SECRETS_KEYS: lock( SecretsManager.getKeys() ),
+            DEFAULT_SECRET_KEYS
         };
 
     $scope()["SecretsManager"] = SecretsManager;